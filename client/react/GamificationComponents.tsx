@@ -325,9 +325,13 @@ export const QuestList = ({ className = '', filter = 'active' }) => {
 };
 
 // Leaderboard Component
+// mode: 'top' pages from rank 1, 'around' shows `count` users above and below the
+// current user, 'friends' ranks the current user among their friends
 export const Leaderboard = ({ 
   type = 'points-all-time', 
   limit = 10, 
+  mode = 'top',
+  count = 5,
   className = '',
   showCurrentUser = true 
 }) => {
@@ -336,11 +340,15 @@ export const Leaderboard = ({
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
+    const paths = {
+      top: `/leaderboards/${type}?limit=${limit}`,
+      around: `/leaderboards/${type}/around/${config.userId}?count=${count}`,
+      friends: `/users/${config.userId}/friends/leaderboards/${type}?limit=${limit}`
+    };
+
     const fetchLeaderboard = async () => {
       try {
-        const response = await fetch(
-          `${config.apiUrl}/leaderboards/${type}?limit=${limit}`
-        );
+        const response = await fetch(`${config.apiUrl}${paths[mode] || paths.top}`);
         const data = await response.json();
         setLeaderboard(data);
       } catch (err) {
@@ -351,13 +359,13 @@ export const Leaderboard = ({
     };
 
     fetchLeaderboard();
-  }, [type, limit]);
+  }, [type, limit, mode, count]);
 
   if (loading) return <div className="gk-loading">Loading...</div>;
   if (!leaderboard) return null;
 
   return (
-    <div className={`gk-leaderboard ${className}`}>
+    <div className={`gk-leaderboard gk-leaderboard-${mode} ${className}`}>
       <div className="gk-leaderboard-list">
         {leaderboard.entries?.map(entry => (
           <div 
@@ -380,6 +388,10 @@ export const Leaderboard = ({
           </div>
         </div>
       )}
+
+      {showCurrentUser && leaderboard.topPercent !== undefined && (
+        <div className="gk-leaderboard-percentile">Top {leaderboard.topPercent}%</div>
+      )}
     </div>
   );
 };
@@ -6,16 +6,24 @@ export { LevelModule } from './src/modules/LevelModule.js';
 export { StreakModule } from './src/modules/StreakModule.js';
 export { QuestModule } from './src/modules/QuestModule.js';
 export { AchievementModule } from './src/modules/AchievementModule.js';
+export { RewardsModule } from './src/modules/RewardsModule.js';
+export { TeamModule } from './src/modules/TeamModule.js';
+export { LiveOpsModule } from './src/modules/LiveOpsModule.js';
 
 export { MemoryStorage } from './src/storage/MemoryStorage.js';
 export { RedisStorage } from './src/storage/RedisStorage.js';
 export { MongoStorage } from './src/storage/MongoStorage.js';
 export { PostgresStorage } from './src/storage/PostgresStorage.js';
+export { SqliteStorage } from './src/storage/SqliteStorage.js';
+export { StorageSnapshot } from './src/storage/StorageSnapshot.js';
+export { TransactionAbortedError, TRANSACTION_METHODS } from './src/storage/StorageInterface.js';
 
 export { gamificationRoutes } from './src/middleware/routes.js';
 
 export { SecretManager } from './src/config/SecretManager.js';
 export { HealthChecker } from './src/core/HealthChecker.js';
+export { Authenticator } from './src/core/Authenticator.js';
+export { TenantManager, TenantMap, tenantContext } from './src/core/TenantManager.js';
 export { RateLimiter, createRateLimitMiddleware } from './src/middleware/RateLimiter.js';
 export { ValidationMiddleware, commonSchemas, endpointSchemas } from './src/middleware/ValidationMiddleware.js';
 export {
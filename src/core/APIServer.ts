@@ -4,6 +4,10 @@ import { URL } from 'url';
 import { Socket } from 'net';
 import { Logger } from '../utils/logger.js';
 import type { GamificationKitInstance } from '../types/config.js';
+import { negotiateMetricsFormat, METRICS_CONTENT_TYPES } from './MetricsCollector.js';
+import type { RuleStore } from './RuleStore.js';
+import type { Authenticator, AuthPrincipal } from './Authenticator.js';
+import type { TenantManager } from './TenantManager.js';
 
 /**
  * Route handler context
@@ -15,6 +19,8 @@ export interface RouteContext {
   query: Record<string, string>;
   body: any;
   url: URL;
+  auth?: AuthPrincipal | null;
+  tenantId?: string | null;
 }
 
 /**
@@ -46,6 +52,8 @@ interface WebSocketClient {
   socket: Socket;
   send: (data: any) => void;
   close: () => void;
+  userId?: string;
+  tenantId?: string | null;
 }
 
 /**
@@ -71,6 +79,9 @@ export interface APIServerOptions {
   corsOrigins?: string[] | null;
   apiKey?: string;
   adminKeys?: string[];
+  authenticator?: Authenticator | null;
+  tenants?: TenantManager | null;
+  tenantHeader?: string;
   trustProxy?: boolean | number | string;
   rateLimit?: RateLimitOptions;
   logger?: any;
@@ -88,6 +99,9 @@ export class APIServer {
   private corsOrigins: string[] | null;
   private apiKey?: string;
   private adminKeys: Set<string>;
+  private authenticator: Authenticator | null;
+  private tenants: TenantManager | null;
+  private tenantHeader: string;
   private trustProxy: boolean;
   server: HTTPServer | null;
   private routes: Map<string, Route>;
@@ -107,6 +121,9 @@ export class APIServer {
     this.corsOrigins = options.corsOrigins || null; // null = allow all (dev mode), array = whitelist
     this.apiKey = options.apiKey;
     this.adminKeys = new Set(options.adminKeys || []); // Fix BUG-003/004: Admin authentication
+    this.authenticator = options.authenticator || null;
+    this.tenants = options.tenants || null;
+    this.tenantHeader = (options.tenantHeader || 'x-tenant-id').toLowerCase();
     this.trustProxy = Boolean(options.trustProxy || false); // Fix CRIT-001: Enable to trust X-Forwarded-For headers
     this.server = null;
     this.routes = new Map();
@@ -135,14 +152,66 @@ export class APIServer {
     this.addRoute('GET', '/users/:userId/streaks', this.handleGetUserStreaks.bind(this));
     this.addRoute('GET', '/users/:userId/quests', this.handleGetUserQuests.bind(this));
     this.addRoute('GET', '/users/:userId/history', this.handleGetUserHistory.bind(this));
+    this.addRoute('GET', '/users/:userId/seasons', this.handleGetUserSeasons.bind(this));
+    this.addRoute('GET', '/users/:userId/friends', this.handleGetFriends.bind(this));
+    this.addRoute('POST', '/users/:userId/friends/:friendId', this.handleAddFriend.bind(this));
+    this.addRoute('DELETE', '/users/:userId/friends/:friendId', this.handleRemoveFriend.bind(this));
+    this.addRoute('GET', '/users/:userId/friends/leaderboards/:type', this.handleGetFriendsLeaderboard.bind(this));
     this.addRoute('GET', '/leaderboards/:type', this.handleGetLeaderboard.bind(this));
     this.addRoute('GET', '/leaderboards/:type/user/:userId', this.handleGetUserPosition.bind(this));
+    this.addRoute('GET', '/leaderboards/:type/season', this.handleGetSeason.bind(this));
+    this.addRoute('GET', '/leaderboards/:type/around/:userId', this.handleGetAroundUser.bind(this));
     this.addRoute('GET', '/badges', this.handleGetBadges.bind(this));
     this.addRoute('GET', '/levels', this.handleGetLevels.bind(this));
     this.addRoute('GET', '/quests', this.handleGetQuests.bind(this));
+    this.addRoute('GET', '/rewards', this.handleGetRewards.bind(this));
+    this.addRoute('POST', '/users/:userId/rewards/:rewardId/redeem', this.handleRedeemReward.bind(this));
+    this.addRoute('GET', '/users/:userId/orders', this.handleGetUserOrders.bind(this));
+    this.addRoute('GET', '/users/:userId/inventory', this.handleGetUserInventory.bind(this));
+    this.addRoute('GET', '/users/:userId/team', this.handleGetUserTeam.bind(this));
+    this.addRoute('POST', '/users/:userId/team/leave', this.handleLeaveTeam.bind(this));
+    this.addRoute('GET', '/teams', this.handleGetTeams.bind(this));
+    this.addRoute('POST', '/teams', this.handleCreateTeam.bind(this));
+    this.addRoute('GET', '/teams/:teamId', this.handleGetTeam.bind(this));
+    this.addRoute('GET', '/teams/:teamId/quests', this.handleGetTeamQuests.bind(this));
+    this.addRoute('POST', '/teams/:teamId/join', this.handleJoinTeam.bind(this));
+    this.addRoute('POST', '/teams/:teamId/members/:userId/role', this.handleSetTeamRole.bind(this));
     this.addRoute('POST', '/events', this.handleTrackEvent.bind(this));
     this.addRoute('POST', '/admin/reset/:userId', this.handleResetUser.bind(this));
     this.addRoute('POST', '/admin/award', this.handleManualAward.bind(this));
+    this.addRoute('POST', '/admin/rebuild/:userId', this.handleRebuildUser.bind(this));
+    this.addRoute('GET', '/admin/export/:userId', this.handleExportUser.bind(this));
+    this.addRoute('POST', '/admin/erase/:userId', this.handleEraseUser.bind(this));
+    this.addRoute('GET', '/admin/tenants', this.handleListTenants.bind(this));
+    this.addRoute('DELETE', '/admin/tenants/:tenantId', this.handleDeleteTenant.bind(this));
+    this.addRoute('GET', '/admin/webhooks/dead-letters', this.handleGetDeadLetters.bind(this));
+    this.addRoute('DELETE', '/admin/webhooks/dead-letters', this.handlePurgeDeadLetters.bind(this));
+    this.addRoute('GET', '/admin/webhooks/dead-letters/:deadLetterId', this.handleGetDeadLetter.bind(this));
+    this.addRoute('POST', '/admin/webhooks/dead-letters/:deadLetterId/replay', this.handleReplayDeadLetter.bind(this));
+    this.addRoute('GET', '/admin/webhooks/:webhookId/deliveries', this.handleGetWebhookDeliveries.bind(this));
+    this.addRoute('GET', '/admin/rules', this.handleListRules.bind(this));
+    this.addRoute('POST', '/admin/rules', this.handleCreateRule.bind(this));
+    this.addRoute('POST', '/admin/rules/dry-run', this.handleDryRunRules.bind(this));
+    this.addRoute('GET', '/admin/rules/:ruleName', this.handleGetRule.bind(this));
+    this.addRoute('PUT', '/admin/rules/:ruleName', this.handleUpdateRule.bind(this));
+    this.addRoute('DELETE', '/admin/rules/:ruleName', this.handleDeleteRule.bind(this));
+    this.addRoute('GET', '/admin/rules/:ruleName/versions', this.handleGetRuleVersions.bind(this));
+    this.addRoute('POST', '/admin/rules/:ruleName/enable', this.handleEnableRule.bind(this));
+    this.addRoute('POST', '/admin/rules/:ruleName/disable', this.handleDisableRule.bind(this));
+    this.addRoute('POST', '/admin/rules/:ruleName/rollback', this.handleRollbackRule.bind(this));
+    this.addRoute('GET', '/admin/campaigns', this.handleGetCampaigns.bind(this));
+    this.addRoute('POST', '/admin/campaigns', this.handleCreateCampaign.bind(this));
+    this.addRoute('GET', '/admin/campaigns/:campaignId', this.handleGetCampaign.bind(this));
+    this.addRoute('POST', '/admin/campaigns/:campaignId/cancel', this.handleCancelCampaign.bind(this));
+    this.addRoute('GET', '/admin/abuse/flags', this.handleGetAbuseFlags.bind(this));
+    this.addRoute('POST', '/admin/abuse/flags/:userId', this.handleFlagUser.bind(this));
+    this.addRoute('DELETE', '/admin/abuse/flags/:userId', this.handleClearFlag.bind(this));
+    this.addRoute('GET', '/admin/abuse/held', this.handleGetHeldAwards.bind(this));
+    this.addRoute('POST', '/admin/abuse/held/:holdId/approve', this.handleApproveHeldAward.bind(this));
+    this.addRoute('POST', '/admin/abuse/held/:holdId/reject', this.handleRejectHeldAward.bind(this));
+    this.addRoute('POST', '/admin/transactions/:transactionId/reverse', this.handleReverseTransaction.bind(this));
+    this.addRoute('GET', '/admin/reversals', this.handleGetReversals.bind(this));
+    this.addRoute('GET', '/admin/reversals/:reversalId', this.handleGetReversal.bind(this));
   }
 
   private addRoute(method: string, path: string, handler: RouteHandler): void {
@@ -222,7 +291,30 @@ export class APIServer {
         return;
       }
 
-      const path = url.pathname.substring(this.prefix.length) || '/';
+      let path = url.pathname.substring(this.prefix.length) || '/';
+
+      // A tenant is picked with a /tenants/:tenantId path prefix or the tenant header
+      let tenantId = (req.headers[this.tenantHeader] as string) || null;
+      const tenantPath = path.match(/^\/tenants\/([^/]+)(\/.*)?$/);
+      if (tenantPath) {
+        tenantId = decodeURIComponent(tenantPath[1]);
+        path = tenantPath[2] || '/';
+      }
+
+      if (tenantId) {
+        if (!this.tenants) {
+          this.sendError(res, 400, 'Multi-tenancy is not enabled');
+          return;
+        }
+
+        try {
+          this.tenants.validateTenantId(tenantId);
+        } catch (error: any) {
+          this.sendError(res, 400, error.message);
+          return;
+        }
+      }
+
       const route = this.findRoute(req.method || 'GET', path);
 
       if (!route) {
@@ -233,6 +325,27 @@ export class APIServer {
       const params = this.extractParams(route.path, path);
       const query = Object.fromEntries(url.searchParams);
 
+      let auth: AuthPrincipal | null = null;
+      if (this.authenticator) {
+        try {
+          auth = await this.authenticator.authenticate(req);
+        } catch (error: any) {
+          this.sendError(res, 401, error.message);
+          return;
+        }
+
+        // Users may only read and act on their own data unless their token has the admin scope
+        if (route.path.startsWith('/users/:userId') && !this.authenticator.canAccessUser(auth, params.userId)) {
+          this.sendError(res, auth ? 403 : 401, auth ? 'Forbidden' : 'Authentication required');
+          return;
+        }
+
+        if (!this.authenticator.canAccessTenant(auth, tenantId)) {
+          this.sendError(res, 403, 'Forbidden');
+          return;
+        }
+      }
+
       let body: any = null;
       if (req.method === 'POST' || req.method === 'PUT' || req.method === 'PATCH') {
         body = await this.parseBody(req);
@@ -244,10 +357,16 @@ export class APIServer {
         params,
         query,
         body,
-        url
+        url,
+        auth,
+        tenantId
       };
 
-      await route.handler(context);
+      if (tenantId) {
+        await this.gamificationKit.withTenant(tenantId, () => route.handler(context));
+      } else {
+        await route.handler(context);
+      }
     } catch (error: any) {
       this.logger.error('Request handler error', { error });
       this.sendError(res, 500, 'Internal Server Error');
@@ -336,7 +455,7 @@ export class APIServer {
     }
 
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key, Idempotency-Key');
     res.setHeader('Access-Control-Max-Age', '86400');
   }
 
@@ -463,8 +582,22 @@ export class APIServer {
   }
 
   private async handleMetrics(context: RouteContext): Promise<void> {
-    const metrics = this.gamificationKit.getMetrics();
-    this.sendResponse(context.res, metrics || { message: 'Metrics not enabled' });
+    const format = negotiateMetricsFormat(context.req.headers?.accept);
+
+    if (format === 'json') {
+      const metrics = this.gamificationKit.getMetrics();
+      this.sendResponse(context.res, metrics || { message: 'Metrics not enabled' });
+      return;
+    }
+
+    const exposition = await this.gamificationKit.exportMetrics(format);
+    if (exposition === null) {
+      this.sendResponse(context.res, { message: 'Metrics not enabled' });
+      return;
+    }
+
+    context.res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPES[format] });
+    context.res.end(exposition);
   }
 
   private async handleGetUser(context: RouteContext): Promise<void> {
@@ -487,6 +620,13 @@ export class APIServer {
         return;
       }
 
+      const { currency } = context.query;
+      if (currency) {
+        const points = await (module as any).getPoints(userId, currency);
+        this.sendResponse(context.res, { userId, currency, points });
+        return;
+      }
+
       const points = await (module as any).getPoints(userId);
       this.sendResponse(context.res, { userId, points });
     } catch (error: any) {
@@ -521,7 +661,8 @@ export class APIServer {
         return;
       }
 
-      const level = await (module as any).getUserLevel(userId);
+      const { track } = context.query;
+      const level = await (module as any).getUserLevel(userId, track);
       this.sendResponse(context.res, { userId, level });
     } catch (error: any) {
       this.sendError(context.res, 400, error.message);
@@ -564,13 +705,25 @@ export class APIServer {
 
   private async handleGetUserHistory(context: RouteContext): Promise<void> {
     try {
-      const { userId } = context.params;
-      const { limit = '100' } = context.query;
+      const journal = this.gamificationKit.journal;
+      if (!journal) {
+        this.sendError(context.res, 404, 'Event journal not enabled');
+        return;
+      }
 
-      const history = await this.gamificationKit.storage.get(`history:${userId}`) || [];
-      const limitedHistory = history.slice(-parseInt(limit));
+      const { userId } = context.params;
+      const { limit = '100', cursor, types, from, to, order } = context.query;
+
+      const page = await journal.getHistory(userId, {
+        limit: parseInt(limit),
+        cursor,
+        eventTypes: types ? types.split(',') : undefined,
+        from,
+        to,
+        order
+      });
 
-      this.sendResponse(context.res, { userId, history: limitedHistory });
+      this.sendResponse(context.res, { userId, history: page.entries, nextCursor: page.nextCursor });
     } catch (error: any) {
       this.sendError(context.res, 400, error.message);
     }
@@ -615,6 +768,144 @@ export class APIServer {
     }
   }
 
+  private async handleGetAroundUser(context: RouteContext): Promise<void> {
+    try {
+      const { type, userId } = context.params;
+      const { count = '5' } = context.query;
+      const module = this.gamificationKit.modules.get('leaderboards');
+
+      if (!module) {
+        this.sendError(context.res, 404, 'Leaderboard module not found');
+        return;
+      }
+
+      const around = await (module as any).getAroundUser(type, userId, { count: parseInt(count) });
+      if (!around) {
+        this.sendError(context.res, 404, `User ${userId} is not on leaderboard ${type}`);
+        return;
+      }
+
+      this.sendResponse(context.res, around);
+    } catch (error: any) {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
+
+  private async handleGetFriends(context: RouteContext): Promise<void> {
+    try {
+      const { userId } = context.params;
+      const module = this.gamificationKit.modules.get('leaderboards');
+
+      if (!module) {
+        this.sendError(context.res, 404, 'Leaderboard module not found');
+        return;
+      }
+
+      const friends = await (module as any).getFriends(userId);
+      this.sendResponse(context.res, { userId, friends });
+    } catch (error: any) {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
+
+  private async handleAddFriend(context: RouteContext): Promise<void> {
+    try {
+      const { userId, friendId } = context.params;
+      const { mutual = true } = context.body || {};
+      const module = this.gamificationKit.modules.get('leaderboards');
+
+      if (!module) {
+        this.sendError(context.res, 404, 'Leaderboard module not found');
+        return;
+      }
+
+      const result = await (module as any).addFriend(userId, friendId, { mutual: mutual !== false });
+      this.sendResponse(context.res, result, result.success ? 200 : 409);
+    } catch (error: any) {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
+
+  private async handleRemoveFriend(context: RouteContext): Promise<void> {
+    try {
+      const { userId, friendId } = context.params;
+      const { mutual } = context.query;
+      const module = this.gamificationKit.modules.get('leaderboards');
+
+      if (!module) {
+        this.sendError(context.res, 404, 'Leaderboard module not found');
+        return;
+      }
+
+      const result = await (module as any).removeFriend(userId, friendId, { mutual: mutual !== 'false' });
+      this.sendResponse(context.res, result);
+    } catch (error: any) {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
+
+  private async handleGetFriendsLeaderboard(context: RouteContext): Promise<void> {
+    try {
+      const { userId, type } = context.params;
+      const { limit = '100' } = context.query;
+      const module = this.gamificationKit.modules.get('leaderboards');
+
+      if (!module) {
+        this.sendError(context.res, 404, 'Leaderboard module not found');
+        return;
+      }
+
+      const leaderboard = await (module as any).getFriendsLeaderboard(type, userId, { limit: parseInt(limit) });
+      this.sendResponse(context.res, leaderboard);
+    } catch (error: any) {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
+
+  private async handleGetSeason(context: RouteContext): Promise<void> {
+    try {
+      const { type } = context.params;
+      const module = this.gamificationKit.modules.get('leaderboards');
+
+      if (!module) {
+        this.sendError(context.res, 404, 'Leaderboard module not found');
+        return;
+      }
+
+      const season = await (module as any).getSeason(type);
+      if (!season) {
+        this.sendError(context.res, 404, `Leaderboard has no season: ${type}`);
+        return;
+      }
+
+      this.sendResponse(context.res, season);
+    } catch (error: any) {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
+
+  private async handleGetUserSeasons(context: RouteContext): Promise<void> {
+    try {
+      const { userId } = context.params;
+      const { leaderboard, limit = '10' } = context.query;
+      const module = this.gamificationKit.modules.get('leaderboards');
+
+      if (!module) {
+        this.sendError(context.res, 404, 'Leaderboard module not found');
+        return;
+      }
+
+      const seasons = await (module as any).getUserSeasonHistory(userId, {
+        leaderboardId: leaderboard || null,
+        limit: parseInt(limit)
+      });
+
+      this.sendResponse(context.res, { userId, seasons });
+    } catch (error: any) {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
+
   private async handleGetBadges(context: RouteContext): Promise<void> {
     try {
       const module = this.gamificationKit.modules.get('badges');
@@ -640,7 +931,7 @@ export class APIServer {
         return;
       }
 
-      const levels = await (module as any).getLevelStructure();
+      const levels = await (module as any).getLevelStructure(context.query.track);
       this.sendResponse(context.res, { levels });
     } catch (error: any) {
       this.sendError(context.res, 400, error.message);
@@ -663,130 +954,1141 @@ export class APIServer {
     }
   }
 
-  private async handleTrackEvent(context: RouteContext): Promise<void> {
+  private async handleGetRewards(context: RouteContext): Promise<void> {
     try {
-      if (!context.body) {
-        this.sendError(context.res, 400, 'Invalid request body');
+      const { category, includeUnavailable } = context.query;
+      const module = this.gamificationKit.modules.get('rewards');
+
+      if (!module) {
+        this.sendError(context.res, 404, 'Rewards module not found');
         return;
       }
 
-      const { eventName, ...data } = context.body;
+      const rewards = await (module as any).getCatalog({
+        category,
+        includeUnavailable: includeUnavailable === 'true'
+      });
+      this.sendResponse(context.res, { rewards });
+    } catch (error: any) {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
 
-      if (!eventName) {
-        this.sendError(context.res, 400, 'eventName is required');
+  private async handleRedeemReward(context: RouteContext): Promise<void> {
+    try {
+      const { userId, rewardId } = context.params;
+      const { quantity = 1, metadata = {} } = context.body || {};
+      const module = this.gamificationKit.modules.get('rewards');
+
+      if (!module) {
+        this.sendError(context.res, 404, 'Rewards module not found');
         return;
       }
 
-      const result = await this.gamificationKit.track(eventName, data);
-      this.sendResponse(context.res, result);
+      const result = await (module as any).redeem(userId, rewardId, quantity, metadata);
+      this.sendResponse(context.res, result, result.success ? 200 : 409);
     } catch (error: any) {
       this.sendError(context.res, 400, error.message);
     }
   }
 
-  private async handleResetUser(context: RouteContext): Promise<void> {
+  private async handleGetUserOrders(context: RouteContext): Promise<void> {
     try {
-      // Fix BUG-003: Require admin authorization for user reset
-      if (!this.isAdminRequest(context.req)) {
-        this.sendError(context.res, 403, 'Admin access required');
+      const { userId } = context.params;
+      const { limit = '50' } = context.query;
+      const module = this.gamificationKit.modules.get('rewards');
+
+      if (!module) {
+        this.sendError(context.res, 404, 'Rewards module not found');
         return;
       }
 
+      const orders = await (module as any).getOrders(userId, parseInt(limit));
+      this.sendResponse(context.res, { userId, orders });
+    } catch (error: any) {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
+
+  private async handleGetUserInventory(context: RouteContext): Promise<void> {
+    try {
       const { userId } = context.params;
+      const module = this.gamificationKit.modules.get('rewards');
 
-      // Log admin action for audit trail
-      const apiKey = context.req.headers['x-api-key'];
-      this.logger.warn(`Admin action: User reset requested`, { userId, apiKey: apiKey ? (apiKey as string).substring(0, 8) + '...' : 'none' });
+      if (!module) {
+        this.sendError(context.res, 404, 'Rewards module not found');
+        return;
+      }
 
-      const result = await this.gamificationKit.resetUser(userId);
-      this.sendResponse(context.res, result);
+      const inventory = await (module as any).getInventory(userId);
+      this.sendResponse(context.res, { userId, inventory });
     } catch (error: any) {
       this.sendError(context.res, 400, error.message);
     }
   }
 
-  private async handleManualAward(context: RouteContext): Promise<void> {
+  private async handleGetTeams(context: RouteContext): Promise<void> {
     try {
-      // Fix BUG-004: Require admin authorization for manual awards
-      if (!this.isAdminRequest(context.req)) {
-        this.sendError(context.res, 403, 'Admin access required');
-        return;
-      }
+      const module = this.gamificationKit.modules.get('teams');
 
-      if (!context.body) {
-        this.sendError(context.res, 400, 'Invalid request body');
+      if (!module) {
+        this.sendError(context.res, 404, 'Teams module not found');
         return;
       }
 
-      const { userId, type, value, reason } = context.body;
+      const teams = await (module as any).getAllTeams();
+      this.sendResponse(context.res, { teams });
+    } catch (error: any) {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
 
-      if (!userId || !type || value === undefined) {
-        this.sendError(context.res, 400, 'userId, type, and value are required');
+  private async handleGetTeam(context: RouteContext): Promise<void> {
+    try {
+      const { teamId } = context.params;
+      const { source = 'points', period = 'all-time' } = context.query;
+      const module = this.gamificationKit.modules.get('teams');
+
+      if (!module) {
+        this.sendError(context.res, 404, 'Teams module not found');
         return;
       }
 
-      // Fix BUG-019: Validate value is positive
-      if (typeof value === 'number' && value <= 0) {
-        this.sendError(context.res, 400, 'value must be greater than 0');
+      const team = await (module as any).getTeam(teamId);
+      if (!team) {
+        this.sendError(context.res, 404, 'Team not found');
         return;
       }
 
-      // Log admin action for audit trail
-      const apiKey = context.req.headers['x-api-key'];
-      this.logger.warn(`Admin action: Manual award`, { userId, type, value, reason, apiKey: apiKey ? (apiKey as string).substring(0, 8) + '...' : 'none' });
+      const [members, score, contributions] = await Promise.all([
+        (module as any).getMembers(teamId),
+        (module as any).getTeamScore(teamId, source, period),
+        (module as any).getContributions(teamId, source, period)
+      ]);
 
-      let result;
+      this.sendResponse(context.res, { team, members, source, period, score, contributions });
+    } catch (error: any) {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
 
-      switch (type) {
-        case 'points':
-          const pointsModule = this.gamificationKit.modules.get('points');
-          if (pointsModule) {
-            result = await (pointsModule as any).award(userId, value, reason);
-          }
-          break;
+  private async handleCreateTeam(context: RouteContext): Promise<void> {
+    try {
+      const { userId: requested, ...options } = context.body || {};
+      const module = this.gamificationKit.modules.get('teams');
 
-        case 'badge':
-          const badgeModule = this.gamificationKit.modules.get('badges');
-          if (badgeModule) {
-            result = await (badgeModule as any).award(userId, value);
-          }
-          break;
+      if (!module) {
+        this.sendError(context.res, 404, 'Teams module not found');
+        return;
+      }
 
-        case 'xp':
-          const levelModule = this.gamificationKit.modules.get('levels');
-          if (levelModule) {
-            result = await (levelModule as any).addXP(userId, value, reason);
-          }
-          break;
+      const userId = this.getTeamActor(context, requested);
+      if (userId === null) return;
 
-        default:
-          this.sendError(context.res, 400, `Unknown award type: ${type}`);
-          return;
-      }
+      const team = await (module as any).createTeam(userId, options);
+      this.sendResponse(context.res, { team }, 201);
+    } catch (error: any) {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
 
-      if (!result) {
-        this.sendError(context.res, 404, `Module not found for type: ${type}`);
+  private async handleJoinTeam(context: RouteContext): Promise<void> {
+    try {
+      const { teamId } = context.params;
+      const module = this.gamificationKit.modules.get('teams');
+
+      if (!module) {
+        this.sendError(context.res, 404, 'Teams module not found');
         return;
       }
 
-      this.sendResponse(context.res, { success: true, result });
+      const userId = this.getTeamActor(context, context.body?.userId);
+      if (userId === null) return;
+
+      const result = await (module as any).joinTeam(userId, teamId);
+      this.sendResponse(context.res, result, result.success ? 200 : 409);
     } catch (error: any) {
       this.sendError(context.res, 400, error.message);
     }
   }
 
-  private handleWebSocketUpgrade(request: IncomingMessage, socket: Socket, head: Buffer): void {
-    const url = new URL(request.url || '', `http://${request.headers.host}`);
-
+  private async handleLeaveTeam(context: RouteContext): Promise<void> {
+    try {
+      const { userId } = context.params;
+      const module = this.gamificationKit.modules.get('teams');
+
+      if (!module) {
+        this.sendError(context.res, 404, 'Teams module not found');
+        return;
+      }
+
+      const result = await (module as any).leaveTeam(userId);
+      this.sendResponse(context.res, result, result.success ? 200 : 409);
+    } catch (error: any) {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
+
+  private async handleSetTeamRole(context: RouteContext): Promise<void> {
+    try {
+      const { teamId, userId } = context.params;
+      const { actorId: requested, role } = context.body || {};
+      const module = this.gamificationKit.modules.get('teams');
+
+      if (!module) {
+        this.sendError(context.res, 404, 'Teams module not found');
+        return;
+      }
+
+      const actorId = this.getTeamActor(context, requested);
+      if (actorId === null) return;
+
+      const result = await (module as any).setRole(actorId, teamId, userId, role);
+      this.sendResponse(context.res, result, result.success ? 200 : 403);
+    } catch (error: any) {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
+
+  /**
+   * With `auth` enabled, team requests act for the token's subject; only admins may name
+   * another user in the body. Returns null after responding when the request is refused.
+   */
+  private getTeamActor(context: RouteContext, requested: string | undefined): string | undefined | null {
+    if (!this.authenticator) return requested;
+
+    const { auth } = context;
+    if (!auth) {
+      this.sendError(context.res, 401, 'Authentication required');
+      return null;
+    }
+
+    if (requested && requested !== auth.subject && !this.authenticator.isAdmin(auth)) {
+      this.sendError(context.res, 403, 'Forbidden');
+      return null;
+    }
+
+    return requested || auth.subject;
+  }
+
+  private async handleGetUserTeam(context: RouteContext): Promise<void> {
+    try {
+      const { userId } = context.params;
+      const module = this.gamificationKit.modules.get('teams');
+
+      if (!module) {
+        this.sendError(context.res, 404, 'Teams module not found');
+        return;
+      }
+
+      const team = await (module as any).getUserTeam(userId);
+      this.sendResponse(context.res, { userId, team });
+    } catch (error: any) {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
+
+  private async handleGetTeamQuests(context: RouteContext): Promise<void> {
+    try {
+      const { teamId } = context.params;
+      const module = this.gamificationKit.modules.get('teams');
+
+      if (!module) {
+        this.sendError(context.res, 404, 'Teams module not found');
+        return;
+      }
+
+      const quests = await (module as any).getTeamQuests(teamId);
+      this.sendResponse(context.res, { teamId, quests });
+    } catch (error: any) {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
+
+  private async handleTrackEvent(context: RouteContext): Promise<void> {
+    try {
+      if (!context.body) {
+        this.sendError(context.res, 400, 'Invalid request body');
+        return;
+      }
+
+      const { eventName, ...data } = context.body;
+
+      if (!eventName) {
+        this.sendError(context.res, 400, 'eventName is required');
+        return;
+      }
+
+      // A user's token may only track that user's own events; admin tokens may track anyone's
+      if (this.authenticator && context.auth && !this.authenticator.canAccessUser(context.auth, data.userId)) {
+        this.sendError(context.res, 403, 'Forbidden');
+        return;
+      }
+
+      // Producers send the same Idempotency-Key when retrying so the event is only processed once
+      const idempotencyKey = context.req.headers?.['idempotency-key'];
+      const result = idempotencyKey
+        ? await this.gamificationKit.track(eventName, data, { idempotencyKey: String(idempotencyKey) })
+        : await this.gamificationKit.track(eventName, data);
+      this.sendResponse(context.res, result);
+    } catch (error: any) {
+      // The original request with this Idempotency-Key hasn't finished yet
+      this.sendError(context.res, error.message.endsWith('is still being processed') ? 409 : 400, error.message);
+    }
+  }
+
+  private async handleResetUser(context: RouteContext): Promise<void> {
+    try {
+      // Fix BUG-003: Require admin authorization for user reset
+      if (!this.isAdminRequest(context.req)) {
+        this.sendError(context.res, 403, 'Admin access required');
+        return;
+      }
+
+      const { userId } = context.params;
+
+      // Log admin action for audit trail
+      const apiKey = context.req.headers['x-api-key'];
+      this.logger.warn(`Admin action: User reset requested`, { userId, apiKey: apiKey ? (apiKey as string).substring(0, 8) + '...' : 'none' });
+
+      const result = await this.gamificationKit.resetUser(userId);
+      this.sendResponse(context.res, result);
+    } catch (error: any) {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
+
+  private async handleRebuildUser(context: RouteContext): Promise<void> {
+    try {
+      if (!this.isAdminRequest(context.req)) {
+        this.sendError(context.res, 403, 'Admin access required');
+        return;
+      }
+
+      const { userId } = context.params;
+
+      const apiKey = context.req.headers['x-api-key'];
+      this.logger.warn('Admin action: User rebuild requested', { userId, apiKey: apiKey ? (apiKey as string).substring(0, 8) + '...' : 'none' });
+
+      const result = await this.gamificationKit.rebuildUser(userId);
+      this.sendResponse(context.res, result);
+    } catch (error: any) {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
+
+  private async handleExportUser(context: RouteContext): Promise<void> {
+    try {
+      if (!this.isAdminRequest(context.req)) {
+        this.sendError(context.res, 403, 'Admin access required');
+        return;
+      }
+
+      const { userId } = context.params;
+
+      const apiKey = context.req.headers['x-api-key'];
+      this.logger.warn('Admin action: User data export requested', { userId, apiKey: apiKey ? (apiKey as string).substring(0, 8) + '...' : 'none' });
+
+      const result = await this.gamificationKit.exportUser(userId);
+      this.sendResponse(context.res, result);
+    } catch (error: any) {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
+
+  private async handleEraseUser(context: RouteContext): Promise<void> {
+    try {
+      if (!this.isAdminRequest(context.req)) {
+        this.sendError(context.res, 403, 'Admin access required');
+        return;
+      }
+
+      const { userId } = context.params;
+
+      const apiKey = context.req.headers['x-api-key'];
+      this.logger.warn('Admin action: User erasure requested', { userId, apiKey: apiKey ? (apiKey as string).substring(0, 8) + '...' : 'none' });
+
+      const result = await this.gamificationKit.eraseUser(userId);
+      this.sendResponse(context.res, result);
+    } catch (error: any) {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
+
+  private async handleListTenants(context: RouteContext): Promise<void> {
+    try {
+      if (!this.isAdminRequest(context.req)) {
+        this.sendError(context.res, 403, 'Admin access required');
+        return;
+      }
+
+      const tenants = await this.gamificationKit.listTenants();
+      this.sendResponse(context.res, { tenants });
+    } catch (error: any) {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
+
+  private async handleDeleteTenant(context: RouteContext): Promise<void> {
+    try {
+      if (!this.isAdminRequest(context.req)) {
+        this.sendError(context.res, 403, 'Admin access required');
+        return;
+      }
+
+      const { tenantId } = context.params;
+
+      const tenants = await this.gamificationKit.listTenants();
+      if (!tenants.includes(tenantId)) {
+        this.sendError(context.res, 404, `Tenant not found: ${tenantId}`);
+        return;
+      }
+
+      const apiKey = context.req.headers['x-api-key'];
+      this.logger.warn('Admin action: Tenant deletion requested', { tenantId, apiKey: apiKey ? (apiKey as string).substring(0, 8) + '...' : 'none' });
+
+      const result = await this.gamificationKit.deleteTenant(tenantId);
+      this.sendResponse(context.res, result);
+    } catch (error: any) {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
+
+  private async handleManualAward(context: RouteContext): Promise<void> {
+    try {
+      // Fix BUG-004: Require admin authorization for manual awards
+      if (!this.isAdminRequest(context.req)) {
+        this.sendError(context.res, 403, 'Admin access required');
+        return;
+      }
+
+      if (!context.body) {
+        this.sendError(context.res, 400, 'Invalid request body');
+        return;
+      }
+
+      const { userId, type, value, reason } = context.body;
+
+      if (!userId || !type || value === undefined) {
+        this.sendError(context.res, 400, 'userId, type, and value are required');
+        return;
+      }
+
+      // Fix BUG-019: Validate value is positive
+      if (typeof value === 'number' && value <= 0) {
+        this.sendError(context.res, 400, 'value must be greater than 0');
+        return;
+      }
+
+      // Log admin action for audit trail
+      const apiKey = context.req.headers['x-api-key'];
+      this.logger.warn(`Admin action: Manual award`, { userId, type, value, reason, apiKey: apiKey ? (apiKey as string).substring(0, 8) + '...' : 'none' });
+
+      let result;
+
+      switch (type) {
+        case 'points':
+          const pointsModule = this.gamificationKit.modules.get('points');
+          if (pointsModule) {
+            result = await (pointsModule as any).award(userId, value, reason);
+          }
+          break;
+
+        case 'badge':
+          const badgeModule = this.gamificationKit.modules.get('badges');
+          if (badgeModule) {
+            result = await (badgeModule as any).award(userId, value);
+          }
+          break;
+
+        case 'xp':
+          const levelModule = this.gamificationKit.modules.get('levels');
+          if (levelModule) {
+            result = await (levelModule as any).addXP(userId, value, reason);
+          }
+          break;
+
+        default:
+          this.sendError(context.res, 400, `Unknown award type: ${type}`);
+          return;
+      }
+
+      if (!result) {
+        this.sendError(context.res, 404, `Module not found for type: ${type}`);
+        return;
+      }
+
+      this.sendResponse(context.res, { success: true, result });
+    } catch (error: any) {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
+
+  private async handleGetDeadLetters(context: RouteContext): Promise<void> {
+    try {
+      if (!this.isAdminRequest(context.req)) {
+        this.sendError(context.res, 403, 'Admin access required');
+        return;
+      }
+
+      const webhookManager = this.gamificationKit.webhookManager;
+      if (!webhookManager) {
+        this.sendError(context.res, 404, 'Webhooks not enabled');
+        return;
+      }
+
+      const { webhookId, limit = '100' } = context.query;
+      const deadLetters = await webhookManager.getDeadLetters({ webhookId, limit: parseInt(limit) });
+      this.sendResponse(context.res, { deadLetters });
+    } catch (error: any) {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
+
+  private async handleGetDeadLetter(context: RouteContext): Promise<void> {
+    try {
+      if (!this.isAdminRequest(context.req)) {
+        this.sendError(context.res, 403, 'Admin access required');
+        return;
+      }
+
+      const webhookManager = this.gamificationKit.webhookManager;
+      if (!webhookManager) {
+        this.sendError(context.res, 404, 'Webhooks not enabled');
+        return;
+      }
+
+      const deadLetter = await webhookManager.getDeadLetter(context.params.deadLetterId);
+      if (!deadLetter) {
+        this.sendError(context.res, 404, 'Dead letter not found');
+        return;
+      }
+
+      this.sendResponse(context.res, deadLetter);
+    } catch (error: any) {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
+
+  private async handleReplayDeadLetter(context: RouteContext): Promise<void> {
+    try {
+      if (!this.isAdminRequest(context.req)) {
+        this.sendError(context.res, 403, 'Admin access required');
+        return;
+      }
+
+      const webhookManager = this.gamificationKit.webhookManager;
+      if (!webhookManager) {
+        this.sendError(context.res, 404, 'Webhooks not enabled');
+        return;
+      }
+
+      const { deadLetterId } = context.params;
+      if (!await webhookManager.getDeadLetter(deadLetterId)) {
+        this.sendError(context.res, 404, 'Dead letter not found');
+        return;
+      }
+
+      const apiKey = context.req.headers['x-api-key'];
+      this.logger.warn('Admin action: Dead letter replay', { deadLetterId, apiKey: apiKey ? (apiKey as string).substring(0, 8) + '...' : 'none' });
+
+      const item = await webhookManager.replayDeadLetter(deadLetterId);
+      this.sendResponse(context.res, { success: true, itemId: item.id }, 202);
+    } catch (error: any) {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
+
+  private async handlePurgeDeadLetters(context: RouteContext): Promise<void> {
+    try {
+      if (!this.isAdminRequest(context.req)) {
+        this.sendError(context.res, 403, 'Admin access required');
+        return;
+      }
+
+      const webhookManager = this.gamificationKit.webhookManager;
+      if (!webhookManager) {
+        this.sendError(context.res, 404, 'Webhooks not enabled');
+        return;
+      }
+
+      const { webhookId } = context.query;
+
+      const apiKey = context.req.headers['x-api-key'];
+      this.logger.warn('Admin action: Dead letter purge', { webhookId, apiKey: apiKey ? (apiKey as string).substring(0, 8) + '...' : 'none' });
+
+      const purged = await webhookManager.purgeDeadLetters({ webhookId });
+      this.sendResponse(context.res, { success: true, purged });
+    } catch (error: any) {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
+
+  private async handleGetWebhookDeliveries(context: RouteContext): Promise<void> {
+    try {
+      if (!this.isAdminRequest(context.req)) {
+        this.sendError(context.res, 403, 'Admin access required');
+        return;
+      }
+
+      const webhookManager = this.gamificationKit.webhookManager;
+      if (!webhookManager) {
+        this.sendError(context.res, 404, 'Webhooks not enabled');
+        return;
+      }
+
+      const { webhookId } = context.params;
+      const { limit = '50' } = context.query;
+      const deliveries = await webhookManager.getDeliveryLog(webhookId, parseInt(limit));
+      this.sendResponse(context.res, { webhookId, deliveries });
+    } catch (error: any) {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
+
+  // Admin check plus the stored-rules lookup shared by every rule management route
+  private getRuleStore(context: RouteContext): RuleStore | null {
+    if (!this.isAdminRequest(context.req)) {
+      this.sendError(context.res, 403, 'Admin access required');
+      return null;
+    }
+
+    const ruleStore = this.gamificationKit.ruleStore;
+    if (!ruleStore) {
+      this.sendError(context.res, 404, 'Rule store not enabled');
+      return null;
+    }
+
+    return ruleStore;
+  }
+
+  private getAdminActor(req: IncomingMessage): string {
+    const apiKey = req.headers['x-api-key'];
+    return apiKey ? (apiKey as string).substring(0, 8) + '...' : 'none';
+  }
+
+  private sendRuleError(context: RouteContext, error: any): void {
+    if (error.message.startsWith('Rule not found') || error.message.startsWith('Rule version not found')) {
+      this.sendError(context.res, 404, error.message);
+    } else if (error.message.startsWith('Rule already exists')) {
+      this.sendError(context.res, 409, error.message);
+    } else {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
+
+  private async handleListRules(context: RouteContext): Promise<void> {
+    try {
+      const ruleStore = this.getRuleStore(context);
+      if (!ruleStore) return;
+
+      const rules = await ruleStore.list();
+      this.sendResponse(context.res, { rules });
+    } catch (error: any) {
+      this.sendRuleError(context, error);
+    }
+  }
+
+  private async handleGetRule(context: RouteContext): Promise<void> {
+    try {
+      const ruleStore = this.getRuleStore(context);
+      if (!ruleStore) return;
+
+      const rule = await ruleStore.get(context.params.ruleName);
+      if (!rule) {
+        this.sendError(context.res, 404, `Rule not found: ${context.params.ruleName}`);
+        return;
+      }
+
+      this.sendResponse(context.res, rule);
+    } catch (error: any) {
+      this.sendRuleError(context, error);
+    }
+  }
+
+  private async handleCreateRule(context: RouteContext): Promise<void> {
+    try {
+      const ruleStore = this.getRuleStore(context);
+      if (!ruleStore) return;
+
+      if (!context.body) {
+        this.sendError(context.res, 400, 'Invalid request body');
+        return;
+      }
+
+      const { name, ...definition } = context.body;
+      const actor = this.getAdminActor(context.req);
+      this.logger.warn('Admin action: Rule created', { ruleName: name, apiKey: actor });
+
+      const rule = await ruleStore.create(name, definition, actor);
+      this.sendResponse(context.res, rule, 201);
+    } catch (error: any) {
+      this.sendRuleError(context, error);
+    }
+  }
+
+  private async handleUpdateRule(context: RouteContext): Promise<void> {
+    try {
+      const ruleStore = this.getRuleStore(context);
+      if (!ruleStore) return;
+
+      if (!context.body) {
+        this.sendError(context.res, 400, 'Invalid request body');
+        return;
+      }
+
+      const { ruleName } = context.params;
+      const actor = this.getAdminActor(context.req);
+      this.logger.warn('Admin action: Rule updated', { ruleName, apiKey: actor });
+
+      const rule = await ruleStore.update(ruleName, context.body, actor);
+      this.sendResponse(context.res, rule);
+    } catch (error: any) {
+      this.sendRuleError(context, error);
+    }
+  }
+
+  private async handleEnableRule(context: RouteContext): Promise<void> {
+    await this.setRuleEnabled(context, true);
+  }
+
+  private async handleDisableRule(context: RouteContext): Promise<void> {
+    await this.setRuleEnabled(context, false);
+  }
+
+  private async setRuleEnabled(context: RouteContext, enabled: boolean): Promise<void> {
+    try {
+      const ruleStore = this.getRuleStore(context);
+      if (!ruleStore) return;
+
+      const { ruleName } = context.params;
+      const actor = this.getAdminActor(context.req);
+      this.logger.warn(enabled ? 'Admin action: Rule enabled' : 'Admin action: Rule disabled', { ruleName, apiKey: actor });
+
+      const rule = await ruleStore.setEnabled(ruleName, enabled, actor);
+      this.sendResponse(context.res, rule);
+    } catch (error: any) {
+      this.sendRuleError(context, error);
+    }
+  }
+
+  private async handleRollbackRule(context: RouteContext): Promise<void> {
+    try {
+      const ruleStore = this.getRuleStore(context);
+      if (!ruleStore) return;
+
+      const version = Number(context.body?.version);
+      if (!Number.isInteger(version) || version < 1) {
+        this.sendError(context.res, 400, 'version must be a positive integer');
+        return;
+      }
+
+      const { ruleName } = context.params;
+      const actor = this.getAdminActor(context.req);
+      this.logger.warn('Admin action: Rule rolled back', { ruleName, version, apiKey: actor });
+
+      const rule = await ruleStore.rollback(ruleName, version, actor);
+      this.sendResponse(context.res, rule);
+    } catch (error: any) {
+      this.sendRuleError(context, error);
+    }
+  }
+
+  private async handleDeleteRule(context: RouteContext): Promise<void> {
+    try {
+      const ruleStore = this.getRuleStore(context);
+      if (!ruleStore) return;
+
+      const { ruleName } = context.params;
+      const actor = this.getAdminActor(context.req);
+      this.logger.warn('Admin action: Rule deleted', { ruleName, apiKey: actor });
+
+      await ruleStore.delete(ruleName, actor);
+      this.sendResponse(context.res, { success: true, ruleName });
+    } catch (error: any) {
+      this.sendRuleError(context, error);
+    }
+  }
+
+  private async handleGetRuleVersions(context: RouteContext): Promise<void> {
+    try {
+      const ruleStore = this.getRuleStore(context);
+      if (!ruleStore) return;
+
+      const { ruleName } = context.params;
+      const versions = await ruleStore.getVersions(ruleName);
+      if (versions.length === 0) {
+        this.sendError(context.res, 404, `Rule not found: ${ruleName}`);
+        return;
+      }
+
+      this.sendResponse(context.res, { ruleName, versions });
+    } catch (error: any) {
+      this.sendRuleError(context, error);
+    }
+  }
+
+  private async handleDryRunRules(context: RouteContext): Promise<void> {
+    try {
+      if (!this.isAdminRequest(context.req)) {
+        this.sendError(context.res, 403, 'Admin access required');
+        return;
+      }
+
+      const { event, ruleName = null } = context.body || {};
+      if (!event || !event.eventName) {
+        this.sendError(context.res, 400, 'event with an eventName is required');
+        return;
+      }
+
+      // Same shape the rule engine sees for a tracked event
+      const sample = { ...event, timestamp: event.timestamp || Date.now() };
+      const result = await this.gamificationKit.ruleEngine.dryRun(sample, ruleName);
+      this.sendResponse(context.res, result);
+    } catch (error: any) {
+      this.sendRuleError(context, error);
+    }
+  }
+
+  // Admin check plus the LiveOps module lookup shared by every campaign route
+  private getLiveOpsModule(context: RouteContext): any {
+    if (!this.isAdminRequest(context.req)) {
+      this.sendError(context.res, 403, 'Admin access required');
+      return null;
+    }
+
+    const liveOpsModule = this.gamificationKit.modules.get('liveops');
+    if (!liveOpsModule) {
+      this.sendError(context.res, 404, 'LiveOps module not found');
+      return null;
+    }
+
+    return liveOpsModule;
+  }
+
+  private sendCampaignError(context: RouteContext, error: any): void {
+    if (error.message.startsWith('Campaign not found')) {
+      this.sendError(context.res, 404, error.message);
+    } else if (error.message.startsWith('Campaign already exists')) {
+      this.sendError(context.res, 409, error.message);
+    } else {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
+
+  private async handleGetCampaigns(context: RouteContext): Promise<void> {
+    try {
+      const liveOpsModule = this.getLiveOpsModule(context);
+      if (!liveOpsModule) return;
+
+      const { from, to, includeCancelled } = context.query;
+      const campaigns = await liveOpsModule.getCalendar({
+        from: from !== undefined && !isNaN(Number(from)) ? Number(from) : from,
+        to: to !== undefined && !isNaN(Number(to)) ? Number(to) : to,
+        includeCancelled: includeCancelled !== 'false'
+      });
+      this.sendResponse(context.res, { campaigns });
+    } catch (error: any) {
+      this.sendCampaignError(context, error);
+    }
+  }
+
+  private async handleGetCampaign(context: RouteContext): Promise<void> {
+    try {
+      const liveOpsModule = this.getLiveOpsModule(context);
+      if (!liveOpsModule) return;
+
+      const campaign = await liveOpsModule.getCampaign(context.params.campaignId);
+      if (!campaign) {
+        this.sendError(context.res, 404, `Campaign not found: ${context.params.campaignId}`);
+        return;
+      }
+
+      this.sendResponse(context.res, campaign);
+    } catch (error: any) {
+      this.sendCampaignError(context, error);
+    }
+  }
+
+  private async handleCreateCampaign(context: RouteContext): Promise<void> {
+    try {
+      const liveOpsModule = this.getLiveOpsModule(context);
+      if (!liveOpsModule) return;
+
+      if (!context.body) {
+        this.sendError(context.res, 400, 'Invalid request body');
+        return;
+      }
+
+      this.logger.warn('Admin action: Campaign created', { campaignId: context.body.id, apiKey: this.getAdminActor(context.req) });
+
+      const campaign = await liveOpsModule.createCampaign(context.body);
+      this.sendResponse(context.res, campaign, 201);
+    } catch (error: any) {
+      this.sendCampaignError(context, error);
+    }
+  }
+
+  private async handleCancelCampaign(context: RouteContext): Promise<void> {
+    try {
+      const liveOpsModule = this.getLiveOpsModule(context);
+      if (!liveOpsModule) return;
+
+      const { campaignId } = context.params;
+      this.logger.warn('Admin action: Campaign cancelled', { campaignId, apiKey: this.getAdminActor(context.req) });
+
+      const result = await liveOpsModule.cancelCampaign(campaignId);
+      this.sendResponse(context.res, result, result.success ? 200 : 409);
+    } catch (error: any) {
+      this.sendCampaignError(context, error);
+    }
+  }
+
+  private getAbuseDetector(context: RouteContext): any {
+    if (!this.isAdminRequest(context.req)) {
+      this.sendError(context.res, 403, 'Admin access required');
+      return null;
+    }
+
+    const abuseDetector = this.gamificationKit.abuseDetector;
+    if (!abuseDetector) {
+      this.sendError(context.res, 404, 'Anti-abuse not enabled');
+      return null;
+    }
+
+    return abuseDetector;
+  }
+
+  private sendAbuseError(context: RouteContext, error: any): void {
+    if (error.message.startsWith('Held award not found')) {
+      this.sendError(context.res, 404, error.message);
+    } else {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
+
+  private async handleGetAbuseFlags(context: RouteContext): Promise<void> {
+    try {
+      const abuseDetector = this.getAbuseDetector(context);
+      if (!abuseDetector) return;
+
+      const flags = await abuseDetector.getFlaggedUsers();
+      this.sendResponse(context.res, { flags });
+    } catch (error: any) {
+      this.sendAbuseError(context, error);
+    }
+  }
+
+  private async handleFlagUser(context: RouteContext): Promise<void> {
+    try {
+      const abuseDetector = this.getAbuseDetector(context);
+      if (!abuseDetector) return;
+
+      const { userId } = context.params;
+      const { reason, ttl } = context.body || {};
+      const actor = this.getAdminActor(context.req);
+      this.logger.warn('Admin action: User flagged', { userId, apiKey: actor });
+
+      const flag = await abuseDetector.flagUser(userId, { reason, ttl, flaggedBy: actor });
+      this.sendResponse(context.res, flag);
+    } catch (error: any) {
+      this.sendAbuseError(context, error);
+    }
+  }
+
+  private async handleClearFlag(context: RouteContext): Promise<void> {
+    try {
+      const abuseDetector = this.getAbuseDetector(context);
+      if (!abuseDetector) return;
+
+      const { userId } = context.params;
+      const actor = this.getAdminActor(context.req);
+      this.logger.warn('Admin action: User flag cleared', { userId, apiKey: actor });
+
+      const result = await abuseDetector.clearFlag(userId, actor);
+      this.sendResponse(context.res, result, result.success ? 200 : 404);
+    } catch (error: any) {
+      this.sendAbuseError(context, error);
+    }
+  }
+
+  private async handleGetHeldAwards(context: RouteContext): Promise<void> {
+    try {
+      const abuseDetector = this.getAbuseDetector(context);
+      if (!abuseDetector) return;
+
+      const { userId, limit = '100' } = context.query;
+      const heldAwards = await abuseDetector.getHeldAwards({ userId, limit: parseInt(limit) });
+      this.sendResponse(context.res, { heldAwards });
+    } catch (error: any) {
+      this.sendAbuseError(context, error);
+    }
+  }
+
+  private async handleApproveHeldAward(context: RouteContext): Promise<void> {
+    try {
+      if (!this.getAbuseDetector(context)) return;
+
+      const { holdId } = context.params;
+      const actor = this.getAdminActor(context.req);
+      this.logger.warn('Admin action: Held award approved', { holdId, apiKey: actor });
+
+      const result = await this.gamificationKit.approveHeldAward(holdId, actor);
+      this.sendResponse(context.res, result);
+    } catch (error: any) {
+      this.sendAbuseError(context, error);
+    }
+  }
+
+  private async handleRejectHeldAward(context: RouteContext): Promise<void> {
+    try {
+      if (!this.getAbuseDetector(context)) return;
+
+      const { holdId } = context.params;
+      const actor = this.getAdminActor(context.req);
+      this.logger.warn('Admin action: Held award rejected', { holdId, apiKey: actor });
+
+      const result = await this.gamificationKit.rejectHeldAward(holdId, actor, context.body?.note);
+      this.sendResponse(context.res, result);
+    } catch (error: any) {
+      this.sendAbuseError(context, error);
+    }
+  }
+
+  private getReversals(context: RouteContext): any {
+    if (!this.isAdminRequest(context.req)) {
+      this.sendError(context.res, 403, 'Admin access required');
+      return null;
+    }
+
+    const reversals = this.gamificationKit.reversals;
+    if (!reversals) {
+      this.sendError(context.res, 404, 'Transaction reversal not enabled');
+      return null;
+    }
+
+    return reversals;
+  }
+
+  private sendReversalError(context: RouteContext, error: any): void {
+    if (error.message.startsWith('Transaction not found')) {
+      this.sendError(context.res, 404, error.message);
+    } else {
+      this.sendError(context.res, 400, error.message);
+    }
+  }
+
+  private async handleReverseTransaction(context: RouteContext): Promise<void> {
+    try {
+      if (!this.getReversals(context)) return;
+
+      const { transactionId } = context.params;
+      const { dryRun, reason } = context.body || {};
+      const actor = this.getAdminActor(context.req);
+      this.logger.warn('Admin action: Transaction reversed', { transactionId, dryRun: dryRun === true, apiKey: actor });
+
+      const result = await this.gamificationKit.reverse(transactionId, { dryRun: dryRun === true, reason, reversedBy: actor });
+      const conflict = result.reason === 'already_reversed' || result.reason === 'reversal_in_progress';
+      this.sendResponse(context.res, result, conflict ? 409 : 200);
+    } catch (error: any) {
+      this.sendReversalError(context, error);
+    }
+  }
+
+  private async handleGetReversals(context: RouteContext): Promise<void> {
+    try {
+      const reversals = this.getReversals(context);
+      if (!reversals) return;
+
+      const { userId, limit = '100' } = context.query;
+      this.sendResponse(context.res, { reversals: await reversals.getReversals({ userId, limit: parseInt(limit) }) });
+    } catch (error: any) {
+      this.sendReversalError(context, error);
+    }
+  }
+
+  private async handleGetReversal(context: RouteContext): Promise<void> {
+    try {
+      const reversals = this.getReversals(context);
+      if (!reversals) return;
+
+      const { reversalId } = context.params;
+      const reversal = await reversals.getReversal(reversalId);
+      if (!reversal) {
+        this.sendError(context.res, 404, `Reversal not found: ${reversalId}`);
+        return;
+      }
+
+      this.sendResponse(context.res, reversal);
+    } catch (error: any) {
+      this.sendReversalError(context, error);
+    }
+  }
+
+  private handleWebSocketUpgrade(request: IncomingMessage, socket: Socket, head: Buffer): void {
+    const url = new URL(request.url || '', `http://${request.headers.host}`);
+
     if (url.pathname !== `${this.prefix}/ws`) {
       socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
       return;
     }
 
-    this.acceptWebSocket(request, socket, head);
+    // Clients only receive the events of the tenant they connect for
+    const tenantId = url.searchParams.get('tenantId') || (request.headers[this.tenantHeader] as string) || null;
+    if (tenantId) {
+      try {
+        if (!this.tenants) throw new Error('Multi-tenancy is not enabled');
+        this.tenants.validateTenantId(tenantId);
+      } catch {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+      }
+    }
+
+    if (!this.authenticator) {
+      this.acceptWebSocket(request, socket, head, undefined, tenantId);
+      return;
+    }
+
+    this.authenticateWebSocket(request, url, tenantId).then(userId => {
+      if (userId === null) {
+        socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        return;
+      }
+      this.acceptWebSocket(request, socket, head, userId, tenantId);
+    }).catch((error: any) => {
+      this.logger.error('WebSocket authentication failed', { error: error.message });
+      socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+    });
+  }
+
+  /**
+   * @returns The user whose events the client receives, undefined for every user
+   * (admins that don't pick one), or null when the client may not connect
+   */
+  private async authenticateWebSocket(
+    request: IncomingMessage,
+    url: URL,
+    tenantId: string | null
+  ): Promise<string | undefined | null> {
+    const auth = await this.authenticator!.authenticate(request);
+    if (!auth || !this.authenticator!.canAccessTenant(auth, tenantId)) return null;
+
+    const requested = url.searchParams.get('userId');
+    if (this.authenticator!.isAdmin(auth)) {
+      return requested || undefined;
+    }
+
+    return !requested || requested === auth.subject ? auth.subject : null;
   }
 
-  private acceptWebSocket(request: IncomingMessage, socket: Socket, _head: Buffer): void {
+  private acceptWebSocket(
+    request: IncomingMessage,
+    socket: Socket,
+    _head: Buffer,
+    userId?: string,
+    tenantId: string | null = null
+  ): void {
     const key = request.headers['sec-websocket-key'];
     const acceptKey = this.generateAcceptKey(key as string);
 
@@ -801,7 +2103,9 @@ export class APIServer {
     const ws: WebSocketClient = {
       socket,
       send: (data: any) => this.sendWebSocketMessage(socket, data),
-      close: () => socket.end()
+      close: () => socket.end(),
+      userId,
+      tenantId
     };
 
     this.websocketClients.add(ws);
@@ -859,6 +2163,9 @@ export class APIServer {
 
   private broadcastToWebSockets(data: any): void {
     for (const ws of this.websocketClients) {
+      if ((data?.tenantId || null) !== (ws.tenantId || null)) continue;
+      if (ws.userId && !this.isEventForUser(data, ws.userId)) continue;
+
       try {
         ws.send(data);
       } catch (error: any) {
@@ -866,4 +2173,9 @@ export class APIServer {
       }
     }
   }
+
+  private isEventForUser(event: any, userId: string): boolean {
+    const data = event?.data || {};
+    return data.userId === userId || (Array.isArray(data.userIds) && data.userIds.includes(userId));
+  }
 }
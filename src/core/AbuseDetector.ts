@@ -0,0 +1,373 @@
+import { Logger } from '../utils/logger.js';
+import { validators } from '../utils/validators.js';
+import crypto from 'crypto';
+import type { LoggerConfig, AbuseRulesConfig, AbuseVelocityRule, AbuseTimestampRule } from '../types/config.js';
+import type { StorageInterface, UserDataLocation } from '../types/storage.js';
+import type { EventManager } from './EventManager.js';
+
+export interface AbuseDetectorOptions {
+  logger?: LoggerConfig;
+  eventManager?: EventManager;
+  storage: StorageInterface;
+  threshold?: number;
+  scoreWindow?: number;
+  flagTTL?: number;
+  ipField?: string;
+  heldRetention?: number;
+  rules?: AbuseRulesConfig;
+}
+
+export type AbuseRuleName = keyof typeof DEFAULT_ABUSE_RULES;
+
+export interface AbuseAssessment {
+  userId: string;
+  score: number;
+  rules: AbuseRuleName[];
+  flagged: boolean;
+}
+
+export interface AbuseFlag {
+  userId: string;
+  reason: string;
+  score: number;
+  rules: AbuseRuleName[];
+  flaggedAt: number;
+  expiresAt: number | null;
+  flaggedBy?: string;
+}
+
+export interface HeldAward {
+  id: string;
+  userId: string;
+  eventName: string;
+  data: Record<string, any>;
+  timestamp: number;
+  heldAt: number;
+}
+
+// Windows and skews are in seconds
+export const DEFAULT_ABUSE_RULES = {
+  userVelocity: { limit: 30, window: 60, score: 40 },
+  ipVelocity: { limit: 120, window: 60, score: 40 },
+  duplicatePayload: { limit: 5, window: 60, score: 30 },
+  timestamps: { events: ['streak.record'], maxSkew: 300, score: 50 }
+};
+
+/**
+ * Scores tracked events against velocity rules and flags users whose score within
+ * `scoreWindow` reaches the threshold. Events of flagged users are held for review
+ * instead of being processed, so none of their awards are applied until approved.
+ */
+export class AbuseDetector {
+  private logger: Logger;
+  private eventManager?: EventManager;
+  private storage: StorageInterface;
+  private threshold: number;
+  private scoreWindow: number;
+  private flagTTL: number;
+  private ipField: string;
+  private heldRetention: number;
+  private rules: {
+    userVelocity: Required<AbuseVelocityRule> | null;
+    ipVelocity: Required<AbuseVelocityRule> | null;
+    duplicatePayload: Required<AbuseVelocityRule> | null;
+    timestamps: Required<AbuseTimestampRule> | null;
+  };
+
+  constructor(options: AbuseDetectorOptions) {
+    this.logger = new Logger({ prefix: 'AbuseDetector', ...options.logger });
+    this.eventManager = options.eventManager;
+    this.storage = options.storage;
+    this.threshold = options.threshold || 100;
+    this.scoreWindow = options.scoreWindow || 3600;
+    this.flagTTL = options.flagTTL ?? 86400;
+    this.ipField = options.ipField || 'ip';
+    this.heldRetention = options.heldRetention || 2592000;
+
+    // A rule set to false is turned off; otherwise it is merged over its defaults
+    const rule = <K extends AbuseRuleName>(name: K) => {
+      const override = options.rules?.[name];
+      return override === false ? null : { ...DEFAULT_ABUSE_RULES[name], ...override } as any;
+    };
+    this.rules = {
+      userVelocity: rule('userVelocity'),
+      ipVelocity: rule('ipVelocity'),
+      duplicatePayload: rule('duplicatePayload'),
+      timestamps: rule('timestamps')
+    };
+  }
+
+  private getStorageKey(suffix: string): string {
+    return `abuse:${suffix}`;
+  }
+
+  /**
+   * Scores an event and flags its user once their recent score reaches the threshold.
+   * Returns null for events without a user, as there is nobody to hold awards for.
+   */
+  async assess(eventName: string, data: Record<string, any>, timestamp: number = Date.now()): Promise<AbuseAssessment | null> {
+    const userId = data.userId;
+    if (!userId) return null;
+
+    const triggered = await this.checkRules(userId, eventName, data, timestamp);
+    const score = triggered.reduce((sum, name) => sum + this.rules[name]!.score, 0);
+
+    let flag = await this.getFlag(userId);
+    if (score > 0) {
+      const total = await this.countInWindow(this.getStorageKey(`score:${userId}`), this.scoreWindow, score);
+      this.logger.debug(`Suspicious event from user ${userId}`, { eventName, rules: triggered, score: total });
+
+      if (!flag && total >= this.threshold) {
+        flag = await this.flagUser(userId, { reason: 'threshold', score: total, rules: triggered });
+      }
+    }
+
+    return { userId, score, rules: triggered, flagged: flag !== null };
+  }
+
+  private async checkRules(userId: string, eventName: string, data: Record<string, any>, timestamp: number): Promise<AbuseRuleName[]> {
+    const triggered: AbuseRuleName[] = [];
+    const { userVelocity, ipVelocity, duplicatePayload, timestamps } = this.rules;
+
+    if (userVelocity) {
+      const count = await this.countInWindow(this.getStorageKey(`rate:${userId}`), userVelocity.window);
+      if (count > userVelocity.limit) triggered.push('userVelocity');
+    }
+
+    const ip = data[this.ipField];
+    if (ipVelocity && typeof ip === 'string' && ip) {
+      const count = await this.countInWindow(this.getStorageKey(`ip:${ip}`), ipVelocity.window);
+      if (count > ipVelocity.limit) triggered.push('ipVelocity');
+    }
+
+    if (duplicatePayload) {
+      const hash = crypto.createHash('sha1').update(`${eventName}:${JSON.stringify(data)}`).digest('hex');
+      const count = await this.countInWindow(this.getStorageKey(`payload:${userId}:${hash}`), duplicatePayload.window);
+      if (count > duplicatePayload.limit) triggered.push('duplicatePayload');
+    }
+
+    if (timestamps && timestamps.events.includes(eventName) && typeof data.timestamp === 'number') {
+      if (await this.isImpossibleTimestamp(userId, eventName, data.timestamp, timestamp, timestamps.maxSkew)) {
+        triggered.push('timestamps');
+      }
+    }
+
+    return triggered;
+  }
+
+  // Counts within a fixed window that starts with the first increment
+  private async countInWindow(key: string, window: number, amount = 1): Promise<number> {
+    const count = await this.storage.increment(key, amount);
+    if (count === amount) {
+      await this.storage.expire(key, window);
+    }
+    return count;
+  }
+
+  // A reported time too far from the server clock, or before one the user already reported
+  private async isImpossibleTimestamp(userId: string, eventName: string, reported: number, now: number, maxSkew: number): Promise<boolean> {
+    const key = this.getStorageKey(`timestamps:${userId}`);
+    const last = Number(await this.storage.hget(key, eventName)) || 0;
+
+    if (reported > last) {
+      await this.storage.hset(key, eventName, reported);
+    }
+
+    return Math.abs(reported - now) > maxSkew * 1000 || reported < last;
+  }
+
+  async flagUser(
+    userId: string,
+    options: { reason?: string; score?: number; rules?: AbuseRuleName[]; ttl?: number; flaggedBy?: string } = {}
+  ): Promise<AbuseFlag> {
+    validators.isUserId(userId);
+
+    const wasFlagged = await this.getFlag(userId) !== null;
+    const ttl = options.ttl ?? this.flagTTL;
+    const now = Date.now();
+    const flag: AbuseFlag = {
+      userId,
+      reason: options.reason || 'manual',
+      score: options.score ?? 0,
+      rules: options.rules || [],
+      flaggedAt: now,
+      expiresAt: ttl > 0 ? now + ttl * 1000 : null,
+      ...(options.flaggedBy && { flaggedBy: options.flaggedBy })
+    };
+
+    await this.storage.hset(this.getStorageKey('flags'), userId, JSON.stringify(flag));
+
+    if (!wasFlagged) {
+      this.logger.warn(`User flagged for review: ${userId}`, { reason: flag.reason, score: flag.score, rules: flag.rules });
+      await this.eventManager?.emitAsync('abuse.user.flagged', { ...flag });
+    }
+
+    return flag;
+  }
+
+  async clearFlag(userId: string, clearedBy?: string): Promise<{ success: boolean; userId: string; reason?: string }> {
+    validators.isUserId(userId);
+
+    if (!await this.getFlag(userId)) {
+      return { success: false, userId, reason: 'not_flagged' };
+    }
+
+    // The score starts over, so the events that led to the flag don't flag the user again
+    await this.storage.hdel(this.getStorageKey('flags'), userId);
+    await this.storage.delete(this.getStorageKey(`score:${userId}`));
+
+    this.logger.info(`User flag cleared: ${userId}`);
+    await this.eventManager?.emitAsync('abuse.user.unflagged', {
+      userId,
+      reason: 'cleared',
+      ...(clearedBy && { clearedBy })
+    });
+
+    return { success: true, userId };
+  }
+
+  async getFlag(userId: string): Promise<AbuseFlag | null> {
+    const value = await this.storage.hget(this.getStorageKey('flags'), userId);
+    if (!value) return null;
+
+    const flag: AbuseFlag = typeof value === 'string' ? JSON.parse(value) : value;
+    if (flag.expiresAt !== null && flag.expiresAt <= Date.now()) {
+      // Flags lapse lazily; the first read after expiry removes it and reports the change
+      if (await this.storage.hdel(this.getStorageKey('flags'), userId) > 0) {
+        await this.eventManager?.emitAsync('abuse.user.unflagged', { userId, reason: 'expired' });
+      }
+      return null;
+    }
+
+    return flag;
+  }
+
+  async getFlaggedUsers(): Promise<AbuseFlag[]> {
+    const flags: AbuseFlag[] = [];
+    for (const userId of Object.keys(await this.storage.hgetall(this.getStorageKey('flags')) || {})) {
+      const flag = await this.getFlag(userId);
+      if (flag) flags.push(flag);
+    }
+
+    return flags.sort((a, b) => b.flaggedAt - a.flaggedAt);
+  }
+
+  async hold(eventName: string, data: Record<string, any>, timestamp: number = Date.now()): Promise<HeldAward> {
+    const held: HeldAward = {
+      id: `hld_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`,
+      userId: data.userId,
+      eventName,
+      data,
+      timestamp,
+      heldAt: Date.now()
+    };
+
+    await this.storage.transaction(this.queueOperations(held));
+
+    this.logger.info(`Event held for review: ${eventName}`, { holdId: held.id, userId: held.userId });
+    await this.eventManager?.emitAsync('abuse.award.held', { holdId: held.id, userId: held.userId, heldEvent: eventName });
+
+    return held;
+  }
+
+  // Each award is a key of its own that expires after heldRetention; the review queue
+  // and the user's queue index it by the time it was held
+  private queueOperations(held: HeldAward): Array<{ method: string; args: any[] }> {
+    const ttl = Math.max(1, Math.ceil((held.heldAt + this.heldRetention * 1000 - Date.now()) / 1000));
+    const userQueueKey = this.getStorageKey(`held:user:${held.userId}`);
+
+    return [
+      { method: 'set', args: [this.getStorageKey(`held:${held.id}`), JSON.stringify(held)] },
+      { method: 'expire', args: [this.getStorageKey(`held:${held.id}`), ttl] },
+      { method: 'zadd', args: [this.getStorageKey('held'), held.heldAt, held.id] },
+      { method: 'zadd', args: [userQueueKey, held.heldAt, held.id] },
+      { method: 'expire', args: [userQueueKey, this.heldRetention] }
+    ];
+  }
+
+  async getHeldAwards(options: { userId?: string; limit?: number } = {}): Promise<HeldAward[]> {
+    const { userId, limit = 100 } = options;
+    const queueKey = this.getStorageKey(userId ? `held:user:${userId}` : 'held');
+
+    // Queue entries are dropped once the awards they point to have expired
+    await this.storage.zremrangebyscore(queueKey, '-inf', Date.now() - this.heldRetention * 1000);
+    const holdIds = await this.storage.zrange(queueKey, 0, Number.isFinite(limit) ? limit - 1 : -1);
+
+    const awards = await Promise.all(holdIds.map((holdId: string) => this.getHeldAward(holdId)));
+    return awards.filter((held): held is HeldAward => held !== null);
+  }
+
+  async getHeldAward(holdId: string): Promise<HeldAward | null> {
+    const value = await this.storage.get(this.getStorageKey(`held:${holdId}`));
+    if (!value) return null;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+
+  /**
+   * Removes a held award from the review queue for a decision. Only one caller can take
+   * each award, so concurrent reviews can't apply it twice.
+   */
+  async takeHeldAward(holdId: string): Promise<HeldAward> {
+    const held = await this.getHeldAward(holdId);
+    if (!held || !await this.storage.delete(this.getStorageKey(`held:${holdId}`))) {
+      throw new Error(`Held award not found: ${holdId}`);
+    }
+
+    await this.storage.transaction([
+      { method: 'zrem', args: [this.getStorageKey('held'), holdId] },
+      { method: 'zrem', args: [this.getStorageKey(`held:user:${held.userId}`), holdId] }
+    ]);
+    return held;
+  }
+
+  /**
+   * Puts a taken award back in the review queue, for a decision that couldn't be carried out
+   */
+  async restoreHeldAward(held: HeldAward): Promise<void> {
+    await this.storage.transaction(this.queueOperations(held));
+  }
+
+  async getUserDataLocations(userId: string): Promise<UserDataLocation[]> {
+    const locations: UserDataLocation[] = [
+      { key: this.getStorageKey('flags'), type: 'hash', member: userId },
+      { key: this.getStorageKey(`score:${userId}`) },
+      { key: this.getStorageKey(`rate:${userId}`) },
+      { key: this.getStorageKey(`timestamps:${userId}`) },
+      { key: this.getStorageKey(`held:user:${userId}`) }
+    ];
+    for (const key of await this.storage.keys(this.getStorageKey(`payload:${userId}:*`))) {
+      locations.push({ key });
+    }
+    for (const held of await this.getHeldAwards({ userId, limit: Infinity })) {
+      locations.push(
+        { key: this.getStorageKey(`held:${held.id}`) },
+        { key: this.getStorageKey('held'), type: 'zset', member: held.id }
+      );
+    }
+    return locations;
+  }
+
+  /**
+   * Removes the user's flag, counters and held awards. Returns how many held awards were dropped.
+   */
+  async deleteUser(userId: string): Promise<number> {
+    await this.storage.hdel(this.getStorageKey('flags'), userId);
+    const keys = [
+      this.getStorageKey(`score:${userId}`),
+      this.getStorageKey(`rate:${userId}`),
+      this.getStorageKey(`timestamps:${userId}`),
+      ...await this.storage.keys(this.getStorageKey(`payload:${userId}:*`))
+    ];
+    for (const key of keys) {
+      await this.storage.delete(key);
+    }
+
+    let count = 0;
+    for (const held of await this.getHeldAwards({ userId, limit: Infinity })) {
+      if (await this.storage.delete(this.getStorageKey(`held:${held.id}`))) count++;
+      await this.storage.zrem(this.getStorageKey('held'), held.id);
+    }
+    await this.storage.delete(this.getStorageKey(`held:user:${userId}`));
+    return count;
+  }
+}
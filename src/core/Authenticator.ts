@@ -0,0 +1,208 @@
+import crypto, { type KeyObject } from 'crypto';
+import { promises as fs } from 'fs';
+import type { IncomingMessage } from 'http';
+import { Logger } from '../utils/logger.js';
+import { jwt, type JwtAlgorithm, type JwtHeader, type JwtPayload } from '../utils/jwt.js';
+import type { LoggerConfig } from '../types/config.js';
+
+export interface AuthPrincipal {
+  subject: string;
+  scopes: string[];
+  claims: Record<string, any>;
+}
+
+export type TokenVerifier = (
+  token: string,
+  req: IncomingMessage
+) => AuthPrincipal | null | Promise<AuthPrincipal | null>;
+
+export interface JwtAuthOptions {
+  algorithms?: JwtAlgorithm[];
+  secret?: string;
+  publicKey?: string;
+  jwksFile?: string;
+  issuer?: string | string[];
+  audience?: string | string[];
+  clockTolerance?: number;
+  requireExpiry?: boolean;
+  subjectClaim?: string;
+}
+
+export interface AuthenticatorOptions {
+  logger?: LoggerConfig;
+  jwt?: JwtAuthOptions;
+  verifier?: TokenVerifier;
+  adminScope?: string;
+  queryParam?: string;
+  tenantClaim?: string;
+}
+
+/**
+ * Turns the bearer token of a request into an authenticated principal, using either
+ * the built-in JWT verification or a custom verifier, and decides which users'
+ * data that principal may see.
+ */
+export class Authenticator {
+  private logger: Logger;
+  private jwtOptions: JwtAuthOptions | null;
+  private verifier: TokenVerifier | null;
+  private adminScope: string;
+  private queryParam: string;
+  private tenantClaim: string | null;
+  private algorithms: JwtAlgorithm[];
+  private keys: Promise<Map<string, KeyObject>> | null;
+
+  constructor(options: AuthenticatorOptions) {
+    this.logger = new Logger({ prefix: 'Authenticator', ...options.logger });
+    this.jwtOptions = options.jwt || null;
+    this.verifier = options.verifier || null;
+    this.adminScope = options.adminScope || 'admin';
+    this.queryParam = options.queryParam || 'access_token';
+    this.tenantClaim = options.tenantClaim || null;
+    this.keys = null;
+
+    if (!this.jwtOptions && !this.verifier) {
+      throw new Error('Authentication requires jwt options or a verifier');
+    }
+
+    const jwtOptions = this.jwtOptions || {};
+    this.algorithms = jwtOptions.algorithms || [
+      ...(jwtOptions.secret ? ['HS256' as const] : []),
+      ...(jwtOptions.publicKey || jwtOptions.jwksFile ? ['RS256' as const] : [])
+    ];
+
+    if (this.jwtOptions && this.algorithms.length === 0) {
+      throw new Error('JWT authentication requires a secret, publicKey or jwksFile');
+    }
+  }
+
+  /**
+   * Bearer token from the Authorization header, or from the query string for
+   * WebSocket clients that can't set headers
+   */
+  extractToken(req: IncomingMessage): string | null {
+    const header = req.headers?.authorization;
+    if (header) {
+      const [scheme, token] = header.split(' ');
+      return scheme?.toLowerCase() === 'bearer' && token ? token : null;
+    }
+
+    const url = new URL(req.url || '', 'http://localhost');
+    return url.searchParams.get(this.queryParam);
+  }
+
+  /**
+   * @returns The principal, or null when the request carries no token
+   * @throws When a token is present but does not verify
+   */
+  async authenticate(req: IncomingMessage): Promise<AuthPrincipal | null> {
+    const token = this.extractToken(req);
+    if (!token) return null;
+
+    if (this.verifier) {
+      const principal = await this.verifier(token, req);
+      if (!principal || !principal.subject) {
+        throw new Error('Invalid token');
+      }
+      return { ...principal, scopes: principal.scopes || [], claims: principal.claims || {} };
+    }
+
+    const payload = await jwt.verify(token, {
+      algorithms: this.algorithms,
+      getKey: header => this.getKey(header),
+      issuer: this.jwtOptions!.issuer,
+      audience: this.jwtOptions!.audience,
+      clockTolerance: this.jwtOptions!.clockTolerance,
+      requireExpiry: this.jwtOptions!.requireExpiry
+    });
+
+    return this.toPrincipal(payload);
+  }
+
+  isAdmin(principal: AuthPrincipal | null): boolean {
+    return Boolean(principal?.scopes.includes(this.adminScope));
+  }
+
+  canAccessUser(principal: AuthPrincipal | null, userId: string): boolean {
+    if (!principal) return false;
+    return principal.subject === userId || this.isAdmin(principal);
+  }
+
+  /**
+   * With a `tenantClaim`, non-admin tokens only work in the tenant they name;
+   * tokens without the claim belong to the default namespace
+   */
+  canAccessTenant(principal: AuthPrincipal | null, tenantId: string | null): boolean {
+    if (!this.tenantClaim || !principal || this.isAdmin(principal)) return true;
+    return (principal.claims[this.tenantClaim] ?? null) === tenantId;
+  }
+
+  /**
+   * Re-reads the JWKS file, e.g. after the identity provider rotated its keys
+   */
+  reloadKeys(): void {
+    this.keys = null;
+  }
+
+  private toPrincipal(payload: JwtPayload): AuthPrincipal {
+    const subject = payload[this.jwtOptions!.subjectClaim || 'sub'];
+    if (typeof subject !== 'string' || subject.length === 0) {
+      throw new Error('Invalid token: missing subject');
+    }
+
+    // OAuth servers send scopes as a space separated `scope` string or an `scp` list
+    const raw = payload.scope ?? payload.scp ?? [];
+    const scopes = Array.isArray(raw) ? raw.map(String) : String(raw).split(' ').filter(Boolean);
+
+    return { subject, scopes, claims: payload };
+  }
+
+  private async getKey(header: JwtHeader): Promise<KeyObject | null> {
+    const keys = await this.loadKeys();
+
+    if (header.kid) {
+      return keys.get(header.kid) || null;
+    }
+
+    // Tokens without a kid use the configured key that fits the algorithm, if there is only one
+    const wanted = header.alg === 'HS256' ? 'secret' : 'public';
+    const candidates = Array.from(keys.values()).filter(key => key.type === wanted);
+    return candidates.length === 1 ? candidates[0] : null;
+  }
+
+  private loadKeys(): Promise<Map<string, KeyObject>> {
+    if (!this.keys) {
+      this.keys = this.readKeys().catch(error => {
+        this.keys = null;
+        throw error;
+      });
+    }
+    return this.keys;
+  }
+
+  private async readKeys(): Promise<Map<string, KeyObject>> {
+    const { secret, publicKey, jwksFile } = this.jwtOptions!;
+    const keys = new Map<string, KeyObject>();
+
+    if (secret) {
+      keys.set('secret', crypto.createSecretKey(Buffer.from(secret)));
+    }
+
+    if (publicKey) {
+      keys.set('publicKey', crypto.createPublicKey(publicKey));
+    }
+
+    if (jwksFile) {
+      const jwks = JSON.parse(await fs.readFile(jwksFile, 'utf8'));
+      for (const [index, jwk] of (jwks.keys || []).entries()) {
+        const key = jwk.kty === 'oct'
+          ? crypto.createSecretKey(Buffer.from(jwk.k, 'base64url'))
+          : crypto.createPublicKey({ key: jwk, format: 'jwk' });
+        keys.set(jwk.kid || `jwks:${index}`, key);
+      }
+      this.logger.debug(`Loaded ${keys.size} keys from ${jwksFile}`);
+    }
+
+    return keys;
+  }
+}
@@ -0,0 +1,361 @@
+import { Logger } from '../utils/logger.js';
+import { validators } from '../utils/validators.js';
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import type { LoggerConfig } from '../types/config.js';
+import type { StorageInterface, UserDataLocation } from '../types/storage.js';
+import type { EventManager, EventData } from './EventManager.js';
+
+export interface EventJournalOptions {
+  logger?: LoggerConfig;
+  eventManager?: EventManager;
+  storage: StorageInterface;
+  outcomeEvents?: string[];
+  maxEntries?: number;
+}
+
+export type JournalEntryType = 'event' | 'outcome' | 'reset' | 'rebuild';
+
+export interface JournalEntry {
+  id: string;
+  cursor: string;
+  userId: string;
+  type: JournalEntryType;
+  eventName: string;
+  data: Record<string, any>;
+  timestamp: number;
+  rebuildId?: string;
+  direct?: boolean; // An outcome of a module call made outside event tracking, such as a manual award
+}
+
+export interface JournalQuery {
+  limit?: number;
+  cursor?: string | null;
+  eventTypes?: string[];
+  entryTypes?: JournalEntryType[];
+  from?: number | string | Date;
+  to?: number | string | Date;
+  order?: 'asc' | 'desc';
+}
+
+export interface JournalPage {
+  entries: JournalEntry[];
+  nextCursor: string | null;
+}
+
+export const DEFAULT_OUTCOME_EVENTS = [
+  'points.awarded',
+  'points.deducted',
+  'points.reversed',
+  'levels.xp.gained',
+  'badges.awarded',
+  'badges.revoked',
+  'levels.level.up',
+  'levels.prestiged',
+  'quests.completed',
+  'achievements.unlocked',
+  'rewards.redeemed'
+];
+
+// Outcomes of direct module calls that a rebuild makes again
+export const REPLAYED_OUTCOMES = new Set([
+  'points.awarded',
+  'points.deducted',
+  'levels.xp.gained',
+  'badges.awarded',
+  'badges.revoked'
+]);
+
+// Entries are read back in pages of this size while filtering
+const SCAN_CHUNK = 100;
+
+/**
+ * Append-only per-user log of tracked events and the module outcomes they caused.
+ * Entries are never rewritten, so a list position, counted from the first entry ever
+ * appended, doubles as a stable pagination cursor. Only the latest `maxEntries` are kept.
+ */
+export class EventJournal {
+  private logger: Logger;
+  private eventManager?: EventManager;
+  private storage: StorageInterface;
+  private outcomeEvents: Set<string>;
+  private maxEntries: number;
+  private rebuilds: Map<string, string>;
+  private tracking: AsyncLocalStorage<boolean>;
+
+  constructor(options: EventJournalOptions) {
+    this.logger = new Logger({ prefix: 'EventJournal', ...options.logger });
+    this.eventManager = options.eventManager;
+    this.storage = options.storage;
+    this.outcomeEvents = new Set(options.outcomeEvents || DEFAULT_OUTCOME_EVENTS);
+    this.maxEntries = options.maxEntries || 10000;
+    this.rebuilds = new Map();
+    this.tracking = new AsyncLocalStorage();
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners(): void {
+    if (!this.eventManager) return;
+
+    this.eventManager.onWildcard('*', async (event: EventData) => {
+      if (!this.outcomeEvents.has(event.eventName)) return;
+
+      const userId = event.data?.userId;
+      if (!userId) return;
+
+      // Outcomes of tracked events come back when the events are replayed; those of direct
+      // module calls are replayed themselves, except what such a call led to
+      const own = event.data.transaction?.id ?? event.data.award?.id;
+      const direct = !this.tracking.getStore() &&
+        (event.correlationIds || []).every(id => id === own);
+
+      await this.append(userId, 'outcome', event.eventName, event.data, event.timestamp, direct);
+    });
+  }
+
+  /**
+   * Runs the handling of a tracked event; the outcomes it leads to aren't direct
+   */
+  runTracked<T>(fn: () => T): T {
+    return this.tracking.run(true, fn);
+  }
+
+  private getStorageKey(userId: string): string {
+    return `journal:${userId}`;
+  }
+
+  // How many of the user's oldest entries were trimmed, so cursors outlive trimming
+  private getTrimmedKey(userId: string): string {
+    return `journal:trimmed:${userId}`;
+  }
+
+  private async getTrimmed(userId: string): Promise<number> {
+    return Number(await this.storage.get(this.getTrimmedKey(userId))) || 0;
+  }
+
+  async append(
+    userId: string,
+    type: JournalEntryType,
+    eventName: string,
+    data: Record<string, any> = {},
+    timestamp: number = Date.now(),
+    direct = false
+  ): Promise<Omit<JournalEntry, 'cursor'>> {
+    const entry: Omit<JournalEntry, 'cursor'> = {
+      id: `jrn_${timestamp}_${crypto.randomBytes(6).toString('hex')}`,
+      userId,
+      type,
+      eventName,
+      data,
+      timestamp
+    };
+
+    // Outcomes produced while a user is being rebuilt are tagged so they can be told apart
+    const rebuildId = this.rebuilds.get(userId);
+    if (rebuildId && type === 'outcome') {
+      entry.rebuildId = rebuildId;
+    } else if (direct) {
+      entry.direct = true;
+    }
+
+    const key = this.getStorageKey(userId);
+    const length = await this.storage.rpush(key, JSON.stringify(entry));
+
+    // Each append trims what it pushed past the limit, so concurrent appends never trim
+    // more than they count. A page read in between may repeat an entry.
+    const excess = length - this.maxEntries;
+    if (excess > 0) {
+      await this.storage.increment(this.getTrimmedKey(userId), excess);
+      await this.storage.ltrim(key, excess, -1);
+    }
+
+    return entry;
+  }
+
+  async recordEvent(eventName: string, data: Record<string, any>, timestamp: number = Date.now()): Promise<void> {
+    if (!data.userId) return;
+
+    await this.append(data.userId, 'event', eventName, data, timestamp);
+  }
+
+  async getHistory(userId: string, query: JournalQuery = {}): Promise<JournalPage> {
+    validators.isUserId(userId);
+
+    const {
+      limit = 50,
+      cursor = null,
+      eventTypes,
+      entryTypes,
+      order = 'desc'
+    } = query;
+    validators.isInRange(limit, 1, 1000, 'limit');
+
+    const from = query.from !== undefined ? this.toTimestamp(query.from, 'from') : null;
+    const to = query.to !== undefined ? this.toTimestamp(query.to, 'to') : null;
+
+    const key = this.getStorageKey(userId);
+    const trimmed = await this.getTrimmed(userId);
+    const total = await this.storage.llen(key);
+    const ascending = order === 'asc';
+
+    let position: number;
+    if (cursor === null) {
+      position = ascending ? 0 : total - 1;
+    } else {
+      const index = Number(cursor);
+      if (!Number.isInteger(index) || index < 0) {
+        throw new Error(`Invalid cursor: ${cursor}`);
+      }
+      // Entries trimmed since the cursor was handed out are skipped
+      position = Math.max(ascending ? 0 : -1, (ascending ? index + 1 : index - 1) - trimmed);
+    }
+
+    const entries: JournalEntry[] = [];
+    let lastScanned: number | null = null;
+
+    while (entries.length < limit && position >= 0 && position < total) {
+      const start = ascending ? position : Math.max(0, position - SCAN_CHUNK + 1);
+      const stop = ascending ? Math.min(total - 1, position + SCAN_CHUNK - 1) : position;
+      const chunk = await this.storage.lrange(key, start, stop);
+      const indexes = chunk.map((_: any, i: number) => start + i);
+      if (!ascending) indexes.reverse();
+
+      for (const index of indexes) {
+        lastScanned = index;
+        const raw = chunk[index - start];
+        const entry = typeof raw === 'string' ? JSON.parse(raw) : raw;
+
+        if (this.matches(entry, eventTypes, entryTypes, from, to)) {
+          entries.push({ ...entry, cursor: String(trimmed + index) });
+          if (entries.length === limit) break;
+        }
+      }
+
+      position = ascending ? stop + 1 : start - 1;
+    }
+
+    const hasMore = lastScanned !== null && (ascending ? lastScanned < total - 1 : lastScanned > 0);
+
+    return {
+      entries,
+      nextCursor: hasMore ? String(trimmed + lastScanned!) : null
+    };
+  }
+
+  /**
+   * Tracked events and direct outcomes since the user's last reset, oldest first, ready
+   * to be replayed. Direct outcomes that were reversed later are left out. Throws if
+   * entries since the reset were trimmed, as replaying the rest would lose them.
+   */
+  async getReplayableEvents(userId: string): Promise<JournalEntry[]> {
+    validators.isUserId(userId);
+
+    const key = this.getStorageKey(userId);
+    const trimmed = await this.getTrimmed(userId);
+    const entries: JournalEntry[] = [];
+    let reset = false;
+
+    // Read back from the newest entry in pages until the last reset
+    for (let stop = await this.storage.llen(key) - 1; stop >= 0 && !reset; stop -= SCAN_CHUNK) {
+      const start = Math.max(0, stop - SCAN_CHUNK + 1);
+      const chunk = await this.storage.lrange(key, start, stop);
+
+      for (let i = chunk.length - 1; i >= 0; i--) {
+        const entry = typeof chunk[i] === 'string' ? JSON.parse(chunk[i]) : chunk[i];
+        if (entry.type === 'reset') {
+          reset = true;
+          break;
+        }
+        entries.push({ ...entry, cursor: String(trimmed + start + i) });
+      }
+    }
+
+    if (!reset && trimmed > 0) {
+      throw new Error(`Journal of user ${userId} was trimmed since their last reset; a rebuild would lose the trimmed events`);
+    }
+
+    entries.reverse();
+    const reversed = new Set(entries
+      .filter(entry => entry.direct && entry.eventName === 'points.reversed')
+      .map(entry => entry.data.transaction?.reverses));
+
+    return entries.filter(entry =>
+      entry.type === 'event' ||
+      (entry.direct && REPLAYED_OUTCOMES.has(entry.eventName) && !reversed.has(entry.data.transaction?.id))
+    );
+  }
+
+  /**
+   * Every entry of the user's journal, oldest first, including resets
+   */
+  async getAllEntries(userId: string): Promise<JournalEntry[]> {
+    validators.isUserId(userId);
+
+    const key = this.getStorageKey(userId);
+    const trimmed = await this.getTrimmed(userId);
+    const total = await this.storage.llen(key);
+    const entries: JournalEntry[] = [];
+
+    for (let start = 0; start < total; start += SCAN_CHUNK) {
+      const chunk = await this.storage.lrange(key, start, Math.min(total, start + SCAN_CHUNK) - 1);
+      chunk.forEach((value: any, i: number) => entries.push({
+        ...(typeof value === 'string' ? JSON.parse(value) : value),
+        cursor: String(trimmed + start + i)
+      }));
+    }
+
+    return entries;
+  }
+
+  async getUserDataLocations(userId: string): Promise<UserDataLocation[]> {
+    return [{ key: this.getStorageKey(userId) }, { key: this.getTrimmedKey(userId) }];
+  }
+
+  /**
+   * Removes the user's journal. Unlike a reset, nothing is kept for later rebuilds.
+   */
+  async deleteUser(userId: string): Promise<void> {
+    validators.isUserId(userId);
+
+    await this.storage.delete(this.getStorageKey(userId));
+    await this.storage.delete(this.getTrimmedKey(userId));
+  }
+
+  startRebuild(userId: string, rebuildId: string): void {
+    this.rebuilds.set(userId, rebuildId);
+    this.logger.debug(`Rebuild started: ${rebuildId}`, { userId });
+  }
+
+  finishRebuild(userId: string): void {
+    const rebuildId = this.rebuilds.get(userId);
+    this.rebuilds.delete(userId);
+    this.logger.debug(`Rebuild finished: ${rebuildId}`, { userId });
+  }
+
+  private matches(
+    entry: JournalEntry,
+    eventTypes: string[] | undefined,
+    entryTypes: JournalEntryType[] | undefined,
+    from: number | null,
+    to: number | null
+  ): boolean {
+    if (eventTypes && eventTypes.length > 0 && !eventTypes.includes(entry.eventName)) return false;
+    if (entryTypes && entryTypes.length > 0 && !entryTypes.includes(entry.type)) return false;
+    if (from !== null && entry.timestamp < from) return false;
+    if (to !== null && entry.timestamp > to) return false;
+    return true;
+  }
+
+  private toTimestamp(value: number | string | Date, field: string): number {
+    const timestamp = typeof value === 'string' && /^\d+$/.test(value)
+      ? Number(value)
+      : new Date(value).getTime();
+
+    if (Number.isNaN(timestamp)) {
+      throw new Error(`${field} must be a valid date or timestamp`);
+    }
+
+    return timestamp;
+  }
+}
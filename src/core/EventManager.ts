@@ -1,6 +1,8 @@
 import { EventEmitter } from 'events';
+import { AsyncLocalStorage } from 'async_hooks';
 import { Logger } from '../utils/logger.js';
 import { validators } from '../utils/validators.js';
+import { tenantContext } from './TenantManager.js';
 import type { LoggerConfig } from '../types/config.js';
 
 export interface EventManagerOptions {
@@ -16,6 +18,8 @@ export interface EventData {
   data: any;
   timestamp: number;
   id: string;
+  tenantId?: string;
+  correlationIds?: string[];
 }
 
 export interface EmitResult {
@@ -38,6 +42,44 @@ export interface EventStats {
   };
 }
 
+const correlations = new AsyncLocalStorage<string[]>();
+
+/**
+ * The transactions the current call chain runs for, outermost first. Events emitted
+ * inside `run`, including those emitted by their handlers, carry these IDs, so
+ * everything a transaction led to can be traced back to it.
+ */
+export const correlationContext = {
+  currentIds(): string[] {
+    return correlations.getStore() || [];
+  },
+
+  run<T>(correlationId: string, fn: () => T): T {
+    return correlations.run([...correlationContext.currentIds(), correlationId], fn);
+  },
+
+  // For work deferred out of the call chain, under the IDs it had when it was queued
+  restore<T>(correlationIds: string[], fn: () => T): T {
+    return correlations.run(correlationIds, fn);
+  }
+};
+
+const eventTimes = new AsyncLocalStorage<number>();
+
+/**
+ * The time of the event the current call chain handles. Rebuilds replay events under
+ * their original timestamps, so point limits and period totals apply as they did then.
+ */
+export const eventClock = {
+  now(): number {
+    return eventTimes.getStore() ?? Date.now();
+  },
+
+  run<T>(timestamp: number, fn: () => T): T {
+    return eventTimes.run(timestamp, fn);
+  }
+};
+
 export class EventManager extends EventEmitter {
   private logger: Logger;
   private eventHistory: Map<string, EventData[]>;
@@ -70,6 +112,16 @@ export class EventManager extends EventEmitter {
       id: this.generateEventId()
     };
 
+    const tenantId = tenantContext.currentId();
+    if (tenantId) {
+      eventData.tenantId = tenantId;
+    }
+
+    const correlationIds = correlationContext.currentIds();
+    if (correlationIds.length > 0) {
+      eventData.correlationIds = correlationIds;
+    }
+
     this.logger.debug(`Emitting event: ${eventName}`, eventData);
 
     if (this.enableHistory) {
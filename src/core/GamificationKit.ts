@@ -1,14 +1,23 @@
-import { EventManager } from './EventManager.js';
+import { performance } from 'perf_hooks';
+import { EventManager, eventClock } from './EventManager.js';
 import { RuleEngine } from './RuleEngine.js';
+import type { RuleAction, ActionDefinition } from './RuleEngine.js';
+import { RuleStore } from './RuleStore.js';
 import { APIServer } from './APIServer.js';
 import { WebhookManager } from './WebhookManager.js';
+import { EventJournal } from './EventJournal.js';
+import type { JournalEntry } from './EventJournal.js';
+import { AbuseDetector } from './AbuseDetector.js';
+import { ReversalManager, type ReverseOptions, type ReverseResult } from './ReversalManager.js';
 import { MetricsCollector } from './MetricsCollector.js';
 import { HealthChecker } from './HealthChecker.js';
+import { Authenticator } from './Authenticator.js';
+import { TenantManager } from './TenantManager.js';
 import { Logger } from '../utils/logger.js';
 import { validators } from '../utils/validators.js';
 import { SecretManager } from '../config/SecretManager.js';
 import type { WebSocketServer } from './WebSocketServer.js';
-import type { StorageInterface } from '../types/storage.js';
+import type { StorageInterface, UserDataLocation } from '../types/storage.js';
 import type { BaseModule } from '../modules/BaseModule.js';
 import type {
   GamificationConfig,
@@ -23,7 +32,44 @@ export interface TrackEventResult {
   eventId: string;
   processed: boolean;
   rulesMatched: number;
+  actions: ActionResult[];
   timestamp: number;
+  held?: boolean; // The user is flagged; eventId is the ID of the held award awaiting review
+}
+
+/**
+ * Outcome of one rule action run for a tracked event
+ */
+export interface ActionResult {
+  rule: string;
+  type: string;
+  success: boolean;
+  result?: any;
+  error?: string;
+}
+
+/**
+ * Runs a rule action. Receives the action with its templates already resolved.
+ */
+export type ActionHandler = (action: RuleAction, context: any, gamificationKit: GamificationKit) => Promise<any>;
+
+/**
+ * Track event options
+ */
+export interface TrackEventOptions {
+  idempotencyKey?: string;
+  tenantId?: string;
+}
+
+/**
+ * Rebuild user result
+ */
+export interface RebuildUserResult {
+  success: boolean;
+  userId: string;
+  rebuildId: string;
+  eventsReplayed: number;
+  outcomesReplayed: number;
 }
 
 /**
@@ -42,6 +88,43 @@ export interface ResetUserResult {
   userId: string;
 }
 
+/**
+ * Everything stored about a user, as returned by exportUser
+ */
+export interface UserExport {
+  version: number;
+  userId: string;
+  exportedAt: number;
+  modules: Record<string, any>;
+  journal: JournalEntry[] | null;
+  aggregates: Record<string, any>;
+}
+
+/**
+ * Erase user result. Entries are keys, or `key[member]` for the user's field or member
+ * in a hash, set or sorted set shared with other users. `remainingKeys` lists what was
+ * still stored after erasure; the erasure is only successful when it is empty.
+ */
+export interface EraseUserResult {
+  success: boolean;
+  userId: string;
+  erasedAt: number;
+  modules: string[];
+  keysDeleted: string[];
+  remainingKeys: string[];
+  deadLettersPurged: number;
+}
+
+/**
+ * Outcome of reviewing a held award
+ */
+export interface HeldAwardReviewResult {
+  success: boolean;
+  holdId: string;
+  userId: string;
+  result?: TrackEventResult;
+}
+
 /**
  * Basic health result
  */
@@ -64,14 +147,23 @@ export class GamificationKit implements GamificationKitInstance {
   storage!: StorageInterface;
   eventManager!: EventManager;
   ruleEngine!: RuleEngine;
+  ruleStore: RuleStore | null;
+  authenticator: Authenticator | null;
+  tenants: TenantManager | null;
   apiServer: APIServer | null;
   webhookManager: WebhookManager | null;
+  journal: EventJournal | null;
+  abuseDetector: AbuseDetector | null;
+  reversals: ReversalManager | null;
   metricsCollector: MetricsCollector | null;
   healthChecker: HealthChecker | null;
   secretManager: SecretManager | null;
   websocketServer?: WebSocketServer;
   initialized: boolean;
   private isShuttingDown: boolean;
+  // The storage without tenant prefixes, for data all tenants share (webhook queues, the tenant registry)
+  private sharedStorage!: StorageInterface;
+  private actionHandlers: Map<string, { handler: ActionHandler; definition: ActionDefinition }>;
 
   constructor(config: Partial<GamificationConfig> = {}) {
     this.config = this.validateAndMergeConfig(config);
@@ -83,6 +175,14 @@ export class GamificationKit implements GamificationKitInstance {
     this.modules = new Map();
     this.apiServer = null;
     this.webhookManager = null;
+    this.journal = null;
+    this.abuseDetector = null;
+    this.reversals = null;
+    this.ruleStore = null;
+    this.authenticator = null;
+    this.tenants = null;
+    this.actionHandlers = new Map();
+    this.registerBuiltInActions();
     this.metricsCollector = null;
     this.healthChecker = null;
     this.secretManager = null;
@@ -135,6 +235,22 @@ export class GamificationKit implements GamificationKitInstance {
       security: {
         apiKey: null,
         encryption: false
+      },
+      idempotency: {
+        ttl: 86400,
+        pendingTimeout: 30000
+      },
+      journal: {
+        enabled: true,
+        maxEntries: 10000
+      },
+      reversals: {
+        enabled: true,
+        retention: 2592000
+      },
+      ruleStore: {
+        enabled: true,
+        syncInterval: 5000
       }
     };
 
@@ -170,23 +286,48 @@ export class GamificationKit implements GamificationKitInstance {
       await this.initializeSecretManager();
 
       await this.initializeStorage();
+
+      if (this.config.tenants?.enabled) {
+        this.initializeTenants();
+      }
+
       this.initializeEventManager();
       this.initializeRuleEngine();
 
-      if (this.config.webhooks?.enabled) {
-        this.initializeWebhookManager();
+      if (this.config.ruleStore?.enabled) {
+        await this.initializeRuleStore();
+      }
+
+      if (this.config.journal?.enabled) {
+        this.initializeEventJournal();
+      }
+
+      if (this.config.abuse?.enabled) {
+        this.initializeAbuseDetector();
+      }
+
+      if (this.config.reversals?.enabled) {
+        this.initializeReversalManager();
       }
 
       if (this.config.metrics?.enabled) {
         this.initializeMetricsCollector();
       }
 
+      if (this.config.webhooks?.enabled) {
+        this.initializeWebhookManager();
+      }
+
       if (this.config.health?.enabled) {
         await this.initializeHealthChecker();
       }
 
       await this.initializeModules();
 
+      if (this.config.auth?.enabled) {
+        this.initializeAuthenticator();
+      }
+
       if (this.config.api?.enabled) {
         await this.initializeAPIServer();
       }
@@ -237,14 +378,30 @@ export class GamificationKit implements GamificationKitInstance {
         // @ts-expect-error - Storage adapters have different interfaces
         this.storage = new PostgresStorage(storageConfig as any);
         break;
+      case 'sqlite':
+        const { SqliteStorage } = await import('../storage/SqliteStorage.js');
+        // @ts-expect-error - Storage adapters have different interfaces
+        this.storage = new SqliteStorage(storageConfig as any);
+        break;
       default:
         throw new Error(`Unknown storage type: ${type}`);
     }
 
     await this.storage.connect();
+    this.sharedStorage = this.storage;
     this.logger.info(`Storage initialized: ${type}`);
   }
 
+  private initializeTenants(): void {
+    this.tenants = new TenantManager({
+      logger: this.config.logger,
+      storage: this.sharedStorage,
+      overrides: this.config.tenants?.overrides
+    });
+    this.storage = this.tenants.scopeStorage(this.sharedStorage);
+    this.logger.info('TenantManager initialized');
+  }
+
   private async initializeSecretManager(): Promise<void> {
     const secretBackend = process.env.VAULT_ENABLED === 'true' ? 'vault' :
                          process.env.AWS_SECRETS_ENABLED === 'true' ? 'aws' :
@@ -295,17 +452,76 @@ export class GamificationKit implements GamificationKitInstance {
 
   private initializeRuleEngine(): void {
     this.ruleEngine = new RuleEngine({
-      logger: this.config.logger
+      logger: this.config.logger,
+      storage: this.storage
     });
+
+    for (const [type, { definition }] of this.actionHandlers) {
+      this.ruleEngine.registerActionType(type, definition);
+    }
+
     this.logger.info('RuleEngine initialized');
   }
 
+  private async initializeRuleStore(): Promise<void> {
+    this.ruleStore = new RuleStore({
+      logger: this.config.logger,
+      storage: this.storage,
+      ruleEngine: this.ruleEngine,
+      syncInterval: this.config.ruleStore?.syncInterval,
+      tenants: this.tenants
+    });
+    await this.ruleStore.load();
+    this.ruleStore.start();
+    this.logger.info('RuleStore initialized');
+  }
+
+  private initializeEventJournal(): void {
+    this.journal = new EventJournal({
+      logger: this.config.logger,
+      eventManager: this.eventManager,
+      storage: this.storage,
+      outcomeEvents: this.config.journal?.outcomeEvents,
+      maxEntries: this.config.journal?.maxEntries
+    });
+    this.logger.info('EventJournal initialized');
+  }
+
+  private initializeAbuseDetector(): void {
+    this.abuseDetector = new AbuseDetector({
+      logger: this.config.logger,
+      eventManager: this.eventManager,
+      storage: this.storage,
+      threshold: this.config.abuse?.threshold,
+      scoreWindow: this.config.abuse?.scoreWindow,
+      flagTTL: this.config.abuse?.flagTTL,
+      ipField: this.config.abuse?.ipField,
+      heldRetention: this.config.abuse?.heldRetention,
+      rules: this.config.abuse?.rules
+    });
+    this.logger.info('AbuseDetector initialized');
+  }
+
+  private initializeReversalManager(): void {
+    this.reversals = new ReversalManager({
+      logger: this.config.logger,
+      eventManager: this.eventManager,
+      storage: this.storage,
+      modules: this.modules,
+      retention: this.config.reversals?.retention
+    });
+    this.logger.info('ReversalManager initialized');
+  }
+
   private initializeWebhookManager(): void {
     this.webhookManager = new WebhookManager({
       logger: this.config.logger,
       eventManager: this.eventManager,
+      storage: this.sharedStorage,
+      metricsCollector: this.metricsCollector,
       ...this.config.webhooks
     });
+    this.webhookManager.start();
     this.logger.info('WebhookManager initialized');
   }
 
@@ -313,9 +529,16 @@ export class GamificationKit implements GamificationKitInstance {
     this.metricsCollector = new MetricsCollector({
       logger: this.config.logger,
       eventManager: this.eventManager,
-      storage: this.storage,
-      collectInterval: this.config.metrics?.collectInterval
+      storage: this.sharedStorage,
+      collectInterval: this.config.metrics?.collectInterval,
+      histogramBuckets: this.config.metrics?.histogramBuckets
     });
+    this.metricsCollector.instrumentStorage(this.sharedStorage);
+
+    // Read on every scrape, so components started after this one are picked up
+    this.metricsCollector.registerSource('webhooks', async () => this.webhookManager?.getMetricFamilies() || []);
+    this.metricsCollector.registerSource('health', () => this.healthChecker?.getMetricFamilies() || []);
+
     this.metricsCollector.start();
     this.logger.info('MetricsCollector initialized');
   }
@@ -342,7 +565,10 @@ export class GamificationKit implements GamificationKitInstance {
       this.websocketServer = new WebSocketServer({
         port: this.config.websocket.port || 3002,
         path: this.config.websocket.path || '/gamification/ws',
-        authHandler: (this.config.websocket as any).authHandler
+        authHandler: (this.config.websocket as any).authHandler,
+        authenticator: this.authenticator,
+        tenants: this.tenants,
+        tenantHeader: this.config.tenants?.header
       });
 
       this.websocketServer.setContext({
@@ -371,7 +597,10 @@ export class GamificationKit implements GamificationKitInstance {
         eventManager: this.eventManager,
         ruleEngine: this.ruleEngine,
         logger: this.logger.child(name),
-        config: (this.config as any).modules?.[name] || {}
+        config: (this.config as any).modules?.[name] || {},
+        modules: this.modules,
+        metricsCollector: this.metricsCollector,
+        tenants: this.tenants
       });
 
       await module.initialize();
@@ -382,11 +611,28 @@ export class GamificationKit implements GamificationKitInstance {
     }
   }
 
+  private initializeAuthenticator(): void {
+    const { jwt, verifier, adminScope, queryParam, tenantClaim } = this.config.auth!;
+
+    this.authenticator = new Authenticator({
+      logger: this.config.logger,
+      jwt,
+      verifier,
+      adminScope,
+      queryParam,
+      tenantClaim
+    });
+    this.logger.info('Authenticator initialized');
+  }
+
   private async initializeAPIServer(): Promise<void> {
     // @ts-expect-error - RateLimitConfig compatible with RateLimitOptions
     this.apiServer = new APIServer({
       logger: this.config.logger,
       gamificationKit: this,
+      authenticator: this.authenticator,
+      tenants: this.tenants,
+      tenantHeader: this.config.tenants?.header,
       ...this.config.api
     });
 
@@ -415,7 +661,7 @@ export class GamificationKit implements GamificationKitInstance {
     return this;
   }
 
-  async track(eventName: string, data: Record<string, any> = {}): Promise<TrackEventResult> {
+  async track(eventName: string, data: Record<string, any> = {}, options: TrackEventOptions = {}): Promise<TrackEventResult> {
     validators.isEventName(eventName);
     validators.isObject(data, 'event data');
 
@@ -423,19 +669,115 @@ export class GamificationKit implements GamificationKitInstance {
       throw new Error('GamificationKit not initialized. Call initialize() first.');
     }
 
+    const { idempotencyKey, tenantId } = options;
+    if (tenantId !== undefined && tenantId !== null) {
+      return this.withTenant(tenantId, () => this.track(eventName, data, { idempotencyKey }));
+    }
+
+    if (idempotencyKey === undefined || idempotencyKey === null) {
+      return await this.ingest(eventName, data);
+    }
+
+    validators.isNonEmptyString(idempotencyKey, 'idempotencyKey');
+    validators.isInRange(idempotencyKey.length, 1, 255, 'idempotencyKey length');
+
+    const key = `idempotency:${idempotencyKey}`;
+    const { ttl, pendingTimeout } = this.config.idempotency!;
+    const pendingTTL = Math.ceil(pendingTimeout! / 1000);
+    const deadline = Date.now() + pendingTimeout!;
+
+    // Claim the key atomically; a concurrent or retried call waits for the original result instead
+    while (!await this.storage.setnx(key, { status: 'pending', eventName }, pendingTTL)) {
+      const record = await this.storage.get(key);
+
+      if (record && record.eventName !== eventName) {
+        throw new Error(`Idempotency key ${idempotencyKey} was already used for event ${record.eventName}`);
+      }
+
+      if (record?.status === 'completed') {
+        this.logger.debug(`Replaying result for idempotency key ${idempotencyKey}`);
+        return record.result;
+      }
+
+      if (Date.now() >= deadline) {
+        throw new Error(`Event with idempotency key ${idempotencyKey} is still being processed`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    // The pending marker is renewed for as long as the event is processed, so a retry never
+    // finds it gone while a slow handler still runs; it only lapses if this process dies
+    let renewal: Promise<unknown> = Promise.resolve();
+    const heartbeat = setInterval(() => {
+      renewal = this.storage.expire(key, pendingTTL).catch((error: any) => {
+        this.logger.warn(`Failed to renew idempotency key ${idempotencyKey}`, { error: error.message });
+      });
+    }, pendingTimeout! / 3);
+    heartbeat.unref?.();
+
+    let result: TrackEventResult;
+    try {
+      result = await this.ingest(eventName, data);
+    } catch (error) {
+      // Release the key so the producer's retry can process the event
+      await this.storage.delete(key);
+      throw error;
+    } finally {
+      clearInterval(heartbeat);
+      await renewal;
+    }
+
+    await this.storage.set(key, { status: 'completed', eventName, result }, ttl);
+
+    return result;
+  }
+
+  // Events from users flagged for abuse are held for review instead of processed
+  private async ingest(eventName: string, data: Record<string, any>): Promise<TrackEventResult> {
+    const timestamp = Date.now();
+    const assessment = await this.abuseDetector?.assess(eventName, data, timestamp);
+
+    if (assessment?.flagged) {
+      const held = await this.abuseDetector!.hold(eventName, data, timestamp);
+      return { eventId: held.id, processed: false, held: true, rulesMatched: 0, actions: [], timestamp };
+    }
+
+    return this.processEvent(eventName, data, true, timestamp);
+  }
+
+  private async processEvent(
+    eventName: string,
+    data: Record<string, any>,
+    journal = true,
+    timestamp = Date.now()
+  ): Promise<TrackEventResult> {
+    const startTime = performance.now();
     const event = {
       eventName,
       ...data,
-      timestamp: Date.now()
+      timestamp
     };
 
+    // Journal the event before it is handled so its outcomes follow it in the user's history
+    if (journal && this.journal) {
+      await this.journal.recordEvent(eventName, data, event.timestamp);
+    }
+
+    return this.journal
+      ? this.journal.runTracked(() => this.handleEvent(eventName, event, startTime))
+      : this.handleEvent(eventName, event, startTime);
+  }
+
+  private async handleEvent(eventName: string, event: Record<string, any>, startTime: number): Promise<TrackEventResult> {
     const ruleResults = await this.ruleEngine.evaluate(event);
+    const actionResults: ActionResult[] = [];
 
     // Handle rule results - can be boolean or array
     if (Array.isArray(ruleResults.passed)) {
       for (const result of ruleResults.passed) {
         if (result.actions) {
-          await this.processActions(result.actions, event);
+          actionResults.push(...await this.processActions(result.actions, event, result.ruleName));
         }
       }
     }
@@ -443,60 +785,177 @@ export class GamificationKit implements GamificationKitInstance {
     const emitResult = await this.eventManager.emitAsync(eventName, event);
 
     if (this.metricsCollector) {
-      this.metricsCollector.recordEvent(eventName, event);
+      this.metricsCollector.recordEvent(eventName, { ...event, processingTime: performance.now() - startTime });
     }
 
     return {
       eventId: emitResult.eventId,
       processed: true,
       rulesMatched: Array.isArray(ruleResults.passed) ? ruleResults.passed.length : 0,
+      actions: actionResults,
       timestamp: event.timestamp
     };
   }
 
-  private async processActions(actions: any[], context: any): Promise<void> {
+  private async processActions(actions: RuleAction[], context: any, ruleName: string): Promise<ActionResult[]> {
+    const results: ActionResult[] = [];
+
     for (const action of actions) {
       try {
-        switch (action.type) {
-          case 'award_points':
-            const pointsModule = this.modules.get('points');
-            if (pointsModule && 'award' in pointsModule) {
-              await (pointsModule as any).award(
-                context.userId,
-                (action as any).points,
-                (action as any).reason || context.eventName
-              );
-            }
-            break;
-
-          case 'award_badge':
-            const badgeModule = this.modules.get('badges');
-            if (badgeModule && 'award' in badgeModule) {
-              await (badgeModule as any).award(context.userId, (action as any).badgeId);
-            }
-            break;
-
-          case 'complete_quest':
-            const questModule = this.modules.get('quests');
-            if (questModule && 'completeObjective' in questModule) {
-              await (questModule as any).completeObjective(
-                context.userId,
-                (action as any).questId,
-                (action as any).objectiveId
-              );
-            }
-            break;
-
-          case 'custom':
-            if ((action as any).handler) {
-              await (action as any).handler(context, this);
-            }
-            break;
+        const entry = this.actionHandlers.get(action.type);
+        if (!entry) {
+          throw new Error(`Unknown action type: ${action.type}`);
         }
+
+        const resolved = this.ruleEngine.resolveAction(action, context);
+        const result = await entry.handler(resolved, context, this);
+
+        // Modules report business failures as { success: false, reason } rather than throwing
+        results.push({ rule: ruleName, type: action.type, success: result?.success !== false, result });
       } catch (error: any) {
-        this.logger.error(`Failed to process action: ${action.type}`, { error });
+        this.logger.error(`Failed to process action: ${action.type}`, { rule: ruleName, error: error.message });
+        results.push({ rule: ruleName, type: action.type, success: false, error: error.message });
       }
     }
+
+    return results;
+  }
+
+  /**
+   * Adds a rule action type, or replaces a built-in one. The definition is used to
+   * validate actions of this type whenever a rule is added.
+   */
+  registerAction(type: string, handler: ActionHandler, definition: ActionDefinition = {}): this {
+    validators.isNonEmptyString(type, 'action type');
+    validators.isFunction(handler, 'action handler');
+
+    this.actionHandlers.set(type, { handler, definition });
+    if (this.ruleEngine) {
+      this.ruleEngine.registerActionType(type, definition);
+    }
+
+    return this;
+  }
+
+  private getActionModule(name: string): any {
+    const module = this.modules.get(name);
+    if (!module) {
+      throw new Error(`Module not enabled: ${name}`);
+    }
+    return module;
+  }
+
+  private registerBuiltInActions(): void {
+    // Every action can target another user than the event's, e.g. { userId: '{{referrerId}}' }
+    const userId = (action: RuleAction, context: any): string => action.userId ?? context.userId;
+
+    this.registerAction('award_points', async (action, context) => {
+      const points = this.getActionModule('points');
+      return points.award(userId(action, context), action.points, action.reason || context.eventName, action.currency);
+    }, { required: ['points'], params: { points: 'number', reason: 'string', currency: 'string', userId: 'string' } });
+
+    this.registerAction('award_badge', async (action, context) => {
+      return this.getActionModule('badges').award(userId(action, context), action.badgeId);
+    }, { required: ['badgeId'], params: { badgeId: 'string', userId: 'string' } });
+
+    this.registerAction('add_xp', async (action, context) => {
+      return this.getActionModule('levels').addXP(userId(action, context), action.xp, action.reason || context.eventName, action.track);
+    }, { required: ['xp'], params: { xp: 'number', reason: 'string', track: 'string', userId: 'string' } });
+
+    this.registerAction('record_streak', async (action, context) => {
+      const streaks = this.getActionModule('streaks');
+      return streaks.recordActivity(userId(action, context), action.streakType || 'daily', context.timestamp);
+    }, { params: { streakType: 'string', userId: 'string' } });
+
+    this.registerAction('assign_quest', async (action, context) => {
+      return this.getActionModule('quests').assignQuest(userId(action, context), action.questId);
+    }, { required: ['questId'], params: { questId: 'string', userId: 'string' } });
+
+    this.registerAction('update_quest_progress', async (action, context) => {
+      const quests = this.getActionModule('quests');
+      return quests.updateObjectiveProgress(userId(action, context), action.questId, action.objectiveId, action.increment ?? 1);
+    }, {
+      required: ['questId', 'objectiveId'],
+      params: { questId: 'string', objectiveId: 'string', increment: 'number', userId: 'string' }
+    });
+
+    // With an objectiveId only that objective is completed, otherwise the whole quest
+    this.registerAction('complete_quest', async (action, context) => {
+      const quests = this.getActionModule('quests');
+      if (action.objectiveId) {
+        return quests.updateObjectiveProgress(userId(action, context), action.questId, action.objectiveId, Number.MAX_SAFE_INTEGER);
+      }
+      return quests.completeQuest(userId(action, context), action.questId);
+    }, { required: ['questId'], params: { questId: 'string', objectiveId: 'string', userId: 'string' } });
+
+    this.registerAction('update_leaderboard', async (action, context) => {
+      const leaderboards = this.getActionModule('leaderboards');
+      return leaderboards.updateScore(action.leaderboardId, userId(action, context), action.score, action.increment === true);
+    }, {
+      required: ['leaderboardId', 'score'],
+      params: { leaderboardId: 'string', score: 'number', increment: 'boolean', userId: 'string' }
+    });
+
+    // Durations are in seconds; target picks the points (default) or XP multiplier
+    this.registerAction('set_multiplier', async (action, context) => {
+      if (action.target === 'xp') {
+        return this.getActionModule('levels').setXPMultiplier(userId(action, context), action.multiplier, action.duration);
+      }
+      const points = this.getActionModule('points');
+      return points.setUserMultiplier(userId(action, context), action.multiplier, action.duration, action.currency);
+    }, {
+      required: ['multiplier'],
+      params: { multiplier: 'number', duration: 'number', target: 'string', currency: 'string', userId: 'string' }
+    });
+
+    // Derived events reach module listeners and webhooks but are not run through the rules again
+    this.registerAction('emit_event', async (action, context) => {
+      validators.isEventName(action.eventName);
+      const result = await this.eventManager.emitAsync(action.eventName, {
+        ...action.data,
+        userId: userId(action, context),
+        sourceEvent: context.eventName
+      });
+      return { success: true, eventId: result.eventId };
+    }, { required: ['eventName'], params: { eventName: 'string', data: 'object', userId: 'string' } });
+
+    this.registerAction('custom', async (action, context) => {
+      return action.handler(context, this);
+    }, { required: ['handler'], params: { handler: 'function' } });
+  }
+
+  /**
+   * Runs `fn` as the tenant: storage keys, definitions, rules and module config
+   * used by any call made inside it belong to that tenant
+   */
+  async withTenant<T>(tenantId: string, fn: () => T | Promise<T>): Promise<T> {
+    if (!this.tenants) {
+      throw new Error('Multi-tenancy is not enabled');
+    }
+
+    return this.tenants.run(tenantId, async () => {
+      await this.ruleStore?.ensureLoaded();
+      return fn();
+    });
+  }
+
+  async listTenants(): Promise<string[]> {
+    if (!this.tenants) {
+      throw new Error('Multi-tenancy is not enabled');
+    }
+    return this.tenants.list();
+  }
+
+  async deleteTenant(tenantId: string): Promise<{ success: boolean; tenantId: string; keysDeleted: number }> {
+    if (!this.tenants) {
+      throw new Error('Multi-tenancy is not enabled');
+    }
+
+    this.logger.warn(`Deleting tenant: ${tenantId}`);
+    const result = await this.tenants.delete(tenantId);
+
+    await this.eventManager.emitAsync('tenant.deleted', result);
+    return { success: true, ...result };
   }
 
   async getUserStats(userId: string): Promise<UserStatsResult> {
@@ -521,16 +980,297 @@ export class GamificationKit implements GamificationKitInstance {
 
     this.logger.warn(`Resetting user: ${userId}`);
 
+    await this.resetModules(userId);
+
+    // Rebuilds only replay events recorded after the latest reset
+    if (this.journal) {
+      await this.journal.append(userId, 'reset', 'user.reset');
+    }
+
+    await this.eventManager.emitAsync('user.reset', { userId });
+
+    return { success: true, userId };
+  }
+
+  // A rebuild only clears what replaying the journal recomputes
+  private async resetModules(userId: string, rebuild = false): Promise<string[]> {
+    const reset: string[] = [];
     for (const [name, module] of this.modules) {
-      if ('resetUser' in module && typeof (module as any).resetUser === 'function') {
+      if (rebuild && typeof (module as any).prepareRebuild === 'function') {
+        await (module as any).prepareRebuild(userId);
+        reset.push(name);
+      } else if ('resetUser' in module && typeof (module as any).resetUser === 'function') {
         await (module as any).resetUser(userId);
+        reset.push(name);
         this.logger.debug(`Reset user in module: ${name}`);
       }
     }
 
-    await this.eventManager.emitAsync('user.reset', { userId });
+    await this.ruleEngine.resetAggregates(userId);
+    return reset;
+  }
 
-    return { success: true, userId };
+  /**
+   * Collects everything stored about a user into one JSON document, for data export requests
+   */
+  async exportUser(userId: string): Promise<UserExport> {
+    validators.isUserId(userId);
+
+    if (!this.initialized) {
+      throw new Error('GamificationKit not initialized. Call initialize() first.');
+    }
+
+    const modules: Record<string, any> = {};
+    for (const [name, module] of this.modules) {
+      if (typeof (module as any).exportUserData === 'function') {
+        modules[name] = await (module as any).exportUserData(userId);
+      } else if (typeof (module as any).getUserStats === 'function') {
+        modules[name] = await (module as any).getUserStats(userId);
+      }
+    }
+
+    return {
+      version: 1,
+      userId,
+      exportedAt: Date.now(),
+      modules,
+      journal: this.journal ? await this.journal.getAllEntries(userId) : null,
+      aggregates: await this.ruleEngine.exportAggregates(userId)
+    };
+  }
+
+  /**
+   * Removes everything stored about a user: module data, the event journal, rule
+   * aggregates, abuse flags and held awards, reversal records, and failed webhook calls about them. Unlike resetUser, nothing is kept
+   * for rebuilds. Afterwards the places the modules and stores report holding the user's
+   * data are checked again, and anything left is reported.
+   */
+  async eraseUser(userId: string): Promise<EraseUserResult> {
+    validators.isUserId(userId);
+
+    if (!this.initialized) {
+      throw new Error('GamificationKit not initialized. Call initialize() first.');
+    }
+
+    this.logger.warn(`Erasing user: ${userId}`);
+
+    const locations = await this.getUserDataLocations(userId);
+    const stored = await this.findStoredData(locations);
+
+    const modules = await this.resetModules(userId);
+    await this.ruleEngine.deleteAggregates(userId);
+    await this.journal?.deleteUser(userId);
+    await this.abuseDetector?.deleteUser(userId);
+    await this.reversals?.deleteUser(userId);
+    const deadLettersPurged = this.webhookManager
+      ? await this.webhookManager.purgeDeadLetters({ userId })
+      : 0;
+
+    const remainingKeys = await this.findStoredData(locations);
+    const keysDeleted = stored.filter(key => !remainingKeys.includes(key));
+
+    if (remainingKeys.length > 0) {
+      this.logger.error(`Erasure left ${remainingKeys.length} keys for user ${userId}`, { remainingKeys });
+    }
+
+    const result: EraseUserResult = {
+      success: remainingKeys.length === 0,
+      userId,
+      erasedAt: Date.now(),
+      modules,
+      keysDeleted,
+      remainingKeys,
+      deadLettersPurged
+    };
+
+    await this.eventManager.emitAsync('user.erased', {
+      userId,
+      success: result.success,
+      keysDeleted: keysDeleted.length
+    });
+
+    return result;
+  }
+
+  // Gathered before erasing, as some locations are only found through the user's data
+  private async getUserDataLocations(userId: string): Promise<UserDataLocation[]> {
+    const locations: UserDataLocation[] = [];
+    for (const module of this.modules.values()) {
+      if (typeof (module as any).getUserDataLocations === 'function') {
+        locations.push(...await (module as any).getUserDataLocations(userId));
+      }
+    }
+
+    locations.push(...await this.ruleEngine.getUserDataLocations(userId));
+    for (const store of [this.journal, this.abuseDetector, this.reversals]) {
+      if (store) locations.push(...await store.getUserDataLocations(userId));
+    }
+    return locations;
+  }
+
+  private async findStoredData(locations: UserDataLocation[]): Promise<string[]> {
+    const stored = new Set<string>();
+
+    for (const { key, type, member } of locations) {
+      let found: boolean;
+      switch (type) {
+        case 'hash':
+          found = await this.storage.hexists(key, member!);
+          break;
+        case 'set':
+          found = await this.storage.sismember(key, member);
+          break;
+        case 'zset':
+          found = await this.storage.zscore(key, member) !== null;
+          break;
+        default:
+          found = await this.storage.exists(key);
+      }
+
+      if (found) stored.add(type ? `${key}[${member}]` : key);
+    }
+
+    return Array.from(stored).sort();
+  }
+
+  /**
+   * Resets a user's module state and replays their journaled events through the
+   * current rules and module configuration, e.g. after changing a level curve.
+   * Direct module calls, such as manual awards, are replayed from their outcomes.
+   * Each entry is replayed at its original time, so limits and periods apply as then.
+   */
+  async rebuildUser(userId: string): Promise<RebuildUserResult> {
+    validators.isUserId(userId);
+
+    if (!this.initialized) {
+      throw new Error('GamificationKit not initialized. Call initialize() first.');
+    }
+
+    if (!this.journal) {
+      throw new Error('Event journal is not enabled');
+    }
+
+    const entries = await this.journal.getReplayableEvents(userId);
+    const eventsReplayed = entries.filter(entry => entry.type === 'event').length;
+    const outcomesReplayed = entries.length - eventsReplayed;
+    const rebuildId = `rbd_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+
+    this.logger.warn(`Rebuilding user from journal: ${userId}`, { rebuildId, events: eventsReplayed, outcomes: outcomesReplayed });
+
+    this.journal.startRebuild(userId, rebuildId);
+    try {
+      await this.resetModules(userId, true);
+
+      for (const entry of entries) {
+        // Original timestamps keep replayed events in the aggregate windows and point periods they first landed in
+        await eventClock.run(entry.timestamp, () => entry.type === 'event'
+          ? this.processEvent(entry.eventName, entry.data, false, entry.timestamp)
+          : this.replayOutcome(entry));
+      }
+    } finally {
+      this.journal.finishRebuild(userId);
+    }
+
+    await this.journal.append(userId, 'rebuild', 'user.rebuilt', { rebuildId, eventsReplayed, outcomesReplayed });
+    await this.eventManager.emitAsync('user.rebuilt', { userId, rebuildId, eventsReplayed, outcomesReplayed });
+
+    return { success: true, userId, rebuildId, eventsReplayed, outcomesReplayed };
+  }
+
+  // Makes a direct module call again from the outcome it was journaled with
+  private async replayOutcome(entry: JournalEntry): Promise<void> {
+    const { userId, transaction, currency, badgeId } = entry.data;
+    const module: any = this.modules.get(entry.eventName.split('.')[0]);
+    if (!module) return;
+
+    switch (entry.eventName) {
+      case 'points.awarded':
+        await module.award(userId, transaction.originalPoints, transaction.reason, currency);
+        break;
+      case 'points.deducted':
+        await module.deduct(userId, entry.data.points, transaction.reason, currency);
+        break;
+      case 'levels.xp.gained':
+        await module.addXP(userId, transaction.originalAmount, transaction.reason, transaction.track);
+        break;
+      case 'badges.awarded':
+        await module.award(userId, badgeId, entry.data.award?.metadata);
+        break;
+      case 'badges.revoked':
+        await module.revoke(userId, badgeId);
+        break;
+    }
+  }
+
+  /**
+   * Processes a held event as if it had just been tracked, applying its awards
+   */
+  async approveHeldAward(holdId: string, reviewedBy?: string): Promise<HeldAwardReviewResult> {
+    const abuseDetector = this.requireAbuseDetector();
+    const held = await abuseDetector.takeHeldAward(holdId);
+
+    this.logger.info(`Held award approved: ${holdId}`, { userId: held.userId, reviewedBy });
+
+    // Journaled with its original timestamp, as if it had never been held
+    let result: TrackEventResult;
+    try {
+      result = await this.processEvent(held.eventName, held.data, true, held.timestamp);
+    } catch (error) {
+      // Back in the queue, so the award isn't lost and can be approved again
+      await abuseDetector.restoreHeldAward(held);
+      throw error;
+    }
+
+    await this.eventManager.emitAsync('abuse.award.approved', {
+      holdId,
+      userId: held.userId,
+      heldEvent: held.eventName,
+      ...(reviewedBy && { reviewedBy })
+    });
+
+    return { success: true, holdId, userId: held.userId, result };
+  }
+
+  /**
+   * Drops a held event without processing it
+   */
+  async rejectHeldAward(holdId: string, reviewedBy?: string, note?: string): Promise<HeldAwardReviewResult> {
+    const held = await this.requireAbuseDetector().takeHeldAward(holdId);
+
+    this.logger.warn(`Held award rejected: ${holdId}`, { userId: held.userId, reviewedBy, note });
+
+    await this.eventManager.emitAsync('abuse.award.rejected', {
+      holdId,
+      userId: held.userId,
+      heldEvent: held.eventName,
+      ...(reviewedBy && { reviewedBy }),
+      ...(note && { note })
+    });
+
+    return { success: true, holdId, userId: held.userId };
+  }
+
+  /**
+   * Reverses a points or XP transaction along with everything it led to: points are
+   * deducted, XP removed (levelling the user down), badges revoked and leaderboard
+   * scores corrected. With `dryRun` the compensation plan is returned without applying it.
+   */
+  async reverse(transactionId: string, options: ReverseOptions = {}): Promise<ReverseResult> {
+    if (!this.initialized) {
+      throw new Error('GamificationKit not initialized. Call initialize() first.');
+    }
+    if (!this.reversals) {
+      throw new Error('Transaction reversal is not enabled');
+    }
+
+    return this.reversals.reverse(transactionId, options);
+  }
+
+  private requireAbuseDetector(): AbuseDetector {
+    if (!this.abuseDetector) {
+      throw new Error('Anti-abuse is not enabled');
+    }
+    return this.abuseDetector;
   }
 
   async express(): Promise<any> {
@@ -590,7 +1330,11 @@ export class GamificationKit implements GamificationKitInstance {
     // 3. Flush pending webhooks
     if (this.webhookManager) {
       this.logger.info('Stopping webhook manager...');
-      // Note: WebhookManager doesn't have a flush method currently
+      await this.webhookManager.stop();
+    }
+
+    if (this.ruleStore) {
+      await this.ruleStore.stop();
     }
 
     // 4. Stop metrics collection
@@ -647,6 +1391,16 @@ export class GamificationKit implements GamificationKitInstance {
     return this.metricsCollector.getMetrics();
   }
 
+  /**
+   * Metrics in the Prometheus text or OpenMetrics format, or null when metrics are disabled
+   */
+  async exportMetrics(format: 'prometheus' | 'openmetrics' = 'openmetrics'): Promise<string | null> {
+    if (!this.metricsCollector) {
+      return null;
+    }
+    return this.metricsCollector.exportMetrics(format);
+  }
+
   /**
    * Get basic health status (legacy method, kept for compatibility)
    */
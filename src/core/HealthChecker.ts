@@ -1,5 +1,6 @@
 import { Logger } from '../utils/logger.js';
 import type { GamificationKitInstance } from '../types/config.js';
+import type { MetricFamily } from './MetricsCollector.js';
 
 /**
  * Health check result structure
@@ -515,7 +516,7 @@ export class HealthChecker {
       };
     }
 
-    const queueSize = (this.gamificationKit.webhookManager as any).queue?.length || 0;
+    const queueSize = await this.gamificationKit.webhookManager.getQueueSize();
     const maxQueueSize = this.gamificationKit.config.webhooks.maxQueueSize || 1000;
 
     let status: 'healthy' | 'degraded' | 'unhealthy' = 'healthy';
@@ -590,6 +591,37 @@ export class HealthChecker {
     return results;
   }
 
+  /**
+   * Latest result of every check for the metrics exposition. Cached results are
+   * used so a scrape never runs the checks itself.
+   * @returns Status (one sample per possible status, 1 for the current one) and duration per check
+   */
+  getMetricFamilies(): MetricFamily[] {
+    const statuses: HealthCheckResult['status'][] = ['healthy', 'degraded', 'unhealthy', 'unknown'];
+    const results = Array.from(this.lastCheckResults.entries());
+
+    return [
+      {
+        name: 'gamification_health_check_status',
+        type: 'gauge',
+        help: 'Latest health check status',
+        samples: results.flatMap(([check, result]) => statuses.map(status => ({
+          labels: { check, status },
+          value: result.status === status ? 1 : 0
+        })))
+      },
+      {
+        name: 'gamification_health_check_duration_seconds',
+        type: 'gauge',
+        help: 'Time the latest health check took',
+        unit: 'seconds',
+        samples: results
+          .filter(([, result]) => result.duration !== undefined)
+          .map(([check, result]) => ({ labels: { check }, value: result.duration! / 1000 }))
+      }
+    ];
+  }
+
   /**
    * Shutdown health checker
    */
@@ -1,4 +1,6 @@
+import { performance } from 'perf_hooks';
 import { Logger } from '../utils/logger.js';
+import { validators } from '../utils/validators.js';
 import type { LoggerConfig } from '../types/config.js';
 import type { EventManager, EventData } from './EventManager.js';
 import type { IStorageAdapter } from '../types/storage.js';
@@ -10,6 +12,7 @@ export interface MetricsCollectorOptions {
   collectInterval?: number;
   maxEventTypes?: number;
   maxModules?: number;
+  histogramBuckets?: number[];
 }
 
 export interface EventMetrics {
@@ -57,12 +60,92 @@ export interface MetricsResult {
   modules?: Record<string, Record<string, ModuleMetric & { avg: number }>>;
 }
 
+export type MetricsFormat = 'json' | 'prometheus' | 'openmetrics';
+
+export type MetricType = 'counter' | 'gauge' | 'histogram' | 'summary';
+
+export interface MetricSample {
+  suffix?: string;
+  labels?: Record<string, string>;
+  value: number;
+}
+
+/**
+ * One metric in the text exposition. Counter families are named without `_total`;
+ * their samples carry it as a suffix.
+ */
+export interface MetricFamily {
+  name: string;
+  type: MetricType;
+  help: string;
+  unit?: string;
+  samples: MetricSample[];
+}
+
+export type MetricSource = () => MetricFamily[] | Promise<MetricFamily[]>;
+
+interface Histogram {
+  counts: number[];
+  sum: number;
+  count: number;
+}
+
+interface StorageOperationMetrics {
+  adapter: string;
+  operation: string;
+  duration: Histogram;
+  errors: number;
+}
+
+interface WebhookDeliveryMetrics {
+  delivered: number;
+  failed: number;
+  duration: Histogram;
+}
+
+// Bounds in seconds, the same defaults the official Prometheus clients use
+export const DEFAULT_HISTOGRAM_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+export const METRICS_CONTENT_TYPES: Record<MetricsFormat, string> = {
+  json: 'application/json',
+  prometheus: 'text/plain; version=0.0.4; charset=utf-8',
+  openmetrics: 'application/openmetrics-text; version=1.0.0; charset=utf-8'
+};
+
+// Adapter methods timed by instrumentStorage; connection management is left out
+const STORAGE_OPERATIONS = [
+  'get', 'set', 'delete', 'rename', 'exists', 'increment', 'decrement', 'mget', 'mset', 'mdelete', 'keys', 'clear',
+  'expire', 'ttl', 'persist', 'setnx',
+  'zadd', 'zrem', 'zrange', 'zrevrange', 'zrank', 'zrevrank', 'zscore', 'zcount', 'zrangebyscore', 'zremrangebyscore', 'zincrby', 'zcard',
+  'lpush', 'rpush', 'lpop', 'rpop', 'lrange', 'llen', 'lrem',
+  'sadd', 'srem', 'smembers', 'sismember', 'scard',
+  'hset', 'hget', 'hgetall', 'hdel', 'hincrby', 'hexists', 'hkeys', 'hmget', 'hmset'
+];
+
+const instrumented = new WeakSet<object>();
+
+/**
+ * Picks the exposition format from an Accept header. Prometheus scrapers ask for
+ * OpenMetrics first and plain text as a fallback; everything else gets JSON.
+ */
+export function negotiateMetricsFormat(accept?: string): MetricsFormat {
+  if (!accept) return 'json';
+  if (accept.includes('application/openmetrics-text')) return 'openmetrics';
+  if (accept.includes('text/plain')) return 'prometheus';
+  return 'json';
+}
+
 export class MetricsCollector {
   private logger: Logger;
   private eventManager?: EventManager;
   private collectInterval: number;
   private maxEventTypes: number;
   private maxModules: number;
+  private buckets: number[];
+  private eventDurations: Map<string, Histogram>;
+  private storageOperations: Map<string, StorageOperationMetrics>;
+  private webhookDeliveries: Map<string, WebhookDeliveryMetrics>;
+  private sources: Map<string, MetricSource>;
   private metrics: {
     events: Map<string, EventMetrics>;
     modules: Map<string, Record<string, ModuleMetric>>;
@@ -78,6 +161,11 @@ export class MetricsCollector {
     this.collectInterval = options.collectInterval || 60000;
     this.maxEventTypes = options.maxEventTypes || 500; // Fix HIGH-004: Limit tracked event types
     this.maxModules = options.maxModules || 100; // Fix HIGH-004: Limit tracked modules
+    this.buckets = this.validateBuckets(options.histogramBuckets || DEFAULT_HISTOGRAM_BUCKETS);
+    this.eventDurations = new Map();
+    this.storageOperations = new Map();
+    this.webhookDeliveries = new Map();
+    this.sources = new Map();
     this.metrics = {
       events: new Map(),
       modules: new Map(),
@@ -128,6 +216,7 @@ export class MetricsCollector {
         const oldestKey = this.metrics.events.keys().next().value as string;
         if (oldestKey) {
           this.metrics.events.delete(oldestKey);
+          this.eventDurations.delete(oldestKey);
         }
       }
       this.metrics.events.set(eventName, {
@@ -147,6 +236,13 @@ export class MetricsCollector {
       eventMetrics.totalProcessingTime += data.processingTime;
     }
 
+    if (typeof data.processingTime === 'number') {
+      if (!this.eventDurations.has(eventName)) {
+        this.eventDurations.set(eventName, this.createHistogram());
+      }
+      this.observe(this.eventDurations.get(eventName)!, data.processingTime / 1000);
+    }
+
     if (data.error) {
       eventMetrics.errors++;
     }
@@ -186,6 +282,72 @@ export class MetricsCollector {
     m.lastUpdate = Date.now();
   }
 
+  /**
+   * Times every data operation of a storage adapter. The adapter's methods are
+   * wrapped in place, so modules holding a reference to it are measured too.
+   */
+  instrumentStorage(storage: any): void {
+    if (!storage || instrumented.has(storage)) return;
+    instrumented.add(storage);
+
+    const adapter = storage.constructor?.name || 'storage';
+
+    for (const operation of STORAGE_OPERATIONS) {
+      const original = storage[operation];
+      if (typeof original !== 'function') continue;
+
+      storage[operation] = async (...args: any[]) => {
+        const startTime = performance.now();
+        let failed = false;
+
+        try {
+          return await original.apply(storage, args);
+        } catch (error) {
+          failed = true;
+          throw error;
+        } finally {
+          this.recordStorageOperation(adapter, operation, performance.now() - startTime, failed);
+        }
+      };
+    }
+  }
+
+  recordStorageOperation(adapter: string, operation: string, duration: number, failed = false): void {
+    const key = `${adapter}:${operation}`;
+    if (!this.storageOperations.has(key)) {
+      this.storageOperations.set(key, { adapter, operation, duration: this.createHistogram(), errors: 0 });
+    }
+
+    const metrics = this.storageOperations.get(key)!;
+    this.observe(metrics.duration, duration / 1000);
+    if (failed) {
+      metrics.errors++;
+    }
+  }
+
+  recordWebhookDelivery(webhookId: string, status: 'delivered' | 'failed', latency: number): void {
+    if (!this.webhookDeliveries.has(webhookId)) {
+      this.webhookDeliveries.set(webhookId, { delivered: 0, failed: 0, duration: this.createHistogram() });
+    }
+
+    const metrics = this.webhookDeliveries.get(webhookId)!;
+    metrics[status]++;
+    this.observe(metrics.duration, latency / 1000);
+  }
+
+  /**
+   * Adds metric families from another component to the text exposition,
+   * read fresh on every scrape
+   */
+  registerSource(name: string, source: MetricSource): void {
+    if (typeof source !== 'function') {
+      throw new Error('Metric source must be a function');
+    }
+
+    this.sources.set(name, source);
+    this.logger.debug(`Registered metric source: ${name}`);
+  }
+
   registerCollector(name: string, collector: () => any | Promise<any>): void {
     if (typeof collector !== 'function') {
       throw new Error('Collector must be a function');
@@ -334,6 +496,9 @@ export class MetricsCollector {
   reset(): void {
     this.metrics.events.clear();
     this.metrics.modules.clear();
+    this.eventDurations.clear();
+    this.storageOperations.clear();
+    this.webhookDeliveries.clear();
     this.metrics.system = {
       startTime: Date.now(),
       lastCollect: Date.now()
@@ -341,49 +506,228 @@ export class MetricsCollector {
     this.logger.info('Metrics reset');
   }
 
-  async exportMetrics(format: 'json' | 'prometheus' | 'csv' = 'json'): Promise<string> {
-    const metrics = this.getMetrics();
+  async exportMetrics(format: MetricsFormat | 'csv' = 'json'): Promise<string> {
+    if (format === 'json') {
+      return JSON.stringify(this.getMetrics(), null, 2);
+    }
+
+    if (format === 'csv') {
+      return this.formatCSV(this.getMetrics());
+    }
 
-    switch (format) {
-      case 'json':
-        return JSON.stringify(metrics, null, 2);
+    if (format === 'prometheus' || format === 'openmetrics') {
+      return this.formatExposition(await this.getMetricFamilies(), format);
+    }
 
-      case 'prometheus':
-        return this.formatPrometheus(metrics);
+    throw new Error(`Unknown export format: ${format}`);
+  }
 
-      case 'csv':
-        return this.formatCSV(metrics);
+  async getMetricFamilies(): Promise<MetricFamily[]> {
+    const memory = process.memoryUsage();
+    const families: MetricFamily[] = [
+      {
+        name: 'gamification_uptime_seconds',
+        type: 'gauge',
+        help: 'Time since the metrics collector started',
+        unit: 'seconds',
+        samples: [{ value: (Date.now() - this.metrics.system.startTime) / 1000 }]
+      },
+      {
+        name: 'gamification_memory_bytes',
+        type: 'gauge',
+        help: 'Process memory usage',
+        unit: 'bytes',
+        samples: [
+          { labels: { type: 'rss' }, value: memory.rss },
+          { labels: { type: 'heap_total' }, value: memory.heapTotal },
+          { labels: { type: 'heap_used' }, value: memory.heapUsed },
+          { labels: { type: 'external' }, value: memory.external }
+        ]
+      }
+    ];
+
+    const events = Array.from(this.metrics.events.entries());
+    families.push(
+      {
+        name: 'gamification_events',
+        type: 'counter',
+        help: 'Events seen, by event name',
+        samples: events.map(([event, data]) => ({ suffix: '_total', labels: { event }, value: data.count }))
+      },
+      {
+        name: 'gamification_event_errors',
+        type: 'counter',
+        help: 'Events that reported an error, by event name',
+        samples: events.map(([event, data]) => ({ suffix: '_total', labels: { event }, value: data.errors }))
+      },
+      {
+        name: 'gamification_event_processing_seconds',
+        type: 'histogram',
+        help: 'Time spent processing tracked events, including rules and listeners',
+        unit: 'seconds',
+        samples: Array.from(this.eventDurations.entries())
+          .flatMap(([event, histogram]) => this.histogramSamples(histogram, { event }))
+      }
+    );
+
+    const moduleMetrics = Array.from(this.metrics.modules.entries()).flatMap(([module, metrics]) =>
+      Object.entries(metrics).map(([metric, data]) => ({ labels: { module, metric }, data }))
+    );
+    families.push(
+      {
+        name: 'gamification_module_metric',
+        type: 'summary',
+        help: 'Values recorded by modules with recordMetric',
+        samples: moduleMetrics.flatMap(({ labels, data }) => [
+          { suffix: '_count', labels, value: data.count },
+          { suffix: '_sum', labels, value: data.sum }
+        ])
+      },
+      {
+        name: 'gamification_module_metric_last',
+        type: 'gauge',
+        help: 'Last value recorded by modules with recordMetric',
+        samples: moduleMetrics.map(({ labels, data }) => ({ labels, value: data.value }))
+      }
+    );
+
+    const storage = Array.from(this.storageOperations.values());
+    families.push(
+      {
+        name: 'gamification_storage_operation_duration_seconds',
+        type: 'histogram',
+        help: 'Storage adapter operation latency',
+        unit: 'seconds',
+        samples: storage.flatMap(({ adapter, operation, duration }) =>
+          this.histogramSamples(duration, { adapter, operation })
+        )
+      },
+      {
+        name: 'gamification_storage_operation_errors',
+        type: 'counter',
+        help: 'Storage adapter operations that threw',
+        samples: storage.map(({ adapter, operation, errors }) => ({
+          suffix: '_total',
+          labels: { adapter, operation },
+          value: errors
+        }))
+      }
+    );
+
+    const webhooks = Array.from(this.webhookDeliveries.entries());
+    families.push(
+      {
+        name: 'gamification_webhook_deliveries',
+        type: 'counter',
+        help: 'Webhook delivery attempts, by outcome',
+        samples: webhooks.flatMap(([webhook, data]) => [
+          { suffix: '_total', labels: { webhook, status: 'delivered' }, value: data.delivered },
+          { suffix: '_total', labels: { webhook, status: 'failed' }, value: data.failed }
+        ])
+      },
+      {
+        name: 'gamification_webhook_delivery_duration_seconds',
+        type: 'histogram',
+        help: 'Webhook delivery latency',
+        unit: 'seconds',
+        samples: webhooks.flatMap(([webhook, data]) => this.histogramSamples(data.duration, { webhook }))
+      }
+    );
 
-      default:
-        throw new Error(`Unknown export format: ${format}`);
+    for (const [name, source] of this.sources) {
+      try {
+        families.push(...await source());
+      } catch (error: any) {
+        this.logger.error(`Metric source failed: ${name}`, { error: error.message });
+      }
     }
+
+    return families;
   }
 
-  formatPrometheus(metrics: MetricsResult): string {
+  /**
+   * Renders metric families in the Prometheus text format (0.0.4) or OpenMetrics 1.0
+   */
+  formatExposition(families: MetricFamily[], format: 'prometheus' | 'openmetrics'): string {
+    const openMetrics = format === 'openmetrics';
     const lines: string[] = [];
-    const timestamp = Date.now();
 
-    lines.push('# HELP gamification_uptime_seconds Uptime in seconds');
-    lines.push('# TYPE gamification_uptime_seconds gauge');
-    lines.push(`gamification_uptime_seconds ${metrics.uptime / 1000} ${timestamp}`);
+    for (const family of families) {
+      if (family.samples.length === 0) continue;
 
-    if (metrics.system) {
-      lines.push('# HELP gamification_memory_bytes Memory usage in bytes');
-      lines.push('# TYPE gamification_memory_bytes gauge');
-      lines.push(`gamification_memory_bytes{type="rss"} ${metrics.system.memory!.rss} ${timestamp}`);
-      lines.push(`gamification_memory_bytes{type="heap_used"} ${metrics.system.memory!.heapUsed} ${timestamp}`);
-    }
+      // The Prometheus text format names counters after their samples
+      const name = family.type === 'counter' && !openMetrics ? `${family.name}_total` : family.name;
 
-    if (metrics.events) {
-      lines.push('# HELP gamification_events_total Total number of events');
-      lines.push('# TYPE gamification_events_total counter');
+      lines.push(`# HELP ${name} ${family.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+      lines.push(`# TYPE ${name} ${family.type}`);
+      if (openMetrics && family.unit) {
+        lines.push(`# UNIT ${name} ${family.unit}`);
+      }
 
-      for (const [eventName, data] of Object.entries(metrics.events)) {
-        lines.push(`gamification_events_total{event="${eventName}"} ${data.count} ${timestamp}`);
+      for (const sample of family.samples) {
+        lines.push(`${family.name}${sample.suffix || ''}${this.formatLabels(sample.labels)} ${this.formatValue(sample.value)}`);
       }
     }
 
-    return lines.join('\n');
+    if (openMetrics) {
+      lines.push('# EOF');
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  private formatLabels(labels?: Record<string, string>): string {
+    const entries = Object.entries(labels || {});
+    if (entries.length === 0) return '';
+
+    const formatted = entries.map(([key, value]) => {
+      const escaped = String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+      return `${key}="${escaped}"`;
+    });
+
+    return `{${formatted.join(',')}}`;
+  }
+
+  private formatValue(value: number): string {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    if (Number.isNaN(value)) return 'NaN';
+    return String(value);
+  }
+
+  private validateBuckets(buckets: number[]): number[] {
+    validators.isArray(buckets, 'histogramBuckets');
+    buckets.forEach(bound => validators.isPositiveNumber(bound, 'histogramBuckets'));
+    return [...new Set(buckets)].sort((a, b) => a - b);
+  }
+
+  private createHistogram(): Histogram {
+    return { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+  }
+
+  private observe(histogram: Histogram, value: number): void {
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) {
+      histogram.counts[index]++;
+    }
+    histogram.sum += value;
+    histogram.count++;
+  }
+
+  private histogramSamples(histogram: Histogram, labels: Record<string, string>): MetricSample[] {
+    let cumulative = 0;
+    const samples: MetricSample[] = this.buckets.map((bound, index) => {
+      cumulative += histogram.counts[index];
+      return { suffix: '_bucket', labels: { ...labels, le: String(bound) }, value: cumulative };
+    });
+
+    samples.push(
+      { suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: histogram.count },
+      { suffix: '_count', labels, value: histogram.count },
+      { suffix: '_sum', labels, value: histogram.sum }
+    );
+
+    return samples;
   }
 
   formatCSV(metrics: MetricsResult): string {
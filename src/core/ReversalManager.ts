@@ -0,0 +1,425 @@
+import { Logger } from '../utils/logger.js';
+import { validators } from '../utils/validators.js';
+import crypto from 'crypto';
+import { correlationContext } from './EventManager.js';
+import type { LoggerConfig } from '../types/config.js';
+import type { StorageInterface, UserDataLocation } from '../types/storage.js';
+import type { EventManager, EventData } from './EventManager.js';
+
+export interface ReversalManagerOptions {
+  logger?: LoggerConfig;
+  eventManager: EventManager;
+  storage: StorageInterface;
+  modules: Map<string, any>;
+  retention?: number;
+}
+
+/**
+ * An event a transaction led to, recorded under the transaction's ID
+ */
+export interface TransactionEffect {
+  eventId: string;
+  eventName: string;
+  data: Record<string, any>;
+  correlationIds: string[];
+  timestamp: number;
+}
+
+export type CompensationAction = 'deduct_points' | 'remove_xp' | 'revoke_badge' | 'adjust_leaderboard';
+
+export interface CompensationStep {
+  action: CompensationAction;
+  eventName: string; // The effect being compensated
+  eventId: string;
+  userId: string;
+  params: Record<string, any>;
+  status: 'planned' | 'applied' | 'failed' | 'skipped';
+  result?: any;
+  error?: string;
+}
+
+export interface ReversalRecord {
+  id: string;
+  transactionId: string;
+  userId: string;
+  reason: string;
+  reversedBy?: string;
+  dryRun: boolean;
+  createdAt: number;
+  success: boolean;
+  steps: CompensationStep[];
+  uncompensated: string[]; // Effects nothing takes back, such as quest progress
+}
+
+export interface ReverseOptions {
+  dryRun?: boolean;
+  reason?: string;
+  reversedBy?: string;
+}
+
+export type ReverseResult =
+  | ReversalRecord
+  | { success: false; reason: 'already_reversed'; reversalId: string }
+  | { success: false; reason: 'reversal_in_progress' };
+
+// Seconds a reversal holds its transaction; a process that dies lets go after this
+const REVERSAL_LEASE = 300;
+
+// Effects that need no step of their own: requests whose outcome events are compensated,
+// and level changes that removing the XP undoes
+const IMPLIED_EFFECTS = new Set([
+  'points.award',
+  'badges.award',
+  'levels.level.up',
+  'levels.level.down',
+  'levels.rewards.processed',
+  'levels.max.level.reached',
+  'levels.overall.level.changed'
+]);
+
+/**
+ * Records every event a points or XP transaction leads to, and reverses the transaction
+ * by compensating those effects in the owning modules, latest first. Each reversal is
+ * kept as an audit record; a dry run returns the planned steps without applying them.
+ * Reversing the transaction again retries only the steps that failed.
+ */
+export class ReversalManager {
+  private logger: Logger;
+  private eventManager: EventManager;
+  private storage: StorageInterface;
+  private modules: Map<string, any>;
+  private retention: number;
+
+  constructor(options: ReversalManagerOptions) {
+    this.logger = new Logger({ prefix: 'ReversalManager', ...options.logger });
+    this.eventManager = options.eventManager;
+    this.storage = options.storage;
+    this.modules = options.modules;
+    this.retention = options.retention || 2592000;
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners(): void {
+    this.eventManager.onWildcard('*', async (event: EventData) => {
+      if (!event.correlationIds) return;
+
+      const effect: TransactionEffect = {
+        eventId: event.id,
+        eventName: event.eventName,
+        data: event.data,
+        correlationIds: event.correlationIds,
+        timestamp: event.timestamp
+      };
+
+      // Nested transactions are recorded under each enclosing one, so reversing the
+      // outer transaction reverses them too
+      for (const correlationId of event.correlationIds) {
+        const key = this.getStorageKey(`effects:${correlationId}`);
+        await this.storage.rpush(key, JSON.stringify(effect));
+        await this.storage.expire(key, this.retention);
+      }
+    });
+  }
+
+  private getStorageKey(suffix: string): string {
+    return `reversals:${suffix}`;
+  }
+
+  async getEffects(transactionId: string): Promise<TransactionEffect[]> {
+    const values = await this.storage.lrange(this.getStorageKey(`effects:${transactionId}`), 0, -1);
+    return values.map((value: any) => typeof value === 'string' ? JSON.parse(value) : value);
+  }
+
+  async reverse(transactionId: string, options: ReverseOptions = {}): Promise<ReverseResult> {
+    validators.isNonEmptyString(transactionId, 'transactionId');
+
+    let effects = await this.getEffects(transactionId);
+    const root = effects.find(effect => effect.data.transaction?.id === transactionId);
+    if (!root) {
+      throw new Error(`Transaction not found: ${transactionId}`);
+    }
+
+    // Scores a leaderboard still holds in its batch are written first, so the steps that
+    // correct them are planned with the rest
+    const leaderboards = this.modules.get('leaderboards');
+    if (leaderboards && !leaderboards.config.enableRealtime) {
+      await leaderboards.processBatchUpdates(root.data.userId);
+      effects = await this.getEffects(transactionId);
+    }
+
+    const claimKey = this.getStorageKey(`transaction:${transactionId}`);
+    if (options.dryRun) {
+      const existing = await this.storage.get(claimKey);
+      if (existing) {
+        return { success: false, reason: 'already_reversed', reversalId: existing };
+      }
+      return this.planReversal(transactionId, root, effects, options);
+    }
+
+    // The lease keeps concurrent calls off the transaction and expires on its own if
+    // this process dies, so a later call can pick the reversal up where it stopped
+    const lockKey = this.getStorageKey(`lock:${transactionId}`);
+    const lockId = crypto.randomBytes(8).toString('hex');
+    if (!await this.storage.setnx(lockKey, lockId, REVERSAL_LEASE)) {
+      return { success: false, reason: 'reversal_in_progress' };
+    }
+
+    try {
+      const claimed = await this.storage.get(claimKey);
+      let reversal = claimed ? await this.getReversal(claimed) : null;
+      if (reversal?.success) {
+        return { success: false, reason: 'already_reversed', reversalId: reversal.id };
+      }
+
+      // A claim without a record is a reversal that died before it stored one, so its
+      // plan is made again under the same ID
+      if (!reversal) {
+        await this.pruneReversals();
+        reversal = await this.planReversal(transactionId, root, effects, options, claimed);
+        await this.storage.set(claimKey, reversal.id, this.retention);
+        await this.saveReversal(reversal);
+      }
+
+      return await this.applyReversal(reversal);
+    } finally {
+      if (await this.storage.get(lockKey) === lockId) {
+        await this.storage.delete(lockKey);
+      }
+    }
+  }
+
+  private async planReversal(
+    transactionId: string,
+    root: TransactionEffect,
+    effects: TransactionEffect[],
+    options: ReverseOptions,
+    reversalId?: string
+  ): Promise<ReversalRecord> {
+    const { dryRun = false, reason = 'reversal', reversedBy } = options;
+    const reversal: ReversalRecord = {
+      id: reversalId || `rev_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`,
+      transactionId,
+      userId: root.data.userId,
+      reason,
+      ...(reversedBy && { reversedBy }),
+      dryRun,
+      createdAt: Date.now(),
+      success: dryRun, // A reversal succeeds once none of its steps failed
+      steps: [],
+      uncompensated: []
+    };
+
+    const uncompensated = new Set<string>();
+    for (const effect of [...effects].reverse()) {
+      const step = this.planStep(effect);
+      if (step) {
+        reversal.steps.push(step);
+      } else if (!IMPLIED_EFFECTS.has(effect.eventName)) {
+        uncompensated.add(effect.eventName);
+      }
+    }
+    reversal.uncompensated = Array.from(uncompensated);
+
+    await this.skipReversed(reversal.steps, effects, transactionId);
+
+    return reversal;
+  }
+
+  // Runs the steps that haven't gone through yet, storing the record after each one so a
+  // reversal that stops midway can be retried without applying anything twice
+  private async applyReversal(reversal: ReversalRecord): Promise<ReversalRecord> {
+    const { transactionId, reason, reversedBy } = reversal;
+    const pending = reversal.steps.filter(step => step.status === 'planned' || step.status === 'failed');
+
+    this.logger.warn(`Reversing transaction ${transactionId}`, { reversalId: reversal.id, steps: pending.length, reversedBy });
+
+    // Compensations are traced to the reversal rather than to the transaction they undo
+    await correlationContext.run(reversal.id, async () => {
+      for (const step of pending) {
+        await this.applyStep(step, reason);
+        await this.saveReversal(reversal);
+      }
+    });
+    reversal.success = reversal.steps.every(step => step.status !== 'failed');
+
+    // Nested transactions taken back here can't be reversed on their own again
+    for (const step of reversal.steps) {
+      if (step.status === 'applied' && step.params.transactionId && step.params.transactionId !== transactionId) {
+        await this.storage.setnx(this.getStorageKey(`transaction:${step.params.transactionId}`), reversal.id, this.retention);
+      }
+    }
+
+    await this.saveReversal(reversal);
+
+    await this.eventManager.emitAsync('transaction.reversed', {
+      reversalId: reversal.id,
+      transactionId,
+      userId: reversal.userId,
+      success: reversal.success,
+      steps: reversal.steps.length,
+      ...(reversedBy && { reversedBy })
+    });
+
+    return reversal;
+  }
+
+  // Records are indexed by when they were made, so those past the retention can be dropped
+  private async saveReversal(reversal: ReversalRecord): Promise<void> {
+    await this.storage.hset(this.getStorageKey('records'), reversal.id, JSON.stringify(reversal));
+    await this.storage.zadd(this.getStorageKey('records:index'), reversal.createdAt, reversal.id);
+  }
+
+  private async pruneReversals(): Promise<void> {
+    const indexKey = this.getStorageKey('records:index');
+    const cutoff = Date.now() - this.retention * 1000;
+
+    for (const reversalId of await this.storage.zrangebyscore(indexKey, '-inf', cutoff)) {
+      await this.storage.hdel(this.getStorageKey('records'), reversalId);
+    }
+    await this.storage.zremrangebyscore(indexKey, '-inf', cutoff);
+  }
+
+  private planStep(effect: TransactionEffect): CompensationStep | null {
+    const { data } = effect;
+    const step = (action: CompensationAction, params: Record<string, any>): CompensationStep => ({
+      action,
+      eventName: effect.eventName,
+      eventId: effect.eventId,
+      userId: data.userId,
+      params,
+      status: 'planned'
+    });
+
+    switch (effect.eventName) {
+      case 'points.awarded':
+        return step('deduct_points', { transactionId: data.transaction.id, points: data.points, currency: data.currency });
+      case 'levels.xp.gained':
+        return step('remove_xp', { transactionId: data.transaction.id, xp: data.xp, ...(data.track && { track: data.track }) });
+      case 'badges.awarded':
+        return step('revoke_badge', { badgeId: data.badgeId });
+      case 'leaderboards.score.updated': {
+        const delta = data.score - (data.previousScore ?? 0);
+        return delta === 0 ? null : step('adjust_leaderboard', { leaderboardId: data.leaderboardId, delta: -delta });
+      }
+      default:
+        return null;
+    }
+  }
+
+  // Effects of nested transactions that were already reversed on their own
+  private async skipReversed(steps: CompensationStep[], effects: TransactionEffect[], transactionId: string): Promise<void> {
+    const reversed = new Set<string>();
+    const ids = new Set(effects.flatMap(effect => [...effect.correlationIds, effect.data.transaction?.id].filter(Boolean)));
+    ids.delete(transactionId);
+    for (const id of ids) {
+      if (await this.storage.get(this.getStorageKey(`transaction:${id}`))) reversed.add(id);
+    }
+
+    for (const step of steps) {
+      const effect = effects.find(entry => entry.eventId === step.eventId)!;
+      if ([...effect.correlationIds, effect.data.transaction?.id].some(id => reversed.has(id))) {
+        step.status = 'skipped';
+        step.error = 'Already reversed';
+      }
+    }
+  }
+
+  private async applyStep(step: CompensationStep, reason: string): Promise<void> {
+    const { userId, params } = step;
+
+    try {
+      let result;
+      switch (step.action) {
+        case 'deduct_points':
+          result = await this.getModule('points').reverseTransaction(userId, params.transactionId, reason, params.currency);
+          break;
+        case 'remove_xp':
+          result = await this.getModule('levels').removeXP(userId, params.xp, reason, params.track);
+          break;
+        case 'revoke_badge':
+          result = await this.getModule('badges').revoke(userId, params.badgeId);
+          break;
+        case 'adjust_leaderboard':
+          result = await this.getModule('leaderboards').updateScore(params.leaderboardId, userId, params.delta, true);
+          break;
+      }
+
+      // Modules report business failures as { success: false, reason } rather than throwing
+      step.status = result?.success === false ? 'failed' : 'applied';
+      step.result = result;
+      delete step.error;
+    } catch (error: any) {
+      this.logger.error(`Failed to compensate ${step.eventName}`, { action: step.action, error: error.message });
+      step.status = 'failed';
+      step.error = error.message;
+    }
+  }
+
+  private getModule(name: string): any {
+    const module = this.modules.get(name);
+    if (!module) {
+      throw new Error(`Module not enabled: ${name}`);
+    }
+    return module;
+  }
+
+  async getReversal(reversalId: string): Promise<ReversalRecord | null> {
+    const value = await this.storage.hget(this.getStorageKey('records'), reversalId);
+    if (!value) return null;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+
+  async getReversals(options: { userId?: string; limit?: number } = {}): Promise<ReversalRecord[]> {
+    const { userId, limit = 100 } = options;
+    await this.pruneReversals();
+    const values = Object.values(await this.storage.hgetall(this.getStorageKey('records')) || {});
+
+    return values
+      .map((value: any) => typeof value === 'string' ? JSON.parse(value) : value)
+      .filter((reversal: ReversalRecord) => !userId || reversal.userId === userId)
+      .sort((a: ReversalRecord, b: ReversalRecord) => b.createdAt - a.createdAt)
+      .slice(0, limit);
+  }
+
+  /**
+   * Removes the user's reversal records and the recorded effects of transactions that
+   * concern them. Returns how many reversal records were dropped.
+   */
+  async deleteUser(userId: string): Promise<number> {
+    for (const key of await this.findEffectKeys(userId)) {
+      await this.storage.delete(key);
+    }
+
+    let count = 0;
+    for (const reversal of await this.getReversals({ userId, limit: Infinity })) {
+      count += await this.storage.hdel(this.getStorageKey('records'), reversal.id);
+      await this.storage.zrem(this.getStorageKey('records:index'), reversal.id);
+    }
+    return count;
+  }
+
+  async getUserDataLocations(userId: string): Promise<UserDataLocation[]> {
+    const locations: UserDataLocation[] = (await this.findEffectKeys(userId)).map(key => ({ key }));
+    for (const reversal of await this.getReversals({ userId, limit: Infinity })) {
+      locations.push(
+        { key: this.getStorageKey('records'), type: 'hash', member: reversal.id },
+        { key: this.getStorageKey('records:index'), type: 'zset', member: reversal.id }
+      );
+    }
+    return locations;
+  }
+
+  // Recorded effects of transactions that concern the user
+  private async findEffectKeys(userId: string): Promise<string[]> {
+    const keys: string[] = [];
+    for (const key of await this.storage.keys(this.getStorageKey('effects:*'))) {
+      const effects: TransactionEffect[] = (await this.storage.lrange(key, 0, -1))
+        .map((value: any) => typeof value === 'string' ? JSON.parse(value) : value);
+      if (effects.some(effect => effect.data?.userId === userId)) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+}
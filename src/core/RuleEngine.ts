@@ -1,11 +1,39 @@
 import { Logger } from '../utils/logger.js';
 import { validators } from '../utils/validators.js';
+import { calendar } from '../utils/calendar.js';
+import { template } from '../utils/template.js';
+import { TenantMap } from './TenantManager.js';
+import crypto from 'crypto';
+import type { CalendarUnit } from '../utils/calendar.js';
 import type { LoggerConfig } from '../types/config.js';
+import type { StorageInterface, UserDataLocation } from '../types/storage.js';
 
 export interface RuleEngineOptions {
   logger?: LoggerConfig;
   cacheEnabled?: boolean;
   cacheExpiry?: number;
+  storage?: StorageInterface;
+}
+
+export type AggregateType = 'count' | 'sum' | 'distinct';
+
+/**
+ * Either a sliding window of `duration` milliseconds ending at the event, or the
+ * current calendar `unit` (day, week or month) in the given timezone.
+ */
+export interface AggregateWindow {
+  duration?: number;
+  unit?: CalendarUnit;
+  timezone?: string;
+}
+
+export interface AggregateSpec {
+  type: AggregateType;
+  event: string | string[];
+  field?: string;
+  where?: RuleCondition;
+  window: AggregateWindow;
+  name?: string;
 }
 
 export interface RuleCondition {
@@ -16,6 +44,7 @@ export interface RuleCondition {
   all?: RuleCondition[];
   any?: RuleCondition[];
   not?: RuleCondition;
+  aggregate?: AggregateSpec;
 }
 
 export interface RuleAction {
@@ -23,6 +52,17 @@ export interface RuleAction {
   [key: string]: any;
 }
 
+export type ActionParamType = 'number' | 'string' | 'boolean' | 'object' | 'function';
+
+/**
+ * Shape of an action type's parameters, checked when a rule is added.
+ * Any parameter may instead be a `{{ expression }}` template resolved per event.
+ */
+export interface ActionDefinition {
+  required?: string[];
+  params?: Record<string, ActionParamType>;
+}
+
 export interface Rule {
   name: string;
   conditions: RuleCondition;
@@ -40,6 +80,7 @@ export interface RuleEvaluationResult {
   actions?: RuleAction[];
   timestamp: number;
   error?: string;
+  aggregates?: Record<string, number>;
 }
 
 export interface AllRulesEvaluationResult {
@@ -49,10 +90,38 @@ export interface AllRulesEvaluationResult {
   timestamp: number;
 }
 
+export interface ConditionTrace {
+  type: 'all' | 'any' | 'not' | 'condition' | 'aggregate' | 'invalid';
+  passed: boolean;
+  field?: string;
+  aggregate?: string;
+  operator?: string;
+  expected?: any;
+  actual?: any;
+  error?: string;
+  conditions?: ConditionTrace[];
+}
+
+export interface RuleDryRunResult {
+  ruleName: string;
+  passed: boolean;
+  reason?: string;
+  conditions?: ConditionTrace;
+  actions: RuleAction[];
+  aggregates?: Record<string, number>;
+}
+
+export interface DryRunResult {
+  results: RuleDryRunResult[];
+  actions: RuleAction[];
+  timestamp: number;
+}
+
 export interface RuleStats {
   totalRules: number;
   enabledRules: number;
   cacheSize: number;
+  aggregates: number;
 }
 
 type Operator = (a: any, b: any) => boolean;
@@ -63,23 +132,33 @@ interface CacheEntry {
   timestamp: number;
 }
 
+const AGGREGATE_TYPES: AggregateType[] = ['count', 'sum', 'distinct'];
+const WINDOW_UNITS: CalendarUnit[] = ['day', 'week', 'month'];
+
 export class RuleEngine {
   private logger: Logger;
-  private rules: Map<string, Rule>;
+  private rules: TenantMap<string, Rule>;
   private operators: Record<string, Operator>;
   private functions: Record<string, RuleFunction>;
   private cache: Map<string, CacheEntry>;
   private cacheEnabled: boolean;
   private cacheExpiry: number;
+  private storage?: StorageInterface;
+  private aggregates: TenantMap<string, AggregateSpec>;
+  private actionTypes: Map<string, ActionDefinition>;
 
   constructor(options: RuleEngineOptions = {}) {
     this.logger = new Logger({ prefix: 'RuleEngine', ...options.logger });
-    this.rules = new Map();
+    // Rules added for a tenant apply to that tenant only; rules added outside one apply to all
+    this.rules = new TenantMap();
     this.operators = this.initializeOperators();
     this.functions = this.initializeFunctions();
-    this.cache = new Map();
+    this.cache = new TenantMap({ inherit: false });
     this.cacheEnabled = options.cacheEnabled !== false;
     this.cacheExpiry = options.cacheExpiry || 60000;
+    this.storage = options.storage;
+    this.aggregates = new TenantMap();
+    this.actionTypes = new Map();
   }
 
   initializeOperators(): Record<string, Operator> {
@@ -152,6 +231,14 @@ export class RuleEngine {
       throw new Error('Rule must have conditions');
     }
 
+    for (const aggregate of this.collectAggregates(rule.conditions)) {
+      this.validateAggregate(aggregate);
+    }
+
+    if (rule.actions) {
+      this.validateActions(rule.actions);
+    }
+
     const processedRule: Rule = {
       name,
       ...rule,
@@ -161,6 +248,7 @@ export class RuleEngine {
     };
 
     this.rules.set(name, processedRule);
+    this.refreshAggregates();
     this.clearCache();
 
     this.logger.debug(`Added rule: ${name}`, processedRule);
@@ -170,20 +258,32 @@ export class RuleEngine {
   removeRule(name: string): boolean {
     const removed = this.rules.delete(name);
     if (removed) {
+      this.refreshAggregates();
       this.clearCache();
       this.logger.debug(`Removed rule: ${name}`);
     }
     return removed;
   }
 
+  /**
+   * Evaluating all rules treats the context as a newly tracked event and records it
+   * into any aggregate windows first; evaluating a single rule only reads them.
+   */
   async evaluate(context: any, ruleName: string | null = null): Promise<RuleEvaluationResult | AllRulesEvaluationResult> {
     validators.isObject(context, 'context');
 
+    if (!ruleName) {
+      await this.recordAggregates(context);
+    }
+
     const cacheKey = ruleName ?
       `${ruleName}:${JSON.stringify(context)}` :
       `all:${JSON.stringify(context)}`;
 
-    if (this.cacheEnabled) {
+    // Aggregate values change with every recorded event, so those results are never cached
+    const cacheable = this.cacheEnabled && !this.usesAggregates(ruleName);
+
+    if (cacheable) {
       const cached = this.getFromCache(cacheKey);
       if (cached !== null) return cached;
     }
@@ -195,7 +295,7 @@ export class RuleEngine {
       results = await this.evaluateAllRules(context);
     }
 
-    if (this.cacheEnabled) {
+    if (cacheable) {
       this.setCache(cacheKey, results);
     }
 
@@ -213,13 +313,18 @@ export class RuleEngine {
     }
 
     try {
-      const passed = await this.evaluateConditions(rule.conditions, context);
+      const aggregates: Record<string, number> = {};
+      const passed = await this.evaluateConditions(rule.conditions, context, aggregates);
       const result: RuleEvaluationResult = {
         ruleName,
         passed,
         timestamp: Date.now()
       };
 
+      if (Object.keys(aggregates).length > 0) {
+        result.aggregates = aggregates;
+      }
+
       if (passed && rule.actions) {
         result.actions = rule.actions;
       }
@@ -259,26 +364,36 @@ export class RuleEngine {
     };
   }
 
-  async evaluateConditions(conditions: RuleCondition, context: any): Promise<boolean> {
+  async evaluateConditions(
+    conditions: RuleCondition,
+    context: any,
+    aggregates: Record<string, number> = {}
+  ): Promise<boolean> {
     if (conditions.all) {
       const results = await Promise.all(
-        conditions.all.map(cond => this.evaluateConditions(cond, context))
+        conditions.all.map(cond => this.evaluateConditions(cond, context, aggregates))
       );
       return results.every(r => r === true);
     }
 
     if (conditions.any) {
       const results = await Promise.all(
-        conditions.any.map(cond => this.evaluateConditions(cond, context))
+        conditions.any.map(cond => this.evaluateConditions(cond, context, aggregates))
       );
       return results.some(r => r === true);
     }
 
     if (conditions.not) {
-      const result = await this.evaluateConditions(conditions.not, context);
+      const result = await this.evaluateConditions(conditions.not, context, aggregates);
       return !result;
     }
 
+    if (conditions.aggregate && conditions.operator) {
+      const value = await this.getAggregateValue(conditions.aggregate, context);
+      aggregates[this.getAggregateName(conditions.aggregate)] = value;
+      return this.compare(value, conditions.operator, conditions.value, context);
+    }
+
     if (conditions.field && conditions.operator) {
       return this.evaluateCondition(conditions, context);
     }
@@ -290,7 +405,6 @@ export class RuleEngine {
     const { field, operator, value, function: fn } = condition;
 
     let fieldValue = this.getFieldValue(field!, context);
-    let compareValue = value;
 
     if (fn) {
       const func = this.functions[fn];
@@ -300,16 +414,405 @@ export class RuleEngine {
       fieldValue = func(fieldValue);
     }
 
-    if (typeof value === 'string' && value.startsWith('$')) {
-      compareValue = this.getFieldValue(value.substring(1), context);
-    }
+    return this.compare(fieldValue, operator!, value, context);
+  }
 
-    const op = this.operators[operator!];
+  private compare(fieldValue: any, operator: string, value: any, context: any): boolean {
+    const op = this.operators[operator];
     if (!op) {
       throw new Error(`Unknown operator: ${operator}`);
     }
 
-    return op(fieldValue, compareValue);
+    return op(fieldValue, this.resolveValue(value, context));
+  }
+
+  // `$field` compares against another value from the context
+  private resolveValue(value: any, context: any): any {
+    if (typeof value === 'string' && value.startsWith('$')) {
+      return this.getFieldValue(value.substring(1), context);
+    }
+    return value;
+  }
+
+  /**
+   * Evaluates a sample event against one rule or all enabled rules and explains which
+   * conditions passed. Nothing is recorded or executed; aggregate values reflect
+   * the stored activity without the sample event.
+   */
+  async dryRun(context: any, ruleName: string | null = null): Promise<DryRunResult> {
+    validators.isObject(context, 'context');
+
+    let rules: Rule[];
+    if (ruleName) {
+      const rule = this.rules.get(ruleName);
+      if (!rule) {
+        throw new Error(`Rule not found: ${ruleName}`);
+      }
+      rules = [rule];
+    } else {
+      rules = Array.from(this.rules.values())
+        .filter(r => r.enabled)
+        .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+    }
+
+    const results: RuleDryRunResult[] = [];
+    for (const rule of rules) {
+      if (!rule.enabled) {
+        results.push({ ruleName: rule.name, passed: false, reason: 'Rule disabled', actions: [] });
+        continue;
+      }
+
+      const aggregates: Record<string, number> = {};
+      const conditions = await this.traceConditions(rule.conditions, context, aggregates);
+      const result: RuleDryRunResult = {
+        ruleName: rule.name,
+        passed: conditions.passed,
+        conditions,
+        actions: conditions.passed ? (rule.actions || []).map(action => this.resolveAction(action, context)) : []
+      };
+
+      if (Object.keys(aggregates).length > 0) {
+        result.aggregates = aggregates;
+      }
+
+      results.push(result);
+
+      if (rule.stopOnMatch && result.passed) {
+        break;
+      }
+    }
+
+    return {
+      results,
+      actions: results.flatMap(r => r.actions),
+      timestamp: Date.now()
+    };
+  }
+
+  private async traceConditions(
+    conditions: RuleCondition,
+    context: any,
+    aggregates: Record<string, number>
+  ): Promise<ConditionTrace> {
+    if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+      return { type: 'invalid', passed: false, error: 'Invalid condition structure' };
+    }
+
+    if (conditions.all || conditions.any) {
+      const type = conditions.all ? 'all' : 'any';
+      const children = await Promise.all(
+        (conditions.all || conditions.any)!.map(cond => this.traceConditions(cond, context, aggregates))
+      );
+      const passed = type === 'all'
+        ? children.every(child => child.passed)
+        : children.some(child => child.passed);
+      return { type, passed, conditions: children };
+    }
+
+    if (conditions.not) {
+      const child = await this.traceConditions(conditions.not, context, aggregates);
+      return { type: 'not', passed: !child.passed, conditions: [child] };
+    }
+
+    const { operator, value } = conditions;
+
+    if (conditions.aggregate && operator) {
+      const name = this.getAggregateName(conditions.aggregate);
+      const trace: ConditionTrace = { type: 'aggregate', passed: false, aggregate: name, operator };
+      try {
+        const actual = await this.getAggregateValue(conditions.aggregate, context);
+        aggregates[name] = actual;
+        trace.actual = actual;
+        trace.expected = this.resolveValue(value, context);
+        trace.passed = this.compare(actual, operator, value, context);
+      } catch (error: any) {
+        trace.error = error.message;
+      }
+      return trace;
+    }
+
+    if (conditions.field && operator) {
+      const trace: ConditionTrace = { type: 'condition', passed: false, field: conditions.field, operator };
+      try {
+        trace.actual = this.getFieldValue(conditions.field, context);
+        trace.expected = this.resolveValue(value, context);
+        trace.passed = this.evaluateCondition(conditions, context);
+      } catch (error: any) {
+        trace.error = error.message;
+      }
+      return trace;
+    }
+
+    return { type: 'invalid', passed: false, error: 'Invalid condition structure' };
+  }
+
+  /**
+   * Strict structural check of a condition tree, for rules that arrive from outside
+   * the code base. Throws on the first problem found.
+   */
+  validateConditions(conditions: RuleCondition, path: string = 'conditions'): void {
+    if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+      throw new Error(`${path} must be a condition object`);
+    }
+
+    if (conditions.all || conditions.any) {
+      const key = conditions.all ? 'all' : 'any';
+      const children = conditions[key];
+      if (!Array.isArray(children) || children.length === 0) {
+        throw new Error(`${path}.${key} must be a non-empty array`);
+      }
+      children.forEach((child, i) => this.validateConditions(child, `${path}.${key}[${i}]`));
+      return;
+    }
+
+    if (conditions.not) {
+      this.validateConditions(conditions.not, `${path}.not`);
+      return;
+    }
+
+    if (!conditions.field && !conditions.aggregate) {
+      throw new Error(`${path} must have a field, an aggregate or all/any/not`);
+    }
+
+    if (!conditions.operator || !this.operators[conditions.operator]) {
+      throw new Error(`${path}.operator must be one of: ${Object.keys(this.operators).join(', ')}`);
+    }
+
+    if (conditions.function && !this.functions[conditions.function]) {
+      throw new Error(`Unknown function: ${conditions.function}`);
+    }
+
+    if (conditions.aggregate) {
+      this.validateAggregate(conditions.aggregate);
+    }
+  }
+
+  /**
+   * Current value of an aggregate for the context's user, pruning entries that
+   * have fallen out of the window along the way
+   */
+  async getAggregateValue(spec: AggregateSpec, context: any): Promise<number> {
+    const userId = context.userId;
+    if (!this.storage || !userId) return 0;
+
+    const now = context.timestamp || Date.now();
+    const windowStart = this.getWindowStart(spec.window, now);
+    const key = this.getAggregateKey(spec, userId);
+
+    // Scores are millisecond timestamps, so everything before the window ends at windowStart - 1
+    await this.storage.zremrangebyscore(key, '-inf', windowStart - 1);
+
+    if (spec.type !== 'sum') {
+      return await this.storage.zcount(key, windowStart, now);
+    }
+
+    const members: string[] = await this.storage.zrangebyscore(key, windowStart, now);
+    let value = 0;
+    for (const member of members) {
+      value += Number(String(member).split(':')[2]);
+    }
+
+    return value;
+  }
+
+  /**
+   * Adds the event to every registered aggregate it matches. Entries live in one
+   * sorted set per aggregate and user, scored by event time, so any instance
+   * sharing the storage sees the same window.
+   */
+  async recordAggregates(context: any): Promise<void> {
+    const userId = context.userId;
+    if (!this.storage || !userId || !context.eventName) return;
+
+    const timestamp = context.timestamp || Date.now();
+
+    for (const spec of this.aggregates.values()) {
+      const events = Array.isArray(spec.event) ? spec.event : [spec.event];
+      if (!events.includes(context.eventName)) continue;
+
+      if (spec.where) {
+        try {
+          if (!await this.evaluateConditions(spec.where, context)) continue;
+        } catch (error: any) {
+          this.logger.warn(`Skipping aggregate ${this.getAggregateName(spec)}: ${error.message}`);
+          continue;
+        }
+      }
+
+      let member: string;
+      if (spec.type === 'count') {
+        member = `${timestamp}:${crypto.randomBytes(6).toString('hex')}:1`;
+      } else {
+        const fieldValue = this.getFieldValue(spec.field!, context);
+        if (fieldValue === undefined || fieldValue === null) continue;
+
+        if (spec.type === 'sum') {
+          const amount = Number(fieldValue);
+          if (!Number.isFinite(amount)) continue;
+          member = `${timestamp}:${crypto.randomBytes(6).toString('hex')}:${amount}`;
+        } else {
+          // Re-adding a distinct value just moves it to its latest occurrence
+          member = String(fieldValue);
+        }
+      }
+
+      const key = this.getAggregateKey(spec, userId);
+      await this.storage.zadd(key, timestamp, member);
+      await this.storage.expire(key, this.getWindowTTL(spec.window, timestamp));
+    }
+  }
+
+  async resetAggregates(userId: string): Promise<void> {
+    if (!this.storage) return;
+
+    for (const spec of this.aggregates.values()) {
+      await this.storage.delete(this.getAggregateKey(spec, userId));
+    }
+  }
+
+  /**
+   * The raw entries each registered aggregate holds for the user, for data export requests
+   */
+  async exportAggregates(userId: string): Promise<Record<string, { type: AggregateType; entries: Array<{ member: string; score: number }> }>> {
+    const result: Record<string, { type: AggregateType; entries: Array<{ member: string; score: number }> }> = {};
+    if (!this.storage) return result;
+
+    for (const spec of this.aggregates.values()) {
+      const entries = await this.storage.zrange(this.getAggregateKey(spec, userId), 0, -1, true);
+      if (entries.length > 0) {
+        result[this.getAggregateName(spec)] = { type: spec.type, entries };
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Deletes the user's entries in every aggregate, including those of rules removed since.
+   * Returns the deleted keys.
+   */
+  async deleteAggregates(userId: string): Promise<string[]> {
+    const keys = await this.findAggregateKeys(userId);
+
+    for (const key of keys) {
+      await this.storage!.delete(key);
+    }
+    return keys;
+  }
+
+  async getUserDataLocations(userId: string): Promise<UserDataLocation[]> {
+    return (await this.findAggregateKeys(userId)).map(key => ({ key }));
+  }
+
+  private async findAggregateKeys(userId: string): Promise<string[]> {
+    if (!this.storage) return [];
+
+    // Matched on the whole suffix, so erasing "b" never touches the entries of "a:b"
+    const prefix = /^rules:aggregates:[0-9a-f]{16}:/;
+    return (await this.storage.keys('rules:aggregates:*'))
+      .filter((key: string) => prefix.test(key) && key.replace(prefix, '') === userId);
+  }
+
+  private getWindowStart(window: AggregateWindow, now: number): number {
+    if (window.duration) {
+      return now - window.duration;
+    }
+
+    const timezone = window.timezone || 'UTC';
+    const index = calendar.getPeriodIndex(now, timezone, window.unit);
+    return calendar.getPeriodStart(index, timezone, window.unit);
+  }
+
+  // Keys outlive the window slightly so idle users' entries expire on their own
+  private getWindowTTL(window: AggregateWindow, timestamp: number): number {
+    if (window.duration) {
+      return Math.ceil(window.duration / 1000) + 60;
+    }
+
+    const timezone = window.timezone || 'UTC';
+    const index = calendar.getPeriodIndex(timestamp, timezone, window.unit);
+    const end = calendar.getPeriodStart(index + 1, timezone, window.unit);
+    return Math.max(Math.ceil((end - Date.now()) / 1000), 0) + 60;
+  }
+
+  // Identical aggregates share their entries, even across rules
+  private getAggregateId(spec: AggregateSpec): string {
+    const { type, event, field, where, window } = spec;
+    return crypto
+      .createHash('sha1')
+      .update(JSON.stringify({ type, event, field, where, window }))
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  private getAggregateKey(spec: AggregateSpec, userId: string): string {
+    return `rules:aggregates:${this.getAggregateId(spec)}:${userId}`;
+  }
+
+  private getAggregateName(spec: AggregateSpec): string {
+    if (spec.name) return spec.name;
+
+    const events = Array.isArray(spec.event) ? spec.event.join('|') : spec.event;
+    return spec.field ? `${spec.type}:${events}:${spec.field}` : `${spec.type}:${events}`;
+  }
+
+  private collectAggregates(conditions: any): AggregateSpec[] {
+    if (!conditions || typeof conditions !== 'object') return [];
+
+    if (Array.isArray(conditions)) {
+      return conditions.flatMap(condition => this.collectAggregates(condition));
+    }
+
+    const nested = [conditions.all, conditions.any, conditions.not]
+      .filter(Boolean)
+      .flatMap(condition => this.collectAggregates(condition));
+
+    return conditions.aggregate ? [conditions.aggregate, ...nested] : nested;
+  }
+
+  private validateAggregate(spec: AggregateSpec): void {
+    if (!this.storage) {
+      throw new Error('Aggregate conditions require a storage adapter');
+    }
+
+    validators.isObject(spec, 'aggregate');
+    validators.isInArray(spec.type, AGGREGATE_TYPES, 'aggregate.type');
+
+    const events = Array.isArray(spec.event) ? spec.event : [spec.event];
+    if (events.length === 0) {
+      throw new Error('aggregate.event must name at least one event');
+    }
+    events.forEach(event => validators.isEventName(event, 'aggregate.event'));
+
+    if (spec.type !== 'count') {
+      validators.isNonEmptyString(spec.field, 'aggregate.field');
+    }
+
+    validators.isObject(spec.window, 'aggregate.window');
+    if (spec.window.duration !== undefined) {
+      validators.isPositiveNumber(spec.window.duration, 'aggregate.window.duration');
+    } else {
+      validators.isInArray(spec.window.unit, WINDOW_UNITS, 'aggregate.window.unit');
+      validators.isOptional(spec.window.timezone, validators.isTimezone, 'aggregate.window.timezone');
+    }
+  }
+
+  private refreshAggregates(): void {
+    this.aggregates.clear();
+
+    // Shared aggregates are inherited, so each namespace only tracks its own rules' specs
+    for (const rule of this.rules.local().values()) {
+      for (const spec of this.collectAggregates(rule.conditions)) {
+        this.aggregates.set(this.getAggregateId(spec), spec);
+      }
+    }
+  }
+
+  private usesAggregates(ruleName: string | null): boolean {
+    if (!ruleName) return this.aggregates.size > 0;
+
+    const rule = this.rules.get(ruleName);
+    return !!rule && this.collectAggregates(rule.conditions).length > 0;
   }
 
   getFieldValue(field: string, context: any): any {
@@ -339,6 +842,89 @@ export class RuleEngine {
     return value;
   }
 
+  /**
+   * Once any action type is registered, rules may only use registered types
+   */
+  registerActionType(type: string, definition: ActionDefinition = {}): void {
+    validators.isNonEmptyString(type, 'action type');
+    validators.isObject(definition, 'action definition');
+
+    this.actionTypes.set(type, definition);
+  }
+
+  validateActions(actions: RuleAction[]): void {
+    validators.isArray(actions, 'actions');
+
+    actions.forEach((action, i) => {
+      const path = `actions[${i}]`;
+      validators.isObject(action, path);
+      validators.isNonEmptyString(action.type, `${path}.type`);
+
+      for (const [key, value] of Object.entries(action)) {
+        if (template.isTemplate(value)) {
+          this.validateTemplate(value as string, `${path}.${key}`);
+        }
+      }
+
+      if (this.actionTypes.size === 0) return;
+
+      const definition = this.actionTypes.get(action.type);
+      if (!definition) {
+        throw new Error(`Unknown action type: ${action.type}`);
+      }
+
+      for (const param of definition.required || []) {
+        if (action[param] === undefined || action[param] === null) {
+          throw new Error(`${path}.${param} is required for ${action.type}`);
+        }
+      }
+
+      for (const [param, type] of Object.entries(definition.params || {})) {
+        const value = action[param];
+        if (value === undefined || value === null || template.isTemplate(value)) continue;
+
+        const actual = Array.isArray(value) ? 'array' : typeof value;
+        if (actual !== type) {
+          throw new Error(`${path}.${param} must be a ${type} or a {{ }} template`);
+        }
+      }
+    });
+  }
+
+  private validateTemplate(value: string, path: string): void {
+    let calls: string[];
+    try {
+      calls = template.validate(value);
+    } catch (error: any) {
+      throw new Error(`Invalid template in ${path}: ${error.message}`);
+    }
+
+    for (const name of calls) {
+      if (!this.functions[name]) {
+        throw new Error(`Unknown function in ${path}: ${name}`);
+      }
+    }
+  }
+
+  /**
+   * Copy of the action with every `{{ }}` template resolved against the event.
+   * Paths read from the event context, which is also reachable as `data`.
+   */
+  resolveAction(action: RuleAction, context: any): RuleAction {
+    const scope = { data: context, ...context };
+
+    return template.render(action, {
+      resolve: (path: string) => this.getFieldValue(path, scope),
+      call: (name: string, args: any[]) => {
+        const fn = this.functions[name];
+        if (!fn) {
+          throw new Error(`Unknown function: ${name}`);
+        }
+        return fn(...args);
+      }
+    });
+  }
+
   addOperator(name: string, fn: Operator): void {
     validators.isNonEmptyString(name, 'operator name');
     validators.isFunction(fn, 'operator function');
@@ -394,7 +980,8 @@ export class RuleEngine {
     return {
       totalRules: this.rules.size,
       enabledRules: Array.from(this.rules.values()).filter(r => r.enabled).length,
-      cacheSize: this.cache.size
+      cacheSize: this.cache.size,
+      aggregates: this.aggregates.size
     };
   }
 }
@@ -0,0 +1,330 @@
+import { Logger } from '../utils/logger.js';
+import { validators } from '../utils/validators.js';
+import type { LoggerConfig } from '../types/config.js';
+import type { StorageInterface } from '../types/storage.js';
+import type { RuleEngine, Rule } from './RuleEngine.js';
+import { tenantContext, type TenantManager } from './TenantManager.js';
+
+export interface RuleStoreOptions {
+  logger?: LoggerConfig;
+  storage: StorageInterface;
+  ruleEngine: RuleEngine;
+  syncInterval?: number;
+  tenants?: TenantManager | null;
+}
+
+export type RuleDefinition = Omit<Rule, 'name' | 'createdAt'>;
+
+export type RuleChangeAction = 'create' | 'update' | 'enable' | 'disable' | 'rollback' | 'delete';
+
+export interface StoredRule {
+  name: string;
+  version: number;
+  definition: RuleDefinition;
+  updatedAt: number;
+  updatedBy?: string;
+}
+
+export interface RuleVersion {
+  version: number;
+  action: RuleChangeAction;
+  definition: RuleDefinition;
+  updatedAt: number;
+  updatedBy?: string;
+  rolledBackTo?: number;
+}
+
+const DEFINITION_FIELDS = ['conditions', 'actions', 'enabled', 'priority', 'stopOnMatch'];
+
+/**
+ * Persists rules with their full version history and keeps the rule engine of every
+ * instance sharing the storage in step with it. A revision counter is bumped on each
+ * change and polled, so a change made anywhere is picked up within `syncInterval`.
+ * With tenants, each tenant has its own rules, versions and revision counter.
+ */
+export class RuleStore {
+  private logger: Logger;
+  private storage: StorageInterface;
+  private ruleEngine: RuleEngine;
+  private syncInterval: number;
+  private intervalId: NodeJS.Timeout | null;
+  private tenants: TenantManager | null;
+  // Keyed by tenant ID, '' for the default namespace
+  private revisions: Map<string, number>;
+  private loaded: Map<string, Set<string>>;
+
+  constructor(options: RuleStoreOptions) {
+    this.logger = new Logger({ prefix: 'RuleStore', ...options.logger });
+    this.storage = options.storage;
+    this.ruleEngine = options.ruleEngine;
+    this.syncInterval = options.syncInterval || 5000;
+    this.intervalId = null;
+    this.tenants = options.tenants || null;
+    this.revisions = new Map();
+    this.loaded = new Map();
+  }
+
+  start(): void {
+    if (this.intervalId) {
+      this.logger.warn('RuleStore already started');
+      return;
+    }
+
+    this.intervalId = setInterval(() => {
+      const task = async () => {
+        await this.sync();
+      };
+
+      (this.tenants ? this.tenants.forEach(task) : task()).catch(error => {
+        this.logger.error('Failed to sync rules', { error: error.message });
+      });
+    }, this.syncInterval);
+
+    this.logger.info('RuleStore started');
+  }
+
+  async stop(): Promise<void> {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    this.logger.info('RuleStore stopped');
+  }
+
+  private getStorageKey(suffix: string): string {
+    return `rules:${suffix}`;
+  }
+
+  /**
+   * Replaces the stored rules in the engine with the current definitions.
+   * Rules added in code with `addRule` are left alone unless a stored rule shares their name.
+   */
+  async load(): Promise<number> {
+    const namespace = this.getNamespace();
+    const revision = Number(await this.storage.get(this.getStorageKey('revision'))) || 0;
+    this.revisions.set(namespace, revision);
+
+    const stored = await this.list();
+    const names = new Set(stored.map(rule => rule.name));
+
+    for (const name of this.getLoaded()) {
+      if (!names.has(name)) {
+        this.ruleEngine.removeRule(name);
+      }
+    }
+
+    for (const rule of stored) {
+      // One rule that no longer validates must not keep the others from loading
+      try {
+        this.ruleEngine.addRule(rule.name, rule.definition);
+      } catch (error: any) {
+        this.logger.error(`Failed to load stored rule: ${rule.name}`, { error: error.message });
+      }
+    }
+
+    this.loaded.set(namespace, names);
+    this.logger.debug(`Loaded ${stored.length} stored rules`, { revision, tenantId: namespace || undefined });
+
+    return stored.length;
+  }
+
+  /**
+   * Reloads the rules if any instance changed them since the last load
+   */
+  async sync(): Promise<boolean> {
+    const revision = Number(await this.storage.get(this.getStorageKey('revision'))) || 0;
+    if (revision === this.revisions.get(this.getNamespace())) return false;
+
+    await this.load();
+    return true;
+  }
+
+  /**
+   * Loads the current tenant's rules the first time the tenant is seen by this instance
+   */
+  async ensureLoaded(): Promise<void> {
+    if (!this.revisions.has(this.getNamespace())) {
+      await this.load();
+    }
+  }
+
+  async list(): Promise<StoredRule[]> {
+    const all = await this.storage.hgetall(this.getStorageKey('definitions'));
+
+    return Object.values(all || {})
+      .map(raw => this.parse<StoredRule>(raw))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async get(name: string): Promise<StoredRule | null> {
+    const raw = await this.storage.hget(this.getStorageKey('definitions'), name);
+    return raw ? this.parse<StoredRule>(raw) : null;
+  }
+
+  async create(name: string, definition: RuleDefinition, updatedBy?: string): Promise<StoredRule> {
+    validators.isNonEmptyString(name, 'rule name');
+
+    if (await this.get(name)) {
+      throw new Error(`Rule already exists: ${name}`);
+    }
+
+    return this.save(name, this.normalize(definition), 'create', updatedBy);
+  }
+
+  /**
+   * Fields left out of `changes` keep their current values
+   */
+  async update(name: string, changes: Partial<RuleDefinition>, updatedBy?: string): Promise<StoredRule> {
+    const current = await this.require(name);
+
+    return this.save(name, this.normalize({ ...current.definition, ...changes }), 'update', updatedBy);
+  }
+
+  async setEnabled(name: string, enabled: boolean, updatedBy?: string): Promise<StoredRule> {
+    const current = await this.require(name);
+
+    return this.save(name, { ...current.definition, enabled }, enabled ? 'enable' : 'disable', updatedBy);
+  }
+
+  /**
+   * Makes an earlier version current again by saving a copy of it as a new version
+   */
+  async rollback(name: string, version: number, updatedBy?: string): Promise<StoredRule> {
+    await this.require(name);
+
+    const target = (await this.getVersions(name)).find(entry => entry.version === version);
+    if (!target || target.action === 'delete') {
+      throw new Error(`Rule version not found: ${name}@${version}`);
+    }
+
+    return this.save(name, target.definition, 'rollback', updatedBy, { rolledBackTo: version });
+  }
+
+  async delete(name: string, updatedBy?: string): Promise<boolean> {
+    const current = await this.require(name);
+
+    // History is kept so a deleted rule can still be audited or recreated
+    await this.appendVersion(name, 'delete', current.definition, updatedBy);
+    await this.storage.hdel(this.getStorageKey('definitions'), name);
+
+    this.ruleEngine.removeRule(name);
+    this.getLoaded().delete(name);
+    await this.bumpRevision();
+
+    this.logger.info(`Rule deleted: ${name}`, { updatedBy });
+    return true;
+  }
+
+  /**
+   * Every recorded change to a rule, newest first
+   */
+  async getVersions(name: string): Promise<RuleVersion[]> {
+    const raw = await this.storage.lrange(this.getStorageKey(`history:${name}`), 0, -1);
+
+    return raw
+      .map((value: any) => this.parse<RuleVersion>(value))
+      .sort((a: RuleVersion, b: RuleVersion) => b.version - a.version);
+  }
+
+  private async save(
+    name: string,
+    definition: RuleDefinition,
+    action: RuleChangeAction,
+    updatedBy?: string,
+    extra: Partial<RuleVersion> = {}
+  ): Promise<StoredRule> {
+    const entry = await this.appendVersion(name, action, definition, updatedBy, extra);
+
+    const stored: StoredRule = {
+      name,
+      version: entry.version,
+      definition,
+      updatedAt: entry.updatedAt,
+      updatedBy
+    };
+
+    await this.storage.hset(this.getStorageKey('definitions'), name, JSON.stringify(stored));
+
+    this.ruleEngine.addRule(name, definition);
+    this.getLoaded().add(name);
+    await this.bumpRevision();
+
+    this.logger.info(`Rule ${action}: ${name}`, { version: entry.version, updatedBy });
+    return stored;
+  }
+
+  private async appendVersion(
+    name: string,
+    action: RuleChangeAction,
+    definition: RuleDefinition,
+    updatedBy?: string,
+    extra: Partial<RuleVersion> = {}
+  ): Promise<RuleVersion> {
+    // The counter is atomic on every adapter, so concurrent writers never share a version
+    const version = await this.storage.increment(this.getStorageKey(`version:${name}`));
+
+    const entry: RuleVersion = {
+      version,
+      action,
+      definition,
+      updatedAt: Date.now(),
+      updatedBy,
+      ...extra
+    };
+
+    await this.storage.rpush(this.getStorageKey(`history:${name}`), JSON.stringify(entry));
+    return entry;
+  }
+
+  private getNamespace(): string {
+    return tenantContext.currentId() || '';
+  }
+
+  private getLoaded(): Set<string> {
+    const namespace = this.getNamespace();
+    if (!this.loaded.has(namespace)) {
+      this.loaded.set(namespace, new Set());
+    }
+    return this.loaded.get(namespace)!;
+  }
+
+  private async bumpRevision(): Promise<void> {
+    await this.storage.increment(this.getStorageKey('revision'));
+  }
+
+  private async require(name: string): Promise<StoredRule> {
+    const current = await this.get(name);
+    if (!current) {
+      throw new Error(`Rule not found: ${name}`);
+    }
+    return current;
+  }
+
+  private normalize(definition: Partial<RuleDefinition>): RuleDefinition {
+    validators.isObject(definition, 'rule');
+    this.ruleEngine.validateConditions(definition.conditions!);
+
+    if (definition.actions !== undefined) {
+      this.ruleEngine.validateActions(definition.actions);
+    }
+
+    validators.isOptional(definition.priority, validators.isNumber, 'priority');
+    validators.isOptional(definition.enabled, validators.isBoolean, 'enabled');
+    validators.isOptional(definition.stopOnMatch, validators.isBoolean, 'stopOnMatch');
+
+    // Only known fields are persisted so request bodies can't smuggle extra state in
+    const normalized: Record<string, any> = {};
+    for (const field of DEFINITION_FIELDS) {
+      if ((definition as any)[field] !== undefined) {
+        normalized[field] = (definition as any)[field];
+      }
+    }
+
+    return normalized as RuleDefinition;
+  }
+
+  private parse<T>(raw: any): T {
+    return typeof raw === 'string' ? JSON.parse(raw) : raw;
+  }
+}
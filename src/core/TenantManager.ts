@@ -0,0 +1,324 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { Logger } from '../utils/logger.js';
+import { validators } from '../utils/validators.js';
+import type { LoggerConfig } from '../types/config.js';
+import type { StorageInterface } from '../types/storage.js';
+
+export interface TenantScope {
+  tenantId: string;
+  overrides: Record<string, any>; // Module name -> config overrides
+  layers: WeakMap<object, Map<any, any>>; // Per-tenant entries of every TenantMap
+  configs: WeakMap<object, any>; // Per-tenant config view of every module with overrides
+}
+
+export interface TenantManagerOptions {
+  logger?: LoggerConfig;
+  storage: StorageInterface;
+  overrides?: Record<string, Record<string, any>>; // Tenant ID -> module name -> config overrides
+}
+
+const TENANT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const REGISTRY_KEY = 'tenants';
+
+// Methods whose first argument is a single storage key
+const KEYED_OPERATIONS = new Set([
+  'get', 'set', 'setnx', 'setex', 'delete', 'exists', 'type', 'increment', 'decrement', 'expire', 'ttl', 'persist',
+  'zadd', 'zrem', 'zrange', 'zrevrange', 'zrank', 'zrevrank', 'zscore', 'zcount', 'zrangebyscore', 'zremrangebyscore', 'zincrby', 'zcard',
+  'lpush', 'rpush', 'lpop', 'rpop', 'lrange', 'llen', 'lrem', 'ltrim',
+  'sadd', 'srem', 'smembers', 'sismember', 'scard',
+  'hset', 'hget', 'hgetall', 'hdel', 'hincrby', 'hexists', 'hkeys', 'hvals', 'hlen', 'hmget', 'hmset'
+]);
+
+const scopes = new AsyncLocalStorage<TenantScope>();
+
+/**
+ * The tenant the current call chain runs for. Everything started inside `run`,
+ * including event handlers and awaited storage calls, sees the same tenant.
+ */
+export const tenantContext = {
+  current(): TenantScope | null {
+    return scopes.getStore() || null;
+  },
+
+  currentId(): string | null {
+    return scopes.getStore()?.tenantId || null;
+  },
+
+  run<T>(scope: TenantScope, fn: () => T): T {
+    return scopes.run(scope, fn);
+  },
+
+  /**
+   * Runs outside any tenant, for work on data all tenants share
+   */
+  exit<T>(fn: () => T): T {
+    return scopes.exit(fn);
+  }
+};
+
+/**
+ * A Map whose entries belong to the tenant they were set for. Entries set outside
+ * any tenant are shared: with `inherit` (the default) every tenant sees them unless
+ * it sets its own entry under the same key. Without it, tenants only see their own.
+ */
+export class TenantMap<K, V> extends Map<K, V> {
+  private shared: Map<K, V>;
+  private inherit: boolean;
+
+  constructor(options: { inherit?: boolean } = {}) {
+    super();
+    this.shared = new Map();
+    this.inherit = options.inherit !== false;
+  }
+
+  /**
+   * Entries of the current tenant only, without inherited ones
+   */
+  local(): Map<K, V> {
+    const scope = tenantContext.current();
+    if (!scope) return this.shared;
+
+    let layer = scope.layers.get(this);
+    if (!layer) {
+      layer = new Map();
+      scope.layers.set(this, layer);
+    }
+    return layer;
+  }
+
+  private view(): Map<K, V> {
+    const local = this.local();
+    if (local === this.shared || !this.inherit) return local;
+    return new Map([...this.shared, ...local]);
+  }
+
+  get(key: K): V | undefined {
+    const local = this.local();
+    if (local.has(key) || local === this.shared || !this.inherit) return local.get(key);
+    return this.shared.get(key);
+  }
+
+  has(key: K): boolean {
+    return this.local().has(key) || (this.inherit && this.shared.has(key));
+  }
+
+  set(key: K, value: V): this {
+    this.local().set(key, value);
+    return this;
+  }
+
+  delete(key: K): boolean {
+    return this.local().delete(key);
+  }
+
+  clear(): void {
+    this.local().clear();
+  }
+
+  get size(): number {
+    return this.view().size;
+  }
+
+  keys(): MapIterator<K> {
+    return this.view().keys();
+  }
+
+  values(): MapIterator<V> {
+    return this.view().values();
+  }
+
+  entries(): MapIterator<[K, V]> {
+    return this.view().entries();
+  }
+
+  forEach(callback: (value: V, key: K, map: Map<K, V>) => void, thisArg?: any): void {
+    this.view().forEach((value, key) => callback.call(thisArg, value, key, this));
+  }
+
+  [Symbol.iterator](): MapIterator<[K, V]> {
+    return this.entries();
+  }
+}
+
+/**
+ * Keeps tenants apart: storage keys are prefixed with the tenant ID, in-memory
+ * definitions live in `TenantMap`s and modules read their tenant's config overrides.
+ * Calls made outside `run` use the default, unprefixed namespace.
+ */
+export class TenantManager {
+  private logger: Logger;
+  private storage: StorageInterface;
+  private overrides: Record<string, Record<string, any>>;
+  private scopes: Map<string, TenantScope>;
+  private registered: Set<string>;
+
+  constructor(options: TenantManagerOptions) {
+    this.logger = new Logger({ prefix: 'TenantManager', ...options.logger });
+    this.storage = options.storage;
+    this.overrides = options.overrides || {};
+    this.scopes = new Map();
+    this.registered = new Set();
+  }
+
+  validateTenantId(tenantId: string): void {
+    validators.isNonEmptyString(tenantId, 'tenantId');
+    if (!TENANT_ID_PATTERN.test(tenantId)) {
+      throw new Error(`Invalid tenantId: ${tenantId}. Use up to 64 letters, digits, "-" or "_"`);
+    }
+  }
+
+  getKeyPrefix(tenantId: string): string {
+    return `tenant:${tenantId}:`;
+  }
+
+  /**
+   * Runs `fn` as the tenant, registering the tenant the first time it is seen
+   */
+  async run<T>(tenantId: string, fn: () => T | Promise<T>): Promise<T> {
+    this.validateTenantId(tenantId);
+
+    if (!this.registered.has(tenantId)) {
+      await this.storage.sadd(REGISTRY_KEY, tenantId);
+      this.registered.add(tenantId);
+    }
+
+    return tenantContext.run(this.getScope(tenantId), fn);
+  }
+
+  /**
+   * Runs `fn` for the default namespace and then once for every registered tenant
+   */
+  async forEach(fn: () => Promise<void> | void): Promise<void> {
+    await tenantContext.exit(fn);
+
+    for (const tenantId of await this.list()) {
+      try {
+        await this.run(tenantId, fn);
+      } catch (error: any) {
+        this.logger.error(`Tenant task failed: ${tenantId}`, { error: error.message });
+      }
+    }
+  }
+
+  async list(): Promise<string[]> {
+    const members = await this.storage.smembers(REGISTRY_KEY);
+    return (members || []).map(String).sort();
+  }
+
+  async exists(tenantId: string): Promise<boolean> {
+    return this.storage.sismember(REGISTRY_KEY, tenantId);
+  }
+
+  /**
+   * Deletes every stored key of the tenant and drops its in-memory definitions
+   */
+  async delete(tenantId: string): Promise<{ tenantId: string; keysDeleted: number }> {
+    this.validateTenantId(tenantId);
+
+    if (!await this.exists(tenantId)) {
+      throw new Error(`Tenant not found: ${tenantId}`);
+    }
+
+    const keysDeleted = await this.storage.clear(`${this.getKeyPrefix(tenantId)}*`);
+    await this.storage.srem(REGISTRY_KEY, tenantId);
+
+    this.scopes.delete(tenantId);
+    this.registered.delete(tenantId);
+
+    this.logger.info(`Tenant deleted: ${tenantId}`, { keysDeleted });
+    return { tenantId, keysDeleted };
+  }
+
+  /**
+   * A view of the storage that prefixes every key with the current tenant's namespace.
+   * Outside a tenant, calls go straight to the underlying storage.
+   */
+  scopeStorage(storage: StorageInterface): StorageInterface {
+    const prefixFor = (): string | null => {
+      const tenantId = tenantContext.currentId();
+      return tenantId ? this.getKeyPrefix(tenantId) : null;
+    };
+
+    return new Proxy(storage, {
+      get: (target: any, property: string | symbol) => {
+        const value = target[property];
+        if (typeof value !== 'function' || typeof property !== 'string') return value;
+
+        return (...args: any[]) => {
+          const prefix = prefixFor();
+          if (!prefix) return value.apply(target, args);
+
+          return this.callScoped(target, property, value, args, prefix);
+        };
+      }
+    }) as StorageInterface;
+  }
+
+  private callScoped(target: any, method: string, fn: (...args: any[]) => any, args: any[], prefix: string): any {
+    const scoped = (key: string) => `${prefix}${key}`;
+
+    if (KEYED_OPERATIONS.has(method)) {
+      return fn.apply(target, [scoped(args[0]), ...args.slice(1)]);
+    }
+
+    if (method === 'rename') {
+      return fn.apply(target, [scoped(args[0]), scoped(args[1]), ...args.slice(2)]);
+    }
+
+    if (method === 'mget' || method === 'mdelete') {
+      return fn.apply(target, [args[0].map(scoped), ...args.slice(1)]);
+    }
+
+    if (method === 'mset') {
+      const entries = Array.isArray(args[0])
+        ? args[0].map(([key, value]: [string, any]) => [scoped(key), value])
+        : Object.fromEntries(Object.entries(args[0]).map(([key, value]) => [scoped(key), value]));
+      return fn.apply(target, [entries, ...args.slice(1)]);
+    }
+
+    if (method === 'keys') {
+      return Promise.resolve(fn.call(target, scoped(args[0] ?? '*')))
+        .then((keys: string[]) => keys.map(key => key.slice(prefix.length)));
+    }
+
+    if (method === 'list') {
+      const options = { ...args[0] };
+      if (options.pattern || !options.prefix) options.pattern = scoped(options.pattern ?? '*');
+      if (options.prefix) options.prefix = scoped(options.prefix);
+      return Promise.resolve(fn.call(target, options))
+        .then((keys: string[]) => keys.map(key => key.slice(prefix.length)));
+    }
+
+    if (method === 'clear') {
+      return fn.call(target, scoped(args[0] ?? '*'));
+    }
+
+    if (method === 'flushAll') {
+      return target.clear(scoped('*'));
+    }
+
+    if (method === 'transaction') {
+      const operations = args[0].map((op: any) => ({ ...op, args: [scoped(op.args[0]), ...op.args.slice(1)] }));
+      return fn.apply(target, [operations, ...args.slice(1)]);
+    }
+
+    if (method === 'multi') {
+      throw new Error('multi() is not supported for tenant storage; use transaction()');
+    }
+
+    return fn.apply(target, args);
+  }
+
+  private getScope(tenantId: string): TenantScope {
+    let scope = this.scopes.get(tenantId);
+    if (!scope) {
+      // Copied so config writes made inside the tenant don't change the options passed in
+      const overrides = Object.fromEntries(
+        Object.entries(this.overrides[tenantId] || {}).map(([name, config]) => [name, { ...config }])
+      );
+      scope = { tenantId, overrides, layers: new WeakMap(), configs: new WeakMap() };
+      this.scopes.set(tenantId, scope);
+    }
+    return scope;
+  }
+}
@@ -2,6 +2,8 @@ import { createServer, Server as HTTPServer, IncomingMessage } from 'http';
 import type { Server as WSServer, WebSocket } from 'ws';
 import type { EventManager } from './EventManager.js';
 import type { Logger } from '../utils/logger.js';
+import type { Authenticator } from './Authenticator.js';
+import type { TenantManager } from './TenantManager.js';
 
 /**
  * Extended WebSocket with custom properties
@@ -9,6 +11,8 @@ import type { Logger } from '../utils/logger.js';
 interface ExtendedWebSocket extends WebSocket {
   subscribedEvents?: string[];
   pingInterval?: NodeJS.Timeout | null;
+  isAdmin?: boolean;
+  tenantId?: string | null;
 }
 
 /**
@@ -23,6 +27,9 @@ export interface WebSocketServerOptions {
   port?: number;
   path?: string;
   authHandler?: AuthHandler;
+  authenticator?: Authenticator | null;
+  tenants?: TenantManager | null;
+  tenantHeader?: string;
 }
 
 /**
@@ -39,6 +46,7 @@ interface WebSocketMessage {
  */
 interface WebSocketEventData {
   userId?: string;
+  userIds?: string[];
   module?: string;
   type: string;
   [key: string]: any;
@@ -64,6 +72,9 @@ export class WebSocketServer {
   private eventManager: EventManager | null;
   private logger: Logger | null;
   private authHandler: AuthHandler;
+  private authenticator: Authenticator | null;
+  private tenants: TenantManager | null;
+  private tenantHeader: string;
 
   constructor(options: WebSocketServerOptions = {}) {
     this.port = options.port || 3002;
@@ -74,6 +85,9 @@ export class WebSocketServer {
     this.eventManager = null;
     this.logger = null;
     this.authHandler = options.authHandler || (() => true);
+    this.authenticator = options.authenticator || null;
+    this.tenants = options.tenants || null;
+    this.tenantHeader = (options.tenantHeader || 'x-tenant-id').toLowerCase();
   }
 
   setContext(context: WebSocketContext): void {
@@ -86,6 +100,10 @@ export class WebSocketServer {
       throw new Error('Context not set. Call setContext() before start()');
     }
 
+    if (!this.authenticator) {
+      this.logger.warn('WebSocket server has no authenticator; clients are identified by the userId they send');
+    }
+
     try {
       // Dynamically import ws module
       const { WebSocketServer: WSServer } = await import('ws');
@@ -107,7 +125,7 @@ export class WebSocketServer {
           ...eventData.data,
           type: eventData.eventName
         };
-        this.broadcastToRelevantClients(wsData);
+        this.broadcastToRelevantClients(wsData, eventData.tenantId || null);
       });
 
       return new Promise((resolve) => {
@@ -126,17 +144,30 @@ export class WebSocketServer {
   }
 
   private async handleConnection(ws: ExtendedWebSocket, req: IncomingMessage): Promise<void> {
-    const userId = this.extractUserId(req);
+    let tenantId: string | null;
+    let userId: string | null;
+    try {
+      tenantId = this.extractTenantId(req);
+      userId = this.authenticator
+        ? await this.authenticateConnection(ws, req, tenantId)
+        : this.extractUserId(req);
+    } catch (error: any) {
+      this.logger!.warn('WebSocket authentication failed', { error: error.message });
+      tenantId = null;
+      userId = null;
+    }
 
     if (!userId || !await this.authHandler(userId, req)) {
       ws.close(1008, 'Unauthorized');
       return;
     }
 
-    this.logger!.info(`WebSocket client connected: ${userId}`);
+    this.logger!.info(`WebSocket client connected: ${userId}`, { tenantId });
 
-    // Store client connection
-    this.clients.set(userId, ws);
+    // Store client connection; the same user ID in two tenants is two different users
+    const clientKey = this.getClientKey(userId, tenantId);
+    ws.tenantId = tenantId;
+    this.clients.set(clientKey, ws);
 
     // Send initial connection success
     ws.send(JSON.stringify({
@@ -147,14 +178,14 @@ export class WebSocketServer {
 
     // Handle messages from client
     ws.on('message', (message: Buffer | string) => {
-      this.handleMessage(userId, message.toString());
+      this.handleMessage(clientKey, message.toString());
     });
 
     // Handle client disconnect
     // Fix BUG-010: Clear ping interval immediately on close to prevent memory leak
     ws.on('close', () => {
       this.logger!.info(`WebSocket client disconnected: ${userId}`);
-      this.clients.delete(userId);
+      this.clients.delete(clientKey);
       if (ws.pingInterval) {
         clearInterval(ws.pingInterval);
         ws.pingInterval = null;
@@ -179,6 +210,46 @@ export class WebSocketServer {
     }, 30000);
   }
 
+  /**
+   * Connects the client as the token's subject. Admins may pass `?userId=` to watch
+   * another user; anyone else asking for a different user is refused.
+   */
+  private async authenticateConnection(
+    ws: ExtendedWebSocket,
+    req: IncomingMessage,
+    tenantId: string | null
+  ): Promise<string | null> {
+    const principal = await this.authenticator!.authenticate(req);
+    if (!principal || !this.authenticator!.canAccessTenant(principal, tenantId)) return null;
+
+    const url = new URL(req.url || '', `http://localhost:${this.port}`);
+    const requested = url.searchParams.get('userId');
+
+    ws.isAdmin = this.authenticator!.isAdmin(principal);
+    if (requested && requested !== principal.subject && !ws.isAdmin) {
+      return null;
+    }
+
+    return requested || principal.subject;
+  }
+
+  private extractTenantId(req: IncomingMessage): string | null {
+    const url = new URL(req.url || '', `http://localhost:${this.port}`);
+    const tenantId = url.searchParams.get('tenantId') || (req.headers[this.tenantHeader] as string) || null;
+    if (!tenantId) return null;
+
+    if (!this.tenants) {
+      throw new Error('Multi-tenancy is not enabled');
+    }
+    this.tenants.validateTenantId(tenantId);
+    return tenantId;
+  }
+
+  // Tenant IDs never contain ':', so keys of different tenants can't collide
+  private getClientKey(userId: string, tenantId: string | null): string {
+    return `${tenantId || ''}:${userId}`;
+  }
+
   private extractUserId(req: IncomingMessage): string | null {
     // Extract from query params
     const url = new URL(req.url || '', `http://localhost:${this.port}`);
@@ -199,33 +270,33 @@ export class WebSocketServer {
     return null;
   }
 
-  private handleMessage(userId: string, message: string): void {
+  private handleMessage(clientKey: string, message: string): void {
     try {
       const data: WebSocketMessage = JSON.parse(message);
-      this.logger!.debug(`Received message from ${userId}:`, data);
+      this.logger!.debug(`Received message from ${clientKey}:`, data);
 
       switch (data.type) {
         case 'subscribe':
           // Client can subscribe to specific event types
-          this.handleSubscribe(userId, data.events);
+          this.handleSubscribe(clientKey, data.events);
           break;
         case 'ping':
           // Respond to ping
-          const ws = this.clients.get(userId);
+          const ws = this.clients.get(clientKey);
           if (ws) {
             ws.send(JSON.stringify({ type: 'pong' }));
           }
           break;
         default:
-          this.logger!.warn(`Unknown message type from ${userId}: ${data.type}`);
+          this.logger!.warn(`Unknown message type from ${clientKey}: ${data.type}`);
       }
     } catch (error: any) {
-      this.logger!.error(`Error handling message from ${userId}:`, error);
+      this.logger!.error(`Error handling message from ${clientKey}:`, error);
     }
   }
 
-  private handleSubscribe(userId: string, events?: string[]): void {
-    const ws = this.clients.get(userId);
+  private handleSubscribe(clientKey: string, events?: string[]): void {
+    const ws = this.clients.get(clientKey);
     if (ws) {
       ws.subscribedEvents = events || ['*'];
       ws.send(JSON.stringify({
@@ -235,12 +306,19 @@ export class WebSocketServer {
     }
   }
 
-  private broadcastToRelevantClients(eventData: WebSocketEventData): void {
-    const { userId, module, type } = eventData;
+  private broadcastToRelevantClients(eventData: WebSocketEventData, tenantId: string | null = null): void {
+    const { userId, userIds, module, type } = eventData;
 
-    // Send to specific user if event has userId
+    // Events may address a single user or a group of users (e.g. every member of a team)
+    const recipients = new Set<string>(Array.isArray(userIds) ? userIds : []);
     if (userId) {
-      const ws = this.clients.get(userId);
+      recipients.add(userId);
+    }
+    const recipientKeys = new Set(Array.from(recipients, recipientId => this.getClientKey(recipientId, tenantId)));
+
+    // Send to specific users if the event has recipients
+    recipientKeys.forEach((clientKey) => {
+      const ws = this.clients.get(clientKey);
       if (ws && ws.readyState === ws.OPEN) {
         // Check if client subscribed to this event type
         if (!ws.subscribedEvents ||
@@ -254,11 +332,14 @@ export class WebSocketServer {
           }));
         }
       }
-    }
+    });
 
-    // Also broadcast to admin clients (those subscribed to '*')
-    this.clients.forEach((ws, clientId) => {
-      if (clientId !== userId && ws.readyState === ws.OPEN) {
+    // Also broadcast to admin clients (those subscribed to '*'); with an authenticator
+    // only tokens carrying the admin scope may see other users' events
+    this.clients.forEach((ws, clientKey) => {
+      if (this.authenticator && !ws.isAdmin) return;
+      if ((ws.tenantId || null) !== tenantId) return;
+      if (!recipientKeys.has(clientKey) && ws.readyState === ws.OPEN) {
         if (ws.subscribedEvents && ws.subscribedEvents.includes('*')) {
           ws.send(JSON.stringify({
             type: 'event',
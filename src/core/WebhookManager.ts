@@ -1,17 +1,26 @@
 import { Logger } from '../utils/logger.js';
 import { validators } from '../utils/validators.js';
 import crypto from 'crypto';
+import { MemoryStorage } from '../storage/MemoryStorage.js';
 import type { LoggerConfig } from '../types/config.js';
+import type { IStorageAdapter } from '../types/storage.js';
 import type { EventManager, EventData } from './EventManager.js';
+import type { MetricsCollector, MetricFamily } from './MetricsCollector.js';
 
 export interface WebhookManagerOptions {
   logger?: LoggerConfig;
   eventManager?: EventManager;
+  storage?: IStorageAdapter;
+  metricsCollector?: MetricsCollector | null;
   timeout?: number;
   retries?: number;
   retryDelay?: number;
   signingSecret?: string;
   maxQueueSize?: number;
+  pollInterval?: number;
+  batchSize?: number;
+  maxConsecutiveFailures?: number;
+  deliveryLogSize?: number;
 }
 
 export interface Webhook {
@@ -26,10 +35,36 @@ export interface Webhook {
 }
 
 export interface QueueItem {
+  id: string;
   webhook: Webhook;
   event: EventData;
   attempts: number;
   createdAt: number;
+  nextAttemptAt: number;
+  lastError?: string;
+}
+
+export interface DeadLetter {
+  id: string;
+  webhookId: string;
+  url: string;
+  webhook: Webhook;
+  event: EventData;
+  attempts: number;
+  lastError: string;
+  createdAt: number;
+  failedAt: number;
+}
+
+export interface DeliveryLogEntry {
+  itemId: string;
+  event: string;
+  status: 'delivered' | 'failed';
+  statusCode: number | null;
+  latency: number;
+  attempt: number;
+  error: string | null;
+  timestamp: number;
 }
 
 export interface WebhookPayload {
@@ -40,6 +75,7 @@ export interface WebhookPayload {
     data: any;
     id: string;
     timestamp: number;
+    tenantId?: string;
   };
 }
 
@@ -49,34 +85,60 @@ export interface WebhookStats {
     enabled: boolean;
     events: string[];
     createdAt: number;
+    consecutiveFailures: number;
   }>;
   queueSize: number;
+  deadLetters: number;
   processing: boolean;
 }
 
 export class WebhookManager {
   private logger: Logger;
   private eventManager?: EventManager;
+  // Memory storage is the per-process fallback when no adapter is shared
+  private storage: IStorageAdapter | MemoryStorage;
+  private metricsCollector: MetricsCollector | null;
   private webhooks: Map<string, Webhook>;
   private timeout: number;
   private retries: number;
   private retryDelay: number;
   private signingSecret: string;
-  private queue: QueueItem[];
   private processing: boolean;
+  private rerunRequested: boolean;
   private maxQueueSize: number;
+  private pollInterval: number;
+  private batchSize: number;
+  private maxConsecutiveFailures: number;
+  private deliveryLogSize: number;
+  private instanceId: string;
+  private intervalId: NodeJS.Timeout | null;
+  private currentRun: Promise<void> | null;
 
   constructor(options: WebhookManagerOptions = {}) {
     this.logger = new Logger({ prefix: 'WebhookManager', ...options.logger });
     this.eventManager = options.eventManager;
+    if (options.storage) {
+      this.storage = options.storage;
+    } else {
+      this.logger.warn('No storage adapter given; the webhook outbox only lives as long as this process and is not shared between instances');
+      this.storage = new MemoryStorage();
+    }
+    this.metricsCollector = options.metricsCollector || null;
     this.webhooks = new Map();
     this.timeout = options.timeout || 5000;
     this.retries = options.retries || 3;
     this.retryDelay = options.retryDelay || 1000;
     this.signingSecret = options.signingSecret || crypto.randomBytes(32).toString('hex');
-    this.queue = [];
     this.processing = false;
+    this.rerunRequested = false;
     this.maxQueueSize = options.maxQueueSize || 1000;
+    this.pollInterval = options.pollInterval || 1000;
+    this.batchSize = options.batchSize || 100;
+    this.maxConsecutiveFailures = options.maxConsecutiveFailures ?? 10;
+    this.deliveryLogSize = options.deliveryLogSize || 100;
+    this.instanceId = crypto.randomBytes(8).toString('hex');
+    this.intervalId = null;
+    this.currentRun = null;
 
     this.setupEventListeners();
   }
@@ -92,6 +154,45 @@ export class WebhookManager {
     });
   }
 
+  /**
+   * Starts polling the outbox so retries and items left over from a previous run get delivered
+   */
+  start(): void {
+    if (this.intervalId) {
+      this.logger.warn('WebhookManager already started');
+      return;
+    }
+
+    this.intervalId = setInterval(() => {
+      this.processQueue().catch(error => {
+        this.logger.error('Failed to process webhook queue', { error: error.message });
+      });
+    }, this.pollInterval);
+
+    this.processQueue().catch(error => {
+      this.logger.error('Failed to process webhook queue', { error: error.message });
+    });
+    this.logger.info('WebhookManager started');
+  }
+
+  async stop(): Promise<void> {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    // Let the in-flight batch finish; anything still queued stays in storage for the next start
+    if (this.currentRun) {
+      await this.currentRun;
+    }
+
+    this.logger.info('WebhookManager stopped');
+  }
+
+  private getStorageKey(suffix: string): string {
+    return `webhooks:${suffix}`;
+  }
+
   addWebhook(webhook: Webhook): Webhook {
     validators.hasProperties(webhook, ['id', 'url', 'events'], 'webhook');
     validators.isNonEmptyString(webhook.id, 'webhook.id');
@@ -150,42 +251,149 @@ export class WebhookManager {
   }
 
   async queueWebhookCalls(webhooks: Webhook[], event: EventData): Promise<void> {
-    for (const webhook of webhooks) {
-      const queueItem: QueueItem = {
-        webhook,
-        event,
-        attempts: 0,
-        createdAt: Date.now()
-      };
+    let queueSize = await this.getQueueSize();
 
-      if (this.queue.length >= this.maxQueueSize) {
-        this.logger.warn('Webhook queue full, dropping oldest item');
-        this.queue.shift();
+    for (const webhook of webhooks) {
+      if (queueSize >= this.maxQueueSize) {
+        // Never drop deliveries silently; park them where an admin can replay them
+        this.logger.warn(`Webhook queue full, dead-lettering call to ${webhook.id}`);
+        await this.moveToDeadLetters(this.createQueueItem(webhook, event), 'Webhook queue full');
+        continue;
       }
 
-      this.queue.push(queueItem);
+      await this.enqueue(webhook, event);
+      queueSize++;
     }
 
     if (!this.processing) {
-      this.processQueue();
+      this.processQueue().catch(error => {
+        this.logger.error('Failed to process webhook queue', { error: error.message });
+      });
     }
   }
 
+  private createQueueItem(webhook: Webhook, event: EventData): QueueItem {
+    const now = Date.now();
+
+    return {
+      id: `whk_${now}_${crypto.randomBytes(6).toString('hex')}`,
+      webhook,
+      event,
+      attempts: 0,
+      createdAt: now,
+      nextAttemptAt: now
+    };
+  }
+
+  async enqueue(webhook: Webhook, event: EventData): Promise<QueueItem> {
+    const item = this.createQueueItem(webhook, event);
+    await this.saveQueueItem(item);
+    return item;
+  }
+
+  private async saveQueueItem(item: QueueItem): Promise<void> {
+    await this.storage.hset(this.getStorageKey('outbox'), item.id, JSON.stringify(item));
+    await this.storage.zadd(this.getStorageKey('schedule'), item.nextAttemptAt, item.id);
+  }
+
+  private async removeQueueItem(itemId: string): Promise<void> {
+    await this.storage.zrem(this.getStorageKey('schedule'), itemId);
+    await this.storage.hdel(this.getStorageKey('outbox'), itemId);
+  }
+
+  async getQueueSize(): Promise<number> {
+    return this.storage.hlen(this.getStorageKey('outbox'));
+  }
+
   async processQueue(): Promise<void> {
-    if (this.processing || this.queue.length === 0) return;
+    if (this.processing) {
+      this.rerunRequested = true;
+      return;
+    }
 
     this.processing = true;
+    this.currentRun = this.drainQueue();
 
-    while (this.queue.length > 0) {
-      const item = this.queue.shift()!;
-      await this.callWebhook(item);
+    try {
+      await this.currentRun;
+    } finally {
+      this.processing = false;
+      this.currentRun = null;
     }
+  }
 
-    this.processing = false;
+  private async drainQueue(): Promise<void> {
+    do {
+      this.rerunRequested = false;
+
+      const now = Date.now();
+      const scheduled = await this.storage.zrange(this.getStorageKey('schedule'), 0, this.batchSize - 1, true);
+      const due = scheduled.filter((entry: any) => Number(entry.score) <= now);
+
+      let handled = 0;
+      for (const entry of due) {
+        if (await this.processItem(entry.member)) handled++;
+      }
+
+      // A full batch of due items means more may be waiting behind it. Items another
+      // instance holds stay at the front of the schedule, so a batch with any of them
+      // waits for the next poll instead of fetching the same items again.
+      if (due.length === this.batchSize && handled === due.length) {
+        this.rerunRequested = true;
+      }
+    } while (this.rerunRequested);
+  }
+
+  /**
+   * @returns False when another instance holds the item
+   */
+  private async processItem(itemId: string): Promise<boolean> {
+    const item = await this.getQueueItem(itemId);
+    if (!item) {
+      await this.storage.zrem(this.getStorageKey('schedule'), itemId);
+      return true;
+    }
+
+    // The lease keeps other instances off the item while it is in flight and
+    // expires on its own if this process dies mid-delivery
+    const lockKey = this.getStorageKey(`lock:${itemId}`);
+    const lease = Math.ceil((item.webhook.timeout || this.timeout) / 1000) + 5;
+    if (!await this.storage.setnx(lockKey, this.instanceId, lease)) {
+      return false;
+    }
+
+    try {
+      // Another instance may have delivered or rescheduled the item between the read and the lock
+      const current = await this.getQueueItem(itemId);
+      if (current && current.nextAttemptAt <= Date.now()) {
+        await this.callWebhook(current);
+      }
+    } finally {
+      if (await this.storage.get(lockKey) === this.instanceId) {
+        await this.storage.delete(lockKey);
+      }
+    }
+    return true;
+  }
+
+  private async getQueueItem(itemId: string): Promise<QueueItem | null> {
+    const raw = await this.storage.hget(this.getStorageKey('outbox'), itemId);
+    if (!raw) return null;
+    return typeof raw === 'string' ? JSON.parse(raw) : raw;
   }
 
   async callWebhook(item: QueueItem): Promise<{ success: boolean; status?: number; error?: string }> {
-    const { webhook, event, attempts } = item;
+    const { event, attempts } = item;
+    // Prefer the live registration so header or URL changes apply to queued calls
+    const webhook = this.webhooks.get(item.webhook.id) || item.webhook;
+
+    if (webhook.enabled === false) {
+      await this.moveToDeadLetters(item, 'Webhook is disabled');
+      return { success: false, error: 'Webhook is disabled' };
+    }
+
+    const startTime = Date.now();
+    let statusCode: number | null = null;
 
     try {
       const payload = this.preparePayload(webhook, event);
@@ -200,7 +408,7 @@ export class WebhookManager {
       };
 
       const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), webhook.timeout!);
+      const timeoutId = setTimeout(() => controller.abort(), webhook.timeout || this.timeout);
 
       try {
         const response = await fetch(webhook.url, {
@@ -211,35 +419,44 @@ export class WebhookManager {
         });
 
         clearTimeout(timeoutId);
+        statusCode = response.status;
 
-        if (response.ok) {
-          this.logger.debug(`Webhook called successfully: ${webhook.id}`, {
-            status: response.status,
-            event: event.eventName
-          });
-          return { success: true, status: response.status };
-        } else {
+        if (!response.ok) {
           throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
       } catch (error) {
         clearTimeout(timeoutId);
         throw error;
       }
+
+      this.logger.debug(`Webhook called successfully: ${webhook.id}`, {
+        status: statusCode,
+        event: event.eventName
+      });
+
+      await this.recordDelivery(webhook.id, item, 'delivered', statusCode, Date.now() - startTime);
+      await this.storage.delete(this.getStorageKey(`failures:${webhook.id}`));
+      await this.removeQueueItem(item.id);
+
+      return { success: true, status: statusCode! };
     } catch (error: any) {
       this.logger.error(`Webhook call failed: ${webhook.id}`, {
         error: error.message,
         attempts: attempts + 1
       });
 
-      if (attempts < webhook.retries!) {
-        const delay = this.calculateRetryDelay(attempts);
-        setTimeout(() => {
-          this.queue.push({ ...item, attempts: attempts + 1 });
-          if (!this.processing) {
-            this.processQueue();
-          }
-        }, delay);
+      await this.recordDelivery(webhook.id, item, 'failed', statusCode, Date.now() - startTime, error.message);
+      await this.recordFailure(webhook);
+
+      if (attempts < (webhook.retries ?? this.retries)) {
+        await this.saveQueueItem({
+          ...item,
+          attempts: attempts + 1,
+          nextAttemptAt: Date.now() + this.calculateRetryDelay(attempts),
+          lastError: error.message
+        });
       } else {
+        await this.moveToDeadLetters({ ...item, attempts: attempts + 1 }, error.message);
         await this.handleFailedWebhook(webhook, event, error);
       }
 
@@ -255,7 +472,8 @@ export class WebhookManager {
         name: event.eventName,
         data: event.data,
         id: event.id,
-        timestamp: event.timestamp
+        timestamp: event.timestamp,
+        ...(event.tenantId ? { tenantId: event.tenantId } : {})
       }
     };
   }
@@ -289,30 +507,222 @@ export class WebhookManager {
     }
   }
 
-  getWebhookStats(): WebhookStats {
-    const stats: Record<string, {
-      url: string;
-      enabled: boolean;
-      events: string[];
-      createdAt: number;
-    }> = {};
+  private async recordDelivery(
+    webhookId: string,
+    item: QueueItem,
+    status: DeliveryLogEntry['status'],
+    statusCode: number | null,
+    latency: number,
+    error: string | null = null
+  ): Promise<void> {
+    this.metricsCollector?.recordWebhookDelivery(webhookId, status, latency);
+
+    const entry: DeliveryLogEntry = {
+      itemId: item.id,
+      event: item.event.eventName,
+      status,
+      statusCode,
+      latency,
+      attempt: item.attempts + 1,
+      error,
+      timestamp: Date.now()
+    };
+
+    const logKey = this.getStorageKey(`deliveries:${webhookId}`);
+    let length = await this.storage.lpush(logKey, JSON.stringify(entry));
+    while (length > this.deliveryLogSize) {
+      await this.storage.rpop(logKey);
+      length--;
+    }
+  }
+
+  async getDeliveryLog(webhookId: string, limit: number = 50): Promise<DeliveryLogEntry[]> {
+    const entries = await this.storage.lrange(
+      this.getStorageKey(`deliveries:${webhookId}`),
+      0,
+      Math.min(limit, this.deliveryLogSize) - 1
+    );
+
+    return entries.map((entry: any) => typeof entry === 'string' ? JSON.parse(entry) : entry);
+  }
+
+  private async recordFailure(webhook: Webhook): Promise<void> {
+    const failures = await this.storage.increment(this.getStorageKey(`failures:${webhook.id}`));
+
+    if (this.maxConsecutiveFailures > 0 && failures >= this.maxConsecutiveFailures) {
+      const registered = this.webhooks.get(webhook.id);
+      if (registered && registered.enabled !== false) {
+        await this.disableWebhook(webhook.id, `${failures} consecutive failed deliveries`);
+      }
+    }
+  }
+
+  async disableWebhook(webhookId: string, reason: string = 'Disabled manually'): Promise<void> {
+    const webhook = this.webhooks.get(webhookId);
+    if (!webhook) {
+      throw new Error(`Webhook not found: ${webhookId}`);
+    }
+
+    webhook.enabled = false;
+    this.logger.warn(`Webhook disabled: ${webhookId}`, { reason });
+
+    if (this.eventManager) {
+      await this.eventManager.emitAsync('webhook.disabled', {
+        webhookId,
+        url: webhook.url,
+        reason
+      });
+    }
+  }
+
+  async enableWebhook(webhookId: string): Promise<void> {
+    const webhook = this.webhooks.get(webhookId);
+    if (!webhook) {
+      throw new Error(`Webhook not found: ${webhookId}`);
+    }
+
+    webhook.enabled = true;
+    await this.storage.delete(this.getStorageKey(`failures:${webhookId}`));
+    this.logger.info(`Webhook enabled: ${webhookId}`);
+  }
+
+  private async moveToDeadLetters(item: QueueItem, lastError: string): Promise<DeadLetter> {
+    const deadLetter: DeadLetter = {
+      id: item.id,
+      webhookId: item.webhook.id,
+      url: item.webhook.url,
+      webhook: item.webhook,
+      event: item.event,
+      attempts: item.attempts,
+      lastError,
+      createdAt: item.createdAt,
+      failedAt: Date.now()
+    };
+
+    await this.storage.hset(this.getStorageKey('deadletters'), deadLetter.id, JSON.stringify(deadLetter));
+    await this.removeQueueItem(item.id);
+
+    return deadLetter;
+  }
+
+  async getDeadLetters(options: { webhookId?: string; limit?: number } = {}): Promise<DeadLetter[]> {
+    const { webhookId, limit = 100 } = options;
+    const values = Object.values(await this.storage.hgetall(this.getStorageKey('deadletters')) || {});
+
+    return values
+      .map((value: any) => typeof value === 'string' ? JSON.parse(value) : value)
+      .filter((deadLetter: DeadLetter) => !webhookId || deadLetter.webhookId === webhookId)
+      .sort((a: DeadLetter, b: DeadLetter) => b.failedAt - a.failedAt)
+      .slice(0, limit);
+  }
+
+  async getDeadLetter(deadLetterId: string): Promise<DeadLetter | null> {
+    const value = await this.storage.hget(this.getStorageKey('deadletters'), deadLetterId);
+    if (!value) return null;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+
+  async replayDeadLetter(deadLetterId: string): Promise<QueueItem> {
+    const deadLetter = await this.getDeadLetter(deadLetterId);
+    if (!deadLetter) {
+      throw new Error(`Dead letter not found: ${deadLetterId}`);
+    }
+
+    // Only remove the dead letter once the call is safely back in the outbox
+    const item = await this.enqueue(this.webhooks.get(deadLetter.webhookId) || deadLetter.webhook, deadLetter.event);
+    await this.storage.hdel(this.getStorageKey('deadletters'), deadLetterId);
+
+    this.logger.info(`Dead letter replayed: ${deadLetterId}`, { webhookId: deadLetter.webhookId, itemId: item.id });
+
+    if (!this.processing) {
+      this.processQueue().catch(error => {
+        this.logger.error('Failed to process webhook queue', { error: error.message });
+      });
+    }
+
+    return item;
+  }
+
+  async purgeDeadLetters(options: { webhookId?: string; userId?: string } = {}): Promise<number> {
+    const key = this.getStorageKey('deadletters');
+
+    if (!options.webhookId && !options.userId) {
+      const count = await this.storage.hlen(key);
+      await this.storage.delete(key);
+      this.logger.info(`Purged ${count} dead letters`);
+      return count;
+    }
+
+    let count = 0;
+    for (const deadLetter of await this.getDeadLetters({ webhookId: options.webhookId, limit: Infinity })) {
+      if (options.userId && !this.concernsUser(deadLetter.event, options.userId)) continue;
+      count += await this.storage.hdel(key, deadLetter.id);
+    }
+    this.logger.info(`Purged ${count} dead letters`, { webhookId: options.webhookId, userId: options.userId });
+    return count;
+  }
+
+  private concernsUser(event: EventData, userId: string): boolean {
+    const data = event.data || {};
+    return data.userId === userId || (Array.isArray(data.userIds) && data.userIds.includes(userId));
+  }
+
+  async getWebhookStats(): Promise<WebhookStats> {
+    const stats: WebhookStats['webhooks'] = {};
 
     for (const [id, webhook] of this.webhooks.entries()) {
       stats[id] = {
         url: webhook.url,
         enabled: webhook.enabled || false,
         events: webhook.events,
-        createdAt: webhook.createdAt || 0
+        createdAt: webhook.createdAt || 0,
+        consecutiveFailures: Number(await this.storage.get(this.getStorageKey(`failures:${id}`)) || 0)
       };
     }
 
     return {
       webhooks: stats,
-      queueSize: this.queue.length,
+      queueSize: await this.getQueueSize(),
+      deadLetters: await this.storage.hlen(this.getStorageKey('deadletters')),
       processing: this.processing
     };
   }
 
+  /**
+   * Queue and endpoint state for the metrics exposition
+   */
+  async getMetricFamilies(): Promise<MetricFamily[]> {
+    const stats = await this.getWebhookStats();
+    const webhooks = Object.entries(stats.webhooks);
+
+    return [
+      {
+        name: 'gamification_webhook_queue_size',
+        type: 'gauge',
+        help: 'Webhook calls waiting to be delivered',
+        samples: [{ value: stats.queueSize }]
+      },
+      {
+        name: 'gamification_webhook_dead_letters',
+        type: 'gauge',
+        help: 'Webhook calls that exhausted their retries',
+        samples: [{ value: stats.deadLetters }]
+      },
+      {
+        name: 'gamification_webhook_enabled',
+        type: 'gauge',
+        help: 'Whether a webhook endpoint is enabled (1) or disabled (0)',
+        samples: webhooks.map(([webhook, data]) => ({ labels: { webhook }, value: data.enabled ? 1 : 0 }))
+      },
+      {
+        name: 'gamification_webhook_consecutive_failures',
+        type: 'gauge',
+        help: 'Failed deliveries in a row per webhook endpoint',
+        samples: webhooks.map(([webhook, data]) => ({ labels: { webhook }, value: data.consecutiveFailures }))
+      }
+    ];
+  }
+
   verifySignature(payload: WebhookPayload, signature: string): boolean {
     // Fix BUG-042: Check buffer lengths before timingSafeEqual to avoid throwing
     // crypto.timingSafeEqual throws if buffer lengths don't match
@@ -327,9 +737,10 @@ export class WebhookManager {
     return crypto.timingSafeEqual(signatureBuffer, expectedBuffer);
   }
 
-  clearQueue(): number {
-    const size = this.queue.length;
-    this.queue = [];
+  async clearQueue(): Promise<number> {
+    const size = await this.getQueueSize();
+    await this.storage.delete(this.getStorageKey('schedule'));
+    await this.storage.delete(this.getStorageKey('outbox'));
     this.logger.info(`Cleared ${size} items from webhook queue`);
     return size;
   }
@@ -1,5 +1,6 @@
 import express from 'express';
 import type { GamificationKitInstance } from '../types/config.js';
+import { negotiateMetricsFormat, METRICS_CONTENT_TYPES } from '../core/MetricsCollector.js';
 
 export function gamificationRoutes(gamificationKit) {
   const router = express.Router();
@@ -12,6 +13,95 @@ export function gamificationRoutes(gamificationKit) {
     next();
   });
 
+  // Requests run for the tenant named by the /tenants/:tenantId prefix or the tenant header
+  const runForTenant = async (tenantId, req, res, next) => {
+    if (!gamificationKit.tenants) {
+      return res.status(400).json({ error: 'Multi-tenancy is not enabled' });
+    }
+
+    try {
+      gamificationKit.tenants.validateTenantId(tenantId);
+    } catch (error: any) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const { authenticator } = gamificationKit;
+    if (authenticator) {
+      try {
+        const auth = await authenticator.authenticate(req);
+        if (!authenticator.canAccessTenant(auth, tenantId)) {
+          return auth
+            ? res.status(403).json({ error: 'Forbidden' })
+            : res.status(401).json({ error: 'Authentication required' });
+        }
+      } catch (error: any) {
+        return res.status(401).json({ error: error.message });
+      }
+    }
+
+    res.locals.tenantId = tenantId;
+    gamificationKit.withTenant(tenantId, () => next()).catch(next);
+  };
+
+  router.use('/tenants/:tenantId', (req, res, next) => {
+    // Routes are matched again on the path below the prefix
+    runForTenant(req.params.tenantId, req, res, () => router(req, res, next));
+  });
+
+  router.use((req, res, next) => {
+    const header = (gamificationKit.config?.tenants?.header || 'x-tenant-id').toLowerCase();
+    const tenantId = req.get(header);
+    if (!tenantId || res.locals.tenantId) return next();
+
+    runForTenant(tenantId, req, res, next);
+  });
+
+  // Users may only read and act on their own data when token authentication is enabled
+  router.use('/users/:userId', async (req, res, next) => {
+    const { authenticator } = gamificationKit;
+    if (!authenticator) return next();
+
+    try {
+      const auth = await authenticator.authenticate(req);
+      if (!authenticator.canAccessUser(auth, req.params.userId)) {
+        return auth
+          ? res.status(403).json({ error: 'Forbidden' })
+          : res.status(401).json({ error: 'Authentication required' });
+      }
+      res.locals.auth = auth;
+      next();
+    } catch (error: any) {
+      res.status(401).json({ error: error.message });
+    }
+  });
+
+  // With token authentication, team requests act for the token's subject; only admins
+  // may name another user in the body. Responds and returns null when refused.
+  const getTeamActor = async (req, res, requested) => {
+    const { authenticator } = gamificationKit;
+    if (!authenticator) return requested;
+
+    let auth;
+    try {
+      auth = await authenticator.authenticate(req);
+    } catch (error: any) {
+      res.status(401).json({ error: error.message });
+      return null;
+    }
+
+    if (!auth) {
+      res.status(401).json({ error: 'Authentication required' });
+      return null;
+    }
+
+    if (requested && requested !== auth.subject && !authenticator.isAdmin(auth)) {
+      res.status(403).json({ error: 'Forbidden' });
+      return null;
+    }
+
+    return requested || auth.subject;
+  };
+
   // User stats endpoint
   router.get('/users/:userId', async (req, res, next) => {
     try {
@@ -27,13 +117,14 @@ export function gamificationRoutes(gamificationKit) {
   router.get('/users/:userId/points', async (req, res, next) => {
     try {
       const { userId } = req.params;
+      const { currency } = req.query;
       const pointsModule = gamificationKit.modules.get('points');
       if (!pointsModule) {
         return res.status(404).json({ error: 'Points module not found' });
       }
       
-      const points = await pointsModule.getPoints(userId);
-      const history = await pointsModule.getPointsHistory(userId, 10);
+      const points = await pointsModule.getPoints(userId, currency);
+      const history = await pointsModule.getTransactionHistory(userId, 10, currency);
       
       res.json({ points, history });
     } catch (error) {
@@ -75,12 +166,13 @@ export function gamificationRoutes(gamificationKit) {
   router.get('/users/:userId/level', async (req, res, next) => {
     try {
       const { userId } = req.params;
+      const { track } = req.query;
       const levelModule = gamificationKit.modules.get('levels');
       if (!levelModule) {
         return res.status(404).json({ error: 'Level module not found' });
       }
       
-      const levelInfo = await levelModule.getUserLevel(userId);
+      const levelInfo = await levelModule.getUserLevel(userId, track);
       res.json(levelInfo);
     } catch (error) {
       next(error);
@@ -103,6 +195,29 @@ export function gamificationRoutes(gamificationKit) {
     }
   });
 
+  // History endpoint
+  router.get('/users/:userId/history', async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const { limit = 100, cursor, types, from, to, order } = req.query;
+      if (!gamificationKit.journal) {
+        return res.status(404).json({ error: 'Event journal not enabled' });
+      }
+
+      const page = await gamificationKit.journal.getHistory(userId, {
+        limit: parseInt(limit),
+        cursor,
+        eventTypes: types ? types.split(',') : undefined,
+        from,
+        to,
+        order
+      });
+      res.json({ userId, history: page.entries, nextCursor: page.nextCursor });
+    } catch (error) {
+      next(error);
+    }
+  });
+
   // Quests endpoints
   router.get('/users/:userId/quests', async (req, res, next) => {
     try {
@@ -160,6 +275,330 @@ export function gamificationRoutes(gamificationKit) {
     }
   });
 
+  router.get('/leaderboards/:type/season', async (req, res, next) => {
+    try {
+      const { type } = req.params;
+      const leaderboardModule = gamificationKit.modules.get('leaderboards');
+      if (!leaderboardModule) {
+        return res.status(404).json({ error: 'Leaderboard module not found' });
+      }
+
+      const season = await leaderboardModule.getSeason(type);
+      if (!season) {
+        return res.status(404).json({ error: `Leaderboard has no season: ${type}` });
+      }
+      res.json(season);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/leaderboards/:type/around/:userId', async (req, res, next) => {
+    try {
+      const { type, userId } = req.params;
+      const { count = 5 } = req.query;
+      const leaderboardModule = gamificationKit.modules.get('leaderboards');
+      if (!leaderboardModule) {
+        return res.status(404).json({ error: 'Leaderboard module not found' });
+      }
+
+      const around = await leaderboardModule.getAroundUser(type, userId, { count: parseInt(count) });
+      if (!around) {
+        return res.status(404).json({ error: `User ${userId} is not on leaderboard ${type}` });
+      }
+      res.json(around);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/users/:userId/seasons', async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const { leaderboard, limit = 10 } = req.query;
+      const leaderboardModule = gamificationKit.modules.get('leaderboards');
+      if (!leaderboardModule) {
+        return res.status(404).json({ error: 'Leaderboard module not found' });
+      }
+
+      const seasons = await leaderboardModule.getUserSeasonHistory(userId, {
+        leaderboardId: leaderboard || null,
+        limit: parseInt(limit)
+      });
+      res.json({ userId, seasons });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Friends endpoints
+  router.get('/users/:userId/friends', async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const leaderboardModule = gamificationKit.modules.get('leaderboards');
+      if (!leaderboardModule) {
+        return res.status(404).json({ error: 'Leaderboard module not found' });
+      }
+
+      const friends = await leaderboardModule.getFriends(userId);
+      res.json({ userId, friends });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/users/:userId/friends/:friendId', async (req, res, next) => {
+    try {
+      const { userId, friendId } = req.params;
+      const { mutual = true } = req.body || {};
+      const leaderboardModule = gamificationKit.modules.get('leaderboards');
+      if (!leaderboardModule) {
+        return res.status(404).json({ error: 'Leaderboard module not found' });
+      }
+
+      const result = await leaderboardModule.addFriend(userId, friendId, { mutual: mutual !== false });
+      res.status(result.success ? 200 : 409).json(result);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/users/:userId/friends/:friendId', async (req, res, next) => {
+    try {
+      const { userId, friendId } = req.params;
+      const { mutual } = req.query;
+      const leaderboardModule = gamificationKit.modules.get('leaderboards');
+      if (!leaderboardModule) {
+        return res.status(404).json({ error: 'Leaderboard module not found' });
+      }
+
+      const result = await leaderboardModule.removeFriend(userId, friendId, { mutual: mutual !== 'false' });
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/users/:userId/friends/leaderboards/:type', async (req, res, next) => {
+    try {
+      const { userId, type } = req.params;
+      const { limit = 100 } = req.query;
+      const leaderboardModule = gamificationKit.modules.get('leaderboards');
+      if (!leaderboardModule) {
+        return res.status(404).json({ error: 'Leaderboard module not found' });
+      }
+
+      const leaderboard = await leaderboardModule.getFriendsLeaderboard(type, userId, { limit: parseInt(limit) });
+      res.json(leaderboard);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Rewards endpoints
+  router.get('/rewards', async (req, res, next) => {
+    try {
+      const { category, includeUnavailable } = req.query;
+      const rewardsModule = gamificationKit.modules.get('rewards');
+      if (!rewardsModule) {
+        return res.status(404).json({ error: 'Rewards module not found' });
+      }
+
+      const rewards = await rewardsModule.getCatalog({
+        category,
+        includeUnavailable: includeUnavailable === 'true'
+      });
+      res.json({ rewards });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/users/:userId/rewards/:rewardId/redeem', async (req, res, next) => {
+    try {
+      const { userId, rewardId } = req.params;
+      const { quantity = 1, metadata = {} } = req.body || {};
+      const rewardsModule = gamificationKit.modules.get('rewards');
+      if (!rewardsModule) {
+        return res.status(404).json({ error: 'Rewards module not found' });
+      }
+
+      const result = await rewardsModule.redeem(userId, rewardId, quantity, metadata);
+      res.status(result.success ? 200 : 409).json(result);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/users/:userId/orders', async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const { limit = 50 } = req.query;
+      const rewardsModule = gamificationKit.modules.get('rewards');
+      if (!rewardsModule) {
+        return res.status(404).json({ error: 'Rewards module not found' });
+      }
+
+      const orders = await rewardsModule.getOrders(userId, parseInt(limit));
+      res.json({ orders });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/users/:userId/inventory', async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const rewardsModule = gamificationKit.modules.get('rewards');
+      if (!rewardsModule) {
+        return res.status(404).json({ error: 'Rewards module not found' });
+      }
+
+      const inventory = await rewardsModule.getInventory(userId);
+      res.json({ inventory });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Team endpoints
+  router.get('/teams', async (req, res, next) => {
+    try {
+      const teamModule = gamificationKit.modules.get('teams');
+      if (!teamModule) {
+        return res.status(404).json({ error: 'Teams module not found' });
+      }
+
+      const teams = await teamModule.getAllTeams();
+      res.json({ teams });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/teams', async (req, res, next) => {
+    try {
+      const { userId: requested, ...options } = req.body || {};
+      const teamModule = gamificationKit.modules.get('teams');
+      if (!teamModule) {
+        return res.status(404).json({ error: 'Teams module not found' });
+      }
+
+      const userId = await getTeamActor(req, res, requested);
+      if (userId === null) return;
+
+      const team = await teamModule.createTeam(userId, options);
+      res.status(201).json({ team });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/teams/:teamId', async (req, res, next) => {
+    try {
+      const { teamId } = req.params;
+      const { source = 'points', period = 'all-time' } = req.query;
+      const teamModule = gamificationKit.modules.get('teams');
+      if (!teamModule) {
+        return res.status(404).json({ error: 'Teams module not found' });
+      }
+
+      const team = await teamModule.getTeam(teamId);
+      if (!team) {
+        return res.status(404).json({ error: 'Team not found' });
+      }
+
+      const members = await teamModule.getMembers(teamId);
+      const score = await teamModule.getTeamScore(teamId, source, period);
+      const contributions = await teamModule.getContributions(teamId, source, period);
+      res.json({ team, members, source, period, score, contributions });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/teams/:teamId/quests', async (req, res, next) => {
+    try {
+      const { teamId } = req.params;
+      const teamModule = gamificationKit.modules.get('teams');
+      if (!teamModule) {
+        return res.status(404).json({ error: 'Teams module not found' });
+      }
+
+      const quests = await teamModule.getTeamQuests(teamId);
+      res.json({ teamId, quests });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/teams/:teamId/join', async (req, res, next) => {
+    try {
+      const { teamId } = req.params;
+      const teamModule = gamificationKit.modules.get('teams');
+      if (!teamModule) {
+        return res.status(404).json({ error: 'Teams module not found' });
+      }
+
+      const userId = await getTeamActor(req, res, req.body?.userId);
+      if (userId === null) return;
+
+      const result = await teamModule.joinTeam(userId, teamId);
+      res.status(result.success ? 200 : 409).json(result);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/teams/:teamId/members/:userId/role', async (req, res, next) => {
+    try {
+      const { teamId, userId } = req.params;
+      const { actorId: requested, role } = req.body || {};
+      const teamModule = gamificationKit.modules.get('teams');
+      if (!teamModule) {
+        return res.status(404).json({ error: 'Teams module not found' });
+      }
+
+      const actorId = await getTeamActor(req, res, requested);
+      if (actorId === null) return;
+
+      const result = await teamModule.setRole(actorId, teamId, userId, role);
+      res.status(result.success ? 200 : 403).json(result);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/users/:userId/team', async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const teamModule = gamificationKit.modules.get('teams');
+      if (!teamModule) {
+        return res.status(404).json({ error: 'Teams module not found' });
+      }
+
+      const team = await teamModule.getUserTeam(userId);
+      res.json({ team });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/users/:userId/team/leave', async (req, res, next) => {
+    try {
+      const { userId } = req.params;
+      const teamModule = gamificationKit.modules.get('teams');
+      if (!teamModule) {
+        return res.status(404).json({ error: 'Teams module not found' });
+      }
+
+      const result = await teamModule.leaveTeam(userId);
+      res.status(result.success ? 200 : 409).json(result);
+    } catch (error) {
+      next(error);
+    }
+  });
+
   // Event tracking endpoint
   router.post('/events', async (req, res, next) => {
     try {
@@ -167,10 +606,31 @@ export function gamificationRoutes(gamificationKit) {
       if (!eventName) {
         return res.status(400).json({ error: 'Event name is required' });
       }
+
+      // A user's token may only track that user's own events; admin tokens may track anyone's
+      const { authenticator } = gamificationKit;
+      if (authenticator) {
+        let auth;
+        try {
+          auth = await authenticator.authenticate(req);
+        } catch (error: any) {
+          return res.status(401).json({ error: error.message });
+        }
+        if (auth && !authenticator.canAccessUser(auth, data.userId)) {
+          return res.status(403).json({ error: 'Forbidden' });
+        }
+      }
       
-      const result = await gamificationKit.track(eventName, data);
+      const idempotencyKey = req.get('Idempotency-Key');
+      const result = idempotencyKey
+        ? await gamificationKit.track(eventName, data, { idempotencyKey })
+        : await gamificationKit.track(eventName, data);
       res.json(result);
-    } catch (error) {
+    } catch (error: any) {
+      // The original request with this Idempotency-Key hasn't finished yet
+      if (error.message.endsWith('is still being processed')) {
+        return res.status(409).json({ error: error.message });
+      }
       next(error);
     }
   });
@@ -186,19 +646,505 @@ export function gamificationRoutes(gamificationKit) {
     }
   });
 
-  router.get('/admin/metrics', async (req, res, next) => {
+  router.post('/admin/rebuild/:userId', async (req, res, next) => {
     try {
-      const metrics = gamificationKit.getMetrics();
-      res.json(metrics);
+      const { userId } = req.params;
+      const result = await gamificationKit.rebuildUser(userId);
+      res.json(result);
     } catch (error) {
       next(error);
     }
   });
 
-  router.get('/admin/health', async (req, res, next) => {
+  router.get('/admin/export/:userId', async (req, res, next) => {
     try {
-      const health = gamificationKit.getHealth();
-      res.json(health);
+      const result = await gamificationKit.exportUser(req.params.userId);
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/admin/erase/:userId', async (req, res, next) => {
+    try {
+      const result = await gamificationKit.eraseUser(req.params.userId);
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/admin/metrics', async (req, res, next) => {
+    try {
+      const format = negotiateMetricsFormat(req.get('Accept'));
+      if (format === 'json') {
+        return res.json(gamificationKit.getMetrics());
+      }
+
+      const exposition = await gamificationKit.exportMetrics(format);
+      if (exposition === null) {
+        return res.json({ message: 'Metrics not enabled' });
+      }
+
+      res.set('Content-Type', METRICS_CONTENT_TYPES[format]).send(exposition);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/admin/health', async (req, res, next) => {
+    try {
+      const health = gamificationKit.getHealth();
+      res.json(health);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/admin/webhooks/dead-letters', async (req, res, next) => {
+    try {
+      if (!gamificationKit.webhookManager) {
+        return res.status(404).json({ error: 'Webhooks not enabled' });
+      }
+
+      const { webhookId, limit = 100 } = req.query;
+      const deadLetters = await gamificationKit.webhookManager.getDeadLetters({ webhookId, limit: parseInt(limit) });
+      res.json({ deadLetters });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/admin/webhooks/dead-letters', async (req, res, next) => {
+    try {
+      if (!gamificationKit.webhookManager) {
+        return res.status(404).json({ error: 'Webhooks not enabled' });
+      }
+
+      const purged = await gamificationKit.webhookManager.purgeDeadLetters({ webhookId: req.query.webhookId });
+      res.json({ success: true, purged });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/admin/webhooks/dead-letters/:deadLetterId', async (req, res, next) => {
+    try {
+      if (!gamificationKit.webhookManager) {
+        return res.status(404).json({ error: 'Webhooks not enabled' });
+      }
+
+      const deadLetter = await gamificationKit.webhookManager.getDeadLetter(req.params.deadLetterId);
+      if (!deadLetter) {
+        return res.status(404).json({ error: 'Dead letter not found' });
+      }
+
+      res.json(deadLetter);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/admin/webhooks/dead-letters/:deadLetterId/replay', async (req, res, next) => {
+    try {
+      if (!gamificationKit.webhookManager) {
+        return res.status(404).json({ error: 'Webhooks not enabled' });
+      }
+
+      const { deadLetterId } = req.params;
+      if (!await gamificationKit.webhookManager.getDeadLetter(deadLetterId)) {
+        return res.status(404).json({ error: 'Dead letter not found' });
+      }
+
+      const item = await gamificationKit.webhookManager.replayDeadLetter(deadLetterId);
+      res.status(202).json({ success: true, itemId: item.id });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/admin/webhooks/:webhookId/deliveries', async (req, res, next) => {
+    try {
+      if (!gamificationKit.webhookManager) {
+        return res.status(404).json({ error: 'Webhooks not enabled' });
+      }
+
+      const { webhookId } = req.params;
+      const { limit = 50 } = req.query;
+      const deliveries = await gamificationKit.webhookManager.getDeliveryLog(webhookId, parseInt(limit));
+      res.json({ webhookId, deliveries });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/admin/rules', async (req, res, next) => {
+    try {
+      if (!gamificationKit.ruleStore) {
+        return res.status(404).json({ error: 'Rule store not enabled' });
+      }
+
+      const rules = await gamificationKit.ruleStore.list();
+      res.json({ rules });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/admin/rules', async (req, res, next) => {
+    try {
+      if (!gamificationKit.ruleStore) {
+        return res.status(404).json({ error: 'Rule store not enabled' });
+      }
+
+      const { name, ...definition } = req.body;
+      const rule = await gamificationKit.ruleStore.create(name, definition);
+      res.status(201).json(rule);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/admin/rules/dry-run', async (req, res, next) => {
+    try {
+      const { event, ruleName = null } = req.body || {};
+      if (!event || !event.eventName) {
+        return res.status(400).json({ error: 'event with an eventName is required' });
+      }
+
+      const result = await gamificationKit.ruleEngine.dryRun({ ...event, timestamp: event.timestamp || Date.now() }, ruleName);
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/admin/rules/:ruleName', async (req, res, next) => {
+    try {
+      if (!gamificationKit.ruleStore) {
+        return res.status(404).json({ error: 'Rule store not enabled' });
+      }
+
+      const rule = await gamificationKit.ruleStore.get(req.params.ruleName);
+      if (!rule) {
+        return res.status(404).json({ error: `Rule not found: ${req.params.ruleName}` });
+      }
+
+      res.json(rule);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.put('/admin/rules/:ruleName', async (req, res, next) => {
+    try {
+      if (!gamificationKit.ruleStore) {
+        return res.status(404).json({ error: 'Rule store not enabled' });
+      }
+
+      const rule = await gamificationKit.ruleStore.update(req.params.ruleName, req.body);
+      res.json(rule);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/admin/rules/:ruleName', async (req, res, next) => {
+    try {
+      if (!gamificationKit.ruleStore) {
+        return res.status(404).json({ error: 'Rule store not enabled' });
+      }
+
+      await gamificationKit.ruleStore.delete(req.params.ruleName);
+      res.json({ success: true, ruleName: req.params.ruleName });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/admin/rules/:ruleName/versions', async (req, res, next) => {
+    try {
+      if (!gamificationKit.ruleStore) {
+        return res.status(404).json({ error: 'Rule store not enabled' });
+      }
+
+      const versions = await gamificationKit.ruleStore.getVersions(req.params.ruleName);
+      res.json({ ruleName: req.params.ruleName, versions });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/admin/rules/:ruleName/enable', async (req, res, next) => {
+    try {
+      if (!gamificationKit.ruleStore) {
+        return res.status(404).json({ error: 'Rule store not enabled' });
+      }
+
+      const rule = await gamificationKit.ruleStore.setEnabled(req.params.ruleName, true);
+      res.json(rule);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/admin/rules/:ruleName/disable', async (req, res, next) => {
+    try {
+      if (!gamificationKit.ruleStore) {
+        return res.status(404).json({ error: 'Rule store not enabled' });
+      }
+
+      const rule = await gamificationKit.ruleStore.setEnabled(req.params.ruleName, false);
+      res.json(rule);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/admin/rules/:ruleName/rollback', async (req, res, next) => {
+    try {
+      if (!gamificationKit.ruleStore) {
+        return res.status(404).json({ error: 'Rule store not enabled' });
+      }
+
+      const rule = await gamificationKit.ruleStore.rollback(req.params.ruleName, Number(req.body?.version));
+      res.json(rule);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Parses calendar bounds given as epoch milliseconds or ISO dates
+  const parseTime = (value) => value !== undefined && !isNaN(Number(value)) ? Number(value) : value;
+
+  router.get('/admin/campaigns', async (req, res, next) => {
+    try {
+      const liveOpsModule = gamificationKit.modules.get('liveops');
+      if (!liveOpsModule) {
+        return res.status(404).json({ error: 'LiveOps module not found' });
+      }
+
+      const { from, to, includeCancelled } = req.query;
+      const campaigns = await liveOpsModule.getCalendar({
+        from: parseTime(from),
+        to: parseTime(to),
+        includeCancelled: includeCancelled !== 'false'
+      });
+      res.json({ campaigns });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/admin/campaigns', async (req, res, next) => {
+    try {
+      const liveOpsModule = gamificationKit.modules.get('liveops');
+      if (!liveOpsModule) {
+        return res.status(404).json({ error: 'LiveOps module not found' });
+      }
+
+      const campaign = await liveOpsModule.createCampaign(req.body || {});
+      res.status(201).json(campaign);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/admin/campaigns/:campaignId', async (req, res, next) => {
+    try {
+      const liveOpsModule = gamificationKit.modules.get('liveops');
+      if (!liveOpsModule) {
+        return res.status(404).json({ error: 'LiveOps module not found' });
+      }
+
+      const campaign = await liveOpsModule.getCampaign(req.params.campaignId);
+      if (!campaign) {
+        return res.status(404).json({ error: `Campaign not found: ${req.params.campaignId}` });
+      }
+
+      res.json(campaign);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/admin/campaigns/:campaignId/cancel', async (req, res, next) => {
+    try {
+      const liveOpsModule = gamificationKit.modules.get('liveops');
+      if (!liveOpsModule) {
+        return res.status(404).json({ error: 'LiveOps module not found' });
+      }
+
+      const result = await liveOpsModule.cancelCampaign(req.params.campaignId);
+      res.status(result.success ? 200 : 409).json(result);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/admin/abuse/flags', async (req, res, next) => {
+    try {
+      if (!gamificationKit.abuseDetector) {
+        return res.status(404).json({ error: 'Anti-abuse not enabled' });
+      }
+
+      const flags = await gamificationKit.abuseDetector.getFlaggedUsers();
+      res.json({ flags });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/admin/abuse/flags/:userId', async (req, res, next) => {
+    try {
+      if (!gamificationKit.abuseDetector) {
+        return res.status(404).json({ error: 'Anti-abuse not enabled' });
+      }
+
+      const { reason, ttl, flaggedBy } = req.body || {};
+      const flag = await gamificationKit.abuseDetector.flagUser(req.params.userId, { reason, ttl, flaggedBy });
+      res.json(flag);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/admin/abuse/flags/:userId', async (req, res, next) => {
+    try {
+      if (!gamificationKit.abuseDetector) {
+        return res.status(404).json({ error: 'Anti-abuse not enabled' });
+      }
+
+      const result = await gamificationKit.abuseDetector.clearFlag(req.params.userId, req.body?.clearedBy);
+      res.status(result.success ? 200 : 404).json(result);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/admin/abuse/held', async (req, res, next) => {
+    try {
+      if (!gamificationKit.abuseDetector) {
+        return res.status(404).json({ error: 'Anti-abuse not enabled' });
+      }
+
+      const { userId, limit = 100 } = req.query;
+      const heldAwards = await gamificationKit.abuseDetector.getHeldAwards({ userId, limit: parseInt(limit) });
+      res.json({ heldAwards });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/admin/abuse/held/:holdId/approve', async (req, res, next) => {
+    try {
+      if (!gamificationKit.abuseDetector) {
+        return res.status(404).json({ error: 'Anti-abuse not enabled' });
+      }
+
+      const result = await gamificationKit.approveHeldAward(req.params.holdId, req.body?.reviewedBy);
+      res.json(result);
+    } catch (error: any) {
+      if (error.message.startsWith('Held award not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      next(error);
+    }
+  });
+
+  router.post('/admin/abuse/held/:holdId/reject', async (req, res, next) => {
+    try {
+      if (!gamificationKit.abuseDetector) {
+        return res.status(404).json({ error: 'Anti-abuse not enabled' });
+      }
+
+      const { reviewedBy, note } = req.body || {};
+      const result = await gamificationKit.rejectHeldAward(req.params.holdId, reviewedBy, note);
+      res.json(result);
+    } catch (error: any) {
+      if (error.message.startsWith('Held award not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      next(error);
+    }
+  });
+
+  router.post('/admin/transactions/:transactionId/reverse', async (req, res, next) => {
+    try {
+      if (!gamificationKit.reversals) {
+        return res.status(404).json({ error: 'Transaction reversal not enabled' });
+      }
+
+      const { dryRun, reason, reversedBy } = req.body || {};
+      const result = await gamificationKit.reverse(req.params.transactionId, { dryRun: dryRun === true, reason, reversedBy });
+      const conflict = result.reason === 'already_reversed' || result.reason === 'reversal_in_progress';
+      res.status(conflict ? 409 : 200).json(result);
+    } catch (error: any) {
+      if (error.message.startsWith('Transaction not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      next(error);
+    }
+  });
+
+  router.get('/admin/reversals', async (req, res, next) => {
+    try {
+      if (!gamificationKit.reversals) {
+        return res.status(404).json({ error: 'Transaction reversal not enabled' });
+      }
+
+      const { userId, limit = 100 } = req.query;
+      const reversals = await gamificationKit.reversals.getReversals({ userId, limit: parseInt(limit) });
+      res.json({ reversals });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/admin/reversals/:reversalId', async (req, res, next) => {
+    try {
+      if (!gamificationKit.reversals) {
+        return res.status(404).json({ error: 'Transaction reversal not enabled' });
+      }
+
+      const reversal = await gamificationKit.reversals.getReversal(req.params.reversalId);
+      if (!reversal) {
+        return res.status(404).json({ error: `Reversal not found: ${req.params.reversalId}` });
+      }
+
+      res.json(reversal);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/admin/tenants', async (req, res, next) => {
+    try {
+      if (!gamificationKit.tenants) {
+        return res.status(404).json({ error: 'Multi-tenancy is not enabled' });
+      }
+
+      const tenants = await gamificationKit.listTenants();
+      res.json({ tenants });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/admin/tenants/:tenantId', async (req, res, next) => {
+    try {
+      if (!gamificationKit.tenants) {
+        return res.status(404).json({ error: 'Multi-tenancy is not enabled' });
+      }
+
+      const { tenantId } = req.params;
+      const tenants = await gamificationKit.listTenants();
+      if (!tenants.includes(tenantId)) {
+        return res.status(404).json({ error: `Tenant not found: ${tenantId}` });
+      }
+
+      const result = await gamificationKit.deleteTenant(tenantId);
+      res.json(result);
     } catch (error) {
       next(error);
     }
@@ -1,5 +1,8 @@
 import { BaseModule } from './BaseModule.js';
 import { validators } from '../utils/validators.js';
+import { criteria } from '../utils/criteria.js';
+import { eventConditions } from '../utils/eventConditions.js';
+import { TenantMap } from '../core/TenantManager.js';
 
 export class AchievementModule extends BaseModule {
   constructor(options = {}) {
@@ -22,8 +25,8 @@ export class AchievementModule extends BaseModule {
     // Merge config early for constructor tests
     this.config = this.mergeDeep(this.defaultConfig, options);
     
-    this.achievements = new Map();
-    this.trackers = new Map();
+    this.achievements = new TenantMap();
+    this.trackers = new TenantMap();
   }
 
   mergeDeep(target, source) {
@@ -65,6 +68,7 @@ export class AchievementModule extends BaseModule {
       hidden: achievement.hidden || false,
       enabled: achievement.enabled !== false,
       trackingEvent: achievement.trackingEvent || null,
+      trackingConditions: eventConditions.normalize(achievement.trackingConditions, 'trackingConditions'),
       metadata: achievement.metadata || {},
       createdAt: Date.now()
     };
@@ -91,7 +95,9 @@ export class AchievementModule extends BaseModule {
           description: config.description || '',
           requirement: config.requirement,
           rewards: config.rewards || {},
-          icon: config.icon || null
+          icon: config.icon || null,
+          // Tiers with criteria unlock on state across modules instead of a progress count
+          ...(config.criteria && { criteria: criteria.normalize(config.criteria, `${tier} tier criteria`) })
         };
       }
     }
@@ -104,7 +110,8 @@ export class AchievementModule extends BaseModule {
       achievementId: achievement.id,
       event: achievement.trackingEvent,
       field: achievement.trackingField || 'value',
-      aggregation: achievement.aggregation || 'sum'
+      aggregation: achievement.aggregation || 'sum',
+      conditions: achievement.trackingConditions
     };
     
     this.trackers.set(achievement.id, tracker);
@@ -348,11 +355,48 @@ export class AchievementModule extends BaseModule {
     if (!userId) return;
     
     for (const [achievementId, tracker] of this.trackers) {
-      if (tracker.event === event.eventName) {
+      if (tracker.event === event.eventName && await this.matchesConditions(tracker.conditions, event)) {
         const value = event.data[tracker.field] || 1;
         await this.updateProgress(userId, achievementId, value);
       }
     }
+    
+    await this.checkAchievementCriteria(userId, event.eventName.split('.')[0]);
+  }
+
+  async checkAchievementCriteria(userId, source) {
+    for (const achievement of this.achievements.values()) {
+      if (!achievement.enabled) continue;
+      
+      const tiers = Object.values(achievement.tiers).filter(tier => tier.criteria);
+      if (!tiers.some(tier => criteria.sources(tier.criteria).includes(source))) continue;
+      
+      const userTiers = await this.storage.smembers(
+        this.getStorageKey(`user:${userId}:${achievement.id}`)
+      );
+      
+      for (const tier of this.config.tiers) {
+        const config = achievement.tiers[tier];
+        if (!config || userTiers.includes(tier)) continue;
+        
+        const met = config.criteria
+          ? (await criteria.evaluate(config.criteria, userId, name => this.getModule(name))).completed
+          : false;
+        
+        // With progression, a tier that isn't reached holds back the ones after it
+        if (!met) {
+          if (this.config.enableTierProgression) break;
+          continue;
+        }
+        
+        const result = await this.unlock(userId, achievement.id, tier);
+        if (result.success) {
+          userTiers.push(tier);
+        } else if (this.config.enableTierProgression) {
+          break;
+        }
+      }
+    }
   }
 
   async processRewards(userId, rewards, tier) {
@@ -425,6 +469,16 @@ export class AchievementModule extends BaseModule {
       
       const tierProgress = {};
       for (const [tier, config] of Object.entries(achievement.tiers)) {
+        if (config.criteria) {
+          const evaluated = await criteria.evaluate(config.criteria, userId, name => this.getModule(name));
+          tierProgress[tier] = {
+            unlocked: userTiers.includes(tier),
+            criteria: evaluated.criteria,
+            percentage: evaluated.percentage
+          };
+          continue;
+        }
+        
         tierProgress[tier] = {
           unlocked: userTiers.includes(tier),
           progress,
@@ -640,6 +694,16 @@ export class AchievementModule extends BaseModule {
     };
   }
 
+  async exportUserData(userId) {
+    validators.isUserId(userId);
+
+    return {
+      unlocks: await this.getUserAchievements(userId),
+      score: await this.getAchievementScore(userId),
+      progress: await this.getUserProgress(userId)
+    };
+  }
+
   async resetUser(userId) {
     await super.resetUser(userId);
     
@@ -678,4 +742,20 @@ export class AchievementModule extends BaseModule {
     
     await this.emitEvent('user.reset', { userId });
   }
+
+  async getUserDataLocations(userId) {
+    const locations = [
+      { key: this.getStorageKey(`unlocks:${userId}`) },
+      { key: this.getStorageKey('scores'), type: 'hash', member: userId },
+      { key: this.getStorageKey('leaderboard'), type: 'zset', member: userId }
+    ];
+    
+    for (const pattern of [`progress:${userId}:*`, `user:${userId}:*`]) {
+      for (const key of await this.storage.keys(this.getStorageKey(pattern))) {
+        locations.push({ key });
+      }
+    }
+    
+    return locations;
+  }
 }
\ No newline at end of file
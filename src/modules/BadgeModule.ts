@@ -1,12 +1,16 @@
 import { BaseModule } from './BaseModule.js';
+import { TransactionAbortedError } from '../storage/StorageInterface.js';
 import { validators } from '../utils/validators.js';
+import { criteria } from '../utils/criteria.js';
+import { eventConditions } from '../utils/eventConditions.js';
+import { TenantMap } from '../core/TenantManager.js';
 
 export class BadgeModule extends BaseModule {
   constructor(badges = [], options = {}) {
     super('badges', options);
     
-    this.badges = new Map();
-    this.progressTrackers = new Map();
+    this.badges = new TenantMap();
+    this.progressTrackers = new TenantMap();
     
     // Set default options
     this.defaultConfig = {
@@ -35,6 +39,7 @@ export class BadgeModule extends BaseModule {
     // Listen for events that might trigger badge awards
     this.eventManager.onWildcard('*', async (event) => {
       await this.checkBadgeTriggers(event);
+      await this.checkBadgeCriteria(event);
     });
   }
 
@@ -49,13 +54,14 @@ export class BadgeModule extends BaseModule {
       rarity: badge.rarity || 'common',
       icon: badge.icon || null,
       metadata: badge.metadata || {},
-      conditions: badge.conditions || {},
+      conditions: this.processConditions(badge.conditions || {}),
       rewards: badge.rewards || {},
       secret: badge.secret || false,
       enabled: badge.enabled !== false,
       priority: badge.priority || 0,
       maxAwards: badge.maxAwards || 1,
       expiresIn: badge.expiresIn || null,
+      campaignId: badge.campaignId || null,
       createdAt: Date.now()
     };
     
@@ -67,6 +73,32 @@ export class BadgeModule extends BaseModule {
     return processedBadge;
   }
 
+  processConditions(conditions) {
+    return {
+      ...conditions,
+      ...(conditions.triggers && {
+        triggers: conditions.triggers.map(trigger => ({
+          ...trigger,
+          conditions: eventConditions.normalize(trigger.conditions, 'badge trigger conditions')
+        }))
+      }),
+      ...(conditions.progress && { progress: this.processProgressConditions(conditions.progress) }),
+      ...(conditions.criteria && { criteria: criteria.normalize(conditions.criteria, 'badge criteria') })
+    };
+  }
+
+  processProgressConditions(progress) {
+    const processed = {};
+    
+    for (const [key, requirement] of Object.entries(progress)) {
+      processed[key] = requirement && requirement.conditions
+        ? { ...requirement, conditions: eventConditions.normalize(requirement.conditions, `${key} progress conditions`) }
+        : requirement;
+    }
+    
+    return processed;
+  }
+
   removeBadge(badgeId) {
     const removed = this.badges.delete(badgeId);
     if (removed) {
@@ -93,43 +125,13 @@ export class BadgeModule extends BaseModule {
       };
     }
 
-    // Fix HIGH-006: Use atomic counter to prevent race condition
-    // For badges with maxAwards = 1, use set membership (atomic add returns 0 if already exists)
-    if (badge.maxAwards === 1) {
-      const added = await this.storage.sadd(
-        this.getStorageKey(`user:${userId}`),
-        badgeId
-      );
-
-      // sadd returns 0 if member already existed (atomic check)
-      if (added === 0) {
-        return {
-          success: false,
-          reason: 'max_awards_reached',
-          maxAwards: badge.maxAwards
-        };
-      }
-    } else {
-      // For badges with maxAwards > 1, use atomic counter
-      const awardCountKey = this.getStorageKey(`award_count:${userId}:${badgeId}`);
-      const newCount = await this.storage.increment(awardCountKey, 1);
-
-      // Check if we exceeded max awards (atomically incremented first)
-      if (newCount > badge.maxAwards) {
-        // Roll back the increment
-        await this.storage.decrement(awardCountKey, 1);
-        return {
-          success: false,
-          reason: 'max_awards_reached',
-          maxAwards: badge.maxAwards
-        };
-      }
-
-      // Add to set for multi-award badges
-      await this.storage.sadd(
-        this.getStorageKey(`user:${userId}`),
-        badgeId
-      );
+    // Limited-time badges can only be earned by the campaign's segments while it runs
+    const liveOpsModule = badge.campaignId ? this.getModule('liveops') : null;
+    if (liveOpsModule && !(await liveOpsModule.isEligible(badge.campaignId, userId))) {
+      return {
+        success: false,
+        reason: 'not_eligible'
+      };
     }
 
     // Create award record
@@ -149,29 +151,45 @@ export class BadgeModule extends BaseModule {
       metadata
     };
 
-    await this.storage.lpush(
-      this.getStorageKey(`awards:${userId}`),
-      JSON.stringify(award)
-    );
-
-    // Update badge stats
-    await this.storage.hincrby(
-      this.getStorageKey('stats'),
-      badgeId,
-      1
-    );
+    // Fix HIGH-006: The award limit is checked inside the same transaction that records the award,
+    // so concurrent awards can't exceed it and a refused award leaves nothing behind.
+    // Badges awarded once rely on set membership (sadd adds 0 members if the user has it already)
+    const userBadgesKey = this.getStorageKey(`user:${userId}`);
+    const limitOperations = badge.maxAwards === 1
+      ? [{ method: 'sadd', args: [userBadgesKey, badgeId], min: 1 }]
+      : [
+        { method: 'increment', args: [this.getStorageKey(`award_count:${userId}:${badgeId}`), 1], max: badge.maxAwards },
+        { method: 'sadd', args: [userBadgesKey, badgeId] }
+      ];
+
+    try {
+      await this.storage.transaction([
+        ...limitOperations,
+        { method: 'lpush', args: [this.getStorageKey(`awards:${userId}`), JSON.stringify(award)] },
+        { method: 'hincrby', args: [this.getStorageKey('stats'), badgeId, 1] }
+      ]);
+    } catch (error) {
+      if (!(error instanceof TransactionAbortedError)) throw error;
 
-    // Process rewards
-    if (badge.rewards) {
-      await this.processRewards(userId, badge.rewards);
+      return {
+        success: false,
+        reason: 'max_awards_reached',
+        maxAwards: badge.maxAwards
+      };
     }
 
-    // Emit event
-    await this.emitEvent('awarded', {
-      userId,
-      badgeId,
-      badge,
-      award
+    // Rewards and everything the award leads to are traced back to it
+    await this.withCorrelation(award.id, async () => {
+      if (badge.rewards) {
+        await this.processRewards(userId, badge.rewards);
+      }
+
+      await this.emitEvent('awarded', {
+        userId,
+        badgeId,
+        badge,
+        award
+      });
     });
 
     this.logger.info(`Badge ${badgeId} awarded to user ${userId}`);
@@ -243,7 +261,7 @@ export class BadgeModule extends BaseModule {
     validators.isUserId(userId);
     
     const badge = this.badges.get(badgeId);
-    if (!badge || !badge.conditions.progress) {
+    if (!badge || (!badge.conditions.progress && !badge.conditions.criteria)) {
       return null;
     }
     
@@ -257,7 +275,7 @@ export class BadgeModule extends BaseModule {
       completed: true
     };
     
-    for (const [key, requirement] of Object.entries(badge.conditions.progress)) {
+    for (const [key, requirement] of Object.entries(badge.conditions.progress || {})) {
       const current = Number(progress[key] || 0);
       const needed = requirement.target || requirement;
       const completed = current >= needed;
@@ -274,6 +292,15 @@ export class BadgeModule extends BaseModule {
       }
     }
     
+    if (badge.conditions.criteria) {
+      const evaluated = await criteria.evaluate(badge.conditions.criteria, userId, name => this.getModule(name));
+      result.criteria = evaluated.criteria;
+      
+      if (!evaluated.completed) {
+        result.completed = false;
+      }
+    }
+    
     return result;
   }
 
@@ -338,7 +365,7 @@ export class BadgeModule extends BaseModule {
     
     // Update progress based on event
     for (const [key, condition] of Object.entries(tracker.conditions)) {
-      if (condition.event === event.eventName) {
+      if (condition.event === event.eventName && await this.matchesConditions(condition.conditions || null, event)) {
         const increment = condition.increment || 1;
         await this.updateProgress(userId, badgeId, key, increment);
       }
@@ -354,7 +381,7 @@ export class BadgeModule extends BaseModule {
       
       // Check event triggers
       for (const trigger of badge.conditions.triggers) {
-        if (this.matchesTrigger(event, trigger)) {
+        if (await this.matchesTrigger(event, trigger)) {
           const alreadyHas = await this.hasBadge(userId, badge.id);
           
           if (!alreadyHas || badge.maxAwards > 1) {
@@ -368,7 +395,29 @@ export class BadgeModule extends BaseModule {
     }
   }
 
-  matchesTrigger(event, trigger) {
+  // Badges whose criteria span modules are re-checked whenever one of those modules reports a change
+  async checkBadgeCriteria(event) {
+    const { userId } = event.data;
+    if (!userId) return;
+    
+    const source = event.eventName.split('.')[0];
+    
+    for (const badge of this.badges.values()) {
+      if (!badge.enabled || !badge.conditions.criteria) continue;
+      if (!criteria.sources(badge.conditions.criteria).includes(source)) continue;
+      if (await this.hasBadge(userId, badge.id)) continue;
+      
+      const progress = await this.getProgress(userId, badge.id);
+      if (progress.completed) {
+        await this.award(userId, badge.id, {
+          trigger: 'criteria',
+          event: event.eventName
+        });
+      }
+    }
+  }
+
+  async matchesTrigger(event, trigger) {
     // Event name match
     if (trigger.event) {
       const regex = new RegExp(
@@ -381,35 +430,16 @@ export class BadgeModule extends BaseModule {
     }
     
     // Data conditions
-    if (trigger.conditions) {
-      for (const [field, condition] of Object.entries(trigger.conditions)) {
-        const value = this.getNestedValue(event.data, field);
-        
-        if (!this.evaluateCondition(value, condition)) {
-          return false;
-        }
-      }
-    }
-    
-    return true;
-  }
-
-  getNestedValue(obj, path) {
-    return path.split('.').reduce((current, key) => current?.[key], obj);
+    return await this.matchesConditions(trigger.conditions || null, event);
   }
 
+  // Checks a single value against an old-style field condition such as `{ min: 10 }`
   evaluateCondition(value, condition) {
-    if (typeof condition === 'object') {
-      if (condition.equals !== undefined) return value === condition.equals;
-      if (condition.min !== undefined && value < condition.min) return false;
-      if (condition.max !== undefined && value > condition.max) return false;
-      if (condition.in !== undefined) return condition.in.includes(value);
-      if (condition.contains !== undefined) return String(value).includes(condition.contains);
-    } else {
-      return value === condition;
-    }
+    const tree = eventConditions.normalize({ value: condition }, 'condition');
+    if (!tree) return true;
     
-    return true;
+    const ruleEngine = this.getRuleEngine();
+    return tree.all.every(leaf => ruleEngine.evaluateCondition(leaf, { value }));
   }
 
   async processRewards(userId, rewards) {
@@ -529,6 +559,25 @@ export class BadgeModule extends BaseModule {
     };
   }
 
+  async exportUserData(userId) {
+    validators.isUserId(userId);
+
+    const awards = await this.storage.lrange(this.getStorageKey(`awards:${userId}`), 0, -1);
+
+    const progress = {};
+    for (const badge of this.badges.values()) {
+      const stored = await this.storage.hgetall(this.getStorageKey(`progress:${userId}:${badge.id}`));
+      if (stored && Object.keys(stored).length > 0) {
+        progress[badge.id] = stored;
+      }
+    }
+
+    return {
+      awards: awards.map(a => JSON.parse(a)),
+      progress
+    };
+  }
+
   async resetUser(userId) {
     await super.resetUser(userId);
     
@@ -536,15 +585,33 @@ export class BadgeModule extends BaseModule {
     await this.storage.delete(this.getStorageKey(`user:${userId}`));
     await this.storage.delete(this.getStorageKey(`awards:${userId}`));
     
-    // Remove progress
+    // Remove progress and award counters
     const progressKeys = await this.storage.keys(
       this.getStorageKey(`progress:${userId}:*`)
     );
+    const awardCountKeys = await this.storage.keys(
+      this.getStorageKey(`award_count:${userId}:*`)
+    );
     
-    for (const key of progressKeys) {
+    for (const key of [...progressKeys, ...awardCountKeys]) {
       await this.storage.delete(key);
     }
     
     await this.emitEvent('user.reset', { userId });
   }
+
+  async getUserDataLocations(userId) {
+    const locations = [
+      { key: this.getStorageKey(`user:${userId}`) },
+      { key: this.getStorageKey(`awards:${userId}`) }
+    ];
+    
+    for (const pattern of [`progress:${userId}:*`, `award_count:${userId}:*`]) {
+      for (const key of await this.storage.keys(this.getStorageKey(pattern))) {
+        locations.push({ key });
+      }
+    }
+    
+    return locations;
+  }
 }
\ No newline at end of file
@@ -1,8 +1,10 @@
-import type { StorageInterface } from '../types/storage.js';
-import type { EventManager } from '../core/EventManager.js';
-import type { RuleEngine } from '../core/RuleEngine.js';
+import type { StorageInterface, UserDataLocation } from '../types/storage.js';
+import { correlationContext, eventClock, type EventManager } from '../core/EventManager.js';
+import { RuleEngine, type RuleCondition } from '../core/RuleEngine.js';
 import type { Logger } from '../utils/logger.js';
 import type { MetricsCollector } from '../core/MetricsCollector.js';
+import { tenantContext, type TenantManager } from '../core/TenantManager.js';
+import { eventConditions } from '../utils/eventConditions.js';
 
 export interface ModuleContext {
   storage: StorageInterface;
@@ -10,12 +12,18 @@ export interface ModuleContext {
   ruleEngine: RuleEngine;
   logger: Logger;
   config?: any;
+  modules?: Map<string, BaseModule>;
+  metricsCollector?: MetricsCollector | null;
+  tenants?: TenantManager | null;
 }
 
 export interface ModuleOptions {
   [key: string]: any;
 }
 
+// Evaluates conditions for modules used outside a kit
+let standaloneRuleEngine: RuleEngine | null = null;
+
 export class BaseModule {
   name: string;
   options: ModuleOptions;
@@ -23,9 +31,11 @@ export class BaseModule {
   eventManager: EventManager | null;
   ruleEngine: RuleEngine | null;
   logger: Logger | null;
-  config: any;
   initialized: boolean;
   metricsCollector?: MetricsCollector | null;
+  modules: Map<string, BaseModule> | null;
+  tenants: TenantManager | null;
+  private baseConfig: any;
 
   constructor(name: string, options: ModuleOptions = {}) {
     this.name = name;
@@ -36,6 +46,45 @@ export class BaseModule {
     this.logger = null;
     this.config = {};
     this.initialized = false;
+    this.modules = null;
+    this.tenants = null;
+  }
+
+  /**
+   * The module config, with the current tenant's overrides applied on top. Inside a
+   * tenant with overrides, writes land on that tenant's overrides.
+   */
+  get config(): any {
+    const scope = tenantContext.current();
+    const overrides = scope?.overrides[this.name];
+    if (!scope || !overrides) return this.baseConfig;
+
+    let view = scope.configs.get(this);
+    if (!view || view.base !== this.baseConfig) {
+      view = { base: this.baseConfig, config: this.overlayConfig(this.baseConfig, overrides) };
+      scope.configs.set(this, view);
+    }
+    return view.config;
+  }
+
+  set config(config: any) {
+    this.baseConfig = config;
+  }
+
+  // Reads see the overrides over the base config, which stays live underneath
+  private overlayConfig(base: any, overrides: Record<string, any>): any {
+    const has = (key: string | symbol) => Object.prototype.hasOwnProperty.call(overrides, key);
+
+    return new Proxy(base, {
+      get: (target, key) => has(key) ? overrides[key as string] : Reflect.get(target, key),
+      set: (_target, key, value) => Reflect.set(overrides, key, value),
+      deleteProperty: (_target, key) => Reflect.deleteProperty(overrides, key),
+      has: (target, key) => has(key) || Reflect.has(target, key),
+      ownKeys: (target) => Array.from(new Set([...Reflect.ownKeys(target), ...Reflect.ownKeys(overrides)])),
+      getOwnPropertyDescriptor: (target, key) => has(key)
+        ? { value: overrides[key as string], writable: true, enumerable: true, configurable: true }
+        : Reflect.getOwnPropertyDescriptor(target, key)
+    });
   }
 
   setContext(context: ModuleContext): void {
@@ -44,6 +93,9 @@ export class BaseModule {
     this.ruleEngine = context.ruleEngine;
     this.logger = context.logger;
     this.config = { ...this.options, ...context.config };
+    this.modules = context.modules || null;
+    this.metricsCollector = context.metricsCollector || null;
+    this.tenants = context.tenants || null;
   }
 
   async initialize(): Promise<void> {
@@ -76,11 +128,78 @@ export class BaseModule {
     this.logger?.info(`Resetting user ${userId} in module ${this.name}`);
   }
 
+  /**
+   * Clears what a rebuild recomputes from the user's journal. Modules keeping state that
+   * doesn't come from tracked events, such as orders or team membership, override this
+   * to leave that state in place.
+   */
+  async prepareRebuild(userId: string): Promise<void> {
+    await this.resetUser(userId);
+  }
+
+  /**
+   * Everything the module stores about a user, for data export requests.
+   * Modules whose stats leave out stored records override this.
+   */
+  async exportUserData(userId: string): Promise<any> {
+    return this.getUserStats(userId);
+  }
+
+  /**
+   * Where the module stores data about a user, which erasure checks is gone once
+   * resetUser has run. Modules storing user data override this.
+   */
+  async getUserDataLocations(_userId: string): Promise<UserDataLocation[]> {
+    return [];
+  }
+
   async shutdown(): Promise<void> {
     this.logger?.info(`Shutting down module: ${this.name}`);
     this.initialized = false;
   }
 
+  getModule(name: string): BaseModule | null {
+    return this.modules?.get(name) || null;
+  }
+
+  /**
+   * The kit's rule engine, or a shared one for modules used on their own
+   */
+  getRuleEngine(): RuleEngine {
+    if (!this.ruleEngine && !standaloneRuleEngine) {
+      standaloneRuleEngine = new RuleEngine({ cacheEnabled: false });
+    }
+    return (this.ruleEngine || standaloneRuleEngine)!;
+  }
+
+  /**
+   * Checks an event against a condition tree with the kit's rule engine, so operators and
+   * functions registered through `addOperator`/`addFunction` apply. A tree that fails to
+   * evaluate does not match.
+   */
+  async matchesConditions(conditions: RuleCondition | null, event: { eventName: string; data?: any }): Promise<boolean> {
+    if (!conditions) return true;
+
+    try {
+      return await this.getRuleEngine().evaluateConditions(conditions, eventConditions.context(event));
+    } catch (error: any) {
+      this.logger?.warn(`Could not evaluate conditions for ${event.eventName}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Runs a background task for the default namespace and for every tenant, so jobs
+   * started from timers see each tenant's data
+   */
+  async forEachTenant(task: () => Promise<void> | void): Promise<void> {
+    if (!this.tenants) {
+      await task();
+      return;
+    }
+    await this.tenants.forEach(task);
+  }
+
   getStorageKey(suffix: string): string {
     return `${this.name}:${suffix}`;
   }
@@ -92,6 +211,21 @@ export class BaseModule {
     });
   }
 
+  /**
+   * Runs `fn` as part of a transaction: the events it leads to carry the transaction's
+   * ID, so they can be traced back to it and compensated when it is reversed
+   */
+  async withCorrelation<T>(transactionId: string, fn: () => Promise<T>): Promise<T> {
+    return correlationContext.run(transactionId, fn);
+  }
+
+  /**
+   * The current time, or the original time of an event being replayed by a rebuild
+   */
+  now(): number {
+    return eventClock.now();
+  }
+
   async recordMetric(metric: string, value: number): Promise<void> {
     if (this.metricsCollector) {
       this.metricsCollector.recordModuleMetric(this.name, metric, value);
@@ -1,5 +1,8 @@
+import crypto from 'crypto';
 import { BaseModule } from './BaseModule.js';
 import { validators } from '../utils/validators.js';
+import { TenantMap } from '../core/TenantManager.js';
+import { correlationContext } from '../core/EventManager.js';
 
 export class LeaderboardModule extends BaseModule {
   constructor(options = {}) {
@@ -12,15 +15,21 @@ export class LeaderboardModule extends BaseModule {
       maxPageSize: 1000,
       enableRealtime: true,
       periods: ['daily', 'weekly', 'monthly', 'all-time'],
-      customLeaderboards: []
+      customLeaderboards: [],
+      seasonCheckInterval: 60000, // 1 minute
+      seasonCloseLease: 300, // seconds an instance may spend closing a season
+      seasonHistoryLimit: 100, // season placements kept per player
+      archiveLimit: 100 // archives kept per leaderboard
     };
     
     // Merge config early for constructor tests
     this.config = this.mergeDeep(this.defaultConfig, options);
     
-    this.updateQueues = new Map();
-    this.caches = new Map();
+    this.updateQueues = new TenantMap({ inherit: false });
+    this.caches = new TenantMap({ inherit: false });
     this.updateIntervalId = null;
+    this.seasonIntervalId = null;
+    this.instanceId = crypto.randomBytes(8).toString('hex');
   }
 
   async onInitialize() {
@@ -66,10 +75,12 @@ export class LeaderboardModule extends BaseModule {
     
     // Listen for points events to update default leaderboards
     this.eventManager.on('points.awarded', async (event) => {
-      const { userId, total } = event.data;
+      const { userId, total, currency, defaultCurrency } = event.data;
+      // Extra currencies get their own boards (e.g. gems-weekly) next to points-*
+      const type = defaultCurrency === false ? currency : 'points';
       
       for (const period of this.config.periods) {
-        const leaderboardId = `points-${period}`;
+        const leaderboardId = `${type}-${period}`;
         
         if (this.config.enableRealtime) {
           await this.updateScore(leaderboardId, userId, total);
@@ -90,6 +101,7 @@ export class LeaderboardModule extends BaseModule {
       scoreType: config.scoreType || 'numeric',
       order: config.order || 'desc',
       resetPeriod: config.resetPeriod || null,
+      season: config.season ? this.normalizeSeason(config.season) : null,
       metadata: config.metadata || {},
       createdAt: Date.now()
     };
@@ -100,6 +112,10 @@ export class LeaderboardModule extends BaseModule {
       leaderboard
     );
     
+    if (leaderboard.season && !this.seasonIntervalId) {
+      this.startSeasonChecker();
+    }
+    
     this.logger.info(`Leaderboard created: ${config.id}`);
     
     return leaderboard;
@@ -110,13 +126,25 @@ export class LeaderboardModule extends BaseModule {
     validators.isUserId(userId);
     
     const key = this.getLeaderboardKey(leaderboardId);
+    const reachedKey = this.getReachedKey(leaderboardId);
     
     let newScore;
+    let previousScore;
+    let changed;
     if (increment) {
       newScore = await this.storage.zincrby(key, score, userId);
+      previousScore = newScore - score;
+      changed = score !== 0;
     } else {
+      const previous = await this.storage.zscore(key, userId);
       await this.storage.zadd(key, score, userId);
       newScore = score;
+      previousScore = previous === null ? null : Number(previous);
+      changed = previous === null || Number(previous) !== score;
+    }
+    
+    if (changed) {
+      await this.storage.hset(reachedKey, userId, Date.now());
     }
     
     // Invalidate cache
@@ -124,12 +152,14 @@ export class LeaderboardModule extends BaseModule {
     
     // Set expiry for periodic leaderboards
     await this.setLeaderboardExpiry(leaderboardId, key);
+    await this.setLeaderboardExpiry(leaderboardId, reachedKey);
     
     // Emit update event
     await this.emitEvent('score.updated', {
       leaderboardId,
       userId,
       score: newScore,
+      previousScore,
       timestamp: Date.now()
     });
     
@@ -164,48 +194,7 @@ export class LeaderboardModule extends BaseModule {
     const totalCount = await this.storage.zcount(key, '-inf', '+inf');
     
     // Get page data
-    const results = await this.storage.zrevrange(
-      key,
-      offset,
-      offset + pageSize - 1,
-      { withScores: true }
-    );
-    
-    const entries = [];
-
-    // Handle different storage implementations result formats
-    if (Array.isArray(results)) {
-      if (results.length > 0 && typeof results[0] === 'object' && 'member' in results[0]) {
-        // Handle array of objects format [{member, score}, ...]
-        for (let i = 0; i < results.length; i++) {
-          entries.push({
-            rank: offset + i + 1,
-            userId: results[i].member,
-            score: parseInt(results[i].score)
-          });
-        }
-      } else {
-        // Handle flat array format [userId, score, userId, score...]
-        for (let i = 0; i < results.length; i += 2) {
-          entries.push({
-            rank: offset + (i / 2) + 1,
-            userId: results[i],
-            score: parseInt(results[i + 1])
-          });
-        }
-      }
-    } else if (results && typeof results === 'object') {
-      // Handle object format from some storage implementations
-      let rankIndex = 0;
-      for (const [userId, score] of Object.entries(results)) {
-        entries.push({
-          rank: offset + rankIndex + 1,
-          userId,
-          score: parseInt(score)
-        });
-        rankIndex++;
-      }
-    }
+    const entries = await this.readRange(leaderboardId, offset, offset + pageSize - 1);
     
     const response = {
       leaderboardId,
@@ -236,67 +225,260 @@ export class LeaderboardModule extends BaseModule {
     
     const { nearbyCount = 5 } = options;
     
-    const key = this.getLeaderboardKey(leaderboardId);
+    const placement = await this.getPlacement(leaderboardId, userId);
     
-    // Get user's rank and score
-    const [rank, score] = await Promise.all([
-      this.storage.zrevrank(key, userId),
-      this.storage.zscore(key, userId)
-    ]);
-    
-    if (rank === null) {
+    if (!placement) {
       return null;
     }
     
     const position = {
       userId,
-      rank: rank + 1,
-      score
+      rank: placement.rank + 1,
+      score: placement.score
     };
     
     // Get nearby users if requested
     if (nearbyCount > 0) {
-      const start = Math.max(0, rank - nearbyCount);
-      const end = rank + nearbyCount;
-      
-      const nearby = await this.storage.zrevrange(
-        key,
-        start,
-        end,
-        { withScores: true }
+      const nearby = await this.readRange(
+        leaderboardId,
+        Math.max(0, placement.rank - nearbyCount),
+        placement.rank + nearbyCount
       );
       
-      position.nearby = [];
-
-      // Handle different storage result formats
-      if (nearby.length > 0 && typeof nearby[0] === 'object' && 'member' in nearby[0]) {
-        // Handle array of objects format [{member, score}, ...]
-        for (let i = 0; i < nearby.length; i++) {
-          if (nearby[i].member !== userId) {
-            position.nearby.push({
-              rank: start + i + 1,
-              userId: nearby[i].member,
-              score: nearby[i].score
-            });
-          }
-        }
-      } else {
-        // Handle flat array format [userId, score, userId, score...]
-        for (let i = 0; i < nearby.length; i += 2) {
-          if (nearby[i] !== userId) {
-            position.nearby.push({
-              rank: start + (i / 2) + 1,
-              userId: nearby[i],
-              score: nearby[i + 1]
-            });
-          }
-        }
-      }
+      position.nearby = nearby.filter(entry => entry.userId !== userId);
     }
     
     return position;
   }
 
+  async getAroundUser(leaderboardId, userId, options = {}) {
+    validators.isNonEmptyString(leaderboardId, 'leaderboardId');
+    validators.isUserId(userId);
+    
+    const { count = 5 } = options;
+    
+    const placement = await this.getPlacement(leaderboardId, userId);
+    if (!placement) {
+      return null;
+    }
+    
+    const totalCount = await this.storage.zcard(this.getLeaderboardKey(leaderboardId));
+    
+    return {
+      leaderboardId,
+      userId,
+      rank: placement.rank + 1,
+      score: placement.score,
+      totalCount,
+      topPercent: Math.ceil(((placement.rank + 1) / totalCount) * 100),
+      entries: await this.readRange(
+        leaderboardId,
+        Math.max(0, placement.rank - count),
+        placement.rank + count
+      )
+    };
+  }
+
+  // Zero-based rank and score of a user, with ties ordered like readRange
+  async getPlacement(leaderboardId, userId) {
+    const key = this.getLeaderboardKey(leaderboardId);
+    const score = await this.storage.zscore(key, userId);
+    
+    if (score === null || score === undefined) {
+      return null;
+    }
+    
+    const block = await this.getTieBlock(key, Number(score));
+    let rank = block.start;
+    
+    if (block.end > block.start) {
+      const tied = await this.orderTies(
+        leaderboardId,
+        this.toEntries(await this.storage.zrevrange(key, block.start, block.end, { withScores: true }))
+      );
+      rank += tied.findIndex(entry => entry.userId === userId);
+    }
+    
+    return { rank, score: Number(score) };
+  }
+
+  // Ranked entries from start to stop (inclusive, -1 for the end), the same on every adapter
+  async readRange(leaderboardId, start, stop) {
+    const key = this.getLeaderboardKey(leaderboardId);
+    const window = this.toEntries(
+      await this.storage.zrevrange(key, start, stop, { withScores: true })
+    );
+    
+    if (window.length === 0) {
+      return [];
+    }
+    
+    // Adapters order ties differently and a tie at either edge may run past the
+    // window, so whole tie blocks are read before ordering
+    const last = start + window.length - 1;
+    const first = await this.getTieBlock(key, window[0].score);
+    const end = await this.getTieBlock(key, window[window.length - 1].score);
+    const from = Math.min(start, first.start);
+    const to = Math.max(last, end.end);
+    
+    const entries = from === start && to === last
+      ? window
+      : this.toEntries(await this.storage.zrevrange(key, from, to, { withScores: true }));
+    
+    const ordered = await this.orderTies(leaderboardId, entries);
+    
+    return ordered
+      .slice(start - from, start - from + window.length)
+      .map((entry, i) => ({ rank: start + i + 1, ...entry }));
+  }
+
+  // Positions of the members sharing a score
+  async getTieBlock(key, score) {
+    const [atOrAbove, tied] = await Promise.all([
+      this.storage.zcount(key, score, '+inf'),
+      this.storage.zcount(key, score, score)
+    ]);
+    
+    return { start: atOrAbove - tied, end: atOrAbove - 1 };
+  }
+
+  // Sorts by score, then by who reached it first, then by user ID
+  async orderTies(leaderboardId, entries, reachedKey = this.getReachedKey(leaderboardId)) {
+    const counts = new Map();
+    for (const entry of entries) {
+      counts.set(entry.score, (counts.get(entry.score) || 0) + 1);
+    }
+    
+    const tied = entries.filter(entry => counts.get(entry.score) > 1).map(entry => entry.userId);
+    const reached = new Map();
+    
+    if (tied.length > 0) {
+      const times = await Promise.all(tied.map(userId => this.storage.hget(reachedKey, userId)));
+      tied.forEach((userId, i) => {
+        reached.set(userId, times[i] === null || times[i] === undefined ? Infinity : Number(times[i]));
+      });
+    }
+    
+    const reachedAt = userId => reached.has(userId) ? reached.get(userId) : Infinity;
+    
+    return [...entries].sort((a, b) => {
+      if (a.score !== b.score) return b.score - a.score;
+      if (reachedAt(a.userId) !== reachedAt(b.userId)) return reachedAt(a.userId) - reachedAt(b.userId);
+      return a.userId < b.userId ? -1 : a.userId > b.userId ? 1 : 0;
+    });
+  }
+
+  // Handle different storage implementations result formats
+  toEntries(results) {
+    if (results && !Array.isArray(results) && typeof results === 'object') {
+      // Handle object format { userId: score }
+      return Object.entries(results).map(([userId, score]) => ({ userId, score: Number(score) }));
+    }
+    
+    if (results.length > 0 && typeof results[0] === 'object') {
+      // Handle array of objects format [{member, score}, ...], or [{value, score}, ...] from Redis
+      return results.map(result => ({
+        userId: 'member' in result ? result.member : result.value,
+        score: Number(result.score)
+      }));
+    }
+    
+    // Handle flat array format [userId, score, userId, score...]
+    const entries = [];
+    for (let i = 0; i < results.length; i += 2) {
+      entries.push({ userId: results[i], score: Number(results[i + 1]) });
+    }
+    
+    return entries;
+  }
+
+  async addFriend(userId, friendId, options = {}) {
+    validators.isUserId(userId);
+    validators.isUserId(friendId, 'friendId');
+    
+    if (userId === friendId) {
+      return { success: false, reason: 'same_user' };
+    }
+    
+    // Friendships go both ways; `mutual: false` only follows
+    const { mutual = true } = options;
+    const operations = [
+      { method: 'sadd', args: [this.getStorageKey(`friends:${userId}`), friendId] },
+      { method: 'sadd', args: [this.getStorageKey(`followers:${friendId}`), userId] }
+    ];
+    
+    if (mutual) {
+      operations.push(
+        { method: 'sadd', args: [this.getStorageKey(`friends:${friendId}`), userId] },
+        { method: 'sadd', args: [this.getStorageKey(`followers:${userId}`), friendId] }
+      );
+    }
+    
+    await this.storage.transaction(operations);
+    
+    await this.emitEvent('friend.added', { userId, friendId, mutual });
+    
+    return { success: true };
+  }
+
+  async removeFriend(userId, friendId, options = {}) {
+    validators.isUserId(userId);
+    validators.isUserId(friendId, 'friendId');
+    
+    const { mutual = true } = options;
+    const operations = [
+      { method: 'srem', args: [this.getStorageKey(`friends:${userId}`), friendId] },
+      { method: 'srem', args: [this.getStorageKey(`followers:${friendId}`), userId] }
+    ];
+    
+    if (mutual) {
+      operations.push(
+        { method: 'srem', args: [this.getStorageKey(`friends:${friendId}`), userId] },
+        { method: 'srem', args: [this.getStorageKey(`followers:${userId}`), friendId] }
+      );
+    }
+    
+    const [removed] = await this.storage.transaction(operations);
+    
+    if (removed > 0) {
+      await this.emitEvent('friend.removed', { userId, friendId, mutual });
+    }
+    
+    return { success: removed > 0 };
+  }
+
+  async getFriends(userId) {
+    validators.isUserId(userId);
+    return await this.storage.smembers(this.getStorageKey(`friends:${userId}`));
+  }
+
+  async getFriendsLeaderboard(leaderboardId, userId, options = {}) {
+    validators.isNonEmptyString(leaderboardId, 'leaderboardId');
+    validators.isUserId(userId);
+    
+    const { limit = this.config.defaultPageSize } = options;
+    
+    const key = this.getLeaderboardKey(leaderboardId);
+    const members = [userId, ...await this.getFriends(userId)];
+    const scores = await Promise.all(members.map(member => this.storage.zscore(key, member)));
+    
+    const entries = members
+      .map((member, i) => ({ userId: member, score: scores[i] }))
+      .filter(entry => entry.score !== null && entry.score !== undefined)
+      .map(entry => ({ userId: entry.userId, score: Number(entry.score) }));
+    
+    const ranked = (await this.orderTies(leaderboardId, entries))
+      .map((entry, i) => ({ rank: i + 1, ...entry }));
+    
+    return {
+      leaderboardId,
+      userId,
+      totalCount: ranked.length,
+      entries: ranked.slice(0, Math.min(limit, this.config.maxPageSize)),
+      userPosition: ranked.find(entry => entry.userId === userId) || null
+    };
+  }
+
   async getMultipleLeaderboards(leaderboardIds, options = {}) {
     const results = await Promise.all(
       leaderboardIds.map(id => this.getLeaderboard(id, options))
@@ -333,6 +515,7 @@ export class LeaderboardModule extends BaseModule {
     
     const key = this.getLeaderboardKey(leaderboardId);
     const removed = await this.storage.zrem(key, userId);
+    await this.storage.hdel(this.getReachedKey(leaderboardId), userId);
     
     if (removed > 0) {
       this.invalidateCache(leaderboardId);
@@ -351,6 +534,7 @@ export class LeaderboardModule extends BaseModule {
     
     const key = this.getLeaderboardKey(leaderboardId);
     await this.storage.delete(key);
+    await this.storage.delete(this.getReachedKey(leaderboardId));
     
     this.invalidateCache(leaderboardId);
     
@@ -367,41 +551,25 @@ export class LeaderboardModule extends BaseModule {
   async archiveLeaderboard(leaderboardId) {
     validators.isNonEmptyString(leaderboardId, 'leaderboardId');
     
-    const key = this.getLeaderboardKey(leaderboardId);
     const archiveKey = this.getStorageKey(`archive:${leaderboardId}:${Date.now()}`);
     
     // Get all entries
-    const entries = await this.storage.zrevrange(key, 0, -1, { withScores: true });
+    const entries = await this.readRange(leaderboardId, 0, -1);
     
     if (entries.length > 0) {
+      const definition = await this.getDefinition(leaderboardId);
+      const season = definition?.season
+        ? await this.getSeasonState(leaderboardId, definition.season)
+        : null;
+
       // Store archive
       const archive = {
         leaderboardId,
+        season: season ? season.number : null,
         archivedAt: Date.now(),
-        entries: []
+        entries
       };
 
-      // Fix BUG-007: Handle different storage result formats for archive
-      if (typeof entries[0] === 'object' && 'member' in entries[0]) {
-        // Handle array of objects format [{member, score}, ...]
-        for (let i = 0; i < entries.length; i++) {
-          archive.entries.push({
-            rank: i + 1,
-            userId: entries[i].member,
-            score: parseInt(entries[i].score)
-          });
-        }
-      } else {
-        // Handle flat array format [userId, score, userId, score...]
-        for (let i = 0; i < entries.length; i += 2) {
-          archive.entries.push({
-            rank: (i / 2) + 1,
-            userId: entries[i],
-            score: parseInt(entries[i + 1])
-          });
-        }
-      }
-
       await this.storage.set(archiveKey, archive);
       
       // Store archive reference
@@ -409,9 +577,10 @@ export class LeaderboardModule extends BaseModule {
         this.getStorageKey(`archives:${leaderboardId}`),
         archiveKey
       );
+      await this.trimArchives(leaderboardId);
     }
     
-    return { success: true, entriesArchived: entries.length / 2 };
+    return { success: true, entriesArchived: entries.length };
   }
 
   async getArchives(leaderboardId, limit = 10) {
@@ -434,10 +603,334 @@ export class LeaderboardModule extends BaseModule {
     return archives;
   }
 
+  // Archives past archiveLimit are deleted along with their reference
+  async trimArchives(leaderboardId) {
+    const listKey = this.getStorageKey(`archives:${leaderboardId}`);
+    const limit = this.config.archiveLimit;
+    
+    for (const key of await this.storage.lrange(listKey, limit, -1)) {
+      await this.storage.delete(key);
+    }
+    await this.storage.ltrim(listKey, 0, limit - 1);
+  }
+
+  normalizeSeason(season) {
+    validators.hasProperties(season, ['start'], 'season config');
+    
+    const start = new Date(season.start);
+    validators.isDate(start, 'season.start');
+    
+    // Seasons run back to back; `end` sets the length of the first and every later one
+    let duration = season.duration;
+    if (duration === undefined && season.end !== undefined) {
+      const end = new Date(season.end);
+      validators.isDate(end, 'season.end');
+      duration = end.getTime() - start.getTime();
+    }
+    validators.isPositiveNumber(duration, 'season.duration');
+    
+    const rewards = season.rewards || [];
+    validators.isArray(rewards, 'season.rewards');
+    for (const tier of rewards) {
+      if (tier.top !== undefined) {
+        validators.isPositiveNumber(tier.top, 'season reward top');
+      } else {
+        validators.isInRange(tier.topPercent, 0, 100, 'season reward topPercent');
+      }
+    }
+    
+    return {
+      start: start.getTime(),
+      duration,
+      rewards
+    };
+  }
+
+  async getDefinition(leaderboardId) {
+    const definition = await this.storage.hget(this.getStorageKey('definitions'), leaderboardId);
+    return typeof definition === 'string' ? JSON.parse(definition) : definition;
+  }
+
+  async getSeasonState(leaderboardId, season) {
+    const state = await this.storage.hget(this.getStorageKey('seasons'), leaderboardId);
+    
+    if (state) {
+      return typeof state === 'string' ? JSON.parse(state) : state;
+    }
+    
+    return {
+      number: 1,
+      startedAt: season.start,
+      endsAt: season.start + season.duration
+    };
+  }
+
+  async getSeason(leaderboardId) {
+    validators.isNonEmptyString(leaderboardId, 'leaderboardId');
+    
+    const definition = await this.getDefinition(leaderboardId);
+    if (!definition?.season) {
+      return null;
+    }
+    
+    const state = await this.getSeasonState(leaderboardId, definition.season);
+    const now = Date.now();
+    
+    return {
+      leaderboardId,
+      season: state.number,
+      startedAt: state.startedAt,
+      endsAt: state.endsAt,
+      started: now >= state.startedAt,
+      endsIn: Math.max(0, state.endsAt - now),
+      rewards: definition.season.rewards
+    };
+  }
+
+  async closeSeason(leaderboardId) {
+    validators.isNonEmptyString(leaderboardId, 'leaderboardId');
+    
+    const definition = await this.getDefinition(leaderboardId);
+    if (!definition?.season) {
+      throw new Error(`Leaderboard has no season: ${leaderboardId}`);
+    }
+    
+    const { number } = await this.getSeasonState(leaderboardId, definition.season);
+    
+    // The lease keeps other instances off the season while it closes and expires
+    // on its own if this process dies, so a later check can finish the job
+    const lockKey = this.getStorageKey(`season:${leaderboardId}:${number}:lock`);
+    if (!await this.storage.setnx(lockKey, this.instanceId, this.config.seasonCloseLease)) {
+      return { success: false, reason: 'season_closing' };
+    }
+    
+    try {
+      // Another instance may have closed it between our read and the claim
+      const season = await this.getSeasonState(leaderboardId, definition.season);
+      if (season.number !== number) {
+        return { success: false, reason: 'season_closed' };
+      }
+      
+      return await this.finishSeason(leaderboardId, definition, season);
+    } finally {
+      // A close that outran the lease may find another instance holding it now
+      if (await this.storage.get(lockKey) === this.instanceId) {
+        await this.storage.delete(lockKey);
+      }
+    }
+  }
+
+  async finishSeason(leaderboardId, definition, season) {
+    const now = Date.now();
+    const archiveKey = this.getStorageKey(`archive:${leaderboardId}:season:${season.number}`);
+    
+    // A run that died midway left its snapshot behind; rewarding from it keeps
+    // placements stable while scores keep coming in
+    let archive = await this.storage.get(archiveKey);
+    if (!archive) {
+      const closingKey = this.getStorageKey(`season:${leaderboardId}:${season.number}:closing`);
+      const closingReachedKey = this.getStorageKey(`season:${leaderboardId}:${season.number}:closing-reached`);
+      
+      // The board is moved aside before it is read, so scores that arrive while the
+      // season closes count towards the next one instead of being wiped with it
+      for (const [key, closing] of [
+        [this.getReachedKey(leaderboardId), closingReachedKey],
+        [this.getLeaderboardKey(leaderboardId), closingKey]
+      ]) {
+        if (!await this.storage.exists(closing)) {
+          await this.storage.rename(key, closing);
+        }
+      }
+      
+      const entries = this.toEntries(
+        await this.storage.zrevrange(closingKey, 0, -1, { withScores: true })
+      );
+      const ordered = await this.orderTies(leaderboardId, entries, closingReachedKey);
+      
+      archive = {
+        leaderboardId,
+        season: season.number,
+        startedAt: season.startedAt,
+        endsAt: season.endsAt,
+        archivedAt: now,
+        entries: ordered.map((entry, i) => ({ rank: i + 1, ...entry }))
+      };
+      
+      await this.storage.transaction([
+        { method: 'set', args: [archiveKey, archive] },
+        { method: 'lpush', args: [this.getStorageKey(`archives:${leaderboardId}`), archiveKey] },
+        { method: 'delete', args: [closingKey] },
+        { method: 'delete', args: [closingReachedKey] }
+      ]);
+      await this.trimArchives(leaderboardId);
+    }
+    
+    const participants = archive.entries.length;
+    const placedKey = this.getStorageKey(`season:${leaderboardId}:${season.number}:placed`);
+    let rewarded = 0;
+    
+    for (const entry of archive.entries) {
+      // Claiming the user first means a resumed run never pays anyone twice
+      if (await this.storage.sadd(placedKey, entry.userId) === 0) continue;
+      
+      const reward = this.getPlacementReward(definition.season.rewards, entry.rank, participants);
+      const placement = {
+        leaderboardId,
+        season: season.number,
+        rank: entry.rank,
+        score: entry.score,
+        participants,
+        reward,
+        closedAt: now
+      };
+      
+      const historyKey = this.getStorageKey(`season-history:${entry.userId}`);
+      await this.storage.lpush(historyKey, JSON.stringify(placement));
+      await this.storage.ltrim(historyKey, 0, this.config.seasonHistoryLimit - 1);
+      
+      if (reward) {
+        await this.grantSeasonReward(entry.userId, reward, placement);
+        rewarded++;
+      }
+    }
+    
+    // A season closed early restarts the schedule from now; one closed late keeps it
+    const { duration } = definition.season;
+    const startedAt = Math.min(now, season.endsAt);
+    const next = {
+      number: season.number + 1,
+      startedAt,
+      endsAt: startedAt + (Math.floor((now - startedAt) / duration) + 1) * duration
+    };
+    
+    await this.storage.transaction([
+      { method: 'hset', args: [this.getStorageKey('seasons'), leaderboardId, next] },
+      { method: 'delete', args: [placedKey] }
+    ]);
+    
+    this.invalidateCache(leaderboardId);
+    
+    await this.emitEvent('season.closed', {
+      leaderboardId,
+      season: season.number,
+      participants,
+      rewarded,
+      nextSeason: next.number,
+      timestamp: now
+    });
+    
+    this.logger.info(`Season ${season.number} of leaderboard ${leaderboardId} closed`);
+    
+    return {
+      success: true,
+      leaderboardId,
+      season: season.number,
+      participants,
+      rewarded,
+      nextSeason: next
+    };
+  }
+
+  // Tiers are listed best first; a player gets the first one their rank falls into
+  getPlacementReward(tiers, rank, participants) {
+    return tiers.find(tier => tier.top !== undefined
+      ? rank <= tier.top
+      : rank <= Math.ceil(participants * tier.topPercent / 100)
+    ) || null;
+  }
+
+  async grantSeasonReward(userId, reward, placement) {
+    try {
+      if (reward.points) {
+        await this.eventManager.emitAsync('points.award', {
+          userId,
+          points: reward.points,
+          reason: 'season_reward'
+        });
+      }
+      
+      if (reward.xp) {
+        await this.eventManager.emitAsync('levels.addXP', {
+          userId,
+          xp: reward.xp,
+          reason: 'season_reward'
+        });
+      }
+      
+      if (reward.badge) {
+        const badges = this.getModule('badges');
+        if (badges) {
+          await badges.award(userId, reward.badge, {
+            source: 'season_reward',
+            leaderboardId: placement.leaderboardId,
+            season: placement.season
+          });
+        }
+      }
+    } catch (error) {
+      // The user is already claimed, so a retry would skip them; log and carry on
+      this.logger.error(`Season reward failed for user ${userId}`, { error: error.message, placement });
+    }
+  }
+
+  async getUserSeasonHistory(userId, options = {}) {
+    validators.isUserId(userId);
+    
+    const { leaderboardId = null, limit = 10 } = options;
+    
+    const placements = await this.storage.lrange(
+      this.getStorageKey(`season-history:${userId}`),
+      0,
+      -1
+    );
+    
+    return placements
+      .map(placement => JSON.parse(placement))
+      .filter(placement => !leaderboardId || placement.leaderboardId === leaderboardId)
+      .slice(0, limit);
+  }
+
+  startSeasonChecker() {
+    this.seasonIntervalId = setInterval(() => {
+      this.forEachTenant(() => this.checkSeasons()).catch(error => {
+        this.logger.error('Failed to check seasons', { error: error.message });
+      });
+    }, this.config.seasonCheckInterval);
+  }
+
+  async checkSeasons() {
+    const definitions = await this.storage.hgetall(this.getStorageKey('definitions'));
+    const now = Date.now();
+    
+    for (const value of Object.values(definitions || {})) {
+      const definition = typeof value === 'string' ? JSON.parse(value) : value;
+      if (!definition.season) continue;
+      
+      const season = await this.getSeasonState(definition.id, definition.season);
+      if (season.endsAt <= now) {
+        await this.closeSeason(definition.id);
+      }
+    }
+  }
+
+  getLeaderboardPeriod(leaderboardId) {
+    // Match on the suffix so types containing dashes (e.g. xp-coins-weekly) still resolve
+    return this.config.periods.find(period => leaderboardId.endsWith(`-${period}`)) || null;
+  }
+
   getLeaderboardKey(leaderboardId) {
-    const [type, period] = leaderboardId.split('-');
+    return this.getStorageKey(`board:${this.getBoardSuffix(leaderboardId)}`);
+  }
+
+  // When each user reached their current score, so ties rank whoever got there first higher
+  getReachedKey(leaderboardId) {
+    return this.getStorageKey(`reached:${this.getBoardSuffix(leaderboardId)}`);
+  }
+
+  getBoardSuffix(leaderboardId) {
+    const period = this.getLeaderboardPeriod(leaderboardId);
     
-    if (this.config.periods.includes(period)) {
+    if (period) {
       const now = new Date();
       let suffix;
       
@@ -453,19 +946,19 @@ export class LeaderboardModule extends BaseModule {
           suffix = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
           break;
         case 'all-time':
-          return this.getStorageKey(`board:${leaderboardId}`);
+          return leaderboardId;
       }
       
-      return this.getStorageKey(`board:${leaderboardId}:${suffix}`);
+      return `${leaderboardId}:${suffix}`;
     }
     
-    return this.getStorageKey(`board:${leaderboardId}`);
+    return leaderboardId;
   }
 
   async setLeaderboardExpiry(leaderboardId, key) {
-    const [type, period] = leaderboardId.split('-');
+    const period = this.getLeaderboardPeriod(leaderboardId);
     
-    if (!this.config.periods.includes(period) || period === 'all-time') {
+    if (!period || period === 'all-time') {
       return;
     }
     
@@ -512,21 +1005,30 @@ export class LeaderboardModule extends BaseModule {
       userId,
       score,
       increment,
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      correlationIds: correlationContext.currentIds()
     });
   }
 
   startBatchUpdates() {
     this.updateIntervalId = setInterval(async () => {
-      await this.processBatchUpdates();
+      await this.forEachTenant(() => this.processBatchUpdates());
     }, this.config.updateInterval);
   }
 
-  async processBatchUpdates() {
-    for (const [leaderboardId, updates] of this.updateQueues) {
+  // Writes the queued scores, or only those of one user. Each queued update is then
+  // reported as in real-time mode, under the transactions it was queued in.
+  async processBatchUpdates(userId = null) {
+    for (const [leaderboardId, queued] of this.updateQueues) {
+      const updates = userId ? queued.filter(update => update.userId === userId) : [...queued];
       if (updates.length === 0) continue;
       
+      // Taken off the queue first, so a run starting meanwhile doesn't write them again
+      this.updateQueues.set(leaderboardId, queued.filter(update => !updates.includes(update)));
+      
       const key = this.getLeaderboardKey(leaderboardId);
+      const reachedKey = this.getReachedKey(leaderboardId);
+      const now = Date.now();
       const operations = [];
       
       // Group updates by user
@@ -552,27 +1054,57 @@ export class LeaderboardModule extends BaseModule {
       }
       
       // Apply updates
+      const scores = new Map();
       for (const [userId, update] of userUpdates) {
+        const previous = await this.storage.zscore(key, userId);
+        scores.set(userId, previous === null ? null : Number(previous));
+        
+        let changed;
         if (update.increment) {
           operations.push({
             method: 'zincrby',
             args: [key, update.score, userId]
           });
+          changed = update.score !== 0;
         } else {
           operations.push({
             method: 'zadd',
             args: [key, update.score, userId]
           });
+          changed = previous === null || Number(previous) !== update.score;
+        }
+        
+        if (changed) {
+          operations.push({
+            method: 'hset',
+            args: [reachedKey, userId, now]
+          });
         }
       }
       
       if (operations.length > 0) {
-        await this.storage.transaction(operations);
+        try {
+          await this.storage.transaction(operations);
+        } catch (error) {
+          this.updateQueues.set(leaderboardId, [...updates, ...this.updateQueues.get(leaderboardId)]);
+          throw error;
+        }
         this.invalidateCache(leaderboardId);
       }
       
-      // Clear queue
-      this.updateQueues.set(leaderboardId, []);
+      for (const update of updates) {
+        const previousScore = scores.get(update.userId);
+        const score = update.increment ? (previousScore ?? 0) + update.score : update.score;
+        scores.set(update.userId, score);
+        
+        await correlationContext.restore(update.correlationIds, () => this.emitEvent('score.updated', {
+          leaderboardId,
+          userId: update.userId,
+          score,
+          previousScore,
+          timestamp: update.timestamp
+        }));
+      }
     }
   }
 
@@ -630,6 +1162,14 @@ export class LeaderboardModule extends BaseModule {
     return stats;
   }
 
+  async exportUserData(userId) {
+    return {
+      ...await this.getUserStats(userId),
+      seasons: await this.getUserSeasonHistory(userId, { limit: Infinity }),
+      friends: await this.getFriends(userId)
+    };
+  }
+
   async resetUser(userId) {
     await super.resetUser(userId);
     
@@ -640,12 +1180,69 @@ export class LeaderboardModule extends BaseModule {
       await this.storage.zrem(key, userId);
     }
     
+    const reachedKeys = await this.storage.keys(this.getStorageKey('reached:*'));
+    for (const key of reachedKeys) {
+      await this.storage.hdel(key, userId);
+    }
+    
+    await this.storage.delete(this.getStorageKey(`season-history:${userId}`));
+    
+    // Season archives keep their ranks, since placements were paid out at them
+    for (const key of await this.storage.keys(this.getStorageKey('archive:*:season:*'))) {
+      const archive = await this.storage.get(key);
+      if (!archive?.entries.some(entry => entry.userId === userId)) continue;
+      
+      await this.storage.set(key, {
+        ...archive,
+        entries: archive.entries.filter(entry => entry.userId !== userId)
+      });
+    }
+    
+    // Drop the user from the friend lists on both sides
+    const friendsKey = this.getStorageKey(`friends:${userId}`);
+    const followersKey = this.getStorageKey(`followers:${userId}`);
+    for (const friendId of await this.storage.smembers(friendsKey)) {
+      await this.storage.srem(this.getStorageKey(`followers:${friendId}`), userId);
+    }
+    for (const followerId of await this.storage.smembers(followersKey)) {
+      await this.storage.srem(this.getStorageKey(`friends:${followerId}`), userId);
+    }
+    await this.storage.delete(friendsKey);
+    await this.storage.delete(followersKey);
+    
     // Invalidate all caches
     this.caches.clear();
     
     await this.emitEvent('user.reset', { userId });
   }
 
+  async getUserDataLocations(userId) {
+    const friendsKey = this.getStorageKey(`friends:${userId}`);
+    const followersKey = this.getStorageKey(`followers:${userId}`);
+    const locations = [
+      { key: this.getStorageKey(`season-history:${userId}`) },
+      { key: friendsKey },
+      { key: followersKey }
+    ];
+    
+    for (const key of await this.storage.keys(this.getStorageKey('board:*'))) {
+      locations.push({ key, type: 'zset', member: userId });
+    }
+    for (const key of await this.storage.keys(this.getStorageKey('reached:*'))) {
+      locations.push({ key, type: 'hash', member: userId });
+    }
+    
+    // The other side of the friend lists
+    for (const friendId of await this.storage.smembers(friendsKey)) {
+      locations.push({ key: this.getStorageKey(`followers:${friendId}`), type: 'set', member: userId });
+    }
+    for (const followerId of await this.storage.smembers(followersKey)) {
+      locations.push({ key: this.getStorageKey(`friends:${followerId}`), type: 'set', member: userId });
+    }
+    
+    return locations;
+  }
+
   // Backward compatibility method for tests
   async update(userId, score, leaderboardId = 'global') {
     return await this.updateScore(leaderboardId, userId, score);
@@ -675,11 +1272,16 @@ export class LeaderboardModule extends BaseModule {
   }
 
   async shutdown() {
+    if (this.seasonIntervalId) {
+      clearInterval(this.seasonIntervalId);
+      this.seasonIntervalId = null;
+    }
+    
     if (this.updateIntervalId) {
       clearInterval(this.updateIntervalId);
       
       // Process any remaining updates
-      await this.processBatchUpdates();
+      await this.forEachTenant(() => this.processBatchUpdates());
     }
     
     await super.shutdown();
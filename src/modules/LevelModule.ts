@@ -16,7 +16,10 @@ export class LevelModule extends BaseModule {
       prestigeEnabled: false,
       prestigeMaxLevel: 10,
       levelRewards: {},
-      xpMultipliers: {}
+      xpMultipliers: {},
+      defaultTrack: 'general',
+      tracks: {},
+      overallLevel: null // 'average', 'sum' or 'min' of the named tracks' levels
     };
     
     this.levelCache = new Map();
@@ -32,80 +35,147 @@ export class LevelModule extends BaseModule {
   setupEventListeners() {
     // Listen for XP events
     this.eventManager.on('levels.addXP', async (event) => {
-      const { userId, xp, reason } = event.data;
-      await this.addXP(userId, xp, reason);
+      const { userId, xp, reason, track } = event.data;
+      await this.addXP(userId, xp, reason, track);
     });
 
     this.eventManager.on('levels.setLevel', async (event) => {
-      const { userId, level } = event.data;
-      await this.setLevel(userId, level);
+      const { userId, level, track } = event.data;
+      await this.setLevel(userId, level, track);
     });
   }
 
+  getTracks() {
+    const { defaultTrack, tracks = {} } = this.config;
+    return [defaultTrack, ...Object.keys(tracks).filter(name => name !== defaultTrack)];
+  }
+
+  // The tracks an overall level is derived from: the named ones, or the default track on its own
+  getSkillTracks() {
+    const tracks = this.getTracks().slice(1);
+    return tracks.length > 0 ? tracks : [this.config.defaultTrack];
+  }
+
+  resolveTrack(track) {
+    if (!track) {
+      return this.config.defaultTrack;
+    }
+
+    validators.isNonEmptyString(track, 'track');
+    if (track !== this.config.defaultTrack && !this.config.tracks?.[track]) {
+      throw new Error(`Unknown track: ${track}`);
+    }
+
+    return track;
+  }
+
+  getTrackConfig(track) {
+    const overrides = this.config.tracks?.[track] || {};
+
+    // The default track keeps the top-level settings; other tracks start from
+    // the module defaults so formulas and rewards don't leak across
+    if (track === this.config.defaultTrack) {
+      return { ...this.config, ...overrides };
+    }
+
+    return { ...this.defaultConfig, ...overrides };
+  }
+
+  getTrackKey(suffix, track) {
+    // Default track keeps the original key layout for backwards compatibility
+    if (!track || track === this.config.defaultTrack) {
+      return this.getStorageKey(suffix);
+    }
+
+    return this.getStorageKey(`track:${track}:${suffix}`);
+  }
+
+  // Named tracks are reported in events and results; the default track's payloads stay as they were
+  trackData(track) {
+    return track && track !== this.config.defaultTrack ? { track } : {};
+  }
+
   calculateLevelThresholds() {
-    this.thresholds = new Map();
-    this.thresholds.set(1, 0);
+    this.thresholds = this.buildThresholds(this.getTrackConfig(this.config.defaultTrack));
+    this.trackThresholds = new Map();
     
-    if (this.config.customThresholds) {
+    for (const track of this.getTracks().slice(1)) {
+      this.trackThresholds.set(track, this.buildThresholds(this.getTrackConfig(track)));
+    }
+  }
+
+  buildThresholds(config) {
+    const thresholds = new Map();
+    thresholds.set(1, 0);
+    
+    if (config.customThresholds) {
       // Use custom thresholds
-      Object.entries(this.config.customThresholds).forEach(([level, xp]) => {
-        this.thresholds.set(parseInt(level), xp);
+      Object.entries(config.customThresholds).forEach(([level, xp]) => {
+        thresholds.set(parseInt(level), xp);
       });
     } else {
       // Calculate thresholds based on formula
-      for (let level = 2; level <= this.config.maxLevel; level++) {
-        const xp = this.calculateXPForLevel(level);
-        this.thresholds.set(level, xp);
+      for (let level = 2; level <= config.maxLevel; level++) {
+        thresholds.set(level, this.calculateXPForLevel(level, config));
       }
     }
+    
+    return thresholds;
   }
 
-  calculateXPForLevel(level) {
-    switch (this.config.xpFormula) {
+  getThresholds(track) {
+    track = this.resolveTrack(track);
+    return track === this.config.defaultTrack ? this.thresholds : this.trackThresholds.get(track);
+  }
+
+  calculateXPForLevel(level, config = this.config) {
+    switch (config.xpFormula) {
       case 'linear':
-        return (level - 1) * this.config.baseXP;
+        return (level - 1) * config.baseXP;
       
       case 'exponential':
         return Math.floor(
-          this.config.baseXP * Math.pow(level - 1, this.config.exponent)
+          config.baseXP * Math.pow(level - 1, config.exponent)
         );
       
       case 'custom':
-        if (this.config.customFormula) {
-          return this.config.customFormula(level);
+        if (config.customFormula) {
+          return config.customFormula(level);
         }
         // Fall back to exponential
         return Math.floor(
-          this.config.baseXP * Math.pow(level - 1, this.config.exponent)
+          config.baseXP * Math.pow(level - 1, config.exponent)
         );
       
       default:
-        return (level - 1) * this.config.baseXP;
+        return (level - 1) * config.baseXP;
     }
   }
 
-  async addXP(userId, xp, reason = 'manual') {
+  async addXP(userId, xp, reason = 'manual', track = null) {
     validators.isUserId(userId);
     validators.isPositiveNumber(xp, 'xp');
 
-    const multiplier = await this.getXPMultiplier(userId, reason);
+    track = this.resolveTrack(track);
+    const config = this.getTrackConfig(track);
+    const multiplier = await this.getXPMultiplier(userId, reason, track);
     const actualXP = Math.floor(xp * multiplier);
 
     // Fix HIGH-007: Use atomic increment to prevent race condition
     // First, ensure user exists with default data if needed
     const existingData = await this.storage.hget(
-      this.getStorageKey('users'),
+      this.getTrackKey('users', track),
       userId
     );
 
     if (!existingData) {
       // Initialize user with starting values
       await this.storage.hset(
-        this.getStorageKey('users'),
+        this.getTrackKey('users', track),
         userId,
         {
-          level: this.config.startingLevel,
-          totalXP: this.config.startingXP,
+          level: config.startingLevel,
+          totalXP: config.startingXP,
           currentLevelXP: 0,
           prestige: 0,
           updatedAt: Date.now()
@@ -114,19 +184,20 @@ export class LevelModule extends BaseModule {
     }
 
     // Use atomic increment for XP - this is the key fix for race condition
-    const xpKey = this.getStorageKey(`xp:${userId}`);
+    const xpKey = this.getTrackKey(`xp:${userId}`, track);
     const newTotalXP = await this.storage.increment(xpKey, actualXP);
 
     // Get user data after atomic increment to get prestige info
-    const userData = await this.getUserData(userId);
+    const userData = await this.getUserData(userId, track);
     const oldLevel = userData.level;
 
     // Calculate new level based on atomically updated XP
-    const newLevel = this.calculateLevelFromXP(newTotalXP, userData.prestige);
+    const newLevel = this.calculateLevelFromXP(newTotalXP, userData.prestige, track);
     const levelChanged = newLevel !== oldLevel;
 
     // Update user data with new level (XP is authoritative from atomic counter)
     const transaction = {
+      id: `xp_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`,
       userId,
       type: 'xp_gain',
       amount: actualXP,
@@ -137,16 +208,17 @@ export class LevelModule extends BaseModule {
       newLevel,
       oldXP: newTotalXP - actualXP,
       newXP: newTotalXP,
+      ...this.trackData(track),
       timestamp: Date.now()
     };
 
     await this.storage.hset(
-      this.getStorageKey('users'),
+      this.getTrackKey('users', track),
       userId,
       {
         level: newLevel,
         totalXP: newTotalXP,
-        currentLevelXP: this.getCurrentLevelXP(newTotalXP, newLevel, userData.prestige),
+        currentLevelXP: this.getCurrentLevelXP(newTotalXP, newLevel, userData.prestige, track),
         prestige: userData.prestige,
         updatedAt: Date.now()
       }
@@ -154,52 +226,139 @@ export class LevelModule extends BaseModule {
 
     // Record transaction
     await this.storage.lpush(
-      this.getStorageKey(`history:${userId}`),
+      this.getTrackKey(`history:${userId}`, track),
+      JSON.stringify(transaction)
+    );
+
+    // Level rewards and everything else this gain leads to are traced back to the transaction
+    await this.withCorrelation(transaction.id, async () => {
+      // Process level up if needed
+      if (levelChanged) {
+        await this.processLevelChange(userId, oldLevel, newLevel, userData.prestige, track);
+      }
+
+      // Update leaderboards
+      await this.updateLeaderboards(userId, newTotalXP, newLevel, track);
+
+      // Emit event
+      await this.emitEvent('xp.gained', {
+        userId,
+        xp: actualXP,
+        totalXP: newTotalXP,
+        level: newLevel,
+        levelChanged,
+        ...this.trackData(track),
+        transaction
+      });
+    });
+
+    this.logger.info(`User ${userId} gained ${actualXP} ${track} XP (${reason})`);
+
+    return {
+      success: true,
+      ...this.trackData(track),
+      xpGained: actualXP,
+      totalXP: newTotalXP,
+      level: newLevel,
+      levelChanged,
+      nextLevelXP: this.getXPForLevel(newLevel + 1, userData.prestige, track),
+      progress: this.getLevelProgress(newTotalXP, newLevel, userData.prestige, track),
+      transaction
+    };
+  }
+
+  // Takes XP away, moving the user down as many levels as their new total requires.
+  // XP never drops below zero; the part that can't be removed is reported as the shortfall.
+  async removeXP(userId, xp, reason = 'manual', track = null) {
+    validators.isUserId(userId);
+    validators.isPositiveNumber(xp, 'xp');
+
+    track = this.resolveTrack(track);
+    const userData = await this.getUserData(userId, track);
+    const removed = Math.min(xp, Math.max(0, userData.totalXP));
+
+    const xpKey = this.getTrackKey(`xp:${userId}`, track);
+    const newTotalXP = await this.storage.increment(xpKey, -removed);
+
+    const oldLevel = userData.level;
+    const newLevel = this.calculateLevelFromXP(newTotalXP, userData.prestige, track);
+    const levelChanged = newLevel !== oldLevel;
+
+    const transaction = {
+      id: `xp_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`,
+      userId,
+      type: 'xp_loss',
+      amount: -removed,
+      reason,
+      oldLevel,
+      newLevel,
+      oldXP: newTotalXP + removed,
+      newXP: newTotalXP,
+      ...this.trackData(track),
+      timestamp: Date.now()
+    };
+
+    await this.storage.hset(
+      this.getTrackKey('users', track),
+      userId,
+      {
+        level: newLevel,
+        totalXP: newTotalXP,
+        currentLevelXP: this.getCurrentLevelXP(newTotalXP, newLevel, userData.prestige, track),
+        prestige: userData.prestige,
+        updatedAt: Date.now()
+      }
+    );
+
+    await this.storage.lpush(
+      this.getTrackKey(`history:${userId}`, track),
       JSON.stringify(transaction)
     );
 
-    // Process level up if needed
     if (levelChanged) {
-      await this.processLevelChange(userId, oldLevel, newLevel, userData.prestige);
+      await this.processLevelChange(userId, oldLevel, newLevel, userData.prestige, track);
     }
 
-    // Update leaderboards
-    await this.updateLeaderboards(userId, newTotalXP, newLevel);
+    await this.updateLeaderboards(userId, newTotalXP, newLevel, track);
 
-    // Emit event
-    await this.emitEvent('xp.gained', {
+    await this.emitEvent('xp.removed', {
       userId,
-      xp: actualXP,
+      xp: removed,
+      shortfall: xp - removed,
       totalXP: newTotalXP,
       level: newLevel,
       levelChanged,
+      ...this.trackData(track),
       transaction
     });
 
-    this.logger.info(`User ${userId} gained ${actualXP} XP (${reason})`);
+    this.logger.info(`User ${userId} lost ${removed} ${track} XP (${reason})`);
 
     return {
       success: true,
-      xpGained: actualXP,
+      ...this.trackData(track),
+      xpRemoved: removed,
+      shortfall: xp - removed,
       totalXP: newTotalXP,
       level: newLevel,
-      levelChanged,
-      nextLevelXP: this.getXPForLevel(newLevel + 1, userData.prestige),
-      progress: this.getLevelProgress(newTotalXP, newLevel, userData.prestige)
+      levelChanged
     };
   }
 
-  async setLevel(userId, level) {
+  async setLevel(userId, level, track = null) {
     validators.isUserId(userId);
     validators.isInteger(level, 'level');
-    validators.isInRange(level, this.config.startingLevel, this.config.maxLevel, 'level');
     
-    const userData = await this.getUserData(userId);
+    track = this.resolveTrack(track);
+    const config = this.getTrackConfig(track);
+    validators.isInRange(level, config.startingLevel, config.maxLevel, 'level');
+    
+    const userData = await this.getUserData(userId, track);
     const oldLevel = userData.level;
-    const totalXP = this.getXPForLevel(level, userData.prestige);
+    const totalXP = this.getXPForLevel(level, userData.prestige, track);
     
     await this.storage.hset(
-      this.getStorageKey('users'),
+      this.getTrackKey('users', track),
       userId,
       {
         level,
@@ -211,32 +370,35 @@ export class LevelModule extends BaseModule {
     );
     
     if (level !== oldLevel) {
-      await this.processLevelChange(userId, oldLevel, level, userData.prestige);
+      await this.processLevelChange(userId, oldLevel, level, userData.prestige, track);
     }
     
-    await this.updateLeaderboards(userId, totalXP, level);
+    await this.updateLeaderboards(userId, totalXP, level, track);
     
     await this.emitEvent('level.set', {
       userId,
       oldLevel,
       newLevel: level,
-      totalXP
+      totalXP,
+      ...this.trackData(track)
     });
     
     return {
       success: true,
+      ...this.trackData(track),
       level,
       totalXP
     };
   }
 
-  async processLevelChange(userId, oldLevel, newLevel, prestige) {
+  async processLevelChange(userId, oldLevel, newLevel, prestige, track = null) {
+    const config = this.getTrackConfig(this.resolveTrack(track));
     const isLevelUp = newLevel > oldLevel;
     
     // Process rewards for each level gained
     if (isLevelUp) {
       for (let level = oldLevel + 1; level <= newLevel; level++) {
-        await this.processLevelRewards(userId, level, prestige);
+        await this.processLevelRewards(userId, level, prestige, track);
       }
     }
     
@@ -246,22 +408,26 @@ export class LevelModule extends BaseModule {
       oldLevel,
       newLevel,
       prestige,
-      levelsChanged: Math.abs(newLevel - oldLevel)
+      levelsChanged: Math.abs(newLevel - oldLevel),
+      ...this.trackData(track)
     });
     
     // Check for max level and prestige
-    if (this.config.prestigeEnabled && newLevel >= this.config.maxLevel) {
+    if (config.prestigeEnabled && newLevel >= config.maxLevel) {
       await this.emitEvent('max.level.reached', {
         userId,
         level: newLevel,
         prestige,
-        canPrestige: prestige < this.config.prestigeMaxLevel
+        canPrestige: prestige < config.prestigeMaxLevel,
+        ...this.trackData(track)
       });
     }
+    
+    await this.updateOverallLevel(userId);
   }
 
-  async processLevelRewards(userId, level, prestige) {
-    const rewards = this.config.levelRewards[level] || {};
+  async processLevelRewards(userId, level, prestige, track = null) {
+    const rewards = this.getTrackConfig(this.resolveTrack(track)).levelRewards[level] || {};
     const prestigeBonus = prestige > 0 ? 1 + (prestige * 0.1) : 1;
     
     if (rewards.points) {
@@ -277,7 +443,7 @@ export class LevelModule extends BaseModule {
         await this.eventManager.emitAsync('badges.award', {
           userId,
           badgeId,
-          metadata: { level, prestige }
+          metadata: { level, prestige, ...this.trackData(track) }
         });
       }
     }
@@ -287,6 +453,7 @@ export class LevelModule extends BaseModule {
         userId,
         level,
         prestige,
+        ...this.trackData(track),
         rewards: rewards.custom
       });
     }
@@ -295,32 +462,36 @@ export class LevelModule extends BaseModule {
       userId,
       level,
       rewards,
-      prestigeBonus
+      prestigeBonus,
+      ...this.trackData(track)
     });
   }
 
-  async prestige(userId) {
+  async prestige(userId, track = null) {
     validators.isUserId(userId);
     
-    if (!this.config.prestigeEnabled) {
+    track = this.resolveTrack(track);
+    const config = this.getTrackConfig(track);
+    
+    if (!config.prestigeEnabled) {
       return {
         success: false,
         reason: 'prestige_disabled'
       };
     }
     
-    const userData = await this.getUserData(userId);
+    const userData = await this.getUserData(userId, track);
     
-    if (userData.level < this.config.maxLevel) {
+    if (userData.level < config.maxLevel) {
       return {
         success: false,
         reason: 'max_level_not_reached',
         currentLevel: userData.level,
-        requiredLevel: this.config.maxLevel
+        requiredLevel: config.maxLevel
       };
     }
     
-    if (userData.prestige >= this.config.prestigeMaxLevel) {
+    if (userData.prestige >= config.prestigeMaxLevel) {
       return {
         success: false,
         reason: 'max_prestige_reached',
@@ -332,11 +503,11 @@ export class LevelModule extends BaseModule {
     
     // Reset to starting level but keep prestige
     await this.storage.hset(
-      this.getStorageKey('users'),
+      this.getTrackKey('users', track),
       userId,
       {
-        level: this.config.startingLevel,
-        totalXP: this.config.startingXP,
+        level: config.startingLevel,
+        totalXP: config.startingXP,
         currentLevelXP: 0,
         prestige: newPrestige,
         prestigedAt: Date.now(),
@@ -345,11 +516,11 @@ export class LevelModule extends BaseModule {
     );
     
     // Process prestige rewards
-    await this.processPrestigeRewards(userId, newPrestige);
+    await this.processPrestigeRewards(userId, newPrestige, track);
     
     // Update prestige leaderboard
     await this.storage.zadd(
-      this.getStorageKey('leaderboard:prestige'),
+      this.getTrackKey('leaderboard:prestige', track),
       newPrestige,
       userId
     );
@@ -358,21 +529,25 @@ export class LevelModule extends BaseModule {
       userId,
       oldPrestige: userData.prestige,
       newPrestige,
+      ...this.trackData(track),
       timestamp: Date.now()
     });
     
+    await this.updateOverallLevel(userId);
+    
     this.logger.info(`User ${userId} prestiged to level ${newPrestige}`);
     
     return {
       success: true,
+      ...this.trackData(track),
       prestige: newPrestige,
-      level: this.config.startingLevel,
-      totalXP: this.config.startingXP
+      level: config.startingLevel,
+      totalXP: config.startingXP
     };
   }
 
-  async processPrestigeRewards(userId, prestige) {
-    const rewards = this.config.prestigeRewards?.[prestige] || {};
+  async processPrestigeRewards(userId, prestige, track = null) {
+    const rewards = this.getTrackConfig(this.resolveTrack(track)).prestigeRewards?.[prestige] || {};
     
     if (rewards.points) {
       await this.eventManager.emitAsync('points.award', {
@@ -387,7 +562,7 @@ export class LevelModule extends BaseModule {
         await this.eventManager.emitAsync('badges.award', {
           userId,
           badgeId,
-          metadata: { prestige }
+          metadata: { prestige, ...this.trackData(track) }
         });
       }
     }
@@ -397,10 +572,11 @@ export class LevelModule extends BaseModule {
     }
   }
 
-  calculateLevelFromXP(totalXP, prestige = 0) {
-    let level = this.config.startingLevel;
+  calculateLevelFromXP(totalXP, prestige = 0, track = null) {
+    const config = this.getTrackConfig(this.resolveTrack(track));
+    let level = config.startingLevel;
     
-    for (const [lvl, threshold] of this.thresholds) {
+    for (const [lvl, threshold] of this.getThresholds(track)) {
       if (totalXP >= threshold) {
         level = lvl;
       } else {
@@ -408,20 +584,20 @@ export class LevelModule extends BaseModule {
       }
     }
     
-    return Math.min(level, this.config.maxLevel);
+    return Math.min(level, config.maxLevel);
   }
 
-  getXPForLevel(level, prestige = 0) {
-    return this.thresholds.get(level) || 0;
+  getXPForLevel(level, prestige = 0, track = null) {
+    return this.getThresholds(track).get(level) || 0;
   }
 
-  getCurrentLevelXP(totalXP, level, prestige = 0) {
-    const currentLevelThreshold = this.getXPForLevel(level, prestige);
+  getCurrentLevelXP(totalXP, level, prestige = 0, track = null) {
+    const currentLevelThreshold = this.getXPForLevel(level, prestige, track);
     return totalXP - currentLevelThreshold;
   }
 
-  getLevelProgress(totalXP, level, prestige = 0) {
-    if (level >= this.config.maxLevel) {
+  getLevelProgress(totalXP, level, prestige = 0, track = null) {
+    if (level >= this.getTrackConfig(this.resolveTrack(track)).maxLevel) {
       return {
         current: totalXP,
         required: totalXP,
@@ -430,8 +606,8 @@ export class LevelModule extends BaseModule {
       };
     }
     
-    const currentLevelXP = this.getXPForLevel(level, prestige);
-    const nextLevelXP = this.getXPForLevel(level + 1, prestige);
+    const currentLevelXP = this.getXPForLevel(level, prestige, track);
+    const nextLevelXP = this.getXPForLevel(level + 1, prestige, track);
     const currentProgress = totalXP - currentLevelXP;
     const required = nextLevelXP - currentLevelXP;
     
@@ -443,16 +619,18 @@ export class LevelModule extends BaseModule {
     };
   }
 
-  async getUserData(userId) {
+  async getUserData(userId, track = null) {
+    track = this.resolveTrack(track);
     const data = await this.storage.hget(
-      this.getStorageKey('users'),
+      this.getTrackKey('users', track),
       userId
     );
     
     if (!data) {
+      const config = this.getTrackConfig(track);
       return {
-        level: this.config.startingLevel,
-        totalXP: this.config.startingXP,
+        level: config.startingLevel,
+        totalXP: config.startingXP,
         currentLevelXP: 0,
         prestige: 0
       };
@@ -461,39 +639,101 @@ export class LevelModule extends BaseModule {
     return data;
   }
 
-  async getUserLevel(userId) {
-    const userData = await this.getUserData(userId);
+  async getUserLevel(userId, track = null) {
+    track = this.resolveTrack(track);
+    const config = this.getTrackConfig(track);
+    const userData = await this.getUserData(userId, track);
     const progress = this.getLevelProgress(
       userData.totalXP,
       userData.level,
-      userData.prestige
+      userData.prestige,
+      track
     );
     
     return {
       userId,
+      ...this.trackData(track),
       level: userData.level,
       totalXP: userData.totalXP,
       currentLevelXP: userData.currentLevelXP,
       prestige: userData.prestige,
       progress,
-      maxLevel: this.config.maxLevel,
-      canPrestige: this.config.prestigeEnabled && 
-                   userData.level >= this.config.maxLevel &&
-                   userData.prestige < this.config.prestigeMaxLevel
+      maxLevel: config.maxLevel,
+      canPrestige: config.prestigeEnabled && 
+                   userData.level >= config.maxLevel &&
+                   userData.prestige < config.prestigeMaxLevel
     };
   }
 
-  async getTopUsers(limit = 10, type = 'level') {
+  combineLevels(levels) {
+    switch (this.config.overallLevel) {
+      case 'sum':
+        return levels.reduce((sum, level) => sum + level, 0);
+      
+      case 'min':
+        return Math.min(...levels);
+      
+      default:
+        return Math.floor(levels.reduce((sum, level) => sum + level, 0) / levels.length);
+    }
+  }
+
+  async getOverallLevel(userId) {
+    validators.isUserId(userId);
+    
+    const tracks = {};
+    for (const track of this.getSkillTracks()) {
+      tracks[track] = (await this.getUserData(userId, track)).level;
+    }
+    
+    return {
+      userId,
+      level: this.combineLevels(Object.values(tracks)),
+      tracks
+    };
+  }
+
+  // Keeps the stored overall level and its leaderboard in step with the tracks
+  async updateOverallLevel(userId) {
+    if (!this.config.overallLevel) return;
+    
+    const { level, tracks } = await this.getOverallLevel(userId);
+    const startingLevel = this.combineLevels(
+      Object.keys(tracks).map(track => this.getTrackConfig(track).startingLevel)
+    );
+    const stored = await this.storage.hget(this.getStorageKey('overall'), userId);
+    const oldLevel = stored ?? startingLevel;
+    
+    await this.storage.hset(this.getStorageKey('overall'), userId, level);
+    await this.storage.zadd(this.getStorageKey('leaderboard:overall'), level, userId);
+    
+    if (level !== oldLevel) {
+      await this.emitEvent('overall.level.changed', {
+        userId,
+        oldLevel,
+        newLevel: level,
+        tracks
+      });
+    }
+  }
+
+  async getTopUsers(limit = 10, type = 'level', track = null) {
+    if (type === 'overall') {
+      const results = await this.storage.zrevrange(this.getStorageKey('leaderboard:overall'), 0, limit - 1, { withScores: true });
+      return results.map(({ member: userId, score }, i) => ({ rank: i + 1, userId, level: score, score }));
+    }
+    
+    track = this.resolveTrack(track);
     const key = type === 'prestige' ? 
-      this.getStorageKey('leaderboard:prestige') :
-      this.getStorageKey('leaderboard:xp');
+      this.getTrackKey('leaderboard:prestige', track) :
+      this.getTrackKey('leaderboard:xp', track);
     
     const results = await this.storage.zrevrange(key, 0, limit - 1, { withScores: true });
     
     const users = [];
     for (let i = 0; i < results.length; i++) {
       const { member: userId, score } = results[i];
-      const userData = await this.getUserData(userId);
+      const userData = await this.getUserData(userId, track);
       users.push({
         rank: i + 1,
         userId,
@@ -507,17 +747,18 @@ export class LevelModule extends BaseModule {
     return users;
   }
 
-  async getXPMultiplier(userId, reason) {
+  async getXPMultiplier(userId, reason, track = null) {
+    const { xpMultipliers = {} } = this.getTrackConfig(this.resolveTrack(track));
     let multiplier = 1;
     
     // Global multipliers
-    if (this.config.xpMultipliers.global) {
-      multiplier *= this.config.xpMultipliers.global;
+    if (xpMultipliers.global) {
+      multiplier *= xpMultipliers.global;
     }
     
     // Reason-specific multipliers
-    if (this.config.xpMultipliers[reason]) {
-      multiplier *= this.config.xpMultipliers[reason];
+    if (xpMultipliers[reason]) {
+      multiplier *= xpMultipliers[reason];
     }
     
     // User-specific multipliers
@@ -531,8 +772,14 @@ export class LevelModule extends BaseModule {
       multiplier *= userMultiplier.value;
     }
     
+    // Multipliers from running LiveOps campaigns
+    const liveOpsModule = this.getModule('liveops');
+    if (liveOpsModule) {
+      multiplier *= await liveOpsModule.getMultiplier(userId, 'xp', { reason });
+    }
+    
     // Prestige bonus
-    const userData = await this.getUserData(userId);
+    const userData = await this.getUserData(userId, track);
     if (userData.prestige > 0) {
       multiplier *= 1 + (userData.prestige * 0.1);
     }
@@ -565,31 +812,34 @@ export class LevelModule extends BaseModule {
     return { success: true, multiplier, duration, expires };
   }
 
-  async updateLeaderboards(userId, totalXP, level) {
+  async updateLeaderboards(userId, totalXP, level, track = null) {
     // Update XP leaderboard
     await this.storage.zadd(
-      this.getStorageKey('leaderboard:xp'),
+      this.getTrackKey('leaderboard:xp', track),
       totalXP,
       userId
     );
     
     // Update level leaderboard
     await this.storage.zadd(
-      this.getStorageKey('leaderboard:level'),
+      this.getTrackKey('leaderboard:level', track),
       level,
       userId
     );
   }
 
-  getLevelStructure() {
+  getLevelStructure(track = null) {
+    track = this.resolveTrack(track);
+    const { levelRewards } = this.getTrackConfig(track);
+    const thresholds = this.getThresholds(track);
     const structure = [];
     
-    for (const [level, xp] of this.thresholds) {
+    for (const [level, xp] of thresholds) {
       structure.push({
         level,
         totalXPRequired: xp,
-        xpFromPrevious: level > 1 ? xp - this.thresholds.get(level - 1) : 0,
-        rewards: this.config.levelRewards[level] || {}
+        xpFromPrevious: level > 1 ? xp - thresholds.get(level - 1) : 0,
+        rewards: levelRewards[level] || {}
       });
     }
     
@@ -610,6 +860,12 @@ export class LevelModule extends BaseModule {
       this.storage.zrevrank(this.getStorageKey('leaderboard:prestige'), userId)
     ]);
     
+    const namedTracks = this.getTracks().slice(1);
+    const tracks = {};
+    for (const track of namedTracks) {
+      tracks[track] = await this.getUserLevel(userId, track);
+    }
+    
     return {
       ...userData,
       rankings: {
@@ -618,27 +874,81 @@ export class LevelModule extends BaseModule {
         prestige: prestigeRank !== null ? prestigeRank + 1 : null
       },
       recentHistory: history.map(h => JSON.parse(h)),
-      nextLevelRewards: this.config.levelRewards[userData.level + 1] || {}
+      nextLevelRewards: this.config.levelRewards[userData.level + 1] || {},
+      ...(namedTracks.length > 0 && { tracks }),
+      ...(this.config.overallLevel && { overall: await this.getOverallLevel(userId) })
+    };
+  }
+
+  async exportUserData(userId) {
+    validators.isUserId(userId);
+
+    const history = await this.storage.lrange(this.getStorageKey(`history:${userId}`), 0, -1);
+
+    const namedTracks = this.getTracks().slice(1);
+    const tracks = {};
+    for (const track of namedTracks) {
+      const trackHistory = await this.storage.lrange(this.getTrackKey(`history:${userId}`, track), 0, -1);
+      tracks[track] = {
+        ...await this.getUserLevel(userId, track),
+        history: trackHistory.map(h => JSON.parse(h))
+      };
+    }
+
+    return {
+      ...await this.getUserLevel(userId),
+      multiplier: await this.storage.hget(this.getStorageKey('multipliers'), userId),
+      history: history.map(h => JSON.parse(h)),
+      ...(namedTracks.length > 0 && { tracks })
     };
   }
 
   async resetUser(userId) {
     await super.resetUser(userId);
     
-    // Delete user data
-    await this.storage.hdel(this.getStorageKey('users'), userId);
-    
-    // Delete history
-    await this.storage.delete(this.getStorageKey(`history:${userId}`));
+    for (const track of this.getTracks()) {
+      // Delete user data and the XP counter
+      await this.storage.hdel(this.getTrackKey('users', track), userId);
+      await this.storage.delete(this.getTrackKey(`xp:${userId}`, track));
+      
+      // Delete history
+      await this.storage.delete(this.getTrackKey(`history:${userId}`, track));
+      
+      // Remove from leaderboards
+      await this.storage.zrem(this.getTrackKey('leaderboard:xp', track), userId);
+      await this.storage.zrem(this.getTrackKey('leaderboard:level', track), userId);
+      await this.storage.zrem(this.getTrackKey('leaderboard:prestige', track), userId);
+    }
     
-    // Remove from leaderboards
-    await this.storage.zrem(this.getStorageKey('leaderboard:xp'), userId);
-    await this.storage.zrem(this.getStorageKey('leaderboard:level'), userId);
-    await this.storage.zrem(this.getStorageKey('leaderboard:prestige'), userId);
+    await this.storage.hdel(this.getStorageKey('overall'), userId);
+    await this.storage.zrem(this.getStorageKey('leaderboard:overall'), userId);
     
     // Remove multipliers
     await this.storage.hdel(this.getStorageKey('multipliers'), userId);
     
     await this.emitEvent('user.reset', { userId });
   }
-}
\ No newline at end of file
+
+  async getUserDataLocations(userId) {
+    const locations = [];
+    
+    for (const track of this.getTracks()) {
+      locations.push(
+        { key: this.getTrackKey('users', track), type: 'hash', member: userId },
+        { key: this.getTrackKey(`xp:${userId}`, track) },
+        { key: this.getTrackKey(`history:${userId}`, track) },
+        ...['xp', 'level', 'prestige'].map(board => ({
+          key: this.getTrackKey(`leaderboard:${board}`, track), type: 'zset', member: userId
+        }))
+      );
+    }
+    
+    locations.push(
+      { key: this.getStorageKey('overall'), type: 'hash', member: userId },
+      { key: this.getStorageKey('leaderboard:overall'), type: 'zset', member: userId },
+      { key: this.getStorageKey('multipliers'), type: 'hash', member: userId }
+    );
+    
+    return locations;
+  }
+}
@@ -0,0 +1,530 @@
+import crypto from 'crypto';
+import { BaseModule } from './BaseModule.js';
+import type { UserDataLocation } from '../types/storage.js';
+import { validators } from '../utils/validators.js';
+
+export type CampaignStatus = 'scheduled' | 'active' | 'ended' | 'cancelled';
+
+export type CampaignEffect =
+  | { type: 'multiplier'; source: 'points' | 'xp'; value: number; reasons: string[] | null; currency: string | null }
+  | { type: 'quest'; quest: Record<string, any>; autoAssign: boolean }
+  | { type: 'badge'; badge: Record<string, any> }
+  | { type: 'leaderboard'; leaderboard: Record<string, any>; source: 'points' | 'xp'; currency: string | null };
+
+export interface Campaign {
+  id: string;
+  name: string;
+  description: string;
+  startsAt: number;
+  endsAt: number;
+  segments: string[];
+  effects: CampaignEffect[];
+  metadata: Record<string, any>;
+  createdAt: number;
+  cancelledAt: number | null;
+}
+
+const EFFECT_TYPES = ['multiplier', 'quest', 'badge', 'leaderboard'];
+const SOURCES = ['points', 'xp'];
+
+export class LiveOpsModule extends BaseModule {
+  defaultConfig: Record<string, any>;
+  instanceId: string;
+  checkIntervalId: ReturnType<typeof setInterval> | null;
+
+  constructor(options: Record<string, any> = {}) {
+    super('liveops', options);
+
+    this.defaultConfig = {
+      // How often campaigns are checked for starting and ending
+      checkInterval: 60000,
+      // Seconds another instance waits before taking over a phase change whose runner died
+      phaseLease: 300
+    };
+
+    this.instanceId = crypto.randomBytes(8).toString('hex');
+    this.checkIntervalId = null;
+  }
+
+  async onInitialize(): Promise<void> {
+    this.config = { ...this.defaultConfig, ...this.config };
+
+    // Campaigns already running register their quests and badges on this instance
+    await this.processCampaigns();
+    this.startScheduler();
+  }
+
+  setupEventListeners(): void {
+    this.eventManager!.on('points.awarded', async (event: any) => {
+      const { userId, points, currency, defaultCurrency } = event.data;
+      await this.feedLeaderboards(userId, 'points', points, currency, defaultCurrency !== false);
+    });
+
+    this.eventManager!.on('levels.xp.gained', async (event: any) => {
+      const { userId, xp } = event.data;
+      await this.feedLeaderboards(userId, 'xp', xp, null, true);
+    });
+
+    // Campaign quests reach each targeted user on their first activity while the campaign runs
+    this.eventManager!.onWildcard('*', async (event: any) => {
+      const userId = event.data?.userId;
+      if (!userId || event.eventName.startsWith(`${this.name}.`) || event.eventName.startsWith('quests.')) return;
+      await this.assignCampaignQuests(userId);
+    });
+  }
+
+  async createCampaign(definition: Record<string, any>): Promise<Campaign & { status: CampaignStatus }> {
+    validators.hasProperties(definition, ['name', 'startsAt', 'endsAt'], 'campaign');
+    validators.isNonEmptyString(definition.name, 'campaign.name');
+
+    const startsAt = new Date(definition.startsAt);
+    const endsAt = new Date(definition.endsAt);
+    validators.isDate(startsAt, 'campaign.startsAt');
+    validators.isDate(endsAt, 'campaign.endsAt');
+    validators.isPositiveNumber(endsAt.getTime() - startsAt.getTime(), 'campaign duration');
+
+    if (endsAt.getTime() <= Date.now()) {
+      throw new Error('Campaign has already ended');
+    }
+
+    const segments = definition.segments || [];
+    validators.isArray(segments, 'campaign.segments');
+    segments.forEach((segment: any) => validators.isNonEmptyString(segment, 'campaign segment'));
+
+    const effects = definition.effects || [];
+    validators.isArray(effects, 'campaign.effects');
+
+    const campaignId = definition.id || `campaign_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+    validators.isNonEmptyString(campaignId, 'campaign.id');
+
+    if (await this.storage!.hget(this.getStorageKey('campaigns'), campaignId)) {
+      throw new Error(`Campaign already exists: ${campaignId}`);
+    }
+
+    const campaign: Campaign = {
+      id: campaignId,
+      name: definition.name,
+      description: definition.description || '',
+      startsAt: startsAt.getTime(),
+      endsAt: endsAt.getTime(),
+      segments,
+      effects: effects.map((effect: any) => this.normalizeEffect(effect)),
+      metadata: definition.metadata || {},
+      createdAt: Date.now(),
+      cancelledAt: null
+    };
+
+    await this.storage!.hset(this.getStorageKey('campaigns'), campaignId, campaign);
+    await this.emitEvent('campaign.created', { campaign });
+
+    this.logger!.info(`Campaign created: ${campaignId}`);
+
+    // A campaign that is already running starts right away instead of on the next check
+    await this.applyCampaign(campaign);
+
+    return this.withStatus(campaign);
+  }
+
+  async getCampaign(campaignId: string): Promise<(Campaign & { status: CampaignStatus }) | null> {
+    const campaign = await this.storage!.hget(this.getStorageKey('campaigns'), campaignId);
+    return campaign ? this.withStatus(campaign) : null;
+  }
+
+  async getCampaigns(): Promise<Array<Campaign & { status: CampaignStatus }>> {
+    const campaigns = await this.storage!.hgetall(this.getStorageKey('campaigns')) || {};
+    return Object.values(campaigns)
+      .map((campaign: Campaign) => this.withStatus(campaign))
+      .sort((a, b) => a.startsAt - b.startsAt);
+  }
+
+  /**
+   * Campaigns overlapping the window, earliest first. Without a window this is
+   * everything that is running or still to come.
+   */
+  async getCalendar(options: { from?: any; to?: any; includeCancelled?: boolean } = {}): Promise<Array<Campaign & { status: CampaignStatus }>> {
+    const from = new Date(options.from ?? Date.now());
+    const to = options.to !== undefined ? new Date(options.to) : null;
+    validators.isDate(from, 'from');
+    if (to) validators.isDate(to, 'to');
+
+    const campaigns = await this.getCampaigns();
+    return campaigns.filter(campaign =>
+      campaign.endsAt > from.getTime() &&
+      (!to || campaign.startsAt < to.getTime()) &&
+      (options.includeCancelled !== false || campaign.status !== 'cancelled')
+    );
+  }
+
+  async cancelCampaign(campaignId: string): Promise<any> {
+    const campaign = await this.getCampaign(campaignId);
+    if (!campaign) {
+      throw new Error(`Campaign not found: ${campaignId}`);
+    }
+
+    if (campaign.status === 'cancelled' || campaign.status === 'ended') {
+      return {
+        success: false,
+        reason: campaign.status === 'cancelled' ? 'already_cancelled' : 'already_ended'
+      };
+    }
+
+    const { status, ...stored } = campaign;
+    const cancelled: Campaign = { ...stored, cancelledAt: Date.now() };
+    await this.storage!.hset(this.getStorageKey('campaigns'), campaignId, cancelled);
+
+    // Effects of a running campaign are wound down now rather than at its scheduled end
+    await this.applyCampaign(cancelled);
+    await this.emitEvent('campaign.cancelled', { campaignId, wasActive: status === 'active' });
+
+    this.logger!.info(`Campaign cancelled: ${campaignId}`);
+
+    return { success: true, campaign: this.withStatus(cancelled) };
+  }
+
+  getCampaignStatus(campaign: Campaign, now: number = Date.now()): CampaignStatus {
+    if (campaign.cancelledAt) return 'cancelled';
+    if (now < campaign.startsAt) return 'scheduled';
+    if (now < campaign.endsAt) return 'active';
+    return 'ended';
+  }
+
+  async addToSegment(segment: string, userIds: string | string[]): Promise<number> {
+    validators.isNonEmptyString(segment, 'segment');
+    const members = Array.isArray(userIds) ? userIds : [userIds];
+    members.forEach(userId => validators.isUserId(userId));
+
+    return this.storage!.sadd(this.getStorageKey(`segments:${segment}`), members);
+  }
+
+  async removeFromSegment(segment: string, userIds: string | string[]): Promise<number> {
+    validators.isNonEmptyString(segment, 'segment');
+    return this.storage!.srem(this.getStorageKey(`segments:${segment}`), userIds);
+  }
+
+  async getSegmentMembers(segment: string): Promise<string[]> {
+    return this.storage!.smembers(this.getStorageKey(`segments:${segment}`));
+  }
+
+  /**
+   * Whether a campaign is running and its segments include the user. A campaign
+   * without segments targets everyone.
+   */
+  async isEligible(campaignId: string, userId: string): Promise<boolean> {
+    const campaign = await this.getCampaign(campaignId);
+    return !!campaign && campaign.status === 'active' && await this.isTargeted(campaign, userId);
+  }
+
+  /**
+   * The combined multiplier running campaigns apply to a user's points or XP
+   */
+  async getMultiplier(userId: string, source: 'points' | 'xp', options: { reason?: string; currency?: string | null } = {}): Promise<number> {
+    let multiplier = 1;
+
+    for (const campaign of await this.getActiveCampaigns()) {
+      const effects = campaign.effects.filter((effect): effect is Extract<CampaignEffect, { type: 'multiplier' }> =>
+        effect.type === 'multiplier' &&
+        effect.source === source &&
+        (!effect.reasons || (options.reason !== undefined && effect.reasons.includes(options.reason))) &&
+        (!effect.currency || effect.currency === options.currency)
+      );
+      if (effects.length === 0 || !await this.isTargeted(campaign, userId)) continue;
+
+      for (const effect of effects) {
+        multiplier *= effect.value;
+      }
+    }
+
+    return multiplier;
+  }
+
+  startScheduler(): void {
+    this.checkIntervalId = setInterval(() => {
+      this.forEachTenant(() => this.processCampaigns()).catch((error: any) => {
+        this.logger!.error('Failed to process campaigns', { error: error.message });
+      });
+    }, this.config.checkInterval);
+  }
+
+  async processCampaigns(): Promise<void> {
+    for (const campaign of await this.getCampaigns()) {
+      try {
+        await this.applyCampaign(campaign);
+      } catch (error) {
+        this.logger!.error(`Failed to process campaign ${campaign.id}`, { error });
+      }
+    }
+  }
+
+  async getUserStats(userId: string): Promise<any> {
+    const campaigns = [];
+    for (const campaign of await this.getActiveCampaigns()) {
+      if (await this.isTargeted(campaign, userId)) {
+        campaigns.push({ id: campaign.id, name: campaign.name, endsAt: campaign.endsAt });
+      }
+    }
+
+    return { campaigns };
+  }
+
+  async exportUserData(userId: string): Promise<any> {
+    const segments = [];
+    for (const key of await this.storage!.keys(this.getStorageKey('segments:*'))) {
+      if (await this.storage!.sismember(key, userId)) {
+        segments.push(key.slice(this.getStorageKey('segments:').length));
+      }
+    }
+
+    return { ...await this.getUserStats(userId), segments };
+  }
+
+  async resetUser(userId: string): Promise<void> {
+    await super.resetUser(userId);
+
+    for (const key of await this.storage!.keys(this.getStorageKey('segments:*'))) {
+      await this.storage!.srem(key, userId);
+    }
+    for (const key of await this.storage!.keys(this.getStorageKey('assigned:*'))) {
+      await this.storage!.srem(key, userId);
+    }
+
+    await this.emitEvent('user.reset', { userId });
+  }
+
+  async getUserDataLocations(userId: string): Promise<UserDataLocation[]> {
+    const locations: UserDataLocation[] = [];
+    for (const pattern of ['segments:*', 'assigned:*']) {
+      for (const key of await this.storage!.keys(this.getStorageKey(pattern))) {
+        locations.push({ key, type: 'set', member: userId });
+      }
+    }
+    return locations;
+  }
+
+  async shutdown(): Promise<void> {
+    if (this.checkIntervalId) {
+      clearInterval(this.checkIntervalId);
+      this.checkIntervalId = null;
+    }
+
+    await super.shutdown();
+  }
+
+  private normalizeEffect(effect: any): CampaignEffect {
+    validators.hasProperties(effect, ['type'], 'campaign effect');
+    validators.isInArray(effect.type, EFFECT_TYPES, 'campaign effect type');
+
+    switch (effect.type) {
+      case 'multiplier':
+        validators.isInArray(effect.source, SOURCES, 'multiplier effect source');
+        validators.isPositiveNumber(effect.value, 'multiplier effect value');
+        if (effect.reasons !== undefined) validators.isArray(effect.reasons, 'multiplier effect reasons');
+        return {
+          type: 'multiplier',
+          source: effect.source,
+          value: effect.value,
+          reasons: effect.reasons || null,
+          currency: effect.currency || null
+        };
+      case 'quest':
+        validators.hasProperties(effect.quest, ['id', 'name', 'objectives'], 'quest effect quest');
+        return { type: 'quest', quest: effect.quest, autoAssign: effect.autoAssign !== false };
+      case 'badge':
+        validators.hasProperties(effect.badge, ['id', 'name'], 'badge effect badge');
+        return { type: 'badge', badge: effect.badge };
+      default:
+        validators.hasProperties(effect.leaderboard, ['id', 'name'], 'leaderboard effect leaderboard');
+        validators.isInArray(effect.source || 'points', SOURCES, 'leaderboard effect source');
+        return {
+          type: 'leaderboard',
+          leaderboard: effect.leaderboard,
+          source: effect.source || 'points',
+          currency: effect.currency || null
+        };
+    }
+  }
+
+  private withStatus(campaign: Campaign): Campaign & { status: CampaignStatus } {
+    return { ...campaign, status: this.getCampaignStatus(campaign) };
+  }
+
+  private async getActiveCampaigns(): Promise<Campaign[]> {
+    const campaigns = await this.getCampaigns();
+    return campaigns.filter(campaign => campaign.status === 'active');
+  }
+
+  private async isTargeted(campaign: Campaign, userId: string): Promise<boolean> {
+    if (campaign.segments.length === 0) return true;
+
+    for (const segment of campaign.segments) {
+      if (await this.storage!.sismember(this.getStorageKey(`segments:${segment}`), userId)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Brings a campaign's effects in line with its status. Quest and badge definitions
+   * live in each instance's memory, so every instance registers and withdraws them;
+   * the one-off start and end work runs once across instances.
+   */
+  private async applyCampaign(campaign: Campaign): Promise<void> {
+    const status = this.getCampaignStatus(campaign);
+
+    if (status === 'active') {
+      this.registerDefinitions(campaign);
+      await this.runPhase(campaign, 'started');
+    } else if (status !== 'scheduled') {
+      this.withdrawDefinitions(campaign);
+      await this.runPhase(campaign, 'ended');
+    }
+  }
+
+  private registerDefinitions(campaign: Campaign): void {
+    const questModule: any = this.getModule('quests');
+    const badgeModule: any = this.getModule('badges');
+
+    for (const effect of campaign.effects) {
+      if (effect.type === 'quest' && questModule && !questModule.quests.has(effect.quest.id)) {
+        questModule.addQuest({ ...effect.quest, campaignId: campaign.id });
+      } else if (effect.type === 'badge' && badgeModule && !badgeModule.badges.has(effect.badge.id)) {
+        badgeModule.addBadge({ ...effect.badge, campaignId: campaign.id });
+      }
+    }
+  }
+
+  private withdrawDefinitions(campaign: Campaign): void {
+    const questModule: any = this.getModule('quests');
+    const badgeModule: any = this.getModule('badges');
+
+    // Disabled rather than removed, so completed quests and earned badges still resolve
+    for (const effect of campaign.effects) {
+      const definition = effect.type === 'quest'
+        ? questModule?.quests.get(effect.quest.id)
+        : effect.type === 'badge' ? badgeModule?.badges.get(effect.badge.id) : null;
+
+      if (definition && definition.campaignId === campaign.id) {
+        definition.enabled = false;
+      }
+    }
+  }
+
+  private async runPhase(campaign: Campaign, phase: 'started' | 'ended'): Promise<void> {
+    const phasesKey = this.getStorageKey('phases');
+    const current = await this.storage!.hget(phasesKey, campaign.id);
+
+    // A campaign cancelled or missed entirely before it started has nothing to wind down
+    if (current === phase || current === 'ended' || (phase === 'ended' && current !== 'started')) return;
+
+    // The lease expires on its own if this process dies, so a later check can finish the job
+    const lockKey = this.getStorageKey(`phase:${campaign.id}:lock`);
+    if (!await this.storage!.setnx(lockKey, this.instanceId, this.config.phaseLease)) return;
+
+    try {
+      // Another instance may have finished the phase between our read and the claim
+      if (await this.storage!.hget(phasesKey, campaign.id) !== current) return;
+
+      if (phase === 'started') {
+        await this.startCampaign(campaign);
+      } else {
+        await this.endCampaign(campaign);
+      }
+
+      await this.storage!.hset(phasesKey, campaign.id, phase);
+    } finally {
+      await this.storage!.delete(lockKey);
+    }
+  }
+
+  private async startCampaign(campaign: Campaign): Promise<void> {
+    const leaderboardModule: any = this.getModule('leaderboards');
+
+    for (const effect of campaign.effects) {
+      if (effect.type === 'leaderboard' && leaderboardModule) {
+        await leaderboardModule.createLeaderboard({
+          ...effect.leaderboard,
+          metadata: { ...effect.leaderboard.metadata, campaignId: campaign.id }
+        });
+      }
+    }
+
+    await this.emitEvent('campaign.started', { campaignId: campaign.id, campaign });
+    this.logger!.info(`Campaign started: ${campaign.id}`);
+  }
+
+  private async endCampaign(campaign: Campaign): Promise<void> {
+    const questModule: any = this.getModule('quests');
+    const leaderboardModule: any = this.getModule('leaderboards');
+    const assignedKey = this.getStorageKey(`assigned:${campaign.id}`);
+
+    // Temporary quests nobody finished in time are taken back
+    const questIds = campaign.effects.flatMap(effect => effect.type === 'quest' ? [effect.quest.id] : []);
+    if (questModule && questIds.length > 0) {
+      for (const userId of await this.storage!.smembers(assignedKey)) {
+        for (const questId of questIds) {
+          await questModule.expireQuest(userId, questId);
+        }
+      }
+    }
+    await this.storage!.delete(assignedKey);
+
+    for (const effect of campaign.effects) {
+      if (effect.type === 'leaderboard' && leaderboardModule) {
+        await leaderboardModule.archiveLeaderboard(effect.leaderboard.id);
+      }
+    }
+
+    await this.emitEvent('campaign.ended', { campaignId: campaign.id, cancelled: !!campaign.cancelledAt });
+    this.logger!.info(`Campaign ended: ${campaign.id}`);
+  }
+
+  private async assignCampaignQuests(userId: string): Promise<void> {
+    const questModule: any = this.getModule('quests');
+    if (!questModule) return;
+
+    for (const campaign of await this.getActiveCampaigns()) {
+      const questIds = campaign.effects.flatMap(effect =>
+        effect.type === 'quest' && effect.autoAssign ? [effect.quest.id] : []
+      );
+      if (questIds.length === 0 || !await this.isTargeted(campaign, userId)) continue;
+
+      // The set doubles as a claim, so concurrent events assign the quests once
+      const assignedKey = this.getStorageKey(`assigned:${campaign.id}`);
+      if (await this.storage!.sadd(assignedKey, userId) === 0) continue;
+
+      this.registerDefinitions(campaign);
+
+      let retry = false;
+      for (const questId of questIds) {
+        const result = await questModule.assignQuest(userId, questId);
+        if (!result.success && result.reason === 'max_active_quests') {
+          retry = true;
+        }
+      }
+
+      // A user with no free quest slot gets another try on their next activity
+      if (retry) {
+        await this.storage!.srem(assignedKey, userId);
+      }
+    }
+  }
+
+  private async feedLeaderboards(userId: string, source: string, amount: number, currency: string | null, defaultCurrency: boolean): Promise<void> {
+    const leaderboardModule: any = this.getModule('leaderboards');
+    if (!leaderboardModule || !amount) return;
+
+    for (const campaign of await this.getActiveCampaigns()) {
+      // Boards without a currency count the default one, so balances in different units don't mix
+      const effects = campaign.effects.filter(effect =>
+        effect.type === 'leaderboard' &&
+        effect.source === source &&
+        (effect.currency ? effect.currency === currency : defaultCurrency)
+      ) as Array<Extract<CampaignEffect, { type: 'leaderboard' }>>;
+      if (effects.length === 0 || !await this.isTargeted(campaign, userId)) continue;
+
+      for (const effect of effects) {
+        await leaderboardModule.updateScore(effect.leaderboard.id, userId, amount, true);
+      }
+    }
+  }
+}
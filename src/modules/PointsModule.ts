@@ -1,6 +1,10 @@
 import { BaseModule } from './BaseModule.js';
+import { TransactionAbortedError } from '../storage/StorageInterface.js';
 import { validators } from '../utils/validators.js';
 
+// Seconds a reversal holds its transaction
+const REVERSAL_CLAIM_TTL = 60;
+
 export class PointsModule extends BaseModule {
   constructor(options = {}) {
     super('points', options);
@@ -13,7 +17,9 @@ export class PointsModule extends BaseModule {
       decayDays: 30,
       decayPercentage: 10,
       multipliers: {},
-      minimumPoints: 0
+      minimumPoints: 0,
+      defaultCurrency: 'points',
+      currencies: {}
     };
     
     // Don't initialize config here - it's set by BaseModule
@@ -25,27 +31,66 @@ export class PointsModule extends BaseModule {
   async onInitialize() {
     this.config = { ...this.defaultConfig, ...this.config };
     
-    if (this.config.decayEnabled) {
+    if (this.getCurrencies().some(currency => this.getCurrencyConfig(currency).decayEnabled)) {
       this.startDecayJob();
     }
   }
 
+  getCurrencies() {
+    const { defaultCurrency, currencies = {} } = this.config;
+    return [defaultCurrency, ...Object.keys(currencies).filter(name => name !== defaultCurrency)];
+  }
+
+  resolveCurrency(currency) {
+    if (!currency) {
+      return this.config.defaultCurrency;
+    }
+
+    validators.isNonEmptyString(currency, 'currency');
+    if (currency !== this.config.defaultCurrency && !this.config.currencies?.[currency]) {
+      throw new Error(`Unknown currency: ${currency}`);
+    }
+
+    return currency;
+  }
+
+  getCurrencyConfig(currency) {
+    const overrides = this.config.currencies?.[currency] || {};
+
+    // The default currency keeps the top-level settings; other currencies
+    // start from the module defaults so limits and decay don't leak across
+    if (currency === this.config.defaultCurrency) {
+      return { ...this.config, ...overrides };
+    }
+
+    return { ...this.defaultConfig, ...overrides };
+  }
+
+  getCurrencyKey(suffix, currency) {
+    // Default currency keeps the original key layout for backwards compatibility
+    if (!currency || currency === this.config.defaultCurrency) {
+      return this.getStorageKey(suffix);
+    }
+
+    return this.getStorageKey(`currency:${currency}:${suffix}`);
+  }
+
   setupEventListeners() {
     if (!this.eventManager) return;
     
     // Listen for custom point events
     this.eventManager.on('points.award', async (event) => {
-      const { userId, points, reason } = event.data;
-      await this.award(userId, points, reason);
+      const { userId, points, reason, currency } = event.data;
+      await this.award(userId, points, reason, currency);
     });
 
     this.eventManager.on('points.deduct', async (event) => {
-      const { userId, points, reason } = event.data;
-      await this.deduct(userId, points, reason);
+      const { userId, points, reason, currency } = event.data;
+      await this.deduct(userId, points, reason, currency);
     });
   }
 
-  async award(userId, points, reason = 'manual') {
+  async award(userId, points, reason = 'manual', currency = null) {
     if (!userId) {
       throw new Error('User ID is required');
     }
@@ -55,17 +100,20 @@ export class PointsModule extends BaseModule {
       throw new Error('points must be a finite number');
     }
     
-    const now = Date.now();
-    const multiplier = await this.getActiveMultiplier(userId, reason);
+    currency = this.resolveCurrency(currency);
+    
+    const now = this.now();
+    const multiplier = await this.getActiveMultiplier(userId, reason, currency);
     const actualPoints = Math.floor(points * multiplier);
     
     // Check limits
-    const canAward = await this.checkLimits(userId, actualPoints);
+    const canAward = await this.checkLimits(userId, actualPoints, currency);
     if (!canAward.allowed) {
       this.logger.warn(`Points award blocked for user ${userId}: ${canAward.reason}`);
       await this.emitEvent('award.blocked', {
         userId,
         points: actualPoints,
+        currency,
         reason: canAward.reason
       });
       
@@ -86,37 +134,30 @@ export class PointsModule extends BaseModule {
       originalPoints: points,
       multiplier,
       reason,
+      currency,
       timestamp: now
     };
     
-    // Update user points
-    const newTotal = Number(await this.storage.hincrby(
-      this.getStorageKey('users'),
-      userId,
-      actualPoints
-    ));
-    
-    // Record transaction
-    await this.storage.lpush(
-      this.getStorageKey(`transactions:${userId}`),
-      JSON.stringify(transaction)
-    );
-    
-    // Update period totals
-    await this.updatePeriodTotals(userId, actualPoints);
-    
-    // Update leaderboards
-    await this.updateLeaderboards(userId, newTotal);
+    // Balance, history and period totals change together or not at all
+    const [total, , ...periodResults] = await this.storage.transaction([
+      { method: 'hincrby', args: [this.getCurrencyKey('users', currency), userId, actualPoints] },
+      { method: 'lpush', args: [this.getCurrencyKey(`transactions:${userId}`, currency), JSON.stringify(transaction)] },
+      ...this.periodTotalOperations(userId, actualPoints, currency)
+    ]);
+    const newTotal = Number(total);
+    await this.updateLeaderboards(userId, newTotal, currency, periodResults);
     
-    // Emit event
-    await this.emitEvent('awarded', {
+    // Emit event; whatever its listeners do is traced back to this transaction
+    await this.withCorrelation(transaction.id, () => this.emitEvent('awarded', {
       userId,
       points: actualPoints,
       total: newTotal,
+      currency,
+      defaultCurrency: currency === this.config.defaultCurrency,
       transaction
-    });
+    }));
     
-    this.logger.info(`Awarded ${actualPoints} points to user ${userId} (${reason})`);
+    this.logger.info(`Awarded ${actualPoints} ${currency} to user ${userId} (${reason})`);
     
     return {
       success: true,
@@ -126,35 +167,10 @@ export class PointsModule extends BaseModule {
     };
   }
 
-  async deduct(userId, points, reason = 'manual') {
+  async deduct(userId, points, reason = 'manual', currency = null) {
     validators.isUserId(userId);
     validators.isPositiveNumber(points, 'points');
-
-    // Fix HIGH-005: Use atomic decrement first, then check result to prevent race condition
-    // Instead of check-then-act, we do act-then-check-then-rollback
-    let newTotal = Number(await this.storage.hincrby(
-      this.getStorageKey('users'),
-      userId,
-      -points
-    ));
-
-    // Check if we went below minimum allowed (race condition safe check)
-    if (newTotal < this.config.minimumPoints) {
-      // Roll back the full deduction to restore original balance
-      const originalBalance = newTotal + points;
-      await this.storage.hincrby(
-        this.getStorageKey('users'),
-        userId,
-        points // Add back what we deducted
-      );
-
-      return {
-        success: false,
-        reason: 'insufficient_points',
-        current: originalBalance,
-        required: points
-      };
-    }
+    currency = this.resolveCurrency(currency);
 
     const transaction = {
       id: `txn_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`,
@@ -162,27 +178,50 @@ export class PointsModule extends BaseModule {
       type: 'deduct',
       points: -points,
       reason,
+      currency,
       timestamp: Date.now()
     };
 
-    // Record transaction
-    await this.storage.lpush(
-      this.getStorageKey(`transactions:${userId}`),
-      JSON.stringify(transaction)
-    );
+    // Fix HIGH-005: The balance may not drop below the minimum; the storage undoes the whole deduction if it would
+    // Deductions don't count toward period totals; adding nothing reads them for the leaderboards
+    let newTotal;
+    let periodResults;
+    try {
+      const [total, , ...results] = await this.storage.transaction([
+        {
+          method: 'hincrby',
+          args: [this.getCurrencyKey('users', currency), userId, -points],
+          min: this.getCurrencyConfig(currency).minimumPoints
+        },
+        { method: 'lpush', args: [this.getCurrencyKey(`transactions:${userId}`, currency), JSON.stringify(transaction)] },
+        ...this.periodTotalOperations(userId, 0, currency)
+      ]);
+      newTotal = Number(total);
+      periodResults = results;
+    } catch (error) {
+      if (!(error instanceof TransactionAbortedError)) throw error;
+
+      return {
+        success: false,
+        reason: 'insufficient_points',
+        current: error.result + points,
+        required: points
+      };
+    }
 
-    // Update leaderboards with corrected total
-    await this.updateLeaderboards(userId, newTotal);
+    await this.updateLeaderboards(userId, newTotal, currency, periodResults);
 
     // Emit event
     await this.emitEvent('deducted', {
       userId,
       points,
       total: newTotal,
+      currency,
+      defaultCurrency: currency === this.config.defaultCurrency,
       transaction
     });
 
-    this.logger.info(`Deducted ${points} points from user ${userId} (${reason})`);
+    this.logger.info(`Deducted ${points} ${currency} from user ${userId} (${reason})`);
 
     return {
       success: true,
@@ -192,19 +231,111 @@ export class PointsModule extends BaseModule {
     };
   }
 
-  async getPoints(userId) {
+  // Takes back an award, or pays back a deduction. The balance never drops below the
+  // minimum; the part of an award that can't be taken back is reported as the shortfall.
+  // Period totals are only corrected while the award's period is still running.
+  async reverseTransaction(userId, transactionId, reason = 'reversal', currency = null) {
+    validators.isUserId(userId);
+    currency = this.resolveCurrency(currency);
+
+    // Claimed before the history is read, so two calls can't both find the transaction
+    // unreversed; the claim lapses on its own if this process dies
+    const claimKey = this.getCurrencyKey(`reversing:${transactionId}`, currency);
+    const claimId = Math.random().toString(36).slice(2, 11);
+    if (!await this.storage.setnx(claimKey, claimId, REVERSAL_CLAIM_TTL)) {
+      return { success: false, reason: 'reversal_in_progress' };
+    }
+
+    try {
+      const historyKey = this.getCurrencyKey(`transactions:${userId}`, currency);
+      const transactions = (await this.storage.lrange(historyKey, 0, -1)).map(t => JSON.parse(t));
+      const original = transactions.find(t => t.id === transactionId);
+      if (!original) {
+        throw new Error(`Transaction not found: ${transactionId}`);
+      }
+
+      if (original.type !== 'award' && original.type !== 'deduct') {
+        return { success: false, reason: 'not_reversible' };
+      }
+
+      if (transactions.some(t => t.type === 'reversal' && t.reverses === transactionId)) {
+        return { success: false, reason: 'already_reversed' };
+      }
+
+      // Deductions never counted toward period totals, so paying one back only moves the balance
+      const refund = original.type === 'deduct';
+      const balance = await this.getPoints(userId, currency);
+      const points = refund
+        ? -original.points
+        : Math.max(0, Math.min(original.points, balance - this.getCurrencyConfig(currency).minimumPoints));
+      const delta = refund ? points : -points;
+      const transaction = {
+        id: `txn_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`,
+        userId,
+        type: 'reversal',
+        points: delta,
+        reverses: transactionId,
+        reason,
+        currency,
+        timestamp: Date.now()
+      };
+
+      const awardedAt = new Date(original.timestamp);
+      const periodPoints = {};
+      for (const period of ['daily', 'weekly', 'monthly']) {
+        const running = this.getPeriodKey(userId, period, currency, awardedAt) === this.getPeriodKey(userId, period, currency);
+        periodPoints[period] = !refund && running ? -points : 0;
+      }
+
+      const [total, , ...periodResults] = await this.storage.transaction([
+        { method: 'hincrby', args: [this.getCurrencyKey('users', currency), userId, delta] },
+        { method: 'lpush', args: [historyKey, JSON.stringify(transaction)] },
+        ...this.periodTotalOperations(userId, periodPoints, currency)
+      ]);
+      const newTotal = Number(total);
+      await this.updateLeaderboards(userId, newTotal, currency, periodResults);
+      const shortfall = refund ? 0 : original.points - points;
+
+      await this.emitEvent('reversed', {
+        userId,
+        points,
+        shortfall,
+        total: newTotal,
+        currency,
+        defaultCurrency: currency === this.config.defaultCurrency,
+        transaction
+      });
+
+      this.logger.info(`Reversed ${points} ${currency} of transaction ${transactionId} for user ${userId} (${reason})`);
+
+      return {
+        success: true,
+        points,
+        shortfall,
+        total: newTotal,
+        transaction
+      };
+    } finally {
+      if (await this.storage.get(claimKey) === claimId) {
+        await this.storage.delete(claimKey);
+      }
+    }
+  }
+
+  async getPoints(userId, currency = null) {
     validators.isUserId(userId);
+    currency = this.resolveCurrency(currency);
     
     const points = await this.storage.hget(
-      this.getStorageKey('users'),
+      this.getCurrencyKey('users', currency),
       userId
     );
     
     return Number(points) || 0;
   }
 
-  async getTopUsers(limit = 10, period = 'all-time') {
-    const leaderboardKey = this.getLeaderboardKey(period);
+  async getTopUsers(limit = 10, period = 'all-time', currency = null) {
+    const leaderboardKey = this.getLeaderboardKey(period, this.resolveCurrency(currency));
     const results = await this.storage.zrevrange(
       leaderboardKey,
       0,
@@ -234,10 +365,10 @@ export class PointsModule extends BaseModule {
     return users;
   }
 
-  async getUserRank(userId, period = 'all-time') {
+  async getUserRank(userId, period = 'all-time', currency = null) {
     validators.isUserId(userId);
     
-    const leaderboardKey = this.getLeaderboardKey(period);
+    const leaderboardKey = this.getLeaderboardKey(period, this.resolveCurrency(currency));
     const rank = await this.storage.zrevrank(leaderboardKey, userId);
     
     if (rank === null) return null;
@@ -251,11 +382,12 @@ export class PointsModule extends BaseModule {
     };
   }
 
-  async getTransactionHistory(userId, limit = 100) {
+  async getTransactionHistory(userId, limit = 100, currency = null) {
     validators.isUserId(userId);
+    currency = this.resolveCurrency(currency);
     
     const transactions = await this.storage.lrange(
-      this.getStorageKey(`transactions:${userId}`),
+      this.getCurrencyKey(`transactions:${userId}`, currency),
       0,
       limit - 1
     );
@@ -263,20 +395,20 @@ export class PointsModule extends BaseModule {
     return transactions.map(t => JSON.parse(t));
   }
 
-  async checkLimits(userId, points) {
-    const now = Date.now();
+  async checkLimits(userId, points, currency = null) {
+    const config = this.getCurrencyConfig(this.resolveCurrency(currency));
     const checks = [];
     
-    if (this.config.dailyLimit) {
-      checks.push(this.checkPeriodLimit(userId, points, 'daily', this.config.dailyLimit));
+    if (config.dailyLimit) {
+      checks.push(this.checkPeriodLimit(userId, points, 'daily', config.dailyLimit, currency));
     }
     
-    if (this.config.weeklyLimit) {
-      checks.push(this.checkPeriodLimit(userId, points, 'weekly', this.config.weeklyLimit));
+    if (config.weeklyLimit) {
+      checks.push(this.checkPeriodLimit(userId, points, 'weekly', config.weeklyLimit, currency));
     }
     
-    if (this.config.monthlyLimit) {
-      checks.push(this.checkPeriodLimit(userId, points, 'monthly', this.config.monthlyLimit));
+    if (config.monthlyLimit) {
+      checks.push(this.checkPeriodLimit(userId, points, 'monthly', config.monthlyLimit, currency));
     }
     
     const results = await Promise.all(checks);
@@ -285,8 +417,8 @@ export class PointsModule extends BaseModule {
     return blocked || { allowed: true };
   }
 
-  async checkPeriodLimit(userId, points, period, limit) {
-    const key = this.getPeriodKey(userId, period);
+  async checkPeriodLimit(userId, points, period, limit, currency = null) {
+    const key = this.getPeriodKey(userId, period, currency, new Date(this.now()));
     const current = Number(await this.storage.get(key)) || 0;
     
     if (current + points > limit) {
@@ -302,49 +434,60 @@ export class PointsModule extends BaseModule {
     return { allowed: true };
   }
 
-  async updatePeriodTotals(userId, points) {
-    const periods = ['daily', 'weekly', 'monthly'];
-    const now = new Date();
-    
-    for (const period of periods) {
-      const key = this.getPeriodKey(userId, period);
-      const ttl = this.getPeriodTTL(period, now);
-      
-      const newTotal = await this.storage.increment(key, points);
-      await this.storage.expire(key, ttl);
-    }
+  // Storage operations adding points to the user's daily, weekly and monthly totals, as one
+  // amount for every period or an amount per period. Each period's increment and expire
+  // come in that order, so the increment results are the new totals.
+  periodTotalOperations(userId, points, currency = null) {
+    const now = new Date(this.now());
+
+    return ['daily', 'weekly', 'monthly'].flatMap(period => {
+      const key = this.getPeriodKey(userId, period, currency, now);
+      return [
+        { method: 'increment', args: [key, typeof points === 'number' ? points : points[period]] },
+        { method: 'expire', args: [key, this.getPeriodTTL(period, now)] }
+      ];
+    });
   }
 
-  async updateLeaderboards(userId, totalPoints) {
-    // Fix BUG-011: Use period-specific points for periodic leaderboards
-    // Update all-time leaderboard with total points
-    await this.storage.zadd(this.getLeaderboardKey('all-time'), totalPoints, userId);
-
-    // Update period-specific leaderboards with period-specific points
-    const periods = ['daily', 'weekly', 'monthly'];
-    for (const period of periods) {
-      const periodKey = this.getPeriodKey(userId, period);
-      const periodPoints = Number(await this.storage.get(periodKey)) || 0;
-      const leaderboardKey = this.getLeaderboardKey(period);
-
-      await this.storage.zadd(leaderboardKey, periodPoints, userId);
-
-      const ttl = this.getPeriodTTL(period, new Date());
-      await this.storage.expire(leaderboardKey, ttl);
+  // Fix BUG-011: Period leaderboards rank period points. Boards are set to the totals they
+  // rank, taken from the transaction results, rather than moved by the same amount, so they
+  // can't drift from them. Users without points in a period are left off its board.
+  async updateLeaderboards(userId, total, currency, periodResults) {
+    const now = new Date(this.now());
+    const operations = [
+      { method: 'zadd', args: [this.getLeaderboardKey('all-time', currency), total, userId] }
+    ];
+
+    for (const [index, period] of ['daily', 'weekly', 'monthly'].entries()) {
+      const periodTotal = Number(periodResults[index * 2]);
+      const leaderboardKey = this.getLeaderboardKey(period, currency, now);
+
+      if (periodTotal > 0) {
+        operations.push(
+          { method: 'zadd', args: [leaderboardKey, periodTotal, userId] },
+          { method: 'expire', args: [leaderboardKey, this.getPeriodTTL(period, now)] }
+        );
+      } else {
+        operations.push({ method: 'zrem', args: [leaderboardKey, userId] });
+      }
     }
+
+    // Memory and SQLite run transactions in turn, so this lands after the one that produced the totals
+    await this.storage.transaction(operations);
   }
 
-  async getActiveMultiplier(userId, reason) {
+  async getActiveMultiplier(userId, reason, currency = null) {
+    const { multipliers } = this.getCurrencyConfig(this.resolveCurrency(currency));
     let multiplier = 1;
     
     // Global multipliers
-    if (this.config.multipliers && this.config.multipliers.global) {
-      multiplier *= Number(this.config.multipliers.global) || 1;
+    if (multipliers && multipliers.global) {
+      multiplier *= Number(multipliers.global) || 1;
     }
     
     // Reason-specific multipliers
-    if (this.config.multipliers && this.config.multipliers[reason]) {
-      const reasonMultiplier = this.config.multipliers[reason];
+    if (multipliers && multipliers[reason]) {
+      const reasonMultiplier = multipliers[reason];
       if (typeof reasonMultiplier === 'object' && reasonMultiplier.value) {
         multiplier *= Number(reasonMultiplier.value) || 1;
       } else {
@@ -357,61 +500,74 @@ export class PointsModule extends BaseModule {
     const dayOfWeek = now.getDay();
     
     // Check for weekend multiplier only in config
-    if (this.config.multipliers && this.config.multipliers.weekend && (dayOfWeek === 0 || dayOfWeek === 6)) {
-      multiplier *= Number(this.config.multipliers.weekend) || 1;
+    if (multipliers && multipliers.weekend && (dayOfWeek === 0 || dayOfWeek === 6)) {
+      multiplier *= Number(multipliers.weekend) || 1;
     }
     
-    // User-specific multipliers
+    // User-specific multipliers, stored with their expiry; plain numbers never expire
     const userMultiplier = await this.storage.hget(
-      this.getStorageKey('multipliers'),
+      this.getCurrencyKey('multipliers', currency),
       userId
     );
+    const { value, expires } = typeof userMultiplier === 'object' && userMultiplier !== null
+      ? userMultiplier
+      : { value: userMultiplier, expires: null };
     
-    if (userMultiplier && !isNaN(userMultiplier)) {
-      multiplier *= Number(userMultiplier);
+    if (value && !isNaN(value) && (!expires || expires > Date.now())) {
+      multiplier *= Number(value);
     }
     
     // Event-based multipliers
     const eventMultiplier = await this.storage.get(
-      this.getStorageKey('event-multiplier')
+      this.getCurrencyKey('event-multiplier', currency)
     );
     
     if (eventMultiplier && !isNaN(eventMultiplier)) {
       multiplier *= Number(eventMultiplier);
     }
     
+    // Multipliers from running LiveOps campaigns
+    const liveOpsModule = this.getModule('liveops');
+    if (liveOpsModule) {
+      multiplier *= await liveOpsModule.getMultiplier(userId, 'points', {
+        reason,
+        currency: this.resolveCurrency(currency)
+      });
+    }
+    
     return multiplier;
   }
 
-  async setUserMultiplier(userId, multiplier, duration) {
+  async setUserMultiplier(userId, multiplier, duration, currency = null) {
     validators.isUserId(userId);
     validators.isPositiveNumber(multiplier, 'multiplier');
+    currency = this.resolveCurrency(currency);
+    
+    // The multiplier shares a hash with other users', so its expiry is kept with the value
+    const expires = duration ? Date.now() + duration * 1000 : null;
     
     await this.storage.hset(
-      this.getStorageKey('multipliers'),
+      this.getCurrencyKey('multipliers', currency),
       userId,
-      multiplier
+      { value: multiplier, expires }
     );
     
-    if (duration) {
-      const key = `${this.getStorageKey('multipliers')}:${userId}`;
-      await this.storage.expire(key, duration);
-    }
-    
     await this.emitEvent('multiplier.set', {
       userId,
       multiplier,
-      duration
+      duration,
+      currency
     });
     
     return { success: true, multiplier, duration };
   }
 
-  async setEventMultiplier(multiplier, duration) {
+  async setEventMultiplier(multiplier, duration, currency = null) {
     validators.isPositiveNumber(multiplier, 'multiplier');
+    currency = this.resolveCurrency(currency);
     
     await this.storage.set(
-      this.getStorageKey('event-multiplier'),
+      this.getCurrencyKey('event-multiplier', currency),
       multiplier,
       duration
     );
@@ -419,14 +575,14 @@ export class PointsModule extends BaseModule {
     await this.emitEvent('multiplier.event', {
       multiplier,
       duration,
+      currency,
       expiresAt: Date.now() + duration * 1000
     });
     
     return { success: true, multiplier, duration };
   }
 
-  getPeriodKey(userId, period) {
-    const now = new Date();
+  getPeriodKey(userId, period, currency = null, now = new Date()) {
     let suffix;
     
     switch (period) {
@@ -442,16 +598,15 @@ export class PointsModule extends BaseModule {
         break;
     }
     
-    return this.getStorageKey(`period:${period}:${suffix}:${userId}`);
+    return this.getCurrencyKey(`period:${period}:${suffix}:${userId}`, currency);
   }
 
-  getLeaderboardKey(period) {
-    const now = new Date();
+  getLeaderboardKey(period, currency = null, now = new Date()) {
     let suffix;
     
     switch (period) {
       case 'all-time':
-        return this.getStorageKey('leaderboard:all-time');
+        return this.getCurrencyKey('leaderboard:all-time', currency);
       case 'daily':
         suffix = now.toISOString().split('T')[0];
         break;
@@ -464,7 +619,7 @@ export class PointsModule extends BaseModule {
         break;
     }
     
-    return this.getStorageKey(`leaderboard:${period}:${suffix}`);
+    return this.getCurrencyKey(`leaderboard:${period}:${suffix}`, currency);
   }
 
   getPeriodTTL(period, now) {
@@ -497,12 +652,12 @@ export class PointsModule extends BaseModule {
     // Fix BUG-001: Store timer IDs to allow proper cleanup during shutdown
     // Run decay check daily
     this.decayIntervalId = setInterval(async () => {
-      await this.processDecay();
+      await this.forEachTenant(() => this.processDecay());
     }, 24 * 60 * 60 * 1000);
 
     // Run initial check after a delay
     this.decayTimeoutId = setTimeout(async () => {
-      await this.processDecay();
+      await this.forEachTenant(() => this.processDecay());
     }, 60000);
   }
 
@@ -519,18 +674,29 @@ export class PointsModule extends BaseModule {
     await super.shutdown();
   }
 
-  async processDecay() {
-    this.logger.info('Processing point decay...');
+  async processDecay(currency = null) {
+    const currencies = currency
+      ? [this.resolveCurrency(currency)]
+      : this.getCurrencies().filter(name => this.getCurrencyConfig(name).decayEnabled);
+    
+    for (const name of currencies) {
+      await this.processCurrencyDecay(name);
+    }
+  }
+
+  async processCurrencyDecay(currency) {
+    this.logger.info(`Processing ${currency} decay...`);
     
-    const cutoffDate = Date.now() - (this.config.decayDays * 24 * 60 * 60 * 1000);
-    const users = await this.storage.hgetall(this.getStorageKey('users'));
+    const config = this.getCurrencyConfig(currency);
+    const cutoffDate = Date.now() - (config.decayDays * 24 * 60 * 60 * 1000);
+    const users = await this.storage.hgetall(this.getCurrencyKey('users', currency));
     
     for (const [userId, points] of Object.entries(users)) {
-      if (points <= this.config.minimumPoints) continue;
+      if (points <= config.minimumPoints) continue;
       
       // Check last activity
       const lastTransaction = await this.storage.lrange(
-        this.getStorageKey(`transactions:${userId}`),
+        this.getCurrencyKey(`transactions:${userId}`, currency),
         0,
         0
       );
@@ -540,17 +706,32 @@ export class PointsModule extends BaseModule {
       const transaction = JSON.parse(lastTransaction[0]);
       
       if (transaction.timestamp < cutoffDate) {
-        const decayAmount = Math.floor(points * (this.config.decayPercentage / 100));
+        const decayAmount = Math.floor(points * (config.decayPercentage / 100));
         
         if (decayAmount > 0) {
-          await this.deduct(userId, decayAmount, 'decay');
-          this.logger.info(`Decayed ${decayAmount} points from user ${userId}`);
+          await this.deduct(userId, decayAmount, 'decay', currency);
+          this.logger.info(`Decayed ${decayAmount} ${currency} from user ${userId}`);
         }
       }
     }
   }
 
   async getUserStats(userId) {
+    const currencies = {};
+    for (const currency of this.getCurrencies()) {
+      currencies[currency] = await this.getCurrencyStats(userId, currency);
+    }
+    
+    return {
+      ...currencies[this.config.defaultCurrency],
+      currencies
+    };
+  }
+
+  async getCurrencyStats(userId, currency = null) {
+    currency = this.resolveCurrency(currency);
+    const config = this.getCurrencyConfig(currency);
+    
     const [
       total,
       dailyPoints,
@@ -559,12 +740,12 @@ export class PointsModule extends BaseModule {
       rank,
       transactions
     ] = await Promise.all([
-      this.getPoints(userId),
-      this.storage.get(this.getPeriodKey(userId, 'daily')).then(v => Number(v) || 0),
-      this.storage.get(this.getPeriodKey(userId, 'weekly')).then(v => Number(v) || 0),
-      this.storage.get(this.getPeriodKey(userId, 'monthly')).then(v => Number(v) || 0),
-      this.getUserRank(userId),
-      this.getTransactionHistory(userId, 10)
+      this.getPoints(userId, currency),
+      this.storage.get(this.getPeriodKey(userId, 'daily', currency)).then(v => Number(v) || 0),
+      this.storage.get(this.getPeriodKey(userId, 'weekly', currency)).then(v => Number(v) || 0),
+      this.storage.get(this.getPeriodKey(userId, 'monthly', currency)).then(v => Number(v) || 0),
+      this.getUserRank(userId, 'all-time', currency),
+      this.getTransactionHistory(userId, 10, currency)
     ]);
     
     return {
@@ -576,48 +757,95 @@ export class PointsModule extends BaseModule {
       recentTransactions: transactions,
       limits: {
         daily: {
-          limit: this.config.dailyLimit,
+          limit: config.dailyLimit,
           used: dailyPoints,
-          remaining: this.config.dailyLimit ? Math.max(0, this.config.dailyLimit - dailyPoints) : null
+          remaining: config.dailyLimit ? Math.max(0, config.dailyLimit - dailyPoints) : null
         },
         weekly: {
-          limit: this.config.weeklyLimit,
+          limit: config.weeklyLimit,
           used: weeklyPoints,
-          remaining: this.config.weeklyLimit ? Math.max(0, this.config.weeklyLimit - weeklyPoints) : null
+          remaining: config.weeklyLimit ? Math.max(0, config.weeklyLimit - weeklyPoints) : null
         },
         monthly: {
-          limit: this.config.monthlyLimit,
+          limit: config.monthlyLimit,
           used: monthlyPoints,
-          remaining: this.config.monthlyLimit ? Math.max(0, this.config.monthlyLimit - monthlyPoints) : null
+          remaining: config.monthlyLimit ? Math.max(0, config.monthlyLimit - monthlyPoints) : null
         }
       }
     };
   }
 
+  async exportUserData(userId) {
+    validators.isUserId(userId);
+
+    const currencies = {};
+    for (const currency of this.getCurrencies()) {
+      const transactions = await this.storage.lrange(
+        this.getCurrencyKey(`transactions:${userId}`, currency),
+        0,
+        -1
+      );
+
+      currencies[currency] = {
+        balance: await this.getPoints(userId, currency),
+        daily: Number(await this.storage.get(this.getPeriodKey(userId, 'daily', currency))) || 0,
+        weekly: Number(await this.storage.get(this.getPeriodKey(userId, 'weekly', currency))) || 0,
+        monthly: Number(await this.storage.get(this.getPeriodKey(userId, 'monthly', currency))) || 0,
+        multiplier: await this.storage.hget(this.getCurrencyKey('multipliers', currency), userId),
+        transactions: transactions.map(t => JSON.parse(t))
+      };
+    }
+
+    return { currencies };
+  }
+
   async resetUser(userId) {
     await super.resetUser(userId);
     
-    // Delete user points
-    await this.storage.hdel(this.getStorageKey('users'), userId);
-    
-    // Delete transactions
-    await this.storage.delete(this.getStorageKey(`transactions:${userId}`));
-    
-    // Remove from leaderboards
-    const leaderboards = await this.storage.keys(this.getStorageKey('leaderboard:*'));
-    for (const key of leaderboards) {
-      await this.storage.zrem(key, userId);
+    for (const currency of this.getCurrencies()) {
+      // Delete user points
+      await this.storage.hdel(this.getCurrencyKey('users', currency), userId);
+      
+      // Delete transactions
+      await this.storage.delete(this.getCurrencyKey(`transactions:${userId}`, currency));
+      
+      // Remove from leaderboards
+      const leaderboards = await this.storage.keys(this.getCurrencyKey('leaderboard:*', currency));
+      for (const key of leaderboards) {
+        await this.storage.zrem(key, userId);
+      }
+      
+      // Remove multipliers
+      await this.storage.hdel(this.getCurrencyKey('multipliers', currency), userId);
+      
+      // Clear period totals
+      const periodKeys = await this.storage.keys(this.getCurrencyKey(`period:*:${userId}`, currency));
+      for (const key of periodKeys) {
+        await this.storage.delete(key);
+      }
     }
     
-    // Remove multipliers
-    await this.storage.hdel(this.getStorageKey('multipliers'), userId);
+    await this.emitEvent('user.reset', { userId });
+  }
+
+  async getUserDataLocations(userId) {
+    const locations = [];
     
-    // Clear period totals
-    const periodKeys = await this.storage.keys(this.getStorageKey(`period:*:${userId}`));
-    for (const key of periodKeys) {
-      await this.storage.delete(key);
+    for (const currency of this.getCurrencies()) {
+      locations.push(
+        { key: this.getCurrencyKey('users', currency), type: 'hash', member: userId },
+        { key: this.getCurrencyKey(`transactions:${userId}`, currency) },
+        { key: this.getCurrencyKey('multipliers', currency), type: 'hash', member: userId }
+      );
+      
+      for (const key of await this.storage.keys(this.getCurrencyKey('leaderboard:*', currency))) {
+        locations.push({ key, type: 'zset', member: userId });
+      }
+      for (const key of await this.storage.keys(this.getCurrencyKey(`period:*:${userId}`, currency))) {
+        locations.push({ key });
+      }
     }
     
-    await this.emitEvent('user.reset', { userId });
+    return locations;
   }
-}
\ No newline at end of file
+}
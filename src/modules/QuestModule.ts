@@ -1,5 +1,7 @@
 import { BaseModule } from './BaseModule.js';
 import { validators } from '../utils/validators.js';
+import { eventConditions } from '../utils/eventConditions.js';
+import { TenantMap } from '../core/TenantManager.js';
 
 export class QuestModule extends BaseModule {
   constructor(options = {}) {
@@ -14,8 +16,8 @@ export class QuestModule extends BaseModule {
       categories: ['daily', 'weekly', 'special', 'achievement']
     };
     
-    this.quests = new Map();
-    this.questChains = new Map();
+    this.quests = new TenantMap();
+    this.questChains = new TenantMap();
     this.rotationInterval = null;
     this.initialRotationTimeout = null; // Fix BUG-045: Store initial timeout reference
   }
@@ -65,6 +67,7 @@ export class QuestModule extends BaseModule {
       metadata: quest.metadata || {},
       enabled: quest.enabled !== false,
       priority: quest.priority || 0,
+      campaignId: quest.campaignId || null,
       createdAt: Date.now()
     };
     
@@ -89,7 +92,7 @@ export class QuestModule extends BaseModule {
       type: obj.type || 'event',
       target: obj.target || 1,
       event: obj.event || null,
-      conditions: obj.conditions || {},
+      conditions: eventConditions.normalize(obj.conditions, 'objective conditions'),
       progress: 0,
       completed: false
     }));
@@ -123,6 +126,15 @@ export class QuestModule extends BaseModule {
       };
     }
     
+    // Campaign quests are only open to the campaign's segments while it runs
+    const liveOpsModule = quest.campaignId ? this.getModule('liveops') : null;
+    if (liveOpsModule && !(await liveOpsModule.isEligible(quest.campaignId, userId))) {
+      return {
+        success: false,
+        reason: 'not_eligible'
+      };
+    }
+    
     // Check if already assigned
     const userQuests = await this.getUserQuests(userId);
     const existing = userQuests.find(q => q.questId === questId);
@@ -502,7 +514,7 @@ export class QuestModule extends BaseModule {
       for (const objective of assignment.objectives) {
         if (objective.completed) continue;
         
-        if (this.matchesObjective(event, objective)) {
+        if (await this.matchesObjective(event, objective)) {
           await this.updateObjectiveProgress(
             userId,
             assignment.questId,
@@ -514,7 +526,7 @@ export class QuestModule extends BaseModule {
     }
   }
 
-  matchesObjective(event, objective) {
+  async matchesObjective(event, objective) {
     if (objective.type !== 'event') return false;
     
     // Check event name
@@ -528,35 +540,20 @@ export class QuestModule extends BaseModule {
       }
     }
     
-    // Check conditions
-    if (objective.conditions) {
-      for (const [field, condition] of Object.entries(objective.conditions)) {
-        const value = this.getNestedValue(event.data, field);
-        
-        if (!this.evaluateCondition(value, condition)) {
-          return false;
-        }
-      }
-    }
-    
-    return true;
-  }
-
-  getNestedValue(obj, path) {
-    return path.split('.').reduce((current, key) => current?.[key], obj);
+    // Assignments stored before conditions were condition trees still hold field maps
+    return await this.matchesConditions(
+      eventConditions.normalize(objective.conditions, 'objective conditions'),
+      event
+    );
   }
 
+  // Checks a single value against an old-style field condition such as `{ min: 10 }`
   evaluateCondition(value, condition) {
-    if (typeof condition === 'object') {
-      if (condition.equals !== undefined) return value === condition.equals;
-      if (condition.min !== undefined && value < condition.min) return false;
-      if (condition.max !== undefined && value > condition.max) return false;
-      if (condition.in !== undefined) return condition.in.includes(value);
-    } else {
-      return value === condition;
-    }
+    const tree = eventConditions.normalize({ value: condition }, 'condition');
+    if (!tree) return true;
     
-    return true;
+    const ruleEngine = this.getRuleEngine();
+    return tree.all.every(leaf => ruleEngine.evaluateCondition(leaf, { value }));
   }
 
   async getQuestAssignment(userId, questId) {
@@ -689,11 +686,11 @@ export class QuestModule extends BaseModule {
     // Fix BUG-045: Store initial timeout reference for cleanup
     // Schedule first rotation
     this.initialRotationTimeout = setTimeout(() => {
-      this.rotateDailyQuests();
+      this.forEachTenant(() => this.rotateDailyQuests());
 
       // Schedule recurring rotations
       this.rotationInterval = setInterval(() => {
-        this.rotateDailyQuests();
+        this.forEachTenant(() => this.rotateDailyQuests());
       }, 24 * 60 * 60 * 1000);
     }, timeUntilRotation);
   }
@@ -779,6 +776,18 @@ export class QuestModule extends BaseModule {
     return assignments.length;
   }
 
+  async exportUserData(userId) {
+    validators.isUserId(userId);
+
+    const completed = await this.storage.lrange(this.getStorageKey(`completed:${userId}`), 0, -1);
+
+    return {
+      assignments: await this.getUserQuests(userId),
+      completed: completed.map(c => JSON.parse(c)),
+      totalCompleted: Number(await this.storage.hget(this.getStorageKey('stats'), `${userId}:completed`)) || 0
+    };
+  }
+
   async resetUser(userId) {
     await super.resetUser(userId);
     
@@ -821,6 +830,28 @@ export class QuestModule extends BaseModule {
     await this.emitEvent('user.reset', { userId });
   }
 
+  async getUserDataLocations(userId) {
+    const locations = [
+      { key: this.getStorageKey(`assignments:${userId}`) },
+      { key: this.getStorageKey(`completed:${userId}`) },
+      { key: this.getStorageKey('stats'), type: 'hash', member: `${userId}:completed` }
+    ];
+    
+    for (const key of await this.storage.keys(this.getStorageKey(`daily:${userId}:*`))) {
+      locations.push({ key });
+    }
+    
+    const completionsKey = this.getStorageKey('completions');
+    const allCompletions = await this.storage.hgetall(completionsKey) || {};
+    for (const field of Object.keys(allCompletions)) {
+      if (field.startsWith(`${userId}:`)) {
+        locations.push({ key: completionsKey, type: 'hash', member: field });
+      }
+    }
+    
+    return locations;
+  }
+
   async shutdown() {
     // Fix BUG-045: Clear initial timeout on shutdown
     if (this.initialRotationTimeout) {
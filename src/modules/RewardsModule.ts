@@ -0,0 +1,430 @@
+import { BaseModule } from './BaseModule.js';
+import type { UserDataLocation } from '../types/storage.js';
+import { validators } from '../utils/validators.js';
+import { TenantMap } from '../core/TenantManager.js';
+
+export interface CatalogReward {
+  id: string;
+  name: string;
+  description: string;
+  category: string;
+  price: number;
+  currency: string | null;
+  stock: number | null;
+  perUserLimit: number | null;
+  availableFrom: number | null;
+  availableUntil: number | null;
+  enabled: boolean;
+  metadata: Record<string, any>;
+  createdAt: number;
+}
+
+export interface RewardOrder {
+  id: string;
+  userId: string;
+  rewardId: string;
+  quantity: number;
+  price: number;
+  currency: string | null;
+  total: number;
+  transactionId: string | null;
+  status: 'completed';
+  metadata: Record<string, any>;
+  timestamp: number;
+}
+
+export class RewardsModule extends BaseModule {
+  rewards: Map<string, CatalogReward>;
+  defaultConfig: Record<string, any>;
+  // Stock counters still being seeded for rewards added after initialization
+  private stockSeeding: Map<string, Promise<void>>;
+
+  constructor(rewards: any[] = [], options: Record<string, any> = {}) {
+    super('rewards', options);
+
+    this.rewards = new TenantMap();
+    this.stockSeeding = new Map();
+
+    this.defaultConfig = {
+      pointsModule: 'points',
+      maxQuantity: 100,
+      orderHistoryLimit: 1000
+    };
+
+    if (Array.isArray(rewards)) {
+      rewards.forEach(reward => this.addReward(reward));
+    }
+  }
+
+  async onInitialize(): Promise<void> {
+    this.config = { ...this.defaultConfig, ...this.config };
+
+    // Seed stock counters for rewards registered before the storage was available
+    for (const reward of this.rewards.values()) {
+      await this.initializeStock(reward);
+    }
+  }
+
+  addReward(reward: any): CatalogReward {
+    validators.hasProperties(reward, ['id', 'name', 'price'], 'reward');
+    validators.isNonEmptyString(reward.id, 'reward.id');
+    validators.isPositiveNumber(reward.price, 'reward.price');
+
+    if (reward.stock !== undefined && reward.stock !== null) {
+      validators.isInteger(reward.stock, 'reward.stock');
+      validators.isInRange(reward.stock, 0, Number.MAX_SAFE_INTEGER, 'reward.stock');
+    }
+
+    if (reward.perUserLimit !== undefined && reward.perUserLimit !== null) {
+      validators.isInteger(reward.perUserLimit, 'reward.perUserLimit');
+      validators.isPositiveNumber(reward.perUserLimit, 'reward.perUserLimit');
+    }
+
+    const processedReward: CatalogReward = {
+      id: reward.id,
+      name: reward.name,
+      description: reward.description || '',
+      category: reward.category || 'general',
+      price: reward.price,
+      currency: reward.currency || null,
+      stock: reward.stock ?? null,
+      perUserLimit: reward.perUserLimit ?? null,
+      availableFrom: reward.availableFrom ? new Date(reward.availableFrom).getTime() : null,
+      availableUntil: reward.availableUntil ? new Date(reward.availableUntil).getTime() : null,
+      enabled: reward.enabled !== false,
+      metadata: reward.metadata || {},
+      createdAt: Date.now()
+    };
+
+    this.rewards.set(processedReward.id, processedReward);
+
+    if (this.storage) {
+      const seeding = this.initializeStock(processedReward).catch(error => {
+        this.logger?.error(`Failed to initialize stock for reward ${processedReward.id}`, { error });
+      });
+      this.stockSeeding.set(processedReward.id, seeding);
+      seeding.then(() => {
+        if (this.stockSeeding.get(processedReward.id) === seeding) this.stockSeeding.delete(processedReward.id);
+      });
+    }
+
+    this.logger?.debug(`Reward added: ${processedReward.id}`);
+
+    return processedReward;
+  }
+
+  removeReward(rewardId: string): boolean {
+    const removed = this.rewards.delete(rewardId);
+    if (removed) {
+      this.logger?.debug(`Reward removed: ${rewardId}`);
+    }
+    return removed;
+  }
+
+  async initializeStock(reward: CatalogReward): Promise<void> {
+    if (reward.stock === null) return;
+
+    // Only seed the counter once so restarts don't refill stock that was already sold
+    const stockKey = this.getStorageKey(`stock:${reward.id}`);
+    if (!await this.storage!.exists(stockKey)) {
+      await this.storage!.set(stockKey, reward.stock);
+    }
+  }
+
+  async getStock(rewardId: string): Promise<number | null> {
+    const reward = this.rewards.get(rewardId);
+    if (!reward) {
+      throw new Error(`Reward not found: ${rewardId}`);
+    }
+
+    if (reward.stock === null) return null;
+
+    await this.stockSeeding.get(rewardId);
+    const stock = await this.storage!.get(this.getStorageKey(`stock:${rewardId}`));
+    return Number(stock ?? reward.stock);
+  }
+
+  async restock(rewardId: string, quantity: number): Promise<number> {
+    validators.isInteger(quantity, 'quantity');
+    validators.isPositiveNumber(quantity, 'quantity');
+
+    const reward = this.rewards.get(rewardId);
+    if (!reward) {
+      throw new Error(`Reward not found: ${rewardId}`);
+    }
+
+    if (reward.stock === null) {
+      throw new Error(`Reward has unlimited stock: ${rewardId}`);
+    }
+
+    const stock = await this.storage!.increment(this.getStorageKey(`stock:${rewardId}`), quantity);
+
+    await this.emitEvent('restocked', { rewardId, quantity, stock });
+
+    return stock;
+  }
+
+  isAvailable(reward: CatalogReward, now: number = Date.now()): boolean {
+    if (!reward.enabled) return false;
+    if (reward.availableFrom !== null && now < reward.availableFrom) return false;
+    if (reward.availableUntil !== null && now > reward.availableUntil) return false;
+    return true;
+  }
+
+  async getCatalog(options: { includeUnavailable?: boolean; category?: string } = {}): Promise<any[]> {
+    const { includeUnavailable = false, category } = options;
+    const now = Date.now();
+    const catalog: any[] = [];
+
+    for (const reward of this.rewards.values()) {
+      if (category && reward.category !== category) continue;
+
+      const available = this.isAvailable(reward, now);
+      if (!available && !includeUnavailable) continue;
+
+      catalog.push({
+        ...reward,
+        available,
+        remaining: await this.getStock(reward.id)
+      });
+    }
+
+    return catalog;
+  }
+
+  async redeem(userId: string, rewardId: string, quantity: number = 1, metadata: Record<string, any> = {}): Promise<any> {
+    validators.isUserId(userId);
+    validators.isInteger(quantity, 'quantity');
+    validators.isInRange(quantity, 1, this.config.maxQuantity, 'quantity');
+
+    const reward = this.rewards.get(rewardId);
+    if (!reward) {
+      throw new Error(`Reward not found: ${rewardId}`);
+    }
+
+    if (!this.isAvailable(reward)) {
+      return {
+        success: false,
+        reason: reward.enabled ? 'not_available' : 'reward_disabled'
+      };
+    }
+
+    const pointsModule: any = this.getModule(this.config.pointsModule);
+    if (!pointsModule) {
+      throw new Error('Points module is required for redemption');
+    }
+
+    const total = reward.price * quantity;
+    const purchasesKey = this.getStorageKey(`purchases:${userId}`);
+    const stockKey = this.getStorageKey(`stock:${rewardId}`);
+    const rollbacks: Array<() => Promise<any>> = [];
+
+    const rollback = async (): Promise<void> => {
+      for (const undo of rollbacks.reverse()) {
+        try {
+          await undo();
+        } catch (error: any) {
+          this.logger!.error(`Failed to roll back redemption of ${rewardId} for user ${userId}`, { error });
+        }
+      }
+    };
+
+    // A reward added moments ago may not have its stock counter yet
+    await this.stockSeeding.get(rewardId);
+
+    try {
+      // Reserve the per-user allowance and the stock atomically (act-then-check-then-rollback)
+      if (reward.perUserLimit !== null) {
+        const purchased = await this.storage!.hincrby(purchasesKey, rewardId, quantity);
+        rollbacks.push(() => this.storage!.hincrby(purchasesKey, rewardId, -quantity));
+
+        if (purchased > reward.perUserLimit) {
+          await rollback();
+          return {
+            success: false,
+            reason: 'limit_reached',
+            limit: reward.perUserLimit,
+            current: purchased - quantity
+          };
+        }
+      }
+
+      if (reward.stock !== null) {
+        const remaining = await this.storage!.decrement(stockKey, quantity);
+        rollbacks.push(() => this.storage!.increment(stockKey, quantity));
+
+        if (remaining < 0) {
+          await rollback();
+          return {
+            success: false,
+            reason: 'out_of_stock',
+            remaining: remaining + quantity
+          };
+        }
+      }
+
+      const deduction = await pointsModule.deduct(userId, total, `reward:${rewardId}`, reward.currency);
+      if (!deduction || !deduction.success) {
+        await rollback();
+        return {
+          success: false,
+          reason: deduction?.reason || 'deduction_failed',
+          current: deduction?.current,
+          required: total
+        };
+      }
+
+      const order: RewardOrder = {
+        id: `ord_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`,
+        userId,
+        rewardId,
+        quantity,
+        price: reward.price,
+        currency: deduction.transaction?.currency || reward.currency,
+        total,
+        transactionId: deduction.transaction?.id || null,
+        status: 'completed',
+        metadata,
+        timestamp: Date.now()
+      };
+
+      // The points are paid back if the order can't be recorded
+      if (deduction.transaction?.id) {
+        rollbacks.push(() => pointsModule.reverseTransaction(userId, deduction.transaction.id, `refund:${rewardId}`, reward.currency));
+      }
+
+      const ordersKey = this.getStorageKey(`orders:${userId}`);
+      await this.storage!.transaction([
+        { method: 'hincrby', args: [this.getStorageKey(`inventory:${userId}`), rewardId, quantity] },
+        { method: 'lpush', args: [ordersKey, JSON.stringify(order)] },
+        { method: 'hincrby', args: [this.getStorageKey('stats'), rewardId, quantity] }
+      ]);
+
+      // The redemption stands from here on; nothing below undoes it
+      rollbacks.length = 0;
+      await this.storage!.ltrim(ordersKey, 0, this.config.orderHistoryLimit - 1);
+
+      await this.emitEvent('redeemed', {
+        userId,
+        rewardId,
+        quantity,
+        total,
+        order
+      });
+
+      this.logger!.info(`User ${userId} redeemed ${quantity}x ${rewardId} for ${total} ${order.currency || 'points'}`);
+
+      return {
+        success: true,
+        order,
+        balance: deduction.total
+      };
+    } catch (error) {
+      await rollback();
+      throw error;
+    }
+  }
+
+  async getOrders(userId: string, limit: number = 50): Promise<RewardOrder[]> {
+    validators.isUserId(userId);
+
+    const orders = await this.storage!.lrange(
+      this.getStorageKey(`orders:${userId}`),
+      0,
+      Math.min(limit, this.config.orderHistoryLimit) - 1
+    );
+
+    return orders.map((order: any) => typeof order === 'string' ? JSON.parse(order) : order);
+  }
+
+  async getInventory(userId: string): Promise<Record<string, number>> {
+    validators.isUserId(userId);
+
+    const items = await this.storage!.hgetall(this.getStorageKey(`inventory:${userId}`)) || {};
+    const inventory: Record<string, number> = {};
+
+    for (const [rewardId, count] of Object.entries(items)) {
+      const quantity = Number(count);
+      if (quantity > 0) {
+        inventory[rewardId] = quantity;
+      }
+    }
+
+    return inventory;
+  }
+
+  async consumeItem(userId: string, rewardId: string, quantity: number = 1): Promise<any> {
+    validators.isUserId(userId);
+    validators.isInteger(quantity, 'quantity');
+    validators.isPositiveNumber(quantity, 'quantity');
+
+    const inventoryKey = this.getStorageKey(`inventory:${userId}`);
+    const remaining = await this.storage!.hincrby(inventoryKey, rewardId, -quantity);
+
+    if (remaining < 0) {
+      await this.storage!.hincrby(inventoryKey, rewardId, quantity);
+      return {
+        success: false,
+        reason: 'insufficient_quantity',
+        current: remaining + quantity
+      };
+    }
+
+    await this.emitEvent('consumed', { userId, rewardId, quantity, remaining });
+
+    return { success: true, rewardId, remaining };
+  }
+
+  async getRewardStats(): Promise<Record<string, number>> {
+    const stats = await this.storage!.hgetall(this.getStorageKey('stats')) || {};
+    const result: Record<string, number> = {};
+
+    for (const rewardId of this.rewards.keys()) {
+      result[rewardId] = Number(stats[rewardId] || 0);
+    }
+
+    return result;
+  }
+
+  async getUserStats(userId: string): Promise<any> {
+    const inventory = await this.getInventory(userId);
+    const orders = await this.getOrders(userId, 10);
+    const totalOrders = await this.storage!.llen(this.getStorageKey(`orders:${userId}`));
+
+    return {
+      inventory,
+      recentOrders: orders,
+      totalOrders
+    };
+  }
+
+  async exportUserData(userId: string): Promise<any> {
+    validators.isUserId(userId);
+
+    const orders = await this.storage!.lrange(this.getStorageKey(`orders:${userId}`), 0, -1);
+
+    return {
+      inventory: await this.getInventory(userId),
+      orders: orders.map((order: any) => typeof order === 'string' ? JSON.parse(order) : order),
+      purchases: await this.storage!.hgetall(this.getStorageKey(`purchases:${userId}`)) || {}
+    };
+  }
+
+  // Redemptions aren't tracked events, so a rebuild keeps inventory and orders. The points
+  // they cost are replayed from the journal as deductions.
+  async prepareRebuild(_userId: string): Promise<void> {}
+
+  async resetUser(userId: string): Promise<void> {
+    await super.resetUser(userId);
+
+    await this.storage!.delete(this.getStorageKey(`inventory:${userId}`));
+    await this.storage!.delete(this.getStorageKey(`orders:${userId}`));
+    await this.storage!.delete(this.getStorageKey(`purchases:${userId}`));
+
+    await this.emitEvent('user.reset', { userId });
+  }
+
+  async getUserDataLocations(userId: string): Promise<UserDataLocation[]> {
+    return ['inventory', 'orders', 'purchases'].map(name => ({ key: this.getStorageKey(`${name}:${userId}`) }));
+  }
+}
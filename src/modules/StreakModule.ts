@@ -1,5 +1,6 @@
 import { BaseModule } from './BaseModule.js';
 import { validators } from '../utils/validators.js';
+import { calendar } from '../utils/calendar.js';
 
 export class StreakModule extends BaseModule {
   constructor(options = {}) {
@@ -17,7 +18,9 @@ export class StreakModule extends BaseModule {
       },
       globalFreezeItems: 10,
       milestones: [3, 7, 14, 30, 60, 90, 180, 365],
-      resetOnMiss: true
+      resetOnMiss: true,
+      // Used for calendar streaks until a user sets their own timezone
+      defaultTimezone: 'UTC'
     };
     
     // Merge config early for constructor tests
@@ -44,6 +47,14 @@ export class StreakModule extends BaseModule {
   async onInitialize() {
     // Deep merge config to properly handle nested objects like types  
     this.config = this.mergeDeep(this.defaultConfig, this.config);
+
+    validators.isTimezone(this.config.defaultTimezone, 'defaultTimezone');
+
+    for (const [type, typeConfig] of Object.entries(this.config.types)) {
+      if (typeConfig.mode === 'calendar') {
+        validators.isInArray(typeConfig.unit || 'day', ['day', 'week'], `types.${type}.unit`);
+      }
+    }
     
     // Start periodic check for expired streaks
     this.startStreakChecker();
@@ -52,7 +63,10 @@ export class StreakModule extends BaseModule {
   setupEventListeners() {
     // Listen for streak-related events
     this.eventManager.on('streak.record', async (event) => {
-      const { userId, type, timestamp } = event.data;
+      const { userId, type, timestamp, timezone } = event.data;
+      if (timezone) {
+        await this.setTimezone(userId, timezone);
+      }
       await this.recordActivity(userId, type, timestamp);
     });
 
@@ -77,6 +91,12 @@ export class StreakModule extends BaseModule {
     const window = typeConfig.window;
     const grace = typeConfig.grace || 0;
     
+    // Calendar streaks count local days (or ISO weeks) in the user's timezone
+    const isCalendar = typeConfig.mode === 'calendar';
+    const unit = typeConfig.unit || 'day';
+    const timezone = isCalendar ? await this.getTimezone(userId) : null;
+    let period = isCalendar ? calendar.getPeriodIndex(timestamp, timezone, unit) : null;
+    
     // Check if this is a valid streak continuation
     let newStreak = currentStreak;
     let streakBroken = false;
@@ -84,6 +104,29 @@ export class StreakModule extends BaseModule {
     if (!lastActivity) {
       // First activity
       newStreak = 1;
+    } else if (isCalendar) {
+      const lastPeriod = streakData.lastPeriod ?? calendar.getPeriodIndex(lastActivity, timezone, unit);
+      const elapsed = period - lastPeriod;
+      
+      if (elapsed <= 0) {
+        return {
+          success: true,
+          streak: currentStreak,
+          message: `Activity already recorded for this ${unit}`
+        };
+      } else if (elapsed === 1) {
+        newStreak = currentStreak + 1;
+      } else if (timestamp <= calendar.getPeriodStart(lastPeriod + 2, timezone, unit) + grace) {
+        // Shortly after local midnight: counts towards the period that just ended
+        newStreak = currentStreak + 1;
+        period = lastPeriod + 1;
+      } else if (streakData.frozen && timestamp <= calendar.getPeriodStart(lastPeriod + 3, timezone, unit) + grace) {
+        newStreak = currentStreak + 1;
+        await this.consumeFreeze(userId, type);
+      } else {
+        streakBroken = true;
+        newStreak = this.config.resetOnMiss ? 1 : 0;
+      }
     } else {
       const timeSinceLastActivity = timestamp - lastActivity;
       
@@ -115,7 +158,8 @@ export class StreakModule extends BaseModule {
       lastActivity: timestamp,
       totalActivities: streakData.totalActivities + 1,
       frozen: false,
-      updatedAt: Date.now()
+      updatedAt: Date.now(),
+      ...(isCalendar && { lastPeriod: period, timezone })
     };
     
     await this.storage.hset(
@@ -170,6 +214,76 @@ export class StreakModule extends BaseModule {
     };
   }
 
+  async getTimezone(userId) {
+    const timezone = await this.storage.hget(this.getStorageKey('timezones'), userId);
+    return timezone || this.config.defaultTimezone;
+  }
+
+  async setTimezone(userId, timezone) {
+    validators.isUserId(userId);
+    validators.isTimezone(timezone);
+    
+    const previousTimezone = await this.getTimezone(userId);
+    if (previousTimezone === timezone) {
+      return { success: true, timezone, changed: false };
+    }
+    
+    await this.storage.hset(this.getStorageKey('timezones'), userId, timezone);
+    
+    // Re-anchor calendar streaks so the move neither skips nor repeats a day: the last
+    // recorded period becomes the later of its old value and the last activity's
+    // period in the new zone
+    for (const [type, typeConfig] of Object.entries(this.config.types)) {
+      if (typeConfig.mode !== 'calendar') continue;
+      
+      const streakData = await this.getStreakData(userId, type);
+      if (!streakData.lastActivity) continue;
+      
+      const unit = typeConfig.unit || 'day';
+      const lastPeriod = streakData.lastPeriod ?? calendar.getPeriodIndex(streakData.lastActivity, previousTimezone, unit);
+      
+      await this.storage.hset(
+        this.getStorageKey(`users:${type}`),
+        userId,
+        {
+          ...streakData,
+          lastPeriod: Math.max(lastPeriod, calendar.getPeriodIndex(streakData.lastActivity, timezone, unit)),
+          timezone
+        }
+      );
+    }
+    
+    await this.emitEvent('timezone.changed', {
+      userId,
+      timezone,
+      previousTimezone
+    });
+    
+    return { success: true, timezone, previousTimezone, changed: true };
+  }
+
+  async getStreakExpiry(userId, type, streakData) {
+    const typeConfig = this.config.types[type];
+    const data = streakData || await this.getStreakData(userId, type);
+    
+    if (!typeConfig || !data.lastActivity || data.currentStreak === 0) {
+      return null;
+    }
+    
+    const grace = typeConfig.grace || 0;
+    
+    if (typeConfig.mode !== 'calendar') {
+      return data.lastActivity + typeConfig.window + grace;
+    }
+    
+    // A calendar streak survives until the end of the next local period, plus grace
+    const unit = typeConfig.unit || 'day';
+    const timezone = await this.getTimezone(userId);
+    const lastPeriod = data.lastPeriod ?? calendar.getPeriodIndex(data.lastActivity, timezone, unit);
+    
+    return calendar.getPeriodStart(lastPeriod + 2, timezone, unit) + grace;
+  }
+
   async freezeStreak(userId, type = 'daily') {
     validators.isUserId(userId);
     
@@ -406,7 +520,11 @@ export class StreakModule extends BaseModule {
         frozen: data.frozen || false,
         frozenAt: data.frozenAt || null,
         lastFreezeUsed: data.lastFreezeUsed || null,
-        updatedAt: data.updatedAt || null
+        updatedAt: data.updatedAt || null,
+        ...(data.lastPeriod !== undefined && {
+          lastPeriod: data.lastPeriod,
+          timezone: data.timezone
+        })
       };
     }
     
@@ -433,6 +551,7 @@ export class StreakModule extends BaseModule {
       
       streaks[type] = {
         ...data,
+        expiresAt: await this.getStreakExpiry(userId, type, data),
         freezeItems,
         nextMilestone,
         progressToNextMilestone: nextMilestone ? 
@@ -512,33 +631,34 @@ export class StreakModule extends BaseModule {
   startStreakChecker() {
     // Check every hour for expired streaks
     this.checkInterval = setInterval(async () => {
-      await this.checkExpiredStreaks();
+      await this.forEachTenant(() => this.checkExpiredStreaks());
     }, 60 * 60 * 1000);
 
     // Fix BUG-044: Store initial timeout reference for cleanup
     // Run initial check after 1 minute
-    this.initialCheckTimeout = setTimeout(() => this.checkExpiredStreaks(), 60000);
+    this.initialCheckTimeout = setTimeout(() => this.forEachTenant(() => this.checkExpiredStreaks()), 60000);
   }
 
   async checkExpiredStreaks() {
     this.logger.debug('Checking for expired streaks...');
     
-    for (const [type, config] of Object.entries(this.config.types)) {
+    for (const type of Object.keys(this.config.types)) {
       const users = await this.storage.hgetall(
         this.getStorageKey(`users:${type}`)
       );
       
       const now = Date.now();
-      const expiryTime = config.window + (config.grace || 0);
       
       for (const [userId, data] of Object.entries(users)) {
         if (!data.lastActivity || data.currentStreak === 0) continue;
         
-        const timeSinceLastActivity = now - data.lastActivity;
+        // Rolling streaks expire a window after the last activity, calendar streaks
+        // at local midnight (plus grace) once a whole period has been missed
+        const expiresAt = await this.getStreakExpiry(userId, type, data);
         
         // Fix BUG-006: Simplified redundant logic - inner condition was always true
         // Check if streak should expire (not frozen and past expiry time)
-        if (timeSinceLastActivity > expiryTime && !data.frozen) {
+        if (now > expiresAt && !data.frozen) {
           await this.breakStreak(userId, type, 'expired');
         }
       }
@@ -610,6 +730,22 @@ export class StreakModule extends BaseModule {
     return stats;
   }
 
+  async exportUserData(userId) {
+    validators.isUserId(userId);
+
+    const history = {};
+    for (const type of Object.keys(this.config.types)) {
+      const entries = await this.storage.lrange(this.getStorageKey(`history:${userId}:${type}`), 0, -1);
+      history[type] = entries.map(e => JSON.parse(e));
+    }
+
+    return {
+      streaks: await this.getUserStreaks(userId),
+      timezone: await this.storage.hget(this.getStorageKey('timezones'), userId),
+      history
+    };
+  }
+
   async resetUser(userId) {
     await super.resetUser(userId);
     
@@ -642,6 +778,11 @@ export class StreakModule extends BaseModule {
       userId
     );
     
+    await this.storage.hdel(
+      this.getStorageKey('timezones'),
+      userId
+    );
+    
     for (const type of Object.keys(this.config.types)) {
       await this.storage.hdel(
         this.getStorageKey(`freeze-items:${type}`),
@@ -652,6 +793,25 @@ export class StreakModule extends BaseModule {
     await this.emitEvent('user.reset', { userId });
   }
 
+  async getUserDataLocations(userId) {
+    const locations = [
+      { key: this.getStorageKey('freeze-items:global'), type: 'hash', member: userId },
+      { key: this.getStorageKey('timezones'), type: 'hash', member: userId }
+    ];
+    
+    for (const type of Object.keys(this.config.types)) {
+      locations.push(
+        { key: this.getStorageKey(`users:${type}`), type: 'hash', member: userId },
+        { key: this.getStorageKey(`history:${userId}:${type}`) },
+        { key: this.getStorageKey(`leaderboard:${type}:current`), type: 'zset', member: userId },
+        { key: this.getStorageKey(`leaderboard:${type}:longest`), type: 'zset', member: userId },
+        { key: this.getStorageKey(`freeze-items:${type}`), type: 'hash', member: userId }
+      );
+    }
+    
+    return locations;
+  }
+
   async shutdown() {
     // Fix BUG-044: Clear initial timeout on shutdown
     if (this.initialCheckTimeout) {
@@ -0,0 +1,772 @@
+import { BaseModule } from './BaseModule.js';
+import type { UserDataLocation } from '../types/storage.js';
+import { validators } from '../utils/validators.js';
+import { eventConditions } from '../utils/eventConditions.js';
+import { TenantMap } from '../core/TenantManager.js';
+import type { RuleCondition } from '../core/RuleEngine.js';
+
+export type TeamRole = 'owner' | 'officer' | 'member';
+
+export interface Team {
+  id: string;
+  name: string;
+  description: string;
+  ownerId: string;
+  maxMembers: number;
+  metadata: Record<string, any>;
+  createdAt: number;
+}
+
+export interface TeamMember {
+  userId: string;
+  role: TeamRole;
+  joinedAt: number;
+}
+
+export interface TeamQuest {
+  id: string;
+  name: string;
+  description: string;
+  objectives: Array<{
+    id: string;
+    event: string;
+    target: number;
+    conditions: RuleCondition | null;
+    field: string | null;
+  }>;
+  rewards: { points?: number; xp?: number; badges?: string[] };
+  enabled: boolean;
+}
+
+const ROLES: TeamRole[] = ['owner', 'officer', 'member'];
+
+export class TeamModule extends BaseModule {
+  defaultConfig: Record<string, any>;
+  teamQuests: Map<string, TeamQuest>;
+
+  constructor(options: Record<string, any> = {}) {
+    super('teams', options);
+
+    this.teamQuests = new TenantMap();
+
+    this.defaultConfig = {
+      maxMembers: 50,
+      // Which member earnings roll up into team scores
+      sources: ['points', 'xp'],
+      // How member contributions become a team score: sum, average or top
+      aggregation: 'sum',
+      topN: 5,
+      periods: ['daily', 'weekly', 'monthly', 'all-time'],
+      leaderboardPrefix: 'teams',
+      teamQuests: []
+    };
+  }
+
+  async onInitialize(): Promise<void> {
+    this.config = { ...this.defaultConfig, ...this.config };
+
+    validators.isInArray(this.config.aggregation, ['sum', 'average', 'top'], 'aggregation');
+
+    for (const quest of this.config.teamQuests) {
+      this.addTeamQuest(quest);
+    }
+  }
+
+  setupEventListeners(): void {
+    this.eventManager!.on('points.awarded', async (event: any) => {
+      const { userId, points, defaultCurrency } = event.data;
+      if (defaultCurrency === false) return;
+      await this.recordContribution(userId, 'points', points);
+    });
+
+    this.eventManager!.on('levels.xp.gained', async (event: any) => {
+      const { userId, xp } = event.data;
+      await this.recordContribution(userId, 'xp', xp);
+    });
+
+    this.eventManager!.onWildcard('*', async (event: any) => {
+      if (event.eventName.startsWith(`${this.name}.`)) return;
+      await this.checkTeamQuestProgress(event);
+    });
+  }
+
+  async createTeam(ownerId: string, options: Record<string, any> = {}): Promise<Team> {
+    validators.isUserId(ownerId, 'ownerId');
+    validators.isNonEmptyString(options.name, 'team.name');
+
+    if (await this.getUserTeamId(ownerId)) {
+      throw new Error(`User ${ownerId} is already in a team`);
+    }
+
+    const teamId = options.id || `team_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+    validators.isNonEmptyString(teamId, 'team.id');
+
+    if (await this.storage!.hget(this.getStorageKey('teams'), teamId)) {
+      throw new Error(`Team already exists: ${teamId}`);
+    }
+
+    const team: Team = {
+      id: teamId,
+      name: options.name,
+      description: options.description || '',
+      ownerId,
+      maxMembers: options.maxMembers || this.config.maxMembers,
+      metadata: options.metadata || {},
+      createdAt: Date.now()
+    };
+
+    await this.storage!.hset(this.getStorageKey('teams'), teamId, team);
+    await this.addMember(team, ownerId, 'owner');
+
+    await this.emitTeamEvent(teamId, 'created', { team, userId: ownerId });
+
+    this.logger!.info(`Team created: ${teamId} by ${ownerId}`);
+
+    return team;
+  }
+
+  async getTeam(teamId: string): Promise<Team | null> {
+    return await this.storage!.hget(this.getStorageKey('teams'), teamId) || null;
+  }
+
+  async getAllTeams(): Promise<Team[]> {
+    const teams = await this.storage!.hgetall(this.getStorageKey('teams')) || {};
+    return Object.values(teams);
+  }
+
+  async getMembers(teamId: string): Promise<TeamMember[]> {
+    const members = await this.storage!.hgetall(this.getStorageKey(`members:${teamId}`)) || {};
+    return Object.values(members)
+      .sort((a: TeamMember, b: TeamMember) => a.joinedAt - b.joinedAt);
+  }
+
+  async getMember(teamId: string, userId: string): Promise<TeamMember | null> {
+    return await this.storage!.hget(this.getStorageKey(`members:${teamId}`), userId) || null;
+  }
+
+  async getUserTeamId(userId: string): Promise<string | null> {
+    return await this.storage!.get(this.getStorageKey(`user:${userId}`)) || null;
+  }
+
+  async getUserTeam(userId: string): Promise<any> {
+    validators.isUserId(userId);
+
+    const teamId = await this.getUserTeamId(userId);
+    if (!teamId) return null;
+
+    const [team, member] = await Promise.all([
+      this.getTeam(teamId),
+      this.getMember(teamId, userId)
+    ]);
+
+    return team ? { ...team, role: member?.role || 'member' } : null;
+  }
+
+  async joinTeam(userId: string, teamId: string): Promise<any> {
+    validators.isUserId(userId);
+
+    const team = await this.getTeam(teamId);
+    if (!team) {
+      throw new Error(`Team not found: ${teamId}`);
+    }
+
+    const currentTeamId = await this.getUserTeamId(userId);
+    if (currentTeamId) {
+      return {
+        success: false,
+        reason: currentTeamId === teamId ? 'already_member' : 'already_in_team',
+        teamId: currentTeamId
+      };
+    }
+
+    const added = await this.addMember(team, userId, 'member');
+    if (!added.success) {
+      return added;
+    }
+
+    await this.refreshTeamScores(teamId);
+    await this.emitTeamEvent(teamId, 'member.joined', { userId, role: 'member' });
+
+    return { success: true, teamId, role: 'member' };
+  }
+
+  async leaveTeam(userId: string): Promise<any> {
+    validators.isUserId(userId);
+
+    const teamId = await this.getUserTeamId(userId);
+    if (!teamId) {
+      return { success: false, reason: 'not_in_team' };
+    }
+
+    const member = await this.getMember(teamId, userId);
+    await this.removeMemberRecord(teamId, userId);
+
+    const result: Record<string, any> = { success: true, teamId };
+
+    if (member?.role === 'owner') {
+      const remaining = await this.getMembers(teamId);
+
+      if (remaining.length === 0) {
+        await this.disbandTeam(teamId);
+        return { ...result, disbanded: true };
+      }
+
+      // Hand the team to the longest-serving officer, or failing that the longest-serving member
+      const successor = remaining.find(m => m.role === 'officer') || remaining[0];
+      await this.updateMemberRole(teamId, successor.userId, 'owner');
+      result.newOwnerId = successor.userId;
+    }
+
+    await this.refreshTeamScores(teamId);
+    await this.emitTeamEvent(teamId, 'member.left', { userId, newOwnerId: result.newOwnerId });
+
+    return result;
+  }
+
+  async removeMember(actorId: string, teamId: string, userId: string): Promise<any> {
+    const actor = await this.getMember(teamId, actorId);
+    const target = await this.getMember(teamId, userId);
+
+    if (!target) {
+      return { success: false, reason: 'not_member' };
+    }
+
+    if (!actor || !this.outranks(actor.role, target.role)) {
+      return { success: false, reason: 'insufficient_role' };
+    }
+
+    await this.removeMemberRecord(teamId, userId);
+    await this.refreshTeamScores(teamId);
+    await this.emitTeamEvent(teamId, 'member.removed', { userId, removedBy: actorId }, [userId]);
+
+    return { success: true, teamId, userId };
+  }
+
+  async setRole(actorId: string, teamId: string, userId: string, role: TeamRole): Promise<any> {
+    validators.isInArray(role, ROLES, 'role');
+
+    const actor = await this.getMember(teamId, actorId);
+    const target = await this.getMember(teamId, userId);
+
+    if (!target) {
+      return { success: false, reason: 'not_member' };
+    }
+
+    if (!actor || actor.role !== 'owner' || actorId === userId) {
+      return { success: false, reason: 'insufficient_role' };
+    }
+
+    // Promoting someone to owner transfers ownership
+    if (role === 'owner') {
+      await this.updateMemberRole(teamId, actorId, 'officer');
+    }
+
+    await this.updateMemberRole(teamId, userId, role);
+    await this.emitTeamEvent(teamId, 'member.role.changed', {
+      userId,
+      role,
+      previousRole: target.role,
+      changedBy: actorId
+    });
+
+    return { success: true, teamId, userId, role };
+  }
+
+  async disbandTeam(teamId: string): Promise<boolean> {
+    const team = await this.getTeam(teamId);
+    if (!team) return false;
+
+    const members = await this.getMembers(teamId);
+    for (const member of members) {
+      await this.storage!.delete(this.getStorageKey(`user:${member.userId}`));
+    }
+
+    await this.storage!.hdel(this.getStorageKey('teams'), teamId);
+    await this.storage!.delete(this.getStorageKey(`members:${teamId}`));
+    await this.storage!.delete(this.getStorageKey(`size:${teamId}`));
+    await this.storage!.delete(this.getStorageKey(`quests:${teamId}`));
+
+    const contributionKeys = await this.storage!.keys(this.getStorageKey(`contributions:${teamId}:*`));
+    for (const key of contributionKeys) {
+      await this.storage!.delete(key);
+    }
+
+    // Remove the team from every rolled-up board
+    const leaderboardModule: any = this.getModule('leaderboards');
+    if (leaderboardModule) {
+      for (const source of this.config.sources) {
+        for (const period of this.config.periods) {
+          await leaderboardModule.removeUser(this.getLeaderboardId(source, period), teamId);
+        }
+      }
+    }
+
+    await this.emitTeamEvent(teamId, 'disbanded', { team }, members.map(m => m.userId));
+
+    this.logger!.info(`Team disbanded: ${teamId}`);
+
+    return true;
+  }
+
+  async recordContribution(userId: string, source: string, amount: number): Promise<void> {
+    if (!userId || !amount || !this.config.sources.includes(source)) return;
+
+    const teamId = await this.getUserTeamId(userId);
+    if (!teamId) return;
+
+    const now = new Date(this.now());
+    for (const period of this.config.periods) {
+      const key = this.getContributionKey(teamId, source, period, now);
+      await this.storage!.zincrby(key, amount, userId);
+
+      const ttl = this.getPeriodTTL(period, now);
+      if (ttl) {
+        await this.storage!.expire(key, ttl);
+      }
+    }
+
+    await this.refreshTeamScores(teamId, [source]);
+  }
+
+  async getTeamScore(teamId: string, source: string = 'points', period: string = 'all-time'): Promise<number> {
+    const key = this.getContributionKey(teamId, source, period);
+    const entries = await this.storage!.zrevrange(key, 0, -1, true);
+    const scores = this.parseScores(entries).map(entry => entry.score);
+
+    if (scores.length === 0) return 0;
+
+    const sum = (values: number[]): number => values.reduce((total, score) => total + score, 0);
+
+    if (this.config.aggregation === 'top') {
+      return sum(scores.slice(0, this.config.topN));
+    }
+
+    if (this.config.aggregation === 'average') {
+      // Average over the whole roster so idle members pull the score down
+      const memberCount = Number(await this.storage!.get(this.getStorageKey(`size:${teamId}`))) || scores.length;
+      return Math.round(sum(scores) / memberCount);
+    }
+
+    return sum(scores);
+  }
+
+  async getContributions(teamId: string, source: string = 'points', period: string = 'all-time'): Promise<Array<{ userId: string; score: number }>> {
+    const entries = await this.storage!.zrevrange(
+      this.getContributionKey(teamId, source, period),
+      0,
+      -1,
+      true
+    );
+
+    return this.parseScores(entries).map(entry => ({ userId: entry.member, score: entry.score }));
+  }
+
+  async refreshTeamScores(teamId: string, sources: string[] = this.config.sources): Promise<void> {
+    for (const source of sources) {
+      for (const period of this.config.periods) {
+        const score = await this.getTeamScore(teamId, source, period);
+        await this.updateLeaderboard(this.getLeaderboardId(source, period), teamId, score);
+      }
+    }
+  }
+
+  async updateLeaderboard(leaderboardId: string, teamId: string, score: number): Promise<void> {
+    // Team boards live in LeaderboardModule so they get paging, caching and archives for free
+    await this.eventManager!.emitAsync('leaderboard.update', {
+      leaderboardId,
+      userId: teamId,
+      score
+    });
+  }
+
+  async getTopTeams(source: string = 'points', period: string = 'all-time', limit: number = 10): Promise<any> {
+    const leaderboardModule: any = this.getModule('leaderboards');
+    if (!leaderboardModule) {
+      throw new Error('Leaderboard module is required for team rankings');
+    }
+
+    return await leaderboardModule.getLeaderboard(this.getLeaderboardId(source, period), { limit });
+  }
+
+  getLeaderboardId(source: string, period: string): string {
+    return `${this.config.leaderboardPrefix}-${source}-${period}`;
+  }
+
+  addTeamQuest(quest: any): TeamQuest {
+    validators.hasProperties(quest, ['id', 'name', 'objectives'], 'team quest');
+    validators.isArray(quest.objectives, 'team quest.objectives');
+
+    const processedQuest: TeamQuest = {
+      id: quest.id,
+      name: quest.name,
+      description: quest.description || '',
+      objectives: quest.objectives.map((objective: any, index: number) => ({
+        id: objective.id || `objective_${index}`,
+        event: objective.event,
+        target: objective.target || 1,
+        conditions: eventConditions.normalize(objective.conditions, 'objective conditions'),
+        // Optional event field to add instead of counting occurrences
+        field: objective.field || null
+      })),
+      rewards: quest.rewards || {},
+      enabled: quest.enabled !== false
+    };
+
+    this.teamQuests.set(processedQuest.id, processedQuest);
+    this.logger?.debug(`Team quest added: ${processedQuest.id}`);
+
+    return processedQuest;
+  }
+
+  async assignTeamQuest(teamId: string, questId: string): Promise<any> {
+    const team = await this.getTeam(teamId);
+    if (!team) {
+      throw new Error(`Team not found: ${teamId}`);
+    }
+
+    const quest = this.teamQuests.get(questId);
+    if (!quest) {
+      throw new Error(`Team quest not found: ${questId}`);
+    }
+
+    const existing = await this.getTeamQuest(teamId, questId);
+    if (existing && !existing.completed) {
+      return { success: false, reason: 'already_active' };
+    }
+
+    const assignment = {
+      questId,
+      assignedAt: Date.now(),
+      completed: false,
+      completedAt: null,
+      objectives: quest.objectives.map(objective => ({
+        id: objective.id,
+        progress: 0,
+        target: objective.target,
+        completed: false
+      })),
+      contributors: {}
+    };
+
+    await this.storage!.hset(this.getStorageKey(`quests:${teamId}`), questId, assignment);
+    await this.emitTeamEvent(teamId, 'quest.assigned', { questId });
+
+    return { success: true, teamId, assignment };
+  }
+
+  async getTeamQuest(teamId: string, questId: string): Promise<any> {
+    return await this.storage!.hget(this.getStorageKey(`quests:${teamId}`), questId) || null;
+  }
+
+  async getTeamQuests(teamId: string): Promise<any[]> {
+    const quests = await this.storage!.hgetall(this.getStorageKey(`quests:${teamId}`)) || {};
+    return Object.values(quests).map((assignment: any) => ({
+      ...assignment,
+      quest: this.teamQuests.get(assignment.questId) || null
+    }));
+  }
+
+  async checkTeamQuestProgress(event: any): Promise<void> {
+    const userId = event.data?.userId;
+    if (!userId || this.teamQuests.size === 0) return;
+
+    const teamId = await this.getUserTeamId(userId);
+    if (!teamId) return;
+
+    const assignments = await this.storage!.hgetall(this.getStorageKey(`quests:${teamId}`)) || {};
+
+    for (const assignment of Object.values(assignments) as any[]) {
+      if (assignment.completed) continue;
+
+      const quest = this.teamQuests.get(assignment.questId);
+      if (!quest || !quest.enabled) continue;
+
+      for (const objective of quest.objectives) {
+        if (!await this.matchesObjective(event, objective)) continue;
+
+        const amount = objective.field ? Number(this.getNestedValue(event.data, objective.field)) || 0 : 1;
+        if (amount > 0) {
+          await this.updateTeamQuestProgress(teamId, quest.id, objective.id, amount, userId);
+        }
+      }
+    }
+  }
+
+  async updateTeamQuestProgress(teamId: string, questId: string, objectiveId: string, increment: number, userId: string | null = null): Promise<any> {
+    const assignment = await this.getTeamQuest(teamId, questId);
+    if (!assignment || assignment.completed) {
+      return { success: false, reason: 'quest_not_active' };
+    }
+
+    const objective = assignment.objectives.find((o: any) => o.id === objectiveId);
+    if (!objective || objective.completed) {
+      return { success: false, reason: 'objective_not_active' };
+    }
+
+    objective.progress = Math.min(objective.progress + increment, objective.target);
+    objective.completed = objective.progress >= objective.target;
+
+    if (userId) {
+      assignment.contributors[userId] = (assignment.contributors[userId] || 0) + increment;
+    }
+
+    const completed = assignment.objectives.every((o: any) => o.completed);
+    if (completed) {
+      assignment.completed = true;
+      assignment.completedAt = Date.now();
+    }
+
+    await this.storage!.hset(this.getStorageKey(`quests:${teamId}`), questId, assignment);
+
+    await this.emitTeamEvent(teamId, 'quest.progress', {
+      questId,
+      objectiveId,
+      progress: objective.progress,
+      target: objective.target,
+      userId
+    });
+
+    if (completed) {
+      await this.completeTeamQuest(teamId, questId, assignment);
+    }
+
+    return { success: true, assignment };
+  }
+
+  async completeTeamQuest(teamId: string, questId: string, assignment: any): Promise<void> {
+    const quest = this.teamQuests.get(questId)!;
+    const members = await this.getMembers(teamId);
+
+    // Every current member shares the reward, not just the contributors
+    for (const member of members) {
+      if (quest.rewards.points) {
+        await this.eventManager!.emitAsync('points.award', {
+          userId: member.userId,
+          points: quest.rewards.points,
+          reason: `team_quest:${questId}`
+        });
+      }
+
+      if (quest.rewards.xp) {
+        await this.eventManager!.emitAsync('levels.addXP', {
+          userId: member.userId,
+          xp: quest.rewards.xp,
+          reason: `team_quest:${questId}`
+        });
+      }
+
+      for (const badgeId of quest.rewards.badges || []) {
+        await this.eventManager!.emitAsync('badges.award', {
+          userId: member.userId,
+          badgeId
+        });
+      }
+    }
+
+    await this.emitTeamEvent(teamId, 'quest.completed', {
+      questId,
+      contributors: assignment.contributors,
+      rewards: quest.rewards
+    });
+  }
+
+  async matchesObjective(event: any, objective: TeamQuest['objectives'][number]): Promise<boolean> {
+    if (objective.event) {
+      const regex = new RegExp(
+        '^' + objective.event.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$'
+      );
+
+      if (!regex.test(event.eventName)) {
+        return false;
+      }
+    }
+
+    return await this.matchesConditions(objective.conditions, event);
+  }
+
+  getNestedValue(obj: any, path: string): any {
+    return path.split('.').reduce((current, key) => current?.[key], obj);
+  }
+
+  async getUserStats(userId: string): Promise<any> {
+    const team = await this.getUserTeam(userId);
+    if (!team) {
+      return { team: null };
+    }
+
+    const members = await this.getMembers(team.id);
+    const contributions: Record<string, number> = {};
+    const scores: Record<string, number> = {};
+
+    for (const source of this.config.sources) {
+      const score = await this.storage!.zscore(this.getContributionKey(team.id, source, 'all-time'), userId);
+      contributions[source] = Number(score) || 0;
+      scores[source] = await this.getTeamScore(team.id, source, 'all-time');
+    }
+
+    return {
+      team: {
+        id: team.id,
+        name: team.name,
+        role: team.role,
+        memberCount: members.length,
+        maxMembers: team.maxMembers,
+        scores
+      },
+      contributions
+    };
+  }
+
+  async resetUser(userId: string): Promise<void> {
+    await super.resetUser(userId);
+
+    const teamId = await this.getUserTeamId(userId);
+    if (teamId) {
+      await this.leaveTeam(userId);
+    }
+
+    await this.emitEvent('user.reset', { userId });
+  }
+
+  async getUserDataLocations(userId: string): Promise<UserDataLocation[]> {
+    const locations: UserDataLocation[] = [{ key: this.getStorageKey(`user:${userId}`) }];
+
+    const teamId = await this.getUserTeamId(userId);
+    if (teamId) {
+      locations.push({ key: this.getStorageKey(`members:${teamId}`), type: 'hash', member: userId });
+      for (const key of await this.storage!.keys(this.getStorageKey(`contributions:${teamId}:*`))) {
+        locations.push({ key, type: 'zset', member: userId });
+      }
+    }
+
+    return locations;
+  }
+
+  // Membership isn't derived from tracked events, so it stays; the contributions are
+  // recorded again as the user's events are replayed
+  async prepareRebuild(userId: string): Promise<void> {
+    const teamId = await this.getUserTeamId(userId);
+    if (!teamId) return;
+
+    for (const key of await this.storage!.keys(this.getStorageKey(`contributions:${teamId}:*`))) {
+      await this.storage!.zrem(key, userId);
+    }
+    await this.refreshTeamScores(teamId);
+  }
+
+  private async addMember(team: Team, userId: string, role: TeamRole): Promise<any> {
+    // Reserve a seat atomically, then roll back if the team was already full
+    const sizeKey = this.getStorageKey(`size:${team.id}`);
+    const size = await this.storage!.increment(sizeKey, 1);
+
+    if (size > team.maxMembers) {
+      await this.storage!.decrement(sizeKey, 1);
+      return {
+        success: false,
+        reason: 'team_full',
+        maxMembers: team.maxMembers
+      };
+    }
+
+    const member: TeamMember = { userId, role, joinedAt: Date.now() };
+    await this.storage!.hset(this.getStorageKey(`members:${team.id}`), userId, member);
+    await this.storage!.set(this.getStorageKey(`user:${userId}`), team.id);
+
+    return { success: true, member };
+  }
+
+  private async removeMemberRecord(teamId: string, userId: string): Promise<void> {
+    await this.storage!.hdel(this.getStorageKey(`members:${teamId}`), userId);
+    await this.storage!.decrement(this.getStorageKey(`size:${teamId}`), 1);
+    await this.storage!.delete(this.getStorageKey(`user:${userId}`));
+
+    // A departing member takes their contribution with them
+    const contributionKeys = await this.storage!.keys(this.getStorageKey(`contributions:${teamId}:*`));
+    for (const key of contributionKeys) {
+      await this.storage!.zrem(key, userId);
+    }
+  }
+
+  private async updateMemberRole(teamId: string, userId: string, role: TeamRole): Promise<void> {
+    const member = await this.getMember(teamId, userId);
+    if (!member) return;
+
+    await this.storage!.hset(this.getStorageKey(`members:${teamId}`), userId, { ...member, role });
+
+    if (role === 'owner') {
+      const team = await this.getTeam(teamId);
+      await this.storage!.hset(this.getStorageKey('teams'), teamId, { ...team, ownerId: userId });
+    }
+  }
+
+  private outranks(actorRole: TeamRole, targetRole: TeamRole): boolean {
+    return ROLES.indexOf(actorRole) < ROLES.indexOf(targetRole) && actorRole !== 'member';
+  }
+
+  private async emitTeamEvent(teamId: string, eventName: string, data: Record<string, any>, extraRecipients: string[] = []): Promise<void> {
+    // userIds lets the WebSocket server fan team events out to every member
+    const members = await this.getMembers(teamId);
+    const userIds = Array.from(new Set([...members.map(m => m.userId), ...extraRecipients]));
+
+    await this.emitEvent(eventName, { teamId, ...data, userIds });
+  }
+
+  private parseScores(entries: any[]): Array<{ member: string; score: number }> {
+    if (entries.length > 0 && typeof entries[0] === 'object' && 'member' in entries[0]) {
+      return entries.map(entry => ({ member: entry.member, score: Number(entry.score) }));
+    }
+
+    // Flattened [member, score, ...] format
+    const parsed: Array<{ member: string; score: number }> = [];
+    for (let i = 0; i < entries.length; i += 2) {
+      parsed.push({ member: entries[i], score: Number(entries[i + 1]) });
+    }
+    return parsed;
+  }
+
+  private getContributionKey(teamId: string, source: string, period: string, now: Date = new Date()): string {
+    const suffix = this.getPeriodSuffix(period, now);
+    return this.getStorageKey(`contributions:${teamId}:${source}:${period}${suffix ? `:${suffix}` : ''}`);
+  }
+
+  private getPeriodSuffix(period: string, now: Date): string | null {
+    switch (period) {
+      case 'daily':
+        return now.toISOString().split('T')[0];
+      case 'weekly':
+        return `${now.getFullYear()}-W${this.getWeekNumber(now)}`;
+      case 'monthly':
+        return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+      default:
+        return null;
+    }
+  }
+
+  private getPeriodTTL(period: string, now: Date): number | null {
+    let end: Date;
+
+    switch (period) {
+      case 'daily':
+        end = new Date(now);
+        break;
+      case 'weekly':
+        end = new Date(now);
+        end.setDate(now.getDate() + (7 - now.getDay()));
+        break;
+      case 'monthly':
+        end = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+        break;
+      default:
+        return null;
+    }
+
+    end.setHours(23, 59, 59, 999);
+    return Math.floor((end.getTime() - now.getTime()) / 1000) + 1;
+  }
+
+  private getWeekNumber(date: Date): number {
+    const firstDayOfYear = new Date(date.getFullYear(), 0, 1);
+    const pastDaysOfYear = (date.getTime() - firstDayOfYear.getTime()) / 86400000;
+    return Math.ceil((pastDaysOfYear + firstDayOfYear.getDay() + 1) / 7);
+  }
+}
@@ -1,5 +1,5 @@
 import { StorageInterface, ZRangeOptions, type StorageOptions } from './StorageInterface.js';
-import type { StorageKey, StorageValue } from '../types/storage.js';
+import type { StorageKey, StorageKeyType, StorageValue, TransactionOperation } from '../types/storage.js';
 
 interface SortedSetMember {
   member: string;
@@ -19,6 +19,15 @@ interface MultiObject {
   exec(): Promise<any[]>;
 }
 
+// Methods that change data; they wait for open transactions, which would otherwise roll their writes back
+const WRITE_METHODS = [
+  'set', 'setnx', 'setex', 'delete', 'rename', 'increment', 'decrement', 'mset', 'clear', 'expire',
+  'zadd', 'zrem', 'zincrby', 'zremrangebyscore',
+  'lpush', 'rpush', 'lpop', 'rpop', 'ltrim', 'lrem',
+  'sadd', 'srem',
+  'hset', 'hmset', 'hdel', 'hincrby'
+];
+
 export class MemoryStorage extends StorageInterface {
   private data: Map<string, any>;
   private sortedSets: Map<string, Map<string, number>>;
@@ -37,6 +46,7 @@ export class MemoryStorage extends StorageInterface {
     this.hashes = new Map();
     this.expires = new Map();
     this.cleanupInterval = null;
+    this.holdDuringExclusive(WRITE_METHODS);
   }
 
   async connect(): Promise<void> {
@@ -109,6 +119,20 @@ export class MemoryStorage extends StorageInterface {
     }
   }
 
+  async setnx(key: StorageKey, value: StorageValue, ttl?: number): Promise<boolean> {
+    if (!this.isExpired(key) && this.data.has(key)) {
+      return false;
+    }
+
+    this.data.set(key, value === undefined ? null : value);
+    if (ttl) {
+      this.expires.set(key, Date.now() + ttl * 1000);
+    } else {
+      this.expires.delete(key);
+    }
+    return true;
+  }
+
   async setex(key: StorageKey, seconds: number, value: StorageValue): Promise<string> {
     // Convert undefined to null for consistency
     this.data.set(key, value === undefined ? null : value);
@@ -137,6 +161,21 @@ export class MemoryStorage extends StorageInterface {
     return existed;
   }
 
+  async rename(key: StorageKey, newKey: StorageKey): Promise<boolean> {
+    const existed = !this.isExpired(key) && [this.data, this.sortedSets, this.lists, this.sets, this.hashes]
+      .some(space => space.has(key));
+    if (!existed || key === newKey) return existed;
+
+    for (const space of this.keyspaces) {
+      space.delete(newKey);
+      if (space.has(key)) {
+        space.set(newKey, space.get(key));
+        space.delete(key);
+      }
+    }
+    return true;
+  }
+
   async exists(key: StorageKey): Promise<boolean> {
     if (this.isExpired(key)) return false;
     return this.data.has(key) ||
@@ -146,6 +185,16 @@ export class MemoryStorage extends StorageInterface {
            this.hashes.has(key);
   }
 
+  async type(key: StorageKey): Promise<StorageKeyType> {
+    if (this.isExpired(key)) return 'none';
+    if (this.data.has(key)) return 'string';
+    if (this.hashes.has(key)) return 'hash';
+    if (this.sortedSets.has(key)) return 'zset';
+    if (this.lists.has(key)) return 'list';
+    if (this.sets.has(key)) return 'set';
+    return 'none';
+  }
+
   async increment(key: StorageKey, amount: number = 1): Promise<number> {
     const current = await this.get(key) || 0;
     const newValue = Number(current) + amount;
@@ -330,6 +379,40 @@ export class MemoryStorage extends StorageInterface {
     return count;
   }
 
+  async zrangebyscore(key: StorageKey, min: string | number, max: string | number, options: ZRangeOptions | boolean = false): Promise<any[]> {
+    if (!this.sortedSets.has(key)) return [];
+
+    const withScores = typeof options === 'object' && options !== null ? options.withScores : options;
+    const minValue = min === '-inf' ? -Infinity : Number(min);
+    const maxValue = max === '+inf' ? Infinity : Number(max);
+
+    const result = Array.from(this.sortedSets.get(key)!.entries())
+      .filter(([, score]) => score >= minValue && score <= maxValue)
+      .sort((a, b) => a[1] - b[1]);
+
+    if (withScores) {
+      return result.map(([member, score]) => ({ member, score }));
+    }
+    return result.map(([member]) => member);
+  }
+
+  async zremrangebyscore(key: StorageKey, min: string | number, max: string | number): Promise<number> {
+    if (!this.sortedSets.has(key)) return 0;
+
+    const minValue = min === '-inf' ? -Infinity : Number(min);
+    const maxValue = max === '+inf' ? Infinity : Number(max);
+    const sortedSet = this.sortedSets.get(key)!;
+
+    let removed = 0;
+    for (const [member, score] of sortedSet) {
+      if (score >= minValue && score <= maxValue) {
+        sortedSet.delete(member);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
   async zcard(key: StorageKey): Promise<number> {
     if (!this.sortedSets.has(key)) return 0;
     return this.sortedSets.get(key)!.size;
@@ -397,6 +480,17 @@ export class MemoryStorage extends StorageInterface {
     return this.lists.get(key)!.length;
   }
 
+  async ltrim(key: StorageKey, start: number, stop: number): Promise<void> {
+    if (!this.lists.has(key)) return;
+
+    const kept = await this.lrange(key, start, stop);
+    if (kept.length === 0) {
+      this.lists.delete(key);
+    } else {
+      this.lists.set(key, kept);
+    }
+  }
+
   async lrem(key: StorageKey, count: number, value: any): Promise<number> {
     if (!this.lists.has(key)) return 0;
 
@@ -521,6 +615,10 @@ export class MemoryStorage extends StorageInterface {
     return result;
   }
 
+  async hlen(key: StorageKey): Promise<number> {
+    return this.hashes.get(key)?.size || 0;
+  }
+
   async hmset(key: StorageKey, fields: Record<string, any>): Promise<void> {
     if (!this.hashes.has(key)) {
       this.hashes.set(key, new Map());
@@ -597,19 +695,118 @@ export class MemoryStorage extends StorageInterface {
     return ttl > 0 ? ttl : -2;
   }
 
-  async transaction(operations: MultiCommand[]): Promise<any[]> {
-    const results: any[] = [];
+  async transaction(operations: TransactionOperation[]): Promise<any[]> {
+    this.checkOperations(operations);
 
-    try {
-      for (const op of operations) {
-        const { method, args } = op;
-        const result = await (this as any)[method](...args);
-        results.push(result);
+    return this.exclusive(async () => {
+      const undo = operations.map(operation => this.saveTouched(operation));
+
+      try {
+        return await this.runOperations(operations);
+      } catch (error) {
+        undo.reverse().forEach(restore => restore());
+        throw error;
       }
-      return results;
-    } catch (error) {
-      throw error;
-    }
+    });
+  }
+
+  /**
+   * Saves what the operation may change, down to the members or fields it names, and
+   * returns a function that puts it back. Plain writes wait for the transaction, so
+   * nothing else changes those parts in between.
+   */
+  private saveTouched(operation: TransactionOperation): () => void {
+    const [key, ...args] = operation.args;
+
+    switch (operation.method) {
+      case 'set':
+      case 'increment':
+      case 'decrement':
+        return this.saveEntries(key, [this.data, this.expires]);
+      case 'expire':
+        return this.saveEntries(key, [this.expires]);
+      case 'delete':
+        return this.saveEntries(key, this.keyspaces);
+      case 'zadd':
+        return this.saveFields(this.sortedSets, key, Array.isArray(args[0]) ? args[0].map(item => item.member) : [args[1]]);
+      case 'zrem':
+        return this.saveFields(this.sortedSets, key, [args[0]]);
+      case 'zincrby':
+        return this.saveFields(this.sortedSets, key, [args[1]]);
+      case 'hset':
+      case 'hincrby':
+        return this.saveFields(this.hashes, key, [args[0]]);
+      case 'hdel':
+        return this.saveFields(this.hashes, key, args);
+      case 'sadd':
+      case 'srem':
+        return this.saveMembers(key, args.length === 1 && Array.isArray(args[0]) ? args[0] : args);
+      case 'lpush':
+      case 'rpush':
+        return this.saveListLength(key, operation.method === 'lpush');
+      default:
+        return () => {};
+    }
+  }
+
+  private get keyspaces(): Map<string, any>[] {
+    return [this.data, this.sortedSets, this.lists, this.sets, this.hashes, this.expires];
+  }
+
+  private saveEntries(key: StorageKey, spaces: Map<string, any>[]): () => void {
+    const entries = spaces.map(space => (space.has(key) ? copyEntry(space.get(key)) : undefined));
+
+    return () => spaces.forEach((space, index) => {
+      if (entries[index] === undefined) {
+        space.delete(key);
+      } else {
+        space.set(key, entries[index]);
+      }
+    });
+  }
+
+  // For the keyspaces whose entries are maps: sorted set scores and hash fields
+  private saveFields(space: Map<string, Map<any, any>>, key: StorageKey, fields: any[]): () => void {
+    if (!space.has(key)) return () => space.delete(key);
+
+    const map = space.get(key)!;
+    const saved = fields.map(field => [field, map.has(field), map.get(field)] as const);
+
+    return () => {
+      const current = space.get(key) ?? map;
+      space.set(key, current);
+      for (const [field, had, value] of saved) {
+        if (had) current.set(field, value); else current.delete(field);
+      }
+    };
+  }
+
+  private saveMembers(key: StorageKey, members: any[]): () => void {
+    if (!this.sets.has(key)) return () => this.sets.delete(key);
+
+    const set = this.sets.get(key)!;
+    const saved = members.map(member => [member, set.has(member)] as const);
+
+    return () => {
+      const current = this.sets.get(key) ?? set;
+      this.sets.set(key, current);
+      for (const [member, had] of saved) {
+        if (had) current.add(member); else current.delete(member);
+      }
+    };
+  }
+
+  // Pushed values are taken off the end they went on
+  private saveListLength(key: StorageKey, head: boolean): () => void {
+    if (!this.lists.has(key)) return () => this.lists.delete(key);
+
+    const length = this.lists.get(key)!.length;
+
+    return () => {
+      const list = this.lists.get(key);
+      if (!list) return;
+      if (head) list.splice(0, list.length - length); else list.length = length;
+    };
   }
 
   multi(): MultiObject {
@@ -646,3 +843,10 @@ export class MemoryStorage extends StorageInterface {
     return multiObject;
   }
 }
+
+function copyEntry(entry: any): any {
+  if (entry instanceof Map) return new Map(entry);
+  if (entry instanceof Set) return new Set(entry);
+  if (Array.isArray(entry)) return [...entry];
+  return entry;
+}
@@ -1,6 +1,7 @@
+import { AsyncLocalStorage } from 'async_hooks';
 import { StorageInterface, type StorageOptions } from './StorageInterface.js';
-import type { StorageKey, StorageValue } from '../types/storage.js';
-import type { MongoClient, Db } from 'mongodb';
+import type { StorageKey, StorageKeyType, StorageValue, TransactionOperation } from '../types/storage.js';
+import type { MongoClient, Db, Collection, ClientSession } from 'mongodb';
 
 interface MongoStorageOptions extends StorageOptions {
   url?: string;
@@ -23,16 +24,18 @@ interface MongoDoc {
   fields?: Record<string, any>;
 }
 
-interface MultiCommand {
-  method: string;
-  args: any[];
-}
+// Position of the options argument of the driver methods this adapter calls
+const OPTIONS_ARGUMENT: Record<string, number> = {
+  find: 1, findOne: 1, countDocuments: 1, deleteOne: 1, deleteMany: 1, bulkWrite: 1,
+  distinct: 2, replaceOne: 2, updateOne: 2, updateMany: 2, findOneAndUpdate: 2
+};
 
 export class MongoStorage extends StorageInterface {
   private client: MongoClient | null;
   private db: Db | null;
   private dbName: string;
   private collectionPrefix: string;
+  private sessions: AsyncLocalStorage<ClientSession>;
 
   constructor(options: MongoStorageOptions = {}) {
     super(options);
@@ -40,6 +43,7 @@ export class MongoStorage extends StorageInterface {
     this.db = null;
     this.dbName = options.database || 'gamification';
     this.collectionPrefix = options.collectionPrefix || 'gk_';
+    this.sessions = new AsyncLocalStorage();
   }
 
   async connect(): Promise<void> {
@@ -65,6 +69,26 @@ export class MongoStorage extends StorageInterface {
     }
   }
 
+  // Inside transaction() every call on the collection joins its session
+  private collection(name: string): Collection<MongoDoc> {
+    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}${name}`);
+    const session = this.sessions.getStore();
+    if (!session) return collection;
+
+    return new Proxy(collection, {
+      get(target, property, receiver) {
+        const value = Reflect.get(target, property, receiver);
+        const index = OPTIONS_ARGUMENT[property as string];
+        if (index === undefined || typeof value !== 'function') return value;
+
+        return (...args: any[]) => {
+          args[index] = { ...args[index], session };
+          return value.apply(target, args);
+        };
+      }
+    });
+  }
+
   private async ensureIndexes(): Promise<void> {
     const kvCollection = this.db!.collection(`${this.collectionPrefix}keyvalue`);
     await kvCollection.createIndex({ key: 1 }, { unique: true });
@@ -83,7 +107,7 @@ export class MongoStorage extends StorageInterface {
   }
 
   async get(key: StorageKey): Promise<StorageValue> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}keyvalue`);
+    const collection = this.collection('keyvalue');
     const doc = await collection.findOne({ key });
 
     if (!doc || (doc.expiresAt && doc.expiresAt < new Date())) {
@@ -97,7 +121,7 @@ export class MongoStorage extends StorageInterface {
   }
 
   async set(key: StorageKey, value: StorageValue, ttl?: number): Promise<void> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}keyvalue`);
+    const collection = this.collection('keyvalue');
     const doc: MongoDoc = {
       key,
       value,
@@ -115,19 +139,49 @@ export class MongoStorage extends StorageInterface {
     );
   }
 
+  async setnx(key: StorageKey, value: StorageValue, ttl?: number): Promise<boolean> {
+    const collection = this.collection('keyvalue');
+    const update: Record<string, any> = {
+      $set: {
+        value,
+        updatedAt: new Date(),
+        ...(ttl && { expiresAt: new Date(Date.now() + ttl * 1000) })
+      }
+    };
+
+    if (!ttl) {
+      update.$unset = { expiresAt: '' };
+    }
+
+    try {
+      // Only an expired document matches the filter; a live one makes the upsert hit the unique key index
+      await collection.updateOne(
+        { key, expiresAt: { $lte: new Date() } },
+        update,
+        { upsert: true }
+      );
+      return true;
+    } catch (error: any) {
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
   async delete(key: StorageKey): Promise<boolean> {
     const collections = [
-      `${this.collectionPrefix}keyvalue`,
-      `${this.collectionPrefix}sortedsets`,
-      `${this.collectionPrefix}lists`,
-      `${this.collectionPrefix}sets`,
-      `${this.collectionPrefix}hashes`
+      'keyvalue',
+      'sortedsets',
+      'lists',
+      'sets',
+      'hashes'
     ];
 
     let deleted = false;
 
     for (const collName of collections) {
-      const collection = this.db!.collection(collName);
+      const collection = this.collection(collName);
       const result = await collection.deleteMany({ key });
       if (result.deletedCount > 0) deleted = true;
     }
@@ -135,17 +189,39 @@ export class MongoStorage extends StorageInterface {
     return deleted;
   }
 
+  async rename(key: StorageKey, newKey: StorageKey): Promise<boolean> {
+    const collections = ['keyvalue', 'sortedsets', 'lists', 'sets', 'hashes'];
+    const session = this.client!.startSession();
+    let renamed = false;
+
+    try {
+      await session.withTransaction(() => this.sessions.run(session, async () => {
+        renamed = await this.exists(key);
+        if (!renamed || key === newKey) return;
+
+        for (const collName of collections) {
+          const collection = this.collection(collName);
+          await collection.deleteMany({ key: newKey });
+          await collection.updateMany({ key }, { $set: { key: newKey } });
+        }
+      }));
+      return renamed;
+    } finally {
+      await session.endSession();
+    }
+  }
+
   async exists(key: StorageKey): Promise<boolean> {
     const collections = [
-      `${this.collectionPrefix}keyvalue`,
-      `${this.collectionPrefix}sortedsets`,
-      `${this.collectionPrefix}lists`,
-      `${this.collectionPrefix}sets`,
-      `${this.collectionPrefix}hashes`
+      'keyvalue',
+      'sortedsets',
+      'lists',
+      'sets',
+      'hashes'
     ];
 
     for (const collName of collections) {
-      const collection = this.db!.collection(collName);
+      const collection = this.collection(collName);
       const count = await collection.countDocuments({ key });
       if (count > 0) return true;
     }
@@ -153,8 +229,26 @@ export class MongoStorage extends StorageInterface {
     return false;
   }
 
+  async type(key: StorageKey): Promise<StorageKeyType> {
+    const collections: Array<[string, StorageKeyType]> = [
+      ['keyvalue', 'string'],
+      ['hashes', 'hash'],
+      ['sortedsets', 'zset'],
+      ['lists', 'list'],
+      ['sets', 'set']
+    ];
+
+    for (const [collName, type] of collections) {
+      const collection = this.collection(collName);
+      const count = await collection.countDocuments({ key }, { limit: 1 });
+      if (count > 0) return type;
+    }
+
+    return 'none';
+  }
+
   async increment(key: StorageKey, amount: number = 1): Promise<number> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}keyvalue`);
+    const collection = this.collection('keyvalue');
     const result = await collection.findOneAndUpdate(
       { key },
       {
@@ -176,7 +270,7 @@ export class MongoStorage extends StorageInterface {
   }
 
   async mget(keys: StorageKey[]): Promise<any[]> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}keyvalue`);
+    const collection = this.collection('keyvalue');
     const docs = await collection.find({ key: { $in: keys } }).toArray();
 
     const docMap = new Map(docs.map(d => [d.key, d]));
@@ -191,7 +285,7 @@ export class MongoStorage extends StorageInterface {
   }
 
   async mset(entries: Record<string, any>): Promise<void> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}keyvalue`);
+    const collection = this.collection('keyvalue');
     const operations: any[] = [];
 
     for (const [key, value] of Object.entries(entries)) {
@@ -219,17 +313,17 @@ export class MongoStorage extends StorageInterface {
       .replace(/\?/g, '.');
     const regex = new RegExp('^' + escaped + '$');
     const collections = [
-      `${this.collectionPrefix}keyvalue`,
-      `${this.collectionPrefix}sortedsets`,
-      `${this.collectionPrefix}lists`,
-      `${this.collectionPrefix}sets`,
-      `${this.collectionPrefix}hashes`
+      'keyvalue',
+      'sortedsets',
+      'lists',
+      'sets',
+      'hashes'
     ];
 
     const allKeys = new Set<string>();
 
     for (const collName of collections) {
-      const collection = this.db!.collection(collName);
+      const collection = this.collection(collName);
       const keys = await collection.distinct('key', { key: { $regex: regex } });
       keys.forEach(k => allKeys.add(k));
     }
@@ -251,7 +345,7 @@ export class MongoStorage extends StorageInterface {
   }
 
   async zadd(key: StorageKey, score: number, member: any): Promise<number> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}sortedsets`);
+    const collection = this.collection('sortedsets');
     // Fix BUG-038: Return count instead of boolean to match MemoryStorage
     const doc = await collection.findOne({ key, member });
     await collection.replaceOne(
@@ -263,13 +357,13 @@ export class MongoStorage extends StorageInterface {
   }
 
   async zrem(key: StorageKey, member: any): Promise<number> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}sortedsets`);
+    const collection = this.collection('sortedsets');
     const result = await collection.deleteOne({ key, member });
     return result.deletedCount > 0 ? 1 : 0;
   }
 
   async zrange(key: StorageKey, start: number, stop: number, withScores?: boolean): Promise<any[]> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}sortedsets`);
+    const collection = this.collection('sortedsets');
     const docs = await collection
       .find({ key })
       .sort({ score: 1 })
@@ -287,7 +381,7 @@ export class MongoStorage extends StorageInterface {
   }
 
   async zrevrange(key: StorageKey, start: number, stop: number, withScores?: boolean): Promise<any[]> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}sortedsets`);
+    const collection = this.collection('sortedsets');
     const docs = await collection
       .find({ key })
       .sort({ score: -1 })
@@ -305,7 +399,7 @@ export class MongoStorage extends StorageInterface {
   }
 
   async zrank(key: StorageKey, member: any): Promise<number | null> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}sortedsets`);
+    const collection = this.collection('sortedsets');
     const docs = await collection
       .find({ key })
       .sort({ score: 1 })
@@ -316,7 +410,7 @@ export class MongoStorage extends StorageInterface {
   }
 
   async zrevrank(key: StorageKey, member: any): Promise<number | null> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}sortedsets`);
+    const collection = this.collection('sortedsets');
     const docs = await collection
       .find({ key })
       .sort({ score: -1 })
@@ -327,13 +421,13 @@ export class MongoStorage extends StorageInterface {
   }
 
   async zscore(key: StorageKey, member: any): Promise<number | null> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}sortedsets`);
+    const collection = this.collection('sortedsets');
     const doc = await collection.findOne({ key, member });
     return doc ? doc.score! : null;
   }
 
   async zcount(key: StorageKey, min: string | number, max: string | number): Promise<number> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}sortedsets`);
+    const collection = this.collection('sortedsets');
 
     // Fix BUG-039: Handle special Redis values '-inf' and '+inf'
     const minValue = min === '-inf' ? -Infinity : Number(min);
@@ -345,8 +439,33 @@ export class MongoStorage extends StorageInterface {
     });
   }
 
+  async zrangebyscore(key: StorageKey, min: string | number, max: string | number, withScores?: boolean): Promise<any[]> {
+    const collection = this.collection('sortedsets');
+    const minValue = min === '-inf' ? -Infinity : Number(min);
+    const maxValue = max === '+inf' ? Infinity : Number(max);
+
+    const docs = await collection
+      .find({ key, score: { $gte: minValue, $lte: maxValue } })
+      .sort({ score: 1 })
+      .toArray();
+
+    if (withScores) {
+      return docs.map(d => ({ member: d.member, score: d.score }));
+    }
+    return docs.map(d => d.member);
+  }
+
+  async zremrangebyscore(key: StorageKey, min: string | number, max: string | number): Promise<number> {
+    const collection = this.collection('sortedsets');
+    const minValue = min === '-inf' ? -Infinity : Number(min);
+    const maxValue = max === '+inf' ? Infinity : Number(max);
+
+    const result = await collection.deleteMany({ key, score: { $gte: minValue, $lte: maxValue } });
+    return result.deletedCount;
+  }
+
   async zincrby(key: StorageKey, increment: number, member: any): Promise<number> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}sortedsets`);
+    const collection = this.collection('sortedsets');
     const result = await collection.findOneAndUpdate(
       { key, member },
       {
@@ -364,7 +483,7 @@ export class MongoStorage extends StorageInterface {
   }
 
   async lpush(key: StorageKey, ...values: any[]): Promise<number> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}lists`);
+    const collection = this.collection('lists');
     await collection.updateOne(
       { key },
       {
@@ -380,7 +499,7 @@ export class MongoStorage extends StorageInterface {
   }
 
   async rpush(key: StorageKey, ...values: any[]): Promise<number> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}lists`);
+    const collection = this.collection('lists');
     await collection.updateOne(
       { key },
       {
@@ -396,7 +515,7 @@ export class MongoStorage extends StorageInterface {
   }
 
   async lpop(key: StorageKey): Promise<any> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}lists`);
+    const collection = this.collection('lists');
     const result = await collection.findOneAndUpdate(
       { key },
       { $pop: { values: -1 } },
@@ -408,7 +527,7 @@ export class MongoStorage extends StorageInterface {
   }
 
   async rpop(key: StorageKey): Promise<any> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}lists`);
+    const collection = this.collection('lists');
     const result = await collection.findOneAndUpdate(
       { key },
       { $pop: { values: 1 } },
@@ -420,7 +539,7 @@ export class MongoStorage extends StorageInterface {
   }
 
   async lrange(key: StorageKey, start: number, stop: number): Promise<any[]> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}lists`);
+    const collection = this.collection('lists');
     const doc = await collection.findOne({ key });
 
     if (!doc || !doc.values) return [];
@@ -433,13 +552,24 @@ export class MongoStorage extends StorageInterface {
   }
 
   async llen(key: StorageKey): Promise<number> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}lists`);
+    const collection = this.collection('lists');
     const doc = await collection.findOne({ key });
     return doc && doc.values ? doc.values.length : 0;
   }
 
+  async ltrim(key: StorageKey, start: number, stop: number): Promise<void> {
+    const collection = this.collection('lists');
+    const kept = await this.lrange(key, start, stop);
+
+    if (kept.length === 0) {
+      await collection.deleteOne({ key });
+    } else {
+      await collection.updateOne({ key }, { $set: { values: kept } });
+    }
+  }
+
   async sadd(key: StorageKey, ...members: any[]): Promise<number> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}sets`);
+    const collection = this.collection('sets');
     const result = await collection.updateOne(
       { key },
       {
@@ -453,7 +583,7 @@ export class MongoStorage extends StorageInterface {
   }
 
   async srem(key: StorageKey, ...members: any[]): Promise<number> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}sets`);
+    const collection = this.collection('sets');
     const result = await collection.updateOne(
       { key },
       { $pull: { members: { $in: members } } }
@@ -463,13 +593,13 @@ export class MongoStorage extends StorageInterface {
   }
 
   async smembers(key: StorageKey): Promise<any[]> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}sets`);
+    const collection = this.collection('sets');
     const doc = await collection.findOne({ key });
     return doc && doc.members ? doc.members : [];
   }
 
   async sismember(key: StorageKey, member: any): Promise<boolean> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}sets`);
+    const collection = this.collection('sets');
     const count = await collection.countDocuments({
       key,
       members: member
@@ -478,13 +608,13 @@ export class MongoStorage extends StorageInterface {
   }
 
   async scard(key: StorageKey): Promise<number> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}sets`);
+    const collection = this.collection('sets');
     const doc = await collection.findOne({ key });
     return doc && doc.members ? doc.members.length : 0;
   }
 
   async hset(key: StorageKey, field: string, value: any): Promise<void> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}hashes`);
+    const collection = this.collection('hashes');
     await collection.updateOne(
       { key },
       {
@@ -496,20 +626,26 @@ export class MongoStorage extends StorageInterface {
   }
 
   async hget(key: StorageKey, field: string): Promise<any> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}hashes`);
+    const collection = this.collection('hashes');
     const doc = await collection.findOne({ key });
     return doc && doc.fields && doc.fields[field] !== undefined ?
       doc.fields[field] : null;
   }
 
   async hgetall(key: StorageKey): Promise<Record<string, any>> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}hashes`);
+    const collection = this.collection('hashes');
     const doc = await collection.findOne({ key });
     return doc && doc.fields ? doc.fields : {};
   }
 
+  async hlen(key: StorageKey): Promise<number> {
+    const collection = this.collection('hashes');
+    const doc = await collection.findOne({ key });
+    return doc && doc.fields ? Object.keys(doc.fields).length : 0;
+  }
+
   async hdel(key: StorageKey, ...fields: string[]): Promise<number> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}hashes`);
+    const collection = this.collection('hashes');
     const unset: Record<string, number> = {};
     fields.forEach(f => unset[`fields.${f}`] = 1);
 
@@ -522,7 +658,7 @@ export class MongoStorage extends StorageInterface {
   }
 
   async hincrby(key: StorageKey, field: string, increment: number): Promise<number> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}hashes`);
+    const collection = this.collection('hashes');
     const result = await collection.findOneAndUpdate(
       { key },
       {
@@ -540,7 +676,7 @@ export class MongoStorage extends StorageInterface {
   }
 
   async expire(key: StorageKey, seconds: number): Promise<boolean> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}keyvalue`);
+    const collection = this.collection('keyvalue');
     const result = await collection.updateOne(
       { key },
       { $set: { expiresAt: new Date(Date.now() + seconds * 1000) } }
@@ -550,7 +686,7 @@ export class MongoStorage extends StorageInterface {
   }
 
   async ttl(key: StorageKey): Promise<number> {
-    const collection = this.db!.collection<MongoDoc>(`${this.collectionPrefix}keyvalue`);
+    const collection = this.collection('keyvalue');
     const doc = await collection.findOne({ key });
 
     if (!doc) return -2;
@@ -560,21 +696,14 @@ export class MongoStorage extends StorageInterface {
     return ttl > 0 ? ttl : -2;
   }
 
-  async transaction(operations: MultiCommand[]): Promise<any[]> {
+  async transaction(operations: TransactionOperation[]): Promise<any[]> {
+    this.checkOperations(operations);
+
+    // Multi-document transactions need a replica set or sharded cluster
     const session = this.client!.startSession();
 
     try {
-      const results = await session.withTransaction(async () => {
-        const results: any[] = [];
-        for (const op of operations) {
-          const { method, args } = op;
-          const result = await (this as any)[method](...args);
-          results.push(result);
-        }
-        return results;
-      });
-
-      return results!;
+      return await session.withTransaction(() => this.sessions.run(session, () => this.runOperations(operations)));
     } finally {
       await session.endSession();
     }
@@ -1,6 +1,7 @@
+import { AsyncLocalStorage } from 'async_hooks';
 import { StorageInterface, type StorageOptions } from './StorageInterface.js';
-import type { StorageKey, StorageValue } from '../types/storage.js';
-import type { Pool, PoolClient } from 'pg';
+import type { StorageKey, StorageKeyType, StorageValue, TransactionOperation } from '../types/storage.js';
+import type { Pool, PoolClient, QueryResult } from 'pg';
 
 interface PostgresStorageOptions extends StorageOptions {
   host?: string;
@@ -11,19 +12,16 @@ interface PostgresStorageOptions extends StorageOptions {
   tablePrefix?: string;
 }
 
-interface MultiCommand {
-  method: string;
-  args: any[];
-}
-
 export class PostgresStorage extends StorageInterface {
   private client: Pool | null;
   private tablePrefix: string;
   private cleanupInterval: NodeJS.Timeout | null;
+  private transactionClient: AsyncLocalStorage<PoolClient>;
 
   constructor(options: PostgresStorageOptions = {}) {
     super(options);
     this.client = null;
+    this.transactionClient = new AsyncLocalStorage();
 
     // Fix: Validate tablePrefix to prevent SQL injection
     const tablePrefix = options.tablePrefix || 'gk_';
@@ -60,6 +58,12 @@ export class PostgresStorage extends StorageInterface {
     }
   }
 
+  // Queries inside transaction() run on its connection, everything else on the pool
+  private query(text: string, params?: any[]): Promise<QueryResult<any>> {
+    const client = this.transactionClient.getStore() || this.client!;
+    return params === undefined ? client.query(text) : client.query(text, params);
+  }
+
   private async createTables(): Promise<void> {
     const queries = [
       `CREATE TABLE IF NOT EXISTS ${this.tablePrefix}keyvalue (
@@ -104,7 +108,7 @@ export class PostgresStorage extends StorageInterface {
     ];
 
     for (const query of queries) {
-      await this.client!.query(query);
+      await this.query(query);
     }
   }
 
@@ -116,7 +120,7 @@ export class PostgresStorage extends StorageInterface {
 
     this.cleanupInterval = setInterval(async () => {
       try {
-        await this.client!.query(
+        await this.query(
           `DELETE FROM ${this.tablePrefix}keyvalue WHERE expires_at < NOW()`
         );
       } catch (error: any) {
@@ -139,7 +143,7 @@ export class PostgresStorage extends StorageInterface {
   }
 
   async get(key: StorageKey): Promise<StorageValue> {
-    const result = await this.client!.query(
+    const result = await this.query(
       `SELECT value FROM ${this.tablePrefix}keyvalue
        WHERE key = $1 AND (expires_at IS NULL OR expires_at > NOW())`,
       [key]
@@ -151,7 +155,7 @@ export class PostgresStorage extends StorageInterface {
   async set(key: StorageKey, value: StorageValue, ttl?: number): Promise<void> {
     // Fix BUG-001: SQL Injection - use parameterized query for TTL
     if (ttl) {
-      await this.client!.query(
+      await this.query(
         `INSERT INTO ${this.tablePrefix}keyvalue (key, value, expires_at, updated_at)
          VALUES ($1, $2, NOW() + ($3 || ' seconds')::INTERVAL, NOW())
          ON CONFLICT (key)
@@ -159,7 +163,7 @@ export class PostgresStorage extends StorageInterface {
         [key, JSON.stringify(value), ttl.toString()]
       );
     } else {
-      await this.client!.query(
+      await this.query(
         `INSERT INTO ${this.tablePrefix}keyvalue (key, value, expires_at, updated_at)
          VALUES ($1, $2, NULL, NOW())
          ON CONFLICT (key)
@@ -169,6 +173,21 @@ export class PostgresStorage extends StorageInterface {
     }
   }
 
+  async setnx(key: StorageKey, value: StorageValue, ttl?: number): Promise<boolean> {
+    // An existing row is only replaced once it has expired
+    const result = await this.query(
+      `INSERT INTO ${this.tablePrefix}keyvalue (key, value, expires_at, updated_at)
+       VALUES ($1, $2, CASE WHEN $3::text IS NULL THEN NULL ELSE NOW() + ($3 || ' seconds')::INTERVAL END, NOW())
+       ON CONFLICT (key)
+       DO UPDATE SET value = EXCLUDED.value, expires_at = EXCLUDED.expires_at, updated_at = NOW()
+       WHERE ${this.tablePrefix}keyvalue.expires_at IS NOT NULL AND ${this.tablePrefix}keyvalue.expires_at <= NOW()
+       RETURNING key`,
+      [key, JSON.stringify(value), ttl ? ttl.toString() : null]
+    );
+
+    return result.rows.length > 0;
+  }
+
   async delete(key: StorageKey): Promise<boolean> {
     const queries = [
       `DELETE FROM ${this.tablePrefix}keyvalue WHERE key = $1`,
@@ -181,13 +200,42 @@ export class PostgresStorage extends StorageInterface {
     let deleted = false;
 
     for (const query of queries) {
-      const result = await this.client!.query(query, [key]);
+      const result = await this.query(query, [key]);
       if (result.rowCount && result.rowCount > 0) deleted = true;
     }
 
     return deleted;
   }
 
+  async rename(key: StorageKey, newKey: StorageKey): Promise<boolean> {
+    const tables = ['keyvalue', 'sortedsets', 'lists', 'sets', 'hashes'];
+    const client = await this.client!.connect();
+
+    try {
+      await client.query('BEGIN');
+      let renamed = false;
+      for (const table of tables) {
+        const result = await client.query(`SELECT 1 FROM ${this.tablePrefix}${table} WHERE key = $1 LIMIT 1`, [key]);
+        if (result.rowCount) renamed = true;
+      }
+
+      if (renamed && key !== newKey) {
+        for (const table of tables) {
+          await client.query(`DELETE FROM ${this.tablePrefix}${table} WHERE key = $1`, [newKey]);
+          await client.query(`UPDATE ${this.tablePrefix}${table} SET key = $2 WHERE key = $1`, [key, newKey]);
+        }
+      }
+
+      await client.query('COMMIT');
+      return renamed;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   async exists(key: StorageKey): Promise<boolean> {
     const queries = [
       `SELECT 1 FROM ${this.tablePrefix}keyvalue WHERE key = $1 AND (expires_at IS NULL OR expires_at > NOW())`,
@@ -198,15 +246,32 @@ export class PostgresStorage extends StorageInterface {
     ];
 
     for (const query of queries) {
-      const result = await this.client!.query(query, [key]);
+      const result = await this.query(query, [key]);
       if (result.rows.length > 0) return true;
     }
 
     return false;
   }
 
+  async type(key: StorageKey): Promise<StorageKeyType> {
+    const queries: Array<[string, StorageKeyType]> = [
+      [`SELECT 1 FROM ${this.tablePrefix}keyvalue WHERE key = $1 AND (expires_at IS NULL OR expires_at > NOW())`, 'string'],
+      [`SELECT 1 FROM ${this.tablePrefix}hashes WHERE key = $1 LIMIT 1`, 'hash'],
+      [`SELECT 1 FROM ${this.tablePrefix}sortedsets WHERE key = $1 LIMIT 1`, 'zset'],
+      [`SELECT 1 FROM ${this.tablePrefix}lists WHERE key = $1`, 'list'],
+      [`SELECT 1 FROM ${this.tablePrefix}sets WHERE key = $1 LIMIT 1`, 'set']
+    ];
+
+    for (const [query, type] of queries) {
+      const result = await this.query(query, [key]);
+      if (result.rows.length > 0) return type;
+    }
+
+    return 'none';
+  }
+
   async increment(key: StorageKey, amount: number = 1): Promise<number> {
-    const result = await this.client!.query(
+    const result = await this.query(
       `INSERT INTO ${this.tablePrefix}keyvalue (key, value)
        VALUES ($1, $2)
        ON CONFLICT (key)
@@ -227,7 +292,7 @@ export class PostgresStorage extends StorageInterface {
     if (keys.length === 0) return [];
 
     const placeholders = keys.map((_, i) => `$${i + 1}`).join(', ');
-    const result = await this.client!.query(
+    const result = await this.query(
       `SELECT key, value FROM ${this.tablePrefix}keyvalue
        WHERE key IN (${placeholders})
        AND (expires_at IS NULL OR expires_at > NOW())`,
@@ -253,7 +318,7 @@ export class PostgresStorage extends StorageInterface {
       index += 2;
     }
 
-    await this.client!.query(
+    await this.query(
       `INSERT INTO ${this.tablePrefix}keyvalue (key, value)
        VALUES ${placeholders.join(', ')}
        ON CONFLICT (key)
@@ -276,7 +341,7 @@ export class PostgresStorage extends StorageInterface {
     const allKeys = new Set<string>();
 
     for (const query of queries) {
-      const result = await this.client!.query(query, [sqlPattern]);
+      const result = await this.query(query, [sqlPattern]);
       result.rows.forEach(row => allKeys.add(row.key));
     }
 
@@ -297,7 +362,7 @@ export class PostgresStorage extends StorageInterface {
   }
 
   async zadd(key: StorageKey, score: number, member: any): Promise<number> {
-    await this.client!.query(
+    await this.query(
       `INSERT INTO ${this.tablePrefix}sortedsets (key, member, score)
        VALUES ($1, $2, $3)
        ON CONFLICT (key, member)
@@ -309,7 +374,7 @@ export class PostgresStorage extends StorageInterface {
   }
 
   async zrem(key: StorageKey, member: any): Promise<number> {
-    const result = await this.client!.query(
+    const result = await this.query(
       `DELETE FROM ${this.tablePrefix}sortedsets
        WHERE key = $1 AND member = $2`,
       [key, member]
@@ -319,7 +384,7 @@ export class PostgresStorage extends StorageInterface {
   }
 
   async zrange(key: StorageKey, start: number, stop: number, withScores?: boolean): Promise<any[]> {
-    const result = await this.client!.query(
+    const result = await this.query(
       `SELECT member, score FROM ${this.tablePrefix}sortedsets
        WHERE key = $1
        ORDER BY score ASC, member ASC`,
@@ -339,7 +404,7 @@ export class PostgresStorage extends StorageInterface {
   }
 
   async zrevrange(key: StorageKey, start: number, stop: number, withScores?: boolean): Promise<any[]> {
-    const result = await this.client!.query(
+    const result = await this.query(
       `SELECT member, score FROM ${this.tablePrefix}sortedsets
        WHERE key = $1
        ORDER BY score DESC, member DESC`,
@@ -359,7 +424,7 @@ export class PostgresStorage extends StorageInterface {
   }
 
   async zrank(key: StorageKey, member: any): Promise<number | null> {
-    const result = await this.client!.query(
+    const result = await this.query(
       `WITH ranked AS (
         SELECT member, ROW_NUMBER() OVER (ORDER BY score ASC, member ASC) - 1 as rank
         FROM ${this.tablePrefix}sortedsets
@@ -373,7 +438,7 @@ export class PostgresStorage extends StorageInterface {
   }
 
   async zrevrank(key: StorageKey, member: any): Promise<number | null> {
-    const result = await this.client!.query(
+    const result = await this.query(
       `WITH ranked AS (
         SELECT member, ROW_NUMBER() OVER (ORDER BY score DESC, member DESC) - 1 as rank
         FROM ${this.tablePrefix}sortedsets
@@ -387,7 +452,7 @@ export class PostgresStorage extends StorageInterface {
   }
 
   async zscore(key: StorageKey, member: any): Promise<number | null> {
-    const result = await this.client!.query(
+    const result = await this.query(
       `SELECT score FROM ${this.tablePrefix}sortedsets
        WHERE key = $1 AND member = $2`,
       [key, member]
@@ -419,12 +484,54 @@ export class PostgresStorage extends StorageInterface {
       params = [key, minValue, maxValue];
     }
 
-    const result = await this.client!.query(query, params);
+    const result = await this.query(query, params);
     return parseInt(result.rows[0].count);
   }
 
+  async zrangebyscore(key: StorageKey, min: string | number, max: string | number, withScores?: boolean): Promise<any[]> {
+    const { condition, params } = this.scoreCondition(min, max);
+    const result = await this.query(
+      `SELECT member, score FROM ${this.tablePrefix}sortedsets
+       WHERE key = $1${condition}
+       ORDER BY score ASC, member ASC`,
+      [key, ...params]
+    );
+
+    if (withScores) {
+      return result.rows.map((r: any) => ({ member: r.member, score: r.score }));
+    }
+    return result.rows.map((r: any) => r.member);
+  }
+
+  async zremrangebyscore(key: StorageKey, min: string | number, max: string | number): Promise<number> {
+    const { condition, params } = this.scoreCondition(min, max);
+    const result = await this.query(
+      `DELETE FROM ${this.tablePrefix}sortedsets WHERE key = $1${condition}`,
+      [key, ...params]
+    );
+    return result.rowCount || 0;
+  }
+
+  // Score bounds as extra WHERE clauses after the key, leaving out infinite ones
+  private scoreCondition(min: string | number, max: string | number): { condition: string; params: number[] } {
+    const minValue = min === '-inf' ? -Infinity : Number(min);
+    const maxValue = max === '+inf' ? Infinity : Number(max);
+    let condition = '';
+    const params: number[] = [];
+
+    if (minValue !== -Infinity) {
+      params.push(minValue);
+      condition += ` AND score >= $${params.length + 1}`;
+    }
+    if (maxValue !== Infinity) {
+      params.push(maxValue);
+      condition += ` AND score <= $${params.length + 1}`;
+    }
+    return { condition, params };
+  }
+
   async zincrby(key: StorageKey, increment: number, member: any): Promise<number> {
-    const result = await this.client!.query(
+    const result = await this.query(
       `INSERT INTO ${this.tablePrefix}sortedsets (key, member, score)
        VALUES ($1, $2, $3)
        ON CONFLICT (key, member)
@@ -437,7 +544,7 @@ export class PostgresStorage extends StorageInterface {
   }
 
   async lpush(key: StorageKey, ...values: any[]): Promise<number> {
-    const result = await this.client!.query(
+    const result = await this.query(
       `INSERT INTO ${this.tablePrefix}lists (key, values)
        VALUES ($1, $2)
        ON CONFLICT (key)
@@ -450,7 +557,7 @@ export class PostgresStorage extends StorageInterface {
   }
 
   async rpush(key: StorageKey, ...values: any[]): Promise<number> {
-    const result = await this.client!.query(
+    const result = await this.query(
       `INSERT INTO ${this.tablePrefix}lists (key, values)
        VALUES ($1, $2)
        ON CONFLICT (key)
@@ -463,7 +570,7 @@ export class PostgresStorage extends StorageInterface {
   }
 
   async lpop(key: StorageKey): Promise<any> {
-    const result = await this.client!.query(
+    const result = await this.query(
       `UPDATE ${this.tablePrefix}lists
        SET values = values[1:]
        WHERE key = $1 AND jsonb_array_length(values) > 0
@@ -475,7 +582,7 @@ export class PostgresStorage extends StorageInterface {
   }
 
   async rpop(key: StorageKey): Promise<any> {
-    const result = await this.client!.query(
+    const result = await this.query(
       `UPDATE ${this.tablePrefix}lists
        SET values = values[0:jsonb_array_length(values)-1]
        WHERE key = $1 AND jsonb_array_length(values) > 0
@@ -487,7 +594,7 @@ export class PostgresStorage extends StorageInterface {
   }
 
   async lrange(key: StorageKey, start: number, stop: number): Promise<any[]> {
-    const result = await this.client!.query(
+    const result = await this.query(
       `SELECT values FROM ${this.tablePrefix}lists WHERE key = $1`,
       [key]
     );
@@ -502,7 +609,7 @@ export class PostgresStorage extends StorageInterface {
   }
 
   async llen(key: StorageKey): Promise<number> {
-    const result = await this.client!.query(
+    const result = await this.query(
       `SELECT jsonb_array_length(values) as length
        FROM ${this.tablePrefix}lists WHERE key = $1`,
       [key]
@@ -511,6 +618,19 @@ export class PostgresStorage extends StorageInterface {
     return result.rows.length > 0 ? result.rows[0].length : 0;
   }
 
+  async ltrim(key: StorageKey, start: number, stop: number): Promise<void> {
+    const kept = await this.lrange(key, start, stop);
+
+    if (kept.length === 0) {
+      await this.query(`DELETE FROM ${this.tablePrefix}lists WHERE key = $1`, [key]);
+    } else {
+      await this.query(
+        `UPDATE ${this.tablePrefix}lists SET values = $2 WHERE key = $1`,
+        [key, JSON.stringify(kept)]
+      );
+    }
+  }
+
   async sadd(key: StorageKey, ...members: any[]): Promise<number> {
     const values: any[] = [];
     const placeholders: string[] = [];
@@ -522,7 +642,7 @@ export class PostgresStorage extends StorageInterface {
       index++;
     }
 
-    const result = await this.client!.query(
+    const result = await this.query(
       `INSERT INTO ${this.tablePrefix}sets (key, member)
        VALUES ${placeholders.join(', ')}
        ON CONFLICT (key, member) DO NOTHING`,
@@ -536,7 +656,7 @@ export class PostgresStorage extends StorageInterface {
     if (members.length === 0) return 0;
 
     const placeholders = members.map((_, i) => `$${i + 2}`).join(', ');
-    const result = await this.client!.query(
+    const result = await this.query(
       `DELETE FROM ${this.tablePrefix}sets
        WHERE key = $1 AND member IN (${placeholders})`,
       [key, ...members]
@@ -546,7 +666,7 @@ export class PostgresStorage extends StorageInterface {
   }
 
   async smembers(key: StorageKey): Promise<any[]> {
-    const result = await this.client!.query(
+    const result = await this.query(
       `SELECT member FROM ${this.tablePrefix}sets WHERE key = $1`,
       [key]
     );
@@ -555,7 +675,7 @@ export class PostgresStorage extends StorageInterface {
   }
 
   async sismember(key: StorageKey, member: any): Promise<boolean> {
-    const result = await this.client!.query(
+    const result = await this.query(
       `SELECT 1 FROM ${this.tablePrefix}sets
        WHERE key = $1 AND member = $2`,
       [key, member]
@@ -565,7 +685,7 @@ export class PostgresStorage extends StorageInterface {
   }
 
   async scard(key: StorageKey): Promise<number> {
-    const result = await this.client!.query(
+    const result = await this.query(
       `SELECT COUNT(*) FROM ${this.tablePrefix}sets WHERE key = $1`,
       [key]
     );
@@ -574,7 +694,7 @@ export class PostgresStorage extends StorageInterface {
   }
 
   async hset(key: StorageKey, field: string, value: any): Promise<void> {
-    await this.client!.query(
+    await this.query(
       `INSERT INTO ${this.tablePrefix}hashes (key, field, value)
        VALUES ($1, $2, $3)
        ON CONFLICT (key, field)
@@ -584,7 +704,7 @@ export class PostgresStorage extends StorageInterface {
   }
 
   async hget(key: StorageKey, field: string): Promise<any> {
-    const result = await this.client!.query(
+    const result = await this.query(
       `SELECT value FROM ${this.tablePrefix}hashes
        WHERE key = $1 AND field = $2`,
       [key, field]
@@ -594,7 +714,7 @@ export class PostgresStorage extends StorageInterface {
   }
 
   async hgetall(key: StorageKey): Promise<Record<string, any>> {
-    const result = await this.client!.query(
+    const result = await this.query(
       `SELECT field, value FROM ${this.tablePrefix}hashes WHERE key = $1`,
       [key]
     );
@@ -607,11 +727,20 @@ export class PostgresStorage extends StorageInterface {
     return hash;
   }
 
+  async hlen(key: StorageKey): Promise<number> {
+    const result = await this.query(
+      `SELECT COUNT(*) AS count FROM ${this.tablePrefix}hashes WHERE key = $1`,
+      [key]
+    );
+
+    return parseInt(result.rows[0].count);
+  }
+
   async hdel(key: StorageKey, ...fields: string[]): Promise<number> {
     if (fields.length === 0) return 0;
 
     const placeholders = fields.map((_, i) => `$${i + 2}`).join(', ');
-    const result = await this.client!.query(
+    const result = await this.query(
       `DELETE FROM ${this.tablePrefix}hashes
        WHERE key = $1 AND field IN (${placeholders})`,
       [key, ...fields]
@@ -621,7 +750,7 @@ export class PostgresStorage extends StorageInterface {
   }
 
   async hincrby(key: StorageKey, field: string, increment: number): Promise<number> {
-    const result = await this.client!.query(
+    const result = await this.query(
       `INSERT INTO ${this.tablePrefix}hashes (key, field, value)
        VALUES ($1, $2, $3)
        ON CONFLICT (key, field)
@@ -635,7 +764,7 @@ export class PostgresStorage extends StorageInterface {
 
   async expire(key: StorageKey, seconds: number): Promise<boolean> {
     // Fix BUG-002: SQL Injection - use parameterized query for seconds
-    const result = await this.client!.query(
+    const result = await this.query(
       `UPDATE ${this.tablePrefix}keyvalue
        SET expires_at = NOW() + ($2 || ' seconds')::INTERVAL
        WHERE key = $1`,
@@ -646,7 +775,7 @@ export class PostgresStorage extends StorageInterface {
   }
 
   async ttl(key: StorageKey): Promise<number> {
-    const result = await this.client!.query(
+    const result = await this.query(
       `SELECT EXTRACT(EPOCH FROM (expires_at - NOW()))::integer as ttl
        FROM ${this.tablePrefix}keyvalue
        WHERE key = $1`,
@@ -659,25 +788,17 @@ export class PostgresStorage extends StorageInterface {
     return Math.max(0, result.rows[0].ttl);
   }
 
-  async transaction(operations: MultiCommand[]): Promise<any[]> {
+  async transaction(operations: TransactionOperation[]): Promise<any[]> {
+    this.checkOperations(operations);
+
     // Fix CRIT-012: Ensure connection is always released even on errors
     let client: PoolClient | null = null;
-    const originalClient = this.client;
 
     try {
       client = await this.client!.connect();
       await client.query('BEGIN');
 
-      // Temporarily replace this.client with transaction client
-      // so all operations execute within the transaction
-      this.client = client as any;
-
-      const results: any[] = [];
-      for (const op of operations) {
-        const { method, args } = op;
-        const result = await (this as any)[method](...args);
-        results.push(result);
-      }
+      const results = await this.transactionClient.run(client, () => this.runOperations(operations));
 
       await client.query('COMMIT');
       return results;
@@ -693,9 +814,6 @@ export class PostgresStorage extends StorageInterface {
       }
       throw error;
     } finally {
-      // Always restore original client
-      this.client = originalClient;
-
       // Always release the connection if we got one
       if (client) {
         try {
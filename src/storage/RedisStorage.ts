@@ -1,5 +1,5 @@
 import { StorageInterface, type StorageOptions } from './StorageInterface.js';
-import type { StorageKey, StorageValue } from '../types/storage.js';
+import type { StorageKey, StorageKeyType, StorageValue, TransactionOperation } from '../types/storage.js';
 import type { RedisClientType } from 'redis';
 
 interface RedisStorageOptions extends StorageOptions {
@@ -10,9 +10,39 @@ interface RedisStorageOptions extends StorageOptions {
   keyPrefix?: string;
 }
 
-interface MultiCommand {
-  method: string;
-  args: any[];
+// How each transaction method is queued on a MULTI, mirroring the adapter method of the same name
+const MULTI_COMMANDS: Record<string, (multi: any, key: string, ...args: any[]) => void> = {
+  set: (multi, key, value, ttl) => (ttl ? multi.set(key, serialize(value), { EX: ttl }) : multi.set(key, serialize(value))),
+  delete: (multi, key) => multi.del(key),
+  increment: (multi, key, amount = 1) => multi.incrBy(key, amount),
+  decrement: (multi, key, amount = 1) => multi.decrBy(key, amount),
+  expire: (multi, key, seconds) => multi.expire(key, seconds),
+  zadd: (multi, key, score, member) => multi.zAdd(key, { score, value: member }),
+  zrem: (multi, key, member) => multi.zRem(key, member),
+  zincrby: (multi, key, increment, member) => multi.zIncrBy(key, increment, member),
+  lpush: (multi, key, ...values) => multi.lPush(key, values),
+  rpush: (multi, key, ...values) => multi.rPush(key, values),
+  sadd: (multi, key, ...members) => multi.sAdd(key, members),
+  srem: (multi, key, ...members) => multi.sRem(key, members),
+  hset: (multi, key, field, value) => multi.hSet(key, field, serialize(value)),
+  hdel: (multi, key, ...fields) => multi.hDel(key, fields),
+  hincrby: (multi, key, field, increment) => multi.hIncrBy(key, field, increment)
+};
+
+// EXEC replies the adapter methods reshape before returning them
+const MULTI_REPLIES: Record<string, (reply: any) => any> = {
+  set: () => undefined,
+  hset: () => undefined,
+  delete: reply => reply > 0,
+  zrem: reply => (reply > 0 ? 1 : 0),
+  expire: reply => Boolean(reply)
+};
+
+// Times a bounded transaction is retried when a watched key changes before EXEC
+const WATCH_RETRIES = 5;
+
+function serialize(value: any): string {
+  return typeof value === 'string' ? value : JSON.stringify(value);
 }
 
 export class RedisStorage extends StorageInterface {
@@ -83,7 +113,7 @@ export class RedisStorage extends StorageInterface {
   }
 
   async set(key: StorageKey, value: StorageValue, ttl?: number): Promise<void> {
-    const serialized = typeof value === 'string' ? value : JSON.stringify(value);
+    const serialized = serialize(value);
     if (ttl) {
       await this.client!.set(this.getKey(key), serialized, { EX: ttl });
     } else {
@@ -91,16 +121,38 @@ export class RedisStorage extends StorageInterface {
     }
   }
 
+  async setnx(key: StorageKey, value: StorageValue, ttl?: number): Promise<boolean> {
+    const serialized = serialize(value);
+    const result = ttl
+      ? await this.client!.set(this.getKey(key), serialized, { NX: true, EX: ttl })
+      : await this.client!.set(this.getKey(key), serialized, { NX: true });
+    return result === 'OK';
+  }
+
   async delete(key: StorageKey): Promise<boolean> {
     const result = await this.client!.del(this.getKey(key));
     return result > 0;
   }
 
+  async rename(key: StorageKey, newKey: StorageKey): Promise<boolean> {
+    try {
+      await this.client!.rename(this.getKey(key), this.getKey(newKey));
+      return true;
+    } catch (error: any) {
+      if (/no such key/i.test(error.message)) return false;
+      throw error;
+    }
+  }
+
   async exists(key: StorageKey): Promise<boolean> {
     const result = await this.client!.exists(this.getKey(key));
     return result > 0;
   }
 
+  async type(key: StorageKey): Promise<StorageKeyType> {
+    return await this.client!.type(this.getKey(key)) as StorageKeyType;
+  }
+
   async increment(key: StorageKey, amount: number = 1): Promise<number> {
     return await this.client!.incrBy(this.getKey(key), amount);
   }
@@ -127,7 +179,7 @@ export class RedisStorage extends StorageInterface {
     const pairs: string[] = [];
     for (const [key, value] of Object.entries(entries)) {
       pairs.push(this.getKey(key));
-      pairs.push(typeof value === 'string' ? value : JSON.stringify(value));
+      pairs.push(serialize(value));
     }
     await this.client!.mSet(pairs);
   }
@@ -189,6 +241,17 @@ export class RedisStorage extends StorageInterface {
     return await this.client!.zCount(this.getKey(key), min, max);
   }
 
+  async zrangebyscore(key: StorageKey, min: string | number, max: string | number, withScores?: boolean): Promise<any[]> {
+    if (withScores) {
+      return await this.client!.zRangeByScoreWithScores(this.getKey(key), min, max);
+    }
+    return await this.client!.zRangeByScore(this.getKey(key), min, max);
+  }
+
+  async zremrangebyscore(key: StorageKey, min: string | number, max: string | number): Promise<number> {
+    return await this.client!.zRemRangeByScore(this.getKey(key), min, max);
+  }
+
   async zincrby(key: StorageKey, increment: number, member: any): Promise<number> {
     return await this.client!.zIncrBy(this.getKey(key), increment, member);
   }
@@ -217,6 +280,10 @@ export class RedisStorage extends StorageInterface {
     return await this.client!.lLen(this.getKey(key));
   }
 
+  async ltrim(key: StorageKey, start: number, stop: number): Promise<void> {
+    await this.client!.lTrim(this.getKey(key), start, stop);
+  }
+
   async sadd(key: StorageKey, ...members: any[]): Promise<number> {
     return await this.client!.sAdd(this.getKey(key), members);
   }
@@ -239,7 +306,7 @@ export class RedisStorage extends StorageInterface {
   }
 
   async hset(key: StorageKey, field: string, value: any): Promise<void> {
-    const serialized = typeof value === 'string' ? value : JSON.stringify(value);
+    const serialized = serialize(value);
     await this.client!.hSet(this.getKey(key), field, serialized);
   }
 
@@ -267,6 +334,10 @@ export class RedisStorage extends StorageInterface {
     return result;
   }
 
+  async hlen(key: StorageKey): Promise<number> {
+    return await this.client!.hLen(this.getKey(key));
+  }
+
   async hdel(key: StorageKey, ...fields: string[]): Promise<number> {
     return await this.client!.hDel(this.getKey(key), fields);
   }
@@ -283,19 +354,93 @@ export class RedisStorage extends StorageInterface {
     return await this.client!.ttl(this.getKey(key));
   }
 
-  async transaction(operations: MultiCommand[]): Promise<any[]> {
-    const multi = this.client!.multi();
+  async transaction(operations: TransactionOperation[]): Promise<any[]> {
+    this.checkOperations(operations);
 
-    for (const op of operations) {
-      const { method, args } = op;
-      // Apply key prefix to the first argument (which is always the key)
-      const prefixedArgs = [...args];
-      if (prefixedArgs.length > 0 && typeof prefixedArgs[0] === 'string') {
-        prefixedArgs[0] = this.getKey(prefixedArgs[0]);
+    if (!operations.some(operation => this.isBounded(operation))) {
+      return this.execMulti(this.client!.multi(), operations);
+    }
+
+    // Bounded results are worked out from watched keys first; EXEC fails if another client changed them meanwhile
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.client!.executeIsolated(async (isolated: any) => {
+          await isolated.watch([...new Set(operations.map(operation => this.getKey(operation.args[0])))]);
+          await this.checkPredictedBounds(isolated, operations);
+          return this.execMulti(isolated.multi(), operations);
+        });
+      } catch (error: any) {
+        if (error?.constructor?.name !== 'WatchError' || attempt >= WATCH_RETRIES) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  private async execMulti(multi: any, operations: TransactionOperation[]): Promise<any[]> {
+    for (const { method, args } of operations) {
+      const [key, ...rest] = args;
+      MULTI_COMMANDS[method](multi, this.getKey(key), ...rest);
+    }
+
+    const replies = await multi.exec() as any[];
+    return replies.map((reply, index) => {
+      const reshape = MULTI_REPLIES[operations[index].method];
+      return reshape ? reshape(reply) : reply;
+    });
+  }
+
+  // Replays the counters and set members the operations change, so bounds are checked before anything is written
+  private async checkPredictedBounds(client: any, operations: TransactionOperation[]): Promise<void> {
+    const counters = new Map<string, number>();
+    const members = new Map<string, Set<any>>();
+
+    for (const operation of operations) {
+      const [key, ...rest] = operation.args;
+      const redisKey = this.getKey(key);
+      let result: number;
+
+      if (operation.method === 'sadd') {
+        const known = members.get(redisKey) || new Set();
+        members.set(redisKey, known);
+        result = 0;
+
+        for (const member of new Set(rest)) {
+          if (!known.has(member) && !(await client.sIsMember(redisKey, member))) result++;
+          known.add(member);
+        }
+      } else {
+        const counter = this.counterOf(operation.method, redisKey, rest);
+        if (!counter) continue;
+
+        const current = counters.has(counter.slot)
+          ? counters.get(counter.slot)!
+          : Number(await counter.read(client)) || 0;
+        result = current + counter.delta;
+        counters.set(counter.slot, result);
+      }
+
+      if (this.isBounded(operation)) {
+        this.checkBounds(operation, result);
       }
-      (multi as any)[method](...prefixedArgs);
     }
+  }
 
-    return await multi.exec() as any[];
+  private counterOf(
+    method: string,
+    key: string,
+    args: any[]
+  ): { slot: string; delta: number; read: (client: any) => Promise<any> } | null {
+    if (method === 'increment' || method === 'decrement') {
+      const amount = args[0] ?? 1;
+      return { slot: key, delta: method === 'increment' ? amount : -amount, read: client => client.get(key) };
+    }
+    if (method === 'hincrby') {
+      return { slot: `${key}\0${args[0]}`, delta: args[1], read: client => client.hGet(key, args[0]) };
+    }
+    if (method === 'zincrby') {
+      return { slot: `${key}\0${args[1]}`, delta: args[0], read: client => client.zScore(key, args[1]) };
+    }
+    return null;
   }
 }
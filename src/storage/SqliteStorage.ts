@@ -0,0 +1,841 @@
+import { StorageInterface, type StorageOptions } from './StorageInterface.js';
+import type { StorageKey, StorageKeyType, StorageValue, StorageListOptions, TransactionOperation } from '../types/storage.js';
+import type { Database, Statement } from 'better-sqlite3';
+
+interface SqliteStorageOptions extends StorageOptions {
+  filename?: string;
+  tablePrefix?: string;
+  readonly?: boolean;
+  timeout?: number;
+}
+
+// Every method that touches the database, besides connecting and transaction() itself
+const DATA_METHODS = [
+  'get', 'set', 'setnx', 'setex', 'delete', 'rename', 'exists', 'type', 'increment', 'decrement',
+  'mget', 'mset', 'mdelete', 'keys', 'list', 'clear', 'expire', 'persist', 'ttl',
+  'zadd', 'zrem', 'zrange', 'zrevrange', 'zrank', 'zrevrank', 'zscore', 'zcount',
+  'zrangebyscore', 'zremrangebyscore', 'zcard', 'zincrby',
+  'lpush', 'rpush', 'lpop', 'rpop', 'lrange', 'llen', 'ltrim', 'lrem',
+  'sadd', 'srem', 'smembers', 'sismember', 'scard',
+  'hset', 'hget', 'hmget', 'hmset', 'hgetall', 'hkeys', 'hvals', 'hexists', 'hlen', 'hdel', 'hincrby'
+];
+
+/**
+ * Embedded storage backed by a single SQLite file, for deployments without a database server.
+ * Every data type can expire, like in Redis: expiries live in their own table.
+ */
+export class SqliteStorage extends StorageInterface {
+  private db: Database | null;
+  private tablePrefix: string;
+  private statements: Map<string, Statement>;
+  private cleanupInterval: NodeJS.Timeout | null;
+
+  constructor(options: SqliteStorageOptions = {}) {
+    super(options);
+    this.db = null;
+
+    // Table names cannot be bound as parameters, so the prefix is restricted instead
+    const tablePrefix = options.tablePrefix || 'gk_';
+    if (!/^[a-zA-Z0-9_]+$/.test(tablePrefix)) {
+      throw new Error('Invalid tablePrefix: must contain only alphanumeric characters and underscores');
+    }
+    this.tablePrefix = tablePrefix;
+
+    this.statements = new Map();
+    this.cleanupInterval = null;
+
+    // A transaction keeps the shared connection open between its operations, so other calls
+    // wait rather than read its uncommitted writes or get rolled back with it
+    this.holdDuringExclusive(DATA_METHODS);
+  }
+
+  async connect(): Promise<void> {
+    try {
+      const { default: BetterSqlite3 } = await import('better-sqlite3');
+      const options = this.options as SqliteStorageOptions;
+
+      this.db = new BetterSqlite3(options.filename || 'gamification.db', {
+        readonly: options.readonly || false,
+        timeout: options.timeout || 5000
+      });
+
+      if (!this.db.memory && !this.db.readonly) {
+        this.db.pragma('journal_mode = WAL');
+      }
+
+      this.createTables();
+      this.connected = true;
+
+      this.startCleanupJob();
+    } catch (error: any) {
+      throw new Error(`Failed to connect to SQLite: ${error.message}`);
+    }
+  }
+
+  private createTables(): void {
+    const p = this.tablePrefix;
+
+    this.db!.exec(`
+      CREATE TABLE IF NOT EXISTS ${p}keyvalue (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS ${p}sortedsets (
+        key TEXT,
+        member TEXT,
+        score REAL NOT NULL,
+        PRIMARY KEY (key, member)
+      );
+
+      CREATE TABLE IF NOT EXISTS ${p}lists (
+        key TEXT,
+        position INTEGER,
+        value TEXT,
+        PRIMARY KEY (key, position)
+      );
+
+      CREATE TABLE IF NOT EXISTS ${p}sets (
+        key TEXT,
+        member TEXT,
+        PRIMARY KEY (key, member)
+      );
+
+      CREATE TABLE IF NOT EXISTS ${p}hashes (
+        key TEXT,
+        field TEXT,
+        value TEXT,
+        PRIMARY KEY (key, field)
+      );
+
+      CREATE TABLE IF NOT EXISTS ${p}expires (
+        key TEXT PRIMARY KEY,
+        expires_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_${p}sortedsets_score ON ${p}sortedsets(key, score);
+      CREATE INDEX IF NOT EXISTS idx_${p}expires_at ON ${p}expires(expires_at);
+    `);
+  }
+
+  private startCleanupJob(): void {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+    }
+
+    this.cleanupInterval = setInterval(() => {
+      // Left for the next run rather than joining an open transaction
+      if (this.db?.inTransaction) return;
+
+      try {
+        this.purgeExpired();
+      } catch (error: any) {
+        console.error('Cleanup job error:', error);
+      }
+    }, 60000);
+  }
+
+  async disconnect(): Promise<void> {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+    }
+
+    if (this.db) {
+      this.statements.clear();
+      this.db.close();
+      this.db = null;
+      this.connected = false;
+    }
+  }
+
+  // Statements are compiled once per SQL text and reused
+  private prepare(sql: string): Statement {
+    let statement = this.statements.get(sql);
+    if (!statement) {
+      statement = this.db!.prepare(sql);
+      this.statements.set(sql, statement);
+    }
+    return statement;
+  }
+
+  private serialize(value: any): string {
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  private deserialize(value: string | null | undefined): any {
+    if (value === null || value === undefined) return null;
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value;
+    }
+  }
+
+  private removeKey(key: StorageKey): boolean {
+    const p = this.tablePrefix;
+    let removed = 0;
+
+    for (const table of ['keyvalue', 'sortedsets', 'lists', 'sets', 'hashes']) {
+      removed += this.prepare(`DELETE FROM ${p}${table} WHERE key = ?`).run(key).changes;
+    }
+    this.prepare(`DELETE FROM ${p}expires WHERE key = ?`).run(key);
+
+    return removed > 0;
+  }
+
+  // Drops the key if its expiry has passed, so every read sees it as missing
+  private expireIfDue(key: StorageKey): void {
+    const row = this.prepare(`SELECT expires_at FROM ${this.tablePrefix}expires WHERE key = ?`).get(key) as any;
+    if (row && row.expires_at <= Date.now()) {
+      this.removeKey(key);
+    }
+  }
+
+  private purgeExpired(): number {
+    const rows = this.prepare(`SELECT key FROM ${this.tablePrefix}expires WHERE expires_at <= ?`).all(Date.now()) as any[];
+    const purge = this.db!.transaction(() => {
+      for (const row of rows) this.removeKey(row.key);
+    });
+    purge();
+    return rows.length;
+  }
+
+  private setExpiry(key: StorageKey, seconds: number | undefined): void {
+    if (seconds) {
+      this.prepare(
+        `INSERT INTO ${this.tablePrefix}expires (key, expires_at) VALUES (?, ?)
+         ON CONFLICT (key) DO UPDATE SET expires_at = excluded.expires_at`
+      ).run(key, Date.now() + seconds * 1000);
+    } else {
+      this.prepare(`DELETE FROM ${this.tablePrefix}expires WHERE key = ?`).run(key);
+    }
+  }
+
+  private writeValue(key: StorageKey, value: StorageValue): void {
+    this.prepare(
+      `INSERT INTO ${this.tablePrefix}keyvalue (key, value) VALUES (?, ?)
+       ON CONFLICT (key) DO UPDATE SET value = excluded.value`
+    ).run(key, this.serialize(value));
+  }
+
+  private sliceBounds(length: number, start: number, stop: number): [number, number] {
+    const actualStart = Math.max(0, start < 0 ? length + start : start);
+    const actualStop = Math.min(length - 1, stop < 0 ? length + stop : stop);
+    return [actualStart, actualStop];
+  }
+
+  async get(key: StorageKey): Promise<StorageValue> {
+    this.expireIfDue(key);
+    const row = this.prepare(`SELECT value FROM ${this.tablePrefix}keyvalue WHERE key = ?`).get(key) as any;
+    return row ? this.deserialize(row.value) : null;
+  }
+
+  async set(key: StorageKey, value: StorageValue, ttl?: number): Promise<void> {
+    this.db!.transaction(() => {
+      this.writeValue(key, value);
+      this.setExpiry(key, ttl);
+    })();
+  }
+
+  async setnx(key: StorageKey, value: StorageValue, ttl?: number): Promise<boolean> {
+    return this.db!.transaction(() => {
+      this.expireIfDue(key);
+      if (this.prepare(`SELECT 1 FROM ${this.tablePrefix}keyvalue WHERE key = ?`).get(key)) {
+        return false;
+      }
+
+      this.writeValue(key, value);
+      this.setExpiry(key, ttl);
+      return true;
+    })();
+  }
+
+  async setex(key: StorageKey, seconds: number, value: StorageValue): Promise<string> {
+    this.db!.transaction(() => {
+      this.writeValue(key, value);
+      this.prepare(
+        `INSERT INTO ${this.tablePrefix}expires (key, expires_at) VALUES (?, ?)
+         ON CONFLICT (key) DO UPDATE SET expires_at = excluded.expires_at`
+      ).run(key, Date.now() + Math.max(0, seconds) * 1000);
+    })();
+    return 'OK';
+  }
+
+  async delete(key: StorageKey): Promise<boolean> {
+    return this.db!.transaction(() => this.removeKey(key))();
+  }
+
+  async rename(key: StorageKey, newKey: StorageKey): Promise<boolean> {
+    return this.db!.transaction(() => {
+      this.expireIfDue(key);
+
+      const p = this.tablePrefix;
+      const tables = ['keyvalue', 'sortedsets', 'lists', 'sets', 'hashes'];
+      const existed = tables.some(table => this.prepare(`SELECT 1 FROM ${p}${table} WHERE key = ? LIMIT 1`).get(key));
+      if (!existed || key === newKey) return existed;
+
+      this.removeKey(newKey);
+      for (const table of [...tables, 'expires']) {
+        this.prepare(`UPDATE ${p}${table} SET key = ? WHERE key = ?`).run(newKey, key);
+      }
+      return true;
+    })();
+  }
+
+  async exists(key: StorageKey): Promise<boolean> {
+    return (await this.type(key)) !== 'none';
+  }
+
+  async type(key: StorageKey): Promise<StorageKeyType> {
+    this.expireIfDue(key);
+
+    const p = this.tablePrefix;
+    const tables: Array<[string, StorageKeyType]> = [
+      [`${p}keyvalue`, 'string'],
+      [`${p}hashes`, 'hash'],
+      [`${p}sortedsets`, 'zset'],
+      [`${p}lists`, 'list'],
+      [`${p}sets`, 'set']
+    ];
+
+    for (const [table, type] of tables) {
+      if (this.prepare(`SELECT 1 FROM ${table} WHERE key = ? LIMIT 1`).get(key)) return type;
+    }
+
+    return 'none';
+  }
+
+  async increment(key: StorageKey, amount: number = 1): Promise<number> {
+    return this.db!.transaction(() => {
+      this.expireIfDue(key);
+      const row = this.prepare(`SELECT value FROM ${this.tablePrefix}keyvalue WHERE key = ?`).get(key) as any;
+      const current = row ? this.deserialize(row.value) : 0;
+
+      if (current !== null && isNaN(Number(current))) {
+        throw new Error('Value is not a number');
+      }
+
+      // The expiry is left alone, like in the other adapters
+      const newValue = Number(current || 0) + amount;
+      this.writeValue(key, newValue);
+      return newValue;
+    })();
+  }
+
+  async decrement(key: StorageKey, amount: number = 1): Promise<number> {
+    return this.increment(key, -amount);
+  }
+
+  async mget(keys: StorageKey[]): Promise<any[]> {
+    const results: any[] = [];
+    for (const key of keys) {
+      results.push(await this.get(key));
+    }
+    return results;
+  }
+
+  async mset(entries: Record<string, any> | Array<[StorageKey, StorageValue]>): Promise<void> {
+    const pairs = Array.isArray(entries) ? entries : Object.entries(entries);
+
+    this.db!.transaction(() => {
+      for (const [key, value] of pairs) {
+        this.writeValue(key, value);
+        this.setExpiry(key, undefined);
+      }
+    })();
+  }
+
+  async mdelete(keys: StorageKey[]): Promise<number> {
+    return this.db!.transaction(() => keys.filter(key => this.removeKey(key)).length)();
+  }
+
+  async keys(pattern: string = '*'): Promise<StorageKey[]> {
+    this.purgeExpired();
+
+    // GLOB understands the same * and ? wildcards as Redis, and is case-sensitive like it
+    const p = this.tablePrefix;
+    const rows = this.prepare(
+      `SELECT key FROM ${p}keyvalue WHERE key GLOB @pattern
+       UNION SELECT key FROM ${p}sortedsets WHERE key GLOB @pattern
+       UNION SELECT key FROM ${p}lists WHERE key GLOB @pattern
+       UNION SELECT key FROM ${p}sets WHERE key GLOB @pattern
+       UNION SELECT key FROM ${p}hashes WHERE key GLOB @pattern`
+    ).all({ pattern }) as any[];
+
+    return rows.map(row => row.key);
+  }
+
+  async list(options: StorageListOptions = {}): Promise<StorageKey[]> {
+    const pattern = options.pattern || (options.prefix ? `${options.prefix}*` : '*');
+    const keys = (await this.keys(pattern)).sort();
+    const offset = options.offset || 0;
+
+    return options.limit ? keys.slice(offset, offset + options.limit) : keys.slice(offset);
+  }
+
+  async clear(pattern: string = '*'): Promise<number> {
+    const keys = await this.keys(pattern);
+    return this.mdelete(keys);
+  }
+
+  async zadd(key: StorageKey, score: number, member: any): Promise<number> {
+    return this.db!.transaction(() => {
+      this.expireIfDue(key);
+      const existed = this.prepare(
+        `SELECT 1 FROM ${this.tablePrefix}sortedsets WHERE key = ? AND member = ?`
+      ).get(key, String(member));
+
+      this.prepare(
+        `INSERT INTO ${this.tablePrefix}sortedsets (key, member, score) VALUES (?, ?, ?)
+         ON CONFLICT (key, member) DO UPDATE SET score = excluded.score`
+      ).run(key, String(member), score);
+
+      return existed ? 0 : 1;
+    })();
+  }
+
+  async zrem(key: StorageKey, member: any): Promise<number> {
+    this.expireIfDue(key);
+    const result = this.prepare(
+      `DELETE FROM ${this.tablePrefix}sortedsets WHERE key = ? AND member = ?`
+    ).run(key, String(member));
+
+    return result.changes > 0 ? 1 : 0;
+  }
+
+  private rangeByScore(key: StorageKey, start: number, stop: number, withScores: boolean, descending: boolean): any[] {
+    this.expireIfDue(key);
+
+    const order = descending ? 'score DESC, member DESC' : 'score ASC, member ASC';
+    const length = (this.prepare(
+      `SELECT COUNT(*) AS count FROM ${this.tablePrefix}sortedsets WHERE key = ?`
+    ).get(key) as any).count;
+    const [actualStart, actualStop] = this.sliceBounds(length, start, stop);
+    if (actualStart > actualStop) return [];
+
+    const rows = this.prepare(
+      `SELECT member, score FROM ${this.tablePrefix}sortedsets
+       WHERE key = ? ORDER BY ${order} LIMIT ? OFFSET ?`
+    ).all(key, actualStop - actualStart + 1, actualStart) as any[];
+
+    if (withScores) {
+      return rows.map(row => ({ member: row.member, score: row.score }));
+    }
+    return rows.map(row => row.member);
+  }
+
+  async zrange(key: StorageKey, start: number, stop: number, withScores?: boolean | { withScores?: boolean }): Promise<any[]> {
+    const scores = typeof withScores === 'object' && withScores !== null ? Boolean(withScores.withScores) : Boolean(withScores);
+    return this.rangeByScore(key, start, stop, scores, false);
+  }
+
+  async zrevrange(key: StorageKey, start: number, stop: number, withScores?: boolean | { withScores?: boolean }): Promise<any[]> {
+    const scores = typeof withScores === 'object' && withScores !== null ? Boolean(withScores.withScores) : Boolean(withScores);
+    return this.rangeByScore(key, start, stop, scores, true);
+  }
+
+  private rankOf(key: StorageKey, member: any, descending: boolean): number | null {
+    this.expireIfDue(key);
+
+    const row = this.prepare(
+      `SELECT score FROM ${this.tablePrefix}sortedsets WHERE key = ? AND member = ?`
+    ).get(key, String(member)) as any;
+    if (!row) return null;
+
+    // Members ahead of this one, with ties ordered by member like the range queries
+    const ahead = descending
+      ? 'score > @score OR (score = @score AND member > @member)'
+      : 'score < @score OR (score = @score AND member < @member)';
+    const result = this.prepare(
+      `SELECT COUNT(*) AS count FROM ${this.tablePrefix}sortedsets WHERE key = @key AND (${ahead})`
+    ).get({ key, score: row.score, member: String(member) }) as any;
+
+    return result.count;
+  }
+
+  async zrank(key: StorageKey, member: any): Promise<number | null> {
+    return this.rankOf(key, member, false);
+  }
+
+  async zrevrank(key: StorageKey, member: any): Promise<number | null> {
+    return this.rankOf(key, member, true);
+  }
+
+  async zscore(key: StorageKey, member: any): Promise<number | null> {
+    this.expireIfDue(key);
+    const row = this.prepare(
+      `SELECT score FROM ${this.tablePrefix}sortedsets WHERE key = ? AND member = ?`
+    ).get(key, String(member)) as any;
+
+    return row ? row.score : null;
+  }
+
+  async zcount(key: StorageKey, min: string | number, max: string | number): Promise<number> {
+    this.expireIfDue(key);
+
+    // Handle special Redis values '-inf' and '+inf'
+    const minValue = min === '-inf' ? -Infinity : Number(min);
+    const maxValue = max === '+inf' ? Infinity : Number(max);
+
+    const row = this.prepare(
+      `SELECT COUNT(*) AS count FROM ${this.tablePrefix}sortedsets
+       WHERE key = ? AND score >= ? AND score <= ?`
+    ).get(key, minValue, maxValue) as any;
+
+    return row.count;
+  }
+
+  async zrangebyscore(key: StorageKey, min: string | number, max: string | number, withScores?: boolean | { withScores?: boolean }): Promise<any[]> {
+    this.expireIfDue(key);
+
+    const scores = typeof withScores === 'object' && withScores !== null ? Boolean(withScores.withScores) : Boolean(withScores);
+    const minValue = min === '-inf' ? -Infinity : Number(min);
+    const maxValue = max === '+inf' ? Infinity : Number(max);
+
+    const rows = this.prepare(
+      `SELECT member, score FROM ${this.tablePrefix}sortedsets
+       WHERE key = ? AND score >= ? AND score <= ?
+       ORDER BY score ASC, member ASC`
+    ).all(key, minValue, maxValue) as any[];
+
+    if (scores) {
+      return rows.map(row => ({ member: row.member, score: row.score }));
+    }
+    return rows.map(row => row.member);
+  }
+
+  async zremrangebyscore(key: StorageKey, min: string | number, max: string | number): Promise<number> {
+    this.expireIfDue(key);
+
+    const minValue = min === '-inf' ? -Infinity : Number(min);
+    const maxValue = max === '+inf' ? Infinity : Number(max);
+
+    return this.prepare(
+      `DELETE FROM ${this.tablePrefix}sortedsets WHERE key = ? AND score >= ? AND score <= ?`
+    ).run(key, minValue, maxValue).changes;
+  }
+
+  async zcard(key: StorageKey): Promise<number> {
+    this.expireIfDue(key);
+    const row = this.prepare(
+      `SELECT COUNT(*) AS count FROM ${this.tablePrefix}sortedsets WHERE key = ?`
+    ).get(key) as any;
+
+    return row.count;
+  }
+
+  async zincrby(key: StorageKey, increment: number, member: any): Promise<number> {
+    this.expireIfDue(key);
+    const row = this.prepare(
+      `INSERT INTO ${this.tablePrefix}sortedsets (key, member, score) VALUES (?, ?, ?)
+       ON CONFLICT (key, member) DO UPDATE SET score = score + excluded.score
+       RETURNING score`
+    ).get(key, String(member), increment) as any;
+
+    return row.score;
+  }
+
+  // Lists keep an integer position per element; pushes extend it at either end
+  private push(key: StorageKey, values: any[], left: boolean): number {
+    return this.db!.transaction(() => {
+      this.expireIfDue(key);
+
+      const p = this.tablePrefix;
+      const bounds = this.prepare(
+        `SELECT MIN(position) AS head, MAX(position) AS tail, COUNT(*) AS count FROM ${p}lists WHERE key = ?`
+      ).get(key) as any;
+      const insert = this.prepare(`INSERT INTO ${p}lists (key, position, value) VALUES (?, ?, ?)`);
+
+      let head = bounds.count > 0 ? bounds.head : 0;
+      let tail = bounds.count > 0 ? bounds.tail : -1;
+
+      for (const value of values) {
+        const position = left ? --head : ++tail;
+        insert.run(key, position, this.serialize(value));
+      }
+
+      return bounds.count + values.length;
+    })();
+  }
+
+  async lpush(key: StorageKey, ...values: any[]): Promise<number> {
+    return this.push(key, values, true);
+  }
+
+  async rpush(key: StorageKey, ...values: any[]): Promise<number> {
+    return this.push(key, values, false);
+  }
+
+  private pop(key: StorageKey, left: boolean): any {
+    return this.db!.transaction(() => {
+      this.expireIfDue(key);
+
+      const p = this.tablePrefix;
+      const row = this.prepare(
+        `SELECT position, value FROM ${p}lists WHERE key = ?
+         ORDER BY position ${left ? 'ASC' : 'DESC'} LIMIT 1`
+      ).get(key) as any;
+      if (!row) return null;
+
+      this.prepare(`DELETE FROM ${p}lists WHERE key = ? AND position = ?`).run(key, row.position);
+      return this.deserialize(row.value);
+    })();
+  }
+
+  async lpop(key: StorageKey): Promise<any> {
+    return this.pop(key, true);
+  }
+
+  async rpop(key: StorageKey): Promise<any> {
+    return this.pop(key, false);
+  }
+
+  async lrange(key: StorageKey, start: number, stop: number): Promise<any[]> {
+    const length = await this.llen(key);
+    const [actualStart, actualStop] = this.sliceBounds(length, start, stop);
+    if (actualStart > actualStop) return [];
+
+    const rows = this.prepare(
+      `SELECT value FROM ${this.tablePrefix}lists WHERE key = ?
+       ORDER BY position LIMIT ? OFFSET ?`
+    ).all(key, actualStop - actualStart + 1, actualStart) as any[];
+
+    return rows.map(row => this.deserialize(row.value));
+  }
+
+  async llen(key: StorageKey): Promise<number> {
+    this.expireIfDue(key);
+    const row = this.prepare(
+      `SELECT COUNT(*) AS count FROM ${this.tablePrefix}lists WHERE key = ?`
+    ).get(key) as any;
+
+    return row.count;
+  }
+
+  async ltrim(key: StorageKey, start: number, stop: number): Promise<void> {
+    this.db!.transaction(() => {
+      this.expireIfDue(key);
+
+      const p = this.tablePrefix;
+      const { count } = this.prepare(`SELECT COUNT(*) AS count FROM ${p}lists WHERE key = ?`).get(key) as any;
+      const [actualStart, actualStop] = this.sliceBounds(count, start, stop);
+      const kept = Math.max(0, actualStop - actualStart + 1);
+
+      this.prepare(
+        `DELETE FROM ${p}lists WHERE key = ? AND position NOT IN (
+           SELECT position FROM ${p}lists WHERE key = ? ORDER BY position LIMIT ? OFFSET ?
+         )`
+      ).run(key, key, kept, actualStart);
+    })();
+  }
+
+  async lrem(key: StorageKey, count: number, value: any): Promise<number> {
+    return this.db!.transaction(() => {
+      this.expireIfDue(key);
+
+      // count > 0 removes from the head, count < 0 from the tail, 0 removes every match
+      const p = this.tablePrefix;
+      const direction = count < 0 ? 'DESC' : 'ASC';
+      const limit = count === 0 ? -1 : Math.abs(count);
+      const rows = this.prepare(
+        `SELECT position FROM ${p}lists WHERE key = ? AND value = ?
+         ORDER BY position ${direction} LIMIT ?`
+      ).all(key, this.serialize(value), limit) as any[];
+
+      const remove = this.prepare(`DELETE FROM ${p}lists WHERE key = ? AND position = ?`);
+      for (const row of rows) remove.run(key, row.position);
+
+      return rows.length;
+    })();
+  }
+
+  async sadd(key: StorageKey, ...members: any[]): Promise<number> {
+    // Handle array of members
+    const membersToAdd = members.length === 1 && Array.isArray(members[0]) ? members[0] : members;
+
+    return this.db!.transaction(() => {
+      this.expireIfDue(key);
+      const insert = this.prepare(
+        `INSERT INTO ${this.tablePrefix}sets (key, member) VALUES (?, ?) ON CONFLICT (key, member) DO NOTHING`
+      );
+      return membersToAdd.reduce((added: number, member: any) => added + insert.run(key, String(member)).changes, 0);
+    })();
+  }
+
+  async srem(key: StorageKey, ...members: any[]): Promise<number> {
+    const membersToRemove = members.length === 1 && Array.isArray(members[0]) ? members[0] : members;
+
+    return this.db!.transaction(() => {
+      this.expireIfDue(key);
+      const remove = this.prepare(`DELETE FROM ${this.tablePrefix}sets WHERE key = ? AND member = ?`);
+      return membersToRemove.reduce((removed: number, member: any) => removed + remove.run(key, String(member)).changes, 0);
+    })();
+  }
+
+  async smembers(key: StorageKey): Promise<any[]> {
+    this.expireIfDue(key);
+    const rows = this.prepare(`SELECT member FROM ${this.tablePrefix}sets WHERE key = ?`).all(key) as any[];
+    return rows.map(row => row.member);
+  }
+
+  async sismember(key: StorageKey, member: any): Promise<boolean> {
+    this.expireIfDue(key);
+    return Boolean(this.prepare(
+      `SELECT 1 FROM ${this.tablePrefix}sets WHERE key = ? AND member = ?`
+    ).get(key, String(member)));
+  }
+
+  async scard(key: StorageKey): Promise<number> {
+    this.expireIfDue(key);
+    const row = this.prepare(`SELECT COUNT(*) AS count FROM ${this.tablePrefix}sets WHERE key = ?`).get(key) as any;
+    return row.count;
+  }
+
+  async hset(key: StorageKey, field: string, value: any): Promise<void> {
+    this.expireIfDue(key);
+    this.prepare(
+      `INSERT INTO ${this.tablePrefix}hashes (key, field, value) VALUES (?, ?, ?)
+       ON CONFLICT (key, field) DO UPDATE SET value = excluded.value`
+    ).run(key, field, this.serialize(value));
+  }
+
+  async hget(key: StorageKey, field: string): Promise<any> {
+    this.expireIfDue(key);
+    const row = this.prepare(
+      `SELECT value FROM ${this.tablePrefix}hashes WHERE key = ? AND field = ?`
+    ).get(key, field) as any;
+
+    return row ? this.deserialize(row.value) : null;
+  }
+
+  async hmget(key: StorageKey, fields: string[]): Promise<any[]> {
+    const hash = await this.hgetall(key);
+    return fields.map(field => (field in hash ? hash[field] : null));
+  }
+
+  async hmset(key: StorageKey, data: Record<string, any>): Promise<void> {
+    this.db!.transaction(() => {
+      this.expireIfDue(key);
+      const upsert = this.prepare(
+        `INSERT INTO ${this.tablePrefix}hashes (key, field, value) VALUES (?, ?, ?)
+         ON CONFLICT (key, field) DO UPDATE SET value = excluded.value`
+      );
+      for (const [field, value] of Object.entries(data)) {
+        upsert.run(key, field, this.serialize(value));
+      }
+    })();
+  }
+
+  async hgetall(key: StorageKey): Promise<Record<string, any>> {
+    this.expireIfDue(key);
+    const rows = this.prepare(
+      `SELECT field, value FROM ${this.tablePrefix}hashes WHERE key = ?`
+    ).all(key) as any[];
+
+    const hash: Record<string, any> = {};
+    for (const row of rows) {
+      hash[row.field] = this.deserialize(row.value);
+    }
+    return hash;
+  }
+
+  async hkeys(key: StorageKey): Promise<string[]> {
+    return Object.keys(await this.hgetall(key));
+  }
+
+  async hvals(key: StorageKey): Promise<any[]> {
+    return Object.values(await this.hgetall(key));
+  }
+
+  async hexists(key: StorageKey, field: string): Promise<boolean> {
+    this.expireIfDue(key);
+    return Boolean(this.prepare(
+      `SELECT 1 FROM ${this.tablePrefix}hashes WHERE key = ? AND field = ?`
+    ).get(key, field));
+  }
+
+  async hlen(key: StorageKey): Promise<number> {
+    this.expireIfDue(key);
+    const row = this.prepare(`SELECT COUNT(*) AS count FROM ${this.tablePrefix}hashes WHERE key = ?`).get(key) as any;
+    return row.count;
+  }
+
+  async hdel(key: StorageKey, ...fields: any[]): Promise<number> {
+    const fieldsToDelete: string[] = fields.length === 1 && Array.isArray(fields[0]) ? fields[0] : fields;
+
+    return this.db!.transaction(() => {
+      this.expireIfDue(key);
+      const remove = this.prepare(`DELETE FROM ${this.tablePrefix}hashes WHERE key = ? AND field = ?`);
+      return fieldsToDelete.reduce((deleted, field) => deleted + remove.run(key, field).changes, 0);
+    })();
+  }
+
+  async hincrby(key: StorageKey, field: string, increment: number): Promise<number> {
+    return this.db!.transaction(() => {
+      this.expireIfDue(key);
+      const row = this.prepare(
+        `SELECT value FROM ${this.tablePrefix}hashes WHERE key = ? AND field = ?`
+      ).get(key, field) as any;
+      const current = row ? this.deserialize(row.value) : 0;
+
+      if (current !== null && isNaN(Number(current))) {
+        throw new Error('Hash field is not a number');
+      }
+
+      const newValue = Number(current || 0) + increment;
+      this.prepare(
+        `INSERT INTO ${this.tablePrefix}hashes (key, field, value) VALUES (?, ?, ?)
+         ON CONFLICT (key, field) DO UPDATE SET value = excluded.value`
+      ).run(key, field, this.serialize(newValue));
+      return newValue;
+    })();
+  }
+
+  async expire(key: StorageKey, seconds: number): Promise<boolean> {
+    if (!(await this.exists(key))) return false;
+
+    if (seconds <= 0) {
+      await this.delete(key);
+      return true;
+    }
+
+    this.setExpiry(key, seconds);
+    return true;
+  }
+
+  async persist(key: StorageKey): Promise<boolean> {
+    this.expireIfDue(key);
+    return this.prepare(`DELETE FROM ${this.tablePrefix}expires WHERE key = ?`).run(key).changes > 0;
+  }
+
+  async ttl(key: StorageKey): Promise<number> {
+    if (!(await this.exists(key))) return -2;
+
+    const row = this.prepare(`SELECT expires_at FROM ${this.tablePrefix}expires WHERE key = ?`).get(key) as any;
+    if (!row) return -1;
+
+    return Math.ceil((row.expires_at - Date.now()) / 1000);
+  }
+
+  async transaction(operations: TransactionOperation[]): Promise<any[]> {
+    this.checkOperations(operations);
+
+    // One connection serves every caller, so transactions take turns
+    return this.exclusive(async () => {
+      const db = this.db!;
+      db.exec('BEGIN IMMEDIATE');
+
+      try {
+        const results = await this.runOperations(operations);
+        db.exec('COMMIT');
+        return results;
+      } catch (error) {
+        if (db.inTransaction) {
+          db.exec('ROLLBACK');
+        }
+        throw error;
+      }
+    });
+  }
+}
@@ -1,4 +1,5 @@
-import type { StorageKey, StorageValue } from '../types/storage.js';
+import { AsyncLocalStorage } from 'async_hooks';
+import type { StorageKey, StorageKeyType, StorageValue, TransactionOperation } from '../types/storage.js';
 
 export interface StorageOptions {
   [key: string]: any;
@@ -9,13 +10,48 @@ export interface ZRangeOptions {
   reverse?: boolean;
 }
 
+// Adapter methods a transaction may run; every adapter can apply them atomically
+export const TRANSACTION_METHODS = [
+  'set', 'delete', 'increment', 'decrement', 'expire',
+  'zadd', 'zrem', 'zincrby',
+  'lpush', 'rpush',
+  'sadd', 'srem',
+  'hset', 'hdel', 'hincrby'
+];
+
+// Methods with a numeric result that min/max can bound (sadd counts the members it added)
+const BOUNDED_METHODS = ['increment', 'decrement', 'hincrby', 'zincrby', 'sadd'];
+
+/**
+ * Thrown by transaction() when a bounded operation's result falls outside its
+ * min/max. Nothing of the transaction has been applied.
+ */
+export class TransactionAbortedError extends Error {
+  public readonly operation: TransactionOperation;
+  public readonly result: number;
+
+  constructor(operation: TransactionOperation, result: number) {
+    super(`Transaction aborted: ${operation.method}() result ${result} is out of bounds`);
+    this.name = 'TransactionAbortedError';
+    this.operation = operation;
+    this.result = result;
+  }
+}
+
+// The adapter whose exclusive() work the current call chain belongs to
+const exclusiveTurn = new AsyncLocalStorage<StorageInterface>();
+
 export class StorageInterface {
   protected options: StorageOptions;
   protected connected: boolean;
+  private transactionQueue: Promise<unknown>;
+  private pendingExclusive: number;
 
   constructor(options: StorageOptions = {}) {
     this.options = options;
     this.connected = false;
+    this.transactionQueue = Promise.resolve();
+    this.pendingExclusive = 0;
   }
 
   async connect(): Promise<void> {
@@ -34,14 +70,29 @@ export class StorageInterface {
     throw new Error('set() must be implemented by storage adapter');
   }
 
+  // Set only if the key does not exist (or has expired); resolves true when the value was written
+  async setnx(_key: StorageKey, _value: StorageValue, _ttl?: number): Promise<boolean> {
+    throw new Error('setnx() must be implemented by storage adapter');
+  }
+
   async delete(_key: StorageKey, _options?: any): Promise<boolean> {
     throw new Error('delete() must be implemented by storage adapter');
   }
 
+  // Moves the key with its expiry, replacing newKey; resolves false when the key doesn't exist
+  async rename(_key: StorageKey, _newKey: StorageKey): Promise<boolean> {
+    throw new Error('rename() must be implemented by storage adapter');
+  }
+
   async exists(_key: StorageKey): Promise<boolean> {
     throw new Error('exists() must be implemented by storage adapter');
   }
 
+  // Which data type holds the key, using Redis type names; 'none' when the key is missing
+  async type(_key: StorageKey): Promise<StorageKeyType> {
+    throw new Error('type() must be implemented by storage adapter');
+  }
+
   async increment(_key: StorageKey, _amount: number = 1): Promise<number> {
     throw new Error('increment() must be implemented by storage adapter');
   }
@@ -110,6 +161,14 @@ export class StorageInterface {
     throw new Error('zcount() must be implemented by storage adapter');
   }
 
+  async zrangebyscore(_key: StorageKey, _min: string | number, _max: string | number, _withScores?: boolean): Promise<any[]> {
+    throw new Error('zrangebyscore() must be implemented by storage adapter');
+  }
+
+  async zremrangebyscore(_key: StorageKey, _min: string | number, _max: string | number): Promise<number> {
+    throw new Error('zremrangebyscore() must be implemented by storage adapter');
+  }
+
   async zincrby(_key: StorageKey, _increment: number, _member: any): Promise<number> {
     throw new Error('zincrby() must be implemented by storage adapter');
   }
@@ -138,6 +197,10 @@ export class StorageInterface {
     throw new Error('llen() must be implemented by storage adapter');
   }
 
+  async ltrim(_key: StorageKey, _start: number, _stop: number): Promise<void> {
+    throw new Error('ltrim() must be implemented by storage adapter');
+  }
+
   async sadd(_key: StorageKey, _members: any | any[]): Promise<number> {
     throw new Error('sadd() must be implemented by storage adapter');
   }
@@ -210,10 +273,93 @@ export class StorageInterface {
     throw new Error('ttl() must be implemented by storage adapter');
   }
 
-  async transaction(_operations: any[]): Promise<any[]> {
+  /**
+   * Applies the operations as one unit of work: either all of them or, when one
+   * fails or ends out of bounds, none. Results come back in operation order.
+   * Only TRANSACTION_METHODS may be used.
+   */
+  async transaction(_operations: TransactionOperation[]): Promise<any[]> {
     throw new Error('transaction() must be implemented by storage adapter');
   }
 
+  // Rejects a transaction before anything is applied when it asks for something adapters can't do atomically
+  protected checkOperations(operations: TransactionOperation[]): void {
+    if (!Array.isArray(operations)) {
+      throw new Error('Transaction operations must be an array');
+    }
+
+    for (const operation of operations) {
+      if (!TRANSACTION_METHODS.includes(operation?.method)) {
+        throw new Error(`Unsupported transaction operation: ${operation?.method}`);
+      }
+      if (!Array.isArray(operation.args)) {
+        throw new Error(`Transaction operation ${operation.method}() needs an args array`);
+      }
+      if (this.isBounded(operation) && !BOUNDED_METHODS.includes(operation.method)) {
+        throw new Error(`Transaction operation ${operation.method}() cannot be bounded`);
+      }
+    }
+  }
+
+  protected isBounded(operation: TransactionOperation): boolean {
+    return operation.min !== undefined || operation.max !== undefined;
+  }
+
+  protected checkBounds(operation: TransactionOperation, result: number): void {
+    if ((operation.min !== undefined && result < operation.min) ||
+        (operation.max !== undefined && result > operation.max)) {
+      throw new TransactionAbortedError(operation, result);
+    }
+  }
+
+  // Runs the operations one by one through this adapter's own methods, checking bounds as it goes
+  protected async runOperations(operations: TransactionOperation[]): Promise<any[]> {
+    const results: any[] = [];
+
+    for (const operation of operations) {
+      const result = await (this as any)[operation.method](...operation.args);
+      if (this.isBounded(operation)) {
+        this.checkBounds(operation, Number(result));
+      }
+      results.push(result);
+    }
+
+    return results;
+  }
+
+  // Starts work once every earlier exclusive() call has settled, so transactions sharing one connection never interleave
+  protected exclusive<T>(work: () => Promise<T>): Promise<T> {
+    this.pendingExclusive++;
+    const turn = () => exclusiveTurn.run(this, work);
+    const run = this.transactionQueue.then(turn, turn).finally(() => {
+      this.pendingExclusive--;
+    });
+    this.transactionQueue = run.catch(() => undefined);
+    return run;
+  }
+
+  /**
+   * Makes the named methods wait until no exclusive() work is pending, unless they are
+   * called from inside that work. Calls go straight through when nothing is pending.
+   */
+  protected holdDuringExclusive(methods: string[]): void {
+    for (const method of methods) {
+      const call = (this as any)[method].bind(this);
+      (this as any)[method] = (...args: any[]) => {
+        if (this.pendingExclusive === 0 || exclusiveTurn.getStore() === this) return call(...args);
+        return this.afterExclusive(() => call(...args));
+      };
+    }
+  }
+
+  private async afterExclusive<T>(call: () => Promise<T>): Promise<T> {
+    while (this.pendingExclusive > 0) {
+      await this.transactionQueue;
+    }
+    // Calls this one makes don't wait for work queued after it
+    return exclusiveTurn.run(this, call);
+  }
+
   isConnected(): boolean {
     return this.connected;
   }
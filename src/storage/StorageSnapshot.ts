@@ -0,0 +1,382 @@
+import { promises as fs } from 'fs';
+import { Logger } from '../utils/logger.js';
+import { validators } from '../utils/validators.js';
+import type { StorageInterface } from './StorageInterface.js';
+import type { LoggerConfig } from '../types/config.js';
+import type { StorageKey, StorageKeyType } from '../types/storage.js';
+
+export const SNAPSHOT_FORMAT = 'gamification-kit-snapshot';
+export const SNAPSHOT_VERSION = 1;
+
+export type SnapshotRecordType = Exclude<StorageKeyType, 'none'>;
+
+/**
+ * One key as it is written to a snapshot. Values are per type: any value for
+ * strings, an object for hashes, `{ member, score }` pairs for sorted sets and
+ * arrays for lists and sets.
+ */
+export interface SnapshotRecord {
+  key: StorageKey;
+  type: SnapshotRecordType;
+  value: any;
+  expiresAt: number | null;
+}
+
+export interface SnapshotHeader {
+  format: typeof SNAPSHOT_FORMAT;
+  version: number;
+  createdAt: string;
+  pattern: string;
+}
+
+export interface SnapshotSummary {
+  file: string;
+  version: number;
+  createdAt: string;
+  keys: number;
+}
+
+/**
+ * full: write every key. incremental: write only keys that are missing or differ
+ * in the target. verify: write nothing and report what differs.
+ */
+export type SnapshotMode = 'full' | 'incremental' | 'verify';
+
+export type SnapshotMismatchReason = 'missing' | 'extra' | 'type' | 'value' | 'ttl';
+
+export interface SnapshotMismatch {
+  key: StorageKey;
+  reason: SnapshotMismatchReason;
+}
+
+export interface SnapshotResult {
+  mode: SnapshotMode;
+  keys: number;
+  written: number;
+  unchanged: number;
+  mismatches: SnapshotMismatch[];
+}
+
+export interface StorageSnapshotOptions {
+  logger?: LoggerConfig;
+  pattern?: string;
+  batchSize?: number;
+  ttlTolerance?: number; // Seconds two expiries may drift apart before verify reports them
+}
+
+export interface SnapshotApplyOptions {
+  mode?: SnapshotMode;
+}
+
+const MODES: SnapshotMode[] = ['full', 'incremental', 'verify'];
+
+// Snapshot lines are buffered up to this many characters between file writes
+const WRITE_CHUNK = 64 * 1024;
+
+/**
+ * Copies every key of a storage adapter, whatever its data type and expiry, into a
+ * versioned newline-delimited JSON file, back into any adapter, or straight from
+ * one adapter to another. Only the StorageInterface is used, so any pair of
+ * adapters works as source and target.
+ */
+export class StorageSnapshot {
+  private logger: Logger;
+  private pattern: string;
+  private batchSize: number;
+  private ttlTolerance: number;
+
+  constructor(options: StorageSnapshotOptions = {}) {
+    this.logger = new Logger({ prefix: 'StorageSnapshot', ...options.logger });
+    this.pattern = options.pattern || '*';
+    this.batchSize = options.batchSize || 500;
+    this.ttlTolerance = options.ttlTolerance ?? 5;
+
+    validators.isInteger(this.batchSize, 'batchSize');
+    validators.isInRange(this.batchSize, 1, 100000, 'batchSize');
+    validators.isNumber(this.ttlTolerance, 'ttlTolerance');
+  }
+
+  /**
+   * Streams every matching key of the storage into a snapshot file.
+   * The file ends with a trailer line, so a truncated copy is detected on restore.
+   */
+  async backup(source: StorageInterface, filePath: string): Promise<SnapshotSummary> {
+    validators.isNonEmptyString(filePath, 'filePath');
+
+    const header: SnapshotHeader = {
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      createdAt: new Date().toISOString(),
+      pattern: this.pattern
+    };
+
+    const handle = await fs.open(filePath, 'w');
+    let keys = 0;
+
+    try {
+      let buffer = JSON.stringify(header) + '\n';
+
+      for await (const record of this.readStorage(source)) {
+        buffer += JSON.stringify(record) + '\n';
+        keys++;
+
+        if (buffer.length >= WRITE_CHUNK) {
+          await handle.write(buffer);
+          buffer = '';
+        }
+      }
+
+      buffer += JSON.stringify({ end: true, keys }) + '\n';
+      await handle.write(buffer);
+    } finally {
+      await handle.close();
+    }
+
+    this.logger.info(`Snapshot written: ${filePath}`, { keys });
+
+    return { file: filePath, version: SNAPSHOT_VERSION, createdAt: header.createdAt, keys };
+  }
+
+  /**
+   * Loads a snapshot file into the target. Keys that expired since the backup are skipped.
+   */
+  async restore(filePath: string, target: StorageInterface, options: SnapshotApplyOptions = {}): Promise<SnapshotResult> {
+    validators.isNonEmptyString(filePath, 'filePath');
+
+    const result = await this.apply(this.readSnapshot(filePath), target, options.mode);
+    this.logger.info(`Snapshot restored: ${filePath}`, this.summarize(result));
+
+    return result;
+  }
+
+  /**
+   * Copies every matching key from one adapter to another without a file in between
+   */
+  async migrate(source: StorageInterface, target: StorageInterface, options: SnapshotApplyOptions = {}): Promise<SnapshotResult> {
+    const result = await this.apply(this.readStorage(source), target, options.mode);
+    this.logger.info('Storage migrated', this.summarize(result));
+
+    return result;
+  }
+
+  /**
+   * Reads one key in snapshot form, or null when it is missing or an empty collection
+   */
+  async readRecord(storage: StorageInterface, key: StorageKey): Promise<SnapshotRecord | null> {
+    const type = await storage.type(key);
+    if (type === 'none') return null;
+
+    const value = await this.readValue(storage, key, type);
+    const isEmpty = type === 'hash' ? Object.keys(value).length === 0 : type !== 'string' && value.length === 0;
+    if (isEmpty) return null;
+
+    const ttl = await storage.ttl(key);
+
+    return {
+      key,
+      type,
+      value,
+      expiresAt: ttl >= 0 ? Date.now() + ttl * 1000 : null
+    };
+  }
+
+  private async apply(
+    records: AsyncIterable<SnapshotRecord>,
+    target: StorageInterface,
+    mode: SnapshotMode = 'full'
+  ): Promise<SnapshotResult> {
+    validators.isInArray(mode, MODES, 'mode');
+
+    const result: SnapshotResult = { mode, keys: 0, written: 0, unchanged: 0, mismatches: [] };
+    const seen = new Set<StorageKey>();
+
+    for await (const record of records) {
+      result.keys++;
+      seen.add(record.key);
+
+      if (mode !== 'full') {
+        const reason = this.compare(record, await this.readRecord(target, record.key));
+        if (!reason) {
+          result.unchanged++;
+          continue;
+        }
+
+        result.mismatches.push({ key: record.key, reason });
+        if (mode === 'verify') continue;
+      }
+
+      await this.writeRecord(target, record);
+      result.written++;
+    }
+
+    // Keys only the target has are reported, never deleted
+    if (mode === 'verify') {
+      for (const key of await target.keys(this.pattern)) {
+        if (!seen.has(key) && await this.readRecord(target, key)) {
+          result.mismatches.push({ key, reason: 'extra' });
+        }
+      }
+    }
+
+    return result;
+  }
+
+  private async *readStorage(storage: StorageInterface): AsyncGenerator<SnapshotRecord> {
+    const keys = await storage.keys(this.pattern);
+    keys.sort();
+
+    for (const key of keys) {
+      const record = await this.readRecord(storage, key);
+      if (record) yield record;
+    }
+  }
+
+  private async *readSnapshot(filePath: string): AsyncGenerator<SnapshotRecord> {
+    const handle = await fs.open(filePath, 'r');
+    let header: SnapshotHeader | null = null;
+    let complete = false;
+    let lineNumber = 0;
+
+    try {
+      for await (const line of handle.readLines()) {
+        lineNumber++;
+        if (!line.trim()) continue;
+
+        let entry: any;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          throw new Error(`Invalid snapshot line ${lineNumber} in ${filePath}`);
+        }
+
+        if (!header) {
+          header = this.checkHeader(entry, filePath);
+        } else if (entry.end) {
+          complete = true;
+        } else if (entry.expiresAt === null || entry.expiresAt > Date.now()) {
+          yield entry;
+        }
+      }
+    } finally {
+      await handle.close();
+    }
+
+    if (!header) {
+      throw new Error(`Snapshot file is empty: ${filePath}`);
+    }
+    if (!complete) {
+      throw new Error(`Snapshot file is truncated: ${filePath}`);
+    }
+  }
+
+  private checkHeader(entry: any, filePath: string): SnapshotHeader {
+    if (entry?.format !== SNAPSHOT_FORMAT) {
+      throw new Error(`Not a snapshot file: ${filePath}`);
+    }
+    if (!Number.isInteger(entry.version) || entry.version > SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported snapshot version: ${entry.version}`);
+    }
+    return entry;
+  }
+
+  private async readValue(storage: StorageInterface, key: StorageKey, type: SnapshotRecordType): Promise<any> {
+    if (type === 'string') return storage.get(key);
+    if (type === 'hash') return storage.hgetall(key);
+    if (type === 'set') return storage.smembers(key);
+
+    const values: any[] = [];
+    for (let start = 0; ; start += this.batchSize) {
+      const stop = start + this.batchSize - 1;
+      const page = type === 'zset'
+        ? await storage.zrange(key, start, stop, true)
+        : await storage.lrange(key, start, stop);
+
+      values.push(...page);
+      if (page.length < this.batchSize) break;
+    }
+
+    // Redis returns sorted set entries as { value, score }
+    return type === 'zset'
+      ? values.map(entry => ({ member: entry.member ?? entry.value, score: Number(entry.score) }))
+      : values;
+  }
+
+  private async writeRecord(target: StorageInterface, record: SnapshotRecord): Promise<void> {
+    const { key, type, value } = record;
+    const ttl = record.expiresAt === null
+      ? undefined
+      : Math.max(1, Math.ceil((record.expiresAt - Date.now()) / 1000));
+
+    await target.delete(key);
+
+    if (type === 'string') {
+      await target.set(key, value, ttl);
+      return;
+    }
+
+    if (type === 'hash') {
+      for (const [field, fieldValue] of Object.entries(value)) {
+        await target.hset(key, field, fieldValue);
+      }
+    } else if (type === 'zset') {
+      for (const { member, score } of value) {
+        await target.zadd(key, score, member);
+      }
+    } else if (type === 'list') {
+      for (let i = 0; i < value.length; i += this.batchSize) {
+        await target.rpush(key, ...value.slice(i, i + this.batchSize));
+      }
+    } else {
+      for (const member of value) {
+        await target.sadd(key, member);
+      }
+    }
+
+    if (ttl !== undefined) {
+      await target.expire(key, ttl);
+    }
+  }
+
+  private compare(expected: SnapshotRecord, actual: SnapshotRecord | null): SnapshotMismatchReason | null {
+    if (!actual) return 'missing';
+    if (expected.type !== actual.type) return 'type';
+    if (this.fingerprint(expected) !== this.fingerprint(actual)) return 'value';
+
+    if ((expected.expiresAt === null) !== (actual.expiresAt === null)) return 'ttl';
+    if (expected.expiresAt !== null && actual.expiresAt !== null &&
+        Math.abs(expected.expiresAt - actual.expiresAt) > this.ttlTolerance * 1000) {
+      return 'ttl';
+    }
+
+    return null;
+  }
+
+  // Order-independent form of a value: set members and sorted set entries are sorted first
+  private fingerprint(record: SnapshotRecord): string {
+    if (record.type === 'set') {
+      return JSON.stringify(record.value.map(canonical).sort());
+    }
+    if (record.type === 'zset') {
+      return JSON.stringify(record.value.map((entry: any) => canonical([entry.member, entry.score])).sort());
+    }
+    return canonical(record.value);
+  }
+
+  private summarize(result: SnapshotResult): Record<string, any> {
+    return {
+      mode: result.mode,
+      keys: result.keys,
+      written: result.written,
+      unchanged: result.unchanged,
+      mismatches: result.mismatches.length
+    };
+  }
+}
+
+// JSON with object keys sorted, so equal values compare equal whatever their key order
+function canonical(value: any): string {
+  return JSON.stringify(value, (_key, item) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) return item;
+    return Object.fromEntries(Object.entries(item).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+  }) ?? 'null';
+}
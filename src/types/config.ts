@@ -6,10 +6,11 @@ import type { LogLevel, UserId, Metadata as _Metadata } from './common.js';
 
 // Storage configuration
 export interface StorageOptions {
-  type: 'memory' | 'redis' | 'mongodb' | 'postgres';
+  type: 'memory' | 'redis' | 'mongodb' | 'postgres' | 'sqlite';
   host?: string;
   port?: number;
   database?: string;
+  filename?: string;
   url?: string;
   password?: string;
   user?: string;
@@ -101,6 +102,10 @@ export interface WebhookConfig {
   retryBackoff?: 'linear' | 'exponential';
   maxRetryDelay?: number;
   maxQueueSize?: number;
+  pollInterval?: number;
+  batchSize?: number;
+  maxConsecutiveFailures?: number;
+  deliveryLogSize?: number;
   verifySSL?: boolean;
   headers?: Record<string, string>;
   events?: string[];
@@ -113,6 +118,7 @@ export interface MetricsConfig {
   retention?: number;
   detailed?: boolean;
   includeSystem?: boolean;
+  histogramBuckets?: number[];
   customMetrics?: Record<string, () => number | Promise<number>>;
 }
 
@@ -189,6 +195,89 @@ export interface SecretManagerConfig {
   options?: any;
 }
 
+// Idempotent event ingestion
+export interface IdempotencyConfig {
+  ttl?: number; // Seconds a completed result is kept for replays
+  pendingTimeout?: number; // Milliseconds a duplicate waits for an in-flight original, and a dead one holds the key
+}
+
+// Per-user event journal
+export interface JournalConfig {
+  enabled?: boolean;
+  outcomeEvents?: string[]; // Module events recorded alongside tracked events
+  maxEntries?: number; // Entries kept per user; the oldest are trimmed
+}
+
+// Stored rules shared by all instances
+export interface RuleStoreConfig {
+  enabled?: boolean;
+  syncInterval?: number; // How often to check for rule changes (ms)
+}
+
+// Velocity checks and review holds for tracked events
+export interface AbuseVelocityRule {
+  limit?: number; // Events allowed within the window before the rule scores
+  window?: number; // Seconds
+  score?: number;
+}
+
+export interface AbuseTimestampRule {
+  events?: string[]; // Events whose own reported `timestamp` is checked
+  maxSkew?: number; // Seconds a reported time may be off from the server clock
+  score?: number;
+}
+
+export interface AbuseRulesConfig {
+  userVelocity?: AbuseVelocityRule | false;
+  ipVelocity?: AbuseVelocityRule | false;
+  duplicatePayload?: AbuseVelocityRule | false; // Identical event data from one user
+  timestamps?: AbuseTimestampRule | false;
+}
+
+export interface AbuseConfig {
+  enabled?: boolean;
+  threshold?: number; // Score within scoreWindow at which a user is flagged
+  scoreWindow?: number; // Seconds
+  flagTTL?: number; // Seconds a flag lasts, 0 to keep it until cleared
+  ipField?: string; // Event data field holding the client IP
+  heldRetention?: number; // Seconds a held award waits for review before it is dropped
+  rules?: AbuseRulesConfig;
+}
+
+// Admin reversal of points and XP transactions
+export interface ReversalsConfig {
+  enabled?: boolean;
+  retention?: number; // Seconds the effects of a transaction are kept for reversal
+}
+
+// Token authentication for API user routes and WebSocket clients
+export interface AuthConfig {
+  enabled?: boolean;
+  jwt?: {
+    algorithms?: ('HS256' | 'RS256')[];
+    secret?: string; // HS256 shared secret
+    publicKey?: string; // RS256 public key in PEM
+    jwksFile?: string; // Path to a JSON Web Key Set
+    issuer?: string | string[];
+    audience?: string | string[];
+    clockTolerance?: number; // Seconds
+    requireExpiry?: boolean;
+    subjectClaim?: string;
+  };
+  // Replaces JWT verification; resolves the principal for a token, or null to reject it
+  verifier?: (token: string, req: any) => any;
+  adminScope?: string;
+  queryParam?: string; // Query parameter holding the token for WebSocket clients
+  tenantClaim?: string; // Claim naming the tenant a non-admin token belongs to
+}
+
+// Multi-tenant namespaces
+export interface TenantsConfig {
+  enabled?: boolean;
+  header?: string; // Request header carrying the tenant ID
+  overrides?: Record<string, Record<string, any>>; // Tenant ID -> module name -> config overrides
+}
+
 // Main GamificationKit configuration
 export interface GamificationKitConfig {
   appName?: string;
@@ -203,6 +292,13 @@ export interface GamificationKitConfig {
   health?: HealthCheckConfig; // Alias for healthCheck
   healthCheck?: HealthCheckConfig;
   secretManager?: SecretManagerConfig;
+  idempotency?: IdempotencyConfig;
+  journal?: JournalConfig;
+  ruleStore?: RuleStoreConfig;
+  abuse?: AbuseConfig;
+  reversals?: ReversalsConfig;
+  auth?: AuthConfig;
+  tenants?: TenantsConfig;
   gracefulShutdown?: {
     enabled?: boolean;
     timeout?: number;
@@ -254,6 +350,21 @@ export interface PointsModuleConfig {
   minPoints?: number;
   maxPoints?: number;
   roundingPrecision?: number;
+  defaultCurrency?: string;
+  currencies?: {
+    [currency: string]: PointsCurrencyConfig;
+  };
+}
+
+export interface PointsCurrencyConfig {
+  dailyLimit?: number;
+  weeklyLimit?: number;
+  monthlyLimit?: number;
+  decayEnabled?: boolean;
+  decayDays?: number;
+  decayPercentage?: number;
+  minimumPoints?: number;
+  multipliers?: PointsModuleConfig['multipliers'];
 }
 
 export interface BadgeModuleConfig {
@@ -279,13 +390,35 @@ export interface LevelModuleConfig {
       [key: string]: any;
     };
   };
+  defaultTrack?: string;
+  tracks?: {
+    [track: string]: LevelTrackConfig;
+  };
+  overallLevel?: 'average' | 'sum' | 'min' | null;
+}
+
+export interface LevelTrackConfig {
+  startingLevel?: number;
+  maxLevel?: number;
+  xpFormula?: LevelModuleConfig['xpFormula'];
+  baseXP?: number;
+  exponent?: number;
+  customFormula?: (level: number) => number;
+  customThresholds?: Record<number, number>;
+  prestigeEnabled?: boolean;
+  prestigeMaxLevel?: number;
+  prestigeRewards?: any;
+  levelRewards?: LevelModuleConfig['levelRewards'];
+  xpMultipliers?: Record<string, number>;
 }
 
 export interface StreakModuleConfig {
   types?: {
     [type: string]: {
-      window: number;
+      window?: number;
       grace?: number;
+      mode?: 'rolling' | 'calendar';
+      unit?: 'day' | 'week';
       freezeEnabled?: boolean;
       maxFreezes?: number;
       rewards?: {
@@ -301,6 +434,7 @@ export interface StreakModuleConfig {
   milestones?: number[];
   resetOnMiss?: boolean;
   trackHistory?: boolean;
+  defaultTimezone?: string;
 }
 
 export interface QuestModuleConfig {
@@ -329,6 +463,21 @@ export interface AchievementModuleConfig {
   retroactive?: boolean;
 }
 
+export interface TeamModuleConfig {
+  maxMembers?: number;
+  sources?: Array<'points' | 'xp'>;
+  aggregation?: 'sum' | 'average' | 'top';
+  topN?: number;
+  periods?: string[];
+  leaderboardPrefix?: string;
+  teamQuests?: any[];
+}
+
+export interface LiveOpsModuleConfig {
+  checkInterval?: number;
+  phaseLease?: number;
+}
+
 // Type aliases for convenience
 export type GamificationConfig = GamificationKitConfig;
 // ModuleContext is defined in modules.ts
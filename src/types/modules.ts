@@ -76,6 +76,7 @@ export interface PointsTransaction {
   amount: number;
   type: 'award' | 'deduct';
   reason?: string;
+  currency?: string;
   balance: number;
   metadata?: Metadata;
   timestamp: string;
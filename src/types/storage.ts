@@ -8,6 +8,17 @@ import type { UserId, Metadata, PaginationParams,   PaginatedResponse as _Pagina
 // Storage key types
 export type StorageKey = string;
 export type StorageValue = any;
+export type StorageKeyType = 'string' | 'hash' | 'zset' | 'list' | 'set' | 'none';
+
+/**
+ * Where data about a user is stored: a key of its own or, for a hash, set or sorted set
+ * shared with other users, the field or member that belongs to the user
+ */
+export interface UserDataLocation {
+  key: StorageKey;
+  type?: 'hash' | 'set' | 'zset';
+  member?: string;
+}
 
 // Storage operation options
 export interface StorageSetOptions {
@@ -34,6 +45,18 @@ export interface StorageListOptions extends PaginationParams {
 }
 
 // Storage transaction
+/**
+ * One step of StorageInterface.transaction(): an adapter method and its arguments.
+ * With min or max set, the whole transaction is undone when the step's numeric
+ * result falls outside them.
+ */
+export interface TransactionOperation {
+  method: string;
+  args: any[];
+  min?: number;
+  max?: number;
+}
+
 export interface StorageTransaction {
   operations: StorageOperation[];
   execute(): Promise<any[]>;
@@ -76,9 +99,12 @@ export interface IStorageAdapter {
 
   // Basic operations
   get(key: StorageKey, options?: StorageGetOptions): Promise<any>;
-  set(key: StorageKey, value: StorageValue, options?: StorageSetOptions): Promise<void>;
+  set(key: StorageKey, value: StorageValue, ttl?: number): Promise<void>;
+  setnx(key: StorageKey, value: StorageValue, ttl?: number): Promise<boolean>;
   delete(key: StorageKey, options?: StorageDeleteOptions): Promise<boolean>;
+  rename(key: StorageKey, newKey: StorageKey): Promise<boolean>;
   exists(key: StorageKey): Promise<boolean>;
+  type(key: StorageKey): Promise<StorageKeyType>;
 
   // Batch operations
   mget(keys: StorageKey[]): Promise<any[]>;
@@ -106,6 +132,7 @@ export interface IStorageAdapter {
   hmset(key: StorageKey, data: Record<string, any>): Promise<void>;
   hdel(key: StorageKey, fields: string | string[]): Promise<number>;
   hgetall(key: StorageKey): Promise<Record<string, any>>;
+  hincrby(key: StorageKey, field: string, increment: number): Promise<number>;
   hkeys(key: StorageKey): Promise<string[]>;
   hvals(key: StorageKey): Promise<any[]>;
   hexists(key: StorageKey, field: string): Promise<boolean>;
@@ -127,6 +154,9 @@ export interface IStorageAdapter {
   zrange(key: StorageKey, start: number, stop: number, withScores?: boolean): Promise<any[]>;
   zrevrange(key: StorageKey, start: number, stop: number, withScores?: boolean): Promise<any[]>;
   zcard(key: StorageKey): Promise<number>;
+  zcount(key: StorageKey, min: string | number, max: string | number): Promise<number>;
+  zrangebyscore(key: StorageKey, min: string | number, max: string | number, withScores?: boolean): Promise<any[]>;
+  zremrangebyscore(key: StorageKey, min: string | number, max: string | number): Promise<number>;
   zincrby(key: StorageKey, increment: number, member: any): Promise<number>;
 
   // List operations
@@ -139,6 +169,7 @@ export interface IStorageAdapter {
   ltrim(key: StorageKey, start: number, stop: number): Promise<void>;
 
   // Transaction support
+  transaction(operations: TransactionOperation[]): Promise<any[]>;
   multi(): StorageTransaction | null;
 
   // Utility
@@ -0,0 +1,137 @@
+export type CalendarUnit = 'day' | 'week' | 'month';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+interface ZonedParts {
+  year: number;
+  month: number;
+  day: number;
+  hour: number;
+  minute: number;
+  second: number;
+}
+
+// Intl formatters are expensive to build, so keep one per timezone
+const formatters = new Map<string, Intl.DateTimeFormat>();
+
+function getFormatter(timeZone: string): Intl.DateTimeFormat {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+export const calendar = {
+  isValidTimezone(timeZone: any): boolean {
+    if (typeof timeZone !== 'string' || timeZone.length === 0) return false;
+
+    try {
+      getFormatter(timeZone);
+      return true;
+    } catch {
+      return false;
+    }
+  },
+
+  getZonedParts(timestamp: number, timeZone: string): ZonedParts {
+    const parts: Record<string, number> = {};
+    for (const part of getFormatter(timeZone).formatToParts(new Date(timestamp))) {
+      if (part.type !== 'literal') {
+        parts[part.type] = parseInt(part.value, 10);
+      }
+    }
+
+    return {
+      year: parts.year,
+      month: parts.month,
+      day: parts.day,
+      hour: parts.hour,
+      minute: parts.minute,
+      second: parts.second
+    };
+  },
+
+  // Offset of the zone from UTC in milliseconds at the given instant (positive east of UTC)
+  getTimezoneOffset(timestamp: number, timeZone: string): number {
+    const p = this.getZonedParts(timestamp, timeZone);
+    const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUTC - (timestamp - (timestamp % 1000 + 1000) % 1000);
+  },
+
+  // Days since 1970-01-01 in the zone's local calendar
+  getDayNumber(timestamp: number, timeZone: string): number {
+    const p = this.getZonedParts(timestamp, timeZone);
+    return Math.floor(Date.UTC(p.year, p.month - 1, p.day) / DAY_MS);
+  },
+
+  // ISO weeks start on Monday; day 0 (1970-01-01) was a Thursday
+  getWeekNumber(timestamp: number, timeZone: string): number {
+    return Math.floor((this.getDayNumber(timestamp, timeZone) + 3) / 7);
+  },
+
+  // Months since January 1970 in the zone's local calendar
+  getMonthNumber(timestamp: number, timeZone: string): number {
+    const p = this.getZonedParts(timestamp, timeZone);
+    return (p.year - 1970) * 12 + p.month - 1;
+  },
+
+  getPeriodIndex(timestamp: number, timeZone: string, unit: CalendarUnit = 'day'): number {
+    if (unit === 'week') return this.getWeekNumber(timestamp, timeZone);
+    if (unit === 'month') return this.getMonthNumber(timestamp, timeZone);
+    return this.getDayNumber(timestamp, timeZone);
+  },
+
+  // First local day of the given period, as a day number
+  getPeriodFirstDay(index: number, unit: CalendarUnit = 'day'): number {
+    if (unit === 'week') return index * 7 - 3;
+    if (unit === 'month') return Math.floor(Date.UTC(1970, index, 1) / DAY_MS);
+    return index;
+  },
+
+  /**
+   * Instant of the local midnight that starts the given period.
+   * Resolved against the zone's offset on that day, so DST changes shift it correctly.
+   */
+  getPeriodStart(index: number, timeZone: string, unit: CalendarUnit = 'day'): number {
+    const dayNumber = this.getPeriodFirstDay(index, unit);
+    const localMidnight = dayNumber * DAY_MS;
+
+    // Offsets can differ either side of a DST change, so try both and keep the first
+    // candidate that actually falls on the requested local day
+    const first = localMidnight - this.getTimezoneOffset(localMidnight, timeZone);
+    const second = localMidnight - this.getTimezoneOffset(first, timeZone);
+    const candidates = [first, second]
+      .filter(candidate => this.getDayNumber(candidate, timeZone) === dayNumber)
+      .sort((a, b) => a - b);
+
+    return candidates.length > 0 ? candidates[0] : Math.max(first, second);
+  },
+
+  formatPeriod(index: number, unit: CalendarUnit = 'day'): string {
+    if (unit === 'week') {
+      // The ISO week-year is the year that contains the week's Thursday
+      const thursday = new Date(index * 7 * DAY_MS);
+      const year = thursday.getUTCFullYear();
+      const dayOfYear = Math.floor((thursday.getTime() - Date.UTC(year, 0, 1)) / DAY_MS);
+      const week = Math.floor(dayOfYear / 7) + 1;
+      return `${year}-W${String(week).padStart(2, '0')}`;
+    }
+
+    if (unit === 'month') {
+      return new Date(Date.UTC(1970, index, 1)).toISOString().slice(0, 7);
+    }
+
+    return new Date(index * DAY_MS).toISOString().split('T')[0];
+  }
+};
@@ -0,0 +1,164 @@
+import { validators } from './validators.js';
+
+export type Criterion =
+  | { type: 'badges'; badges: string[] }
+  | { type: 'achievements'; achievements: string[]; tier: string | null }
+  | { type: 'level'; level: number; track?: string }
+  | { type: 'points'; points: number; currency: string | null }
+  | { type: 'streak'; streak: string; count: number; ongoing: boolean }
+  | { type: 'quests'; quests: string[] | null; chain: string | null };
+
+export interface CriterionProgress {
+  type: Criterion['type'];
+  current: number;
+  target: number;
+  percentage: number;
+  completed: boolean;
+  [detail: string]: any;
+}
+
+export interface CriteriaProgress {
+  completed: boolean;
+  percentage: number;
+  criteria: CriterionProgress[];
+}
+
+type ModuleLookup = (name: string) => any;
+
+// The module whose events can change each kind of criterion
+const SOURCES: Record<Criterion['type'], string> = {
+  badges: 'badges',
+  achievements: 'achievements',
+  level: 'levels',
+  points: 'points',
+  streak: 'streaks',
+  quests: 'quests'
+};
+
+async function findMissing(ids: string[], has: (id: string) => Promise<boolean>): Promise<string[]> {
+  const missing: string[] = [];
+  for (const id of ids) {
+    if (!await has(id)) missing.push(id);
+  }
+  return missing;
+}
+
+async function measure(criterion: Criterion, userId: string, getModule: ModuleLookup): Promise<{ current: number; target: number; details?: Record<string, any> }> {
+  switch (criterion.type) {
+    case 'badges': {
+      const badgeModule = getModule('badges');
+      const missing = badgeModule
+        ? await findMissing(criterion.badges, badgeId => badgeModule.hasBadge(userId, badgeId))
+        : criterion.badges;
+      return { current: criterion.badges.length - missing.length, target: criterion.badges.length, details: { missing } };
+    }
+    case 'achievements': {
+      const achievementModule = getModule('achievements');
+      const unlocks = achievementModule ? await achievementModule.getUserAchievements(userId) : [];
+      const missing = criterion.achievements.filter(id =>
+        !unlocks.some((unlock: any) => unlock.achievementId === id && (!criterion.tier || unlock.tier === criterion.tier))
+      );
+      return { current: criterion.achievements.length - missing.length, target: criterion.achievements.length, details: { missing } };
+    }
+    case 'level': {
+      const levelModule = getModule('levels');
+      const data = levelModule ? await levelModule.getUserData(userId, criterion.track) : null;
+      return { current: Number(data?.level) || 0, target: criterion.level };
+    }
+    case 'points': {
+      const pointsModule = getModule('points');
+      const points = pointsModule ? await pointsModule.getPoints(userId, criterion.currency) : 0;
+      return { current: points, target: criterion.points };
+    }
+    case 'streak': {
+      const streakModule = getModule('streaks');
+      const data = streakModule ? await streakModule.getStreakData(userId, criterion.streak) : null;
+      const current = criterion.ongoing ? data?.currentStreak : data?.longestStreak;
+      return { current: Number(current) || 0, target: criterion.count };
+    }
+    case 'quests': {
+      const questModule = getModule('quests');
+      const questIds = criterion.chain
+        ? (questModule?.questChains.get(criterion.chain)?.quests || []).map((quest: any) => quest.id)
+        : criterion.quests!;
+      const missing = questModule
+        ? await findMissing(questIds, async questId => await questModule.getQuestCompletions(userId, questId) > 0)
+        : questIds;
+      // A chain nobody has defined yet can't be completed
+      return { current: questIds.length - missing.length, target: Math.max(questIds.length, 1), details: { missing } };
+    }
+  }
+}
+
+/**
+ * Unlock criteria that combine state across modules, such as "earn badges A, B and C"
+ * or "reach level 20 and a 30-day streak". Every criterion in a list has to be met.
+ */
+export const criteria = {
+  normalize(list: any, field: string): Criterion[] {
+    validators.isArray(list, field);
+
+    return list.map((criterion: any): Criterion => {
+      validators.hasProperties(criterion, ['type'], `${field} entry`);
+      validators.isInArray(criterion.type, Object.keys(SOURCES), `${field} type`);
+
+      switch (criterion.type) {
+        case 'badges':
+          validators.isArray(criterion.badges, `${field} badges`);
+          return { type: 'badges', badges: criterion.badges };
+        case 'achievements':
+          validators.isArray(criterion.achievements, `${field} achievements`);
+          return { type: 'achievements', achievements: criterion.achievements, tier: criterion.tier || null };
+        case 'level':
+          validators.isPositiveNumber(criterion.level, `${field} level`);
+          return { type: 'level', level: criterion.level, ...(criterion.track && { track: criterion.track }) };
+        case 'points':
+          validators.isPositiveNumber(criterion.points, `${field} points`);
+          return { type: 'points', points: criterion.points, currency: criterion.currency || null };
+        case 'streak':
+          validators.isNonEmptyString(criterion.streak, `${field} streak`);
+          validators.isPositiveNumber(criterion.count, `${field} count`);
+          return { type: 'streak', streak: criterion.streak, count: criterion.count, ongoing: criterion.ongoing === true };
+        default:
+          if (criterion.chain === undefined) {
+            validators.isArray(criterion.quests, `${field} quests`);
+          } else {
+            validators.isNonEmptyString(criterion.chain, `${field} chain`);
+          }
+          return { type: 'quests', quests: criterion.quests || null, chain: criterion.chain || null };
+      }
+    });
+  },
+
+  /**
+   * Names of the modules whose events can change the outcome, so callers only
+   * re-evaluate when one of them reports a change
+   */
+  sources(list: Criterion[]): string[] {
+    return Array.from(new Set(list.map(criterion => SOURCES[criterion.type])));
+  },
+
+  async evaluate(list: Criterion[], userId: string, getModule: ModuleLookup): Promise<CriteriaProgress> {
+    const progress: CriterionProgress[] = [];
+
+    for (const criterion of list) {
+      const { current, target, details } = await measure(criterion, userId, getModule);
+      progress.push({
+        ...criterion,
+        ...details,
+        current,
+        target,
+        percentage: target > 0 ? Math.min(100, (current / target) * 100) : 100,
+        completed: current >= target
+      });
+    }
+
+    return {
+      completed: progress.every(entry => entry.completed),
+      percentage: progress.length > 0
+        ? progress.reduce((sum, entry) => sum + entry.percentage, 0) / progress.length
+        : 100,
+      criteria: progress
+    };
+  }
+};
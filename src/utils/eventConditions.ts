@@ -0,0 +1,70 @@
+import { validators, ValidationError } from './validators.js';
+import type { RuleCondition } from '../core/RuleEngine.js';
+
+// Keys of the older `{ field: { min, max, ... } }` condition maps and the RuleEngine operator each maps to
+const LEGACY_OPERATORS: Record<string, string> = {
+  min: '>=',
+  max: '<=',
+  in: 'in',
+  contains: 'contains'
+};
+
+function isTree(value: any): boolean {
+  return Boolean(value.all || value.any || value.not || value.aggregate || (typeof value.field === 'string' && value.operator));
+}
+
+function fromLegacy(map: Record<string, any>): RuleCondition | null {
+  const leaves: RuleCondition[] = [];
+
+  for (const [field, condition] of Object.entries(map)) {
+    if (typeof condition !== 'object' || condition === null) {
+      leaves.push({ field, operator: '===', value: condition });
+    } else if (condition.equals !== undefined) {
+      // An exact match always took precedence over any other check on the field
+      leaves.push({ field, operator: '===', value: condition.equals });
+    } else {
+      for (const [key, operator] of Object.entries(LEGACY_OPERATORS)) {
+        if (condition[key] !== undefined) {
+          leaves.push({ field, operator, value: condition[key] });
+        }
+      }
+    }
+  }
+
+  return leaves.length > 0 ? { all: leaves } : null;
+}
+
+function rejectAggregates(condition: RuleCondition, path: string): void {
+  if (condition.aggregate) {
+    throw new ValidationError(`${path} cannot use aggregates, which are only recorded for rules`, path, condition);
+  }
+  condition.all?.forEach((child, i) => rejectAggregates(child, `${path}.all[${i}]`));
+  condition.any?.forEach((child, i) => rejectAggregates(child, `${path}.any[${i}]`));
+  if (condition.not) rejectAggregates(condition.not, `${path}.not`);
+}
+
+/**
+ * Event conditions for badge triggers, quest objectives and achievement trackers, in the
+ * RuleEngine condition language. Field-keyed maps such as `{ amount: { min: 10 } }` are
+ * converted so existing definitions keep working.
+ */
+export const eventConditions = {
+  normalize(value: any, field: string): RuleCondition | null {
+    if (value === undefined || value === null) return null;
+    validators.isObject(value, field);
+
+    if (!isTree(value)) {
+      return fromLegacy(value);
+    }
+
+    rejectAggregates(value, field);
+    return value;
+  },
+
+  /**
+   * The fields conditions are evaluated against: the event's data plus its name, as rules see it
+   */
+  context(event: { eventName: string; data?: any }): Record<string, any> {
+    return { eventName: event.eventName, ...event.data };
+  }
+};
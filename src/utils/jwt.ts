@@ -0,0 +1,141 @@
+import crypto, { type KeyObject } from 'crypto';
+
+export type JwtAlgorithm = 'HS256' | 'RS256';
+
+export interface JwtHeader {
+  alg: string;
+  typ?: string;
+  kid?: string;
+}
+
+export interface JwtPayload {
+  iss?: string;
+  sub?: string;
+  aud?: string | string[];
+  exp?: number;
+  nbf?: number;
+  iat?: number;
+  [claim: string]: any;
+}
+
+export interface JwtVerifyOptions {
+  algorithms: JwtAlgorithm[];
+  // Returns the key to check the signature with, or null if none matches the header
+  getKey(header: JwtHeader): KeyObject | null | Promise<KeyObject | null>;
+  issuer?: string | string[];
+  audience?: string | string[];
+  clockTolerance?: number; // Seconds of leeway for exp and nbf
+  requireExpiry?: boolean;
+  now?: number;
+}
+
+const SIGNATURE_ALGORITHMS: Record<JwtAlgorithm, string> = {
+  HS256: 'sha256',
+  RS256: 'RSA-SHA256'
+};
+
+function decodeSegment(segment: string, name: string): any {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    throw new Error(`Invalid token: malformed ${name}`);
+  }
+}
+
+function verifySignature(algorithm: JwtAlgorithm, key: KeyObject, data: string, signature: Buffer): boolean {
+  if (algorithm === 'HS256') {
+    if (key.type !== 'secret') return false;
+    const expected = crypto.createHmac('sha256', key).update(data).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+
+  // A secret key must never verify an RS256 token, or a public key could be used as an HMAC secret
+  if (key.type !== 'public') return false;
+  return crypto.verify(SIGNATURE_ALGORITHMS[algorithm], Buffer.from(data), key, signature);
+}
+
+export const jwt = {
+  decode(token: string): { header: JwtHeader; payload: JwtPayload } {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+      throw new Error('Invalid token: expected three segments');
+    }
+
+    return {
+      header: decodeSegment(parts[0], 'header'),
+      payload: decodeSegment(parts[1], 'payload')
+    };
+  },
+
+  /**
+   * Checks the signature and the registered claims and returns the payload.
+   * Only the listed algorithms are accepted, so unsigned (`none`) tokens never pass.
+   */
+  async verify(token: string, options: JwtVerifyOptions): Promise<JwtPayload> {
+    const { header, payload } = this.decode(token);
+
+    const algorithm = header.alg as JwtAlgorithm;
+    if (!options.algorithms.includes(algorithm)) {
+      throw new Error(`Invalid token: algorithm not allowed: ${header.alg}`);
+    }
+
+    const key = await options.getKey(header);
+    if (!key) {
+      throw new Error(header.kid ? `Invalid token: unknown key: ${header.kid}` : 'Invalid token: no key available');
+    }
+
+    const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
+    const signature = Buffer.from(encodedSignature, 'base64url');
+    if (!verifySignature(algorithm, key, `${encodedHeader}.${encodedPayload}`, signature)) {
+      throw new Error('Invalid token: bad signature');
+    }
+
+    const now = Math.floor((options.now ?? Date.now()) / 1000);
+    const tolerance = options.clockTolerance ?? 0;
+
+    if (payload.exp === undefined) {
+      if (options.requireExpiry !== false) {
+        throw new Error('Invalid token: missing exp');
+      }
+    } else if (typeof payload.exp !== 'number' || now - tolerance >= payload.exp) {
+      throw new Error('Invalid token: expired');
+    }
+
+    if (payload.nbf !== undefined && (typeof payload.nbf !== 'number' || now + tolerance < payload.nbf)) {
+      throw new Error('Invalid token: not yet valid');
+    }
+
+    if (options.issuer !== undefined) {
+      const issuers = Array.isArray(options.issuer) ? options.issuer : [options.issuer];
+      if (!issuers.includes(payload.iss as string)) {
+        throw new Error('Invalid token: unexpected issuer');
+      }
+    }
+
+    if (options.audience !== undefined) {
+      const expected = Array.isArray(options.audience) ? options.audience : [options.audience];
+      const actual = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+      if (!actual.some(audience => expected.includes(audience as string))) {
+        throw new Error('Invalid token: unexpected audience');
+      }
+    }
+
+    return payload;
+  },
+
+  /**
+   * Signs a payload; meant for tests and trusted tooling, not for issuing user sessions
+   */
+  sign(payload: JwtPayload, key: KeyObject | string, algorithm: JwtAlgorithm = 'HS256', kid?: string): string {
+    const header: JwtHeader = { alg: algorithm, typ: 'JWT', ...(kid ? { kid } : {}) };
+    const data = [header, payload]
+      .map(part => Buffer.from(JSON.stringify(part)).toString('base64url'))
+      .join('.');
+
+    const signature = algorithm === 'HS256'
+      ? crypto.createHmac('sha256', key).update(data).digest()
+      : crypto.sign(SIGNATURE_ALGORITHMS[algorithm], Buffer.from(data), key);
+
+    return `${data}.${signature.toString('base64url')}`;
+  }
+};
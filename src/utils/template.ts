@@ -0,0 +1,229 @@
+export type TemplateNode =
+  | { kind: 'literal'; value: number | string }
+  | { kind: 'path'; path: string }
+  | { kind: 'call'; name: string; args: TemplateNode[] }
+  | { kind: 'negate'; operand: TemplateNode }
+  | { kind: 'binary'; operator: string; left: TemplateNode; right: TemplateNode };
+
+export interface TemplateScope {
+  resolve(path: string): any;
+  call(name: string, args: any[]): any;
+}
+
+interface Token {
+  type: 'number' | 'string' | 'identifier' | 'operator';
+  value: string;
+}
+
+const TEMPLATE_PATTERN = /\{\{(.*?)\}\}/g;
+const WHOLE_TEMPLATE = /^\{\{((?:(?!\}\}).)*)\}\}$/;
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?)|'([^']*)'|"([^"]*)"|([A-Za-z_$][\w$]*(?:\.[\w$]+)*)|([-+*/%(),]))/y;
+
+// Parsed expressions are reused for every event a rule fires on
+const compiled = new Map<string, TemplateNode>();
+
+function tokenize(source: string): Token[] {
+  const tokens: Token[] = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    if (/^\s*$/.test(source.slice(TOKEN_PATTERN.lastIndex))) break;
+
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) {
+      throw new Error(`Unexpected character at position ${start} in expression: ${source}`);
+    }
+
+    if (match[1] !== undefined) tokens.push({ type: 'number', value: match[1] });
+    else if (match[2] !== undefined) tokens.push({ type: 'string', value: match[2] });
+    else if (match[3] !== undefined) tokens.push({ type: 'string', value: match[3] });
+    else if (match[4] !== undefined) tokens.push({ type: 'identifier', value: match[4] });
+    else tokens.push({ type: 'operator', value: match[5] });
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive descent over `+ -`, then `* / %`, then unary minus, then literals,
+ * context paths, parentheses and function calls. Nothing is ever passed to eval.
+ */
+function parse(source: string): TemplateNode {
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = (): Token | undefined => tokens[position];
+  const isOperator = (value: string): boolean => peek()?.type === 'operator' && peek()!.value === value;
+  const expect = (value: string): void => {
+    if (!isOperator(value)) {
+      throw new Error(`Expected "${value}" in expression: ${source}`);
+    }
+    position++;
+  };
+
+  const parseExpression = (): TemplateNode => {
+    let node = parseTerm();
+    while (isOperator('+') || isOperator('-')) {
+      const operator = tokens[position++].value;
+      node = { kind: 'binary', operator, left: node, right: parseTerm() };
+    }
+    return node;
+  };
+
+  const parseTerm = (): TemplateNode => {
+    let node = parseUnary();
+    while (isOperator('*') || isOperator('/') || isOperator('%')) {
+      const operator = tokens[position++].value;
+      node = { kind: 'binary', operator, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseUnary = (): TemplateNode => {
+    if (isOperator('-')) {
+      position++;
+      return { kind: 'negate', operand: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = (): TemplateNode => {
+    const token = peek();
+    if (!token) {
+      throw new Error(`Unexpected end of expression: ${source}`);
+    }
+
+    if (token.type === 'number') {
+      position++;
+      return { kind: 'literal', value: Number(token.value) };
+    }
+
+    if (token.type === 'string') {
+      position++;
+      return { kind: 'literal', value: token.value };
+    }
+
+    if (token.type === 'identifier') {
+      position++;
+      if (!isOperator('(')) {
+        return { kind: 'path', path: token.value };
+      }
+
+      position++;
+      const args: TemplateNode[] = [];
+      if (!isOperator(')')) {
+        args.push(parseExpression());
+        while (isOperator(',')) {
+          position++;
+          args.push(parseExpression());
+        }
+      }
+      expect(')');
+      return { kind: 'call', name: token.value, args };
+    }
+
+    if (isOperator('(')) {
+      position++;
+      const node = parseExpression();
+      expect(')');
+      return node;
+    }
+
+    throw new Error(`Unexpected "${token.value}" in expression: ${source}`);
+  };
+
+  const node = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].value}" in expression: ${source}`);
+  }
+  return node;
+}
+
+function evaluate(node: TemplateNode, scope: TemplateScope): any {
+  if (node.kind === 'literal') return node.value;
+  if (node.kind === 'path') return scope.resolve(node.path);
+  if (node.kind === 'call') return scope.call(node.name, node.args.map(arg => evaluate(arg, scope)));
+  if (node.kind === 'negate') return -evaluate(node.operand, scope);
+
+  const left = evaluate(node.left, scope);
+  const right = evaluate(node.right, scope);
+
+  if (node.operator === '+') return left + right;
+  if (node.operator === '-') return left - right;
+  if (node.operator === '*') return left * right;
+  if (node.operator === '/') return left / right;
+  return left % right;
+}
+
+function collectCalls(node: TemplateNode, names: string[] = []): string[] {
+  if (node.kind === 'call') {
+    names.push(node.name);
+    node.args.forEach(arg => collectCalls(arg, names));
+  } else if (node.kind === 'negate') {
+    collectCalls(node.operand, names);
+  } else if (node.kind === 'binary') {
+    collectCalls(node.left, names);
+    collectCalls(node.right, names);
+  }
+  return names;
+}
+
+export const template = {
+  isTemplate(value: any): boolean {
+    return typeof value === 'string' && value.includes('{{');
+  },
+
+  compile(source: string): TemplateNode {
+    let node = compiled.get(source);
+    if (!node) {
+      node = parse(source.trim());
+      compiled.set(source, node);
+    }
+    return node;
+  },
+
+  /**
+   * Parses every `{{ }}` block in the value and returns the functions they call,
+   * throwing if any block is not a valid expression
+   */
+  validate(value: string): string[] {
+    const names: string[] = [];
+    for (const match of value.matchAll(TEMPLATE_PATTERN)) {
+      collectCalls(this.compile(match[1]), names);
+    }
+    return names;
+  },
+
+  /**
+   * A value that is a single `{{ expr }}` keeps the expression's type (so numbers stay
+   * numbers); templates embedded in longer text are interpolated as strings.
+   * Objects and arrays are resolved recursively, anything else is returned as is.
+   */
+  render(value: any, scope: TemplateScope): any {
+    if (typeof value === 'string') {
+      const whole = value.match(WHOLE_TEMPLATE);
+      if (whole) {
+        return evaluate(this.compile(whole[1]), scope);
+      }
+      if (!value.includes('{{')) {
+        return value;
+      }
+      return value.replace(TEMPLATE_PATTERN, (_, source: string) => String(evaluate(this.compile(source), scope)));
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.render(item, scope));
+    }
+
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+      const rendered: Record<string, any> = {};
+      for (const [key, item] of Object.entries(value)) {
+        rendered[key] = this.render(item, scope);
+      }
+      return rendered;
+    }
+
+    return value;
+  }
+};
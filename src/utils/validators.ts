@@ -1,3 +1,5 @@
+import { calendar } from './calendar.js';
+
 export class ValidationError extends Error {
   public readonly field: string;
   public readonly value: any;
@@ -140,6 +142,14 @@ export const validators = {
     return true;
   },
 
+  isTimezone(value: any, field: string = 'timezone'): boolean {
+    this.isNonEmptyString(value, field);
+    if (!calendar.isValidTimezone(value)) {
+      throw new ValidationError(`${field} must be a valid IANA timezone`, field, value);
+    }
+    return true;
+  },
+
   isOptional(value: any, validator: ValidatorFunction, ...args: any[]): boolean {
     if (value === undefined || value === null) return true;
     return validator.call(this, value, ...args);
@@ -18,18 +18,22 @@ import { PostgresStorage } from '../../src/storage/PostgresStorage.js';
  * - RedisStorage integration
  * - MongoStorage integration
  * - PostgresStorage integration
+ * - SqliteStorage integration
  * - Cross-module data persistence
  * - Transaction handling
  * - Cache consistency
  * - Storage adapter switching
  */
 describe('Storage Integration Tests', () => {
-  describe('MemoryStorage Integration', () => {
+  describe.each([
+    ['MemoryStorage', { type: 'memory' }],
+    ['SqliteStorage', { type: 'sqlite', filename: ':memory:' }]
+  ])('%s Integration', (_name, storage: any) => {
     let gk: any;
 
     beforeEach(async () => {
       gk = new GamificationKit({
-        storage: { type: 'memory' },
+        storage,
         metrics: { enabled: false },
         webhooks: { enabled: false }
       });
@@ -52,16 +56,16 @@ describe('Storage Integration Tests', () => {
 
       // Perform operations
       await pointsModule.award('user1', 100);
-      await badgeModule.create({ id: 'test-badge', name: 'Test' });
+      await badgeModule.addBadge({ id: 'test-badge', name: 'Test' });
       await badgeModule.award('user1', 'test-badge');
 
       // Verify persistence
-      const balance = await pointsModule.getBalance('user1');
+      const balance = await pointsModule.getPoints('user1');
       expect(balance).toBe(100);
 
       const badges = await badgeModule.getUserBadges('user1');
       expect(badges).toHaveLength(1);
-      expect(badges[0].id).toBe('test-badge');
+      expect(badges[0].badgeId).toBe('test-badge');
     });
 
     it('should handle sorted sets correctly', async () => {
@@ -73,7 +77,7 @@ describe('Storage Integration Tests', () => {
       await pointsModule.award('user3', 150);
 
       // Get leaderboard (uses sorted set)
-      const leaderboard = await pointsModule.getLeaderboard({ limit: 3 });
+      const leaderboard = await pointsModule.getTopUsers(3);
 
       expect(leaderboard).toEqual([
         { userId: 'user2', points: 200, rank: 1 },
@@ -94,7 +98,7 @@ describe('Storage Integration Tests', () => {
       expect(stats).toEqual(
         expect.objectContaining({
           level: expect.any(Number),
-          xp: 150
+          totalXP: 150
         })
       );
     });
@@ -103,9 +107,9 @@ describe('Storage Integration Tests', () => {
       const badgeModule = gk.modules.get('badges');
 
       // Award multiple badges
-      await badgeModule.create({ id: 'badge1', name: 'Badge 1' });
-      await badgeModule.create({ id: 'badge2', name: 'Badge 2' });
-      await badgeModule.create({ id: 'badge3', name: 'Badge 3' });
+      await badgeModule.addBadge({ id: 'badge1', name: 'Badge 1' });
+      await badgeModule.addBadge({ id: 'badge2', name: 'Badge 2' });
+      await badgeModule.addBadge({ id: 'badge3', name: 'Badge 3' });
 
       await badgeModule.award('user1', 'badge1');
       await badgeModule.award('user1', 'badge2');
@@ -115,9 +119,9 @@ describe('Storage Integration Tests', () => {
       const badges = await badgeModule.getUserBadges('user1');
 
       expect(badges).toHaveLength(3);
-      expect(badges.map((b: any) => b.id)).toContain('badge1');
-      expect(badges.map((b: any) => b.id)).toContain('badge2');
-      expect(badges.map((b: any) => b.id)).toContain('badge3');
+      expect(badges.map((b: any) => b.badgeId)).toContain('badge1');
+      expect(badges.map((b: any) => b.badgeId)).toContain('badge2');
+      expect(badges.map((b: any) => b.badgeId)).toContain('badge3');
     });
 
     it('should handle TTL operations correctly', async () => {
@@ -150,7 +154,7 @@ describe('Storage Integration Tests', () => {
       await Promise.all(operations);
 
       // Verify total
-      const balance = await pointsModule.getBalance('user1');
+      const balance = await pointsModule.getPoints('user1');
       expect(balance).toBe(500); // 50 * 10
     });
   });
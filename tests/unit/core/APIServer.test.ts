@@ -2,6 +2,10 @@ import type { GamificationKit } from '../src/core/GamificationKit.js';
 import { jest } from '@jest/globals';
 import { APIServer } from '../../../src/core/APIServer.js';
 import { GamificationKit } from '../../../src/core/GamificationKit.js';
+import { Authenticator } from '../../../src/core/Authenticator.js';
+import { TenantManager } from '../../../src/core/TenantManager.js';
+import { MemoryStorage } from '../../../src/storage/MemoryStorage.js';
+import { jwt } from '../../../src/utils/jwt.js';
 import http from 'http';
 import { EventEmitter } from 'events';
 
@@ -201,6 +205,109 @@ describe('APIServer', (): void => {
       expect(mockRes.writeHead).toHaveBeenCalledWith(500, { 'Content-Type': 'application/json' });
       expect(mockRes.end).toHaveBeenCalledWith(JSON.stringify({ error: 'Internal Server Error' }));
     });
+
+    describe('token authentication', (): void => {
+      const secret = 'test-secret-that-is-long-enough';
+      const tokenFor = (sub: string, scope = '') => jwt.sign({ sub, scope, exp: Math.floor(Date.now() / 1000) + 60 }, secret);
+
+      beforeEach(() => {
+        apiServer.authenticator = new Authenticator({ jwt: { secret }, logger: { enabled: false } });
+        mockReq.url = '/gamification/users/user123';
+      });
+
+      it('should require a token for user routes', async (): Promise<void> => {
+        await apiServer.handleRequest(mockReq, mockRes);
+        expect(mockRes.writeHead).toHaveBeenCalledWith(401, { 'Content-Type': 'application/json' });
+        expect(mockRes.end).toHaveBeenCalledWith(JSON.stringify({ error: 'Authentication required' }));
+        expect(mockGamificationKit.getUserStats).not.toHaveBeenCalled();
+      });
+
+      it('should reject invalid tokens', async (): Promise<void> => {
+        mockReq.headers.authorization = `Bearer ${tokenFor('user123')}x`;
+        await apiServer.handleRequest(mockReq, mockRes);
+        expect(mockRes.writeHead).toHaveBeenCalledWith(401, { 'Content-Type': 'application/json' });
+        expect(mockRes.end).toHaveBeenCalledWith(JSON.stringify({ error: 'Invalid token: bad signature' }));
+      });
+
+      it('should only let users read their own data', async (): Promise<void> => {
+        mockReq.headers.authorization = `Bearer ${tokenFor('user456')}`;
+        await apiServer.handleRequest(mockReq, mockRes);
+        expect(mockRes.writeHead).toHaveBeenCalledWith(403, { 'Content-Type': 'application/json' });
+
+        mockReq.headers.authorization = `Bearer ${tokenFor('user123')}`;
+        await apiServer.handleRequest(mockReq, mockRes);
+        expect(mockGamificationKit.getUserStats).toHaveBeenCalledWith('user123');
+      });
+
+      it('should let the admin scope read any user', async (): Promise<void> => {
+        mockReq.headers.authorization = `Bearer ${tokenFor('support-agent', 'admin')}`;
+        await apiServer.handleRequest(mockReq, mockRes);
+        expect(mockGamificationKit.getUserStats).toHaveBeenCalledWith('user123');
+      });
+
+      it('should leave routes outside /users open', async (): Promise<void> => {
+        mockReq.url = '/gamification/health';
+        await apiServer.handleRequest(mockReq, mockRes);
+        expect(mockRes.writeHead).toHaveBeenCalledWith(200, { 'Content-Type': 'application/json' });
+      });
+    });
+
+    describe('tenants', (): void => {
+      beforeEach(() => {
+        apiServer.tenants = new TenantManager({ storage: new MemoryStorage(), logger: { enabled: false } });
+        mockGamificationKit.withTenant = jest.fn((tenantId, fn: () => any) => fn());
+        mockReq.url = '/gamification/users/user123';
+      });
+
+      it('should run the request for the tenant in the path', async (): Promise<void> => {
+        mockReq.url = '/gamification/tenants/acme/users/user123';
+        await apiServer.handleRequest(mockReq, mockRes);
+        expect(mockGamificationKit.withTenant).toHaveBeenCalledWith('acme', expect.any(Function));
+        expect(mockGamificationKit.getUserStats).toHaveBeenCalledWith('user123');
+      });
+
+      it('should run the request for the tenant in the header', async (): Promise<void> => {
+        mockReq.headers['x-tenant-id'] = 'acme';
+        await apiServer.handleRequest(mockReq, mockRes);
+        expect(mockGamificationKit.withTenant).toHaveBeenCalledWith('acme', expect.any(Function));
+      });
+
+      it('should use the default namespace without a tenant', async (): Promise<void> => {
+        await apiServer.handleRequest(mockReq, mockRes);
+        expect(mockGamificationKit.withTenant).not.toHaveBeenCalled();
+        expect(mockGamificationKit.getUserStats).toHaveBeenCalledWith('user123');
+      });
+
+      it('should reject invalid tenant IDs', async (): Promise<void> => {
+        mockReq.url = '/gamification/tenants/a%3Ab/users/user123';
+        await apiServer.handleRequest(mockReq, mockRes);
+        expect(mockRes.writeHead).toHaveBeenCalledWith(400, { 'Content-Type': 'application/json' });
+        expect(mockGamificationKit.getUserStats).not.toHaveBeenCalled();
+      });
+
+      it('should reject tenants when multi-tenancy is disabled', async (): Promise<void> => {
+        apiServer.tenants = null;
+        mockReq.headers['x-tenant-id'] = 'acme';
+        await apiServer.handleRequest(mockReq, mockRes);
+        expect(mockRes.writeHead).toHaveBeenCalledWith(400, { 'Content-Type': 'application/json' });
+        expect(mockRes.end).toHaveBeenCalledWith(JSON.stringify({ error: 'Multi-tenancy is not enabled' }));
+      });
+
+      it('should only let tokens of the tenant in', async (): Promise<void> => {
+        const secret = 'test-secret-that-is-long-enough';
+        apiServer.authenticator = new Authenticator({ jwt: { secret }, tenantClaim: 'tid', logger: { enabled: false } });
+        const token = jwt.sign({ sub: 'user123', tid: 'acme', exp: Math.floor(Date.now() / 1000) + 60 }, secret);
+        mockReq.headers.authorization = `Bearer ${token}`;
+
+        mockReq.url = '/gamification/tenants/globex/users/user123';
+        await apiServer.handleRequest(mockReq, mockRes);
+        expect(mockRes.writeHead).toHaveBeenCalledWith(403, { 'Content-Type': 'application/json' });
+
+        mockReq.url = '/gamification/tenants/acme/users/user123';
+        await apiServer.handleRequest(mockReq, mockRes);
+        expect(mockGamificationKit.getUserStats).toHaveBeenCalledTimes(1);
+      });
+    });
   });
 
   describe('route handling', (): void => {
@@ -250,6 +357,29 @@ describe('APIServer', (): void => {
         await apiServer.handleMetrics(context);
         expect(context.res.end).toHaveBeenCalledWith(JSON.stringify({ message: 'Metrics not enabled' }));
       });
+
+      it('should serve OpenMetrics text to scrapers that ask for it', async (): Promise<void> => {
+        mockGamificationKit.exportMetrics = jest.fn().mockResolvedValue('# EOF\n');
+        context.req.headers = { accept: 'application/openmetrics-text;version=1.0.0,text/plain;version=0.0.4;q=0.5' };
+
+        await apiServer.handleMetrics(context);
+
+        expect(mockGamificationKit.exportMetrics).toHaveBeenCalledWith('openmetrics');
+        expect(context.res.writeHead).toHaveBeenCalledWith(200, {
+          'Content-Type': 'application/openmetrics-text; version=1.0.0; charset=utf-8'
+        });
+        expect(context.res.end).toHaveBeenCalledWith('# EOF\n');
+      });
+
+      it('should fall back to the Prometheus text format', async (): Promise<void> => {
+        mockGamificationKit.exportMetrics = jest.fn().mockResolvedValue('gamification_uptime_seconds 1\n');
+        context.req.headers = { accept: 'text/plain' };
+
+        await apiServer.handleMetrics(context);
+
+        expect(mockGamificationKit.exportMetrics).toHaveBeenCalledWith('prometheus');
+        expect(context.res.writeHead).toHaveBeenCalledWith(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      });
     });
 
     describe('user endpoints', (): void => {
@@ -287,16 +417,31 @@ describe('APIServer', (): void => {
         expect(context.res.end).toHaveBeenCalledWith(JSON.stringify({ error: 'Points module not found' }));
       });
 
-      it('should get user history with limit', async (): Promise<void> => {
-        const mockHistory = Array.from({ length: 200 }, (_, i) => ({ event: `event${i}` }));
-        mockGamificationKit.storage.get.mockResolvedValue(mockHistory);
-        context.query.limit = '50';
+      it('should get user history from the journal', async (): Promise<void> => {
+        const mockHistory = Array.from({ length: 50 }, (_, i) => ({ eventName: `event${i}` }));
+        mockGamificationKit.journal = {
+          getHistory: jest.fn().mockResolvedValue({ entries: mockHistory, nextCursor: '149' })
+        };
+        context.query = { limit: '50', types: 'user.login,points.awarded', from: '2024-01-01' };
 
         await apiServer.handleGetUserHistory(context);
-        expect(mockGamificationKit.storage.get).toHaveBeenCalledWith('history:user123');
+        expect(mockGamificationKit.journal.getHistory).toHaveBeenCalledWith('user123', {
+          limit: 50,
+          cursor: undefined,
+          eventTypes: ['user.login', 'points.awarded'],
+          from: '2024-01-01',
+          to: undefined,
+          order: undefined
+        });
         const response = JSON.parse(context.res.end.mock.calls[0][0]);
         expect(response.history).toHaveLength(50);
-        expect(response.history[0]).toEqual({ event: 'event150' });
+        expect(response.nextCursor).toBe('149');
+      });
+
+      it('should return 404 when the journal is disabled', async (): Promise<void> => {
+        await apiServer.handleGetUserHistory(context);
+        expect(context.res.writeHead).toHaveBeenCalledWith(404, { 'Content-Type': 'application/json' });
+        expect(context.res.end).toHaveBeenCalledWith(JSON.stringify({ error: 'Event journal not enabled' }));
       });
     });
 
@@ -333,6 +478,247 @@ describe('APIServer', (): void => {
           position: 5
         }));
       });
+
+      it('should get the users around a user', async (): Promise<void> => {
+        const mockLeaderboardModule = {
+          getAroundUser: jest.fn().mockResolvedValue({ rank: 7, topPercent: 7, entries: [] })
+        };
+        mockGamificationKit.modules.set('leaderboards', mockLeaderboardModule);
+
+        context.params = { type: 'points', userId: 'user123' };
+        context.query = { count: '3' };
+
+        await apiServer.handleGetAroundUser(context);
+        expect(mockLeaderboardModule.getAroundUser).toHaveBeenCalledWith('points', 'user123', { count: 3 });
+        expect(context.res.end).toHaveBeenCalledWith(JSON.stringify({ rank: 7, topPercent: 7, entries: [] }));
+      });
+
+      it('should return 404 when the user is not on the board', async (): Promise<void> => {
+        mockGamificationKit.modules.set('leaderboards', { getAroundUser: jest.fn().mockResolvedValue(null) });
+
+        context.params = { type: 'points', userId: 'user123' };
+
+        await apiServer.handleGetAroundUser(context);
+        expect(context.res.writeHead).toHaveBeenCalledWith(404, { 'Content-Type': 'application/json' });
+      });
+
+      it('should add and remove friends', async (): Promise<void> => {
+        const mockLeaderboardModule = {
+          addFriend: jest.fn().mockResolvedValue({ success: true }),
+          removeFriend: jest.fn().mockResolvedValue({ success: true })
+        };
+        mockGamificationKit.modules.set('leaderboards', mockLeaderboardModule);
+
+        context.params = { userId: 'user123', friendId: 'user456' };
+        context.body = { mutual: false };
+        await apiServer.handleAddFriend(context);
+
+        context.query = {};
+        await apiServer.handleRemoveFriend(context);
+
+        expect(mockLeaderboardModule.addFriend).toHaveBeenCalledWith('user123', 'user456', { mutual: false });
+        expect(mockLeaderboardModule.removeFriend).toHaveBeenCalledWith('user123', 'user456', { mutual: true });
+      });
+
+      it('should get the friends leaderboard', async (): Promise<void> => {
+        const mockLeaderboardModule = {
+          getFriendsLeaderboard: jest.fn().mockResolvedValue({ entries: [], totalCount: 0 })
+        };
+        mockGamificationKit.modules.set('leaderboards', mockLeaderboardModule);
+
+        context.params = { userId: 'user123', type: 'points-weekly' };
+        context.query = { limit: '20' };
+
+        await apiServer.handleGetFriendsLeaderboard(context);
+        expect(mockLeaderboardModule.getFriendsLeaderboard).toHaveBeenCalledWith('points-weekly', 'user123', { limit: 20 });
+      });
+
+      it('should get the season countdown', async (): Promise<void> => {
+        const mockLeaderboardModule = {
+          getSeason: jest.fn().mockResolvedValue({ leaderboardId: 'arena', season: 3, endsIn: 1000 })
+        };
+        mockGamificationKit.modules.set('leaderboards', mockLeaderboardModule);
+
+        context.params = { type: 'arena' };
+
+        await apiServer.handleGetSeason(context);
+        expect(mockLeaderboardModule.getSeason).toHaveBeenCalledWith('arena');
+        expect(context.res.end).toHaveBeenCalledWith(JSON.stringify({ leaderboardId: 'arena', season: 3, endsIn: 1000 }));
+      });
+
+      it('should return 404 for a leaderboard without seasons', async (): Promise<void> => {
+        mockGamificationKit.modules.set('leaderboards', { getSeason: jest.fn().mockResolvedValue(null) });
+
+        context.params = { type: 'global' };
+
+        await apiServer.handleGetSeason(context);
+        expect(context.res.writeHead).toHaveBeenCalledWith(404, { 'Content-Type': 'application/json' });
+      });
+
+      it('should get user season placements', async (): Promise<void> => {
+        const mockLeaderboardModule = {
+          getUserSeasonHistory: jest.fn().mockResolvedValue([{ leaderboardId: 'arena', season: 1, rank: 2 }])
+        };
+        mockGamificationKit.modules.set('leaderboards', mockLeaderboardModule);
+
+        context.params = { userId: 'user123' };
+        context.query = { leaderboard: 'arena', limit: '5' };
+
+        await apiServer.handleGetUserSeasons(context);
+        expect(mockLeaderboardModule.getUserSeasonHistory).toHaveBeenCalledWith('user123', {
+          leaderboardId: 'arena',
+          limit: 5
+        });
+        expect(context.res.end).toHaveBeenCalledWith(JSON.stringify({
+          userId: 'user123',
+          seasons: [{ leaderboardId: 'arena', season: 1, rank: 2 }]
+        }));
+      });
+    });
+
+    describe('rewards endpoints', (): void => {
+      let mockRewardsModule;
+
+      beforeEach(() => {
+        mockRewardsModule = {
+          getCatalog: jest.fn().mockResolvedValue([{ id: 'mug', price: 100 }]),
+          redeem: jest.fn().mockResolvedValue({ success: true, order: { id: 'ord_1' } }),
+          getOrders: jest.fn().mockResolvedValue([{ id: 'ord_1' }]),
+          getInventory: jest.fn().mockResolvedValue({ mug: 1 })
+        };
+        mockGamificationKit.modules.set('rewards', mockRewardsModule);
+        context.params.userId = 'user123';
+      });
+
+      it('should list the reward catalog', async (): Promise<void> => {
+        await apiServer.handleGetRewards(context);
+        expect(mockRewardsModule.getCatalog).toHaveBeenCalledWith({ category: undefined, includeUnavailable: false });
+        expect(context.res.end).toHaveBeenCalledWith(JSON.stringify({ rewards: [{ id: 'mug', price: 100 }] }));
+      });
+
+      it('should redeem a reward', async (): Promise<void> => {
+        context.params.rewardId = 'mug';
+        context.body = { quantity: 2 };
+        await apiServer.handleRedeemReward(context);
+        expect(mockRewardsModule.redeem).toHaveBeenCalledWith('user123', 'mug', 2, {});
+        expect(context.res.writeHead).toHaveBeenCalledWith(200, { 'Content-Type': 'application/json' });
+      });
+
+      it('should return 409 when redemption is refused', async (): Promise<void> => {
+        mockRewardsModule.redeem.mockResolvedValue({ success: false, reason: 'out_of_stock' });
+        context.params.rewardId = 'mug';
+        await apiServer.handleRedeemReward(context);
+        expect(context.res.writeHead).toHaveBeenCalledWith(409, { 'Content-Type': 'application/json' });
+      });
+
+      it('should get user orders and inventory', async (): Promise<void> => {
+        await apiServer.handleGetUserOrders(context);
+        expect(mockRewardsModule.getOrders).toHaveBeenCalledWith('user123', 50);
+
+        await apiServer.handleGetUserInventory(context);
+        expect(context.res.end).toHaveBeenLastCalledWith(JSON.stringify({ userId: 'user123', inventory: { mug: 1 } }));
+      });
+
+      it('should return 404 when rewards module not found', async (): Promise<void> => {
+        mockGamificationKit.modules.delete('rewards');
+        await apiServer.handleGetRewards(context);
+        expect(context.res.end).toHaveBeenCalledWith(JSON.stringify({ error: 'Rewards module not found' }));
+      });
+    });
+
+    describe('team endpoints', (): void => {
+      let mockTeamModule;
+
+      beforeEach(() => {
+        mockTeamModule = {
+          getAllTeams: jest.fn().mockResolvedValue([{ id: 'red' }]),
+          getTeam: jest.fn().mockResolvedValue({ id: 'red', name: 'Red' }),
+          getMembers: jest.fn().mockResolvedValue([{ userId: 'user123', role: 'owner' }]),
+          getTeamScore: jest.fn().mockResolvedValue(150),
+          getContributions: jest.fn().mockResolvedValue([{ userId: 'user123', score: 150 }]),
+          createTeam: jest.fn().mockResolvedValue({ id: 'red', name: 'Red' }),
+          joinTeam: jest.fn().mockResolvedValue({ success: true, teamId: 'red', role: 'member' }),
+          setRole: jest.fn().mockResolvedValue({ success: false, reason: 'insufficient_role' }),
+          getUserTeam: jest.fn().mockResolvedValue({ id: 'red', role: 'owner' })
+        };
+        mockGamificationKit.modules.set('teams', mockTeamModule);
+        context.params.teamId = 'red';
+      });
+
+      it('should get a team with members and score', async (): Promise<void> => {
+        context.query = { period: 'weekly' };
+        await apiServer.handleGetTeam(context);
+        expect(mockTeamModule.getTeamScore).toHaveBeenCalledWith('red', 'points', 'weekly');
+        expect(context.res.end).toHaveBeenCalledWith(JSON.stringify({
+          team: { id: 'red', name: 'Red' },
+          members: [{ userId: 'user123', role: 'owner' }],
+          source: 'points',
+          period: 'weekly',
+          score: 150,
+          contributions: [{ userId: 'user123', score: 150 }]
+        }));
+      });
+
+      it('should return 404 for unknown teams', async (): Promise<void> => {
+        mockTeamModule.getTeam.mockResolvedValue(null);
+        await apiServer.handleGetTeam(context);
+        expect(context.res.writeHead).toHaveBeenCalledWith(404, { 'Content-Type': 'application/json' });
+      });
+
+      it('should create a team', async (): Promise<void> => {
+        context.body = { userId: 'user123', name: 'Red' };
+        await apiServer.handleCreateTeam(context);
+        expect(mockTeamModule.createTeam).toHaveBeenCalledWith('user123', { name: 'Red' });
+        expect(context.res.writeHead).toHaveBeenCalledWith(201, { 'Content-Type': 'application/json' });
+      });
+
+      it('should join a team', async (): Promise<void> => {
+        context.body = { userId: 'user456' };
+        await apiServer.handleJoinTeam(context);
+        expect(mockTeamModule.joinTeam).toHaveBeenCalledWith('user456', 'red');
+        expect(context.res.writeHead).toHaveBeenCalledWith(200, { 'Content-Type': 'application/json' });
+      });
+
+      it('should return 403 when a role change is refused', async (): Promise<void> => {
+        context.params.userId = 'user456';
+        context.body = { actorId: 'user789', role: 'officer' };
+        await apiServer.handleSetTeamRole(context);
+        expect(mockTeamModule.setRole).toHaveBeenCalledWith('user789', 'red', 'user456', 'officer');
+        expect(context.res.writeHead).toHaveBeenCalledWith(403, { 'Content-Type': 'application/json' });
+      });
+
+      it('should act for the token\'s subject when auth is enabled', async (): Promise<void> => {
+        apiServer.authenticator = new Authenticator({ jwt: { secret: 'test-secret' }, logger: { enabled: false } });
+        context.auth = { subject: 'user123', scopes: [], claims: {} };
+
+        context.body = { name: 'Red' };
+        await apiServer.handleCreateTeam(context);
+        expect(mockTeamModule.createTeam).toHaveBeenCalledWith('user123', { name: 'Red' });
+
+        context.params.userId = 'user456';
+        context.body = { role: 'officer' };
+        await apiServer.handleSetTeamRole(context);
+        expect(mockTeamModule.setRole).toHaveBeenCalledWith('user123', 'red', 'user456', 'officer');
+      });
+
+      it('should only let admins act for another user', async (): Promise<void> => {
+        apiServer.authenticator = new Authenticator({ jwt: { secret: 'test-secret' }, logger: { enabled: false } });
+        context.auth = { subject: 'user123', scopes: [], claims: {} };
+        context.body = { userId: 'user456' };
+        await apiServer.handleJoinTeam(context);
+        expect(context.res.writeHead).toHaveBeenCalledWith(403, { 'Content-Type': 'application/json' });
+        expect(mockTeamModule.joinTeam).not.toHaveBeenCalled();
+
+        context.auth = { subject: 'support-agent', scopes: ['admin'], claims: {} };
+        await apiServer.handleJoinTeam(context);
+        expect(mockTeamModule.joinTeam).toHaveBeenCalledWith('user456', 'red');
+      });
+
+      it('should return 404 when teams module not found', async (): Promise<void> => {
+        mockGamificationKit.modules.delete('teams');
+        await apiServer.handleGetTeams(context);
+        expect(context.res.end).toHaveBeenCalledWith(JSON.stringify({ error: 'Teams module not found' }));
+      });
     });
 
     describe('track event endpoint', (): void => {
@@ -342,6 +728,43 @@ describe('APIServer', (): void => {
         expect(mockGamificationKit.track).toHaveBeenCalledWith('user.login', { userId: 'user123' });
       });
 
+      it('should pass the Idempotency-Key header to track', async (): Promise<void> => {
+        context.req = { headers: { 'idempotency-key': 'retry-1' } };
+        context.body = { eventName: 'user.login', userId: 'user123' };
+        await apiServer.handleTrackEvent(context);
+        expect(mockGamificationKit.track).toHaveBeenCalledWith(
+          'user.login',
+          { userId: 'user123' },
+          { idempotencyKey: 'retry-1' }
+        );
+      });
+
+      it('should return 409 while the original request with the key still runs', async (): Promise<void> => {
+        context.req = { headers: { 'idempotency-key': 'retry-1' } };
+        context.body = { eventName: 'user.login', userId: 'user123' };
+        mockGamificationKit.track.mockRejectedValue(new Error('Event with idempotency key retry-1 is still being processed'));
+        await apiServer.handleTrackEvent(context);
+        expect(context.res.writeHead).toHaveBeenCalledWith(409, { 'Content-Type': 'application/json' });
+      });
+
+      it('should only let admin tokens track events for another user', async (): Promise<void> => {
+        apiServer.authenticator = new Authenticator({ jwt: { secret: 'test-secret' }, logger: { enabled: false } });
+        context.auth = { subject: 'user123', scopes: [], claims: {} };
+        context.body = { eventName: 'user.login', userId: 'user456' };
+        await apiServer.handleTrackEvent(context);
+        expect(context.res.writeHead).toHaveBeenCalledWith(403, { 'Content-Type': 'application/json' });
+        expect(mockGamificationKit.track).not.toHaveBeenCalled();
+
+        context.body = { eventName: 'user.login', userId: 'user123' };
+        await apiServer.handleTrackEvent(context);
+        expect(mockGamificationKit.track).toHaveBeenCalledWith('user.login', { userId: 'user123' });
+
+        context.auth = { subject: 'support-agent', scopes: ['admin'], claims: {} };
+        context.body = { eventName: 'user.login', userId: 'user456' };
+        await apiServer.handleTrackEvent(context);
+        expect(mockGamificationKit.track).toHaveBeenCalledWith('user.login', { userId: 'user456' });
+      });
+
       it('should require eventName', async (): Promise<void> => {
         context.body = { userId: 'user123' };
         await apiServer.handleTrackEvent(context);
@@ -441,6 +864,483 @@ describe('APIServer', (): void => {
         expect(context.res.end).toHaveBeenCalledWith(JSON.stringify({ error: 'userId, type, and value are required' }));
       });
     });
+
+    describe('rebuild endpoint', (): void => {
+      beforeEach(() => {
+        mockGamificationKit.rebuildUser = jest.fn().mockResolvedValue({
+          success: true,
+          userId: 'user123',
+          rebuildId: 'rbd_1',
+          eventsReplayed: 4
+        });
+        apiServer.adminKeys = new Set(['admin-key']);
+        context.params.userId = 'user123';
+      });
+
+      it('should require an admin key', async (): Promise<void> => {
+        context.req = { headers: {} };
+        await apiServer.handleRebuildUser(context);
+        expect(context.res.writeHead).toHaveBeenCalledWith(403, { 'Content-Type': 'application/json' });
+        expect(mockGamificationKit.rebuildUser).not.toHaveBeenCalled();
+      });
+
+      it('should rebuild a user from the journal', async (): Promise<void> => {
+        context.req = { headers: { 'x-api-key': 'admin-key' } };
+        await apiServer.handleRebuildUser(context);
+        expect(mockGamificationKit.rebuildUser).toHaveBeenCalledWith('user123');
+        expect(JSON.parse(context.res.end.mock.calls[0][0]).eventsReplayed).toBe(4);
+      });
+    });
+
+    describe('export and erase endpoints', (): void => {
+      beforeEach(() => {
+        mockGamificationKit.exportUser = jest.fn().mockResolvedValue({
+          version: 1,
+          userId: 'user123',
+          modules: { points: { currencies: {} } }
+        });
+        mockGamificationKit.eraseUser = jest.fn().mockResolvedValue({
+          success: true,
+          userId: 'user123',
+          keysDeleted: ['journal:user123'],
+          remainingKeys: []
+        });
+        apiServer.adminKeys = new Set(['admin-key']);
+        context.params.userId = 'user123';
+      });
+
+      it('should require an admin key', async (): Promise<void> => {
+        context.req = { headers: {} };
+        await apiServer.handleExportUser(context);
+        await apiServer.handleEraseUser(context);
+        expect(context.res.writeHead).toHaveBeenCalledWith(403, { 'Content-Type': 'application/json' });
+        expect(mockGamificationKit.exportUser).not.toHaveBeenCalled();
+        expect(mockGamificationKit.eraseUser).not.toHaveBeenCalled();
+      });
+
+      it('should export a user', async (): Promise<void> => {
+        context.req = { headers: { 'x-api-key': 'admin-key' } };
+        await apiServer.handleExportUser(context);
+        expect(mockGamificationKit.exportUser).toHaveBeenCalledWith('user123');
+        expect(JSON.parse(context.res.end.mock.calls[0][0]).modules).toEqual({ points: { currencies: {} } });
+      });
+
+      it('should erase a user and return the report', async (): Promise<void> => {
+        context.req = { headers: { 'x-api-key': 'admin-key' } };
+        await apiServer.handleEraseUser(context);
+        expect(mockGamificationKit.eraseUser).toHaveBeenCalledWith('user123');
+        expect(JSON.parse(context.res.end.mock.calls[0][0]).keysDeleted).toEqual(['journal:user123']);
+      });
+    });
+
+    describe('webhook dead letter endpoints', (): void => {
+      let mockWebhookManager;
+
+      beforeEach(() => {
+        mockWebhookManager = {
+          getDeadLetters: jest.fn().mockResolvedValue([{ id: 'whk_1', webhookId: 'crm', lastError: 'HTTP 500' }]),
+          getDeadLetter: jest.fn().mockResolvedValue({ id: 'whk_1', webhookId: 'crm', lastError: 'HTTP 500' }),
+          replayDeadLetter: jest.fn().mockResolvedValue({ id: 'whk_2' }),
+          purgeDeadLetters: jest.fn().mockResolvedValue(3),
+          getDeliveryLog: jest.fn().mockResolvedValue([{ status: 'failed', latency: 12, attempt: 1 }])
+        };
+        mockGamificationKit.webhookManager = mockWebhookManager;
+        apiServer.adminKeys = new Set(['admin-key']);
+        context.req = { headers: { 'x-api-key': 'admin-key' } };
+      });
+
+      it('should require an admin key', async (): Promise<void> => {
+        context.req = { headers: { 'x-api-key': 'test-api-key' } };
+        await apiServer.handleGetDeadLetters(context);
+        expect(context.res.writeHead).toHaveBeenCalledWith(403, { 'Content-Type': 'application/json' });
+        expect(mockWebhookManager.getDeadLetters).not.toHaveBeenCalled();
+      });
+
+      it('should list dead letters for a webhook', async (): Promise<void> => {
+        context.query = { webhookId: 'crm', limit: '10' };
+        await apiServer.handleGetDeadLetters(context);
+        expect(mockWebhookManager.getDeadLetters).toHaveBeenCalledWith({ webhookId: 'crm', limit: 10 });
+        expect(context.res.end).toHaveBeenCalledWith(JSON.stringify({
+          deadLetters: [{ id: 'whk_1', webhookId: 'crm', lastError: 'HTTP 500' }]
+        }));
+      });
+
+      it('should return 404 for unknown dead letters', async (): Promise<void> => {
+        mockWebhookManager.getDeadLetter.mockResolvedValue(null);
+        context.params.deadLetterId = 'missing';
+        await apiServer.handleReplayDeadLetter(context);
+        expect(context.res.writeHead).toHaveBeenCalledWith(404, { 'Content-Type': 'application/json' });
+        expect(mockWebhookManager.replayDeadLetter).not.toHaveBeenCalled();
+      });
+
+      it('should replay a dead letter', async (): Promise<void> => {
+        context.params.deadLetterId = 'whk_1';
+        await apiServer.handleReplayDeadLetter(context);
+        expect(mockWebhookManager.replayDeadLetter).toHaveBeenCalledWith('whk_1');
+        expect(context.res.writeHead).toHaveBeenCalledWith(202, { 'Content-Type': 'application/json' });
+        expect(context.res.end).toHaveBeenCalledWith(JSON.stringify({ success: true, itemId: 'whk_2' }));
+      });
+
+      it('should purge dead letters', async (): Promise<void> => {
+        context.query = { webhookId: 'crm' };
+        await apiServer.handlePurgeDeadLetters(context);
+        expect(mockWebhookManager.purgeDeadLetters).toHaveBeenCalledWith({ webhookId: 'crm' });
+        expect(context.res.end).toHaveBeenCalledWith(JSON.stringify({ success: true, purged: 3 }));
+      });
+
+      it('should get the delivery log of a webhook', async (): Promise<void> => {
+        context.params.webhookId = 'crm';
+        await apiServer.handleGetWebhookDeliveries(context);
+        expect(mockWebhookManager.getDeliveryLog).toHaveBeenCalledWith('crm', 50);
+      });
+
+      it('should return 404 when webhooks are disabled', async (): Promise<void> => {
+        mockGamificationKit.webhookManager = null;
+        await apiServer.handleGetDeadLetters(context);
+        expect(context.res.end).toHaveBeenCalledWith(JSON.stringify({ error: 'Webhooks not enabled' }));
+      });
+    });
+
+    describe('rule management endpoints', (): void => {
+      let mockRuleStore;
+      const stored = { name: 'binge', version: 2, definition: { conditions: { field: 'a', operator: '==', value: 1 } } };
+
+      beforeEach(() => {
+        mockRuleStore = {
+          list: jest.fn().mockResolvedValue([stored]),
+          get: jest.fn().mockResolvedValue(stored),
+          create: jest.fn().mockResolvedValue({ ...stored, version: 1 }),
+          update: jest.fn().mockResolvedValue(stored),
+          setEnabled: jest.fn().mockResolvedValue(stored),
+          rollback: jest.fn().mockResolvedValue({ ...stored, version: 3 }),
+          delete: jest.fn().mockResolvedValue(true),
+          getVersions: jest.fn().mockResolvedValue([{ version: 2, action: 'update' }, { version: 1, action: 'create' }])
+        };
+        mockGamificationKit.ruleStore = mockRuleStore;
+        mockGamificationKit.ruleEngine = {
+          dryRun: jest.fn().mockResolvedValue({ results: [], actions: [], timestamp: 1 })
+        };
+        apiServer.adminKeys = new Set(['admin-key']);
+        context.req = { headers: { 'x-api-key': 'admin-key' } };
+      });
+
+      it('should require an admin key', async (): Promise<void> => {
+        context.req = { headers: { 'x-api-key': 'test-api-key' } };
+        await apiServer.handleListRules(context);
+        expect(context.res.writeHead).toHaveBeenCalledWith(403, { 'Content-Type': 'application/json' });
+        expect(mockRuleStore.list).not.toHaveBeenCalled();
+      });
+
+      it('should create a rule', async (): Promise<void> => {
+        context.body = { name: 'binge', conditions: { field: 'a', operator: '==', value: 1 } };
+        await apiServer.handleCreateRule(context);
+        expect(mockRuleStore.create).toHaveBeenCalledWith(
+          'binge',
+          { conditions: { field: 'a', operator: '==', value: 1 } },
+          'admin-ke...'
+        );
+        expect(context.res.writeHead).toHaveBeenCalledWith(201, { 'Content-Type': 'application/json' });
+      });
+
+      it('should return 409 for duplicate rules', async (): Promise<void> => {
+        mockRuleStore.create.mockRejectedValue(new Error('Rule already exists: binge'));
+        context.body = { name: 'binge', conditions: {} };
+        await apiServer.handleCreateRule(context);
+        expect(context.res.writeHead).toHaveBeenCalledWith(409, { 'Content-Type': 'application/json' });
+      });
+
+      it('should update, disable and delete a rule', async (): Promise<void> => {
+        context.params.ruleName = 'binge';
+        context.body = { priority: 5 };
+
+        await apiServer.handleUpdateRule(context);
+        await apiServer.handleDisableRule(context);
+        await apiServer.handleDeleteRule(context);
+
+        expect(mockRuleStore.update).toHaveBeenCalledWith('binge', { priority: 5 }, 'admin-ke...');
+        expect(mockRuleStore.setEnabled).toHaveBeenCalledWith('binge', false, 'admin-ke...');
+        expect(mockRuleStore.delete).toHaveBeenCalledWith('binge', 'admin-ke...');
+      });
+
+      it('should roll back to a version', async (): Promise<void> => {
+        context.params.ruleName = 'binge';
+        context.body = { version: 1 };
+        await apiServer.handleRollbackRule(context);
+        expect(mockRuleStore.rollback).toHaveBeenCalledWith('binge', 1, 'admin-ke...');
+        expect(JSON.parse(context.res.end.mock.calls[0][0]).version).toBe(3);
+      });
+
+      it('should reject rollbacks without a version', async (): Promise<void> => {
+        context.params.ruleName = 'binge';
+        context.body = {};
+        await apiServer.handleRollbackRule(context);
+        expect(context.res.writeHead).toHaveBeenCalledWith(400, { 'Content-Type': 'application/json' });
+        expect(mockRuleStore.rollback).not.toHaveBeenCalled();
+      });
+
+      it('should return 404 for unknown rules', async (): Promise<void> => {
+        mockRuleStore.setEnabled.mockRejectedValue(new Error('Rule not found: missing'));
+        context.params.ruleName = 'missing';
+        await apiServer.handleEnableRule(context);
+        expect(context.res.writeHead).toHaveBeenCalledWith(404, { 'Content-Type': 'application/json' });
+      });
+
+      it('should list the versions of a rule', async (): Promise<void> => {
+        context.params.ruleName = 'binge';
+        await apiServer.handleGetRuleVersions(context);
+        expect(JSON.parse(context.res.end.mock.calls[0][0]).versions).toHaveLength(2);
+      });
+
+      it('should dry-run a sample event', async (): Promise<void> => {
+        context.body = { event: { eventName: 'lesson.completed', userId: 'user1', timestamp: 1000 }, ruleName: 'binge' };
+        await apiServer.handleDryRunRules(context);
+        expect(mockGamificationKit.ruleEngine.dryRun).toHaveBeenCalledWith(
+          { eventName: 'lesson.completed', userId: 'user1', timestamp: 1000 },
+          'binge'
+        );
+      });
+
+      it('should return 404 when the rule store is disabled', async (): Promise<void> => {
+        mockGamificationKit.ruleStore = null;
+        await apiServer.handleListRules(context);
+        expect(context.res.end).toHaveBeenCalledWith(JSON.stringify({ error: 'Rule store not enabled' }));
+      });
+    });
+
+    describe('campaign endpoints', (): void => {
+      let mockLiveOpsModule;
+      const campaign = { id: 'weekend', name: 'Double XP weekend', status: 'scheduled' };
+
+      beforeEach(() => {
+        mockLiveOpsModule = {
+          getCalendar: jest.fn().mockResolvedValue([campaign]),
+          getCampaign: jest.fn().mockResolvedValue(campaign),
+          createCampaign: jest.fn().mockResolvedValue(campaign),
+          cancelCampaign: jest.fn().mockResolvedValue({ success: true, campaign: { ...campaign, status: 'cancelled' } })
+        };
+        mockGamificationKit.modules.set('liveops', mockLiveOpsModule);
+        apiServer.adminKeys = new Set(['admin-key']);
+        context.req = { headers: { 'x-api-key': 'admin-key' } };
+        context.params.campaignId = 'weekend';
+      });
+
+      it('should require an admin key', async (): Promise<void> => {
+        context.req = { headers: { 'x-api-key': 'test-api-key' } };
+        await apiServer.handleGetCampaigns(context);
+        expect(context.res.writeHead).toHaveBeenCalledWith(403, { 'Content-Type': 'application/json' });
+        expect(mockLiveOpsModule.getCalendar).not.toHaveBeenCalled();
+      });
+
+      it('should preview the calendar for a window', async (): Promise<void> => {
+        context.query = { from: '1000', to: '2024-06-01T00:00:00Z', includeCancelled: 'false' };
+        await apiServer.handleGetCampaigns(context);
+        expect(mockLiveOpsModule.getCalendar).toHaveBeenCalledWith({
+          from: 1000,
+          to: '2024-06-01T00:00:00Z',
+          includeCancelled: false
+        });
+        expect(context.res.end).toHaveBeenCalledWith(JSON.stringify({ campaigns: [campaign] }));
+      });
+
+      it('should create a campaign', async (): Promise<void> => {
+        context.body = { id: 'weekend', name: 'Double XP weekend', startsAt: 1000, endsAt: 2000 };
+        await apiServer.handleCreateCampaign(context);
+        expect(mockLiveOpsModule.createCampaign).toHaveBeenCalledWith(context.body);
+        expect(context.res.writeHead).toHaveBeenCalledWith(201, { 'Content-Type': 'application/json' });
+      });
+
+      it('should return 409 for duplicate campaigns', async (): Promise<void> => {
+        mockLiveOpsModule.createCampaign.mockRejectedValue(new Error('Campaign already exists: weekend'));
+        context.body = { id: 'weekend' };
+        await apiServer.handleCreateCampaign(context);
+        expect(context.res.writeHead).toHaveBeenCalledWith(409, { 'Content-Type': 'application/json' });
+      });
+
+      it('should cancel a campaign and report refusals', async (): Promise<void> => {
+        await apiServer.handleCancelCampaign(context);
+        expect(mockLiveOpsModule.cancelCampaign).toHaveBeenCalledWith('weekend');
+        expect(context.res.writeHead).toHaveBeenCalledWith(200, { 'Content-Type': 'application/json' });
+
+        mockLiveOpsModule.cancelCampaign.mockResolvedValue({ success: false, reason: 'already_ended' });
+        await apiServer.handleCancelCampaign(context);
+        expect(context.res.writeHead).toHaveBeenCalledWith(409, { 'Content-Type': 'application/json' });
+      });
+
+      it('should return 404 for unknown campaigns', async (): Promise<void> => {
+        mockLiveOpsModule.getCampaign.mockResolvedValue(null);
+        await apiServer.handleGetCampaign(context);
+        expect(context.res.end).toHaveBeenCalledWith(JSON.stringify({ error: 'Campaign not found: weekend' }));
+      });
+    });
+
+    describe('abuse review endpoints', (): void => {
+      let mockAbuseDetector;
+      const held = { id: 'hld_1', userId: 'user123', eventName: 'lesson.completed', data: { userId: 'user123' } };
+
+      beforeEach(() => {
+        mockAbuseDetector = {
+          getFlaggedUsers: jest.fn().mockResolvedValue([{ userId: 'user123', reason: 'threshold' }]),
+          flagUser: jest.fn().mockResolvedValue({ userId: 'user123', reason: 'chargeback' }),
+          clearFlag: jest.fn().mockResolvedValue({ success: true, userId: 'user123' }),
+          getHeldAwards: jest.fn().mockResolvedValue([held])
+        };
+        mockGamificationKit.abuseDetector = mockAbuseDetector;
+        mockGamificationKit.approveHeldAward = jest.fn().mockResolvedValue({ success: true, holdId: 'hld_1', userId: 'user123' });
+        mockGamificationKit.rejectHeldAward = jest.fn().mockResolvedValue({ success: true, holdId: 'hld_1', userId: 'user123' });
+        apiServer.adminKeys = new Set(['admin-key']);
+        context.req = { headers: { 'x-api-key': 'admin-key' } };
+      });
+
+      it('should require an admin key', async (): Promise<void> => {
+        context.req = { headers: { 'x-api-key': 'test-api-key' } };
+        context.params.holdId = 'hld_1';
+        await apiServer.handleApproveHeldAward(context);
+        expect(context.res.writeHead).toHaveBeenCalledWith(403, { 'Content-Type': 'application/json' });
+        expect(mockGamificationKit.approveHeldAward).not.toHaveBeenCalled();
+      });
+
+      it('should list held awards for a user', async (): Promise<void> => {
+        context.query = { userId: 'user123', limit: '10' };
+        await apiServer.handleGetHeldAwards(context);
+        expect(mockAbuseDetector.getHeldAwards).toHaveBeenCalledWith({ userId: 'user123', limit: 10 });
+        expect(context.res.end).toHaveBeenCalledWith(JSON.stringify({ heldAwards: [held] }));
+      });
+
+      it('should flag and clear users', async (): Promise<void> => {
+        context.params.userId = 'user123';
+        context.body = { reason: 'chargeback', ttl: 3600 };
+        await apiServer.handleFlagUser(context);
+        expect(mockAbuseDetector.flagUser).toHaveBeenCalledWith('user123', {
+          reason: 'chargeback',
+          ttl: 3600,
+          flaggedBy: 'admin-ke...'
+        });
+
+        mockAbuseDetector.clearFlag.mockResolvedValue({ success: false, userId: 'user123', reason: 'not_flagged' });
+        await apiServer.handleClearFlag(context);
+        expect(mockAbuseDetector.clearFlag).toHaveBeenCalledWith('user123', 'admin-ke...');
+        expect(context.res.writeHead).toHaveBeenCalledWith(404, { 'Content-Type': 'application/json' });
+      });
+
+      it('should approve and reject held awards', async (): Promise<void> => {
+        context.params.holdId = 'hld_1';
+        await apiServer.handleApproveHeldAward(context);
+        expect(mockGamificationKit.approveHeldAward).toHaveBeenCalledWith('hld_1', 'admin-ke...');
+
+        context.body = { note: 'bot traffic' };
+        await apiServer.handleRejectHeldAward(context);
+        expect(mockGamificationKit.rejectHeldAward).toHaveBeenCalledWith('hld_1', 'admin-ke...', 'bot traffic');
+      });
+
+      it('should return 404 for unknown held awards', async (): Promise<void> => {
+        mockGamificationKit.approveHeldAward.mockRejectedValue(new Error('Held award not found: missing'));
+        context.params.holdId = 'missing';
+        await apiServer.handleApproveHeldAward(context);
+        expect(context.res.writeHead).toHaveBeenCalledWith(404, { 'Content-Type': 'application/json' });
+      });
+
+      it('should return 404 when anti-abuse is disabled', async (): Promise<void> => {
+        mockGamificationKit.abuseDetector = null;
+        await apiServer.handleGetAbuseFlags(context);
+        expect(context.res.end).toHaveBeenCalledWith(JSON.stringify({ error: 'Anti-abuse not enabled' }));
+      });
+    });
+
+    describe('reversal endpoints', (): void => {
+      let mockReversals;
+      const reversal = { id: 'rev_1', transactionId: 'txn_1', userId: 'user123', success: true, steps: [] };
+
+      beforeEach(() => {
+        mockReversals = {
+          getReversals: jest.fn().mockResolvedValue([reversal]),
+          getReversal: jest.fn().mockResolvedValue(reversal)
+        };
+        mockGamificationKit.reversals = mockReversals;
+        mockGamificationKit.reverse = jest.fn().mockResolvedValue(reversal);
+        apiServer.adminKeys = new Set(['admin-key']);
+        context.req = { headers: { 'x-api-key': 'admin-key' } };
+        context.params.transactionId = 'txn_1';
+      });
+
+      it('should require an admin key', async (): Promise<void> => {
+        context.req = { headers: { 'x-api-key': 'test-api-key' } };
+        await apiServer.handleReverseTransaction(context);
+        expect(context.res.writeHead).toHaveBeenCalledWith(403, { 'Content-Type': 'application/json' });
+        expect(mockGamificationKit.reverse).not.toHaveBeenCalled();
+      });
+
+      it('should reverse a transaction on behalf of the admin', async (): Promise<void> => {
+        context.body = { dryRun: true, reason: 'chargeback' };
+        await apiServer.handleReverseTransaction(context);
+        expect(mockGamificationKit.reverse).toHaveBeenCalledWith('txn_1', { dryRun: true, reason: 'chargeback', reversedBy: 'admin-ke...' });
+        expect(context.res.end).toHaveBeenCalledWith(JSON.stringify(reversal));
+      });
+
+      it('should return 409 for transactions already reversed', async (): Promise<void> => {
+        mockGamificationKit.reverse.mockResolvedValue({ success: false, reason: 'already_reversed', reversalId: 'rev_1' });
+        await apiServer.handleReverseTransaction(context);
+        expect(context.res.writeHead).toHaveBeenCalledWith(409, { 'Content-Type': 'application/json' });
+      });
+
+      it('should return 409 while another reversal of the transaction runs', async (): Promise<void> => {
+        mockGamificationKit.reverse.mockResolvedValue({ success: false, reason: 'reversal_in_progress' });
+        await apiServer.handleReverseTransaction(context);
+        expect(context.res.writeHead).toHaveBeenCalledWith(409, { 'Content-Type': 'application/json' });
+      });
+
+      it('should return 404 for unknown transactions and reversals', async (): Promise<void> => {
+        mockGamificationKit.reverse.mockRejectedValue(new Error('Transaction not found: txn_1'));
+        await apiServer.handleReverseTransaction(context);
+        expect(context.res.writeHead).toHaveBeenCalledWith(404, { 'Content-Type': 'application/json' });
+
+        mockReversals.getReversal.mockResolvedValue(null);
+        context.params.reversalId = 'rev_missing';
+        await apiServer.handleGetReversal(context);
+        expect(context.res.end).toHaveBeenLastCalledWith(JSON.stringify({ error: 'Reversal not found: rev_missing' }));
+      });
+
+      it('should list reversals for a user', async (): Promise<void> => {
+        context.query = { userId: 'user123', limit: '10' };
+        await apiServer.handleGetReversals(context);
+        expect(mockReversals.getReversals).toHaveBeenCalledWith({ userId: 'user123', limit: 10 });
+        expect(context.res.end).toHaveBeenCalledWith(JSON.stringify({ reversals: [reversal] }));
+      });
+    });
+
+    describe('tenant endpoints', (): void => {
+      beforeEach(() => {
+        mockGamificationKit.listTenants = jest.fn().mockResolvedValue(['acme', 'globex']);
+        mockGamificationKit.deleteTenant = jest.fn().mockResolvedValue({ success: true, tenantId: 'acme', keysDeleted: 12 });
+        apiServer.adminKeys = new Set(['admin-key']);
+        context.req = { headers: { 'x-api-key': 'admin-key' } };
+      });
+
+      it('should require an admin key', async (): Promise<void> => {
+        context.req = { headers: { 'x-api-key': 'test-api-key' } };
+        await apiServer.handleListTenants(context);
+        expect(context.res.writeHead).toHaveBeenCalledWith(403, { 'Content-Type': 'application/json' });
+        expect(mockGamificationKit.listTenants).not.toHaveBeenCalled();
+      });
+
+      it('should list tenants', async (): Promise<void> => {
+        await apiServer.handleListTenants(context);
+        expect(context.res.end).toHaveBeenCalledWith(JSON.stringify({ tenants: ['acme', 'globex'] }));
+      });
+
+      it('should delete a tenant', async (): Promise<void> => {
+        context.params.tenantId = 'acme';
+        await apiServer.handleDeleteTenant(context);
+        expect(mockGamificationKit.deleteTenant).toHaveBeenCalledWith('acme');
+        expect(JSON.parse(context.res.end.mock.calls[0][0]).keysDeleted).toBe(12);
+      });
+
+      it('should return 404 for unknown tenants', async (): Promise<void> => {
+        context.params.tenantId = 'initech';
+        await apiServer.handleDeleteTenant(context);
+        expect(context.res.writeHead).toHaveBeenCalledWith(404, { 'Content-Type': 'application/json' });
+        expect(mockGamificationKit.deleteTenant).not.toHaveBeenCalled();
+      });
+    });
   });
 
   describe('WebSocket handling', (): void => {
@@ -485,6 +1385,33 @@ describe('APIServer', (): void => {
       expect(mockWs.send).toHaveBeenCalledWith({ event: 'test', data: 'value' });
     });
 
+    it('should only send authenticated clients their own events', () => {
+      const ownWs = { send: jest.fn(), userId: 'user123' };
+      const adminWs = { send: jest.fn() };
+      apiServer.websocketClients.add(ownWs);
+      apiServer.websocketClients.add(adminWs);
+
+      apiServer.broadcastToWebSockets({ eventName: 'points.awarded', data: { userId: 'user456' } });
+      apiServer.broadcastToWebSockets({ eventName: 'points.awarded', data: { userId: 'user123' } });
+
+      expect(ownWs.send).toHaveBeenCalledTimes(1);
+      expect(adminWs.send).toHaveBeenCalledTimes(2);
+    });
+
+    it('should refuse WebSocket upgrades without a valid token', async (): Promise<void> => {
+      apiServer.authenticator = new Authenticator({ jwt: { secret: 'test-secret' }, logger: { enabled: false } });
+      const mockRequest = {
+        url: '/gamification/ws?userId=user123',
+        headers: { host: 'localhost:3001', 'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ==' }
+      };
+
+      apiServer.handleWebSocketUpgrade(mockRequest, mockSocket, null);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(mockSocket.end).toHaveBeenCalledWith('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      expect(apiServer.websocketClients.size).toBe(0);
+    });
+
     it('should handle WebSocket send errors', () => {
       const mockWs = {
         send: jest.fn().mockImplementation(() => {
@@ -558,7 +1485,7 @@ describe('APIServer', (): void => {
       apiServer.setCorsHeaders(mockRes);
       expect(mockRes.setHeader).toHaveBeenCalledWith('Access-Control-Allow-Origin', '*');
       expect(mockRes.setHeader).toHaveBeenCalledWith('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-      expect(mockRes.setHeader).toHaveBeenCalledWith('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
+      expect(mockRes.setHeader).toHaveBeenCalledWith('Access-Control-Allow-Headers', 'Content-Type, X-API-Key, Idempotency-Key');
       expect(mockRes.setHeader).toHaveBeenCalledWith('Access-Control-Max-Age', '86400');
     });
 
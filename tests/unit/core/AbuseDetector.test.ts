@@ -0,0 +1,228 @@
+import type { GamificationKit } from '../src/core/GamificationKit.js';
+import { jest } from '@jest/globals';
+import { AbuseDetector } from '../../../src/core/AbuseDetector.js';
+import { EventManager } from '../../../src/core/EventManager.js';
+import { MemoryStorage } from '../../../src/storage/MemoryStorage.js';
+
+describe('AbuseDetector', (): void => {
+  let detector;
+  let storage;
+  let eventManager;
+  let emitted;
+
+  const createDetector = (options = {}) => new AbuseDetector({ storage, eventManager, logger: { enabled: false }, ...options });
+
+  const trackMany = async (count, data = {}) => {
+    let assessment;
+    for (let i = 0; i < count; i++) {
+      assessment = await detector.assess('lesson.completed', { userId: 'user1', lesson: i, ...data });
+    }
+    return assessment;
+  };
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await storage.connect();
+    eventManager = new EventManager();
+    emitted = [];
+    eventManager.onWildcard('abuse.*', async (event) => {
+      emitted.push({ eventName: event.eventName, ...event.data });
+    });
+    detector = createDetector();
+  });
+
+  afterEach(async () => {
+    eventManager.removeAllListeners();
+    await storage.disconnect();
+    jest.restoreAllMocks();
+  });
+
+  describe('velocity rules', (): void => {
+    it('should score events beyond the per-user rate', async (): Promise<void> => {
+      detector = createDetector({ rules: { userVelocity: { limit: 3, window: 60, score: 10 } } });
+
+      expect(await trackMany(3)).toEqual({ userId: 'user1', score: 0, rules: [], flagged: false });
+      expect(await trackMany(1)).toEqual({ userId: 'user1', score: 10, rules: ['userVelocity'], flagged: false });
+    });
+
+    it('should count events per IP across users', async (): Promise<void> => {
+      detector = createDetector({ rules: { ipVelocity: { limit: 2, score: 10 } } });
+
+      await detector.assess('signup', { userId: 'user1', ip: '10.0.0.1' });
+      await detector.assess('signup', { userId: 'user2', ip: '10.0.0.1' });
+      const assessment = await detector.assess('signup', { userId: 'user3', ip: '10.0.0.1' });
+      const otherIp = await detector.assess('signup', { userId: 'user4', ip: '10.0.0.2' });
+
+      expect(assessment.rules).toEqual(['ipVelocity']);
+      expect(otherIp.rules).toEqual([]);
+    });
+
+    it('should score repeated identical payloads', async (): Promise<void> => {
+      detector = createDetector({ rules: { duplicatePayload: { limit: 2, score: 10 } } });
+
+      for (let i = 0; i < 2; i++) {
+        await detector.assess('purchase', { userId: 'user1', sku: 'gem-pack' });
+      }
+
+      expect((await detector.assess('purchase', { userId: 'user1', sku: 'gem-pack' })).rules).toEqual(['duplicatePayload']);
+      expect((await detector.assess('purchase', { userId: 'user1', sku: 'coin-pack' })).rules).toEqual([]);
+    });
+
+    it('should start a new window once the old one has passed', async (): Promise<void> => {
+      detector = createDetector({ rules: { userVelocity: { limit: 1, window: 60 } } });
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+
+      await trackMany(1);
+      expect((await trackMany(1)).rules).toEqual(['userVelocity']);
+
+      jest.spyOn(Date, 'now').mockReturnValue(now + 61000);
+      expect((await trackMany(1)).rules).toEqual([]);
+    });
+
+    it('should skip rules that are turned off and events without a user', async (): Promise<void> => {
+      detector = createDetector({ rules: { userVelocity: false, duplicatePayload: false } });
+
+      expect((await trackMany(50)).rules).toEqual([]);
+      expect(await detector.assess('lesson.completed', { lesson: 1 })).toBeNull();
+    });
+  });
+
+  describe('timestamps', (): void => {
+    it('should score reported times far from the server clock', async (): Promise<void> => {
+      const now = Date.now();
+
+      const future = await detector.assess('streak.record', { userId: 'user1', timestamp: now + 3600000 }, now);
+      const close = await detector.assess('streak.record', { userId: 'user2', timestamp: now - 1000 }, now);
+
+      expect(future.rules).toEqual(['timestamps']);
+      expect(close.rules).toEqual([]);
+    });
+
+    it('should score reported times that go back', async (): Promise<void> => {
+      const now = Date.now();
+
+      await detector.assess('streak.record', { userId: 'user1', timestamp: now - 1000 }, now);
+      const backdated = await detector.assess('streak.record', { userId: 'user1', timestamp: now - 2000 }, now);
+
+      expect(backdated.rules).toEqual(['timestamps']);
+    });
+
+    it('should only check the configured events', async (): Promise<void> => {
+      const now = Date.now();
+      const assessment = await detector.assess('lesson.completed', { userId: 'user1', timestamp: now + 3600000 }, now);
+
+      expect(assessment.rules).toEqual([]);
+    });
+  });
+
+  describe('flags', (): void => {
+    beforeEach(() => {
+      detector = createDetector({ threshold: 30, rules: { userVelocity: { limit: 2, score: 10 } } });
+    });
+
+    it('should flag a user once their score reaches the threshold', async (): Promise<void> => {
+      expect((await trackMany(4)).flagged).toBe(false);
+      expect((await trackMany(1)).flagged).toBe(true);
+
+      expect(await detector.getFlag('user1')).toEqual(expect.objectContaining({
+        userId: 'user1',
+        reason: 'threshold',
+        score: 30,
+        rules: ['userVelocity']
+      }));
+      expect(emitted).toEqual([expect.objectContaining({ eventName: 'abuse.user.flagged', userId: 'user1', score: 30 })]);
+    });
+
+    it('should keep reporting flagged users without flagging them again', async (): Promise<void> => {
+      await trackMany(6);
+
+      expect((await detector.assess('lesson.completed', { userId: 'user1', lesson: 'other' })).flagged).toBe(true);
+      expect(emitted.filter(event => event.eventName === 'abuse.user.flagged')).toHaveLength(1);
+    });
+
+    it('should clear a flag and its score', async (): Promise<void> => {
+      await detector.flagUser('user1', { reason: 'chargeback', flaggedBy: 'admin' });
+
+      expect(await detector.clearFlag('user1', 'admin')).toEqual({ success: true, userId: 'user1' });
+      expect(await detector.getFlag('user1')).toBeNull();
+      expect(await detector.clearFlag('user1')).toEqual({ success: false, userId: 'user1', reason: 'not_flagged' });
+      expect(emitted.map(event => event.eventName)).toEqual(['abuse.user.flagged', 'abuse.user.unflagged']);
+      expect(emitted[1]).toEqual(expect.objectContaining({ reason: 'cleared', clearedBy: 'admin' }));
+    });
+
+    it('should let flags lapse after their TTL', async (): Promise<void> => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      await detector.flagUser('user1', { ttl: 60 });
+      await detector.flagUser('user2', { ttl: 0 });
+
+      jest.spyOn(Date, 'now').mockReturnValue(now + 61000);
+
+      expect((await detector.getFlaggedUsers()).map(flag => flag.userId)).toEqual(['user2']);
+      expect(emitted).toContainEqual(expect.objectContaining({ eventName: 'abuse.user.unflagged', userId: 'user1', reason: 'expired' }));
+    });
+  });
+
+  describe('held awards', (): void => {
+    it('should queue held events oldest first', async (): Promise<void> => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      const first = await detector.hold('lesson.completed', { userId: 'user1', lesson: 1 }, 1000);
+      jest.spyOn(Date, 'now').mockReturnValue(now + 1);
+      await detector.hold('lesson.completed', { userId: 'user2', lesson: 1 }, 2000);
+
+      expect((await detector.getHeldAwards()).map(held => held.userId)).toEqual(['user1', 'user2']);
+      expect(await detector.getHeldAwards({ userId: 'user1' })).toEqual([first]);
+      expect(emitted).toContainEqual(expect.objectContaining({
+        eventName: 'abuse.award.held',
+        holdId: first.id,
+        userId: 'user1',
+        heldEvent: 'lesson.completed'
+      }));
+    });
+
+    it('should hand out each held award once', async (): Promise<void> => {
+      const held = await detector.hold('lesson.completed', { userId: 'user1' });
+
+      expect(await detector.takeHeldAward(held.id)).toEqual(held);
+      await expect(detector.takeHeldAward(held.id)).rejects.toThrow(`Held award not found: ${held.id}`);
+    });
+
+    it('should put a taken award back in both queues', async (): Promise<void> => {
+      const held = await detector.hold('lesson.completed', { userId: 'user1' });
+      await detector.takeHeldAward(held.id);
+
+      await detector.restoreHeldAward(held);
+
+      expect(await detector.getHeldAwards()).toEqual([held]);
+      expect(await detector.getHeldAwards({ userId: 'user1' })).toEqual([held]);
+      expect(await detector.takeHeldAward(held.id)).toEqual(held);
+    });
+
+    it('should drop held awards once they pass the retention', async (): Promise<void> => {
+      detector = createDetector({ heldRetention: 60 });
+      const now = Date.now();
+      await detector.hold('lesson.completed', { userId: 'user1' });
+      jest.spyOn(Date, 'now').mockReturnValue(now + 61000);
+
+      expect(await detector.getHeldAwards()).toEqual([]);
+      expect(await detector.getHeldAwards({ userId: 'user1' })).toEqual([]);
+      expect(await storage.zcard('abuse:held')).toBe(0);
+    });
+
+    it('should delete everything about a user', async (): Promise<void> => {
+      await trackMany(3, { ip: '10.0.0.1' });
+      await detector.flagUser('user1');
+      await detector.hold('lesson.completed', { userId: 'user1' });
+      await detector.hold('lesson.completed', { userId: 'user2' });
+
+      expect(await detector.deleteUser('user1')).toBe(1);
+
+      const keys = await storage.keys('abuse:*');
+      expect(keys.filter(key => key.includes('user1'))).toEqual([]);
+      expect(await detector.getFlag('user1')).toBeNull();
+      expect(await detector.getHeldAwards()).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+import type { GamificationKit } from '../src/core/GamificationKit.js';
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { Authenticator } from '../../../src/core/Authenticator.js';
+import { jwt } from '../../../src/utils/jwt.js';
+
+describe('Authenticator', (): void => {
+  const secret = 'test-secret-that-is-long-enough';
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const publicPem = publicKey.export({ type: 'spki', format: 'pem' }).toString();
+
+  const inOneHour = () => Math.floor(Date.now() / 1000) + 3600;
+  const request = (token?: string, url = '/') => ({
+    url,
+    headers: token ? { authorization: `Bearer ${token}` } : {}
+  });
+
+  describe('HS256', (): void => {
+    let authenticator;
+
+    beforeEach(() => {
+      authenticator = new Authenticator({
+        jwt: { secret, issuer: 'https://id.example.com', audience: 'gamification' },
+        logger: { enabled: false }
+      });
+    });
+
+    const sign = (claims = {}) => jwt.sign({
+      sub: 'user123',
+      iss: 'https://id.example.com',
+      aud: 'gamification',
+      exp: inOneHour(),
+      scope: 'read admin',
+      ...claims
+    }, secret);
+
+    it('should resolve a valid token to its subject and scopes', async (): Promise<void> => {
+      const principal = await authenticator.authenticate(request(sign()));
+
+      expect(principal.subject).toBe('user123');
+      expect(principal.scopes).toEqual(['read', 'admin']);
+      expect(principal.claims.iss).toBe('https://id.example.com');
+    });
+
+    it('should return null when no token is sent', async (): Promise<void> => {
+      expect(await authenticator.authenticate(request())).toBeNull();
+    });
+
+    it('should read the token from the query string', async (): Promise<void> => {
+      const principal = await authenticator.authenticate(request(undefined, `/ws?access_token=${sign()}`));
+
+      expect(principal.subject).toBe('user123');
+    });
+
+    it('should reject expired, early and tampered tokens', async (): Promise<void> => {
+      await expect(authenticator.authenticate(request(sign({ exp: 1000 }))))
+        .rejects.toThrow('Invalid token: expired');
+      await expect(authenticator.authenticate(request(sign({ nbf: inOneHour() }))))
+        .rejects.toThrow('Invalid token: not yet valid');
+      await expect(authenticator.authenticate(request(sign({ exp: undefined }))))
+        .rejects.toThrow('Invalid token: missing exp');
+
+      const [header, , signature] = sign().split('.');
+      const forged = Buffer.from(JSON.stringify({ sub: 'admin', exp: inOneHour() })).toString('base64url');
+      await expect(authenticator.authenticate(request(`${header}.${forged}.${signature}`)))
+        .rejects.toThrow('Invalid token: bad signature');
+    });
+
+    it('should check issuer and audience', async (): Promise<void> => {
+      await expect(authenticator.authenticate(request(sign({ iss: 'https://evil.example.com' }))))
+        .rejects.toThrow('Invalid token: unexpected issuer');
+      await expect(authenticator.authenticate(request(sign({ aud: ['other'] }))))
+        .rejects.toThrow('Invalid token: unexpected audience');
+    });
+
+    it('should reject unsigned tokens', async (): Promise<void> => {
+      const encode = (part: object) => Buffer.from(JSON.stringify(part)).toString('base64url');
+      const unsigned = `${encode({ alg: 'none' })}.${encode({ sub: 'user123', exp: inOneHour() })}.`;
+
+      await expect(authenticator.authenticate(request(unsigned)))
+        .rejects.toThrow('Invalid token: algorithm not allowed: none');
+    });
+  });
+
+  describe('RS256', (): void => {
+    it('should verify tokens against a public key', async (): Promise<void> => {
+      const authenticator = new Authenticator({ jwt: { publicKey: publicPem }, logger: { enabled: false } });
+      const token = jwt.sign({ sub: 'user123', exp: inOneHour() }, privateKey, 'RS256');
+
+      expect((await authenticator.authenticate(request(token))).subject).toBe('user123');
+    });
+
+    it('should not accept the public key as an HMAC secret', async (): Promise<void> => {
+      const authenticator = new Authenticator({
+        jwt: { publicKey: publicPem, algorithms: ['RS256', 'HS256'] },
+        logger: { enabled: false }
+      });
+      const token = jwt.sign({ sub: 'admin', exp: inOneHour() }, publicPem, 'HS256');
+
+      await expect(authenticator.authenticate(request(token))).rejects.toThrow('Invalid token: no key available');
+    });
+
+    it('should pick keys from a JWKS file by kid', async (): Promise<void> => {
+      const jwksFile = path.join(os.tmpdir(), `jwks-${process.pid}-${Date.now()}.json`);
+      const jwk = publicKey.export({ format: 'jwk' });
+      await fs.writeFile(jwksFile, JSON.stringify({ keys: [{ ...jwk, kid: 'key-1', use: 'sig' }] }));
+
+      try {
+        const authenticator = new Authenticator({ jwt: { jwksFile }, logger: { enabled: false } });
+
+        const token = jwt.sign({ sub: 'user123', exp: inOneHour() }, privateKey, 'RS256', 'key-1');
+        expect((await authenticator.authenticate(request(token))).subject).toBe('user123');
+
+        const unknown = jwt.sign({ sub: 'user123', exp: inOneHour() }, privateKey, 'RS256', 'key-2');
+        await expect(authenticator.authenticate(request(unknown))).rejects.toThrow('Invalid token: unknown key: key-2');
+      } finally {
+        await fs.unlink(jwksFile);
+      }
+    });
+  });
+
+  describe('custom verifier', (): void => {
+    it('should take precedence over JWT verification', async (): Promise<void> => {
+      const verifier = jest.fn(async (token: string) => (token === 'opaque' ? { subject: 'user123' } : null));
+      const authenticator = new Authenticator({ verifier, logger: { enabled: false } });
+
+      expect(await authenticator.authenticate(request('opaque'))).toEqual({
+        subject: 'user123',
+        scopes: [],
+        claims: {}
+      });
+      await expect(authenticator.authenticate(request('other'))).rejects.toThrow('Invalid token');
+    });
+  });
+
+  describe('canAccessUser', (): void => {
+    it('should allow the subject and holders of the admin scope', () => {
+      const authenticator = new Authenticator({ jwt: { secret }, adminScope: 'gk:admin', logger: { enabled: false } });
+      const user = { subject: 'user123', scopes: [], claims: {} };
+      const admin = { subject: 'ops', scopes: ['gk:admin'], claims: {} };
+
+      expect(authenticator.canAccessUser(user, 'user123')).toBe(true);
+      expect(authenticator.canAccessUser(user, 'user456')).toBe(false);
+      expect(authenticator.canAccessUser(admin, 'user456')).toBe(true);
+      expect(authenticator.canAccessUser(null, 'user123')).toBe(false);
+    });
+  });
+
+  it('should require a way to verify tokens', () => {
+    expect(() => new Authenticator({})).toThrow('Authentication requires jwt options or a verifier');
+    expect(() => new Authenticator({ jwt: {} })).toThrow('JWT authentication requires a secret, publicKey or jwksFile');
+  });
+});
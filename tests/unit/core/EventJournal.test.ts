@@ -0,0 +1,202 @@
+import type { GamificationKit } from '../src/core/GamificationKit.js';
+import { jest } from '@jest/globals';
+import { EventJournal } from '../../../src/core/EventJournal.js';
+import { EventManager } from '../../../src/core/EventManager.js';
+import { MemoryStorage } from '../../../src/storage/MemoryStorage.js';
+
+describe('EventJournal', (): void => {
+  let journal;
+  let storage;
+  let eventManager;
+
+  const record = async (count, eventName = 'lesson.completed', start = Date.UTC(2024, 0, 1)) => {
+    for (let i = 0; i < count; i++) {
+      await journal.recordEvent(eventName, { userId: 'user1', lesson: i }, start + i * 1000);
+    }
+  };
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await storage.connect();
+    eventManager = new EventManager();
+    journal = new EventJournal({ storage, eventManager, logger: { enabled: false } });
+  });
+
+  afterEach(async () => {
+    eventManager.removeAllListeners();
+    await storage.disconnect();
+    jest.restoreAllMocks();
+  });
+
+  describe('recording', (): void => {
+    it('should append tracked events for the user', async (): Promise<void> => {
+      await journal.recordEvent('lesson.completed', { userId: 'user1', lesson: 3 }, 1000);
+      await journal.recordEvent('lesson.completed', { lesson: 4 });
+
+      const { entries } = await journal.getHistory('user1');
+
+      expect(entries).toEqual([
+        expect.objectContaining({
+          userId: 'user1',
+          type: 'event',
+          eventName: 'lesson.completed',
+          data: { userId: 'user1', lesson: 3 },
+          timestamp: 1000,
+          cursor: '0'
+        })
+      ]);
+    });
+
+    it('should record module outcomes from the event bus', async (): Promise<void> => {
+      await eventManager.emitAsync('points.awarded', { userId: 'user1', points: 10 });
+      await eventManager.emitAsync('points.multiplier.set', { userId: 'user1', multiplier: 2 });
+
+      const { entries } = await journal.getHistory('user1');
+
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toEqual(expect.objectContaining({
+        type: 'outcome',
+        eventName: 'points.awarded',
+        data: { userId: 'user1', points: 10 }
+      }));
+    });
+
+    it('should tag outcomes produced during a rebuild', async (): Promise<void> => {
+      journal.startRebuild('user1', 'rbd_1');
+      await eventManager.emitAsync('badges.awarded', { userId: 'user1', badgeId: 'first' });
+      journal.finishRebuild('user1');
+      await eventManager.emitAsync('badges.awarded', { userId: 'user1', badgeId: 'second' });
+
+      const { entries } = await journal.getHistory('user1', { order: 'asc' });
+
+      expect(entries.map(entry => entry.rebuildId)).toEqual(['rbd_1', undefined]);
+    });
+  });
+
+  describe('getHistory', (): void => {
+    it('should page through the journal newest first with a cursor', async (): Promise<void> => {
+      await record(5);
+
+      const first = await journal.getHistory('user1', { limit: 2 });
+      const second = await journal.getHistory('user1', { limit: 2, cursor: first.nextCursor });
+      const third = await journal.getHistory('user1', { limit: 2, cursor: second.nextCursor });
+
+      expect(first.entries.map(entry => entry.data.lesson)).toEqual([4, 3]);
+      expect(second.entries.map(entry => entry.data.lesson)).toEqual([2, 1]);
+      expect(third.entries.map(entry => entry.data.lesson)).toEqual([0]);
+      expect(third.nextCursor).toBeNull();
+    });
+
+    it('should page oldest first when asked', async (): Promise<void> => {
+      await record(3);
+
+      const first = await journal.getHistory('user1', { limit: 2, order: 'asc' });
+      const second = await journal.getHistory('user1', { limit: 2, order: 'asc', cursor: first.nextCursor });
+
+      expect(first.entries.map(entry => entry.data.lesson)).toEqual([0, 1]);
+      expect(second.entries.map(entry => entry.data.lesson)).toEqual([2]);
+      expect(second.nextCursor).toBeNull();
+    });
+
+    it('should keep cursors stable while new entries are appended', async (): Promise<void> => {
+      await record(3);
+      const first = await journal.getHistory('user1', { limit: 2 });
+
+      await record(2, 'lesson.completed', Date.UTC(2024, 1, 1));
+      const second = await journal.getHistory('user1', { limit: 2, cursor: first.nextCursor });
+
+      expect(second.entries.map(entry => entry.data.lesson)).toEqual([0]);
+    });
+
+    it('should filter by event type and time range', async (): Promise<void> => {
+      const start = Date.UTC(2024, 0, 1);
+      await record(4, 'lesson.completed', start);
+      await record(2, 'quiz.passed', start + 10000);
+
+      const byType = await journal.getHistory('user1', { eventTypes: ['quiz.passed'] });
+      const byRange = await journal.getHistory('user1', {
+        from: new Date(start + 1000).toISOString(),
+        to: String(start + 2000)
+      });
+
+      expect(byType.entries).toHaveLength(2);
+      expect(byType.entries.every(entry => entry.eventName === 'quiz.passed')).toBe(true);
+      expect(byRange.entries.map(entry => entry.data.lesson)).toEqual([2, 1]);
+    });
+
+    it('should scan past filtered entries to fill a page', async (): Promise<void> => {
+      await record(1, 'quiz.passed');
+      await record(250);
+
+      const { entries, nextCursor } = await journal.getHistory('user1', { eventTypes: ['quiz.passed'] });
+
+      expect(entries).toHaveLength(1);
+      expect(nextCursor).toBeNull();
+    });
+
+    it('should reject invalid cursors and dates', async (): Promise<void> => {
+      await expect(journal.getHistory('user1', { cursor: 'abc' })).rejects.toThrow('Invalid cursor: abc');
+      await expect(journal.getHistory('user1', { from: 'yesterday' })).rejects.toThrow('from must be a valid date or timestamp');
+    });
+  });
+
+  describe('getReplayableEvents', (): void => {
+    it('should return tracked events since the last reset in order', async (): Promise<void> => {
+      await record(2);
+      await journal.append('user1', 'reset', 'user.reset');
+      await record(2, 'quiz.passed');
+      await journal.runTracked(() => eventManager.emitAsync('points.awarded', { userId: 'user1', points: 10 }));
+      await journal.append('user1', 'rebuild', 'user.rebuilt', { rebuildId: 'rbd_1' });
+
+      const events = await journal.getReplayableEvents('user1');
+
+      expect(events.map(entry => [entry.eventName, entry.data.lesson])).toEqual([
+        ['quiz.passed', 0],
+        ['quiz.passed', 1]
+      ]);
+    });
+
+    it('should include outcomes of direct module calls unless they were reversed', async (): Promise<void> => {
+      const award = (id) => ({ userId: 'user1', points: 10, transaction: { id, originalPoints: 10 } });
+      await eventManager.emitAsync('points.awarded', award('txn_1'));
+      await eventManager.emitAsync('points.awarded', award('txn_2'));
+      await eventManager.emitAsync('points.reversed', { userId: 'user1', points: 10, transaction: { id: 'txn_3', reverses: 'txn_2' } });
+
+      const events = await journal.getReplayableEvents('user1');
+
+      expect(events.map(entry => entry.data.transaction.id)).toEqual(['txn_1']);
+    });
+
+    it('should refuse when entries since the last reset were trimmed', async (): Promise<void> => {
+      journal = new EventJournal({ storage, logger: { enabled: false }, maxEntries: 3 });
+      await record(4);
+
+      await expect(journal.getReplayableEvents('user1')).rejects.toThrow('Journal of user user1 was trimmed');
+    });
+  });
+
+  describe('trimming', (): void => {
+    beforeEach(() => {
+      journal = new EventJournal({ storage, logger: { enabled: false }, maxEntries: 3 });
+    });
+
+    it('should keep only the latest entries', async (): Promise<void> => {
+      await record(5);
+
+      const { entries } = await journal.getHistory('user1');
+
+      expect(entries.map(entry => [entry.data.lesson, entry.cursor])).toEqual([[4, '4'], [3, '3'], [2, '2']]);
+    });
+
+    it('should keep cursors stable while old entries are trimmed', async (): Promise<void> => {
+      await record(3);
+      const first = await journal.getHistory('user1', { limit: 1 });
+
+      await record(1, 'quiz.passed');
+      const second = await journal.getHistory('user1', { limit: 1, cursor: first.nextCursor });
+
+      expect(second.entries.map(entry => entry.data.lesson)).toEqual([1]);
+      expect(second.nextCursor).toBeNull();
+    });
+  });
+});
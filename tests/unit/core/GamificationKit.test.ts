@@ -1,9 +1,16 @@
-import type { GamificationKit } from '../src/core/GamificationKit.js';
 import { jest } from '@jest/globals';
 import { GamificationKit } from '../../../src/core/GamificationKit.js';
 import { MemoryStorage } from '../../../src/storage/MemoryStorage.js';
+import { SqliteStorage } from '../../../src/storage/SqliteStorage.js';
 import { PointsModule } from '../../../src/modules/PointsModule.js';
 import { BadgeModule } from '../../../src/modules/BadgeModule.js';
+import { QuestModule } from '../../../src/modules/QuestModule.js';
+import { LevelModule } from '../../../src/modules/LevelModule.js';
+import { StreakModule } from '../../../src/modules/StreakModule.js';
+import { AchievementModule } from '../../../src/modules/AchievementModule.js';
+import { RewardsModule } from '../../../src/modules/RewardsModule.js';
+import { TeamModule } from '../../../src/modules/TeamModule.js';
+import { LeaderboardModule } from '../../../src/modules/LeaderboardModule.js';
 
 describe('GamificationKit', (): void => {
   let gk;
@@ -42,7 +49,8 @@ describe('GamificationKit', (): void => {
         webhooks: {
           enabled: false,
           timeout: 5000,
-          retries: 3
+          retries: 3,
+          maxQueueSize: 1000
         },
         websocket: {
           enabled: false,
@@ -60,6 +68,29 @@ describe('GamificationKit', (): void => {
         security: {
           apiKey: null,
           encryption: false
+        },
+        health: {
+          enabled: true,
+          checkInterval: 30000,
+          memoryThreshold: 90,
+          eventLoopLagThreshold: 100,
+          storageResponseThreshold: 1000
+        },
+        idempotency: {
+          ttl: 86400,
+          pendingTimeout: 30000
+        },
+        journal: {
+          enabled: true,
+          maxEntries: 10000
+        },
+        ruleStore: {
+          enabled: true,
+          syncInterval: 5000
+        },
+        reversals: {
+          enabled: true,
+          retention: 2592000
         }
       });
       expect(gk.modules).toBeInstanceOf(Map);
@@ -105,6 +136,23 @@ describe('GamificationKit', (): void => {
       await customGK.shutdown();
     });
 
+    it('should initialize SQLite storage from a filename', async (): Promise<void> => {
+      const customGK = new GamificationKit({
+        storage: { type: 'sqlite', filename: ':memory:' },
+        api: { enabled: false },
+        websocket: { enabled: false },
+        webhooks: { enabled: false }
+      });
+      customGK.use(new PointsModule());
+
+      await customGK.initialize();
+      await customGK.modules.get('points').award('user1', 25);
+
+      expect(customGK.storage).toBeInstanceOf(SqliteStorage);
+      expect(await customGK.modules.get('points').getPoints('user1')).toBe(25);
+      await customGK.shutdown();
+    });
+
     it('should return self if already initialized', async (): Promise<void> => {
       await gk.initialize();
       const result = await gk.initialize();
@@ -213,6 +261,7 @@ describe('GamificationKit', (): void => {
         eventId: expect.any(String),
         processed: true,
         rulesMatched: 0,
+        actions: [],
         timestamp: expect.any(Number)
       });
     });
@@ -254,6 +303,18 @@ describe('GamificationKit', (): void => {
       }));
     });
 
+    it('should export processing time, storage latency and health checks as OpenMetrics', async (): Promise<void> => {
+      await gk.track('user.action', { userId: 'user123' });
+      await gk.healthChecker.runAllChecks();
+
+      const text = await gk.exportMetrics('openmetrics');
+
+      expect(text).toContain('gamification_event_processing_seconds_count{event="user.action"} 1');
+      expect(text).toContain('gamification_storage_operation_duration_seconds_count{adapter="MemoryStorage"');
+      expect(text).toContain('gamification_health_check_status{check="storage",status="healthy"} 1');
+      expect(text.endsWith('# EOF\n')).toBe(true);
+    });
+
     it('should trigger webhooks when enabled', async (): Promise<void> => {
       const customGK = new GamificationKit({ 
         webhooks: { enabled: true },
@@ -286,6 +347,83 @@ describe('GamificationKit', (): void => {
         uninitializedGK.track('test.event', {})
       ).rejects.toThrow('GamificationKit not initialized. Call initialize() first.');
     });
+
+    describe('idempotency', (): void => {
+      it('should process a repeated key only once', async (): Promise<void> => {
+        const emitSpy = jest.spyOn(gk.eventManager, 'emitAsync');
+
+        const first = await gk.track('user.action', { userId: 'user123' }, { idempotencyKey: 'req-1' });
+        const second = await gk.track('user.action', { userId: 'user123' }, { idempotencyKey: 'req-1' });
+
+        expect(second).toEqual(first);
+        expect(emitSpy.mock.calls.filter(([name]) => name === 'user.action')).toHaveLength(1);
+      });
+
+      it('should process concurrent duplicates once', async (): Promise<void> => {
+        const emitSpy = jest.spyOn(gk.eventManager, 'emitAsync');
+
+        const results = await Promise.all([
+          gk.track('user.action', { userId: 'user123' }, { idempotencyKey: 'req-2' }),
+          gk.track('user.action', { userId: 'user123' }, { idempotencyKey: 'req-2' })
+        ]);
+
+        expect(results[1]).toEqual(results[0]);
+        expect(emitSpy.mock.calls.filter(([name]) => name === 'user.action')).toHaveLength(1);
+      });
+
+      it('should store the result with the configured TTL', async (): Promise<void> => {
+        const setSpy = jest.spyOn(gk.storage, 'set');
+
+        await gk.track('user.action', { userId: 'user123' }, { idempotencyKey: 'req-3' });
+
+        expect(setSpy).toHaveBeenCalledWith(
+          'idempotency:req-3',
+          expect.objectContaining({ status: 'completed', eventName: 'user.action' }),
+          86400
+        );
+      });
+
+      it('should release the key when processing fails', async (): Promise<void> => {
+        jest.spyOn(gk.ruleEngine, 'evaluate').mockRejectedValueOnce(new Error('rules down'));
+
+        await expect(
+          gk.track('user.action', { userId: 'user123' }, { idempotencyKey: 'req-4' })
+        ).rejects.toThrow('rules down');
+
+        const result = await gk.track('user.action', { userId: 'user123' }, { idempotencyKey: 'req-4' });
+        expect(result.processed).toBe(true);
+      });
+
+      it('should keep the key claimed while a slow handler runs', async (): Promise<void> => {
+        const slowGK = new GamificationKit({
+          api: { enabled: false },
+          websocket: { enabled: false },
+          webhooks: { enabled: false },
+          idempotency: { pendingTimeout: 300 }
+        });
+        await slowGK.initialize();
+        const handler = jest.fn(() => new Promise(resolve => setTimeout(resolve, 1800)));
+        slowGK.eventManager.on('user.action', handler);
+
+        const original = slowGK.track('user.action', { userId: 'user123' }, { idempotencyKey: 'req-6' });
+        // Past the one-second marker TTL the original started with
+        await new Promise(resolve => setTimeout(resolve, 1100));
+        const retry = slowGK.track('user.action', { userId: 'user123' }, { idempotencyKey: 'req-6' });
+
+        await expect(retry).rejects.toThrow('Event with idempotency key req-6 is still being processed');
+        expect((await original).processed).toBe(true);
+        expect(handler).toHaveBeenCalledTimes(1);
+        await slowGK.shutdown();
+      });
+
+      it('should reject a key reused for another event', async (): Promise<void> => {
+        await gk.track('user.action', { userId: 'user123' }, { idempotencyKey: 'req-5' });
+
+        await expect(
+          gk.track('user.other', { userId: 'user123' }, { idempotencyKey: 'req-5' })
+        ).rejects.toThrow('Idempotency key req-5 was already used for event user.action');
+      });
+    });
   });
 
   describe('getUserStats', (): void => {
@@ -402,6 +540,368 @@ describe('GamificationKit', (): void => {
     });
   });
 
+  describe('rebuildUser', (): void => {
+    const addLessonRule = (points) => {
+      gk.ruleEngine.removeRule('lesson-points');
+      gk.ruleEngine.addRule('lesson-points', {
+        conditions: { field: 'eventName', operator: '==', value: 'lesson.completed' },
+        actions: [{ type: 'award_points', points }]
+      });
+    };
+
+    beforeEach(async () => {
+      gk.use(new PointsModule());
+      await gk.initialize();
+      addLessonRule(10);
+    });
+
+    it('should replay journaled events through the current rules', async (): Promise<void> => {
+      for (let i = 0; i < 3; i++) {
+        await gk.track('lesson.completed', { userId: 'user123', lesson: i });
+      }
+      expect(await gk.modules.get('points').getPoints('user123')).toBe(30);
+
+      addLessonRule(25);
+      const result = await gk.rebuildUser('user123');
+
+      expect(result).toEqual(expect.objectContaining({ success: true, userId: 'user123', eventsReplayed: 3 }));
+      expect(await gk.modules.get('points').getPoints('user123')).toBe(75);
+
+      const events = await gk.journal.getHistory('user123', { entryTypes: ['event'] });
+      const replayed = await gk.journal.getHistory('user123', { entryTypes: ['outcome'] });
+      expect(events.entries).toHaveLength(3);
+      expect(replayed.entries.filter(entry => entry.rebuildId === result.rebuildId)).toHaveLength(3);
+    });
+
+    it('should only replay events tracked after the last reset', async (): Promise<void> => {
+      await gk.track('lesson.completed', { userId: 'user123' });
+      await gk.track('lesson.completed', { userId: 'user123' });
+      await gk.resetUser('user123');
+      await gk.track('lesson.completed', { userId: 'user123' });
+
+      const result = await gk.rebuildUser('user123');
+
+      expect(result.eventsReplayed).toBe(1);
+      expect(await gk.modules.get('points').getPoints('user123')).toBe(10);
+    });
+
+    it('should replay manual awards and keep what tracked events don\'t produce', async (): Promise<void> => {
+      const rewards = new RewardsModule();
+      gk.use(rewards);
+      await rewards.initialize();
+      rewards.addReward({ id: 'sticker', name: 'Sticker', price: 20 });
+
+      await gk.track('lesson.completed', { userId: 'user123' });
+      await gk.modules.get('points').award('user123', 50, 'support');
+      await rewards.redeem('user123', 'sticker');
+      expect(await gk.modules.get('points').getPoints('user123')).toBe(40);
+
+      const result = await gk.rebuildUser('user123');
+
+      expect(result).toEqual(expect.objectContaining({ eventsReplayed: 1, outcomesReplayed: 2 }));
+      expect(await gk.modules.get('points').getPoints('user123')).toBe(40);
+      expect(await rewards.getInventory('user123')).toEqual({ sticker: 1 });
+    });
+
+    it('should apply point limits as of each event\'s time', async (): Promise<void> => {
+      gk.modules.get('points').config.dailyLimit = 10;
+      const day = Date.UTC(2024, 0, 1, 12);
+      const now = jest.spyOn(Date, 'now');
+      now.mockReturnValue(day);
+      await gk.track('lesson.completed', { userId: 'user123' });
+      now.mockReturnValue(day + 86400000);
+      await gk.track('lesson.completed', { userId: 'user123' });
+      now.mockRestore();
+
+      await gk.rebuildUser('user123');
+
+      expect(await gk.modules.get('points').getPoints('user123')).toBe(20);
+    });
+
+    it('should require the event journal', async (): Promise<void> => {
+      const noJournalGK = new GamificationKit({
+        api: { enabled: false },
+        journal: { enabled: false }
+      });
+      await noJournalGK.initialize();
+
+      await expect(noJournalGK.rebuildUser('user123')).rejects.toThrow('Event journal is not enabled');
+
+      await noJournalGK.shutdown();
+    });
+  });
+
+  describe('anti-abuse', (): void => {
+    let abuseGK;
+
+    beforeEach(async () => {
+      abuseGK = new GamificationKit({
+        api: { enabled: false },
+        metrics: { enabled: false },
+        abuse: { enabled: true, threshold: 40, rules: { userVelocity: { limit: 2, score: 20 } } }
+      });
+      abuseGK.use(new PointsModule());
+      await abuseGK.initialize();
+      abuseGK.ruleEngine.addRule('lesson-points', {
+        conditions: { field: 'eventName', operator: '==', value: 'lesson.completed' },
+        actions: [{ type: 'award_points', points: 10 }]
+      });
+    });
+
+    afterEach(async () => {
+      await abuseGK.shutdown();
+    });
+
+    it('should hold the events of flagged users instead of awarding them', async (): Promise<void> => {
+      const results = [];
+      for (let i = 0; i < 5; i++) {
+        results.push(await abuseGK.track('lesson.completed', { userId: 'user123', lesson: i }));
+      }
+
+      expect(results.map(result => result.held === true)).toEqual([false, false, false, true, true]);
+      expect(results[3]).toEqual(expect.objectContaining({ processed: false, rulesMatched: 0, actions: [] }));
+      expect(await abuseGK.modules.get('points').getPoints('user123')).toBe(30);
+      expect(await abuseGK.abuseDetector.getHeldAwards({ userId: 'user123' })).toHaveLength(2);
+      expect(await abuseGK.modules.get('points').getPoints('user456')).toBe(0);
+    });
+
+    it('should apply approved awards and drop rejected ones', async (): Promise<void> => {
+      const events = [];
+      abuseGK.eventManager.onWildcard('abuse.award.*', async (event) => {
+        events.push(event.eventName);
+      });
+      await abuseGK.abuseDetector.flagUser('user123');
+      const first = await abuseGK.track('lesson.completed', { userId: 'user123', lesson: 1 });
+      const second = await abuseGK.track('lesson.completed', { userId: 'user123', lesson: 2 });
+
+      const approved = await abuseGK.approveHeldAward(first.eventId, 'moderator');
+      await abuseGK.rejectHeldAward(second.eventId, 'moderator', 'bot traffic');
+
+      expect(approved).toEqual(expect.objectContaining({ success: true, userId: 'user123' }));
+      expect(approved.result.actions).toEqual([expect.objectContaining({ type: 'award_points', success: true })]);
+      expect(await abuseGK.modules.get('points').getPoints('user123')).toBe(10);
+      expect(await abuseGK.abuseDetector.getHeldAwards()).toEqual([]);
+      expect(events).toEqual(['abuse.award.held', 'abuse.award.held', 'abuse.award.approved', 'abuse.award.rejected']);
+
+      const journal = await abuseGK.journal.getHistory('user123', { entryTypes: ['event'] });
+      expect(journal.entries.map(entry => entry.data.lesson)).toEqual([1]);
+      await expect(abuseGK.approveHeldAward(second.eventId)).rejects.toThrow('Held award not found');
+    });
+
+    it('should keep a held award queued when approving it fails', async (): Promise<void> => {
+      await abuseGK.abuseDetector.flagUser('user123');
+      const { eventId } = await abuseGK.track('lesson.completed', { userId: 'user123', lesson: 1 });
+      jest.spyOn(abuseGK.ruleEngine, 'evaluate').mockRejectedValueOnce(new Error('Connection lost'));
+
+      await expect(abuseGK.approveHeldAward(eventId)).rejects.toThrow('Connection lost');
+
+      expect((await abuseGK.abuseDetector.getHeldAwards({ userId: 'user123' })).map(held => held.id)).toEqual([eventId]);
+      expect((await abuseGK.approveHeldAward(eventId)).success).toBe(true);
+      expect(await abuseGK.modules.get('points').getPoints('user123')).toBe(10);
+    });
+
+    it('should require anti-abuse to review held awards', async (): Promise<void> => {
+      await gk.initialize();
+      await expect(gk.approveHeldAward('hld_1')).rejects.toThrow('Anti-abuse is not enabled');
+    });
+  });
+
+  describe('transaction reversal', (): void => {
+    beforeEach(async () => {
+      gk.use(new PointsModule());
+      gk.use(new LevelModule({ baseXP: 100, xpFormula: 'linear', levelRewards: { 2: { points: 50 } } }));
+      gk.use(new LeaderboardModule());
+      await gk.initialize();
+    });
+
+    it('should reverse an XP gain along with the rewards it led to', async (): Promise<void> => {
+      const { transaction } = await gk.modules.get('levels').addXP('user123', 150);
+
+      const plan = await gk.reverse(transaction.id, { dryRun: true });
+      expect(await gk.modules.get('points').getPoints('user123')).toBe(50);
+
+      const reversal = await gk.reverse(transaction.id, { reason: 'refund', reversedBy: 'admin' });
+
+      expect(reversal.steps.map(step => step.action)).toEqual(plan.steps.map(step => step.action));
+      expect(reversal).toEqual(expect.objectContaining({ success: true, dryRun: false, reversedBy: 'admin' }));
+      expect(await gk.modules.get('levels').getUserData('user123')).toEqual(expect.objectContaining({ level: 1, totalXP: 0 }));
+      expect(await gk.modules.get('points').getPoints('user123')).toBe(0);
+      expect(await gk.reversals.getReversals({ userId: 'user123' })).toEqual([reversal]);
+    });
+
+    it('should drop reversal records when a user is erased', async (): Promise<void> => {
+      const { transaction } = await gk.modules.get('points').award('user123', 100);
+      await gk.reverse(transaction.id);
+
+      await gk.eraseUser('user123');
+
+      expect(await gk.reversals.getReversals()).toEqual([]);
+    });
+
+    it('should require reversals to be enabled', async (): Promise<void> => {
+      const disabledGK = new GamificationKit({ api: { enabled: false }, metrics: { enabled: false }, reversals: { enabled: false } });
+      await disabledGK.initialize();
+      await expect(disabledGK.reverse('txn_1')).rejects.toThrow('Transaction reversal is not enabled');
+      await disabledGK.shutdown();
+    });
+  });
+
+  describe('exportUser and eraseUser', (): void => {
+    const userKeys = async (userId) => (await gk.storage.keys('*'))
+      .filter(key => key.split(':').includes(userId));
+
+    const addActivity = async (userId) => {
+      const points = gk.modules.get('points');
+      await points.award(userId, 500, 'signup');
+      await points.setUserMultiplier(userId, 2);
+      await gk.modules.get('badges').award(userId, 'regular');
+      await gk.modules.get('levels').addXP(userId, 150);
+      await gk.modules.get('streaks').recordActivity(userId, 'daily');
+      await gk.modules.get('streaks').setTimezone(userId, 'Europe/Berlin');
+      await gk.modules.get('quests').assignQuest(userId, 'first-steps');
+      await gk.modules.get('achievements').updateProgress(userId, 'collector', 3);
+      await gk.modules.get('rewards').redeem(userId, 'mug');
+      await gk.modules.get('leaderboards').updateScore('weekly-xp', userId, 42);
+      await gk.track('lesson.completed', { userId, lesson: 1 });
+    };
+
+    beforeEach(async () => {
+      gk.use(new PointsModule());
+      gk.use(new BadgeModule([{ id: 'regular', name: 'Regular', maxAwards: 3 }]));
+      gk.use(new LevelModule());
+      gk.use(new StreakModule());
+      gk.use(new QuestModule());
+      gk.use(new AchievementModule());
+      gk.use(new RewardsModule([{ id: 'mug', name: 'Mug', price: 100 }]));
+      gk.use(new TeamModule());
+      gk.use(new LeaderboardModule());
+      await gk.initialize();
+
+      gk.modules.get('quests').addQuest({
+        id: 'first-steps',
+        name: 'First Steps',
+        objectives: [{ id: 'lesson', description: 'Finish a lesson', target: 2, event: 'lesson.completed' }]
+      });
+      gk.modules.get('achievements').addAchievement({
+        id: 'collector',
+        name: 'Collector',
+        tiers: { bronze: { requirement: 10 } }
+      });
+      gk.ruleEngine.addRule('busy-learner', {
+        conditions: { aggregate: { type: 'count', event: 'lesson.completed', window: { unit: 'day' } }, operator: '>=', value: 5 },
+        actions: [{ type: 'award_points', points: 50 }]
+      });
+
+      await gk.modules.get('teams').createTeam('user1', { id: 'owls', name: 'Owls' });
+      await gk.modules.get('teams').joinTeam('user2', 'owls');
+      await addActivity('user1');
+      await addActivity('user2');
+    });
+
+    it('should export every module\'s data for a user', async (): Promise<void> => {
+      const archive = await gk.exportUser('user1');
+
+      expect(archive).toEqual(expect.objectContaining({ version: 1, userId: 'user1', exportedAt: expect.any(Number) }));
+      expect(Object.keys(archive.modules).sort()).toEqual([
+        'achievements', 'badges', 'leaderboards', 'levels', 'points', 'quests', 'rewards', 'streaks', 'teams'
+      ]);
+      expect(archive.modules.points.currencies.points.balance).toBe(400);
+      expect(archive.modules.points.currencies.points.transactions).toHaveLength(2);
+      expect(archive.modules.badges.awards).toEqual([expect.objectContaining({ badgeId: 'regular' })]);
+      expect(archive.modules.levels.history.length).toBeGreaterThan(0);
+      expect(archive.modules.streaks.timezone).toBe('Europe/Berlin');
+      expect(archive.modules.quests.assignments).toEqual([expect.objectContaining({ questId: 'first-steps' })]);
+      expect(archive.modules.rewards.orders).toEqual([expect.objectContaining({ rewardId: 'mug' })]);
+      expect(archive.modules.teams.team).toEqual(expect.objectContaining({ id: 'owls', role: 'owner' }));
+      expect(archive.journal.map(entry => entry.eventName)).toContain('lesson.completed');
+      expect(Object.values(archive.aggregates)).toEqual([expect.objectContaining({ type: 'count' })]);
+
+      // The archive is plain JSON
+      expect(JSON.parse(JSON.stringify(archive))).toEqual(archive);
+    });
+
+    it('should leave no keys naming the user after erasure', async (): Promise<void> => {
+      expect((await userKeys('user1')).length).toBeGreaterThan(0);
+
+      const report = await gk.eraseUser('user1');
+
+      expect(report).toEqual(expect.objectContaining({ success: true, userId: 'user1', remainingKeys: [] }));
+      expect(report.keysDeleted).toEqual(expect.arrayContaining(['journal:user1', 'points:transactions:user1']));
+      expect(report.modules).toContain('points');
+      expect(await userKeys('user1')).toEqual([]);
+    });
+
+    it('should remove the user from shared hashes and sorted sets', async (): Promise<void> => {
+      await gk.eraseUser('user1');
+
+      const stats = await gk.exportUser('user1');
+      expect(stats.modules.points.currencies.points.balance).toBe(0);
+      expect(stats.modules.levels.totalXP).toBe(0);
+      expect(stats.modules.streaks.timezone).toBeNull();
+      expect(stats.modules.teams.team).toBeNull();
+      expect(stats.journal).toEqual([]);
+      expect(stats.aggregates).toEqual({});
+      expect(await gk.storage.zscore('leaderboards:board:weekly-xp', 'user1')).toBeNull();
+      expect(await gk.storage.zscore('points:leaderboard:all-time', 'user1')).toBeNull();
+    });
+
+    it('should keep other users\' data', async (): Promise<void> => {
+      const before = await gk.exportUser('user2');
+
+      await gk.eraseUser('user1');
+
+      const after = await gk.exportUser('user2');
+      expect(after.modules.points).toEqual(before.modules.points);
+      expect(after.journal).toEqual(before.journal);
+      expect(after.modules.teams.team).toEqual(expect.objectContaining({ id: 'owls', role: 'owner' }));
+    });
+
+    it('should report data a module left behind', async (): Promise<void> => {
+      jest.spyOn(gk.modules.get('streaks'), 'resetUser').mockResolvedValue(undefined);
+
+      const report = await gk.eraseUser('user1');
+
+      expect(report.success).toBe(false);
+      expect(report.remainingKeys).toEqual(expect.arrayContaining([
+        'streaks:history:user1:daily',
+        'streaks:timezones[user1]',
+        'streaks:users:daily[user1]'
+      ]));
+      expect(report.remainingKeys.every(key => key.startsWith('streaks:'))).toBe(true);
+      expect(report.keysDeleted).not.toContain('streaks:timezones[user1]');
+    });
+
+    it('should report the user\'s entries in shared keys as deleted', async (): Promise<void> => {
+      const report = await gk.eraseUser('user1');
+
+      expect(report.keysDeleted).toEqual(expect.arrayContaining([
+        'points:users[user1]',
+        'leaderboards:board:weekly-xp[user1]',
+        'teams:members:owls[user1]'
+      ]));
+      expect(report.keysDeleted.some(key => key.includes('user2'))).toBe(false);
+    });
+
+    it('should not search the whole storage', async (): Promise<void> => {
+      const keys = jest.spyOn(gk.storage, 'keys');
+
+      await gk.eraseUser('user1');
+
+      expect(keys).not.toHaveBeenCalledWith('*');
+    });
+
+    it('should emit user.erased', async (): Promise<void> => {
+      const listener = jest.fn();
+      gk.eventManager.on('user.erased', listener);
+
+      await gk.eraseUser('user1');
+
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ userId: 'user1', success: true })
+      }));
+    });
+  });
+
   describe('module access', (): void => {
     it('should access registered module via Map', async (): Promise<void> => {
       const pointsModule = new PointsModule();
@@ -525,6 +1025,144 @@ describe('GamificationKit', (): void => {
     });
   });
 
+  describe('rule actions', (): void => {
+    let pointsModule;
+    let questModule;
+
+    beforeEach(async () => {
+      pointsModule = new PointsModule();
+      questModule = new QuestModule();
+      gk.use(pointsModule);
+      gk.use(questModule);
+      await gk.initialize();
+
+      questModule.addQuest({
+        id: 'onboarding',
+        name: 'Onboarding',
+        objectives: [
+          { id: 'profile', event: 'profile.completed', target: 1 },
+          { id: 'lessons', event: 'lesson.completed', target: 3 }
+        ]
+      });
+    });
+
+    it('should award templated points and report each action', async (): Promise<void> => {
+      gk.ruleEngine.addRule('cashback', {
+        conditions: { field: 'amount', operator: '>', value: 0 },
+        actions: [
+          { type: 'award_points', points: '{{ floor(data.amount * 0.1) }}', reason: 'cashback {{orderId}}' },
+          { type: 'assign_quest', questId: 'onboarding' }
+        ]
+      });
+
+      const result = await gk.track('order.paid', { userId: 'user123', amount: 257, orderId: 'o-1' });
+
+      expect(await pointsModule.getPoints('user123')).toBe(25);
+      expect(result.actions).toEqual([
+        expect.objectContaining({ rule: 'cashback', type: 'award_points', success: true }),
+        expect.objectContaining({ rule: 'cashback', type: 'assign_quest', success: true })
+      ]);
+    });
+
+    it('should complete a quest objective or the whole quest', async (): Promise<void> => {
+      await questModule.assignQuest('user123', 'onboarding');
+      gk.ruleEngine.addRule('profile-done', {
+        conditions: { field: 'section', operator: '==', value: 'profile' },
+        actions: [{ type: 'complete_quest', questId: 'onboarding', objectiveId: 'profile' }]
+      });
+
+      await gk.track('profile.updated', { userId: 'user123', section: 'profile' });
+      let assignment = await questModule.getQuestAssignment('user123', 'onboarding');
+      expect(assignment.objectives.map(o => o.completed)).toEqual([true, false]);
+
+      gk.ruleEngine.addRule('skip-onboarding', {
+        conditions: { field: 'skip', operator: '==', value: true },
+        actions: [{ type: 'complete_quest', questId: 'onboarding' }]
+      });
+
+      const result = await gk.track('onboarding.skipped', { userId: 'user123', skip: true });
+      assignment = await questModule.getQuestAssignment('user123', 'onboarding');
+      expect(result.actions[0].success).toBe(true);
+      expect(assignment.completed).toBe(true);
+    });
+
+    it('should expire multipliers set by a rule after their duration', async (): Promise<void> => {
+      gk.ruleEngine.addRule('happy-hour', {
+        conditions: { field: 'eventName', operator: '==', value: 'happy.hour' },
+        actions: [{ type: 'set_multiplier', multiplier: 2, duration: 3600 }]
+      });
+      await gk.track('happy.hour', { userId: 'user123' });
+      expect((await pointsModule.award('user123', 10)).points).toBe(20);
+
+      const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 3601000);
+      try {
+        expect((await pointsModule.award('user123', 10)).points).toBe(10);
+      } finally {
+        nowSpy.mockRestore();
+      }
+    });
+
+    it('should report failed actions without stopping the others', async (): Promise<void> => {
+      gk.ruleEngine.addRule('mixed', {
+        conditions: { field: 'amount', operator: '>', value: 0 },
+        actions: [
+          { type: 'add_xp', xp: 10 },
+          { type: 'award_points', points: '{{amount}}' }
+        ]
+      });
+
+      const result = await gk.track('order.paid', { userId: 'user123', amount: 5 });
+
+      expect(result.actions).toEqual([
+        expect.objectContaining({ type: 'add_xp', success: false, error: 'Module not enabled: levels' }),
+        expect.objectContaining({ type: 'award_points', success: true })
+      ]);
+      expect(await pointsModule.getPoints('user123')).toBe(5);
+    });
+
+    it('should emit derived events', async (): Promise<void> => {
+      const listener = jest.fn();
+      gk.eventManager.on('vip.purchase', listener);
+      gk.ruleEngine.addRule('vip', {
+        conditions: { field: 'amount', operator: '>=', value: 1000 },
+        actions: [{ type: 'emit_event', eventName: 'vip.purchase', data: { amount: '{{amount}}' } }]
+      });
+
+      await gk.track('order.paid', { userId: 'user123', amount: 1500 });
+
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ userId: 'user123', amount: 1500, sourceEvent: 'order.paid' })
+      }));
+    });
+
+    it('should reject unknown or malformed actions when a rule is added', () => {
+      expect(() => gk.ruleEngine.addRule('broken', {
+        conditions: { field: 'amount', operator: '>', value: 0 },
+        actions: [{ type: 'grant_gems', gems: 5 }]
+      })).toThrow('Unknown action type: grant_gems');
+
+      expect(() => gk.ruleEngine.addRule('broken', {
+        conditions: { field: 'amount', operator: '>', value: 0 },
+        actions: [{ type: 'update_leaderboard', leaderboardId: 'weekly' }]
+      })).toThrow('actions[0].score is required for update_leaderboard');
+    });
+
+    it('should run actions registered by the application', async (): Promise<void> => {
+      const handler = jest.fn(async () => ({ success: true, gems: 5 }));
+      gk.registerAction('grant_gems', handler, { required: ['gems'], params: { gems: 'number' } });
+
+      gk.ruleEngine.addRule('gems', {
+        conditions: { field: 'amount', operator: '>', value: 0 },
+        actions: [{ type: 'grant_gems', gems: '{{amount * 2}}' }]
+      });
+
+      const result = await gk.track('order.paid', { userId: 'user123', amount: 3 });
+
+      expect(handler).toHaveBeenCalledWith({ type: 'grant_gems', gems: 6 }, expect.objectContaining({ amount: 3 }), gk);
+      expect(result.actions[0]).toEqual({ rule: 'gems', type: 'grant_gems', success: true, result: { success: true, gems: 5 } });
+    });
+  });
+
   describe('event flow', (): void => {
     it('should propagate events between modules', async (): Promise<void> => {
       const pointsModule = new PointsModule();
@@ -630,6 +1268,101 @@ describe('GamificationKit', (): void => {
     });
   });
 
+  describe('tenants', (): void => {
+    let tenantGK;
+
+    beforeEach(async () => {
+      tenantGK = new GamificationKit({
+        api: { enabled: false },
+        websocket: { enabled: false },
+        webhooks: { enabled: false },
+        logger: { enabled: false },
+        tenants: {
+          enabled: true,
+          overrides: { acme: { points: { dailyLimit: 50 } } }
+        }
+      });
+      tenantGK.use(new PointsModule());
+      tenantGK.use(new BadgeModule([{ id: 'welcome', name: 'Welcome' }]));
+      await tenantGK.initialize();
+    });
+
+    afterEach(async () => {
+      await tenantGK.shutdown();
+    });
+
+    it('should keep user data of each tenant apart', async (): Promise<void> => {
+      const points = tenantGK.modules.get('points');
+
+      await tenantGK.withTenant('acme', () => points.award('user1', 30));
+      await tenantGK.withTenant('globex', () => points.award('user1', 70));
+
+      expect(await tenantGK.withTenant('acme', () => points.getPoints('user1'))).toBe(30);
+      expect(await tenantGK.withTenant('globex', () => points.getPoints('user1'))).toBe(70);
+      expect(await points.getPoints('user1')).toBe(0);
+    });
+
+    it('should track events for a tenant', async (): Promise<void> => {
+      const listener = jest.fn();
+      tenantGK.eventManager.on('user.action', listener);
+
+      await tenantGK.track('user.action', { userId: 'user1' }, { tenantId: 'acme' });
+
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ tenantId: 'acme' }));
+      expect(await tenantGK.listTenants()).toEqual(['acme']);
+    });
+
+    it('should give each tenant its own definitions on top of the shared ones', async (): Promise<void> => {
+      const badges = tenantGK.modules.get('badges');
+
+      await tenantGK.withTenant('acme', () => badges.addBadge({ id: 'acme-vip', name: 'Acme VIP' }));
+
+      const acmeBadges = await tenantGK.withTenant('acme', () => badges.getAllBadges());
+      const globexBadges = await tenantGK.withTenant('globex', () => badges.getAllBadges());
+      expect(acmeBadges.map(b => b.id)).toEqual(['welcome', 'acme-vip']);
+      expect(globexBadges.map(b => b.id)).toEqual(['welcome']);
+    });
+
+    it('should apply per-tenant module config', async (): Promise<void> => {
+      const points = tenantGK.modules.get('points');
+
+      const acme = await tenantGK.withTenant('acme', () => points.award('user1', 60));
+      const globex = await tenantGK.withTenant('globex', () => points.award('user1', 60));
+
+      expect(acme.success).toBe(false);
+      expect(globex.success).toBe(true);
+    });
+
+    it('should keep config writes made inside a tenant to that tenant', async (): Promise<void> => {
+      const points = tenantGK.modules.get('points');
+
+      await tenantGK.withTenant('acme', () => { points.config.dailyLimit = 100; });
+
+      expect(await tenantGK.withTenant('acme', () => points.config.dailyLimit)).toBe(100);
+      expect(await tenantGK.withTenant('acme', () => ({ ...points.config }).dailyLimit)).toBe(100);
+      expect(await tenantGK.withTenant('globex', () => points.config.dailyLimit)).not.toBe(100);
+      expect((await tenantGK.withTenant('acme', () => points.award('user1', 60))).success).toBe(true);
+    });
+
+    it('should delete a tenant and its data', async (): Promise<void> => {
+      const points = tenantGK.modules.get('points');
+      await tenantGK.withTenant('acme', () => points.award('user1', 30));
+
+      const result = await tenantGK.deleteTenant('acme');
+
+      expect(result).toEqual({ success: true, tenantId: 'acme', keysDeleted: expect.any(Number) });
+      expect(result.keysDeleted).toBeGreaterThan(0);
+      expect(await tenantGK.listTenants()).toEqual([]);
+      expect(await tenantGK.withTenant('acme', () => points.getPoints('user1'))).toBe(0);
+    });
+
+    it('should refuse tenants when multi-tenancy is disabled', async (): Promise<void> => {
+      await gk.initialize();
+
+      await expect(gk.withTenant('acme', () => null)).rejects.toThrow('Multi-tenancy is not enabled');
+    });
+  });
+
   describe('performance', (): void => {
     it('should handle high-frequency events efficiently', async (): Promise<void> => {
       await gk.initialize();
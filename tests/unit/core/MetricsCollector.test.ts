@@ -1,6 +1,7 @@
 import type { GamificationKit } from '../src/core/GamificationKit.js';
 import { jest } from '@jest/globals';
-import { MetricsCollector } from '../../../src/core/MetricsCollector.js';
+import { MetricsCollector, negotiateMetricsFormat } from '../../../src/core/MetricsCollector.js';
+import { MemoryStorage } from '../../../src/storage/MemoryStorage.js';
 
 describe('MetricsCollector', (): void => {
   let metricsCollector;
@@ -485,4 +486,110 @@ describe('MetricsCollector', (): void => {
       expect(metrics['api.calls:endpoint=/posts'].value).toBe(1);
     });
   });
-});
\ No newline at end of file
+
+  describe('text exposition', (): void => {
+    const lines = (text) => text.split('\n');
+
+    it('should negotiate the format from the Accept header', () => {
+      expect(negotiateMetricsFormat(undefined)).toBe('json');
+      expect(negotiateMetricsFormat('application/json')).toBe('json');
+      expect(negotiateMetricsFormat('text/plain;version=0.0.4;q=0.5,*/*;q=0.1')).toBe('prometheus');
+      expect(negotiateMetricsFormat('application/openmetrics-text;version=1.0.0,text/plain;q=0.5')).toBe('openmetrics');
+    });
+
+    it('should expose event counters and processing time histograms', async (): Promise<void> => {
+      const collector = new MetricsCollector({ histogramBuckets: [0.1, 0.01], logger: { enabled: false } });
+      collector.recordEvent('lesson.completed', { processingTime: 5 });
+      collector.recordEvent('lesson.completed', { processingTime: 50 });
+      collector.recordEvent('lesson.completed', { processingTime: 500, error: true });
+
+      const text = await collector.exportMetrics('openmetrics');
+
+      expect(lines(text)).toEqual(expect.arrayContaining([
+        '# TYPE gamification_events counter',
+        'gamification_events_total{event="lesson.completed"} 3',
+        'gamification_event_errors_total{event="lesson.completed"} 1',
+        '# TYPE gamification_event_processing_seconds histogram',
+        '# UNIT gamification_event_processing_seconds seconds',
+        'gamification_event_processing_seconds_bucket{event="lesson.completed",le="0.01"} 1',
+        'gamification_event_processing_seconds_bucket{event="lesson.completed",le="0.1"} 2',
+        'gamification_event_processing_seconds_bucket{event="lesson.completed",le="+Inf"} 3',
+        'gamification_event_processing_seconds_count{event="lesson.completed"} 3',
+        'gamification_event_processing_seconds_sum{event="lesson.completed"} 0.555'
+      ]));
+      expect(text.endsWith('# EOF\n')).toBe(true);
+    });
+
+    it('should name counters after their samples in the Prometheus format', async (): Promise<void> => {
+      const collector = new MetricsCollector({ logger: { enabled: false } });
+      collector.recordEvent('say "hi"\\');
+
+      const text = await collector.exportMetrics('prometheus');
+
+      expect(lines(text)).toContain('# TYPE gamification_events_total counter');
+      expect(lines(text)).toContain('gamification_events_total{event="say \\"hi\\"\\\\"} 1');
+      expect(text).not.toContain('# EOF');
+      expect(text).not.toContain('# UNIT');
+    });
+
+    it('should expose module metrics', async (): Promise<void> => {
+      const collector = new MetricsCollector({ logger: { enabled: false } });
+      collector.recordModuleMetric('points', 'awarded', 10);
+      collector.recordModuleMetric('points', 'awarded', 30);
+
+      const text = await collector.exportMetrics('openmetrics');
+
+      expect(lines(text)).toEqual(expect.arrayContaining([
+        'gamification_module_metric_count{module="points",metric="awarded"} 2',
+        'gamification_module_metric_sum{module="points",metric="awarded"} 40',
+        'gamification_module_metric_last{module="points",metric="awarded"} 30'
+      ]));
+    });
+
+    it('should time storage operations and count failures', async (): Promise<void> => {
+      const collector = new MetricsCollector({ logger: { enabled: false } });
+      const storage = new MemoryStorage();
+      await storage.connect();
+      collector.instrumentStorage(storage);
+      collector.instrumentStorage(storage);
+
+      await storage.set('key', 1);
+      expect(await storage.get('key')).toBe(1);
+      await storage.hset('hash', 'field', 'value');
+      await expect(storage.hincrby('hash', 'field', 1)).rejects.toThrow();
+
+      const text = await collector.exportMetrics('openmetrics');
+
+      expect(lines(text)).toEqual(expect.arrayContaining([
+        'gamification_storage_operation_duration_seconds_count{adapter="MemoryStorage",operation="get"} 1',
+        'gamification_storage_operation_errors_total{adapter="MemoryStorage",operation="get"} 0',
+        'gamification_storage_operation_errors_total{adapter="MemoryStorage",operation="hincrby"} 1'
+      ]));
+    });
+
+    it('should expose webhook deliveries and registered sources', async (): Promise<void> => {
+      const collector = new MetricsCollector({ logger: { enabled: false } });
+      collector.recordWebhookDelivery('wh_1', 'delivered', 120);
+      collector.recordWebhookDelivery('wh_1', 'failed', 5000);
+      collector.registerSource('queue', () => [
+        { name: 'custom_queue_size', type: 'gauge', help: 'Queue size', samples: [{ value: 4 }] }
+      ]);
+      collector.registerSource('broken', () => {
+        throw new Error('unavailable');
+      });
+
+      const text = await collector.exportMetrics('openmetrics');
+
+      expect(lines(text)).toEqual(expect.arrayContaining([
+        'gamification_webhook_deliveries_total{webhook="wh_1",status="delivered"} 1',
+        'gamification_webhook_deliveries_total{webhook="wh_1",status="failed"} 1',
+        'gamification_webhook_delivery_duration_seconds_count{webhook="wh_1"} 2',
+        'custom_queue_size 4'
+      ]));
+    });
+
+    it('should reject invalid histogram buckets', () => {
+      expect(() => new MetricsCollector({ histogramBuckets: [0.1, -1] })).toThrow('histogramBuckets');
+    });
+  });
+});
@@ -0,0 +1,232 @@
+import type { GamificationKit } from '../src/core/GamificationKit.js';
+import { jest } from '@jest/globals';
+import { ReversalManager } from '../../../src/core/ReversalManager.js';
+import { EventManager } from '../../../src/core/EventManager.js';
+import { MemoryStorage } from '../../../src/storage/MemoryStorage.js';
+import { PointsModule } from '../../../src/modules/PointsModule.js';
+import { LevelModule } from '../../../src/modules/LevelModule.js';
+import { BadgeModule } from '../../../src/modules/BadgeModule.js';
+import { LeaderboardModule } from '../../../src/modules/LeaderboardModule.js';
+import { Logger } from '../../../src/utils/logger.js';
+
+describe('ReversalManager', (): void => {
+  let reversals;
+  let storage;
+  let eventManager;
+  let modules;
+  let emitted;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await storage.connect();
+    eventManager = new EventManager();
+    modules = new Map();
+    reversals = new ReversalManager({ storage, eventManager, modules, logger: { enabled: false } });
+
+    const points = new PointsModule();
+    const levels = new LevelModule({ baseXP: 100, xpFormula: 'linear', levelRewards: { 2: { points: 50 } } });
+    const badges = new BadgeModule();
+    const leaderboards = new LeaderboardModule({ periods: ['all-time'] });
+    for (const module of [points, levels, badges, leaderboards]) {
+      module.setContext({ storage, eventManager, logger: new Logger({ enabled: false }), config: {} });
+      await module.initialize();
+      modules.set(module.name, module);
+    }
+    badges.addBadge({ id: 'rising-star', name: 'Rising Star', conditions: { triggers: [{ event: 'levels.level.up' }] } });
+
+    emitted = [];
+    eventManager.onWildcard('*', async (event) => {
+      emitted.push(event.eventName);
+    });
+  });
+
+  afterEach(async () => {
+    eventManager.removeAllListeners();
+    await storage.disconnect();
+    jest.restoreAllMocks();
+  });
+
+  const score = async (leaderboardId, userId) => Number(await storage.zscore(modules.get('leaderboards').getLeaderboardKey(leaderboardId), userId));
+
+  it('should deduct points and correct the leaderboard scores they set', async (): Promise<void> => {
+    await modules.get('points').award('user1', 30);
+    const { transaction } = await modules.get('points').award('user1', 100, 'purchase');
+
+    const reversal = await reversals.reverse(transaction.id, { reason: 'chargeback', reversedBy: 'admin' });
+
+    expect(reversal).toMatchObject({ transactionId: transaction.id, userId: 'user1', success: true, reason: 'chargeback' });
+    expect(reversal.steps.map(step => [step.action, step.status])).toEqual([
+      ['adjust_leaderboard', 'applied'],
+      ['deduct_points', 'applied']
+    ]);
+    expect(await modules.get('points').getPoints('user1')).toBe(30);
+    expect(await score('points-all-time', 'user1')).toBe(30);
+    expect(await reversals.getReversal(reversal.id)).toEqual(reversal);
+    expect(emitted).toContain('transaction.reversed');
+  });
+
+  it('should correct leaderboard scores still waiting in the batch', async (): Promise<void> => {
+    const leaderboards = modules.get('leaderboards');
+    leaderboards.config.enableRealtime = false;
+    await modules.get('points').award('user1', 30);
+    await leaderboards.processBatchUpdates();
+    const { transaction } = await modules.get('points').award('user1', 100, 'purchase');
+    expect(await score('points-all-time', 'user1')).toBe(30);
+
+    const reversal = await reversals.reverse(transaction.id);
+
+    expect(reversal.steps.map(step => [step.action, step.status])).toEqual([
+      ['adjust_leaderboard', 'applied'],
+      ['deduct_points', 'applied']
+    ]);
+    expect(await score('points-all-time', 'user1')).toBe(30);
+    await leaderboards.processBatchUpdates();
+    expect(await score('points-all-time', 'user1')).toBe(30);
+  });
+
+  it('should take back XP and everything the level up led to', async (): Promise<void> => {
+    const { transaction } = await modules.get('levels').addXP('user1', 150);
+    expect(await modules.get('badges').hasBadge('user1', 'rising-star')).toBe(true);
+    expect(await modules.get('points').getPoints('user1')).toBe(50);
+
+    const reversal = await reversals.reverse(transaction.id);
+
+    expect(reversal.success).toBe(true);
+    expect(reversal.steps.map(step => step.action)).toEqual(expect.arrayContaining(['remove_xp', 'revoke_badge', 'deduct_points']));
+    expect(await modules.get('levels').getUserData('user1')).toMatchObject({ level: 1, totalXP: 0 });
+    expect(await modules.get('badges').hasBadge('user1', 'rising-star')).toBe(false);
+    expect(await modules.get('points').getPoints('user1')).toBe(0);
+    expect(emitted).toContain('levels.level.down');
+  });
+
+  it('should plan without applying anything on a dry run', async (): Promise<void> => {
+    const { transaction } = await modules.get('points').award('user1', 100);
+
+    const plan = await reversals.reverse(transaction.id, { dryRun: true });
+
+    expect(plan.dryRun).toBe(true);
+    expect(plan.steps.every(step => step.status === 'planned')).toBe(true);
+    expect(await modules.get('points').getPoints('user1')).toBe(100);
+    expect(await reversals.getReversal(plan.id)).toBeNull();
+    expect((await reversals.reverse(transaction.id)).success).toBe(true);
+  });
+
+  it('should reverse each transaction once', async (): Promise<void> => {
+    const { transaction } = await modules.get('points').award('user1', 100);
+
+    const reversal = await reversals.reverse(transaction.id);
+
+    expect(await reversals.reverse(transaction.id)).toEqual({ success: false, reason: 'already_reversed', reversalId: reversal.id });
+    expect(await modules.get('points').getPoints('user1')).toBe(0);
+  });
+
+  it('should let only one call work on a transaction at a time', async (): Promise<void> => {
+    const { transaction } = await modules.get('points').award('user1', 100);
+
+    const results = await Promise.all([reversals.reverse(transaction.id), reversals.reverse(transaction.id)]);
+
+    expect(results.filter(result => result.success)).toHaveLength(1);
+    expect(results).toContainEqual({ success: false, reason: 'reversal_in_progress' });
+    expect(await modules.get('points').getPoints('user1')).toBe(0);
+  });
+
+  it('should store the reversal before applying its steps', async (): Promise<void> => {
+    const { transaction } = await modules.get('points').award('user1', 100);
+    let stored;
+    const points = modules.get('points');
+    const reverseTransaction = points.reverseTransaction.bind(points);
+    jest.spyOn(points, 'reverseTransaction').mockImplementation(async (...args) => {
+      stored = await reversals.getReversals();
+      return reverseTransaction(...args);
+    });
+
+    const reversal = await reversals.reverse(transaction.id);
+
+    expect(stored).toEqual([expect.objectContaining({ id: reversal.id, success: false })]);
+    expect(stored[0].steps.map(step => step.status)).toEqual(['applied', 'planned']);
+  });
+
+  it('should retry only the steps that failed', async (): Promise<void> => {
+    const { transaction } = await modules.get('points').award('user1', 100);
+    const leaderboards = modules.get('leaderboards');
+    jest.spyOn(leaderboards, 'updateScore').mockRejectedValueOnce(new Error('Connection lost'));
+    const deduct = jest.spyOn(modules.get('points'), 'reverseTransaction');
+
+    const failed = await reversals.reverse(transaction.id);
+    expect(failed.success).toBe(false);
+    expect(failed.steps.map(step => step.status)).toEqual(['failed', 'applied']);
+
+    const retried = await reversals.reverse(transaction.id);
+
+    expect(retried).toMatchObject({ id: failed.id, success: true });
+    expect(retried.steps.map(step => step.status)).toEqual(['applied', 'applied']);
+    expect(retried.steps[0].error).toBeUndefined();
+    expect(deduct).toHaveBeenCalledTimes(1);
+    expect(await score('points-all-time', 'user1')).toBe(0);
+    expect(await reversals.getReversal(failed.id)).toEqual(retried);
+    expect(await reversals.reverse(transaction.id)).toEqual({ success: false, reason: 'already_reversed', reversalId: failed.id });
+  });
+
+  it('should pick up a reversal that stopped before storing its record', async (): Promise<void> => {
+    const { transaction } = await modules.get('points').award('user1', 100);
+    await storage.set(`reversals:transaction:${transaction.id}`, 'rev_interrupted');
+
+    const reversal = await reversals.reverse(transaction.id);
+
+    expect(reversal).toMatchObject({ id: 'rev_interrupted', success: true });
+    expect(await modules.get('points').getPoints('user1')).toBe(0);
+  });
+
+  it('should skip nested transactions that were already reversed', async (): Promise<void> => {
+    const { transaction } = await modules.get('levels').addXP('user1', 150);
+    const reward = (await modules.get('points').getTransactionHistory('user1')).find(entry => entry.type === 'award');
+    await reversals.reverse(reward.id);
+
+    const reversal = await reversals.reverse(transaction.id);
+
+    expect(reversal.success).toBe(true);
+    expect(reversal.steps.find(step => step.action === 'deduct_points').status).toBe('skipped');
+    expect(await modules.get('points').getPoints('user1')).toBe(0);
+  });
+
+  it('should report effects nothing compensates', async (): Promise<void> => {
+    eventManager.on('points.awarded', async (event) => {
+      await eventManager.emitAsync('shop.voucher.issued', { userId: event.data.userId });
+    });
+    const { transaction } = await modules.get('points').award('user1', 100);
+
+    const plan = await reversals.reverse(transaction.id, { dryRun: true });
+
+    expect((await reversals.getEffects(transaction.id)).map(effect => effect.eventName)).toContain('shop.voucher.issued');
+    expect(plan.uncompensated).toEqual(['shop.voucher.issued']);
+  });
+
+  it('should throw for unknown transactions', async (): Promise<void> => {
+    await expect(reversals.reverse('txn_missing')).rejects.toThrow('Transaction not found: txn_missing');
+  });
+
+  it('should drop reversal records once the retention passes', async (): Promise<void> => {
+    const first = await modules.get('points').award('user1', 100);
+    const old = await reversals.reverse(first.transaction.id);
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 2592000 * 1000 + 1);
+
+    const second = await modules.get('points').award('user1', 50);
+    const recent = await reversals.reverse(second.transaction.id);
+
+    expect(await storage.hget('reversals:records', old.id)).toBeNull();
+    expect(await storage.zscore('reversals:records:index', old.id)).toBeNull();
+    expect((await reversals.getReversals()).map(reversal => reversal.id)).toEqual([recent.id]);
+  });
+
+  it('should delete a user\'s reversals and recorded effects', async (): Promise<void> => {
+    const first = await modules.get('points').award('user1', 100);
+    const second = await modules.get('points').award('user2', 100);
+    await reversals.reverse(first.transaction.id);
+
+    expect(await reversals.deleteUser('user1')).toBe(1);
+    expect(await reversals.getReversals({ userId: 'user1' })).toEqual([]);
+    await expect(reversals.reverse(first.transaction.id)).rejects.toThrow('Transaction not found');
+    expect(await reversals.getEffects(second.transaction.id)).not.toEqual([]);
+  });
+});
@@ -1,6 +1,7 @@
 import type { GamificationKit } from '../src/core/GamificationKit.js';
 import { jest } from '@jest/globals';
 import { RuleEngine } from '../../../src/core/RuleEngine.js';
+import { MemoryStorage } from '../../../src/storage/MemoryStorage.js';
 
 describe('RuleEngine', (): void => {
   let ruleEngine;
@@ -698,4 +699,297 @@ describe('RuleEngine', (): void => {
       expect(duration).toBeLessThan(100); // Should be very fast
     });
   });
+
+  describe('rule actions', (): void => {
+    beforeEach(() => {
+      ruleEngine.registerActionType('award_points', {
+        required: ['points'],
+        params: { points: 'number', reason: 'string' }
+      });
+    });
+
+    it('should validate actions against registered types when a rule is added', () => {
+      const add = (action) => ruleEngine.addRule('bonus', {
+        conditions: { field: 'amount', operator: '>', value: 0 },
+        actions: [action]
+      });
+
+      expect(() => add({ type: 'award_points', points: 5 })).not.toThrow();
+      expect(() => add({ type: 'grant_gems', gems: 5 })).toThrow('Unknown action type: grant_gems');
+      expect(() => add({ type: 'award_points' })).toThrow('actions[0].points is required for award_points');
+      expect(() => add({ type: 'award_points', points: '5' })).toThrow('actions[0].points must be a number');
+      expect(() => add({ type: 'award_points', points: '{{ amount * }}' })).toThrow('Invalid template in actions[0].points');
+      expect(() => add({ type: 'award_points', points: '{{ bogus(amount) }}' })).toThrow('Unknown function in actions[0].points: bogus');
+    });
+
+    it('should resolve templated parameters from the event', () => {
+      const action = { type: 'award_points', points: '{{ floor(data.amount * 0.1) }}', reason: 'order {{orderId}}' };
+
+      expect(ruleEngine.resolveAction(action, { amount: 257, orderId: 'o-1' })).toEqual({
+        type: 'award_points',
+        points: 25,
+        reason: 'order o-1'
+      });
+    });
+
+    it('should show resolved actions in dry runs', async (): Promise<void> => {
+      ruleEngine.addRule('bonus', {
+        conditions: { field: 'amount', operator: '>', value: 0 },
+        actions: [{ type: 'award_points', points: '{{ amount / 10 }}' }]
+      });
+
+      const { actions } = await ruleEngine.dryRun({ amount: 40 });
+
+      expect(actions).toEqual([{ type: 'award_points', points: 4 }]);
+    });
+  });
+
+  describe('dryRun', (): void => {
+    beforeEach(() => {
+      ruleEngine.addRule('big_order', {
+        conditions: {
+          all: [
+            { field: 'total', operator: '>=', value: 100 },
+            { not: { field: 'country', operator: 'in', value: ['XX'] } }
+          ]
+        },
+        actions: [{ type: 'award_points', points: 50 }],
+        priority: 10,
+        stopOnMatch: true
+      });
+      ruleEngine.addRule('any_order', {
+        conditions: { field: 'total', operator: '>', value: 0 },
+        actions: [{ type: 'award_points', points: 1 }]
+      });
+    });
+
+    it('should explain which conditions passed and failed', async (): Promise<void> => {
+      const { results, actions } = await ruleEngine.dryRun({ total: 40, country: 'DE' });
+
+      expect(results[0]).toEqual({
+        ruleName: 'big_order',
+        passed: false,
+        actions: [],
+        conditions: {
+          type: 'all',
+          passed: false,
+          conditions: [
+            { type: 'condition', passed: false, field: 'total', operator: '>=', expected: 100, actual: 40 },
+            {
+              type: 'not',
+              passed: true,
+              conditions: [
+                { type: 'condition', passed: false, field: 'country', operator: 'in', expected: ['XX'], actual: 'DE' }
+              ]
+            }
+          ]
+        }
+      });
+      expect(actions).toEqual([{ type: 'award_points', points: 1 }]);
+    });
+
+    it('should honour priority and stopOnMatch', async (): Promise<void> => {
+      const { results, actions } = await ruleEngine.dryRun({ total: 150, country: 'DE' });
+
+      expect(results.map(r => r.ruleName)).toEqual(['big_order']);
+      expect(actions).toEqual([{ type: 'award_points', points: 50 }]);
+    });
+
+    it('should evaluate a single rule and report errors per condition', async (): Promise<void> => {
+      ruleEngine.addRule('broken', { conditions: { field: 'total', operator: 'nope', value: 1 } });
+
+      const { results } = await ruleEngine.dryRun({ total: 1 }, 'broken');
+
+      expect(results[0].passed).toBe(false);
+      expect(results[0].conditions.error).toBe('Unknown operator: nope');
+      await expect(ruleEngine.dryRun({}, 'missing')).rejects.toThrow('Rule not found: missing');
+    });
+
+    it('should not use the cache or record aggregates', async (): Promise<void> => {
+      const setCacheSpy = jest.spyOn(ruleEngine, 'setCache');
+      const recordSpy = jest.spyOn(ruleEngine, 'recordAggregates');
+
+      await ruleEngine.dryRun({ eventName: 'order.placed', userId: 'user1', total: 150 });
+
+      expect(setCacheSpy).not.toHaveBeenCalled();
+      expect(recordSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('aggregate conditions', (): void => {
+    let storage;
+    let engine;
+    const start = Date.UTC(2024, 0, 1, 12);
+
+    const track = (eventName, data, timestamp) =>
+      engine.evaluate({ eventName, userId: 'user1', ...data, timestamp });
+
+    beforeEach(async () => {
+      storage = new MemoryStorage();
+      await storage.connect();
+      engine = new RuleEngine({ storage, logger: { enabled: false } });
+    });
+
+    afterEach(async () => {
+      await storage.disconnect();
+    });
+
+    it('should count events in a sliding window', async (): Promise<void> => {
+      engine.addRule('binge', {
+        conditions: {
+          aggregate: { type: 'count', event: 'lesson.completed', window: { duration: 60 * 60 * 1000 } },
+          operator: '>=',
+          value: 3
+        },
+        actions: [{ type: 'award_badge', badgeId: 'binge' }]
+      });
+
+      await track('lesson.completed', {}, start);
+      await track('lesson.completed', {}, start + 10 * 60 * 1000);
+      const early = await track('lesson.completed', {}, start + 20 * 60 * 1000);
+      const late = await track('lesson.completed', {}, start + 90 * 60 * 1000);
+
+      expect(early.passed).toHaveLength(1);
+      expect(early.results[0].aggregates).toEqual({ 'count:lesson.completed': 3 });
+      expect(late.passed).toHaveLength(0);
+      expect(late.results[0].aggregates).toEqual({ 'count:lesson.completed': 1 });
+    });
+
+    it('should prune entries that left the window in one call', async (): Promise<void> => {
+      engine.addRule('binge', {
+        conditions: {
+          aggregate: { type: 'count', event: 'lesson.completed', window: { duration: 60 * 60 * 1000 } },
+          operator: '>=',
+          value: 3
+        }
+      });
+
+      await track('lesson.completed', {}, start);
+      await track('lesson.completed', {}, start + 10 * 60 * 1000);
+      const zrem = jest.spyOn(storage, 'zrem');
+      const prune = jest.spyOn(storage, 'zremrangebyscore');
+
+      await track('lesson.completed', {}, start + 90 * 60 * 1000);
+
+      expect(zrem).not.toHaveBeenCalled();
+      expect(prune).toHaveBeenCalledWith(expect.any(String), '-inf', start + 30 * 60 * 1000 - 1);
+      expect(await storage.zcard((await storage.keys('*aggregate*'))[0])).toBe(1);
+    });
+
+    it('should sum a field over the current calendar week', async (): Promise<void> => {
+      engine.addRule('big_spender', {
+        conditions: {
+          aggregate: {
+            name: 'weeklySpend',
+            type: 'sum',
+            event: 'purchase.completed',
+            field: 'amount',
+            where: { field: 'currency', operator: '==', value: 'USD' },
+            window: { unit: 'week', timezone: 'UTC' }
+          },
+          operator: '>',
+          value: 100
+        }
+      });
+
+      // 2024-01-01 is a Monday
+      await track('purchase.completed', { amount: 60, currency: 'USD' }, start);
+      await track('purchase.completed', { amount: 500, currency: 'EUR' }, start);
+      const sameWeek = await track('purchase.completed', { amount: 50.5, currency: 'USD' }, start + 3 * 86400000);
+      const nextWeek = await track('purchase.completed', { amount: 20, currency: 'USD' }, start + 7 * 86400000);
+
+      expect(sameWeek.passed).toHaveLength(1);
+      expect(sameWeek.results[0].aggregates.weeklySpend).toBe(110.5);
+      expect(nextWeek.results[0].aggregates.weeklySpend).toBe(20);
+    });
+
+    it('should count distinct field values', async (): Promise<void> => {
+      engine.addRule('explorer', {
+        conditions: {
+          aggregate: { type: 'distinct', event: 'page.viewed', field: 'page', window: { unit: 'day' } },
+          operator: '>=',
+          value: 3
+        }
+      });
+
+      await track('page.viewed', { page: 'home' }, start);
+      await track('page.viewed', { page: 'home' }, start + 1000);
+      const twoPages = await track('page.viewed', { page: 'shop' }, start + 2000);
+      const threePages = await track('page.viewed', { page: 'blog' }, start + 3000);
+
+      expect(twoPages.results[0].aggregates['distinct:page.viewed:page']).toBe(2);
+      expect(threePages.passed).toHaveLength(1);
+    });
+
+    it('should keep aggregates per user and share them across engines', async (): Promise<void> => {
+      const condition = {
+        aggregate: { type: 'count', event: 'quiz.passed', window: { duration: 60000 } },
+        operator: '>=',
+        value: 2
+      };
+      const other = new RuleEngine({ storage, logger: { enabled: false } });
+      engine.addRule('quiz_streak', { conditions: condition });
+      other.addRule('quiz_streak', { conditions: condition });
+
+      await engine.evaluate({ eventName: 'quiz.passed', userId: 'user1', timestamp: start });
+      await engine.evaluate({ eventName: 'quiz.passed', userId: 'user2', timestamp: start });
+      const result = await other.evaluate({ eventName: 'quiz.passed', userId: 'user1', timestamp: start + 1000 });
+
+      expect(result.passed).toHaveLength(1);
+      expect(result.results[0].aggregates).toEqual({ 'count:quiz.passed': 2 });
+    });
+
+    it('should not record events when evaluating a single rule', async (): Promise<void> => {
+      engine.addRule('binge', {
+        conditions: {
+          aggregate: { type: 'count', event: 'lesson.completed', window: { duration: 60000 } },
+          operator: '>=',
+          value: 1
+        }
+      });
+
+      const context = { eventName: 'lesson.completed', userId: 'user1', timestamp: start };
+      const single = await engine.evaluate(context, 'binge');
+      const all = await engine.evaluate(context);
+      const again = await engine.evaluate(context);
+
+      expect(single.passed).toBe(false);
+      expect(all.results[0].aggregates).toEqual({ 'count:lesson.completed': 1 });
+      expect(again.results[0].aggregates).toEqual({ 'count:lesson.completed': 2 });
+    });
+
+    it('should clear a user\'s aggregates on reset', async (): Promise<void> => {
+      engine.addRule('binge', {
+        conditions: {
+          aggregate: { type: 'count', event: 'lesson.completed', window: { duration: 60000 } },
+          operator: '>=',
+          value: 1
+        }
+      });
+
+      await track('lesson.completed', {}, start);
+      await engine.resetAggregates('user1');
+
+      const value = await engine.getAggregateValue(
+        { type: 'count', event: 'lesson.completed', window: { duration: 60000 } },
+        { userId: 'user1', timestamp: start }
+      );
+      expect(value).toBe(0);
+    });
+
+    it('should validate aggregate definitions when rules are added', () => {
+      const add = (aggregate) => engine.addRule('invalid', {
+        conditions: { aggregate, operator: '>=', value: 1 }
+      });
+
+      expect(() => add({ type: 'median', event: 'a', window: { duration: 1000 } })).toThrow('aggregate.type must be one of');
+      expect(() => add({ type: 'sum', event: 'a', window: { duration: 1000 } })).toThrow('aggregate.field');
+      expect(() => add({ type: 'count', event: 'a', window: { unit: 'year' } })).toThrow('aggregate.window.unit');
+      expect(() => add({ type: 'count', event: 'a', window: { unit: 'day', timezone: 'Mars/Olympus' } }))
+        .toThrow('aggregate.window.timezone must be a valid IANA timezone');
+      expect(() => new RuleEngine().addRule('no_storage', {
+        conditions: { aggregate: { type: 'count', event: 'a', window: { duration: 1000 } }, operator: '>=', value: 1 }
+      })).toThrow('Aggregate conditions require a storage adapter');
+    });
+  });
 });
\ No newline at end of file
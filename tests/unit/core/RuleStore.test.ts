@@ -0,0 +1,139 @@
+import type { GamificationKit } from '../src/core/GamificationKit.js';
+import { jest } from '@jest/globals';
+import { RuleStore } from '../../../src/core/RuleStore.js';
+import { RuleEngine } from '../../../src/core/RuleEngine.js';
+import { MemoryStorage } from '../../../src/storage/MemoryStorage.js';
+
+describe('RuleStore', (): void => {
+  let storage;
+  let ruleEngine;
+  let store;
+
+  const definition = {
+    conditions: { field: 'lessons', operator: '>=', value: 10 },
+    actions: [{ type: 'award_badge', badgeId: 'scholar' }]
+  };
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await storage.connect();
+    ruleEngine = new RuleEngine({ storage, logger: { enabled: false } });
+    store = new RuleStore({ storage, ruleEngine, logger: { enabled: false } });
+  });
+
+  afterEach(async () => {
+    await store.stop();
+    await storage.disconnect();
+    jest.useRealTimers();
+  });
+
+  describe('create', (): void => {
+    it('should persist the rule and add it to the engine', async (): Promise<void> => {
+      const rule = await store.create('scholar', definition, 'admin');
+
+      expect(rule).toEqual(expect.objectContaining({ name: 'scholar', version: 1, updatedBy: 'admin' }));
+      expect(await store.get('scholar')).toEqual(rule);
+      expect(ruleEngine.rules.get('scholar').actions).toEqual(definition.actions);
+    });
+
+    it('should reject duplicates and invalid definitions', async (): Promise<void> => {
+      await store.create('scholar', definition);
+
+      await expect(store.create('scholar', definition)).rejects.toThrow('Rule already exists: scholar');
+      await expect(store.create('broken', { conditions: [{ field: 'a', operator: '==', value: 1 }] }))
+        .rejects.toThrow('conditions must be a condition object');
+      await expect(store.create('broken', { conditions: { field: 'a', operator: 'equals', value: 1 } }))
+        .rejects.toThrow('conditions.operator must be one of');
+      await expect(store.create('broken', { ...definition, actions: [{ points: 5 }] }))
+        .rejects.toThrow('actions[0].type');
+      expect(await store.get('broken')).toBeNull();
+    });
+
+    it('should only persist known rule fields', async (): Promise<void> => {
+      const rule = await store.create('scholar', { ...definition, createdAt: 1, owner: 'x' });
+
+      expect(Object.keys(rule.definition).sort()).toEqual(['actions', 'conditions']);
+    });
+  });
+
+  describe('versioning', (): void => {
+    it('should record every change and merge partial updates', async (): Promise<void> => {
+      await store.create('scholar', definition);
+      await store.update('scholar', { priority: 5 });
+      const disabled = await store.setEnabled('scholar', false);
+
+      expect(disabled.version).toBe(3);
+      expect(disabled.definition).toEqual({ ...definition, priority: 5, enabled: false });
+      expect(ruleEngine.rules.get('scholar').enabled).toBe(false);
+      expect((await store.getVersions('scholar')).map(v => [v.version, v.action])).toEqual([
+        [3, 'disable'],
+        [2, 'update'],
+        [1, 'create']
+      ]);
+    });
+
+    it('should roll back by saving an earlier version as a new one', async (): Promise<void> => {
+      await store.create('scholar', definition);
+      await store.update('scholar', { conditions: { field: 'lessons', operator: '>=', value: 50 } });
+
+      const rolledBack = await store.rollback('scholar', 1, 'admin');
+      const [latest] = await store.getVersions('scholar');
+
+      expect(rolledBack.version).toBe(3);
+      expect(rolledBack.definition).toEqual(definition);
+      expect(latest).toEqual(expect.objectContaining({ action: 'rollback', rolledBackTo: 1 }));
+      expect(ruleEngine.rules.get('scholar').conditions.value).toBe(10);
+      await expect(store.rollback('scholar', 9)).rejects.toThrow('Rule version not found: scholar@9');
+    });
+
+    it('should keep history after a delete', async (): Promise<void> => {
+      await store.create('scholar', definition);
+      await store.delete('scholar');
+
+      expect(await store.get('scholar')).toBeNull();
+      expect(ruleEngine.rules.has('scholar')).toBe(false);
+      expect((await store.getVersions('scholar'))[0].action).toBe('delete');
+      await expect(store.delete('scholar')).rejects.toThrow('Rule not found: scholar');
+
+      const recreated = await store.create('scholar', definition);
+      expect(recreated.version).toBe(3);
+    });
+  });
+
+  describe('propagation', (): void => {
+    it('should sync changes made by another instance', async (): Promise<void> => {
+      const otherEngine = new RuleEngine({ storage, logger: { enabled: false } });
+      const other = new RuleStore({ storage, ruleEngine: otherEngine, logger: { enabled: false } });
+      await other.load();
+
+      await store.create('scholar', definition);
+      expect(await other.sync()).toBe(true);
+      expect(otherEngine.rules.has('scholar')).toBe(true);
+      expect(await other.sync()).toBe(false);
+
+      await store.delete('scholar');
+      await other.sync();
+      expect(otherEngine.rules.has('scholar')).toBe(false);
+    });
+
+    it('should leave rules added in code alone', async (): Promise<void> => {
+      ruleEngine.addRule('code_rule', definition);
+      await store.create('scholar', definition);
+
+      await store.load();
+
+      expect(ruleEngine.rules.has('code_rule')).toBe(true);
+      expect(ruleEngine.rules.has('scholar')).toBe(true);
+    });
+
+    it('should poll for changes once started', async (): Promise<void> => {
+      jest.useFakeTimers();
+      const syncSpy = jest.spyOn(store, 'sync').mockResolvedValue(false);
+
+      store.start();
+      jest.advanceTimersByTime(10000);
+
+      expect(syncSpy).toHaveBeenCalledTimes(2);
+    });
+  });
+});
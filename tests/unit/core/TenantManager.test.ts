@@ -0,0 +1,190 @@
+import type { GamificationKit } from '../src/core/GamificationKit.js';
+import { jest } from '@jest/globals';
+import { TenantManager, TenantMap, tenantContext } from '../../../src/core/TenantManager.js';
+import { MemoryStorage } from '../../../src/storage/MemoryStorage.js';
+
+describe('TenantManager', (): void => {
+  let storage;
+  let tenants;
+  let scoped;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    await storage.connect();
+    tenants = new TenantManager({ storage, logger: { enabled: false } });
+    scoped = tenants.scopeStorage(storage);
+  });
+
+  describe('validateTenantId', (): void => {
+    it('should accept letters, digits, dashes and underscores', () => {
+      expect(() => tenants.validateTenantId('acme-corp_2')).not.toThrow();
+    });
+
+    it('should reject IDs that could break out of the key namespace', () => {
+      expect(() => tenants.validateTenantId('a:b')).toThrow('Invalid tenantId: a:b');
+      expect(() => tenants.validateTenantId('a*')).toThrow('Invalid tenantId');
+      expect(() => tenants.validateTenantId('x'.repeat(65))).toThrow('Invalid tenantId');
+      expect(() => tenants.validateTenantId('')).toThrow();
+    });
+  });
+
+  describe('scopeStorage', (): void => {
+    it('should prefix keys with the current tenant', async (): Promise<void> => {
+      await tenants.run('acme', () => scoped.set('points:user1', 10));
+      await scoped.set('points:user1', 5);
+
+      expect(await storage.get('tenant:acme:points:user1')).toBe(10);
+      expect(await storage.get('points:user1')).toBe(5);
+      expect(await tenants.run('acme', () => scoped.get('points:user1'))).toBe(10);
+      expect(await tenants.run('globex', () => scoped.get('points:user1'))).toBeNull();
+    });
+
+    it('should prefix sorted sets, hashes and batch operations', async (): Promise<void> => {
+      await tenants.run('acme', async () => {
+        await scoped.zadd('leaderboard', 100, 'user1');
+        await scoped.hset('profile:user1', 'name', 'Ann');
+        await scoped.mset({ a: 1, b: 2 });
+      });
+
+      expect(await storage.zscore('tenant:acme:leaderboard', 'user1')).toBe(100);
+      expect(await storage.hget('tenant:acme:profile:user1', 'name')).toBe('Ann');
+      expect(await tenants.run('acme', () => scoped.mget(['a', 'b']))).toEqual([1, 2]);
+    });
+
+    it('should list keys without the tenant prefix', async (): Promise<void> => {
+      await storage.set('points:user1', 1);
+      await tenants.run('acme', () => scoped.set('points:user2', 2));
+
+      expect(await tenants.run('acme', () => scoped.keys('points:*'))).toEqual(['points:user2']);
+    });
+
+    it('should only list the current tenant\'s keys', async (): Promise<void> => {
+      storage.list = async ({ pattern = '*', prefix } = {}) => storage.keys(prefix ? `${prefix}*` : pattern);
+      await storage.set('points:user1', 1);
+      await tenants.run('globex', () => scoped.set('points:user3', 3));
+      await tenants.run('acme', () => scoped.set('points:user2', 2));
+
+      expect(await tenants.run('acme', () => scoped.list())).toEqual(['points:user2']);
+      expect(await tenants.run('acme', () => scoped.list({ prefix: 'points:' }))).toEqual(['points:user2']);
+    });
+
+    it('should only clear the current tenant', async (): Promise<void> => {
+      await storage.set('points:user1', 1);
+      await tenants.run('acme', async () => {
+        await scoped.set('points:user1', 2);
+        await scoped.clear();
+      });
+
+      expect(await storage.get('points:user1')).toBe(1);
+      expect(await storage.get('tenant:acme:points:user1')).toBeNull();
+    });
+  });
+
+  describe('run', (): void => {
+    it('should register tenants the first time they are used', async (): Promise<void> => {
+      await tenants.run('globex', () => null);
+      await tenants.run('acme', () => null);
+      await tenants.run('acme', () => null);
+
+      expect(await tenants.list()).toEqual(['acme', 'globex']);
+      expect(await tenants.exists('acme')).toBe(true);
+    });
+
+    it('should keep the tenant across awaits', async (): Promise<void> => {
+      const seen = await tenants.run('acme', async () => {
+        await new Promise(resolve => setTimeout(resolve, 1));
+        return tenantContext.currentId();
+      });
+
+      expect(seen).toBe('acme');
+      expect(tenantContext.currentId()).toBeNull();
+    });
+  });
+
+  describe('forEach', (): void => {
+    it('should run for the default namespace and every tenant', async (): Promise<void> => {
+      await tenants.run('acme', () => null);
+      await tenants.run('globex', () => null);
+
+      const seen: Array<string | null> = [];
+      await tenants.forEach(() => {
+        seen.push(tenantContext.currentId());
+      });
+
+      expect(seen).toEqual([null, 'acme', 'globex']);
+    });
+
+    it('should carry on when a tenant fails', async (): Promise<void> => {
+      await tenants.run('acme', () => null);
+      await tenants.run('globex', () => null);
+      const task = jest.fn(async () => {
+        if (tenantContext.currentId() === 'acme') throw new Error('boom');
+      });
+
+      await tenants.forEach(task);
+      expect(task).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('delete', (): void => {
+    it('should remove the tenant and all its keys', async (): Promise<void> => {
+      await storage.set('points:user1', 1);
+      await tenants.run('acme', async () => {
+        await scoped.set('points:user1', 2);
+        await scoped.sadd('badges:user1', 'first');
+      });
+
+      expect(await tenants.delete('acme')).toEqual({ tenantId: 'acme', keysDeleted: 2 });
+      expect(await tenants.list()).toEqual([]);
+      expect(await storage.get('points:user1')).toBe(1);
+    });
+
+    it('should throw for unknown tenants', async (): Promise<void> => {
+      await expect(tenants.delete('initech')).rejects.toThrow('Tenant not found: initech');
+    });
+  });
+});
+
+describe('TenantMap', (): void => {
+  let tenants;
+
+  beforeEach(() => {
+    tenants = new TenantManager({ storage: new MemoryStorage(), logger: { enabled: false } });
+  });
+
+  it('should let tenants see shared entries and keep their own private', async (): Promise<void> => {
+    const badges = new TenantMap<string, string>();
+    badges.set('first', 'shared');
+
+    await tenants.run('acme', () => {
+      badges.set('acme-only', 'acme');
+      badges.set('first', 'acme version');
+    });
+
+    expect(await tenants.run('acme', () => [...badges.entries()])).toEqual([
+      ['first', 'acme version'],
+      ['acme-only', 'acme']
+    ]);
+    expect(await tenants.run('globex', () => badges.get('first'))).toBe('shared');
+    expect(await tenants.run('globex', () => badges.has('acme-only'))).toBe(false);
+    expect(badges.size).toBe(1);
+  });
+
+  it('should not inherit shared entries when asked not to', async (): Promise<void> => {
+    const cache = new TenantMap<string, number>({ inherit: false });
+    cache.set('top', 1);
+
+    expect(await tenants.run('acme', () => cache.get('top'))).toBeUndefined();
+    expect(await tenants.run('acme', () => cache.size)).toBe(0);
+  });
+
+  it('should only delete entries of the current tenant', async (): Promise<void> => {
+    const rewards = new TenantMap<string, string>();
+    rewards.set('mug', 'shared');
+
+    await tenants.run('acme', () => rewards.delete('mug'));
+    expect(rewards.get('mug')).toBe('shared');
+
+    expect(await tenants.run('acme', () => rewards.local().size)).toBe(0);
+  });
+});
@@ -1,6 +1,8 @@
 import type { GamificationKit } from '../src/core/GamificationKit.js';
 import { jest } from '@jest/globals';
 import { WebhookManager } from '../../../src/core/WebhookManager.js';
+import { MemoryStorage } from '../../../src/storage/MemoryStorage.js';
+import { MetricsCollector } from '../../../src/core/MetricsCollector.js';
 
 describe('WebhookManager', (): void => {
   let webhookManager;
@@ -557,4 +559,231 @@ describe('WebhookManager', (): void => {
       );
     });
   });
+
+  describe('durable outbox', (): void => {
+    let storage;
+    let manager;
+    let webhook;
+    const event = { eventName: 'user.created', data: { userId: 'user1' }, id: 'evt_1', timestamp: Date.now() };
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    const createManager = (options = {}) => {
+      const instance = new WebhookManager({
+        storage,
+        retries: 1,
+        retryDelay: 1,
+        logger: { enabled: false },
+        ...options
+      });
+      webhook = instance.addWebhook({ id: 'crm', url: 'https://crm.example.com/hook', events: ['user.*'] });
+      return instance;
+    };
+
+    beforeEach(async () => {
+      storage = new MemoryStorage();
+      await storage.connect();
+      manager = createManager();
+    });
+
+    afterEach(async () => {
+      await manager.stop();
+      await storage.disconnect();
+    });
+
+    it('should keep queued calls in storage across restarts', async (): Promise<void> => {
+      await manager.enqueue(webhook, event);
+      await manager.stop();
+
+      global.fetch.mockResolvedValue({ ok: true, status: 200 });
+      manager = createManager();
+      await manager.processQueue();
+
+      expect(global.fetch).toHaveBeenCalledWith('https://crm.example.com/hook', expect.any(Object));
+      expect(await manager.getQueueSize()).toBe(0);
+    });
+
+    it('should move calls that run out of retries to the dead-letter store', async (): Promise<void> => {
+      global.fetch.mockResolvedValue({ ok: false, status: 500, statusText: 'Internal Server Error' });
+      await manager.enqueue(webhook, event);
+
+      await manager.processQueue();
+      expect(await manager.getQueueSize()).toBe(1);
+
+      await wait(5);
+      await manager.processQueue();
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(await manager.getQueueSize()).toBe(0);
+      expect(await manager.getDeadLetters()).toEqual([
+        expect.objectContaining({
+          webhookId: 'crm',
+          attempts: 2,
+          lastError: 'HTTP 500: Internal Server Error',
+          event
+        })
+      ]);
+    });
+
+    describe('when the queue is full', (): void => {
+      let processSpy;
+
+      beforeEach(async () => {
+        manager = createManager({ maxQueueSize: 1 });
+        processSpy = jest.spyOn(manager, 'processQueue').mockResolvedValue();
+        await manager.enqueue(webhook, event);
+      });
+
+      it('should dead-letter new calls instead of dropping queued ones', async (): Promise<void> => {
+        await manager.queueWebhookCalls([webhook], { ...event, id: 'evt_2' });
+
+        expect(await manager.getQueueSize()).toBe(1);
+        expect(await manager.getDeadLetters()).toEqual([
+          expect.objectContaining({ lastError: 'Webhook queue full', event: expect.objectContaining({ id: 'evt_2' }) })
+        ]);
+      });
+
+      it('should replay and purge dead letters', async (): Promise<void> => {
+        await manager.queueWebhookCalls([webhook], { ...event, id: 'evt_2' });
+        await manager.queueWebhookCalls([webhook], { ...event, id: 'evt_3' });
+        const [deadLetter] = await manager.getDeadLetters();
+
+        const item = await manager.replayDeadLetter(deadLetter.id);
+
+        expect(item.attempts).toBe(0);
+        expect(await manager.getDeadLetter(deadLetter.id)).toBeNull();
+        expect(await manager.getQueueSize()).toBe(2);
+
+        processSpy.mockRestore();
+        global.fetch.mockResolvedValue({ ok: true, status: 200 });
+        await manager.processQueue();
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+
+        expect(await manager.purgeDeadLetters({ webhookId: 'crm' })).toBe(1);
+        expect(await manager.getDeadLetters()).toEqual([]);
+        await expect(manager.replayDeadLetter(deadLetter.id)).rejects.toThrow(`Dead letter not found: ${deadLetter.id}`);
+      });
+
+      it('should purge only the dead letters about a user', async (): Promise<void> => {
+        await manager.queueWebhookCalls([webhook], { ...event, id: 'evt_2' });
+        await manager.queueWebhookCalls([webhook], { ...event, id: 'evt_3', data: { userId: 'user2' } });
+        await manager.queueWebhookCalls([webhook], { ...event, id: 'evt_4', data: { userIds: ['user1', 'user3'] } });
+
+        expect(await manager.purgeDeadLetters({ userId: 'user1' })).toBe(2);
+        expect(await manager.getDeadLetters()).toEqual([
+          expect.objectContaining({ event: expect.objectContaining({ id: 'evt_3' }) })
+        ]);
+      });
+    });
+
+    it('should record every attempt in the delivery log', async (): Promise<void> => {
+      global.fetch
+        .mockRejectedValueOnce(new Error('ECONNRESET'))
+        .mockResolvedValueOnce({ ok: true, status: 204 });
+      await manager.enqueue(webhook, event);
+
+      await manager.processQueue();
+      await wait(5);
+      await manager.processQueue();
+
+      expect(await manager.getDeliveryLog('crm')).toEqual([
+        expect.objectContaining({ status: 'delivered', statusCode: 204, attempt: 2, error: null, latency: expect.any(Number) }),
+        expect.objectContaining({ status: 'failed', statusCode: null, attempt: 1, error: 'ECONNRESET' })
+      ]);
+    });
+
+    it('should report deliveries and queue state to the metrics collector', async (): Promise<void> => {
+      const metricsCollector = new MetricsCollector({ logger: { enabled: false } });
+      const deliverySpy = jest.spyOn(metricsCollector, 'recordWebhookDelivery');
+      manager = createManager({ metricsCollector });
+      global.fetch.mockResolvedValue({ ok: true, status: 200 });
+
+      await manager.enqueue(webhook, event);
+      await manager.processQueue();
+      await manager.enqueue(webhook, { ...event, id: 'evt_2' });
+
+      expect(deliverySpy).toHaveBeenCalledWith('crm', 'delivered', expect.any(Number));
+      expect(await manager.getMetricFamilies()).toEqual(expect.arrayContaining([
+        expect.objectContaining({ name: 'gamification_webhook_queue_size', samples: [{ value: 1 }] }),
+        expect.objectContaining({
+          name: 'gamification_webhook_enabled',
+          samples: [{ labels: { webhook: 'crm' }, value: 1 }]
+        })
+      ]));
+    });
+
+    it('should disable endpoints that keep failing', async (): Promise<void> => {
+      manager = createManager({ maxConsecutiveFailures: 2 });
+      webhook = manager.addWebhook({ id: 'crm', url: 'https://crm.example.com/hook', events: ['user.*'], retries: 0 });
+      global.fetch.mockRejectedValue(new Error('ECONNREFUSED'));
+
+      await manager.enqueue(webhook, event);
+      await manager.enqueue(webhook, { ...event, id: 'evt_2' });
+      await manager.enqueue(webhook, { ...event, id: 'evt_3' });
+      await manager.processQueue();
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(manager.getWebhooksForEvent('user.created')).toEqual([]);
+      expect((await manager.getWebhookStats()).webhooks.crm).toEqual(expect.objectContaining({
+        enabled: false,
+        consecutiveFailures: 2
+      }));
+      expect((await manager.getDeadLetters()).map(deadLetter => deadLetter.lastError).sort()).toEqual([
+        'ECONNREFUSED',
+        'ECONNREFUSED',
+        'Webhook is disabled'
+      ]);
+
+      await manager.enableWebhook('crm');
+      expect(manager.getWebhooksForEvent('user.created')).toHaveLength(1);
+    });
+
+    it('should skip items another instance is delivering', async (): Promise<void> => {
+      const item = await manager.enqueue(webhook, event);
+      await storage.setnx(`webhooks:lock:${item.id}`, 'other-instance', 30);
+
+      await manager.processQueue();
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(await manager.getQueueSize()).toBe(1);
+    });
+
+    it('should not fetch a batch another instance holds again', async (): Promise<void> => {
+      manager = createManager({ batchSize: 1 });
+      const item = await manager.enqueue(webhook, event);
+      await storage.setnx(`webhooks:lock:${item.id}`, 'other-instance', 30);
+      const zrangeSpy = jest.spyOn(storage, 'zrange');
+
+      await manager.processQueue();
+
+      expect(zrangeSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should skip items delivered between the read and the lock', async (): Promise<void> => {
+      const item = await manager.enqueue(webhook, event);
+      const setnx = storage.setnx.bind(storage);
+      jest.spyOn(storage, 'setnx').mockImplementationOnce(async (...args) => {
+        // Another instance finishes the delivery just before this one takes the lock
+        await storage.hdel('webhooks:outbox', item.id);
+        return setnx(...args);
+      });
+
+      await manager.processQueue();
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(await storage.get(`webhooks:lock:${item.id}`)).toBeNull();
+    });
+
+    it('should leave a lock taken over by another instance in place', async (): Promise<void> => {
+      global.fetch.mockImplementation(async () => {
+        // The lease ran out mid-delivery and another instance took the item
+        await storage.set(`webhooks:lock:${item.id}`, 'other-instance');
+        return { ok: true, status: 200 };
+      });
+      const item = await manager.enqueue(webhook, event);
+
+      await manager.processQueue();
+
+      expect(await storage.get(`webhooks:lock:${item.id}`)).toBe('other-instance');
+    });
+  });
 });
\ No newline at end of file
@@ -1,5 +1,7 @@
 import type { GamificationKit } from '../src/core/GamificationKit.js';
 import { AchievementModule } from '../../../src/modules/AchievementModule.js';
+import { BadgeModule } from '../../../src/modules/BadgeModule.js';
+import { LevelModule } from '../../../src/modules/LevelModule.js';
 import { EventManager } from '../../../src/core/EventManager.js';
 import { MemoryStorage } from '../../../src/storage/MemoryStorage.js';
 import { Logger } from '../../../src/utils/logger.js';
@@ -474,6 +476,31 @@ describe('AchievementModule', (): void => {
       expect(progress.progress).toBe(1);
     });
 
+    it('should only count events that meet the tracking conditions', async (): Promise<void> => {
+      achievementModule.addAchievement({
+        id: 'marathoner',
+        name: 'Marathoner',
+        tiers: { bronze: { requirement: 10 } },
+        trackingEvent: 'run.finished',
+        trackingConditions: {
+          any: [
+            { field: 'distance', operator: '>=', value: 42 },
+            { field: 'tags', operator: 'contains', value: 'marathon' }
+          ]
+        }
+      });
+
+      await achievementModule.checkAchievementProgress({ eventName: 'run.finished', data: { userId: 'user123', distance: 5 } });
+      await achievementModule.checkAchievementProgress({ eventName: 'run.finished', data: { userId: 'user123', distance: 43 } });
+      await achievementModule.checkAchievementProgress({
+        eventName: 'run.finished',
+        data: { userId: 'user123', distance: 21, tags: ['marathon', 'relay'] }
+      });
+
+      const progress = await achievementModule.getUserProgress('user123', 'marathoner');
+      expect(progress.progress).toBe(2);
+    });
+
     it('should ignore events without userId', async (): Promise<void> => {
       achievementModule.addAchievement({
         id: 'test',
@@ -494,6 +521,70 @@ describe('AchievementModule', (): void => {
     });
   });
 
+  describe('criteria tiers', (): void => {
+    let levelModule;
+    let badgeModule;
+
+    beforeEach(async () => {
+      levelModule = new LevelModule({ xpFormula: 'linear' });
+      badgeModule = new BadgeModule();
+      const modules = new Map<string, any>([
+        ['achievements', achievementModule],
+        ['levels', levelModule],
+        ['badges', badgeModule]
+      ]);
+
+      for (const module of modules.values()) {
+        module.setContext({ storage, eventManager, logger, config: {}, modules });
+      }
+      await levelModule.initialize();
+      await badgeModule.initialize();
+
+      badgeModule.addBadge({ id: 'founder', name: 'Founder' });
+      achievementModule.addAchievement({
+        id: 'veteran',
+        name: 'Veteran',
+        tiers: {
+          bronze: { criteria: [{ type: 'level', level: 3 }] },
+          silver: { criteria: [{ type: 'level', level: 5 }, { type: 'badges', badges: ['founder'] }] }
+        }
+      });
+    });
+
+    it('should unlock tiers when the modules they depend on report changes', async (): Promise<void> => {
+      const unlockedTiers = async () => (await achievementModule.getUserAchievements('user123')).map(unlock => unlock.tier);
+
+      await levelModule.setLevel('user123', 5);
+      expect(await unlockedTiers()).toEqual(['bronze']);
+
+      await badgeModule.award('user123', 'founder');
+      expect(await unlockedTiers()).toEqual(['bronze', 'silver']);
+    });
+
+    it('should hold back later tiers until earlier ones are reached', async (): Promise<void> => {
+      await badgeModule.award('user123', 'founder');
+      await levelModule.setLevel('user123', 2);
+
+      expect(await achievementModule.getUserAchievements('user123')).toEqual([]);
+    });
+
+    it('should report progress toward each criterion', async (): Promise<void> => {
+      await levelModule.setLevel('user123', 4);
+
+      const progress = await achievementModule.getUserProgress('user123', 'veteran');
+
+      expect(progress.tiers.bronze).toMatchObject({ unlocked: true, percentage: 100 });
+      expect(progress.tiers.silver).toEqual({
+        unlocked: false,
+        criteria: [
+          expect.objectContaining({ type: 'level', current: 4, target: 5 }),
+          expect.objectContaining({ type: 'badges', current: 0, target: 1, missing: ['founder'] })
+        ],
+        percentage: 40
+      });
+    });
+  });
+
   describe('getTopScorers', (): void => {
     it('should return top scorers with details', async (): Promise<void> => {
       // Create achievements
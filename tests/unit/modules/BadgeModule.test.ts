@@ -1,8 +1,10 @@
 import type { GamificationKit } from '../src/core/GamificationKit.js';
 import { jest } from '@jest/globals';
 import { BadgeModule } from '../../../src/modules/BadgeModule.js';
+import { LevelModule } from '../../../src/modules/LevelModule.js';
 import { MemoryStorage } from '../../../src/storage/MemoryStorage.js';
 import { EventManager } from '../../../src/core/EventManager.js';
+import { RuleEngine } from '../../../src/core/RuleEngine.js';
 import { Logger } from '../../../src/utils/logger.js';
 
 describe('BadgeModule', (): void => {
@@ -97,6 +99,7 @@ describe('BadgeModule', (): void => {
         priority: 0,
         maxAwards: 1,
         expiresIn: null,
+        campaignId: null,
         createdAt: expect.any(Number)
       });
 
@@ -140,7 +143,12 @@ describe('BadgeModule', (): void => {
       };
 
       const result = badgeModule.addBadge(badge);
-      expect(result.conditions).toEqual(badge.conditions);
+      expect(result.conditions).toEqual({
+        triggers: [{
+          event: 'points.milestone',
+          conditions: { all: [{ field: 'milestone', operator: '>=', value: 1000 }] }
+        }]
+      });
     });
 
     it('should support progress-based badges', () => {
@@ -279,6 +287,37 @@ describe('BadgeModule', (): void => {
       expect(result.success).toBe(true);
       expect(result.award.expiresAt).toBe(result.award.awardedAt + 3600000);
     });
+
+    it('should never exceed maxAwards under concurrent awards', async (): Promise<void> => {
+      badgeModule.addBadge({
+        id: 'multi-badge',
+        name: 'Multi Badge',
+        maxAwards: 3
+      });
+
+      const results = await Promise.all(Array.from({ length: 10 }, () => badgeModule.award('user123', 'multi-badge')));
+      const singles = await Promise.all(Array.from({ length: 5 }, () => badgeModule.award('user123', 'test-badge')));
+
+      expect(results.filter(r => r.success)).toHaveLength(3);
+      expect(singles.filter(r => r.success)).toHaveLength(1);
+      expect(await badgeModule.getUserBadges('user123')).toHaveLength(4);
+
+      const stats = await badgeModule.getBadgeStats();
+      expect(stats['multi-badge'].awardCount).toBe(3);
+      expect(stats['test-badge'].awardCount).toBe(1);
+    });
+
+    it('should leave no trace of an award that fails midway', async (): Promise<void> => {
+      const hincrby = storage.hincrby;
+      storage.hincrby = jest.fn().mockRejectedValue(new Error('Storage error'));
+
+      await expect(badgeModule.award('user123', 'test-badge')).rejects.toThrow('Storage error');
+
+      storage.hincrby = hincrby;
+      expect(await badgeModule.hasBadge('user123', 'test-badge')).toBe(false);
+      expect(await badgeModule.getUserBadges('user123')).toHaveLength(0);
+      expect((await badgeModule.award('user123', 'test-badge')).success).toBe(true);
+    });
   });
 
   describe('revoke', (): void => {
@@ -697,6 +736,163 @@ describe('BadgeModule', (): void => {
     });
   });
 
+  describe('condition trees', (): void => {
+    it('should award on triggers with RuleEngine condition trees', async (): Promise<void> => {
+      badgeModule.addBadge({
+        id: 'night-owl',
+        name: 'Night Owl',
+        conditions: {
+          triggers: [{
+            event: 'session.*',
+            conditions: {
+              all: [
+                { field: 'hour', operator: 'between', value: [0, 4] },
+                { not: { field: 'platform', operator: 'in', value: ['bot', 'test'] } }
+              ]
+            }
+          }]
+        }
+      });
+
+      await eventManager.emitAsync('session.started', { userId: 'user123', hour: 2, platform: 'test' });
+      expect(await badgeModule.hasBadge('user123', 'night-owl')).toBe(false);
+
+      await eventManager.emitAsync('session.started', { userId: 'user123', hour: 2, platform: 'web' });
+      expect(await badgeModule.hasBadge('user123', 'night-owl')).toBe(true);
+    });
+
+    it('should evaluate custom functions registered on the kit rule engine', async (): Promise<void> => {
+      const ruleEngine = new RuleEngine();
+      ruleEngine.addFunction('wordCount', (text) => String(text).split(/\s+/).length);
+      badgeModule.setContext({ storage, eventManager, logger, ruleEngine, config: {} });
+
+      badgeModule.addBadge({
+        id: 'essayist',
+        name: 'Essayist',
+        conditions: {
+          triggers: [{
+            event: 'post.created',
+            conditions: { field: 'body', function: 'wordCount', operator: '>=', value: 5 }
+          }]
+        }
+      });
+
+      await eventManager.emitAsync('post.created', { userId: 'user123', body: 'too short' });
+      expect(await badgeModule.hasBadge('user123', 'essayist')).toBe(false);
+
+      await eventManager.emitAsync('post.created', { userId: 'user123', body: 'this one is long enough' });
+      expect(await badgeModule.hasBadge('user123', 'essayist')).toBe(true);
+    });
+
+    it('should only count progress events that meet their conditions', async (): Promise<void> => {
+      badgeModule.addBadge({
+        id: 'reviewer',
+        name: 'Reviewer',
+        conditions: {
+          events: ['review.submitted'],
+          progress: {
+            reviews: {
+              target: 2,
+              event: 'review.submitted',
+              conditions: { words: { min: 50 } }
+            }
+          }
+        }
+      });
+      badgeModule.setupProgressTracker(badgeModule.badges.get('reviewer'));
+
+      await eventManager.emitAsync('review.submitted', { userId: 'user123', words: 10 });
+      await eventManager.emitAsync('review.submitted', { userId: 'user123', words: 80 });
+
+      const progress = await badgeModule.getProgress('user123', 'reviewer');
+      expect(progress.requirements.reviews.current).toBe(1);
+    });
+
+    it('should reject aggregate conditions', () => {
+      expect(() => badgeModule.addBadge({
+        id: 'regular',
+        name: 'Regular',
+        conditions: {
+          triggers: [{
+            event: 'user.login',
+            conditions: {
+              aggregate: { type: 'count', event: 'user.login', window: { unit: 'week' } },
+              operator: '>=',
+              value: 5
+            }
+          }]
+        }
+      })).toThrow('badge trigger conditions cannot use aggregates');
+    });
+  });
+
+  describe('composite criteria', (): void => {
+    let levelModule;
+
+    beforeEach(async () => {
+      levelModule = new LevelModule({ xpFormula: 'linear' });
+      const modules = new Map<string, any>([['badges', badgeModule], ['levels', levelModule]]);
+
+      for (const module of modules.values()) {
+        module.setContext({ storage, eventManager, logger, config: {}, modules });
+      }
+      await levelModule.initialize();
+
+      badgeModule.addBadge({ id: 'a', name: 'A' });
+      badgeModule.addBadge({ id: 'b', name: 'B' });
+      badgeModule.addBadge({
+        id: 'collector',
+        name: 'Collector',
+        conditions: {
+          criteria: [
+            { type: 'badges', badges: ['a', 'b'] },
+            { type: 'level', level: 5 }
+          ]
+        }
+      });
+    });
+
+    it('should reject invalid criteria', () => {
+      expect(() => badgeModule.addBadge({
+        id: 'broken',
+        name: 'Broken',
+        conditions: { criteria: [{ type: 'level', level: 0 }] }
+      })).toThrow('badge criteria level must be a positive number');
+    });
+
+    it('should report progress toward each criterion', async (): Promise<void> => {
+      await badgeModule.award('user123', 'a');
+
+      const progress = await badgeModule.getProgress('user123', 'collector');
+
+      expect(progress.completed).toBe(false);
+      expect(progress.criteria).toEqual([
+        expect.objectContaining({ type: 'badges', current: 1, target: 2, missing: ['b'] }),
+        expect.objectContaining({ type: 'level', current: 1, target: 5, completed: false })
+      ]);
+    });
+
+    it('should award the badge once every criterion is met', async (): Promise<void> => {
+      await badgeModule.award('user123', 'a');
+      await badgeModule.award('user123', 'b');
+      expect(await badgeModule.hasBadge('user123', 'collector')).toBe(false);
+
+      await levelModule.setLevel('user123', 5);
+
+      expect(await badgeModule.hasBadge('user123', 'collector')).toBe(true);
+      const [badge] = (await badgeModule.getUserBadges('user123')).filter(entry => entry.badgeId === 'collector');
+      expect(badge.metadata).toEqual({ trigger: 'criteria', event: expect.stringMatching(/^levels\./) });
+    });
+
+    it('should ignore events from modules the criteria do not use', async (): Promise<void> => {
+      const spy = jest.spyOn(badgeModule, 'getProgress');
+
+      await eventManager.emitAsync('points.awarded', { userId: 'user123', points: 10 });
+
+      expect(spy).not.toHaveBeenCalled();
+    });
+  });
+
   describe('getBadgeStats', (): void => {
     beforeEach(async () => {
       badgeModule.addBadge({ id: 'b1', name: 'Badge 1', category: 'social', rarity: 'common' });
@@ -111,6 +111,7 @@ describe('LeaderboardModule', (): void => {
         leaderboardId: 'global',
         userId: 'user123',
         score: 100,
+        previousScore: null,
         timestamp: expect.any(Number)
       });
     });
@@ -392,6 +393,365 @@ describe('LeaderboardModule', (): void => {
     });
   });
 
+  describe('relative views', (): void => {
+    beforeEach(async () => {
+      for (let i = 1; i <= 10; i++) {
+        await leaderboardModule.updateScore('global', `user${i}`, i * 10);
+      }
+    });
+
+    it('should return the users around a user with their percentile', async (): Promise<void> => {
+      const around = await leaderboardModule.getAroundUser('global', 'user5', { count: 2 });
+
+      expect(around).toMatchObject({ rank: 6, score: 50, totalCount: 10, topPercent: 60 });
+      expect(around.entries.map(entry => [entry.rank, entry.userId])).toEqual([
+        [4, 'user7'], [5, 'user6'], [6, 'user5'], [7, 'user4'], [8, 'user3']
+      ]);
+    });
+
+    it('should clip the window at the top of the board', async (): Promise<void> => {
+      const around = await leaderboardModule.getAroundUser('global', 'user10', { count: 2 });
+
+      expect(around.topPercent).toBe(10);
+      expect(around.entries.map(entry => entry.userId)).toEqual(['user10', 'user9', 'user8']);
+      expect(await leaderboardModule.getAroundUser('global', 'nobody')).toBeNull();
+    });
+
+    it('should read every result format the adapters return', () => {
+      expect(leaderboardModule.toEntries([{ value: 'user1', score: 5 }])).toEqual([{ userId: 'user1', score: 5 }]);
+      expect(leaderboardModule.toEntries([{ member: 'user1', score: '5' }])).toEqual([{ userId: 'user1', score: 5 }]);
+      expect(leaderboardModule.toEntries(['user1', '5', 'user2', '3'])).toEqual([
+        { userId: 'user1', score: 5 },
+        { userId: 'user2', score: 3 }
+      ]);
+    });
+
+    describe('ties', (): void => {
+      beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2024-03-01T12:00:00Z') });
+      });
+
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      it('should rank whoever reached the score first higher', async (): Promise<void> => {
+        await leaderboardModule.updateScore('race', 'alice', 50);
+        await leaderboardModule.updateScore('race', 'bob', 100);
+        jest.advanceTimersByTime(1000);
+        await leaderboardModule.updateScore('race', 'alice', 50, true);
+
+        const board = await leaderboardModule.getLeaderboard('race');
+        expect(board.entries.map(entry => entry.userId)).toEqual(['bob', 'alice']);
+        expect((await leaderboardModule.getUserPosition('race', 'alice')).rank).toBe(2);
+      });
+
+      it('should keep the reached time when a score is set to the same value', async (): Promise<void> => {
+        await leaderboardModule.updateScore('race', 'alice', 100);
+        jest.advanceTimersByTime(1000);
+        await leaderboardModule.updateScore('race', 'bob', 100);
+        jest.advanceTimersByTime(1000);
+        await leaderboardModule.updateScore('race', 'alice', 100);
+
+        expect((await leaderboardModule.getUserPosition('race', 'alice')).rank).toBe(1);
+      });
+
+      it('should order ties that span pages', async (): Promise<void> => {
+        for (const userId of ['bob', 'alice', 'carol']) {
+          await leaderboardModule.updateScore('race', userId, 10);
+        }
+        for (const userId of ['carol', 'alice', 'bob']) {
+          jest.advanceTimersByTime(1000);
+          await leaderboardModule.updateScore('race', userId, 100);
+        }
+
+        const page1 = await leaderboardModule.getLeaderboard('race', { limit: 2, page: 1 });
+        const page2 = await leaderboardModule.getLeaderboard('race', { limit: 2, page: 2 });
+
+        expect([...page1.entries, ...page2.entries].map(entry => [entry.rank, entry.userId])).toEqual([
+          [1, 'carol'], [2, 'alice'], [3, 'bob']
+        ]);
+      });
+    });
+
+    describe('friends', (): void => {
+      it('should rank a user among their friends', async (): Promise<void> => {
+        await leaderboardModule.addFriend('user5', 'user2');
+        await leaderboardModule.addFriend('user5', 'user9');
+
+        const board = await leaderboardModule.getFriendsLeaderboard('global', 'user5');
+
+        expect(board.entries.map(entry => [entry.rank, entry.userId, entry.score])).toEqual([
+          [1, 'user9', 90], [2, 'user5', 50], [3, 'user2', 20]
+        ]);
+        expect(board.userPosition).toEqual({ rank: 2, userId: 'user5', score: 50 });
+        expect(await leaderboardModule.getFriends('user2')).toEqual(['user5']);
+      });
+
+      it('should only follow one way when not mutual', async (): Promise<void> => {
+        await leaderboardModule.addFriend('user1', 'user10', { mutual: false });
+
+        expect(await leaderboardModule.getFriends('user1')).toEqual(['user10']);
+        expect(await leaderboardModule.getFriends('user10')).toEqual([]);
+        expect((await leaderboardModule.addFriend('user1', 'user1')).reason).toBe('same_user');
+      });
+
+      it('should remove friends', async (): Promise<void> => {
+        await leaderboardModule.addFriend('user1', 'user2');
+
+        expect(await leaderboardModule.removeFriend('user1', 'user2')).toEqual({ success: true });
+        expect(await leaderboardModule.getFriends('user2')).toEqual([]);
+        expect(await leaderboardModule.removeFriend('user1', 'user2')).toEqual({ success: false });
+      });
+
+      it('should drop a reset user from friend lists', async (): Promise<void> => {
+        await leaderboardModule.addFriend('user1', 'user2');
+        await leaderboardModule.addFriend('user3', 'user1', { mutual: false });
+
+        await leaderboardModule.resetUser('user1');
+
+        expect(await leaderboardModule.getFriends('user2')).toEqual([]);
+        expect(await leaderboardModule.getFriends('user3')).toEqual([]);
+      });
+    });
+  });
+
+  describe('seasons', (): void => {
+    let badges;
+    let pointAwards;
+
+    const createModule = async () => {
+      const module = new LeaderboardModule();
+      module.setContext({
+        storage,
+        eventManager,
+        logger,
+        config: {},
+        modules: new Map([['badges', badges]])
+      });
+      await module.initialize();
+      return module;
+    };
+
+    const createArena = (module, season = {}) => module.createLeaderboard({
+      id: 'arena',
+      name: 'Arena',
+      season: {
+        start: Date.now() - 1000,
+        duration: 60000,
+        rewards: [
+          { top: 1, points: 500, badge: 'champion' },
+          { top: 3, points: 100 },
+          { topPercent: 50, xp: 20 }
+        ],
+        ...season
+      }
+    });
+
+    beforeEach(async () => {
+      badges = { award: jest.fn().mockResolvedValue({ success: true }) };
+      pointAwards = [];
+      eventManager.on('points.award', (event) => {
+        pointAwards.push(event.data);
+      });
+
+      leaderboardModule = await createModule();
+      await createArena(leaderboardModule);
+
+      for (let i = 1; i <= 10; i++) {
+        await leaderboardModule.updateScore('arena', `user${i}`, i * 10);
+      }
+    });
+
+    afterEach(async () => {
+      await leaderboardModule.shutdown();
+    });
+
+    it('should report the season and its countdown', async (): Promise<void> => {
+      const season = await leaderboardModule.getSeason('arena');
+
+      expect(season.season).toBe(1);
+      expect(season.started).toBe(true);
+      expect(season.endsIn).toBeGreaterThan(0);
+      expect(season.endsIn).toBeLessThanOrEqual(59000);
+      expect(await leaderboardModule.getSeason('global')).toBeNull();
+    });
+
+    it('should grant the first reward tier each placement falls into', async (): Promise<void> => {
+      const result = await leaderboardModule.closeSeason('arena');
+
+      expect(result).toMatchObject({ success: true, season: 1, participants: 10, rewarded: 5 });
+      expect(pointAwards).toEqual([
+        { userId: 'user10', points: 500, reason: 'season_reward' },
+        { userId: 'user9', points: 100, reason: 'season_reward' },
+        { userId: 'user8', points: 100, reason: 'season_reward' }
+      ]);
+      expect(badges.award).toHaveBeenCalledTimes(1);
+      expect(badges.award).toHaveBeenCalledWith('user10', 'champion', {
+        source: 'season_reward',
+        leaderboardId: 'arena',
+        season: 1
+      });
+    });
+
+    it('should archive the season, reset the board and start the next one', async (): Promise<void> => {
+      const emitSpy = jest.spyOn(leaderboardModule, 'emitEvent');
+
+      await leaderboardModule.closeSeason('arena');
+
+      const [archive] = await leaderboardModule.getArchives('arena');
+      expect(archive.season).toBe(1);
+      expect(archive.entries).toHaveLength(10);
+      expect(archive.entries[0]).toEqual({ rank: 1, userId: 'user10', score: 100 });
+
+      const board = await leaderboardModule.getLeaderboard('arena');
+      expect(board.entries).toEqual([]);
+      expect((await leaderboardModule.getSeason('arena')).season).toBe(2);
+      expect(emitSpy).toHaveBeenCalledWith('season.closed', expect.objectContaining({
+        leaderboardId: 'arena',
+        season: 1,
+        nextSeason: 2
+      }));
+    });
+
+    it('should number archives taken during a season', async (): Promise<void> => {
+      await leaderboardModule.closeSeason('arena');
+      await leaderboardModule.updateScore('arena', 'user1', 10);
+
+      await leaderboardModule.archiveLeaderboard('arena');
+
+      const [latest] = await leaderboardModule.getArchives('arena');
+      expect(latest.season).toBe(2);
+    });
+
+    it('should record past placements for each user', async (): Promise<void> => {
+      await leaderboardModule.closeSeason('arena');
+      await leaderboardModule.updateScore('arena', 'user1', 999);
+      await leaderboardModule.closeSeason('arena');
+
+      const history = await leaderboardModule.getUserSeasonHistory('user1');
+
+      expect(history.map(placement => [placement.season, placement.rank])).toEqual([[2, 1], [1, 10]]);
+      expect(history[0].reward).toEqual({ top: 1, points: 500, badge: 'champion' });
+      expect(history[1]).toMatchObject({ leaderboardId: 'arena', participants: 10, reward: null });
+    });
+
+    it('should keep only the latest placements and archives', async (): Promise<void> => {
+      leaderboardModule.config.seasonHistoryLimit = 2;
+      leaderboardModule.config.archiveLimit = 2;
+
+      for (let season = 1; season <= 3; season++) {
+        await leaderboardModule.updateScore('arena', 'user1', season);
+        await leaderboardModule.closeSeason('arena');
+      }
+
+      const history = await leaderboardModule.getUserSeasonHistory('user1');
+      expect(history.map(placement => placement.season)).toEqual([3, 2]);
+
+      const archives = await leaderboardModule.getArchives('arena');
+      expect(archives.map(archive => archive.season)).toEqual([3, 2]);
+      expect(await storage.exists('leaderboards:archive:arena:season:1')).toBe(false);
+    });
+
+    it('should close a season only once across instances', async (): Promise<void> => {
+      const other = await createModule();
+
+      const results = await Promise.all([
+        leaderboardModule.closeSeason('arena'),
+        other.closeSeason('arena')
+      ]);
+      await other.shutdown();
+
+      expect(results.filter(result => result.success)).toHaveLength(1);
+      expect(pointAwards).toHaveLength(3);
+      expect((await leaderboardModule.getSeason('arena')).season).toBe(2);
+    });
+
+    it('should not pay anyone twice when a close is resumed', async (): Promise<void> => {
+      const transaction = storage.transaction.bind(storage);
+      jest.spyOn(storage, 'transaction')
+        .mockImplementationOnce(transaction)
+        .mockRejectedValueOnce(new Error('Connection lost'));
+
+      await expect(leaderboardModule.closeSeason('arena')).rejects.toThrow('Connection lost');
+      const result = await leaderboardModule.closeSeason('arena');
+
+      expect(result).toMatchObject({ success: true, season: 1 });
+      expect(pointAwards).toHaveLength(3);
+      expect(await leaderboardModule.getUserSeasonHistory('user10')).toHaveLength(1);
+    });
+
+    it('should count scores sent while a season closes towards the next one', async (): Promise<void> => {
+      badges.award.mockImplementation(async () => {
+        await leaderboardModule.updateScore('arena', 'user3', 5);
+        return { success: true };
+      });
+
+      await leaderboardModule.closeSeason('arena');
+
+      const [archive] = await leaderboardModule.getArchives('arena');
+      expect(archive.entries).toHaveLength(10);
+      expect(archive.entries.find(entry => entry.userId === 'user3').score).toBe(30);
+      expect((await leaderboardModule.getLeaderboard('arena')).entries).toEqual([
+        expect.objectContaining({ rank: 1, userId: 'user3', score: 5 })
+      ]);
+    });
+
+    it('should leave the season lock alone once another instance holds it', async (): Promise<void> => {
+      const lockKey = leaderboardModule.getStorageKey('season:arena:1:lock');
+      badges.award.mockImplementation(async () => {
+        await storage.set(lockKey, 'other-instance');
+        return { success: true };
+      });
+
+      await leaderboardModule.closeSeason('arena');
+
+      expect(await storage.get(lockKey)).toBe('other-instance');
+    });
+
+    it('should drop a reset user from season archives', async (): Promise<void> => {
+      await leaderboardModule.closeSeason('arena');
+
+      await leaderboardModule.resetUser('user10');
+
+      const [archive] = await leaderboardModule.getArchives('arena');
+      expect(archive.entries).toHaveLength(9);
+      expect(archive.entries[0]).toEqual({ rank: 2, userId: 'user9', score: 90 });
+    });
+
+    it('should log season checks that fail', async (): Promise<void> => {
+      clearInterval(leaderboardModule.seasonIntervalId);
+      jest.useFakeTimers();
+      jest.spyOn(leaderboardModule, 'checkSeasons').mockRejectedValue(new Error('Connection lost'));
+      const errorSpy = jest.spyOn(logger, 'error');
+
+      try {
+        leaderboardModule.startSeasonChecker();
+        await jest.advanceTimersByTimeAsync(60000);
+      } finally {
+        jest.useRealTimers();
+      }
+
+      expect(errorSpy).toHaveBeenCalledWith('Failed to check seasons', { error: 'Connection lost' });
+    });
+
+    it('should close seasons that have ended', async (): Promise<void> => {
+      await createArena(leaderboardModule, { start: Date.now() - 90000 });
+
+      await leaderboardModule.checkSeasons();
+
+      const season = await leaderboardModule.getSeason('arena');
+      expect(season.season).toBe(2);
+      expect(season.endsIn).toBeGreaterThan(29000);
+      expect(season.endsIn).toBeLessThanOrEqual(30000);
+    });
+
+    it('should reject invalid season schedules', async (): Promise<void> => {
+      await expect(createArena(leaderboardModule, { duration: undefined })).rejects.toThrow('season.duration');
+      await expect(leaderboardModule.closeSeason('global')).rejects.toThrow('Leaderboard has no season: global');
+    });
+  });
+
   describe('real-time updates', (): void => {
     it('should handle multiple updates', async (): Promise<void> => {
       const promises = [];
@@ -404,6 +764,52 @@ describe('LeaderboardModule', (): void => {
       const lb = await leaderboardModule.getLeaderboard('global', { limit: 10 });
       expect(lb.entries).toHaveLength(10);
     });
+
+    it('should keep boards for extra point currencies separate', async (): Promise<void> => {
+      await eventManager.emitAsync('points.awarded', { userId: 'user1', total: 100, currency: 'points', defaultCurrency: true });
+      await eventManager.emitAsync('points.awarded', { userId: 'user1', total: 7, currency: 'xp-coins', defaultCurrency: false });
+
+      const points = await leaderboardModule.getLeaderboard('points-weekly');
+      const coins = await leaderboardModule.getLeaderboard('xp-coins-weekly');
+
+      expect(points.entries[0].score).toBe(100);
+      expect(coins.entries[0].score).toBe(7);
+      expect(leaderboardModule.getLeaderboardKey('xp-coins-weekly')).toMatch(/^leaderboards:board:xp-coins-weekly:\d{4}-W\d+$/);
+    });
+  });
+
+  describe('batch updates', (): void => {
+    beforeEach(() => {
+      leaderboardModule.config.enableRealtime = false;
+    });
+
+    it('should write queued scores and report each update', async (): Promise<void> => {
+      const emitSpy = jest.spyOn(leaderboardModule, 'emitEvent');
+      await eventManager.emitAsync('leaderboard.update', { leaderboardId: 'global', userId: 'user1', score: 10, increment: true });
+      await eventManager.emitAsync('leaderboard.update', { leaderboardId: 'global', userId: 'user1', score: 5, increment: true });
+      await eventManager.emitAsync('leaderboard.update', { leaderboardId: 'global', userId: 'user2', score: 7, increment: true });
+
+      await leaderboardModule.processBatchUpdates('user1');
+
+      expect(await storage.zscore(leaderboardModule.getLeaderboardKey('global'), 'user1')).toBe(15);
+      expect(await storage.zscore(leaderboardModule.getLeaderboardKey('global'), 'user2')).toBeNull();
+      expect(emitSpy.mock.calls.filter(([name]) => name === 'score.updated').map(([, data]) => [data.previousScore, data.score]))
+        .toEqual([[null, 10], [10, 15]]);
+
+      await leaderboardModule.processBatchUpdates();
+      expect(await storage.zscore(leaderboardModule.getLeaderboardKey('global'), 'user2')).toBe(7);
+    });
+
+    it('should keep queued scores whose write failed', async (): Promise<void> => {
+      await eventManager.emitAsync('leaderboard.update', { leaderboardId: 'global', userId: 'user1', score: 10, increment: true });
+      const transaction = jest.spyOn(storage, 'transaction').mockRejectedValueOnce(new Error('Connection lost'));
+
+      await expect(leaderboardModule.processBatchUpdates()).rejects.toThrow('Connection lost');
+      transaction.mockRestore();
+      await leaderboardModule.processBatchUpdates();
+
+      expect(await storage.zscore(leaderboardModule.getLeaderboardKey('global'), 'user1')).toBe(10);
+    });
   });
 
   describe('error handling', (): void => {
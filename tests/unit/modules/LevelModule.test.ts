@@ -112,7 +112,8 @@ describe('LevelModule', (): void => {
           required: expect.any(Number),
           next: expect.any(Number),
           percentage: expect.any(Number)
-        })
+        }),
+        transaction: expect.objectContaining({ id: expect.stringMatching(/^xp_/), type: 'xp_gain', amount: 75 })
       });
     });
 
@@ -201,6 +202,35 @@ describe('LevelModule', (): void => {
     });
   });
 
+  describe('removeXP', (): void => {
+    it('should remove XP and move the user down a level', async (): Promise<void> => {
+      const gained = await levelModule.addXP('user123', 100);
+      expect(gained.level).toBe(2);
+      const emitSpy = jest.spyOn(levelModule, 'emitEvent');
+
+      const result = await levelModule.removeXP('user123', gained.xpGained, 'chargeback');
+
+      expect(result).toEqual(expect.objectContaining({
+        success: true,
+        xpRemoved: gained.xpGained,
+        shortfall: 0,
+        totalXP: 0,
+        level: 1,
+        levelChanged: true
+      }));
+      expect(emitSpy).toHaveBeenCalledWith('level.down', expect.objectContaining({ userId: 'user123', oldLevel: 2, newLevel: 1 }));
+      expect(emitSpy).toHaveBeenCalledWith('xp.removed', expect.objectContaining({ userId: 'user123', xp: gained.xpGained, totalXP: 0 }));
+    });
+
+    it('should not take XP below zero', async (): Promise<void> => {
+      await levelModule.addXP('user123', 20);
+
+      const result = await levelModule.removeXP('user123', 100);
+
+      expect(result).toEqual(expect.objectContaining({ xpRemoved: 30, shortfall: 70, totalXP: 0, levelChanged: false }));
+    });
+  });
+
   describe('getUserStats', (): void => {
     it('should return user level stats', async (): Promise<void> => {
       await levelModule.addXP('user123', 150);
@@ -533,6 +563,98 @@ describe('LevelModule', (): void => {
     });
   });
 
+  describe('skill tracks', (): void => {
+    let tracksModule;
+
+    beforeEach(async () => {
+      tracksModule = new LevelModule({
+        maxLevel: 5,
+        xpFormula: 'linear',
+        baseXP: 100,
+        overallLevel: 'average',
+        tracks: {
+          math: { xpFormula: 'linear', baseXP: 50, maxLevel: 10, levelRewards: { 2: { points: 25 } } },
+          reading: { customThresholds: { 2: 10, 3: 30 }, maxLevel: 3, prestigeEnabled: true },
+          coding: {}
+        }
+      });
+      tracksModule.setContext({ storage, eventManager, logger, config: {} });
+      await tracksModule.initialize();
+    });
+
+    it('should keep XP and levels separate per track', async (): Promise<void> => {
+      const result = await tracksModule.addXP('user123', 120, 'lesson', 'math');
+
+      expect(result).toMatchObject({ track: 'math', xpGained: 120, level: 3, nextLevelXP: 150 });
+      expect((await tracksModule.getUserLevel('user123', 'math')).level).toBe(3);
+      expect((await tracksModule.getUserLevel('user123', 'reading')).level).toBe(1);
+      expect(await tracksModule.getUserLevel('user123')).toMatchObject({ level: 1, totalXP: 0, maxLevel: 5 });
+    });
+
+    it('should use each track\'s thresholds, max level and rewards', async (): Promise<void> => {
+      const emitSpy = jest.spyOn(eventManager, 'emitAsync');
+
+      expect((await tracksModule.addXP('user123', 500, 'essay', 'reading')).level).toBe(3);
+      expect(emitSpy).not.toHaveBeenCalledWith('points.award', expect.anything());
+
+      await tracksModule.addXP('user123', 50, 'lesson', 'math');
+      expect(emitSpy).toHaveBeenCalledWith('points.award', expect.objectContaining({ points: 25 }));
+      expect(tracksModule.getLevelStructure('reading').map(entry => entry.totalXPRequired)).toEqual([0, 10, 30]);
+    });
+
+    it('should prestige tracks independently', async (): Promise<void> => {
+      await tracksModule.addXP('user123', 100, 'essay', 'reading');
+
+      expect(await tracksModule.prestige('user123', 'reading')).toMatchObject({ success: true, track: 'reading', prestige: 1 });
+      expect(await tracksModule.prestige('user123')).toEqual({ success: false, reason: 'prestige_disabled' });
+    });
+
+    it('should rank users per track', async (): Promise<void> => {
+      await tracksModule.addXP('user1', 200, 'lesson', 'math');
+      await tracksModule.addXP('user2', 100, 'lesson', 'math');
+      await tracksModule.addXP('user2', 300, 'lesson', 'coding');
+
+      const math = await tracksModule.getTopUsers(10, 'level', 'math');
+      const coding = await tracksModule.getTopUsers(10, 'level', 'coding');
+
+      expect(math.map(entry => [entry.userId, entry.level])).toEqual([['user1', 5], ['user2', 3]]);
+      expect(coding.map(entry => entry.userId)).toEqual(['user2']);
+      expect(await tracksModule.getTopUsers(10)).toEqual([]);
+    });
+
+    it('should derive an overall level from the tracks', async (): Promise<void> => {
+      const emitSpy = jest.spyOn(tracksModule, 'emitEvent');
+
+      await tracksModule.addXP('user123', 450, 'lesson', 'math');
+      await tracksModule.addXP('user123', 30, 'essay', 'reading');
+      await tracksModule.addXP('user123', 100, 'kata', 'coding');
+
+      expect(await tracksModule.getOverallLevel('user123')).toEqual({
+        userId: 'user123',
+        level: 5,
+        tracks: { math: 10, reading: 3, coding: 2 }
+      });
+      expect(emitSpy).toHaveBeenCalledWith('overall.level.changed', expect.objectContaining({ oldLevel: 4, newLevel: 5 }));
+      expect(await tracksModule.getTopUsers(10, 'overall')).toEqual([{ rank: 1, userId: 'user123', level: 5, score: 5 }]);
+    });
+
+    it('should include tracks in stats and clear them on reset', async (): Promise<void> => {
+      await tracksModule.addXP('user123', 100, 'lesson', 'math');
+
+      const stats = await tracksModule.getUserStats('user123');
+      expect(stats.tracks.math.level).toBe(3);
+      expect(stats.overall.level).toBe(1);
+
+      await tracksModule.resetUser('user123');
+      expect((await tracksModule.getUserLevel('user123', 'math')).totalXP).toBe(0);
+      expect(await tracksModule.getTopUsers(10, 'level', 'math')).toEqual([]);
+    });
+
+    it('should reject unknown tracks', async (): Promise<void> => {
+      await expect(tracksModule.addXP('user123', 10, 'lesson', 'history')).rejects.toThrow('Unknown track: history');
+    });
+  });
+
   describe('error handling', (): void => {
     it('should handle storage errors', async (): Promise<void> => {
       storage.hset = jest.fn().mockRejectedValue(new Error('Storage error'));
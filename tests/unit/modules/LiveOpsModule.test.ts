@@ -0,0 +1,310 @@
+import type { GamificationKit } from '../src/core/GamificationKit.js';
+import { jest } from '@jest/globals';
+import { LiveOpsModule } from '../../../src/modules/LiveOpsModule.js';
+import { PointsModule } from '../../../src/modules/PointsModule.js';
+import { LevelModule } from '../../../src/modules/LevelModule.js';
+import { QuestModule } from '../../../src/modules/QuestModule.js';
+import { BadgeModule } from '../../../src/modules/BadgeModule.js';
+import { LeaderboardModule } from '../../../src/modules/LeaderboardModule.js';
+import { MemoryStorage } from '../../../src/storage/MemoryStorage.js';
+import { EventManager } from '../../../src/core/EventManager.js';
+import { Logger } from '../../../src/utils/logger.js';
+
+describe('LiveOpsModule', (): void => {
+  let liveOpsModule;
+  let pointsModule;
+  let levelModule;
+  let questModule;
+  let badgeModule;
+  let leaderboardModule;
+  let storage;
+  let eventManager;
+  let logger;
+
+  const HOUR = 3600000;
+
+  const setup = async () => {
+    liveOpsModule = new LiveOpsModule();
+    pointsModule = new PointsModule();
+    levelModule = new LevelModule();
+    questModule = new QuestModule({ autoAssignDaily: false });
+    badgeModule = new BadgeModule();
+    leaderboardModule = new LeaderboardModule();
+
+    const modules = new Map();
+    modules.set('points', pointsModule);
+    modules.set('levels', levelModule);
+    modules.set('quests', questModule);
+    modules.set('badges', badgeModule);
+    modules.set('leaderboards', leaderboardModule);
+    modules.set('liveops', liveOpsModule);
+
+    for (const module of modules.values()) {
+      module.setContext({
+        storage,
+        eventManager,
+        logger,
+        config: {},
+        modules
+      });
+      await module.initialize();
+    }
+  };
+
+  const running = (overrides = {}) => ({
+    name: 'Double XP weekend',
+    startsAt: Date.now() - HOUR,
+    endsAt: Date.now() + HOUR,
+    ...overrides
+  });
+
+  const weekendQuest = {
+    id: 'weekend-quest',
+    name: 'Weekend warrior',
+    objectives: [{ id: 'play', event: 'game.played', target: 3 }]
+  };
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    eventManager = new EventManager();
+    logger = new Logger({ prefix: 'LiveOpsModule', enabled: false });
+    await storage.connect();
+
+    await setup();
+  });
+
+  afterEach(async () => {
+    await liveOpsModule.shutdown();
+    await leaderboardModule.shutdown();
+    await questModule.shutdown();
+    await storage.disconnect();
+    jest.restoreAllMocks();
+  });
+
+  describe('campaigns', (): void => {
+    it('should store a campaign and derive its status from the schedule', async () => {
+      const campaign = await liveOpsModule.createCampaign({
+        id: 'launch',
+        name: 'Launch week',
+        startsAt: Date.now() + HOUR,
+        endsAt: Date.now() + 2 * HOUR,
+        effects: [{ type: 'multiplier', source: 'points', value: 2 }]
+      });
+
+      expect(campaign.status).toBe('scheduled');
+      expect(campaign.effects[0]).toEqual({ type: 'multiplier', source: 'points', value: 2, reasons: null, currency: null });
+      expect(await liveOpsModule.getCampaign('launch')).toEqual(expect.objectContaining({ id: 'launch', status: 'scheduled' }));
+
+      jest.spyOn(Date, 'now').mockReturnValue(campaign.startsAt + 1);
+      expect((await liveOpsModule.getCampaign('launch')).status).toBe('active');
+
+      jest.spyOn(Date, 'now').mockReturnValue(campaign.endsAt);
+      expect((await liveOpsModule.getCampaign('launch')).status).toBe('ended');
+    });
+
+    it('should reject invalid schedules, effects and duplicate ids', async () => {
+      await expect(liveOpsModule.createCampaign(running({ endsAt: Date.now() - 2 * HOUR })))
+        .rejects.toThrow('campaign duration must be a positive number');
+      await expect(liveOpsModule.createCampaign(running({ startsAt: Date.now() - 3 * HOUR, endsAt: Date.now() - HOUR })))
+        .rejects.toThrow('Campaign has already ended');
+      await expect(liveOpsModule.createCampaign(running({ effects: [{ type: 'confetti' }] })))
+        .rejects.toThrow('campaign effect type must be one of');
+      await expect(liveOpsModule.createCampaign(running({ effects: [{ type: 'multiplier', source: 'xp', value: 0 }] })))
+        .rejects.toThrow('multiplier effect value must be a positive number');
+
+      await liveOpsModule.createCampaign(running({ id: 'weekend' }));
+      await expect(liveOpsModule.createCampaign(running({ id: 'weekend' })))
+        .rejects.toThrow('Campaign already exists: weekend');
+    });
+
+    it('should list the calendar for a window, earliest first', async () => {
+      const now = Date.now();
+      await liveOpsModule.createCampaign({ id: 'later', name: 'Later', startsAt: now + 10 * HOUR, endsAt: now + 12 * HOUR });
+      await liveOpsModule.createCampaign({ id: 'now', name: 'Now', startsAt: now - HOUR, endsAt: now + HOUR });
+      await liveOpsModule.createCampaign({ id: 'soon', name: 'Soon', startsAt: now + 2 * HOUR, endsAt: now + 3 * HOUR });
+      await liveOpsModule.cancelCampaign('soon');
+
+      const all = await liveOpsModule.getCalendar();
+      expect(all.map(c => [c.id, c.status])).toEqual([['now', 'active'], ['soon', 'cancelled'], ['later', 'scheduled']]);
+
+      const window = await liveOpsModule.getCalendar({ from: now + HOUR + 1, to: now + 11 * HOUR, includeCancelled: false });
+      expect(window.map(c => c.id)).toEqual(['later']);
+    });
+  });
+
+  describe('multipliers', (): void => {
+    it('should multiply points only while the campaign runs', async () => {
+      await liveOpsModule.createCampaign(running({
+        effects: [{ type: 'multiplier', source: 'points', value: 2 }],
+        startsAt: Date.now() + HOUR,
+        endsAt: Date.now() + 2 * HOUR
+      }));
+
+      expect((await pointsModule.award('user1', 10)).points).toBe(10);
+
+      jest.spyOn(Date, 'now').mockReturnValue(Date.now() + HOUR + 1000);
+      expect((await pointsModule.award('user1', 10)).points).toBe(20);
+    });
+
+    it('should limit multipliers to the campaign segments and listed reasons', async () => {
+      await liveOpsModule.addToSegment('vip', ['alice']);
+      await liveOpsModule.createCampaign(running({
+        segments: ['vip'],
+        effects: [{ type: 'multiplier', source: 'xp', value: 3, reasons: ['match'] }]
+      }));
+
+      expect((await levelModule.addXP('alice', 10, 'match')).xpGained).toBe(30);
+      expect((await levelModule.addXP('alice', 10, 'login')).xpGained).toBe(10);
+      expect((await levelModule.addXP('bob', 10, 'match')).xpGained).toBe(10);
+    });
+  });
+
+  describe('quests and badges', (): void => {
+    it('should assign campaign quests to targeted users on their first activity', async () => {
+      await liveOpsModule.addToSegment('beta', 'alice');
+      await liveOpsModule.createCampaign(running({
+        id: 'weekend',
+        segments: ['beta'],
+        effects: [{ type: 'quest', quest: weekendQuest }]
+      }));
+
+      await eventManager.emitAsync('game.played', { userId: 'alice' });
+      await eventManager.emitAsync('game.played', { userId: 'bob' });
+
+      expect(await questModule.getQuestAssignment('alice', 'weekend-quest')).toEqual(expect.objectContaining({ questId: 'weekend-quest' }));
+      expect(await questModule.getQuestAssignment('bob', 'weekend-quest')).toBeFalsy();
+      expect(await questModule.assignQuest('bob', 'weekend-quest')).toEqual({ success: false, reason: 'not_eligible' });
+    });
+
+    it('should take back unfinished quests and close badges when the campaign ends', async () => {
+      const campaign = await liveOpsModule.createCampaign(running({
+        id: 'weekend',
+        effects: [
+          { type: 'quest', quest: weekendQuest },
+          { type: 'badge', badge: { id: 'weekend-hero', name: 'Weekend hero' } }
+        ]
+      }));
+
+      await eventManager.emitAsync('game.played', { userId: 'alice' });
+      expect((await badgeModule.award('alice', 'weekend-hero')).success).toBe(true);
+
+      const ended = jest.fn();
+      eventManager.on('liveops.campaign.ended', ended);
+
+      jest.spyOn(Date, 'now').mockReturnValue(campaign.endsAt + 1);
+      await liveOpsModule.processCampaigns();
+
+      expect(ended).toHaveBeenCalledTimes(1);
+      expect(await questModule.getQuestAssignment('alice', 'weekend-quest')).toBeFalsy();
+      expect(await badgeModule.award('bob', 'weekend-hero')).toEqual({ success: false, reason: 'badge_disabled' });
+      expect(await badgeModule.hasBadge('alice', 'weekend-hero')).toBe(true);
+    });
+
+    it('should register running campaign definitions on a restarted instance', async () => {
+      await liveOpsModule.createCampaign(running({ effects: [{ type: 'quest', quest: weekendQuest, autoAssign: false }] }));
+
+      await liveOpsModule.shutdown();
+      await questModule.shutdown();
+      await leaderboardModule.shutdown();
+      await setup();
+
+      expect(questModule.quests.get('weekend-quest')).toEqual(expect.objectContaining({ enabled: true }));
+      expect((await questModule.assignQuest('alice', 'weekend-quest')).success).toBe(true);
+    });
+  });
+
+  describe('leaderboards', (): void => {
+    it('should open a campaign leaderboard, feed it and archive it at the end', async () => {
+      const campaign = await liveOpsModule.createCampaign(running({
+        effects: [{ type: 'leaderboard', leaderboard: { id: 'weekend-cup', name: 'Weekend cup' } }]
+      }));
+
+      await pointsModule.award('alice', 30);
+      await pointsModule.award('bob', 50);
+
+      const board = await leaderboardModule.getLeaderboard('weekend-cup');
+      expect(board.entries.map(e => [e.userId, e.score])).toEqual([['bob', 50], ['alice', 30]]);
+
+      jest.spyOn(Date, 'now').mockReturnValue(campaign.endsAt + 1);
+      await liveOpsModule.processCampaigns();
+      await pointsModule.award('alice', 100);
+
+      const [archive] = await leaderboardModule.getArchives('weekend-cup');
+      expect(archive.entries).toHaveLength(2);
+      expect((await leaderboardModule.getUserPosition('weekend-cup', 'alice')).score).toBe(30);
+    });
+  });
+
+  describe('cancellation', (): void => {
+    it('should cancel a running campaign and wind its effects down', async () => {
+      await liveOpsModule.createCampaign(running({
+        id: 'weekend',
+        effects: [
+          { type: 'multiplier', source: 'points', value: 2 },
+          { type: 'quest', quest: weekendQuest }
+        ]
+      }));
+      await eventManager.emitAsync('game.played', { userId: 'alice' });
+
+      const result = await liveOpsModule.cancelCampaign('weekend');
+
+      expect(result.success).toBe(true);
+      expect(result.campaign.status).toBe('cancelled');
+      expect((await pointsModule.award('alice', 10)).points).toBe(10);
+      expect(await questModule.getQuestAssignment('alice', 'weekend-quest')).toBeFalsy();
+      expect(await liveOpsModule.cancelCampaign('weekend')).toEqual({ success: false, reason: 'already_cancelled' });
+      await expect(liveOpsModule.cancelCampaign('missing')).rejects.toThrow('Campaign not found: missing');
+    });
+  });
+
+  describe('multiple instances', (): void => {
+    it('should run start and end work once across instances sharing storage', async () => {
+      const other = new LiveOpsModule();
+      other.setContext({ storage, eventManager, logger, config: {}, modules: new Map([['leaderboards', leaderboardModule]]) });
+      await other.initialize();
+
+      const started = jest.fn();
+      eventManager.on('liveops.campaign.started', started);
+
+      await liveOpsModule.createCampaign(running());
+      await other.processCampaigns();
+      await liveOpsModule.processCampaigns();
+
+      expect(started).toHaveBeenCalledTimes(1);
+      await other.shutdown();
+    });
+  });
+
+  describe('scheduler', (): void => {
+    it('should log scheduled runs that fail', async () => {
+      clearInterval(liveOpsModule.checkIntervalId);
+      jest.useFakeTimers();
+      jest.spyOn(liveOpsModule, 'processCampaigns').mockRejectedValue(new Error('Connection lost'));
+      const errorSpy = jest.spyOn(logger, 'error');
+
+      try {
+        liveOpsModule.startScheduler();
+        await jest.advanceTimersByTimeAsync(60000);
+      } finally {
+        jest.useRealTimers();
+      }
+
+      expect(errorSpy).toHaveBeenCalledWith('Failed to process campaigns', { error: 'Connection lost' });
+    });
+  });
+
+  describe('user data', (): void => {
+    it('should export and reset segment membership', async () => {
+      await liveOpsModule.addToSegment('vip', ['alice', 'bob']);
+      await liveOpsModule.createCampaign(running({ id: 'weekend', segments: ['vip'] }));
+
+      expect(await liveOpsModule.exportUserData('alice')).toEqual({
+        campaigns: [expect.objectContaining({ id: 'weekend' })],
+        segments: ['vip']
+      });
+
+      await liveOpsModule.resetUser('alice');
+      expect(await liveOpsModule.getSegmentMembers('vip')).toEqual(['bob']);
+    });
+  });
+});
@@ -234,6 +234,140 @@ describe('PointsModule', (): void => {
     });
   });
 
+  describe('reverseTransaction', (): void => {
+    it('should take back the points of an award', async (): Promise<void> => {
+      await pointsModule.award('user123', 100);
+      const { transaction } = await pointsModule.award('user123', 200, 'purchase');
+
+      const result = await pointsModule.reverseTransaction('user123', transaction.id, 'chargeback');
+
+      expect(result).toEqual(expect.objectContaining({ success: true, points: 200, shortfall: 0 }));
+      expect(result.transaction).toEqual(expect.objectContaining({
+        type: 'reversal',
+        points: -200,
+        reverses: transaction.id,
+        reason: 'chargeback'
+      }));
+      expect(result.total).toBe(await pointsModule.getPoints('user123'));
+      expect(await pointsModule.getUserRank('user123', 'daily')).toEqual(expect.objectContaining({ points: result.total }));
+    });
+
+    it('should report points already spent as the shortfall', async (): Promise<void> => {
+      const { transaction } = await pointsModule.award('user123', 200);
+      await pointsModule.deduct('user123', 150);
+
+      const result = await pointsModule.reverseTransaction('user123', transaction.id);
+
+      expect(result).toEqual(expect.objectContaining({ success: true, points: 50, shortfall: 150, total: 0 }));
+    });
+
+    it('should pay back a deduction', async (): Promise<void> => {
+      await pointsModule.award('user123', 200);
+      const deduction = await pointsModule.deduct('user123', 50, 'purchase');
+
+      const result = await pointsModule.reverseTransaction('user123', deduction.transaction.id, 'refund');
+
+      expect(result).toEqual(expect.objectContaining({ success: true, points: 50, shortfall: 0, total: 200 }));
+      expect(result.transaction).toEqual(expect.objectContaining({ type: 'reversal', points: 50, reverses: deduction.transaction.id }));
+    });
+
+    it('should reverse each transaction once', async (): Promise<void> => {
+      const { transaction } = await pointsModule.award('user123', 200);
+
+      const reversal = await pointsModule.reverseTransaction('user123', transaction.id);
+
+      expect(await pointsModule.reverseTransaction('user123', transaction.id)).toEqual({ success: false, reason: 'already_reversed' });
+      expect(await pointsModule.reverseTransaction('user123', reversal.transaction.id)).toEqual({ success: false, reason: 'not_reversible' });
+      await expect(pointsModule.reverseTransaction('user123', 'txn_missing')).rejects.toThrow('Transaction not found: txn_missing');
+    });
+
+    it('should reverse a transaction once when calls overlap', async (): Promise<void> => {
+      await pointsModule.award('user123', 100);
+      const { transaction } = await pointsModule.award('user123', 200);
+
+      const results = await Promise.all([
+        pointsModule.reverseTransaction('user123', transaction.id),
+        pointsModule.reverseTransaction('user123', transaction.id)
+      ]);
+
+      expect(results.filter(result => result.success)).toHaveLength(1);
+      expect(results).toContainEqual({ success: false, reason: 'reversal_in_progress' });
+      expect(await pointsModule.getPoints('user123')).toBe(100);
+      expect(await pointsModule.reverseTransaction('user123', transaction.id)).toEqual({ success: false, reason: 'already_reversed' });
+    });
+
+    it('should emit points.reversed event', async (): Promise<void> => {
+      const { transaction } = await pointsModule.award('user123', 200);
+      const emitSpy = jest.spyOn(pointsModule.eventManager, 'emitAsync');
+
+      const result = await pointsModule.reverseTransaction('user123', transaction.id);
+
+      expect(emitSpy).toHaveBeenCalledWith('points.reversed', expect.objectContaining({
+        userId: 'user123',
+        points: result.points,
+        total: result.total,
+        transaction: result.transaction
+      }));
+    });
+  });
+
+  describe('atomic writes', (): void => {
+    const historyTotal = async (userId): Promise<number> =>
+      (await pointsModule.getTransactionHistory(userId, 1000)).reduce((sum, t) => sum + t.points, 0);
+
+    it('should keep balance, history and leaderboards in step under concurrent awards and deductions', async (): Promise<void> => {
+      const results = await Promise.all(Array.from({ length: 40 }, (_, i) => (
+        i % 3 === 2 ? pointsModule.deduct('user123', 15) : pointsModule.award('user123', 10)
+      )));
+
+      const balance = await pointsModule.getPoints('user123');
+      const stats = await pointsModule.getUserStats('user123');
+      const [daily] = await pointsModule.getTopUsers(1, 'daily');
+
+      expect(balance).toBeGreaterThanOrEqual(0);
+      expect(balance).toBe(await historyTotal('user123'));
+      expect((await pointsModule.getUserRank('user123')).points).toBe(balance);
+      expect(stats.daily).toBe(270);
+      expect(daily.points).toBe(270);
+      expect(results.filter(r => r.success)).toHaveLength((await pointsModule.getTransactionHistory('user123', 1000)).length);
+    });
+
+    it('should set leaderboards to the totals they rank', async (): Promise<void> => {
+      await storage.zadd(pointsModule.getLeaderboardKey('all-time'), 999, 'user123');
+
+      await pointsModule.award('user123', 50);
+      expect((await pointsModule.getUserRank('user123')).points).toBe(50);
+
+      await storage.zrem(pointsModule.getLeaderboardKey('daily'), 'user123');
+      await pointsModule.deduct('user123', 20);
+
+      expect((await pointsModule.getUserRank('user123')).points).toBe(30);
+      expect((await pointsModule.getUserRank('user123', 'daily')).points).toBe(50);
+    });
+
+    it('should leave nothing behind when a write fails midway', async (): Promise<void> => {
+      storage.lpush = jest.fn().mockRejectedValue(new Error('Storage error'));
+
+      await expect(pointsModule.award('user123', 100)).rejects.toThrow('Storage error');
+
+      expect(await pointsModule.getPoints('user123')).toBe(0);
+      expect(await pointsModule.getUserRank('user123')).toBeNull();
+      expect((await pointsModule.getUserStats('user123')).daily).toBe(0);
+    });
+
+    it('should never deduct below the minimum under concurrency', async (): Promise<void> => {
+      await pointsModule.award('user123', 100);
+
+      const results = await Promise.all(Array.from({ length: 10 }, () => pointsModule.deduct('user123', 30)));
+
+      expect(results.filter(r => r.success)).toHaveLength(3);
+      expect(results.find(r => !r.success)).toMatchObject({ reason: 'insufficient_points', current: 10 });
+      expect(await pointsModule.getPoints('user123')).toBe(10);
+      expect(await historyTotal('user123')).toBe(10);
+      expect((await pointsModule.getUserRank('user123')).points).toBe(10);
+    });
+  });
+
   describe('getPoints', (): void => {
     it('should return current points', async (): Promise<void> => {
       await pointsModule.award('user123', 250);
@@ -340,6 +474,16 @@ describe('PointsModule', (): void => {
       expect(awardResult.points).toBe(200);
     });
 
+    it('should stop applying a user multiplier once its duration passes', async (): Promise<void> => {
+      const now = Date.now();
+      await pointsModule.setUserMultiplier('user123', 2, 60);
+
+      jest.spyOn(Date, 'now').mockReturnValue(now + 61000);
+      const awardResult = await pointsModule.award('user123', 100);
+
+      expect(awardResult.points).toBe(100);
+    });
+
     it('should set event multiplier', async (): Promise<void> => {
       const result = await pointsModule.setEventMultiplier(1.5, 7200);
       
@@ -438,11 +582,141 @@ describe('PointsModule', (): void => {
           daily: { limit: 1000, used: 300, remaining: 700 },
           weekly: { limit: 5000, used: 300, remaining: 4700 },
           monthly: { limit: 20000, used: 300, remaining: 19700 }
+        },
+        currencies: {
+          points: expect.objectContaining({ total: 250 })
         }
       });
     });
   });
 
+  describe('currencies', (): void => {
+    let currencyModule;
+
+    beforeEach(async () => {
+      currencyModule = new PointsModule({
+        dailyLimit: 1000,
+        multipliers: { global: 2 },
+        currencies: {
+          gems: {
+            dailyLimit: 50,
+            multipliers: { purchase: 3 },
+            decayEnabled: true,
+            decayDays: 7,
+            decayPercentage: 50
+          },
+          'xp-coins': {}
+        }
+      });
+      currencyModule.setContext({
+        storage,
+        eventManager,
+        logger,
+        config: {}
+      });
+      await currencyModule.initialize();
+    });
+
+    afterEach(async () => {
+      await currencyModule.shutdown();
+    });
+
+    it('should keep separate balances per currency', async (): Promise<void> => {
+      await currencyModule.award('user123', 100);
+      await currencyModule.award('user123', 10, 'purchase', 'gems');
+
+      expect(await currencyModule.getPoints('user123')).toBe(200);
+      expect(await currencyModule.getPoints('user123', 'gems')).toBe(30);
+      expect(await currencyModule.getPoints('user123', 'xp-coins')).toBe(0);
+    });
+
+    it('should apply per-currency limits and multipliers', async (): Promise<void> => {
+      const result = await currencyModule.award('user123', 20, 'purchase', 'gems');
+
+      expect(result.success).toBe(false);
+      expect(result.reason).toBe('daily_limit_exceeded');
+      expect((await currencyModule.award('user123', 20, 'quest', 'gems')).points).toBe(20);
+    });
+
+    it('should keep separate transaction histories and leaderboards', async (): Promise<void> => {
+      await currencyModule.award('user123', 100);
+      await currencyModule.award('user456', 5, 'quest', 'gems');
+      await currencyModule.deduct('user456', 2, 'shop', 'gems');
+
+      const history = await currencyModule.getTransactionHistory('user456', 10, 'gems');
+      const topGems = await currencyModule.getTopUsers(10, 'all-time', 'gems');
+
+      expect(history.map(t => t.points)).toEqual([-2, 5]);
+      expect(history[0].currency).toBe('gems');
+      expect(await currencyModule.getTransactionHistory('user456')).toEqual([]);
+      expect(topGems).toEqual([{ userId: 'user456', points: 3, rank: 1 }]);
+    });
+
+    it('should refuse deductions below the currency minimum', async (): Promise<void> => {
+      await currencyModule.award('user123', 500);
+      const result = await currencyModule.deduct('user123', 1, 'shop', 'gems');
+
+      expect(result.success).toBe(false);
+      expect(result.reason).toBe('insufficient_points');
+      expect(await currencyModule.getPoints('user123')).toBe(1000);
+    });
+
+    it('should reject unknown currencies', async (): Promise<void> => {
+      await expect(currencyModule.award('user123', 10, 'test', 'gold'))
+        .rejects.toThrow('Unknown currency: gold');
+    });
+
+    it('should only decay currencies with decay enabled', async (): Promise<void> => {
+      jest.useFakeTimers();
+      const now = Date.now();
+      jest.setSystemTime(now);
+
+      await currencyModule.award('user123', 100);
+      await currencyModule.award('user123', 40, 'quest', 'gems');
+
+      jest.setSystemTime(now + 8 * 24 * 60 * 60 * 1000);
+      await currencyModule.processDecay();
+      jest.useRealTimers();
+
+      expect(await currencyModule.getPoints('user123')).toBe(200);
+      expect(await currencyModule.getPoints('user123', 'gems')).toBe(20);
+    });
+
+    it('should route point events to the requested currency', async (): Promise<void> => {
+      await eventManager.emitAsync('points.award', {
+        userId: 'user123',
+        points: 5,
+        reason: 'quest',
+        currency: 'xp-coins'
+      });
+
+      expect(await currencyModule.getPoints('user123', 'xp-coins')).toBe(5);
+    });
+
+    it('should report every currency in user stats', async (): Promise<void> => {
+      await currencyModule.award('user123', 100);
+      await currencyModule.award('user123', 10, 'quest', 'gems');
+
+      const stats = await currencyModule.getUserStats('user123');
+
+      expect(stats.total).toBe(200);
+      expect(Object.keys(stats.currencies)).toEqual(['points', 'gems', 'xp-coins']);
+      expect(stats.currencies.gems.total).toBe(10);
+      expect(stats.currencies.gems.limits.daily).toEqual({ limit: 50, used: 10, remaining: 40 });
+    });
+
+    it('should reset every currency', async (): Promise<void> => {
+      await currencyModule.award('user123', 100);
+      await currencyModule.award('user123', 10, 'quest', 'gems');
+
+      await currencyModule.resetUser('user123');
+
+      expect(await currencyModule.getPoints('user123', 'gems')).toBe(0);
+      expect(await currencyModule.getTransactionHistory('user123', 10, 'gems')).toEqual([]);
+      expect(await currencyModule.getTopUsers(10, 'all-time', 'gems')).toEqual([]);
+    });
+  });
+
   describe('resetUser', (): void => {
     it('should reset all user data', async (): Promise<void> => {
       await pointsModule.award('user123', 500);
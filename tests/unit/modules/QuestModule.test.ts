@@ -1,6 +1,7 @@
 import type { GamificationKit } from '../src/core/GamificationKit.js';
 import { QuestModule } from '../../../src/modules/QuestModule.js';
 import { EventManager } from '../../../src/core/EventManager.js';
+import { RuleEngine } from '../../../src/core/RuleEngine.js';
 import { MemoryStorage } from '../../../src/storage/MemoryStorage.js';
 import { Logger } from '../../../src/utils/logger.js';
 import { jest } from '@jest/globals';
@@ -620,6 +621,81 @@ describe('QuestModule', (): void => {
     });
   });
 
+  describe('condition trees', (): void => {
+    it('should match objectives with RuleEngine condition trees', async (): Promise<void> => {
+      questModule.addQuest({
+        id: 'big_spender',
+        name: 'Big Spender',
+        objectives: [{
+          id: 'purchase',
+          description: 'Buy something expensive or rare',
+          event: 'purchase.*',
+          conditions: {
+            any: [
+              { field: 'amount', operator: 'between', value: [100, 500] },
+              { field: 'item.rarity', operator: 'matches', value: '^(epic|legendary)$' }
+            ]
+          }
+        }]
+      });
+      await questModule.assignQuest('user123', 'big_spender');
+      const updateSpy = jest.spyOn(questModule, 'updateObjectiveProgress');
+
+      await questModule.checkQuestProgress({ eventName: 'purchase.item', data: { userId: 'user123', amount: 50 } });
+      expect(updateSpy).not.toHaveBeenCalled();
+
+      await questModule.checkQuestProgress({
+        eventName: 'purchase.item',
+        data: { userId: 'user123', amount: 50, item: { rarity: 'epic' } }
+      });
+      expect(updateSpy).toHaveBeenCalledWith('user123', 'big_spender', 'purchase', 1);
+    });
+
+    it('should use operators registered on the kit rule engine', async (): Promise<void> => {
+      const ruleEngine = new RuleEngine();
+      ruleEngine.addOperator('divisible_by', (a, b) => a % b === 0);
+      questModule.setContext({ storage, eventManager, logger, ruleEngine, config: {} });
+
+      questModule.addQuest({
+        id: 'even_steps',
+        name: 'Even Steps',
+        objectives: [{
+          id: 'walk',
+          description: 'Walk an even number of steps',
+          event: 'steps.logged',
+          conditions: { field: 'steps', operator: 'divisible_by', value: 2 }
+        }]
+      });
+      await questModule.assignQuest('user123', 'even_steps');
+      const updateSpy = jest.spyOn(questModule, 'updateObjectiveProgress');
+
+      await questModule.checkQuestProgress({ eventName: 'steps.logged', data: { userId: 'user123', steps: 7 } });
+      await questModule.checkQuestProgress({ eventName: 'steps.logged', data: { userId: 'user123', steps: 8 } });
+
+      expect(updateSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should still match assignments stored with field conditions', async (): Promise<void> => {
+      questModule.addQuest({
+        id: 'legacy',
+        name: 'Legacy',
+        objectives: [{ id: 'purchase', description: 'Buy', event: 'purchase.item' }]
+      });
+      await questModule.assignQuest('user123', 'legacy');
+
+      const key = questModule.getStorageKey('assignments:user123');
+      const assignment = await storage.hget(key, 'legacy');
+      assignment.objectives[0].conditions = { amount: { min: 10 } };
+      await storage.hset(key, 'legacy', assignment);
+      const updateSpy = jest.spyOn(questModule, 'updateObjectiveProgress');
+
+      await questModule.checkQuestProgress({ eventName: 'purchase.item', data: { userId: 'user123', amount: 5 } });
+      await questModule.checkQuestProgress({ eventName: 'purchase.item', data: { userId: 'user123', amount: 15 } });
+
+      expect(updateSpy).toHaveBeenCalledTimes(1);
+    });
+  });
+
   describe('evaluateCondition', (): void => {
     it('should evaluate equals condition', () => {
       expect(questModule.evaluateCondition('test', { equals: 'test' })).toBe(true);
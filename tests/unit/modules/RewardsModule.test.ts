@@ -0,0 +1,248 @@
+import type { GamificationKit } from '../src/core/GamificationKit.js';
+import { jest } from '@jest/globals';
+import { RewardsModule } from '../../../src/modules/RewardsModule.js';
+import { PointsModule } from '../../../src/modules/PointsModule.js';
+import { MemoryStorage } from '../../../src/storage/MemoryStorage.js';
+import { EventManager } from '../../../src/core/EventManager.js';
+import { Logger } from '../../../src/utils/logger.js';
+
+describe('RewardsModule', (): void => {
+  let rewardsModule;
+  let pointsModule;
+  let storage;
+  let eventManager;
+  let logger;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    eventManager = new EventManager();
+    logger = new Logger({ prefix: 'RewardsModule', enabled: false });
+    await storage.connect();
+
+    pointsModule = new PointsModule();
+    rewardsModule = new RewardsModule([
+      { id: 'mug', name: 'Coffee Mug', price: 100, stock: 2 },
+      { id: 'sticker', name: 'Sticker', price: 10, perUserLimit: 3 },
+      { id: 'hoodie', name: 'Hoodie', price: 500 }
+    ]);
+
+    const modules = new Map();
+    modules.set('points', pointsModule);
+    modules.set('rewards', rewardsModule);
+
+    for (const module of modules.values()) {
+      module.setContext({
+        storage,
+        eventManager,
+        logger,
+        config: {},
+        modules
+      });
+      await module.initialize();
+    }
+
+    await pointsModule.award('user123', 1000);
+  });
+
+  afterEach(async () => {
+    await storage.disconnect();
+    jest.restoreAllMocks();
+  });
+
+  describe('addReward', (): void => {
+    it('should add a reward with defaults', () => {
+      const reward = rewardsModule.addReward({ id: 'cap', name: 'Cap', price: 50 });
+
+      expect(reward.stock).toBeNull();
+      expect(reward.perUserLimit).toBeNull();
+      expect(reward.enabled).toBe(true);
+      expect(rewardsModule.rewards.has('cap')).toBe(true);
+    });
+
+    it('should validate the price', () => {
+      expect(() => rewardsModule.addReward({ id: 'bad', name: 'Bad', price: 0 }))
+        .toThrow('reward.price must be a positive number');
+    });
+  });
+
+  describe('getCatalog', (): void => {
+    it('should list available rewards with remaining stock', async () => {
+      const catalog = await rewardsModule.getCatalog();
+      const mug = catalog.find(r => r.id === 'mug');
+
+      expect(catalog).toHaveLength(3);
+      expect(mug.remaining).toBe(2);
+      expect(mug.available).toBe(true);
+    });
+
+    it('should hide rewards outside their availability window', async () => {
+      rewardsModule.addReward({
+        id: 'future',
+        name: 'Future',
+        price: 10,
+        availableFrom: Date.now() + 60000
+      });
+
+      const catalog = await rewardsModule.getCatalog();
+      const all = await rewardsModule.getCatalog({ includeUnavailable: true });
+
+      expect(catalog.find(r => r.id === 'future')).toBeUndefined();
+      expect(all.find(r => r.id === 'future').available).toBe(false);
+    });
+  });
+
+  describe('redeem', (): void => {
+    it('should deduct points and record an order', async () => {
+      const emitSpy = jest.spyOn(eventManager, 'emitAsync');
+
+      const result = await rewardsModule.redeem('user123', 'mug');
+
+      expect(result.success).toBe(true);
+      expect(result.balance).toBe(900);
+      expect(result.order.total).toBe(100);
+      expect(result.order.transactionId).toMatch(/^txn_/);
+      expect(await pointsModule.getPoints('user123')).toBe(900);
+      expect(await rewardsModule.getStock('mug')).toBe(1);
+      expect(await rewardsModule.getInventory('user123')).toEqual({ mug: 1 });
+      expect(emitSpy).toHaveBeenCalledWith('rewards.redeemed', expect.objectContaining({
+        userId: 'user123',
+        rewardId: 'mug'
+      }));
+    });
+
+    it('should roll back stock and limits when the deduction fails', async () => {
+      const result = await rewardsModule.redeem('user123', 'hoodie', 3);
+
+      expect(result.success).toBe(false);
+      expect(result.reason).toBe('insufficient_points');
+      expect(await pointsModule.getPoints('user123')).toBe(1000);
+      expect(await rewardsModule.getOrders('user123')).toEqual([]);
+      expect(await rewardsModule.getInventory('user123')).toEqual({});
+    });
+
+    it('should fail when out of stock without spending points', async () => {
+      const result = await rewardsModule.redeem('user123', 'mug', 3);
+
+      expect(result.success).toBe(false);
+      expect(result.reason).toBe('out_of_stock');
+      expect(await rewardsModule.getStock('mug')).toBe(2);
+      expect(await pointsModule.getPoints('user123')).toBe(1000);
+    });
+
+    it('should restore stock when the deduction throws', async () => {
+      jest.spyOn(pointsModule, 'deduct').mockRejectedValue(new Error('storage down'));
+
+      await expect(rewardsModule.redeem('user123', 'mug')).rejects.toThrow('storage down');
+      expect(await rewardsModule.getStock('mug')).toBe(2);
+    });
+
+    it('should pay the points back when the order can\'t be recorded', async () => {
+      jest.spyOn(storage, 'transaction').mockRejectedValueOnce(new Error('storage down'));
+
+      await expect(rewardsModule.redeem('user123', 'mug')).rejects.toThrow('storage down');
+      expect(await pointsModule.getPoints('user123')).toBe(1000);
+      expect(await rewardsModule.getStock('mug')).toBe(2);
+      expect(await rewardsModule.getOrders('user123')).toEqual([]);
+    });
+
+    it('should wait for the stock of a reward added moments ago', async () => {
+      rewardsModule.addReward({ id: 'poster', name: 'Poster', price: 10, stock: 1 });
+
+      expect((await rewardsModule.redeem('user123', 'poster')).success).toBe(true);
+      expect(await rewardsModule.getStock('poster')).toBe(0);
+    });
+
+    it('should enforce the per-user limit', async () => {
+      await rewardsModule.redeem('user123', 'sticker', 2);
+      const result = await rewardsModule.redeem('user123', 'sticker', 2);
+
+      expect(result.success).toBe(false);
+      expect(result.reason).toBe('limit_reached');
+      expect(result.current).toBe(2);
+      expect((await rewardsModule.redeem('user123', 'sticker')).success).toBe(true);
+    });
+
+    it('should reject unavailable rewards', async () => {
+      rewardsModule.addReward({
+        id: 'expired',
+        name: 'Expired',
+        price: 10,
+        availableUntil: Date.now() - 1000
+      });
+
+      const result = await rewardsModule.redeem('user123', 'expired');
+      expect(result).toEqual({ success: false, reason: 'not_available' });
+    });
+
+    it('should throw for unknown rewards', async () => {
+      await expect(rewardsModule.redeem('user123', 'unknown'))
+        .rejects.toThrow('Reward not found: unknown');
+    });
+
+    it('should throw without a points module', async () => {
+      rewardsModule.modules = null;
+
+      await expect(rewardsModule.redeem('user123', 'mug'))
+        .rejects.toThrow('Points module is required for redemption');
+    });
+  });
+
+  describe('orders and inventory', (): void => {
+    it('should return orders newest first', async () => {
+      await rewardsModule.redeem('user123', 'sticker');
+      await rewardsModule.redeem('user123', 'mug');
+
+      const orders = await rewardsModule.getOrders('user123');
+      expect(orders.map(o => o.rewardId)).toEqual(['mug', 'sticker']);
+    });
+
+    it('should keep only the most recent orders', async () => {
+      rewardsModule.config.orderHistoryLimit = 2;
+
+      for (let i = 0; i < 3; i++) {
+        expect((await rewardsModule.redeem('user123', 'sticker')).success).toBe(true);
+      }
+
+      expect(await storage.llen(rewardsModule.getStorageKey('orders:user123'))).toBe(2);
+    });
+
+    it('should consume inventory items', async () => {
+      await rewardsModule.redeem('user123', 'sticker', 2);
+
+      const used = await rewardsModule.consumeItem('user123', 'sticker');
+      const tooMany = await rewardsModule.consumeItem('user123', 'sticker', 5);
+
+      expect(used).toEqual({ success: true, rewardId: 'sticker', remaining: 1 });
+      expect(tooMany.success).toBe(false);
+      expect(await rewardsModule.getInventory('user123')).toEqual({ sticker: 1 });
+    });
+
+    it('should restock limited rewards', async () => {
+      await rewardsModule.redeem('user123', 'mug', 2);
+
+      expect(await rewardsModule.restock('mug', 5)).toBe(5);
+      await expect(rewardsModule.restock('hoodie', 1)).rejects.toThrow('unlimited stock');
+    });
+  });
+
+  describe('getUserStats and resetUser', (): void => {
+    it('should report inventory and orders', async () => {
+      await rewardsModule.redeem('user123', 'mug');
+
+      const stats = await rewardsModule.getUserStats('user123');
+      expect(stats.inventory).toEqual({ mug: 1 });
+      expect(stats.totalOrders).toBe(1);
+      expect(stats.recentOrders).toHaveLength(1);
+    });
+
+    it('should clear user data', async () => {
+      await rewardsModule.redeem('user123', 'sticker', 3);
+      await rewardsModule.resetUser('user123');
+
+      const stats = await rewardsModule.getUserStats('user123');
+      expect(stats.inventory).toEqual({});
+      expect(stats.totalOrders).toBe(0);
+      expect((await rewardsModule.redeem('user123', 'sticker', 3)).success).toBe(true);
+    });
+  });
+});
@@ -649,6 +649,129 @@ describe('StreakModule', (): void => {
     });
   });
 
+  describe('calendar mode', (): void => {
+    let calendarModule;
+    const at = iso => new Date(iso).getTime();
+
+    beforeEach(async () => {
+      calendarModule = new StreakModule({
+        types: {
+          daily: { mode: 'calendar', grace: 2 * 60 * 60 * 1000 },
+          weekly: { mode: 'calendar', unit: 'week' }
+        },
+        defaultTimezone: 'America/New_York'
+      });
+
+      calendarModule.setContext({
+        storage,
+        eventManager,
+        logger,
+        config: {}
+      });
+
+      await calendarModule.initialize();
+    });
+
+    afterEach(async () => {
+      await calendarModule.shutdown();
+      jest.useRealTimers();
+    });
+
+    it('should count local calendar days instead of a rolling window', async (): Promise<void> => {
+      await calendarModule.recordActivity('user123', 'daily', at('2024-01-01T23:00:00-05:00'));
+      const result = await calendarModule.recordActivity('user123', 'daily', at('2024-01-02T07:00:00-05:00'));
+
+      expect(result.streak).toBe(2);
+    });
+
+    it('should record once per local day', async (): Promise<void> => {
+      await calendarModule.recordActivity('user123', 'daily', at('2024-01-01T00:30:00-05:00'));
+      const result = await calendarModule.recordActivity('user123', 'daily', at('2024-01-01T23:30:00-05:00'));
+
+      expect(result.streak).toBe(1);
+      expect(result.message).toBe('Activity already recorded for this day');
+    });
+
+    it('should credit activity within the grace period to the previous day', async (): Promise<void> => {
+      await calendarModule.recordActivity('user123', 'daily', at('2024-01-01T20:00:00-05:00'));
+      const late = await calendarModule.recordActivity('user123', 'daily', at('2024-01-03T01:30:00-05:00'));
+      const sameDay = await calendarModule.recordActivity('user123', 'daily', at('2024-01-03T15:00:00-05:00'));
+
+      expect(late.streak).toBe(2);
+      expect(sameDay.streak).toBe(3);
+    });
+
+    it('should break after a missed local day', async (): Promise<void> => {
+      await calendarModule.recordActivity('user123', 'daily', at('2024-01-01T20:00:00-05:00'));
+      const result = await calendarModule.recordActivity('user123', 'daily', at('2024-01-03T03:00:00-05:00'));
+
+      expect(result.broken).toBe(true);
+      expect(result.streak).toBe(1);
+    });
+
+    it('should handle days shortened by DST', async (): Promise<void> => {
+      // 2024-03-10 is only 23 hours long in New York
+      await calendarModule.recordActivity('user123', 'daily', at('2024-03-09T23:30:00-05:00'));
+      await calendarModule.recordActivity('user123', 'daily', at('2024-03-10T23:30:00-04:00'));
+      const result = await calendarModule.recordActivity('user123', 'daily', at('2024-03-11T00:30:00-04:00'));
+
+      expect(result.streak).toBe(3);
+      expect(await calendarModule.getStreakExpiry('user123', 'daily'))
+        .toBe(at('2024-03-13T00:00:00-04:00') + 2 * 60 * 60 * 1000);
+    });
+
+    it('should not gain a day when moving west', async (): Promise<void> => {
+      await calendarModule.setTimezone('user123', 'Asia/Tokyo');
+      await calendarModule.recordActivity('user123', 'daily', at('2024-01-02T01:00:00+09:00'));
+
+      await calendarModule.setTimezone('user123', 'America/Los_Angeles');
+      const sameDay = await calendarModule.recordActivity('user123', 'daily', at('2024-01-02T09:00:00-08:00'));
+      const nextDay = await calendarModule.recordActivity('user123', 'daily', at('2024-01-03T09:00:00-08:00'));
+
+      expect(sameDay.message).toContain('already recorded');
+      expect(nextDay.streak).toBe(2);
+    });
+
+    it('should not lose or gain a day when moving east', async (): Promise<void> => {
+      await calendarModule.setTimezone('user123', 'America/Los_Angeles');
+      await calendarModule.recordActivity('user123', 'daily', at('2024-01-01T23:00:00-08:00'));
+
+      await calendarModule.setTimezone('user123', 'Asia/Tokyo');
+      const sameDay = await calendarModule.recordActivity('user123', 'daily', at('2024-01-02T18:00:00+09:00'));
+      const nextDay = await calendarModule.recordActivity('user123', 'daily', at('2024-01-03T09:00:00+09:00'));
+
+      expect(sameDay.message).toContain('already recorded');
+      expect(nextDay.streak).toBe(2);
+    });
+
+    it('should expire streaks at local midnight plus grace', async (): Promise<void> => {
+      await calendarModule.recordActivity('user123', 'daily', at('2024-01-01T10:00:00-05:00'));
+
+      jest.useFakeTimers();
+      jest.setSystemTime(at('2024-01-03T01:59:00-05:00'));
+      await calendarModule.checkExpiredStreaks();
+      expect((await calendarModule.getStreakData('user123', 'daily')).currentStreak).toBe(1);
+
+      jest.setSystemTime(at('2024-01-03T02:01:00-05:00'));
+      await calendarModule.checkExpiredStreaks();
+      expect((await calendarModule.getStreakData('user123', 'daily')).currentStreak).toBe(0);
+    });
+
+    it('should count ISO weeks', async (): Promise<void> => {
+      await calendarModule.recordActivity('user123', 'weekly', at('2024-01-08T09:00:00-05:00'));
+      const sameWeek = await calendarModule.recordActivity('user123', 'weekly', at('2024-01-14T22:00:00-05:00'));
+      const nextWeek = await calendarModule.recordActivity('user123', 'weekly', at('2024-01-15T09:00:00-05:00'));
+
+      expect(sameWeek.message).toBe('Activity already recorded for this week');
+      expect(nextWeek.streak).toBe(2);
+    });
+
+    it('should reject invalid timezones', async (): Promise<void> => {
+      await expect(calendarModule.setTimezone('user123', 'Mars/Olympus'))
+        .rejects.toThrow('timezone must be a valid IANA timezone');
+    });
+  });
+
   describe('error handling', (): void => {
     it('should handle storage errors', async (): Promise<void> => {
       storage.hset = jest.fn().mockRejectedValue(new Error('Storage error'));
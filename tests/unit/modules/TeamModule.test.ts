@@ -0,0 +1,261 @@
+import type { GamificationKit } from '../src/core/GamificationKit.js';
+import { jest } from '@jest/globals';
+import { TeamModule } from '../../../src/modules/TeamModule.js';
+import { PointsModule } from '../../../src/modules/PointsModule.js';
+import { LeaderboardModule } from '../../../src/modules/LeaderboardModule.js';
+import { MemoryStorage } from '../../../src/storage/MemoryStorage.js';
+import { EventManager } from '../../../src/core/EventManager.js';
+import { Logger } from '../../../src/utils/logger.js';
+
+describe('TeamModule', (): void => {
+  let teamModule;
+  let pointsModule;
+  let leaderboardModule;
+  let storage;
+  let eventManager;
+  let logger;
+
+  const setup = async (options = {}) => {
+    teamModule = new TeamModule(options);
+    pointsModule = new PointsModule();
+    leaderboardModule = new LeaderboardModule();
+
+    const modules = new Map();
+    modules.set('points', pointsModule);
+    modules.set('leaderboards', leaderboardModule);
+    modules.set('teams', teamModule);
+
+    for (const module of modules.values()) {
+      module.setContext({
+        storage,
+        eventManager,
+        logger,
+        config: {},
+        modules
+      });
+      await module.initialize();
+    }
+  };
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    eventManager = new EventManager();
+    logger = new Logger({ prefix: 'TeamModule', enabled: false });
+    await storage.connect();
+
+    await setup({ maxMembers: 3 });
+  });
+
+  afterEach(async () => {
+    await leaderboardModule.shutdown();
+    await storage.disconnect();
+    jest.restoreAllMocks();
+  });
+
+  describe('membership', (): void => {
+    it('should create a team with the creator as owner', async () => {
+      const team = await teamModule.createTeam('alice', { id: 'red', name: 'Red' });
+
+      expect(team.ownerId).toBe('alice');
+      expect(team.maxMembers).toBe(3);
+      expect(await teamModule.getUserTeam('alice')).toEqual(expect.objectContaining({ id: 'red', role: 'owner' }));
+    });
+
+    it('should allow only one team per user', async () => {
+      await teamModule.createTeam('alice', { id: 'red', name: 'Red' });
+      await teamModule.createTeam('bob', { id: 'blue', name: 'Blue' });
+
+      await expect(teamModule.createTeam('alice', { name: 'Green' }))
+        .rejects.toThrow('User alice is already in a team');
+      expect(await teamModule.joinTeam('bob', 'red')).toEqual({
+        success: false,
+        reason: 'already_in_team',
+        teamId: 'blue'
+      });
+    });
+
+    it('should enforce the member cap', async () => {
+      await teamModule.createTeam('alice', { id: 'red', name: 'Red' });
+      await teamModule.joinTeam('bob', 'red');
+      await teamModule.joinTeam('carol', 'red');
+
+      const result = await teamModule.joinTeam('dave', 'red');
+
+      expect(result).toEqual({ success: false, reason: 'team_full', maxMembers: 3 });
+      expect(await teamModule.getUserTeam('dave')).toBeNull();
+    });
+
+    it('should throw for unknown teams', async () => {
+      await expect(teamModule.joinTeam('bob', 'missing'))
+        .rejects.toThrow('Team not found: missing');
+    });
+
+    it('should hand ownership to an officer when the owner leaves', async () => {
+      await teamModule.createTeam('alice', { id: 'red', name: 'Red' });
+      await teamModule.joinTeam('bob', 'red');
+      await teamModule.joinTeam('carol', 'red');
+      await teamModule.setRole('alice', 'red', 'carol', 'officer');
+
+      const result = await teamModule.leaveTeam('alice');
+
+      expect(result.newOwnerId).toBe('carol');
+      expect((await teamModule.getTeam('red')).ownerId).toBe('carol');
+      expect((await teamModule.joinTeam('dave', 'red')).success).toBe(true);
+    });
+
+    it('should disband the team when the last member leaves', async () => {
+      await teamModule.createTeam('alice', { id: 'red', name: 'Red' });
+
+      const result = await teamModule.leaveTeam('alice');
+
+      expect(result.disbanded).toBe(true);
+      expect(await teamModule.getTeam('red')).toBeNull();
+    });
+
+    it('should only let higher roles manage members', async () => {
+      await teamModule.createTeam('alice', { id: 'red', name: 'Red' });
+      await teamModule.joinTeam('bob', 'red');
+      await teamModule.joinTeam('carol', 'red');
+
+      expect((await teamModule.removeMember('bob', 'red', 'carol')).reason).toBe('insufficient_role');
+      expect((await teamModule.setRole('bob', 'red', 'bob', 'owner')).reason).toBe('insufficient_role');
+      expect((await teamModule.removeMember('alice', 'red', 'carol')).success).toBe(true);
+      expect(await teamModule.getUserTeam('carol')).toBeNull();
+    });
+
+    it('should send team events to every member', async () => {
+      const emitSpy = jest.spyOn(eventManager, 'emitAsync');
+      await teamModule.createTeam('alice', { id: 'red', name: 'Red' });
+
+      await teamModule.joinTeam('bob', 'red');
+
+      expect(emitSpy).toHaveBeenCalledWith('teams.member.joined', expect.objectContaining({
+        teamId: 'red',
+        userId: 'bob',
+        userIds: ['alice', 'bob']
+      }));
+    });
+  });
+
+  describe('scores', (): void => {
+    beforeEach(async () => {
+      await teamModule.createTeam('alice', { id: 'red', name: 'Red' });
+      await teamModule.joinTeam('bob', 'red');
+    });
+
+    it('should roll member points up onto team leaderboards for every period', async () => {
+      await pointsModule.award('alice', 100);
+      await pointsModule.award('bob', 50);
+
+      expect(await teamModule.getTeamScore('red')).toBe(150);
+
+      for (const period of ['daily', 'weekly', 'monthly', 'all-time']) {
+        const board = await leaderboardModule.getLeaderboard(`teams-points-${period}`);
+        expect(board.entries[0]).toEqual(expect.objectContaining({ userId: 'red', score: 150 }));
+      }
+    });
+
+    it('should drop a member contribution when they leave', async () => {
+      await pointsModule.award('alice', 100);
+      await pointsModule.award('bob', 50);
+
+      await teamModule.leaveTeam('bob');
+
+      expect(await teamModule.getTeamScore('red')).toBe(100);
+      expect(await teamModule.getContributions('red')).toEqual([{ userId: 'alice', score: 100 }]);
+    });
+
+    it('should support average and top-N aggregation', async () => {
+      await teamModule.joinTeam('carol', 'red');
+      await pointsModule.award('alice', 90);
+      await pointsModule.award('bob', 30);
+
+      teamModule.config.aggregation = 'average';
+      expect(await teamModule.getTeamScore('red')).toBe(40);
+
+      teamModule.config.aggregation = 'top';
+      teamModule.config.topN = 1;
+      expect(await teamModule.getTeamScore('red')).toBe(90);
+    });
+
+    it('should report the team in user stats', async () => {
+      await pointsModule.award('bob', 25);
+
+      const stats = await teamModule.getUserStats('bob');
+
+      expect(stats.team).toEqual(expect.objectContaining({ id: 'red', role: 'member', memberCount: 2 }));
+      expect(stats.contributions.points).toBe(25);
+    });
+  });
+
+  describe('team quests', (): void => {
+    beforeEach(async () => {
+      teamModule.addTeamQuest({
+        id: 'raid',
+        name: 'Raid',
+        objectives: [
+          { id: 'bosses', event: 'boss.defeated', target: 3, conditions: { difficulty: 'hard' } }
+        ],
+        rewards: { points: 20 }
+      });
+
+      await teamModule.createTeam('alice', { id: 'red', name: 'Red' });
+      await teamModule.joinTeam('bob', 'red');
+      await teamModule.assignTeamQuest('red', 'raid');
+    });
+
+    it('should share progress between members', async () => {
+      await eventManager.emitAsync('boss.defeated', { userId: 'alice', difficulty: 'hard' });
+      await eventManager.emitAsync('boss.defeated', { userId: 'bob', difficulty: 'hard' });
+      await eventManager.emitAsync('boss.defeated', { userId: 'bob', difficulty: 'easy' });
+
+      const assignment = await teamModule.getTeamQuest('red', 'raid');
+
+      expect(assignment.objectives[0].progress).toBe(2);
+      expect(assignment.contributors).toEqual({ alice: 1, bob: 1 });
+      expect(assignment.completed).toBe(false);
+    });
+
+    it('should reward every member on completion', async () => {
+      await eventManager.emitAsync('boss.defeated', { userId: 'alice', difficulty: 'hard' });
+      await eventManager.emitAsync('boss.defeated', { userId: 'alice', difficulty: 'hard' });
+      await eventManager.emitAsync('boss.defeated', { userId: 'alice', difficulty: 'hard' });
+
+      const assignment = await teamModule.getTeamQuest('red', 'raid');
+
+      expect(assignment.completed).toBe(true);
+      expect(await pointsModule.getPoints('alice')).toBe(20);
+      expect(await pointsModule.getPoints('bob')).toBe(20);
+    });
+
+    it('should not assign an active quest twice', async () => {
+      expect(await teamModule.assignTeamQuest('red', 'raid')).toEqual({
+        success: false,
+        reason: 'already_active'
+      });
+    });
+  });
+
+  describe('resetUser', (): void => {
+    it('should remove the user from their team', async () => {
+      await teamModule.createTeam('alice', { id: 'red', name: 'Red' });
+      await teamModule.joinTeam('bob', 'red');
+
+      await teamModule.resetUser('bob');
+
+      expect(await teamModule.getUserTeam('bob')).toBeNull();
+      expect(await teamModule.getMembers('red')).toHaveLength(1);
+    });
+
+    it('should keep the membership but drop contributions before a rebuild', async () => {
+      await teamModule.createTeam('alice', { id: 'red', name: 'Red' });
+      await teamModule.joinTeam('bob', 'red');
+      await pointsModule.award('bob', 50);
+
+      await teamModule.prepareRebuild('bob');
+
+      expect(await teamModule.getUserTeam('bob')).toEqual(expect.objectContaining({ id: 'red' }));
+      expect(await teamModule.getTeamScore('red')).toBe(0);
+    });
+  });
+});
@@ -1,6 +1,7 @@
 import type { GamificationKit } from '../src/core/GamificationKit.js';
 import { jest } from '@jest/globals';
 import { MemoryStorage } from '../../../src/storage/MemoryStorage.js';
+import { TransactionAbortedError } from '../../../src/storage/StorageInterface.js';
 
 describe('MemoryStorage', (): void => {
   let storage;
@@ -96,6 +97,28 @@ describe('MemoryStorage', (): void => {
       });
     });
 
+    describe('setnx', (): void => {
+      it('should only set missing keys', async (): Promise<void> => {
+        expect(await storage.setnx('lock', 'first')).toBe(true);
+        expect(await storage.setnx('lock', 'second')).toBe(false);
+        expect(await storage.get('lock')).toBe('first');
+      });
+
+      it('should replace expired keys', async (): Promise<void> => {
+        jest.useFakeTimers();
+        const now = Date.now();
+        jest.setSystemTime(now);
+
+        await storage.setnx('lock', 'first', 1);
+        jest.setSystemTime(now + 1001);
+
+        expect(await storage.setnx('lock', 'second')).toBe(true);
+        expect(await storage.get('lock')).toBe('second');
+
+        jest.useRealTimers();
+      });
+    });
+
     describe('delete', (): void => {
       it('should delete existing key', async (): Promise<void> => {
         await storage.set('key', 'value');
@@ -112,6 +135,45 @@ describe('MemoryStorage', (): void => {
       });
     });
 
+    describe('type', (): void => {
+      it('should report the data type holding each key', async (): Promise<void> => {
+        await storage.set('string', 'value');
+        await storage.hset('hash', 'field', 1);
+        await storage.zadd('zset', 1, 'member');
+        await storage.rpush('list', 'a');
+        await storage.sadd('set', 'a');
+
+        expect(await storage.type('string')).toBe('string');
+        expect(await storage.type('hash')).toBe('hash');
+        expect(await storage.type('zset')).toBe('zset');
+        expect(await storage.type('list')).toBe('list');
+        expect(await storage.type('set')).toBe('set');
+        expect(await storage.type('missing')).toBe('none');
+      });
+    });
+
+    describe('rename', (): void => {
+      it('should move the key and its expiry, replacing the target', async (): Promise<void> => {
+        await storage.zadd('board', 10, 'user1');
+        await storage.expire('board', 60);
+        await storage.set('closing', 'stale');
+
+        expect(await storage.rename('board', 'closing')).toBe(true);
+
+        expect(await storage.exists('board')).toBe(false);
+        expect(await storage.get('closing')).toBeNull();
+        expect(await storage.zscore('closing', 'user1')).toBe(10);
+        expect(await storage.ttl('closing')).toBeGreaterThan(0);
+      });
+
+      it('should return false and leave the target when the key is missing', async (): Promise<void> => {
+        await storage.set('closing', 'value');
+
+        expect(await storage.rename('missing', 'closing')).toBe(false);
+        expect(await storage.get('closing')).toBe('value');
+      });
+    });
+
     describe('exists', (): void => {
       it('should return true for existing key', async (): Promise<void> => {
         await storage.set('key', 'value');
@@ -399,6 +461,31 @@ describe('MemoryStorage', (): void => {
         expect(card).toBe(0);
       });
     });
+
+    describe('zrangebyscore/zremrangebyscore', (): void => {
+      beforeEach(async () => {
+        await storage.zadd('leaderboard', [
+          { score: 100, member: 'user1' },
+          { score: 200, member: 'user2' },
+          { score: 300, member: 'user3' }
+        ]);
+      });
+
+      it('should return members within the score range in order', async (): Promise<void> => {
+        expect(await storage.zrangebyscore('leaderboard', 150, '+inf')).toEqual(['user2', 'user3']);
+        expect(await storage.zrangebyscore('leaderboard', '-inf', 200, true)).toEqual([
+          { member: 'user1', score: 100 },
+          { member: 'user2', score: 200 }
+        ]);
+        expect(await storage.zrangebyscore('nonexistent', 0, 100)).toEqual([]);
+      });
+
+      it('should remove members within the score range', async (): Promise<void> => {
+        expect(await storage.zremrangebyscore('leaderboard', '-inf', 200)).toBe(2);
+        expect(await storage.zrange('leaderboard', 0, -1)).toEqual(['user3']);
+        expect(await storage.zremrangebyscore('nonexistent', 0, 100)).toBe(0);
+      });
+    });
   });
 
   describe('hash operations', (): void => {
@@ -506,6 +593,16 @@ describe('MemoryStorage', (): void => {
       });
     });
 
+    describe('hlen', (): void => {
+      it('should count fields', async (): Promise<void> => {
+        await storage.hset('user:123', 'name', 'John');
+        await storage.hset('user:123', 'age', 30);
+
+        expect(await storage.hlen('user:123')).toBe(2);
+        expect(await storage.hlen('nonexistent')).toBe(0);
+      });
+    });
+
     describe('hincrby', (): void => {
       it('should increment field value', async (): Promise<void> => {
         await storage.hset('user:123', 'points', 100);
@@ -653,6 +750,25 @@ describe('MemoryStorage', (): void => {
         expect(range).toEqual(['a', 'b', 'a', 'c']);
       });
     });
+
+    describe('ltrim', (): void => {
+      it('should keep only the given range', async (): Promise<void> => {
+        await storage.rpush('list', 'a', 'b', 'c', 'd');
+
+        await storage.ltrim('list', 0, 1);
+        expect(await storage.lrange('list', 0, -1)).toEqual(['a', 'b']);
+
+        await storage.ltrim('list', -1, -1);
+        expect(await storage.lrange('list', 0, -1)).toEqual(['b']);
+      });
+
+      it('should remove the list when the range is empty', async (): Promise<void> => {
+        await storage.rpush('list', 'a');
+
+        await storage.ltrim('list', 5, 10);
+        expect(await storage.exists('list')).toBe(false);
+      });
+    });
   });
 
   describe('set operations', (): void => {
@@ -741,6 +857,115 @@ describe('MemoryStorage', (): void => {
       const result = await multi.exec();
       expect(result).toEqual([1, 1, ['user1', 'user2']]);
     });
+
+    it('should apply transaction operations and return their results in order', async (): Promise<void> => {
+      const results = await storage.transaction([
+        { method: 'hincrby', args: ['balances', 'user1', 50] },
+        { method: 'lpush', args: ['log:user1', 'award'] },
+        { method: 'zincrby', args: ['board', 50, 'user1'] }
+      ]);
+
+      expect(results).toEqual([50, 1, 50]);
+      expect(await storage.lrange('log:user1', 0, -1)).toEqual(['award']);
+    });
+
+    it('should restore every touched key when an operation fails', async (): Promise<void> => {
+      await storage.hset('balances', 'user1', 10);
+      await storage.sadd('badges', 'first');
+      await storage.expire('badges', 60);
+      storage.rpush = jest.fn().mockRejectedValue(new Error('Storage error'));
+
+      await expect(storage.transaction([
+        { method: 'hincrby', args: ['balances', 'user1', 5] },
+        { method: 'sadd', args: ['badges', 'second'] },
+        { method: 'set', args: ['fresh', 1] },
+        { method: 'rpush', args: ['log', 'x'] }
+      ])).rejects.toThrow('Storage error');
+
+      expect(await storage.hget('balances', 'user1')).toBe(10);
+      expect(await storage.smembers('badges')).toEqual(['first']);
+      expect(await storage.ttl('badges')).toBeGreaterThan(0);
+      expect(await storage.exists('fresh')).toBe(false);
+    });
+
+    it('should only roll back the fields and members a failed transaction touched', async (): Promise<void> => {
+      await storage.hset('balances', 'user1', 10);
+      await storage.zadd('board', 10, 'user1');
+      storage.lpush = jest.fn(async () => {
+        await storage.hset('balances', 'user2', 99);
+        throw new Error('Storage error');
+      });
+
+      const transaction = storage.transaction([
+        { method: 'hincrby', args: ['balances', 'user1', 5] },
+        { method: 'zincrby', args: ['board', 5, 'user1'] },
+        { method: 'lpush', args: ['log', 'x'] }
+      ]);
+      const write = storage.zadd('board', 7, 'user2');
+
+      await expect(transaction).rejects.toThrow('Storage error');
+      await write;
+      expect(await storage.hgetall('balances')).toEqual({ user1: 10, user2: 99 });
+      expect(await storage.zrange('board', 0, -1, true)).toEqual([
+        { member: 'user2', score: 7 },
+        { member: 'user1', score: 10 }
+      ]);
+    });
+
+    it('should hold plain writes until open transactions finish', async (): Promise<void> => {
+      const originalHincrby = storage.hincrby.bind(storage);
+      storage.hincrby = async (...args) => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        return originalHincrby(...args);
+      };
+
+      const transaction = storage.transaction([
+        { method: 'hincrby', args: ['balances', 'user1', 10] },
+        { method: 'hincrby', args: ['balances', 'user1', -50], min: 0 }
+      ]).catch(error => error);
+      await new Promise(resolve => setTimeout(resolve, 1));
+      await storage.hset('balances', 'user1', 100);
+
+      expect(await transaction).toBeInstanceOf(TransactionAbortedError);
+      expect(await storage.hget('balances', 'user1')).toBe(100);
+    });
+
+    it('should abort and undo the transaction when a result is out of bounds', async (): Promise<void> => {
+      await storage.hset('balances', 'user1', 30);
+
+      const error = await storage.transaction([
+        { method: 'lpush', args: ['log', 'deduct'] },
+        { method: 'hincrby', args: ['balances', 'user1', -50], min: 0 }
+      ]).catch(error => error);
+
+      expect(error).toBeInstanceOf(TransactionAbortedError);
+      expect(error.result).toBe(-20);
+      expect(await storage.hget('balances', 'user1')).toBe(30);
+      expect(await storage.llen('log')).toBe(0);
+    });
+
+    it('should reject operations that cannot run in a transaction', async (): Promise<void> => {
+      await expect(storage.transaction([{ method: 'keys', args: ['*'] }]))
+        .rejects.toThrow('Unsupported transaction operation: keys');
+      await expect(storage.transaction([{ method: 'set', args: ['a', 1], max: 1 }]))
+        .rejects.toThrow('cannot be bounded');
+    });
+
+    it('should never interleave concurrent transactions', async (): Promise<void> => {
+      const originalHincrby = storage.hincrby.bind(storage);
+      storage.hincrby = async (...args) => {
+        await new Promise(resolve => setTimeout(resolve, 1));
+        return originalHincrby(...args);
+      };
+
+      await Promise.all(Array.from({ length: 20 }, (_, i) => storage.transaction([
+        { method: 'hincrby', args: ['balances', 'user1', 10] },
+        { method: 'lpush', args: ['log', i] }
+      ])));
+
+      expect(await storage.hget('balances', 'user1')).toBe(200);
+      expect(await storage.llen('log')).toBe(20);
+    });
   });
 
   describe('increment/decrement', (): void => {
@@ -1,5 +1,6 @@
 import type { GamificationKit } from '../src/core/GamificationKit.js';
 import { MongoStorage } from '../../../src/storage/MongoStorage.js';
+import { TransactionAbortedError } from '../../../src/storage/StorageInterface.js';
 import { jest } from '@jest/globals';
 
 describe('MongoStorage', (): void => {
@@ -66,6 +67,7 @@ describe('MongoStorage', (): void => {
       toArray: jest.fn().mockResolvedValue([]),
       replaceOne: jest.fn().mockResolvedValue({ acknowledged: true }),
       updateOne: jest.fn().mockResolvedValue({ modifiedCount: 1 }),
+      updateMany: jest.fn().mockResolvedValue({ modifiedCount: 1 }),
       deleteOne: jest.fn().mockResolvedValue({ deletedCount: 1 }),
       deleteMany: jest.fn().mockResolvedValue({ deletedCount: 0 }),
       countDocuments: jest.fn().mockResolvedValue(0),
@@ -231,6 +233,25 @@ describe('MongoStorage', (): void => {
       });
     });
 
+    describe('setnx', (): void => {
+      it('should upsert only over expired documents', async (): Promise<void> => {
+        const result = await storage.setnx('key', 'value', 60);
+
+        expect(result).toBe(true);
+        expect(mockCollections.keyvalue.updateOne).toHaveBeenCalledWith(
+          { key: 'key', expiresAt: { $lte: expect.any(Date) } },
+          { $set: { value: 'value', updatedAt: expect.any(Date), expiresAt: expect.any(Date) } },
+          { upsert: true }
+        );
+      });
+
+      it('should return false when a live document exists', async (): Promise<void> => {
+        mockCollections.keyvalue.updateOne.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+        expect(await storage.setnx('key', 'value')).toBe(false);
+      });
+    });
+
     describe('delete', (): void => {
       it('should delete key from all collections', async (): Promise<void> => {
         mockCollections.keyvalue.deleteMany.mockResolvedValue({ deletedCount: 1 });
@@ -250,6 +271,19 @@ describe('MongoStorage', (): void => {
       });
     });
 
+    describe('type', (): void => {
+      it('should return the type of the first collection holding the key', async (): Promise<void> => {
+        mockCollections.keyvalue.countDocuments.mockResolvedValue(0);
+        mockCollections.sortedsets.countDocuments.mockResolvedValue(1);
+
+        expect(await storage.type('key')).toBe('zset');
+      });
+
+      it('should return none for missing keys', async (): Promise<void> => {
+        expect(await storage.type('key')).toBe('none');
+      });
+    });
+
     describe('exists', (): void => {
       it('should return true if key exists', async (): Promise<void> => {
         mockCollections.keyvalue.countDocuments.mockResolvedValue(1);
@@ -730,6 +764,95 @@ describe('MongoStorage', (): void => {
       expect(storage.increment).toHaveBeenCalledWith('counter', 1);
       expect(storage.zadd).toHaveBeenCalledWith('leaderboard', 100, 'player1');
     });
+
+    it('should pass the session to every driver call', async (): Promise<void> => {
+      const session = mockClient.startSession();
+      mockClient.startSession.mockClear();
+      mockCollections.hashes.findOneAndUpdate.mockResolvedValue({ fields: { user1: 150 } });
+
+      const results = await storage.transaction([
+        { method: 'hincrby', args: ['balances', 'user1', 50] },
+        { method: 'sadd', args: ['badges', 'first'] }
+      ]);
+
+      expect(results).toEqual([150, 1]);
+      expect(mockCollections.hashes.findOneAndUpdate.mock.calls[0][2]).toMatchObject({ session, upsert: true });
+      expect(mockCollections.sets.updateOne.mock.calls[0][2]).toMatchObject({ session, upsert: true });
+      expect(session.endSession).toHaveBeenCalled();
+
+      await storage.hget('balances', 'user1');
+      expect(mockCollections.hashes.findOne).toHaveBeenCalledWith({ key: 'balances' });
+    });
+
+    it('should abort when a bounded result is out of range', async (): Promise<void> => {
+      mockCollections.hashes.findOneAndUpdate.mockResolvedValue({ fields: { user1: -20 } });
+
+      const error = await storage.transaction([
+        { method: 'hincrby', args: ['balances', 'user1', -50], min: 0 },
+        { method: 'lpush', args: ['log', 'deduct'] }
+      ]).catch(error => error);
+
+      expect(error).toBeInstanceOf(TransactionAbortedError);
+      expect(mockCollections.lists.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rename', (): void => {
+    let session;
+
+    beforeEach(() => {
+      storage.db = mockDb;
+      storage.client = mockClient;
+      session = mockClient.startSession();
+      mockClient.startSession.mockClear();
+      mockCollections.keyvalue.countDocuments.mockResolvedValue(1);
+    });
+
+    it('should move the key in every collection within one session', async (): Promise<void> => {
+      expect(await storage.rename('board', 'board:closing')).toBe(true);
+
+      for (const collection of Object.values(mockCollections) as any[]) {
+        expect(collection.deleteMany).toHaveBeenCalledWith({ key: 'board:closing' }, { session });
+        expect(collection.updateMany).toHaveBeenCalledWith(
+          { key: 'board' }, { $set: { key: 'board:closing' } }, { session }
+        );
+      }
+      expect(session.endSession).toHaveBeenCalled();
+    });
+
+    it('should leave a missing key alone', async (): Promise<void> => {
+      mockCollections.keyvalue.countDocuments.mockResolvedValue(0);
+
+      expect(await storage.rename('board', 'board:closing')).toBe(false);
+      expect(mockCollections.keyvalue.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should roll the rename back when the transaction aborts', async (): Promise<void> => {
+      // Writes made in the session are discarded when the callback fails
+      const writes = [];
+      session.withTransaction.mockImplementation(async (callback) => {
+        try {
+          return await callback();
+        } catch (error) {
+          writes.length = 0;
+          throw error;
+        }
+      });
+      for (const collection of Object.values(mockCollections) as any[]) {
+        collection.updateMany.mockImplementation(async (filter, update, options) => {
+          expect(options).toEqual({ session });
+          writes.push(filter.key);
+          return { modifiedCount: 1 };
+        });
+      }
+      mockCollections.sets.updateMany.mockRejectedValue(new Error('WriteConflict'));
+
+      await expect(storage.rename('board', 'board:closing')).rejects.toThrow('WriteConflict');
+      expect(mockCollections.sortedsets.updateMany).toHaveBeenCalled();
+      expect(mockCollections.hashes.updateMany).not.toHaveBeenCalled();
+      expect(writes).toEqual([]);
+      expect(session.endSession).toHaveBeenCalled();
+    });
   });
 
   describe('clear', (): void => {
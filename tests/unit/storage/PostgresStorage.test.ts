@@ -1,5 +1,6 @@
 import type { GamificationKit } from '../src/core/GamificationKit.js';
 import { PostgresStorage } from '../../../src/storage/PostgresStorage.js';
+import { TransactionAbortedError } from '../../../src/storage/StorageInterface.js';
 import { jest } from '@jest/globals';
 
 describe('PostgresStorage', (): void => {
@@ -196,6 +197,24 @@ describe('PostgresStorage', (): void => {
       });
     });
 
+    describe('setnx', (): void => {
+      it('should only overwrite expired rows', async (): Promise<void> => {
+        mockPool.query.mockResolvedValue({ rows: [{ key: 'key' }] });
+
+        expect(await storage.setnx('key', 'value', 60)).toBe(true);
+        expect(mockPool.query).toHaveBeenCalledWith(
+          expect.stringContaining('expires_at <= NOW()'),
+          ['key', JSON.stringify('value'), '60']
+        );
+      });
+
+      it('should return false when the key is taken', async (): Promise<void> => {
+        mockPool.query.mockResolvedValue({ rows: [] });
+
+        expect(await storage.setnx('key', 'value')).toBe(false);
+      });
+    });
+
     describe('delete', (): void => {
       it('should delete key from all tables', async (): Promise<void> => {
         mockPool.query.mockResolvedValue({ rowCount: 1 });
@@ -218,6 +237,23 @@ describe('PostgresStorage', (): void => {
       });
     });
 
+    describe('type', (): void => {
+      it('should return the type of the first table holding the key', async (): Promise<void> => {
+        mockPool.query
+          .mockResolvedValueOnce({ rows: [] }) // keyvalue
+          .mockResolvedValueOnce({ rows: [{ '?column?': 1 }] }); // hashes
+
+        expect(await storage.type('key')).toBe('hash');
+        expect(mockPool.query).toHaveBeenCalledTimes(2);
+      });
+
+      it('should return none for missing keys', async (): Promise<void> => {
+        mockPool.query.mockResolvedValue({ rows: [] });
+
+        expect(await storage.type('key')).toBe('none');
+      });
+    });
+
     describe('exists', (): void => {
       it('should return true if key exists', async (): Promise<void> => {
         mockPool.query.mockResolvedValue({ rows: [{ count: '1' }] });
@@ -614,6 +650,44 @@ describe('PostgresStorage', (): void => {
       
       expect(results).toEqual([true, 1, true]);
     });
+
+    it('should run every operation on the transaction connection', async (): Promise<void> => {
+      mockClient.query.mockResolvedValue({ rows: [{ value: 150 }], rowCount: 1 });
+
+      const results = await storage.transaction([
+        { method: 'hincrby', args: ['balances', 'user1', 50] },
+        { method: 'sadd', args: ['badges', 'first'] }
+      ]);
+
+      const queries = mockClient.query.mock.calls.map(call => call[0]);
+      expect(results).toEqual([150, 1]);
+      expect(queries[0]).toBe('BEGIN');
+      expect(queries[1]).toContain('INSERT INTO gk_hashes');
+      expect(queries[2]).toContain('INSERT INTO gk_sets');
+      expect(queries[3]).toBe('COMMIT');
+      expect(mockPool.query).not.toHaveBeenCalled();
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+
+    it('should roll back when a bounded result is out of range', async (): Promise<void> => {
+      mockClient.query.mockResolvedValue({ rows: [{ value: -20 }], rowCount: 1 });
+
+      await expect(storage.transaction([
+        { method: 'hincrby', args: ['balances', 'user1', -50], min: 0 },
+        { method: 'lpush', args: ['log', 'deduct'] }
+      ])).rejects.toThrow(TransactionAbortedError);
+
+      const queries = mockClient.query.mock.calls.map(call => call[0]);
+      expect(queries).toHaveLength(3);
+      expect(queries[2]).toBe('ROLLBACK');
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+
+    it('should reject unsupported operations before connecting', async (): Promise<void> => {
+      await expect(storage.transaction([{ method: 'get', args: ['key'] }]))
+        .rejects.toThrow('Unsupported transaction operation: get');
+      expect(mockPool.connect).not.toHaveBeenCalled();
+    });
   });
 
   describe('cleanup job', (): void => {
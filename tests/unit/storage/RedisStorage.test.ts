@@ -1,5 +1,6 @@
 import type { GamificationKit } from '../src/core/GamificationKit.js';
 import { RedisStorage } from '../../../src/storage/RedisStorage.js';
+import { TransactionAbortedError } from '../../../src/storage/StorageInterface.js';
 import { jest } from '@jest/globals';
 
 describe('RedisStorage', (): void => {
@@ -17,6 +18,7 @@ describe('RedisStorage', (): void => {
       setEx: jest.fn().mockResolvedValue('OK'),
       del: jest.fn().mockResolvedValue(0),
       exists: jest.fn().mockResolvedValue(0),
+      type: jest.fn().mockResolvedValue('none'),
       incr: jest.fn().mockResolvedValue(1),
       incrBy: jest.fn().mockResolvedValue(1),
       decr: jest.fn().mockResolvedValue(0),
@@ -214,6 +216,30 @@ describe('RedisStorage', (): void => {
       });
     });
 
+    describe('setnx', (): void => {
+      it('should use SET NX with expiry', async (): Promise<void> => {
+        mockClient.set.mockResolvedValue('OK');
+
+        expect(await storage.setnx('key', { value: 'data' }, 60)).toBe(true);
+        expect(mockClient.set).toHaveBeenCalledWith('test:key', '{"value":"data"}', { NX: true, EX: 60 });
+      });
+
+      it('should return false when the key exists', async (): Promise<void> => {
+        mockClient.set.mockResolvedValue(null);
+
+        expect(await storage.setnx('key', 'value')).toBe(false);
+      });
+    });
+
+    describe('type', (): void => {
+      it('should use TYPE on the prefixed key', async (): Promise<void> => {
+        mockClient.type.mockResolvedValue('hash');
+
+        expect(await storage.type('key')).toBe('hash');
+        expect(mockClient.type).toHaveBeenCalledWith('test:key');
+      });
+    });
+
     describe('delete', (): void => {
       it('should delete key successfully', async (): Promise<void> => {
         mockClient.del.mockResolvedValue(1);
@@ -626,17 +652,21 @@ describe('RedisStorage', (): void => {
         { method: 'zadd', args: ['leaderboard', 100, 'player1'] }
       ];
 
-      mockClient.multi.mockReturnValue({
+      const multi = {
         set: jest.fn().mockReturnThis(),
-        incr: jest.fn().mockReturnThis(),
+        incrBy: jest.fn().mockReturnThis(),
         zAdd: jest.fn().mockReturnThis(),
         exec: jest.fn().mockResolvedValue(['OK', 1, 1])
-      });
+      };
+      mockClient.multi.mockReturnValue(multi);
 
       const results = await storage.transaction(operations);
       
-      expect(results).toEqual(['OK', 1, 1]);
+      expect(results).toEqual([undefined, 1, 1]);
       expect(mockClient.multi).toHaveBeenCalled();
+      expect(multi.set).toHaveBeenCalledWith('test:key1', 'value1');
+      expect(multi.incrBy).toHaveBeenCalledWith('test:counter', 1);
+      expect(multi.zAdd).toHaveBeenCalledWith('test:leaderboard', { score: 100, value: 'player1' });
     });
 
     it('should handle transaction errors', async (): Promise<void> => {
@@ -651,6 +681,72 @@ describe('RedisStorage', (): void => {
 
       await expect(storage.transaction(operations)).rejects.toThrow('Transaction failed');
     });
+
+    describe('with bounded operations', (): void => {
+      let isolated;
+      let multi;
+
+      beforeEach(() => {
+        multi = {
+          hIncrBy: jest.fn().mockReturnThis(),
+          lPush: jest.fn().mockReturnThis(),
+          exec: jest.fn().mockResolvedValue([20, 1])
+        };
+        isolated = {
+          watch: jest.fn().mockResolvedValue('OK'),
+          hGet: jest.fn().mockResolvedValue('70'),
+          sIsMember: jest.fn().mockResolvedValue(false),
+          multi: jest.fn().mockReturnValue(multi)
+        };
+        mockClient.executeIsolated = jest.fn(async (fn) => fn(isolated));
+      });
+
+      it('should watch the keys and queue the operations when bounds hold', async (): Promise<void> => {
+        const results = await storage.transaction([
+          { method: 'hincrby', args: ['balances', 'user1', -50], min: 0 },
+          { method: 'lpush', args: ['log', 'deduct'] }
+        ]);
+
+        expect(results).toEqual([20, 1]);
+        expect(isolated.watch).toHaveBeenCalledWith(['test:balances', 'test:log']);
+        expect(isolated.hGet).toHaveBeenCalledWith('test:balances', 'user1');
+        expect(multi.hIncrBy).toHaveBeenCalledWith('test:balances', 'user1', -50);
+        expect(multi.lPush).toHaveBeenCalledWith('test:log', ['deduct']);
+      });
+
+      it('should abort without writing when a predicted result is out of bounds', async (): Promise<void> => {
+        isolated.hGet.mockResolvedValue('30');
+
+        await expect(storage.transaction([
+          { method: 'lpush', args: ['log', 'deduct'] },
+          { method: 'hincrby', args: ['balances', 'user1', -50], min: 0 }
+        ])).rejects.toThrow(TransactionAbortedError);
+
+        expect(isolated.multi).not.toHaveBeenCalled();
+      });
+
+      it('should count set members an earlier operation adds', async (): Promise<void> => {
+        await expect(storage.transaction([
+          { method: 'sadd', args: ['badges', 'first'] },
+          { method: 'sadd', args: ['badges', 'first'], min: 1 }
+        ])).rejects.toThrow(TransactionAbortedError);
+      });
+
+      it('should retry when a watched key changes before EXEC', async (): Promise<void> => {
+        class WatchError extends Error {}
+        multi.exec
+          .mockRejectedValueOnce(new WatchError('One (or more) of the watched keys has been changed'))
+          .mockResolvedValueOnce([20, 1]);
+
+        const results = await storage.transaction([
+          { method: 'hincrby', args: ['balances', 'user1', -50], min: 0 },
+          { method: 'lpush', args: ['log', 'deduct'] }
+        ]);
+
+        expect(results).toEqual([20, 1]);
+        expect(mockClient.executeIsolated).toHaveBeenCalledTimes(2);
+      });
+    });
   });
 
   describe('clear', (): void => {
@@ -0,0 +1,408 @@
+import type { GamificationKit } from '../src/core/GamificationKit.js';
+import { jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { SqliteStorage } from '../../../src/storage/SqliteStorage.js';
+import { TransactionAbortedError } from '../../../src/storage/StorageInterface.js';
+
+describe('SqliteStorage', (): void => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = new SqliteStorage({ filename: ':memory:' });
+    await storage.connect();
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    await storage.disconnect();
+  });
+
+  describe('constructor', (): void => {
+    it('should reject table prefixes that could inject SQL', () => {
+      expect(() => new SqliteStorage({ tablePrefix: 'gk; DROP TABLE x' })).toThrow('Invalid tablePrefix');
+    });
+  });
+
+  describe('connect/disconnect', (): void => {
+    it('should keep data in the file across connections', async (): Promise<void> => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gk-sqlite-'));
+      const filename = path.join(dir, 'test.db');
+
+      try {
+        const first = new SqliteStorage({ filename });
+        await first.connect();
+        await first.set('key', { value: 1 });
+        await first.zadd('board', 5, 'user1');
+        await first.disconnect();
+
+        const second = new SqliteStorage({ filename });
+        await second.connect();
+        expect(await second.get('key')).toEqual({ value: 1 });
+        expect(await second.zscore('board', 'user1')).toBe(5);
+        await second.disconnect();
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should report its connection state', async (): Promise<void> => {
+      expect(storage.isConnected()).toBe(true);
+      await storage.disconnect();
+      expect(storage.isConnected()).toBe(false);
+    });
+  });
+
+  describe('basic operations', (): void => {
+    it('should set and get JSON values', async (): Promise<void> => {
+      await storage.set('string', 'value');
+      await storage.set('object', { nested: [1, 2] });
+      await storage.set('zero', 0);
+
+      expect(await storage.get('string')).toBe('value');
+      expect(await storage.get('object')).toEqual({ nested: [1, 2] });
+      expect(await storage.get('zero')).toBe(0);
+      expect(await storage.get('missing')).toBeNull();
+    });
+
+    it('should only setnx missing or expired keys', async (): Promise<void> => {
+      jest.useFakeTimers();
+      const now = Date.now();
+      jest.setSystemTime(now);
+
+      expect(await storage.setnx('lock', 'first', 1)).toBe(true);
+      expect(await storage.setnx('lock', 'second')).toBe(false);
+
+      jest.setSystemTime(now + 1001);
+      expect(await storage.setnx('lock', 'third')).toBe(true);
+      expect(await storage.get('lock')).toBe('third');
+      expect(await storage.ttl('lock')).toBe(-1);
+    });
+
+    it('should delete keys of every type', async (): Promise<void> => {
+      await storage.hset('hash', 'field', 1);
+
+      expect(await storage.delete('hash')).toBe(true);
+      expect(await storage.delete('hash')).toBe(false);
+      expect(await storage.exists('hash')).toBe(false);
+    });
+
+    it('should report the type of each key', async (): Promise<void> => {
+      await storage.set('string', 'value');
+      await storage.hset('hash', 'field', 1);
+      await storage.zadd('zset', 1, 'member');
+      await storage.rpush('list', 'a');
+      await storage.sadd('set', 'a');
+
+      expect(await storage.type('string')).toBe('string');
+      expect(await storage.type('hash')).toBe('hash');
+      expect(await storage.type('zset')).toBe('zset');
+      expect(await storage.type('list')).toBe('list');
+      expect(await storage.type('set')).toBe('set');
+      expect(await storage.type('missing')).toBe('none');
+    });
+
+    it('should increment and decrement counters', async (): Promise<void> => {
+      expect(await storage.increment('counter')).toBe(1);
+      expect(await storage.increment('counter', 5)).toBe(6);
+      expect(await storage.decrement('counter', 2)).toBe(4);
+
+      await storage.set('text', 'abc');
+      await expect(storage.increment('text')).rejects.toThrow('Value is not a number');
+    });
+
+    it('should keep the expiry when incrementing', async (): Promise<void> => {
+      await storage.set('counter', 1, 60);
+      await storage.increment('counter');
+
+      expect(await storage.ttl('counter')).toBeGreaterThan(0);
+    });
+
+    it('should get, set and delete many keys', async (): Promise<void> => {
+      await storage.mset({ a: 1, b: 2 });
+      await storage.mset([['c', 3]]);
+
+      expect(await storage.mget(['a', 'b', 'c', 'd'])).toEqual([1, 2, 3, null]);
+      expect(await storage.mdelete(['a', 'b', 'd'])).toBe(2);
+    });
+  });
+
+  describe('keys', (): void => {
+    beforeEach(async () => {
+      await storage.set('user:1', 'a');
+      await storage.hset('user:2', 'field', 'b');
+      await storage.zadd('board:points', 1, 'user1');
+      await storage.set('User:3', 'c');
+    });
+
+    it('should match Redis-style wildcards across data types', async (): Promise<void> => {
+      expect((await storage.keys('user:*')).sort()).toEqual(['user:1', 'user:2']);
+      expect(await storage.keys('user:?')).toHaveLength(2);
+      expect(await storage.keys('*')).toHaveLength(4);
+    });
+
+    it('should list keys by prefix with pagination', async (): Promise<void> => {
+      expect(await storage.list({ prefix: 'user:' })).toEqual(['user:1', 'user:2']);
+      expect(await storage.list({ limit: 2, offset: 1 })).toEqual(['board:points', 'user:1']);
+    });
+
+    it('should clear keys matching a pattern', async (): Promise<void> => {
+      expect(await storage.clear('user:*')).toBe(2);
+      expect(await storage.keys('*')).toEqual(expect.arrayContaining(['User:3', 'board:points']));
+    });
+  });
+
+  describe('sorted sets', (): void => {
+    beforeEach(async () => {
+      await storage.zadd('board', 100, 'player1');
+      await storage.zadd('board', 300, 'player3');
+      await storage.zadd('board', 200, 'player2');
+    });
+
+    it('should report whether a member was added', async (): Promise<void> => {
+      expect(await storage.zadd('board', 400, 'player4')).toBe(1);
+      expect(await storage.zadd('board', 50, 'player4')).toBe(0);
+      expect(await storage.zscore('board', 'player4')).toBe(50);
+    });
+
+    it('should range by ascending and descending score', async (): Promise<void> => {
+      expect(await storage.zrange('board', 0, -1)).toEqual(['player1', 'player2', 'player3']);
+      expect(await storage.zrevrange('board', 0, 1, true)).toEqual([
+        { member: 'player3', score: 300 },
+        { member: 'player2', score: 200 }
+      ]);
+      expect(await storage.zrange('board', -2, -1, { withScores: true })).toEqual([
+        { member: 'player2', score: 200 },
+        { member: 'player3', score: 300 }
+      ]);
+      expect(await storage.zrevrange('board', 5, 10)).toEqual([]);
+    });
+
+    it('should rank members in both directions', async (): Promise<void> => {
+      expect(await storage.zrank('board', 'player1')).toBe(0);
+      expect(await storage.zrevrank('board', 'player1')).toBe(2);
+      expect(await storage.zrevrank('board', 'nobody')).toBeNull();
+    });
+
+    it('should order ties by member like the range queries', async (): Promise<void> => {
+      await storage.zadd('board', 200, 'player0');
+
+      const order = await storage.zrevrange('board', 0, -1);
+      for (const [index, member] of order.entries()) {
+        expect(await storage.zrevrank('board', member)).toBe(index);
+      }
+    });
+
+    it('should count members by score with infinite bounds', async (): Promise<void> => {
+      expect(await storage.zcount('board', 150, 300)).toBe(2);
+      expect(await storage.zcount('board', '-inf', 200)).toBe(2);
+      expect(await storage.zcount('board', 200, '+inf')).toBe(2);
+      expect(await storage.zcount('board', '-inf', '+inf')).toBe(3);
+    });
+
+    it('should increment scores and remove members', async (): Promise<void> => {
+      expect(await storage.zincrby('board', 50, 'player1')).toBe(150);
+      expect(await storage.zincrby('board', 10, 'player9')).toBe(10);
+      expect(await storage.zrem('board', 'player9')).toBe(1);
+      expect(await storage.zcard('board')).toBe(3);
+    });
+  });
+
+  describe('lists', (): void => {
+    it('should push and pop at both ends', async (): Promise<void> => {
+      expect(await storage.rpush('list', 'b', 'c')).toBe(2);
+      expect(await storage.lpush('list', 'a')).toBe(3);
+      expect(await storage.lrange('list', 0, -1)).toEqual(['a', 'b', 'c']);
+
+      expect(await storage.lpop('list')).toBe('a');
+      expect(await storage.rpop('list')).toBe('c');
+      expect(await storage.llen('list')).toBe(1);
+      expect(await storage.lpop('missing')).toBeNull();
+    });
+
+    it('should push several values to the head in Redis order', async (): Promise<void> => {
+      await storage.lpush('list', 'a', 'b', 'c');
+
+      expect(await storage.lrange('list', 0, -1)).toEqual(['c', 'b', 'a']);
+    });
+
+    it('should range with negative indices and keep JSON values', async (): Promise<void> => {
+      await storage.rpush('list', { id: 1 }, { id: 2 }, { id: 3 });
+
+      expect(await storage.lrange('list', -2, -1)).toEqual([{ id: 2 }, { id: 3 }]);
+      expect(await storage.lrange('list', 1, 100)).toEqual([{ id: 2 }, { id: 3 }]);
+    });
+
+    it('should remove matching values from either end', async (): Promise<void> => {
+      await storage.rpush('list', 'x', 'a', 'x', 'b', 'x');
+
+      expect(await storage.lrem('list', 1, 'x')).toBe(1);
+      expect(await storage.lrem('list', -1, 'x')).toBe(1);
+      expect(await storage.lrange('list', 0, -1)).toEqual(['a', 'x', 'b']);
+      expect(await storage.lrem('list', 0, 'x')).toBe(1);
+    });
+
+    it('should trim to a range', async (): Promise<void> => {
+      await storage.rpush('list', 'a', 'b', 'c', 'd');
+
+      await storage.ltrim('list', 1, -2);
+      expect(await storage.lrange('list', 0, -1)).toEqual(['b', 'c']);
+
+      await storage.ltrim('list', 5, 10);
+      expect(await storage.llen('list')).toBe(0);
+    });
+  });
+
+  describe('sets', (): void => {
+    it('should add, check and remove members', async (): Promise<void> => {
+      expect(await storage.sadd('set', 'a', 'b')).toBe(2);
+      expect(await storage.sadd('set', ['b', 'c'])).toBe(1);
+      expect(await storage.sismember('set', 'c')).toBe(true);
+      expect(await storage.srem('set', 'a')).toBe(1);
+      expect((await storage.smembers('set')).sort()).toEqual(['b', 'c']);
+      expect(await storage.scard('set')).toBe(2);
+    });
+  });
+
+  describe('hashes', (): void => {
+    it('should store and read fields', async (): Promise<void> => {
+      await storage.hset('hash', 'name', 'Alice');
+      await storage.hmset('hash', { level: 3, tags: ['a'] });
+
+      expect(await storage.hget('hash', 'level')).toBe(3);
+      expect(await storage.hgetall('hash')).toEqual({ name: 'Alice', level: 3, tags: ['a'] });
+      expect(await storage.hmget('hash', ['name', 'missing'])).toEqual(['Alice', null]);
+      expect((await storage.hkeys('hash')).sort()).toEqual(['level', 'name', 'tags']);
+      expect(await storage.hlen('hash')).toBe(3);
+      expect(await storage.hexists('hash', 'name')).toBe(true);
+      expect(await storage.hdel('hash', 'name', 'tags')).toBe(2);
+      expect(await storage.hvals('hash')).toEqual([3]);
+    });
+
+    it('should increment numeric fields only', async (): Promise<void> => {
+      expect(await storage.hincrby('hash', 'count', 5)).toBe(5);
+      expect(await storage.hincrby('hash', 'count', -2)).toBe(3);
+
+      await storage.hset('hash', 'name', 'Alice');
+      await expect(storage.hincrby('hash', 'name', 1)).rejects.toThrow('Hash field is not a number');
+    });
+  });
+
+  describe('expiry', (): void => {
+    it('should expire keys of every type', async (): Promise<void> => {
+      jest.useFakeTimers();
+      const now = Date.now();
+      jest.setSystemTime(now);
+
+      await storage.set('string', 'value', 1);
+      await storage.zadd('zset', 1, 'member');
+      await storage.rpush('list', 'a');
+      expect(await storage.expire('zset', 1)).toBe(true);
+      expect(await storage.expire('list', 1)).toBe(true);
+      expect(await storage.expire('missing', 1)).toBe(false);
+
+      expect(await storage.ttl('zset')).toBe(1);
+
+      jest.setSystemTime(now + 1001);
+
+      expect(await storage.get('string')).toBeNull();
+      expect(await storage.zrange('zset', 0, -1)).toEqual([]);
+      expect(await storage.llen('list')).toBe(0);
+      expect(await storage.keys('*')).toEqual([]);
+      expect(await storage.ttl('string')).toBe(-2);
+    });
+
+    it('should start expired collections afresh', async (): Promise<void> => {
+      jest.useFakeTimers();
+      const now = Date.now();
+      jest.setSystemTime(now);
+
+      await storage.sadd('set', 'old');
+      await storage.expire('set', 1);
+      jest.setSystemTime(now + 1001);
+      await storage.sadd('set', 'new');
+
+      expect(await storage.smembers('set')).toEqual(['new']);
+      expect(await storage.ttl('set')).toBe(-1);
+    });
+
+    it('should clear expiries on set and persist', async (): Promise<void> => {
+      await storage.set('key', 'value', 60);
+      await storage.set('key', 'other');
+      expect(await storage.ttl('key')).toBe(-1);
+
+      await storage.setex('temp', 60, 'value');
+      expect(await storage.persist('temp')).toBe(true);
+      expect(await storage.ttl('temp')).toBe(-1);
+    });
+  });
+
+  describe('transaction', (): void => {
+    it('should apply every operation together', async (): Promise<void> => {
+      const results = await storage.transaction([
+        { method: 'set', args: ['a', 1] },
+        { method: 'increment', args: ['a', 2] },
+        { method: 'zadd', args: ['board', 10, 'user1'] }
+      ]);
+
+      expect(results).toEqual([undefined, 3, 1]);
+      expect(await storage.get('a')).toBe(3);
+    });
+
+    it('should roll everything back when an operation fails', async (): Promise<void> => {
+      await storage.set('text', 'abc');
+
+      await expect(storage.transaction([
+        { method: 'set', args: ['a', 1] },
+        { method: 'rpush', args: ['list', 'x'] },
+        { method: 'increment', args: ['text'] }
+      ])).rejects.toThrow('Value is not a number');
+
+      expect(await storage.exists('a')).toBe(false);
+      expect(await storage.llen('list')).toBe(0);
+    });
+
+    it('should roll back when a bounded result is out of range', async (): Promise<void> => {
+      await storage.sadd('badges', 'first');
+
+      await expect(storage.transaction([
+        { method: 'lpush', args: ['awards', 'first'] },
+        { method: 'sadd', args: ['badges', 'first'], min: 1 }
+      ])).rejects.toThrow(TransactionAbortedError);
+
+      expect(await storage.llen('awards')).toBe(0);
+    });
+
+    it('should run concurrent transactions one after another', async (): Promise<void> => {
+      await Promise.all(Array.from({ length: 10 }, (_, i) => storage.transaction([
+        { method: 'hincrby', args: ['balances', 'user1', 5] },
+        { method: 'rpush', args: ['log', i] }
+      ])));
+
+      expect(await storage.hget('balances', 'user1')).toBe(50);
+      expect(await storage.llen('log')).toBe(10);
+    });
+
+    it('should hold other calls until an open transaction finishes', async (): Promise<void> => {
+      const originalHincrby = storage.hincrby.bind(storage);
+      storage.hincrby = async (...args) => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        return originalHincrby(...args);
+      };
+
+      const transaction = storage.transaction([
+        { method: 'hincrby', args: ['balances', 'user1', 10] },
+        { method: 'hincrby', args: ['balances', 'user1', -50], min: 0 }
+      ]).catch(error => error);
+      await new Promise(resolve => setTimeout(resolve, 1));
+      const read = storage.hget('balances', 'user1');
+      const write = storage.set('other', 1);
+
+      expect(await transaction).toBeInstanceOf(TransactionAbortedError);
+      expect(await read).toBeNull();
+      await write;
+      expect(await storage.get('other')).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,206 @@
+import type { GamificationKit } from '../src/core/GamificationKit.js';
+import { jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { MemoryStorage } from '../../../src/storage/MemoryStorage.js';
+import { StorageSnapshot, SNAPSHOT_VERSION } from '../../../src/storage/StorageSnapshot.js';
+
+describe('StorageSnapshot', (): void => {
+  let source;
+  let target;
+  let snapshot;
+  let dir;
+  let file;
+
+  beforeEach(async () => {
+    source = new MemoryStorage();
+    target = new MemoryStorage();
+    await source.connect();
+    await target.connect();
+    snapshot = new StorageSnapshot({ logger: { enabled: false }, batchSize: 2 });
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gk-snapshot-'));
+    file = path.join(dir, 'snapshot.ndjson');
+
+    await source.set('points:user1', 150);
+    await source.set('session:user1', { token: 'abc' }, 3600);
+    await source.hset('quests:user1', 'daily', { progress: 2 });
+    await source.hset('quests:user1', 'weekly', { progress: 5 });
+    await source.zadd('leaderboard:points', 150, 'user1');
+    await source.zadd('leaderboard:points', 90, 'user2');
+    await source.rpush('journal:user1', 'a', 'b', 'c', 'd', 'e');
+    await source.sadd('badges:user1', 'first-login', 'explorer');
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    await source.disconnect();
+    await target.disconnect();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const readLines = async (): Promise<any[]> =>
+    (await fs.readFile(file, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+
+  describe('backup', (): void => {
+    it('should write a versioned header, one line per key and a trailer', async (): Promise<void> => {
+      const summary = await snapshot.backup(source, file);
+      const lines = await readLines();
+
+      expect(summary).toMatchObject({ file, version: SNAPSHOT_VERSION, keys: 6 });
+      expect(lines[0]).toMatchObject({ format: 'gamification-kit-snapshot', version: SNAPSHOT_VERSION, pattern: '*' });
+      expect(lines[lines.length - 1]).toEqual({ end: true, keys: 6 });
+      expect(lines.slice(1, -1).map(line => [line.key, line.type])).toEqual([
+        ['badges:user1', 'set'],
+        ['journal:user1', 'list'],
+        ['leaderboard:points', 'zset'],
+        ['points:user1', 'string'],
+        ['quests:user1', 'hash'],
+        ['session:user1', 'string']
+      ]);
+      expect(lines.find(line => line.key === 'session:user1').expiresAt).toBeGreaterThan(Date.now());
+      expect(lines.find(line => line.key === 'points:user1').expiresAt).toBeNull();
+    });
+
+    it('should only include keys matching the pattern', async (): Promise<void> => {
+      const scoped = new StorageSnapshot({ logger: { enabled: false }, pattern: '*:user1' });
+
+      const summary = await scoped.backup(source, file);
+
+      expect(summary.keys).toBe(5);
+    });
+  });
+
+  describe('restore', (): void => {
+    it('should restore every data type and expiry', async (): Promise<void> => {
+      await snapshot.backup(source, file);
+
+      const result = await snapshot.restore(file, target);
+
+      expect(result).toMatchObject({ mode: 'full', keys: 6, written: 6, mismatches: [] });
+      expect(await target.get('points:user1')).toBe(150);
+      expect(await target.get('session:user1')).toEqual({ token: 'abc' });
+      expect(await target.ttl('session:user1')).toBeGreaterThan(3590);
+      expect(await target.ttl('points:user1')).toBe(-1);
+      expect(await target.hgetall('quests:user1')).toEqual({ daily: { progress: 2 }, weekly: { progress: 5 } });
+      expect(await target.zrange('leaderboard:points', 0, -1, true)).toEqual([
+        { member: 'user2', score: 90 },
+        { member: 'user1', score: 150 }
+      ]);
+      expect(await target.lrange('journal:user1', 0, -1)).toEqual(['a', 'b', 'c', 'd', 'e']);
+      expect((await target.smembers('badges:user1')).sort()).toEqual(['explorer', 'first-login']);
+    });
+
+    it('should replace existing keys instead of merging into them', async (): Promise<void> => {
+      await snapshot.backup(source, file);
+      await target.rpush('journal:user1', 'stale');
+
+      await snapshot.restore(file, target);
+
+      expect(await target.lrange('journal:user1', 0, -1)).toEqual(['a', 'b', 'c', 'd', 'e']);
+    });
+
+    it('should skip keys that expired since the backup', async (): Promise<void> => {
+      jest.useFakeTimers();
+      const now = Date.now();
+      jest.setSystemTime(now);
+      await snapshot.backup(source, file);
+
+      jest.setSystemTime(now + 3601 * 1000);
+      const result = await snapshot.restore(file, target);
+
+      expect(result.keys).toBe(5);
+      expect(await target.exists('session:user1')).toBe(false);
+    });
+
+    it('should reject files that are not complete snapshots', async (): Promise<void> => {
+      await snapshot.backup(source, file);
+      const lines = (await fs.readFile(file, 'utf8')).trim().split('\n');
+
+      await fs.writeFile(file, lines.slice(0, -1).join('\n'));
+      await expect(snapshot.restore(file, target)).rejects.toThrow('Snapshot file is truncated');
+
+      await fs.writeFile(file, JSON.stringify({ format: 'gamification-kit-snapshot', version: SNAPSHOT_VERSION + 1 }));
+      await expect(snapshot.restore(file, target)).rejects.toThrow(`Unsupported snapshot version: ${SNAPSHOT_VERSION + 1}`);
+
+      await fs.writeFile(file, '{"hello":"world"}\n');
+      await expect(snapshot.restore(file, target)).rejects.toThrow('Not a snapshot file');
+    });
+
+    it('should reject unknown modes', async (): Promise<void> => {
+      await snapshot.backup(source, file);
+
+      await expect(snapshot.restore(file, target, { mode: 'merge' })).rejects.toThrow('mode');
+    });
+  });
+
+  describe('migrate', (): void => {
+    it('should copy every key straight into the target', async (): Promise<void> => {
+      const result = await snapshot.migrate(source, target);
+
+      expect(result).toMatchObject({ mode: 'full', keys: 6, written: 6 });
+      expect(await target.hgetall('quests:user1')).toEqual(await source.hgetall('quests:user1'));
+      expect(await target.lrange('journal:user1', 0, -1)).toEqual(['a', 'b', 'c', 'd', 'e']);
+    });
+
+    it('should report mismatched keys in verify mode without writing', async (): Promise<void> => {
+      await snapshot.migrate(source, target);
+      await target.set('points:user1', 100);
+      await target.delete('badges:user1');
+      await target.delete('journal:user1');
+      await target.set('journal:user1', 'not a list');
+      await target.delete('session:user1');
+      await target.set('session:user1', { token: 'abc' });
+      await target.set('orphan', true);
+
+      const result = await snapshot.migrate(source, target, { mode: 'verify' });
+
+      expect(result.written).toBe(0);
+      expect(result.unchanged).toBe(2);
+      expect(result.mismatches).toEqual([
+        { key: 'badges:user1', reason: 'missing' },
+        { key: 'journal:user1', reason: 'type' },
+        { key: 'points:user1', reason: 'value' },
+        { key: 'session:user1', reason: 'ttl' },
+        { key: 'orphan', reason: 'extra' }
+      ]);
+      expect(await target.get('points:user1')).toBe(100);
+    });
+
+    it('should ignore member order when comparing sets and sorted sets', async (): Promise<void> => {
+      await target.sadd('badges:user1', 'explorer', 'first-login');
+      await target.zadd('leaderboard:points', 90, 'user2');
+      await target.zadd('leaderboard:points', 150, 'user1');
+
+      const result = await snapshot.migrate(source, target, { mode: 'verify' });
+
+      expect(result.mismatches).not.toContainEqual(expect.objectContaining({ key: 'badges:user1' }));
+      expect(result.mismatches).not.toContainEqual(expect.objectContaining({ key: 'leaderboard:points' }));
+    });
+
+    it('should only write keys that differ in incremental mode', async (): Promise<void> => {
+      await snapshot.migrate(source, target);
+      await source.zincrby('leaderboard:points', 10, 'user2');
+      await source.set('points:user2', 40);
+
+      const result = await snapshot.migrate(source, target, { mode: 'incremental' });
+
+      expect(result).toMatchObject({ keys: 7, written: 2, unchanged: 5 });
+      expect(result.mismatches).toEqual([
+        { key: 'leaderboard:points', reason: 'value' },
+        { key: 'points:user2', reason: 'missing' }
+      ]);
+      expect(await target.zscore('leaderboard:points', 'user2')).toBe(100);
+      expect((await snapshot.migrate(source, target, { mode: 'verify' })).mismatches).toEqual([]);
+    });
+
+    it('should verify a snapshot file against a live adapter', async (): Promise<void> => {
+      await snapshot.backup(source, file);
+      await source.hset('quests:user1', 'daily', { progress: 3 });
+
+      const result = await snapshot.restore(file, source, { mode: 'verify' });
+
+      expect(result.mismatches).toEqual([{ key: 'quests:user1', reason: 'value' }]);
+    });
+  });
+});
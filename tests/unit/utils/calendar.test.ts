@@ -0,0 +1,78 @@
+import type { GamificationKit } from '../src/core/GamificationKit.js';
+import { jest } from '@jest/globals';
+import { calendar } from '../../../src/utils/calendar.js';
+
+describe('calendar', (): void => {
+  describe('isValidTimezone', (): void => {
+    it('should accept IANA zones and reject anything else', () => {
+      expect(calendar.isValidTimezone('Asia/Tokyo')).toBe(true);
+      expect(calendar.isValidTimezone('Mars/Olympus')).toBe(false);
+      expect(calendar.isValidTimezone(null)).toBe(false);
+    });
+  });
+
+  describe('getDayNumber', (): void => {
+    it('should use the local calendar date', () => {
+      const instant = Date.UTC(2024, 0, 1, 23, 30);
+
+      expect(calendar.formatPeriod(calendar.getDayNumber(instant, 'UTC'))).toBe('2024-01-01');
+      expect(calendar.formatPeriod(calendar.getDayNumber(instant, 'Asia/Tokyo'))).toBe('2024-01-02');
+      expect(calendar.formatPeriod(calendar.getDayNumber(instant, 'America/Los_Angeles'))).toBe('2024-01-01');
+    });
+  });
+
+  describe('getWeekNumber', (): void => {
+    it('should start ISO weeks on Monday', () => {
+      const sunday = calendar.getWeekNumber(Date.UTC(2024, 0, 7, 12), 'UTC');
+      const monday = calendar.getWeekNumber(Date.UTC(2024, 0, 8, 12), 'UTC');
+
+      expect(monday).toBe(sunday + 1);
+      expect(calendar.formatPeriod(monday, 'week')).toBe('2024-W02');
+    });
+
+    it('should use the ISO week-year around new year', () => {
+      expect(calendar.formatPeriod(calendar.getWeekNumber(Date.UTC(2021, 0, 3), 'UTC'), 'week')).toBe('2020-W53');
+      expect(calendar.formatPeriod(calendar.getWeekNumber(Date.UTC(2024, 11, 30), 'UTC'), 'week')).toBe('2025-W01');
+    });
+  });
+
+  describe('getMonthNumber', (): void => {
+    it('should use the local calendar month', () => {
+      const instant = Date.UTC(2024, 0, 31, 20);
+
+      expect(calendar.formatPeriod(calendar.getMonthNumber(instant, 'UTC'), 'month')).toBe('2024-01');
+      expect(calendar.formatPeriod(calendar.getMonthNumber(instant, 'Asia/Tokyo'), 'month')).toBe('2024-02');
+    });
+  });
+
+  describe('getPeriodStart', (): void => {
+    it('should return local midnight', () => {
+      const day = calendar.getDayNumber(Date.UTC(2024, 5, 15, 12), 'Europe/Berlin');
+
+      expect(calendar.getPeriodStart(day, 'Europe/Berlin')).toBe(Date.UTC(2024, 5, 14, 22));
+      expect(calendar.getPeriodStart(day, 'UTC')).toBe(Date.UTC(2024, 5, 15));
+    });
+
+    it('should account for DST transitions', () => {
+      // US clocks spring forward on 2024-03-10, so that day is only 23 hours long
+      const day = calendar.getDayNumber(Date.UTC(2024, 2, 10, 18), 'America/New_York');
+      const start = calendar.getPeriodStart(day, 'America/New_York');
+      const end = calendar.getPeriodStart(day + 1, 'America/New_York');
+
+      expect(start).toBe(Date.UTC(2024, 2, 10, 5));
+      expect(end - start).toBe(23 * 60 * 60 * 1000);
+    });
+
+    it('should return the Monday midnight of a week', () => {
+      const week = calendar.getWeekNumber(Date.UTC(2024, 0, 10), 'UTC');
+
+      expect(calendar.getPeriodStart(week, 'UTC', 'week')).toBe(Date.UTC(2024, 0, 8));
+    });
+
+    it('should return the local midnight on the first of a month', () => {
+      const month = calendar.getMonthNumber(Date.UTC(2024, 2, 15), 'Asia/Tokyo');
+
+      expect(calendar.getPeriodStart(month, 'Asia/Tokyo', 'month')).toBe(Date.UTC(2024, 1, 29, 15));
+    });
+  });
+});
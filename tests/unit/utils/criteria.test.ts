@@ -0,0 +1,98 @@
+import type { GamificationKit } from '../src/core/GamificationKit.js';
+import { jest } from '@jest/globals';
+import { criteria } from '../../../src/utils/criteria.js';
+
+describe('criteria', (): void => {
+  describe('normalize', (): void => {
+    it('should fill in defaults for each criterion type', () => {
+      const list = criteria.normalize([
+        { type: 'badges', badges: ['a', 'b'] },
+        { type: 'achievements', achievements: ['veteran'] },
+        { type: 'level', level: 20 },
+        { type: 'points', points: 500 },
+        { type: 'streak', streak: 'daily', count: 30 },
+        { type: 'quests', chain: 'tutorial' }
+      ], 'criteria');
+
+      expect(list).toEqual([
+        { type: 'badges', badges: ['a', 'b'] },
+        { type: 'achievements', achievements: ['veteran'], tier: null },
+        { type: 'level', level: 20 },
+        { type: 'points', points: 500, currency: null },
+        { type: 'streak', streak: 'daily', count: 30, ongoing: false },
+        { type: 'quests', quests: null, chain: 'tutorial' }
+      ]);
+    });
+
+    it('should reject malformed criteria', () => {
+      expect(() => criteria.normalize({}, 'criteria')).toThrow('criteria must be an array');
+      expect(() => criteria.normalize([{ type: 'karma' }], 'criteria')).toThrow('criteria type must be one of');
+      expect(() => criteria.normalize([{ type: 'level', level: -1 }], 'criteria')).toThrow('criteria level must be a positive number');
+      expect(() => criteria.normalize([{ type: 'quests' }], 'criteria')).toThrow('criteria quests must be an array');
+    });
+  });
+
+  describe('sources', (): void => {
+    it('should list each module whose events affect the criteria once', () => {
+      const list = criteria.normalize([
+        { type: 'badges', badges: ['a'] },
+        { type: 'level', level: 5 },
+        { type: 'badges', badges: ['b'] }
+      ], 'criteria');
+
+      expect(criteria.sources(list)).toEqual(['badges', 'levels']);
+    });
+  });
+
+  describe('evaluate', (): void => {
+    const modules = {
+      badges: { hasBadge: async (userId, badgeId) => badgeId !== 'c' },
+      levels: { getUserData: async () => ({ level: 10 }) },
+      streaks: { getStreakData: async () => ({ currentStreak: 3, longestStreak: 30 }) },
+      quests: {
+        questChains: new Map([['tutorial', { quests: [{ id: 'q1' }, { id: 'q2' }] }]]),
+        getQuestCompletions: async (userId, questId) => (questId === 'q1' ? 1 : 0)
+      }
+    };
+    const getModule = (name) => modules[name] || null;
+
+    it('should report progress toward every criterion', async (): Promise<void> => {
+      const list = criteria.normalize([
+        { type: 'badges', badges: ['a', 'b', 'c'] },
+        { type: 'level', level: 20 },
+        { type: 'quests', chain: 'tutorial' }
+      ], 'criteria');
+
+      const result = await criteria.evaluate(list, 'user1', getModule);
+
+      expect(result.completed).toBe(false);
+      expect(result.criteria[0]).toMatchObject({ current: 2, target: 3, missing: ['c'], completed: false });
+      expect(result.criteria[1]).toMatchObject({ current: 10, target: 20, percentage: 50 });
+      expect(result.criteria[2]).toMatchObject({ current: 1, target: 2, missing: ['q2'] });
+    });
+
+    it('should compare streaks against the longest run unless ongoing is set', async (): Promise<void> => {
+      const list = criteria.normalize([
+        { type: 'streak', streak: 'daily', count: 30 },
+        { type: 'streak', streak: 'daily', count: 30, ongoing: true }
+      ], 'criteria');
+
+      const result = await criteria.evaluate(list, 'user1', getModule);
+
+      expect(result.criteria.map(entry => entry.completed)).toEqual([true, false]);
+      expect(result.percentage).toBe(55);
+    });
+
+    it('should treat criteria on missing modules as unmet', async (): Promise<void> => {
+      const list = criteria.normalize([{ type: 'points', points: 100 }], 'criteria');
+
+      const result = await criteria.evaluate(list, 'user1', getModule);
+
+      expect(result).toEqual({
+        completed: false,
+        percentage: 0,
+        criteria: [expect.objectContaining({ current: 0, target: 100 })]
+      });
+    });
+  });
+});
@@ -0,0 +1,62 @@
+import type { GamificationKit } from '../src/core/GamificationKit.js';
+import { jest } from '@jest/globals';
+import { eventConditions } from '../../../src/utils/eventConditions.js';
+
+describe('eventConditions', (): void => {
+  describe('normalize', (): void => {
+    it('should convert field condition maps to condition trees', () => {
+      expect(eventConditions.normalize({
+        type: 'review',
+        amount: { min: 10, max: 100 },
+        tier: { in: ['gold', 'silver'] },
+        title: { contains: 'launch' }
+      }, 'conditions')).toEqual({
+        all: [
+          { field: 'type', operator: '===', value: 'review' },
+          { field: 'amount', operator: '>=', value: 10 },
+          { field: 'amount', operator: '<=', value: 100 },
+          { field: 'tier', operator: 'in', value: ['gold', 'silver'] },
+          { field: 'title', operator: 'contains', value: 'launch' }
+        ]
+      });
+    });
+
+    it('should let equals take precedence over other checks on a field', () => {
+      expect(eventConditions.normalize({ amount: { equals: 5, min: 10 } }, 'conditions')).toEqual({
+        all: [{ field: 'amount', operator: '===', value: 5 }]
+      });
+    });
+
+    it('should return null when there is nothing to check', () => {
+      expect(eventConditions.normalize(undefined, 'conditions')).toBeNull();
+      expect(eventConditions.normalize({}, 'conditions')).toBeNull();
+    });
+
+    it('should keep condition trees as they are', () => {
+      const tree = {
+        any: [
+          { field: 'amount', operator: 'between', value: [1, 5] },
+          { not: { field: 'source', operator: 'matches', value: '^bot' } }
+        ]
+      };
+
+      expect(eventConditions.normalize(tree, 'conditions')).toBe(tree);
+    });
+
+    it('should reject aggregates anywhere in a tree', () => {
+      const aggregate = { type: 'count', event: 'user.login', window: { duration: 60000 } };
+
+      expect(() => eventConditions.normalize({
+        all: [{ field: 'a', operator: '==', value: 1 }, { aggregate, operator: '>', value: 3 }]
+      }, 'conditions')).toThrow('conditions.all[1] cannot use aggregates');
+      expect(() => eventConditions.normalize('amount > 5', 'conditions')).toThrow('conditions must be an object');
+    });
+  });
+
+  describe('context', (): void => {
+    it('should expose the event name next to its data', () => {
+      expect(eventConditions.context({ eventName: 'user.login', data: { userId: 'u1' } }))
+        .toEqual({ eventName: 'user.login', userId: 'u1' });
+    });
+  });
+});
@@ -0,0 +1,43 @@
+import type { GamificationKit } from '../src/core/GamificationKit.js';
+import { jest } from '@jest/globals';
+import { template } from '../../../src/utils/template.js';
+
+describe('template', (): void => {
+  const context = { amount: 250, user: { name: 'Ada' }, items: [{ price: 4 }] };
+  const scope = {
+    resolve: (path) => path.split('.').reduce((value, key) => value?.[key], context),
+    call: (name, args) => Math[name](...args)
+  };
+
+  describe('render', (): void => {
+    it('should keep the type of a whole-value expression', () => {
+      expect(template.render('{{ amount * 0.1 }}', scope)).toBe(25);
+      expect(template.render('{{ -(amount - 50) / 4 % 30 }}', scope)).toBe(-20);
+      expect(template.render('{{ round(amount / 3) }}', scope)).toBe(83);
+      expect(template.render('{{ items.0.price + max(1, 2) }}', scope)).toBe(6);
+    });
+
+    it('should interpolate templates embedded in text', () => {
+      expect(template.render('Thanks {{user.name}}, {{ amount }} spent', scope)).toBe('Thanks Ada, 250 spent');
+    });
+
+    it('should resolve nested objects and leave other values alone', () => {
+      const handler = jest.fn();
+
+      expect(template.render({ points: '{{amount}}', data: { label: '{{ \'x\' + user.name }}' }, handler, flag: true }, scope))
+        .toEqual({ points: 250, data: { label: 'xAda' }, handler, flag: true });
+    });
+  });
+
+  describe('validate', (): void => {
+    it('should return the functions a template calls', () => {
+      expect(template.validate('{{ floor(amount) }} and {{ ceil(abs(amount)) }}')).toEqual(['floor', 'ceil', 'abs']);
+    });
+
+    it('should reject malformed expressions', () => {
+      expect(() => template.validate('{{ amount * }}')).toThrow('Unexpected end of expression');
+      expect(() => template.validate('{{ (amount }}')).toThrow('Expected ")"');
+      expect(() => template.validate('{{ amount; process.exit() }}')).toThrow('Unexpected character');
+    });
+  });
+});
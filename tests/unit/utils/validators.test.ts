@@ -279,6 +279,19 @@ describe('validators', (): void => {
     });
   });
 
+  describe('isTimezone', (): void => {
+    it('should validate IANA timezones', () => {
+      expect(validators.isTimezone('UTC')).toBe(true);
+      expect(validators.isTimezone('Europe/Istanbul')).toBe(true);
+      expect(validators.isTimezone('America/New_York', 'tz')).toBe(true);
+    });
+
+    it('should reject unknown timezones', () => {
+      expect(() => validators.isTimezone('Mars/Olympus')).toThrow('timezone must be a valid IANA timezone');
+      expect(() => validators.isTimezone('', 'tz')).toThrow('tz cannot be empty');
+    });
+  });
+
   describe('isOptional', (): void => {
     it('should allow undefined values', () => {
       expect(validators.isOptional(undefined, validators.isString, 'test')).toBe(true);